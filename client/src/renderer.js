@@ -525,6 +525,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const session = await coreClient.uploadFiles({
                     files: selectedFiles.length === 1 ? selectedFiles[0] : selectedFiles,
                     lifetimeMs,
+                    concurrency: serverCapabilities?.upload?.chunkConcurrency,
                     maxDownloads: (() => {
                         const val = parseInt(maxDownloadsValue.value, 10);
                         return (Number.isInteger(val) && val >= 0) ? val : 1;
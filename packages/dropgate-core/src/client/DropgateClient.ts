@@ -1,10 +1,11 @@
-import { DEFAULT_CHUNK_SIZE, ENCRYPTION_OVERHEAD_PER_CHUNK, MAX_IN_MEMORY_DOWNLOAD_BYTES } from '../constants.js';
+import { DEFAULT_CHUNK_SIZE, E2EE_FORMAT_VERSION, ENCRYPTION_OVERHEAD_PER_CHUNK, MAX_IN_MEMORY_DOWNLOAD_BYTES, MIN_PASSPHRASE_LENGTH } from '../constants.js';
 import {
   DropgateError,
   DropgateValidationError,
   DropgateNetworkError,
   DropgateProtocolError,
   DropgateAbortError,
+  errorFromResponse,
 } from '../errors.js';
 import type {
   CryptoAdapter,
@@ -18,6 +19,13 @@ import type {
   UploadProgressEvent,
   DropgateClientOptions,
   UploadFilesOptions,
+  UploadResumeState,
+  ResumeUploadOptions,
+  UploadSessionStatus,
+  BundleUploadSessionStatus,
+  ManageUploadOptions,
+  UpdateUploadOptions,
+  UploadStatus,
   GetServerInfoOptions,
   ConnectOptions,
   ValidateUploadOptions,
@@ -27,7 +35,10 @@ import type {
   DownloadResult,
   DownloadProgressEvent,
   FileMetadata,
+  DownloadTicket,
   BundleMetadata,
+  PassphraseKeyProtection,
+  RetryOperation,
 } from '../types.js';
 import type {
   P2PSendFileOptions,
@@ -36,16 +47,178 @@ import type {
   P2PReceiveSession,
 } from '../p2p/types.js';
 import { getDefaultCrypto, getDefaultFetch, getDefaultBase64 } from '../adapters/defaults.js';
-import { makeAbortSignal, fetchJson, sleep, buildBaseUrl, parseServerUrl } from '../utils/network.js';
+import { makeAbortSignal, fetchJson, sleep, buildBaseUrl, parseServerUrl, parseJsonText } from '../utils/network.js';
+import type { FetchJsonOptions, FetchJsonResult } from '../utils/network.js';
+import { parseRetryAfter, resolveRetryPolicy, retryContext, withRetry } from '../utils/retry.js';
+import type { RetryPolicy } from '../utils/retry.js';
 import { parseSemverMajorMinor } from '../utils/semver.js';
 import { validatePlainFilename } from '../utils/filename.js';
-import { sha256Hex, generateAesGcmKey, exportKeyBase64, importKeyFromBase64, decryptChunk, decryptFilenameFromBase64 } from '../crypto/index.js';
+import { sha256Hex, generateAesGcmKey, exportKeyBase64, deriveBundleAccessKey, importKeyFromBase64, decryptChunk, decryptFilenameFromBase64, buildChunkAad } from '../crypto/index.js';
 import { encryptToBlob, encryptFilenameToBase64 } from '../crypto/encrypt.js';
+import { wrapKeyWithPassphrase, unwrapKeyWithPassphrase } from '../crypto/passphrase.js';
 import { startP2PSend } from '../p2p/send.js';
 import { startP2PReceive } from '../p2p/receive.js';
 import { resolvePeerConfig } from '../p2p/helpers.js';
+import { isP2PCodeLike } from '../p2p/utils.js';
 import { StreamingZipWriter } from '../zip/stream-zip.js';
 
+/**
+ * Resolved retry policy for resuming an interrupted file download.
+ */
+interface DownloadRetryOptions extends RetryPolicy {
+  onRetry?: (info: { attempt: number; maxRetries: number; delayMs: number; receivedBytes: number }) => void;
+}
+
+/**
+ * onRetry handler reporting the wait before an interrupted download resumes.
+ * `baseBytes` and `fields` place a bundle member's bytes within the whole bundle.
+ */
+function retryWaitProgress(
+  progress: (evt: DownloadProgressEvent) => void,
+  totalBytes: number,
+  baseBytes = 0,
+  fields: Pick<DownloadProgressEvent, 'fileIndex' | 'totalFiles' | 'currentFileName'> = {},
+): NonNullable<DownloadRetryOptions['onRetry']> {
+  return ({ attempt, maxRetries, delayMs, receivedBytes }) => {
+    const current = baseBytes + receivedBytes;
+    progress({
+      phase: 'retry-wait',
+      text: `Connection lost. Resuming in ${(delayMs / 1000).toFixed(1)}s... (${attempt}/${maxRetries})`,
+      percent: totalBytes > 0 ? (current / totalBytes) * 100 : 0,
+      processedBytes: current, totalBytes,
+      ...fields,
+    });
+  };
+}
+
+/**
+ * HTTP status and requested retry delay of a failed response, for errorFromResponse().
+ */
+function responseInfo(res: Response): { status: number; retryAfterMs?: number } {
+  const retryAfterMs = parseRetryAfter(res.headers);
+  return { status: res.status, ...(retryAfterMs !== undefined ? { retryAfterMs } : {}) };
+}
+
+/**
+ * Chunks one upload sends at once: 1 unless the caller asks for more, capped at what the
+ * server accepts (1 on servers that don't say).
+ */
+function resolveConcurrency(requested: number | undefined, serverInfo: ServerInfo | undefined): number {
+  const serverLimit = serverInfo?.capabilities?.upload?.chunkConcurrency;
+  const limit = Number.isFinite(serverLimit) && serverLimit! >= 1 ? Math.floor(serverLimit!) : 1;
+  const wanted = Number.isFinite(requested) && requested! >= 1 ? Math.floor(requested!) : 1;
+  return Math.min(wanted, limit);
+}
+
+/**
+ * Slots shared by the chunks of one upload. A chunk holds a slot from being read until the
+ * server has it, which bounds both the requests in flight and the chunks held in memory.
+ */
+interface ChunkSlots {
+  size: number;
+  /** Wait for a free slot. Rejects once a chunk of the upload has failed. */
+  acquire: () => Promise<void>;
+  release: () => void;
+  /** Stop handing out slots after a chunk fails, so the other files of a bundle stop too. */
+  fail: (err: unknown) => void;
+}
+
+function createChunkSlots(size: number): ChunkSlots {
+  let free = size;
+  let failed = false;
+  let failure: unknown;
+  const waiting: Array<{ resolve: () => void; reject: (err: unknown) => void }> = [];
+  return {
+    size,
+    acquire: async () => {
+      if (failed) throw failure;
+      if (free > 0) {
+        free--;
+        return;
+      }
+      await new Promise<void>((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    release: () => {
+      const next = waiting.shift();
+      if (next) next.resolve();
+      else free++;
+    },
+    fail: (err) => {
+      if (failed) return;
+      failed = true;
+      failure = err;
+      for (const waiter of waiting.splice(0)) waiter.reject(err);
+    },
+  };
+}
+
+/**
+ * Run a task for each index, at most `limit` at a time, starting them in index order.
+ * No further tasks start once one fails. Tasks already running are left to settle, so
+ * nothing is still in flight when the first error is thrown.
+ */
+async function forEachConcurrently(
+  count: number,
+  limit: number,
+  task: (index: number) => Promise<void>
+): Promise<void> {
+  let next = 0;
+  let failed = false;
+  let firstError: unknown;
+  const worker = async (): Promise<void> => {
+    while (!failed && next < count) {
+      try {
+        await task(next++);
+      } catch (err) {
+        if (!failed) firstError = err;
+        failed = true;
+      }
+    }
+  };
+  // Workers don't reject, so this waits for every task that started
+  await Promise.all(Array.from({ length: Math.min(limit, count) }, worker));
+  if (failed) throw firstError;
+}
+
+/**
+ * Deliver the progress of bundle files uploaded in parallel in file order: a file's events
+ * are held back until every file before it has finished.
+ */
+function createOrderedProgress(
+  progress: (evt: UploadProgressEvent) => void,
+  fileCount: number
+): { forFile: (fileIndex: number) => (evt: UploadProgressEvent) => void; finish: (fileIndex: number) => void } {
+  const held: UploadProgressEvent[][] = Array.from({ length: fileCount }, () => []);
+  const finished: boolean[] = new Array(fileCount).fill(false);
+  let current = 0;
+  return {
+    forFile: (fileIndex) => (evt) => {
+      if (fileIndex === current) progress(evt);
+      else held[fileIndex].push(evt);
+    },
+    finish: (fileIndex) => {
+      finished[fileIndex] = true;
+      while (current < fileCount && finished[current]) {
+        current++;
+        if (current < fileCount) {
+          for (const evt of held[current]) progress(evt);
+          held[current] = [];
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Chunk layout a stored file was uploaded with.
+ */
+interface StoredFileLayout {
+  chunkSize: number;
+  e2eeFormatVersion?: number;
+  /** Position of the file in its bundle's manifest (0 for single files), bound into v3 chunks. */
+  fileIndex?: number;
+}
+
 /**
  * Resolve a server option (URL string or ServerTarget) to a base URL string.
  */
@@ -104,9 +277,7 @@ export async function getServerInfo(
       return { baseUrl, serverInfo: json as ServerInfo };
     }
 
-    throw new DropgateProtocolError(
-      `Server info request failed (status ${res.status}).`
-    );
+    throw errorFromResponse(res.ok ? null : json, `Server info request failed (status ${res.status}).`);
   } catch (err) {
     if (err instanceof DropgateError) throw err;
     throw new DropgateNetworkError('Could not reach server /api/info.', {
@@ -133,6 +304,8 @@ export class DropgateClient {
   readonly cryptoObj: CryptoAdapter;
   /** Base64 encoder/decoder for binary data. */
   readonly base64: Base64Adapter;
+  /** API key sent as a bearer token on upload requests, if any. */
+  readonly authToken?: string;
 
   /** Resolved base URL (e.g. 'https://dropgate.link'). May change during HTTP fallback. */
   baseUrl: string;
@@ -180,6 +353,7 @@ export class DropgateClient {
     this.cryptoObj = cryptoObj;
 
     this.base64 = opts.base64 || getDefaultBase64();
+    this.authToken = opts.authToken || undefined;
     this._fallbackToHttp = Boolean(opts.fallbackToHttp);
 
     // Resolve server to baseUrl
@@ -346,11 +520,7 @@ export class DropgateClient {
     );
 
     if (!res.ok) {
-      const msg =
-        (json && typeof json === 'object' && 'error' in json
-          ? (json as { error: string }).error
-          : null) || `Share lookup failed (status ${res.status}).`;
-      throw new DropgateProtocolError(msg, { details: json });
+      throw errorFromResponse(json, `Share lookup failed (status ${res.status}).`);
     }
 
     return (json as ShareTargetResult) || { valid: false, reason: 'Unknown response.' };
@@ -382,16 +552,101 @@ export class DropgateClient {
     });
 
     if (!res.ok) {
-      const msg =
-        (json && typeof json === 'object' && 'error' in json
-          ? (json as { error: string }).error
-          : null) || `Failed to fetch file metadata (status ${res.status}).`;
-      throw new DropgateProtocolError(msg, { details: json });
+      throw errorFromResponse(json, `Failed to fetch file metadata (status ${res.status}).`);
     }
 
     return json as FileMetadata;
   }
 
+  /**
+   * Reserve one download of a file. The download is counted once the ticket has delivered
+   * the whole file; a ticket that goes unused expires and frees the download again.
+   * downloadFiles() does this itself on servers advertising `capabilities.upload.downloadTickets`.
+   * @param fileId - The file ID to reserve a download of.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns The ticket, to pass as the `ticket` query parameter of the file URL.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the file is not found, every remaining download is reserved,
+   *   or the server returns an error.
+   */
+  async requestDownloadTicket(
+    fileId: string,
+    opts?: ConnectOptions
+  ): Promise<DownloadTicket> {
+    if (!fileId || typeof fileId !== 'string') {
+      throw new DropgateValidationError('File ID is required.');
+    }
+
+    const { timeoutMs = 5000, signal } = opts ?? {};
+
+    const url = `${this.baseUrl}/api/file/${encodeURIComponent(fileId)}/ticket`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: 'POST',
+      timeoutMs,
+      signal,
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to reserve the download (status ${res.status}).`);
+    }
+
+    const ticket = json && typeof json === 'object' && 'ticket' in json ? (json as DownloadTicket).ticket : null;
+    if (typeof ticket !== 'string' || !ticket) {
+      throw new DropgateProtocolError('Server returned an invalid download ticket.', { details: json });
+    }
+    return json as DownloadTicket;
+  }
+
+  /**
+   * Reserve one download of a bundle. Files of a sealed bundle are only served with a bundle
+   * ticket, which is derived from the bundle key. The download is counted when reported
+   * through /downloaded, or when the ticket expires after files were downloaded with it.
+   * downloadFiles() does this itself for bundles; pass the ticket as `ticket` to download
+   * single files of a bundle with it.
+   * @param bundleId - The bundle ID to reserve a download of.
+   * @param keyB64 - Base64-encoded bundle key (required for sealed bundles).
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns The ticket, valid for every file of the bundle.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the bundle is not found, the key is wrong, every remaining
+   *   download is reserved, or the server returns an error.
+   */
+  async requestBundleTicket(
+    bundleId: string,
+    keyB64?: string,
+    opts?: ConnectOptions
+  ): Promise<DownloadTicket> {
+    if (!bundleId || typeof bundleId !== 'string') {
+      throw new DropgateValidationError('Bundle ID is required.');
+    }
+
+    const { timeoutMs = 5000, signal } = opts ?? {};
+
+    const accessKey = keyB64
+      ? await deriveBundleAccessKey(this.cryptoObj, await importKeyFromBase64(this.cryptoObj, keyB64, this.base64))
+      : undefined;
+
+    const url = `${this.baseUrl}/api/bundle/${encodeURIComponent(bundleId)}/ticket`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: 'POST',
+      timeoutMs,
+      signal,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(accessKey ? { accessKey } : {}),
+    });
+
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to reserve the download (status ${res.status}).`);
+    }
+
+    const ticket = json && typeof json === 'object' && 'ticket' in json ? (json as DownloadTicket).ticket : null;
+    if (typeof ticket !== 'string' || !ticket) {
+      throw new DropgateProtocolError('Server returned an invalid download ticket.', { details: json });
+    }
+    return json as DownloadTicket;
+  }
+
   /**
    * Fetch metadata for a bundle from the server and derive computed fields.
    * For sealed bundles, decrypts the manifest to extract file list.
@@ -423,17 +678,14 @@ export class DropgateClient {
     });
 
     if (!res.ok) {
-      const msg =
-        (json && typeof json === 'object' && 'error' in json
-          ? (json as { error: string }).error
-          : null) || `Failed to fetch bundle metadata (status ${res.status}).`;
-      throw new DropgateProtocolError(msg, { details: json });
+      throw errorFromResponse(json, `Failed to fetch bundle metadata (status ${res.status}).`);
     }
 
     const serverMeta = json as {
       isEncrypted: boolean;
       sealed?: boolean;
       encryptedManifest?: string;
+      keyProtection?: PassphraseKeyProtection;
       files?: Array<{
         fileId: string;
         sizeBytes: number;
@@ -498,12 +750,65 @@ export class DropgateClient {
       isEncrypted: serverMeta.isEncrypted,
       sealed: serverMeta.sealed,
       encryptedManifest: serverMeta.encryptedManifest,
+      ...(serverMeta.keyProtection ? { keyProtection: serverMeta.keyProtection } : {}),
       files,
       totalSizeBytes,
       fileCount,
     };
   }
 
+  /**
+   * Fetch the passphrase protection of a file or bundle, if its key is passphrase-protected.
+   * Works without the key, so download pages can tell whether to ask for a passphrase.
+   * @param target - The file or bundle to check.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns Key protection parameters, or null if the upload has none.
+   * @throws {DropgateProtocolError} If the file or bundle is not found or server returns an error.
+   */
+  async getKeyProtection(
+    target: { fileId?: string; bundleId?: string },
+    opts?: ConnectOptions
+  ): Promise<PassphraseKeyProtection | null> {
+    const { fileId, bundleId } = target ?? {};
+    if (!fileId && !bundleId) {
+      throw new DropgateValidationError('Either fileId or bundleId is required.');
+    }
+
+    const { timeoutMs = 5000, signal } = opts ?? {};
+    const url = fileId
+      ? `${this.baseUrl}/api/file/${encodeURIComponent(fileId)}/meta`
+      : `${this.baseUrl}/api/bundle/${encodeURIComponent(bundleId!)}/meta`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: 'GET',
+      timeoutMs,
+      signal,
+    });
+
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to fetch metadata (status ${res.status}).`);
+    }
+
+    return (json as { keyProtection?: PassphraseKeyProtection } | null)?.keyProtection ?? null;
+  }
+
+  /**
+   * Recover the decryption key of a passphrase-protected upload.
+   * @param protection - Key protection from getKeyProtection() or the upload's metadata.
+   * @param passphrase - Passphrase chosen by the uploader.
+   * @returns Base64-encoded key, usable as keyB64 for getBundleMetadata() and downloadFiles().
+   * @throws {DropgateValidationError} If the passphrase is wrong.
+   */
+  async unlockWithPassphrase(
+    protection: PassphraseKeyProtection,
+    passphrase: string
+  ): Promise<string> {
+    if (!this.cryptoObj?.subtle) {
+      throw new DropgateValidationError('Web Crypto API not available for decryption.');
+    }
+    const key = await unwrapKeyWithPassphrase(this.cryptoObj, protection, passphrase, this.base64);
+    return exportKeyBase64(this.cryptoObj, key);
+  }
+
   /**
    * Validate file and upload settings against server capabilities.
    * @param opts - Validation options containing file, settings, and server info.
@@ -583,6 +888,13 @@ export class DropgateClient {
       );
     }
 
+    // Authentication
+    if (caps.authRequired && !this.authToken) {
+      throw new DropgateValidationError(
+        'This server requires an API key to upload. Set authToken in the client options.'
+      );
+    }
+
     return true;
   }
 
@@ -599,13 +911,16 @@ export class DropgateClient {
       files: rawFiles,
       lifetimeMs,
       encrypt,
+      passphrase,
       maxDownloads,
       filenameOverrides,
       onProgress,
       onCancel,
+      onResumeState,
       signal,
       timeouts = {},
       retry = {},
+      concurrency,
     } = opts;
 
     const files = Array.isArray(rawFiles) ? rawFiles : [rawFiles];
@@ -626,6 +941,9 @@ export class DropgateClient {
         const progress = (evt: UploadProgressEvent): void => {
           try { if (onProgress) onProgress(evt); } catch { /* Ignore */ }
         };
+        const reportResumeState = (state: UploadResumeState): void => {
+          try { if (onResumeState) onResumeState(state); } catch { /* Ignore */ }
+        };
 
         // 0) Get server info + compat (uses cache)
         progress({ phase: 'server-info', text: 'Checking server...', percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
@@ -648,15 +966,30 @@ export class DropgateClient {
         const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
         const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
 
+        // Use the newest E2EE format both this client and the server's download pages understand
+        const serverFormatVersion = Number(serverInfo?.capabilities?.upload?.e2eeFormatVersion) || 1;
+        const e2eeFormatVersion = effectiveEncrypt ? Math.min(E2EE_FORMAT_VERSION, serverFormatVersion) : undefined;
+
         if (!effectiveEncrypt) {
           for (const name of filenames) validatePlainFilename(name);
         }
 
         this.validateUploadInputs({ files, lifetimeMs, encrypt: effectiveEncrypt, serverInfo });
 
+        const passphraseProtected = passphrase !== undefined;
+        if (passphraseProtected) {
+          if (!effectiveEncrypt) {
+            throw new DropgateValidationError('Passphrase protection requires end-to-end encryption.');
+          }
+          if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new DropgateValidationError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+          }
+        }
+
         // 2) Encryption prep (single key for all files)
         let cryptoKey: CryptoKey | null = null;
         let keyB64: string | null = null;
+        let keyProtection: PassphraseKeyProtection | null = null;
         const transmittedFilenames: string[] = [];
 
         if (effectiveEncrypt) {
@@ -674,6 +1007,10 @@ export class DropgateClient {
                 await encryptFilenameToBase64(this.cryptoObj, name, cryptoKey)
               );
             }
+            if (passphraseProtected) {
+              progress({ phase: 'crypto', text: 'Protecting key with passphrase...', percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+              keyProtection = await wrapKeyWithPassphrase(this.cryptoObj, cryptoKey, passphrase!);
+            }
           } catch (err) {
             throw new DropgateError('Failed to prepare encryption.', { code: 'CRYPTO_PREP_FAILED', cause: err });
           }
@@ -687,9 +1024,8 @@ export class DropgateClient {
           ? serverChunkSize!
           : this.chunkSize;
 
-        const retries = Number.isFinite(retry.retries) ? retry.retries! : 5;
-        const baseBackoffMs = Number.isFinite(retry.backoffMs) ? retry.backoffMs! : 1000;
-        const maxBackoffMs = Number.isFinite(retry.maxBackoffMs) ? retry.maxBackoffMs! : 30000;
+        const retryPolicy = resolveRetryPolicy(retry);
+        const slots = createChunkSlots(resolveConcurrency(concurrency, serverInfo));
 
         // ========== SINGLE FILE ==========
         if (files.length === 1) {
@@ -700,37 +1036,47 @@ export class DropgateClient {
           // Init
           progress({ phase: 'init', text: 'Reserving server storage...', percent: 0, processedBytes: 0, totalBytes: file.size });
 
-          const initRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init`, {
-            method: 'POST',
-            timeoutMs: timeouts.initMs ?? 15000,
-            signal: effectiveSignal,
-            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-            body: JSON.stringify({
-              filename: transmittedFilenames[0],
-              lifetime: lifetimeMs,
-              isEncrypted: effectiveEncrypt,
-              totalSize: totalUploadSize,
-              totalChunks,
-              ...(maxDownloads !== undefined ? { maxDownloads } : {}),
-            }),
+          const initRes = await this._retryUploadRequest(async () => {
+            const result = await this._fetchUploadJson(`${baseUrl}/upload/init`, {
+              method: 'POST',
+              timeoutMs: timeouts.initMs ?? 15000,
+              signal: effectiveSignal,
+              headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this._authHeaders() },
+              body: JSON.stringify({
+                filename: transmittedFilenames[0],
+                lifetime: lifetimeMs,
+                isEncrypted: effectiveEncrypt,
+                totalSize: totalUploadSize,
+                totalChunks,
+                ...(e2eeFormatVersion ? { e2eeFormatVersion } : {}),
+                ...(maxDownloads !== undefined ? { maxDownloads } : {}),
+                ...(keyProtection ? { keyProtection } : {}),
+              }),
+            });
+            if (!result.res.ok) {
+              throw errorFromResponse(result.json || result.text, `Server initialisation failed: ${result.res.status}`, responseInfo(result.res));
+            }
+            return result;
+          }, {
+            policy: retryPolicy, operation: 'init', label: 'Initialisation failed.', signal: effectiveSignal,
+            progress, event: { percent: 0, processedBytes: 0, totalBytes: file.size },
           });
 
-          if (!initRes.res.ok) {
-            const errorJson = initRes.json as { error?: string } | null;
-            throw new DropgateProtocolError(errorJson?.error || `Server initialisation failed: ${initRes.res.status}`, { details: initRes.json || initRes.text });
-          }
-
           const uploadId = (initRes.json as { uploadId?: string })?.uploadId;
           if (!uploadId) throw new DropgateProtocolError('Server did not return a valid uploadId.');
           currentUploadIds.push(uploadId);
           uploadState = 'uploading';
+          reportResumeState({
+            baseUrl, uploadId,
+            ...(keyB64 ? { keyB64, e2eeFormatVersion } : {}),
+            ...(passphraseProtected ? { passphraseProtected } : {}),
+          });
 
           // Chunks
           await this._uploadFileChunks({
-            file, uploadId, cryptoKey, effectiveChunkSize, totalChunks, totalUploadSize,
+            file, uploadId, cryptoKey, e2eeFormatVersion, effectiveChunkSize, totalChunks, totalUploadSize,
             baseOffset: 0, totalBytesAllFiles: file.size,
-            progress, signal: effectiveSignal, baseUrl,
-            retries, backoffMs: baseBackoffMs, maxBackoffMs,
+            progress, signal: effectiveSignal, baseUrl, retryPolicy, slots,
             chunkTimeoutMs: timeouts.chunkMs ?? 60000,
           });
 
@@ -738,24 +1084,14 @@ export class DropgateClient {
           progress({ phase: 'complete', text: 'Finalising upload...', percent: 100, processedBytes: file.size, totalBytes: file.size });
           uploadState = 'completing';
 
-          const completeRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/complete`, {
-            method: 'POST',
-            timeoutMs: timeouts.completeMs ?? 30000,
-            signal: effectiveSignal,
-            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-            body: JSON.stringify({ uploadId }),
+          const { fileId, manageToken } = await this._completeFileUpload({
+            baseUrl, uploadId, timeoutMs: timeouts.completeMs ?? 30000, signal: effectiveSignal,
+            retryPolicy, progress, progressEvent: { percent: 100, processedBytes: file.size, totalBytes: file.size },
           });
 
-          if (!completeRes.res.ok) {
-            const errorJson = completeRes.json as { error?: string } | null;
-            throw new DropgateProtocolError(errorJson?.error || 'Finalisation failed.', { details: completeRes.json || completeRes.text });
-          }
-
-          const fileId = (completeRes.json as { id?: string })?.id;
-          if (!fileId) throw new DropgateProtocolError('Server did not return a valid file id.');
-
+          // Passphrase-protected links leave the key out of the URL
           let downloadUrl = `${baseUrl}/${fileId}`;
-          if (effectiveEncrypt && keyB64) downloadUrl += `#${keyB64}`;
+          if (effectiveEncrypt && keyB64 && !passphraseProtected) downloadUrl += `#${keyB64}`;
 
           progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: file.size, totalBytes: file.size });
           uploadState = 'completed';
@@ -763,6 +1099,8 @@ export class DropgateClient {
           return {
             downloadUrl, fileId, uploadId, baseUrl,
             ...(effectiveEncrypt && keyB64 ? { keyB64 } : {}),
+            ...(passphraseProtected ? { passphraseProtected } : {}),
+            ...(manageToken ? { manageToken } : {}),
           };
         }
 
@@ -777,25 +1115,31 @@ export class DropgateClient {
         // Init bundle
         progress({ phase: 'init', text: `Reserving server storage for ${files.length} files...`, percent: 0, processedBytes: 0, totalBytes: totalSizeBytes, totalFiles: files.length });
 
-        const initBundleRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init-bundle`, {
-          method: 'POST',
-          timeoutMs: timeouts.initMs ?? 15000,
-          signal: effectiveSignal,
-          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-          body: JSON.stringify({
-            fileCount: files.length,
-            files: fileManifest,
-            lifetime: lifetimeMs,
-            isEncrypted: effectiveEncrypt,
-            ...(maxDownloads !== undefined ? { maxDownloads } : {}),
-          }),
+        const initBundleRes = await this._retryUploadRequest(async () => {
+          const result = await this._fetchUploadJson(`${baseUrl}/upload/init-bundle`, {
+            method: 'POST',
+            timeoutMs: timeouts.initMs ?? 15000,
+            signal: effectiveSignal,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this._authHeaders() },
+            body: JSON.stringify({
+              fileCount: files.length,
+              files: fileManifest,
+              lifetime: lifetimeMs,
+              isEncrypted: effectiveEncrypt,
+              ...(e2eeFormatVersion ? { e2eeFormatVersion } : {}),
+              ...(maxDownloads !== undefined ? { maxDownloads } : {}),
+              ...(keyProtection ? { keyProtection } : {}),
+            }),
+          });
+          if (!result.res.ok) {
+            throw errorFromResponse(result.json || result.text, `Bundle initialisation failed: ${result.res.status}`, responseInfo(result.res));
+          }
+          return result;
+        }, {
+          policy: retryPolicy, operation: 'init', label: 'Initialisation failed.', signal: effectiveSignal,
+          progress, event: { percent: 0, processedBytes: 0, totalBytes: totalSizeBytes, totalFiles: files.length },
         });
 
-        if (!initBundleRes.res.ok) {
-          const errorJson = initBundleRes.json as { error?: string } | null;
-          throw new DropgateProtocolError(errorJson?.error || `Bundle initialisation failed: ${initBundleRes.res.status}`, { details: initBundleRes.json || initBundleRes.text });
-        }
-
         const bundleInitJson = initBundleRes.json as { bundleUploadId?: string; fileUploadIds?: string[] } | null;
         const bundleUploadId = bundleInitJson?.bundleUploadId;
         const fileUploadIds = bundleInitJson?.fileUploadIds;
@@ -804,103 +1148,74 @@ export class DropgateClient {
         }
         currentUploadIds.push(...fileUploadIds);
         uploadState = 'uploading';
+        reportResumeState({
+          baseUrl, bundleUploadId, fileUploadIds,
+          ...(keyB64 ? { keyB64, e2eeFormatVersion } : {}),
+          ...(passphraseProtected ? { passphraseProtected } : {}),
+        });
 
-        // Upload each file sequentially
+        // Upload the files in parallel, sharing the chunk slots, and report their progress in order
         const fileResults: Array<{ fileId: string; name: string; size: number }> = [];
-        let cumulativeBytes = 0;
+        const fileOffsets = files.map((_, fi) => files.slice(0, fi).reduce((sum, f) => sum + f.size, 0));
+        const orderedProgress = createOrderedProgress(progress, files.length);
 
-        for (let fi = 0; fi < files.length; fi++) {
+        await forEachConcurrently(files.length, slots.size, async (fi) => {
           const file = files[fi];
           const uploadId = fileUploadIds[fi];
           const totalChunks = fileManifest[fi].totalChunks;
           const totalUploadSize = fileManifest[fi].totalSize;
+          const baseOffset = fileOffsets[fi];
+          const uploadedBytes = baseOffset + file.size;
+          const fileProgress = orderedProgress.forFile(fi);
 
-          progress({
+          fileProgress({
             phase: 'file-start', text: `Uploading file ${fi + 1} of ${files.length}: ${filenames[fi]}`,
-            percent: totalSizeBytes > 0 ? (cumulativeBytes / totalSizeBytes) * 100 : 0,
-            processedBytes: cumulativeBytes, totalBytes: totalSizeBytes,
+            percent: totalSizeBytes > 0 ? (baseOffset / totalSizeBytes) * 100 : 0,
+            processedBytes: baseOffset, totalBytes: totalSizeBytes,
             fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi],
           });
 
           await this._uploadFileChunks({
-            file, uploadId, cryptoKey, effectiveChunkSize, totalChunks, totalUploadSize,
-            baseOffset: cumulativeBytes, totalBytesAllFiles: totalSizeBytes,
-            progress, signal: effectiveSignal, baseUrl,
-            retries, backoffMs: baseBackoffMs, maxBackoffMs,
+            file, uploadId, cryptoKey, e2eeFormatVersion, effectiveChunkSize, totalChunks, totalUploadSize,
+            baseOffset, totalBytesAllFiles: totalSizeBytes,
+            progress: fileProgress, signal: effectiveSignal, baseUrl, retryPolicy, slots,
             chunkTimeoutMs: timeouts.chunkMs ?? 60000,
             fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi],
           });
 
           // Complete individual file
-          const completeRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/complete`, {
-            method: 'POST',
-            timeoutMs: timeouts.completeMs ?? 30000,
-            signal: effectiveSignal,
-            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-            body: JSON.stringify({ uploadId }),
+          const { fileId } = await this._completeFileUpload({
+            baseUrl, uploadId, timeoutMs: timeouts.completeMs ?? 30000, signal: effectiveSignal, fileIndex: fi,
+            retryPolicy, progress: fileProgress, progressEvent: {
+              percent: totalSizeBytes > 0 ? (uploadedBytes / totalSizeBytes) * 100 : 0,
+              processedBytes: uploadedBytes, totalBytes: totalSizeBytes,
+              fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi],
+            },
           });
 
-          if (!completeRes.res.ok) {
-            const errorJson = completeRes.json as { error?: string } | null;
-            throw new DropgateProtocolError(errorJson?.error || `File ${fi + 1} finalisation failed.`, { details: completeRes.json || completeRes.text });
-          }
-
-          const fileId = (completeRes.json as { id?: string })?.id;
-          if (!fileId) throw new DropgateProtocolError(`Server did not return a valid file id for file ${fi + 1}.`);
+          fileResults[fi] = { fileId, name: filenames[fi], size: file.size };
 
-          fileResults.push({ fileId, name: filenames[fi], size: file.size });
-          cumulativeBytes += file.size;
-
-          progress({
+          fileProgress({
             phase: 'file-complete', text: `File ${fi + 1} of ${files.length} uploaded.`,
-            percent: totalSizeBytes > 0 ? (cumulativeBytes / totalSizeBytes) * 100 : 0,
-            processedBytes: cumulativeBytes, totalBytes: totalSizeBytes,
+            percent: totalSizeBytes > 0 ? (uploadedBytes / totalSizeBytes) * 100 : 0,
+            processedBytes: uploadedBytes, totalBytes: totalSizeBytes,
             fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi],
           });
-        }
+          orderedProgress.finish(fi);
+        });
 
         // Complete bundle
         progress({ phase: 'complete', text: 'Finalising bundle...', percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
         uploadState = 'completing';
 
-        // For encrypted bundles, build and encrypt the manifest client-side.
-        // The server stores only the opaque blob and cannot read which files belong to the bundle.
-        let encryptedManifestB64: string | undefined;
-        if (effectiveEncrypt && cryptoKey) {
-          const manifest = JSON.stringify({
-            files: fileResults.map(r => ({
-              fileId: r.fileId,
-              name: r.name,
-              sizeBytes: r.size,
-            })),
-          });
-          const manifestBytes = new TextEncoder().encode(manifest);
-          const encryptedBlob = await encryptToBlob(this.cryptoObj, manifestBytes.buffer, cryptoKey);
-          const encryptedBuffer = new Uint8Array(await encryptedBlob.arrayBuffer());
-          encryptedManifestB64 = this.base64.encode(encryptedBuffer);
-        }
-
-        const completeBundleRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/complete-bundle`, {
-          method: 'POST',
-          timeoutMs: timeouts.completeMs ?? 30000,
-          signal: effectiveSignal,
-          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-          body: JSON.stringify({
-            bundleUploadId,
-            ...(encryptedManifestB64 ? { encryptedManifest: encryptedManifestB64 } : {}),
-          }),
+        const { bundleId, manageToken } = await this._completeBundleUpload({
+          baseUrl, bundleUploadId, fileResults, cryptoKey,
+          timeoutMs: timeouts.completeMs ?? 30000, signal: effectiveSignal,
+          retryPolicy, progress, progressEvent: { percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes },
         });
 
-        if (!completeBundleRes.res.ok) {
-          const errorJson = completeBundleRes.json as { error?: string } | null;
-          throw new DropgateProtocolError(errorJson?.error || 'Bundle finalisation failed.', { details: completeBundleRes.json || completeBundleRes.text });
-        }
-
-        const bundleId = (completeBundleRes.json as { bundleId?: string })?.bundleId;
-        if (!bundleId) throw new DropgateProtocolError('Server did not return a valid bundle id.');
-
         let downloadUrl = `${baseUrl}/b/${bundleId}`;
-        if (effectiveEncrypt && keyB64) downloadUrl += `#${keyB64}`;
+        if (effectiveEncrypt && keyB64 && !passphraseProtected) downloadUrl += `#${keyB64}`;
 
         progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
         uploadState = 'completed';
@@ -908,6 +1223,8 @@ export class DropgateClient {
         return {
           downloadUrl, bundleId, baseUrl, files: fileResults,
           ...(effectiveEncrypt && keyB64 ? { keyB64 } : {}),
+          ...(passphraseProtected ? { passphraseProtected } : {}),
+          ...(manageToken ? { manageToken } : {}),
         };
 
       } catch (err) {
@@ -925,7 +1242,7 @@ export class DropgateClient {
       try {
         await fetchJson(this.fetchFn, `${this.baseUrl}/upload/cancel`, {
           method: 'POST', timeoutMs: 5000,
-          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this._authHeaders() },
           body: JSON.stringify({ uploadId }),
         });
       } catch { /* Best effort */ }
@@ -946,107 +1263,608 @@ export class DropgateClient {
   }
 
   /**
-   * Upload a single file's chunks to the server. Used internally by uploadFiles().
+   * Fetch the server-side progress of an unfinished upload.
+   * Accepts a single-file uploadId or a bundleUploadId.
+   * @param uploadId - Upload or bundle upload session ID.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns Received chunk indices for uploads, or completed files for bundles.
+   * @throws {DropgateProtocolError} If the session has expired or the server returns an error.
    */
-  private async _uploadFileChunks(params: {
-    file: FileSource;
-    uploadId: string;
-    cryptoKey: CryptoKey | null;
-    effectiveChunkSize: number;
-    totalChunks: number;
-    totalUploadSize: number;
-    baseOffset: number;
-    totalBytesAllFiles: number;
-    progress: (evt: UploadProgressEvent) => void;
-    signal?: AbortSignal;
-    baseUrl: string;
-    retries: number;
-    backoffMs: number;
-    maxBackoffMs: number;
-    chunkTimeoutMs: number;
-    fileIndex?: number;
-    totalFiles?: number;
-    currentFileName?: string;
-  }): Promise<void> {
-    const {
-      file, uploadId, cryptoKey, effectiveChunkSize, totalChunks,
-      baseOffset, totalBytesAllFiles, progress, signal, baseUrl,
-      retries, backoffMs, maxBackoffMs, chunkTimeoutMs,
-      fileIndex, totalFiles, currentFileName,
-    } = params;
-
-    for (let i = 0; i < totalChunks; i++) {
-      if (signal?.aborted) {
-        throw signal.reason || new DropgateAbortError();
-      }
-
-      const start = i * effectiveChunkSize;
-      const end = Math.min(start + effectiveChunkSize, file.size);
-      const chunkSlice = file.slice(start, end);
-
-      const processedBytes = baseOffset + start;
-      const percent = totalBytesAllFiles > 0 ? (processedBytes / totalBytesAllFiles) * 100 : 0;
-      progress({
-        phase: 'chunk',
-        text: `Uploading chunk ${i + 1} of ${totalChunks}...`,
-        percent, processedBytes, totalBytes: totalBytesAllFiles,
-        chunkIndex: i, totalChunks,
-        ...(fileIndex !== undefined ? { fileIndex, totalFiles, currentFileName } : {}),
-      });
-
-      const chunkBuffer = await chunkSlice.arrayBuffer();
-
-      let uploadBlob: Blob;
-      if (cryptoKey) {
-        uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey);
-      } else {
-        uploadBlob = new Blob([chunkBuffer]);
-      }
+  async getUploadSessionStatus(
+    uploadId: string,
+    opts?: ConnectOptions
+  ): Promise<UploadSessionStatus | BundleUploadSessionStatus> {
+    if (!uploadId || typeof uploadId !== 'string') {
+      throw new DropgateValidationError('Upload ID is required.');
+    }
 
-      if (uploadBlob.size > effectiveChunkSize + 1024) {
-        throw new DropgateValidationError('Chunk too large (client-side). Check chunk size settings.');
-      }
+    const { timeoutMs = 5000, signal } = opts ?? {};
 
-      const toHash = await uploadBlob.arrayBuffer();
-      const hashHex = await sha256Hex(this.cryptoObj, toHash);
+    const url = `${this.baseUrl}/upload/status/${encodeURIComponent(uploadId)}`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: 'GET',
+      timeoutMs,
+      signal,
+      headers: this._authHeaders(),
+    });
 
-      await this._attemptChunkUpload(
-        `${baseUrl}/upload/chunk`,
-        { method: 'POST', headers: { 'Content-Type': 'application/octet-stream', 'X-Upload-ID': uploadId, 'X-Chunk-Index': String(i), 'X-Chunk-Hash': hashHex }, body: uploadBlob },
-        { retries, backoffMs, maxBackoffMs, timeoutMs: chunkTimeoutMs, signal, progress, chunkIndex: i, totalChunks, chunkSize: effectiveChunkSize, fileSizeBytes: totalBytesAllFiles }
-      );
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to fetch upload status (status ${res.status}).`);
     }
+
+    return json as UploadSessionStatus | BundleUploadSessionStatus;
   }
 
   /**
-   * Download one or more files from the server with optional decryption.
-   *
-   * For single files, use `fileId`. For bundles, use `bundleId`.
-   * With `asZip: true` on bundles, streams a ZIP archive via `onData`.
-   * Without `asZip`, delivers files individually via `onFileStart`/`onFileData`/`onFileEnd`.
+   * Resume an interrupted upload, sending only the chunks the server is missing.
+   * Pass the same file(s) as the original upload and the state reported by its
+   * onResumeState callback. Works across client restarts, and across server restarts
+   * when the server preserves uploads.
    *
-   * @param opts - Download options including file/bundle ID and optional key.
-   * @returns Download result containing filename(s) and received bytes.
+   * @param opts - Resume options including file(s) and resume state.
+   * @returns Upload session with result promise and cancellation support.
+   * @throws {DropgateValidationError} If the resume state does not match the files.
    */
-  async downloadFiles(opts: DownloadFilesOptions): Promise<DownloadResult> {
+  async resumeUpload(opts: ResumeUploadOptions): Promise<UploadSession> {
     const {
-      fileId,
-      bundleId,
-      keyB64,
-      asZip,
-      zipFilename: _zipFilename,
+      files: rawFiles,
+      state,
+      filenameOverrides,
       onProgress,
-      onData,
-      onFileStart,
-      onFileData,
-      onFileEnd,
+      onCancel,
       signal,
-      timeoutMs = 60000,
+      timeouts = {},
+      retry = {},
+      concurrency,
     } = opts;
 
-    const progress = (evt: DownloadProgressEvent): void => {
-      try { if (onProgress) onProgress(evt); } catch { /* Ignore */ }
-    };
+    const files = Array.isArray(rawFiles) ? rawFiles : [rawFiles];
+    const isBundle = Boolean(state?.bundleUploadId);
+    const stateMatches = isBundle
+      ? state.fileUploadIds?.length === files.length && files.length > 1
+      : Boolean(state?.uploadId) && files.length === 1;
+    if (!stateMatches) {
+      throw new DropgateValidationError('Resume state does not match the files provided.');
+    }
+
+    const internalController = signal ? null : new AbortController();
+    const effectiveSignal = signal || internalController?.signal;
+
+    let uploadState: 'initializing' | 'uploading' | 'completing' | 'completed' | 'cancelled' | 'error' = 'initializing';
+    const currentUploadIds: string[] = isBundle ? [...state.fileUploadIds!] : [state.uploadId!];
+
+    const totalSizeBytes = files.reduce((sum, f) => sum + f.size, 0);
+
+    const uploadPromise = (async (): Promise<UploadResult> => {
+      try {
+        const progress = (evt: UploadProgressEvent): void => {
+          try { if (onProgress) onProgress(evt); } catch { /* Ignore */ }
+        };
+
+        progress({ phase: 'server-info', text: 'Checking server...', percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+
+        const compat = await this.connect({
+          timeoutMs: timeouts.serverInfoMs ?? 5000,
+          signal: effectiveSignal,
+        });
+
+        const { baseUrl } = compat;
+        progress({ phase: 'server-compat', text: compat.message, percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+        if (!compat.compatible) {
+          throw new DropgateValidationError(compat.message);
+        }
+
+        const filenames = files.map((f, i) => filenameOverrides?.[i] ?? f.name ?? 'file');
+
+        let cryptoKey: CryptoKey | null = null;
+        if (state.keyB64) {
+          if (!this.cryptoObj?.subtle) {
+            throw new DropgateValidationError(
+              'Web Crypto API not available (crypto.subtle). Encryption requires a secure context (HTTPS or localhost).'
+            );
+          }
+          progress({ phase: 'crypto', text: 'Restoring encryption key...', percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+          try {
+            cryptoKey = await importKeyFromBase64(this.cryptoObj, state.keyB64, this.base64, ['encrypt', 'decrypt']);
+          } catch (err) {
+            throw new DropgateError('Failed to restore encryption key.', { code: 'CRYPTO_PREP_FAILED', cause: err });
+          }
+        }
+
+        const retryPolicy = resolveRetryPolicy(retry);
+        const slots = createChunkSlots(resolveConcurrency(concurrency, compat.serverInfo));
+
+        progress({ phase: 'init', text: 'Checking upload progress...', percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+
+        // Upload whatever the server is missing for one file, then finalise it.
+        const resumeFile = async (
+          fi: number,
+          baseOffset: number,
+          fileProgress: (evt: UploadProgressEvent) => void = progress
+        ): Promise<{ fileId: string; manageToken?: string }> => {
+          const file = files[fi];
+          const uploadId = currentUploadIds[fi];
+          const status = await this.getUploadSessionStatus(uploadId, {
+            timeoutMs: timeouts.initMs ?? 15000, signal: effectiveSignal,
+          }) as UploadSessionStatus;
+
+          if (status.isEncrypted && !cryptoKey) {
+            throw new DropgateValidationError('The encryption key is required to resume an encrypted upload.');
+          }
+          const totalChunks = Math.ceil(file.size / status.chunkSize);
+          const totalUploadSize = estimateTotalUploadSizeBytes(file.size, totalChunks, status.isEncrypted);
+          if (totalChunks !== status.totalChunks || totalUploadSize !== status.totalSize) {
+            throw new DropgateValidationError(`File ${fi + 1} does not match the interrupted upload.`);
+          }
+
+          uploadState = 'uploading';
+          await this._uploadFileChunks({
+            file, uploadId, cryptoKey, e2eeFormatVersion: state.e2eeFormatVersion,
+            effectiveChunkSize: status.chunkSize, totalChunks, totalUploadSize,
+            baseOffset, totalBytesAllFiles: totalSizeBytes,
+            progress: fileProgress, signal: effectiveSignal, baseUrl, retryPolicy, slots,
+            chunkTimeoutMs: timeouts.chunkMs ?? 60000,
+            skipChunks: new Set(status.receivedChunks),
+            ...(isBundle ? { fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi] } : {}),
+          });
+
+          if (!isBundle) {
+            progress({ phase: 'complete', text: 'Finalising upload...', percent: 100, processedBytes: file.size, totalBytes: file.size });
+            uploadState = 'completing';
+          }
+          return this._completeFileUpload({
+            baseUrl, uploadId, timeoutMs: timeouts.completeMs ?? 30000, signal: effectiveSignal,
+            retryPolicy, progress: fileProgress, progressEvent: {
+              percent: totalSizeBytes > 0 ? ((baseOffset + file.size) / totalSizeBytes) * 100 : 0,
+              processedBytes: baseOffset + file.size, totalBytes: totalSizeBytes,
+            },
+            ...(isBundle ? { fileIndex: fi } : {}),
+          });
+        };
+
+        // ========== SINGLE FILE ==========
+        if (!isBundle) {
+          const uploadId = state.uploadId!;
+          const { fileId, manageToken } = await resumeFile(0, 0);
+
+          let downloadUrl = `${baseUrl}/${fileId}`;
+          if (state.keyB64 && !state.passphraseProtected) downloadUrl += `#${state.keyB64}`;
+
+          progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
+          uploadState = 'completed';
+
+          return {
+            downloadUrl, fileId, uploadId, baseUrl,
+            ...(state.keyB64 ? { keyB64: state.keyB64 } : {}),
+            ...(state.passphraseProtected ? { passphraseProtected: true } : {}),
+            ...(manageToken ? { manageToken } : {}),
+          };
+        }
+
+        // ========== MULTI-FILE (BUNDLE) ==========
+        const bundleUploadId = state.bundleUploadId!;
+        const bundleStatus = await this.getUploadSessionStatus(bundleUploadId, {
+          timeoutMs: timeouts.initMs ?? 15000, signal: effectiveSignal,
+        }) as BundleUploadSessionStatus;
+        if (bundleStatus.isEncrypted && !cryptoKey) {
+          throw new DropgateValidationError('The encryption key is required to resume an encrypted upload.');
+        }
+        const completedFileIds = new Map(bundleStatus.completedFiles.map(f => [f.uploadId, f.fileId]));
+
+        const fileResults: Array<{ fileId: string; name: string; size: number }> = [];
+        const fileOffsets = files.map((_, fi) => files.slice(0, fi).reduce((sum, f) => sum + f.size, 0));
+        const orderedProgress = createOrderedProgress(progress, files.length);
+
+        await forEachConcurrently(files.length, slots.size, async (fi) => {
+          const file = files[fi];
+          const baseOffset = fileOffsets[fi];
+          const uploadedBytes = baseOffset + file.size;
+          const fileProgress = orderedProgress.forFile(fi);
+          let fileId = completedFileIds.get(currentUploadIds[fi]);
+
+          if (!fileId) {
+            fileProgress({
+              phase: 'file-start', text: `Uploading file ${fi + 1} of ${files.length}: ${filenames[fi]}`,
+              percent: totalSizeBytes > 0 ? (baseOffset / totalSizeBytes) * 100 : 0,
+              processedBytes: baseOffset, totalBytes: totalSizeBytes,
+              fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi],
+            });
+            fileId = (await resumeFile(fi, baseOffset, fileProgress)).fileId;
+          }
+
+          fileResults[fi] = { fileId, name: filenames[fi], size: file.size };
+
+          fileProgress({
+            phase: 'file-complete', text: `File ${fi + 1} of ${files.length} uploaded.`,
+            percent: totalSizeBytes > 0 ? (uploadedBytes / totalSizeBytes) * 100 : 0,
+            processedBytes: uploadedBytes, totalBytes: totalSizeBytes,
+            fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi],
+          });
+          orderedProgress.finish(fi);
+        });
+
+        progress({ phase: 'complete', text: 'Finalising bundle...', percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
+        uploadState = 'completing';
+
+        const { bundleId, manageToken } = await this._completeBundleUpload({
+          baseUrl, bundleUploadId, fileResults, cryptoKey,
+          timeoutMs: timeouts.completeMs ?? 30000, signal: effectiveSignal,
+          retryPolicy, progress, progressEvent: { percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes },
+        });
+
+        let downloadUrl = `${baseUrl}/b/${bundleId}`;
+        if (state.keyB64 && !state.passphraseProtected) downloadUrl += `#${state.keyB64}`;
+
+        progress({ phase: 'done', text: 'Upload successful!', percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
+        uploadState = 'completed';
+
+        return {
+          downloadUrl, bundleId, baseUrl, files: fileResults,
+          ...(state.keyB64 ? { keyB64: state.keyB64 } : {}),
+          ...(state.passphraseProtected ? { passphraseProtected: true } : {}),
+          ...(manageToken ? { manageToken } : {}),
+        };
+
+      } catch (err) {
+        if (err instanceof Error && (err.name === 'AbortError' || err.message?.includes('abort'))) {
+          uploadState = 'cancelled';
+          onCancel?.();
+        } else {
+          uploadState = 'error';
+        }
+        throw err;
+      }
+    })();
+
+    const callCancelEndpoint = async (uploadId: string): Promise<void> => {
+      try {
+        await fetchJson(this.fetchFn, `${this.baseUrl}/upload/cancel`, {
+          method: 'POST', timeoutMs: 5000,
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this._authHeaders() },
+          body: JSON.stringify({ uploadId }),
+        });
+      } catch { /* Best effort */ }
+    };
+
+    return {
+      result: uploadPromise,
+      cancel: (reason?: string) => {
+        if (uploadState === 'completed' || uploadState === 'cancelled') return;
+        uploadState = 'cancelled';
+        for (const id of currentUploadIds) {
+          callCancelEndpoint(id).catch(() => { });
+        }
+        internalController?.abort(new DropgateAbortError(reason || 'Upload cancelled by user.'));
+      },
+      getStatus: () => uploadState,
+    };
+  }
+
+  /**
+   * Inspect an upload you own: expiry, download limit and current download count.
+   * @param opts - The file or bundle ID and its management token.
+   * @returns Current upload status.
+   * @throws {DropgateProtocolError} If the upload is gone or the token is wrong.
+   */
+  async getUploadStatus(opts: ManageUploadOptions): Promise<UploadStatus> {
+    return this._manageUpload('GET', opts);
+  }
+
+  /**
+   * Change the lifetime and/or download limit of an upload you own.
+   * @param opts - The file or bundle ID, its management token and the new settings.
+   * @returns Upload status after the change.
+   * @throws {DropgateProtocolError} If the server rejects the change or the token is wrong.
+   */
+  async updateUpload(opts: UpdateUploadOptions): Promise<UploadStatus> {
+    const { lifetimeMs, maxDownloads } = opts;
+    if (lifetimeMs === undefined && maxDownloads === undefined) {
+      throw new DropgateValidationError('Nothing to update. Provide lifetimeMs and/or maxDownloads.');
+    }
+    return this._manageUpload('PATCH', opts, {
+      ...(lifetimeMs !== undefined ? { lifetimeMs } : {}),
+      ...(maxDownloads !== undefined ? { maxDownloads } : {}),
+    });
+  }
+
+  /**
+   * Delete an upload you own before it expires. Deleting a bundle deletes all of its files.
+   * @param opts - The file or bundle ID and its management token.
+   * @throws {DropgateProtocolError} If the upload is gone or the token is wrong.
+   */
+  async deleteUpload(opts: ManageUploadOptions): Promise<void> {
+    await this._manageUpload('DELETE', opts);
+  }
+
+  /**
+   * Upload a single file's chunks to the server. Used internally by uploadFiles().
+   */
+  private async _uploadFileChunks(params: {
+    file: FileSource;
+    uploadId: string;
+    cryptoKey: CryptoKey | null;
+    /** E2EE format to encrypt chunks with (default: 1). */
+    e2eeFormatVersion?: number;
+    effectiveChunkSize: number;
+    totalChunks: number;
+    totalUploadSize: number;
+    baseOffset: number;
+    totalBytesAllFiles: number;
+    progress: (evt: UploadProgressEvent) => void;
+    signal?: AbortSignal;
+    baseUrl: string;
+    retryPolicy: RetryPolicy;
+    /** Chunk slots shared by every file of the upload. */
+    slots: ChunkSlots;
+    chunkTimeoutMs: number;
+    fileIndex?: number;
+    totalFiles?: number;
+    currentFileName?: string;
+    /** Chunk indices the server already has (when resuming). */
+    skipChunks?: Set<number>;
+  }): Promise<void> {
+    const {
+      file, uploadId, cryptoKey, e2eeFormatVersion = 1, effectiveChunkSize, totalChunks,
+      baseOffset, totalBytesAllFiles, progress, signal, baseUrl,
+      retryPolicy, slots, chunkTimeoutMs,
+      fileIndex, totalFiles, currentFileName, skipChunks,
+    } = params;
+
+    // Progress follows the first chunk not yet uploaded, so it stays in order while
+    // chunks sent in parallel finish out of order.
+    const uploaded = new Set(skipChunks);
+    let firstPending = -1;
+    const reportProgress = (): void => {
+      let i = Math.max(firstPending, 0);
+      while (i < totalChunks && uploaded.has(i)) i++;
+      if (i === firstPending || i >= totalChunks) return;
+      firstPending = i;
+
+      const processedBytes = baseOffset + i * effectiveChunkSize;
+      const percent = totalBytesAllFiles > 0 ? (processedBytes / totalBytesAllFiles) * 100 : 0;
+      progress({
+        phase: 'chunk',
+        text: `Uploading chunk ${i + 1} of ${totalChunks}...`,
+        percent, processedBytes, totalBytes: totalBytesAllFiles,
+        chunkIndex: i, totalChunks,
+        ...(fileIndex !== undefined ? { fileIndex, totalFiles, currentFileName } : {}),
+      });
+    };
+    reportProgress();
+
+    await forEachConcurrently(totalChunks, slots.size, async (i) => {
+      if (uploaded.has(i)) return;
+
+      await slots.acquire();
+      try {
+        if (signal?.aborted) {
+          throw signal.reason || new DropgateAbortError();
+        }
+
+        const start = i * effectiveChunkSize;
+        const end = Math.min(start + effectiveChunkSize, file.size);
+        const chunkBuffer = await file.slice(start, end).arrayBuffer();
+
+        let uploadBlob: Blob;
+        if (cryptoKey) {
+          const isFinal = i === totalChunks - 1;
+          const aad = e2eeFormatVersion >= 3 ? buildChunkAad(i, isFinal, fileIndex ?? 0)
+            : e2eeFormatVersion === 2 ? buildChunkAad(i, isFinal)
+              : undefined;
+          uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey, aad);
+        } else {
+          uploadBlob = new Blob([chunkBuffer]);
+        }
+
+        if (uploadBlob.size > effectiveChunkSize + 1024) {
+          throw new DropgateValidationError('Chunk too large (client-side). Check chunk size settings.');
+        }
+
+        const toHash = await uploadBlob.arrayBuffer();
+        const hashHex = await sha256Hex(this.cryptoObj, toHash);
+
+        await this._attemptChunkUpload(
+          `${baseUrl}/upload/chunk`,
+          { method: 'POST', headers: { 'Content-Type': 'application/octet-stream', ...this._authHeaders(), 'X-Upload-ID': uploadId, 'X-Chunk-Index': String(i), 'X-Chunk-Hash': hashHex }, body: uploadBlob },
+          { retryPolicy, timeoutMs: chunkTimeoutMs, signal, progress, chunkIndex: i, totalChunks, chunkSize: effectiveChunkSize, fileSizeBytes: totalBytesAllFiles }
+        );
+      } catch (err) {
+        slots.fail(err);
+        throw err;
+      } finally {
+        slots.release();
+      }
+
+      uploaded.add(i);
+      reportProgress();
+    });
+  }
+
+  /**
+   * Authorization header for upload requests, when an auth token is configured.
+   */
+  private _authHeaders(): Record<string, string> {
+    return this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {};
+  }
+
+  /**
+   * Send an owner management request. Used internally by getUploadStatus(),
+   * updateUpload() and deleteUpload().
+   */
+  private async _manageUpload(
+    method: 'GET' | 'PATCH' | 'DELETE',
+    opts: ManageUploadOptions,
+    body?: Record<string, unknown>
+  ): Promise<UploadStatus> {
+    const { fileId, bundleId, manageToken, timeoutMs = 5000, signal } = opts;
+
+    if (Boolean(fileId) === Boolean(bundleId)) {
+      throw new DropgateValidationError('Provide either fileId or bundleId.');
+    }
+    if (!manageToken || typeof manageToken !== 'string') {
+      throw new DropgateValidationError('Management token is required.');
+    }
+
+    const path = fileId
+      ? `file/${encodeURIComponent(fileId)}`
+      : `bundle/${encodeURIComponent(bundleId!)}`;
+    const { res, json, text } = await fetchJson(this.fetchFn, `${this.baseUrl}/api/${path}/manage`, {
+      method,
+      timeoutMs,
+      signal,
+      headers: {
+        Accept: 'application/json',
+        'X-Manage-Token': manageToken,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    if (!res.ok) {
+      throw errorFromResponse(json || text, `Upload management request failed (status ${res.status}).`);
+    }
+
+    return json as UploadStatus;
+  }
+
+  /**
+   * Finalise a single file upload. Used internally by uploadFiles() and resumeUpload().
+   * @returns The new file ID, and its management token for standalone files.
+   */
+  private async _completeFileUpload(params: {
+    baseUrl: string;
+    uploadId: string;
+    timeoutMs: number;
+    signal?: AbortSignal;
+    /** Set for files that are part of a bundle (used in error messages). */
+    fileIndex?: number;
+    retryPolicy: RetryPolicy;
+    progress: (evt: UploadProgressEvent) => void;
+    /** Progress reported while waiting to retry. */
+    progressEvent: Omit<UploadProgressEvent, 'phase' | 'text'>;
+  }): Promise<{ fileId: string; manageToken?: string }> {
+    const { baseUrl, uploadId, timeoutMs, signal, fileIndex, retryPolicy, progress, progressEvent } = params;
+    const fallback = fileIndex !== undefined ? `File ${fileIndex + 1} finalisation failed.` : 'Finalisation failed.';
+
+    const completeRes = await this._retryUploadRequest(async () => {
+      const result = await this._fetchUploadJson(`${baseUrl}/upload/complete`, {
+        method: 'POST',
+        timeoutMs,
+        signal,
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this._authHeaders() },
+        body: JSON.stringify({ uploadId }),
+      });
+      if (!result.res.ok) {
+        throw errorFromResponse(result.json || result.text, fallback, responseInfo(result.res));
+      }
+      return result;
+    }, { policy: retryPolicy, operation: 'complete', label: fallback, signal, progress, event: progressEvent });
+
+    const completeJson = completeRes.json as { id?: string; manageToken?: string } | null;
+    const fileId = completeJson?.id;
+    if (!fileId) {
+      throw new DropgateProtocolError(fileIndex !== undefined
+        ? `Server did not return a valid file id for file ${fileIndex + 1}.`
+        : 'Server did not return a valid file id.');
+    }
+    return { fileId, ...(completeJson?.manageToken ? { manageToken: completeJson.manageToken } : {}) };
+  }
+
+  /**
+   * Finalise a bundle upload. Used internally by uploadFiles() and resumeUpload().
+   * @returns The new bundle ID and its management token.
+   */
+  private async _completeBundleUpload(params: {
+    baseUrl: string;
+    bundleUploadId: string;
+    fileResults: Array<{ fileId: string; name: string; size: number }>;
+    cryptoKey: CryptoKey | null;
+    timeoutMs: number;
+    signal?: AbortSignal;
+    retryPolicy: RetryPolicy;
+    progress: (evt: UploadProgressEvent) => void;
+    /** Progress reported while waiting to retry. */
+    progressEvent: Omit<UploadProgressEvent, 'phase' | 'text'>;
+  }): Promise<{ bundleId: string; manageToken?: string }> {
+    const { baseUrl, bundleUploadId, fileResults, cryptoKey, timeoutMs, signal, retryPolicy, progress, progressEvent } = params;
+
+    // For encrypted bundles, build and encrypt the manifest client-side.
+    // The server stores only the opaque blob and cannot read which files belong to the bundle.
+    // Its files are then only served to downloaders holding the bundle key.
+    let encryptedManifestB64: string | undefined;
+    let accessKey: string | undefined;
+    if (cryptoKey) {
+      const manifest = JSON.stringify({
+        files: fileResults.map(r => ({
+          fileId: r.fileId,
+          name: r.name,
+          sizeBytes: r.size,
+        })),
+      });
+      const manifestBytes = new TextEncoder().encode(manifest);
+      const encryptedBlob = await encryptToBlob(this.cryptoObj, manifestBytes.buffer, cryptoKey);
+      const encryptedBuffer = new Uint8Array(await encryptedBlob.arrayBuffer());
+      encryptedManifestB64 = this.base64.encode(encryptedBuffer);
+      accessKey = await deriveBundleAccessKey(this.cryptoObj, cryptoKey);
+    }
+
+    const completeBundleRes = await this._retryUploadRequest(async () => {
+      const result = await this._fetchUploadJson(`${baseUrl}/upload/complete-bundle`, {
+        method: 'POST',
+        timeoutMs,
+        signal,
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this._authHeaders() },
+        body: JSON.stringify({
+          bundleUploadId,
+          ...(encryptedManifestB64 ? { encryptedManifest: encryptedManifestB64, accessKey } : {}),
+        }),
+      });
+      if (!result.res.ok) {
+        throw errorFromResponse(result.json || result.text, 'Bundle finalisation failed.', responseInfo(result.res));
+      }
+      return result;
+    }, { policy: retryPolicy, operation: 'complete', label: 'Bundle finalisation failed.', signal, progress, event: progressEvent });
+
+    const completeJson = completeBundleRes.json as { bundleId?: string; manageToken?: string } | null;
+    const bundleId = completeJson?.bundleId;
+    if (!bundleId) throw new DropgateProtocolError('Server did not return a valid bundle id.');
+    return { bundleId, ...(completeJson?.manageToken ? { manageToken: completeJson.manageToken } : {}) };
+  }
+
+  /**
+   * Download one or more files from the server with optional decryption.
+   *
+   * For single files, use `fileId`. For bundles, use `bundleId`.
+   * With `asZip: true` on bundles, streams a ZIP archive via `onData`.
+   * Without `asZip`, delivers files individually via `onFileStart`/`onFileData`/`onFileEnd`.
+   *
+   * @param opts - Download options including file/bundle ID and optional key.
+   * @returns Download result containing filename(s) and received bytes.
+   */
+  async downloadFiles(opts: DownloadFilesOptions): Promise<DownloadResult> {
+    const {
+      fileId,
+      bundleId,
+      keyB64: providedKeyB64,
+      passphrase,
+      asZip,
+      zipFilename: _zipFilename,
+      onProgress,
+      onData,
+      onFileStart,
+      onFileData,
+      onFileEnd,
+      signal,
+      timeoutMs = 60000,
+      retry = {},
+      ticket,
+    } = opts;
+
+    const progress = (evt: DownloadProgressEvent): void => {
+      try { if (onProgress) onProgress(evt); } catch { /* Ignore */ }
+    };
+
+    const retrySettings: DownloadRetryOptions = resolveRetryPolicy(retry);
 
     if (!fileId && !bundleId) {
       throw new DropgateValidationError('Either fileId or bundleId is required.');
@@ -1059,9 +1877,17 @@ export class DropgateClient {
     progress({ phase: 'server-compat', text: compat.message, processedBytes: 0, totalBytes: 0, percent: 0 });
     if (!compat.compatible) throw new DropgateValidationError(compat.message);
 
+    // Passphrase-protected uploads keep their key on the server, wrapped
+    let keyB64 = providedKeyB64;
+    if (!keyB64 && passphrase !== undefined) {
+      const protection = await this.getKeyProtection({ fileId, bundleId }, { timeoutMs, signal });
+      if (!protection) throw new DropgateValidationError('This upload is not passphrase-protected.');
+      keyB64 = await this.unlockWithPassphrase(protection, passphrase);
+    }
+
     // ========== SINGLE FILE ==========
     if (fileId) {
-      return this._downloadSingleFile({ fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat });
+      return this._downloadSingleFile({ fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat, retry: retrySettings, ticket });
     }
 
     // ========== BUNDLE ==========
@@ -1126,6 +1952,29 @@ export class DropgateClient {
       }
     }
 
+    // Reserve the download. Files of sealed bundles are only served with the ticket.
+    let bundleTicket: string | undefined;
+    if (compat.serverInfo.capabilities?.upload?.downloadTickets) {
+      try {
+        ({ ticket: bundleTicket } = await this.requestBundleTicket(bundleId!, keyB64, { timeoutMs, signal }));
+      } catch (err) {
+        if (err instanceof DropgateError) throw err;
+        if (err instanceof Error && err.name === 'AbortError') throw new DropgateAbortError('Download cancelled.');
+        throw new DropgateNetworkError('Could not reserve the download.', { cause: err });
+      }
+    }
+
+    // Count the download against the bundle's limit
+    const reportDownloaded = async (): Promise<void> => {
+      try {
+        await fetchJson(this.fetchFn, `${baseUrl}/api/bundle/${bundleId}/downloaded`, {
+          method: 'POST', timeoutMs: 5000,
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify(bundleTicket ? { ticket: bundleTicket } : {}),
+        });
+      } catch { /* Best effort */ }
+    };
+
     let totalReceivedBytes = 0;
 
     if (asZip && onData) {
@@ -1147,8 +1996,9 @@ export class DropgateClient {
 
         // Download and stream this file into the ZIP
         const baseReceivedBytes = totalReceivedBytes;
+        const layout = await this._bundleMemberLayout(fileMeta.fileId, fi, isEncrypted, compat, timeoutMs, signal);
         const bytesReceived = await this._streamFileIntoCallback(
-          baseUrl, fileMeta.fileId, isEncrypted, cryptoKey, compat,
+          baseUrl, fileMeta.fileId, isEncrypted, cryptoKey, layout,
           signal, timeoutMs,
           (chunk) => { zipWriter.writeChunk(chunk); },
           (fileBytes) => {
@@ -1160,6 +2010,13 @@ export class DropgateClient {
               fileIndex: fi, totalFiles: bundleMeta.files.length, currentFileName: name,
             });
           },
+          {
+            ...retrySettings,
+            onRetry: retryWaitProgress(progress, totalBytes, baseReceivedBytes, {
+              fileIndex: fi, totalFiles: bundleMeta.files.length, currentFileName: name,
+            }),
+          },
+          bundleTicket,
         );
 
         zipWriter.endFile();
@@ -1167,15 +2024,7 @@ export class DropgateClient {
       }
 
       await zipWriter.finalize();
-
-      // Notify server of bundle download
-      try {
-        await fetchJson(this.fetchFn, `${baseUrl}/api/bundle/${bundleId}/downloaded`, {
-          method: 'POST', timeoutMs: 5000,
-          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-          body: '{}',
-        });
-      } catch { /* Best effort */ }
+      await reportDownloaded();
 
       progress({ phase: 'complete', text: 'Download complete!', percent: 100, processedBytes: totalReceivedBytes, totalBytes });
 
@@ -1199,8 +2048,9 @@ export class DropgateClient {
         onFileStart?.({ name, size: fileMeta.sizeBytes, index: fi });
 
         const baseReceivedBytes = totalReceivedBytes;
+        const layout = await this._bundleMemberLayout(fileMeta.fileId, fi, isEncrypted, compat, timeoutMs, signal);
         const bytesReceived = await this._streamFileIntoCallback(
-          baseUrl, fileMeta.fileId, isEncrypted, cryptoKey, compat,
+          baseUrl, fileMeta.fileId, isEncrypted, cryptoKey, layout,
           signal, timeoutMs,
           dataCallback ? (chunk) => dataCallback(chunk) : undefined,
           (fileBytes) => {
@@ -1212,12 +2062,21 @@ export class DropgateClient {
               fileIndex: fi, totalFiles: bundleMeta.files.length, currentFileName: name,
             });
           },
+          {
+            ...retrySettings,
+            onRetry: retryWaitProgress(progress, totalBytes, baseReceivedBytes, {
+              fileIndex: fi, totalFiles: bundleMeta.files.length, currentFileName: name,
+            }),
+          },
+          bundleTicket,
         );
 
         onFileEnd?.({ name, index: fi });
         totalReceivedBytes += bytesReceived;
       }
 
+      await reportDownloaded();
+
       progress({ phase: 'complete', text: 'Download complete!', percent: 100, processedBytes: totalReceivedBytes, totalBytes });
 
       return { filenames, receivedBytes: totalReceivedBytes, wasEncrypted: isEncrypted };
@@ -1237,8 +2096,10 @@ export class DropgateClient {
     timeoutMs: number;
     baseUrl: string;
     compat: CompatibilityResult & { serverInfo: ServerInfo; baseUrl: string };
+    retry: DownloadRetryOptions;
+    ticket?: string;
   }): Promise<DownloadResult> {
-    const { fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat } = params;
+    const { fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat, retry } = params;
 
     const progress = (evt: DownloadProgressEvent): void => {
       try { if (onProgress) onProgress(evt); } catch { /* Ignore */ }
@@ -1263,12 +2124,10 @@ export class DropgateClient {
     // For encrypted files, metadata.sizeBytes is the ciphertext size on disk.
     // Progress tracks decrypted bytes, so compute the plaintext total by subtracting
     // the per-chunk encryption overhead (12-byte IV + 16-byte GCM tag = 28 bytes).
+    const layout = this._storedFileLayout(metadata, compat);
     let totalBytes = encryptedTotalBytes;
     if (isEncrypted && encryptedTotalBytes > 0) {
-      const downloadChunkSize = (Number.isFinite(compat.serverInfo?.capabilities?.upload?.chunkSize) && compat.serverInfo.capabilities!.upload!.chunkSize! > 0)
-        ? compat.serverInfo.capabilities!.upload!.chunkSize!
-        : this.chunkSize;
-      const encryptedChunkSize = downloadChunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
+      const encryptedChunkSize = layout.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
       const numChunks = Math.ceil(encryptedTotalBytes / encryptedChunkSize);
       totalBytes = encryptedTotalBytes - numChunks * ENCRYPTION_OVERHEAD_PER_CHUNK;
     }
@@ -1304,11 +2163,23 @@ export class DropgateClient {
     // Download
     progress({ phase: 'downloading', text: 'Starting download...', percent: 0, processedBytes: 0, totalBytes });
 
+    // Reserve the download, so it only counts once the whole file has arrived
+    let ticket = params.ticket;
+    if (!ticket && compat.serverInfo.capabilities?.upload?.downloadTickets) {
+      try {
+        ({ ticket } = await this.requestDownloadTicket(fileId, { timeoutMs, signal }));
+      } catch (err) {
+        if (err instanceof DropgateError) throw err;
+        if (err instanceof Error && err.name === 'AbortError') throw new DropgateAbortError('Download cancelled.');
+        throw new DropgateNetworkError('Could not reserve the download.', { cause: err });
+      }
+    }
+
     const dataChunks: Uint8Array[] = [];
     const collectData = !onData;
 
     const receivedBytes = await this._streamFileIntoCallback(
-      baseUrl, fileId, isEncrypted, cryptoKey, compat, signal, timeoutMs,
+      baseUrl, fileId, isEncrypted, cryptoKey, layout, signal, timeoutMs,
       async (chunk) => {
         if (collectData) {
           dataChunks.push(chunk);
@@ -1323,6 +2194,8 @@ export class DropgateClient {
           processedBytes: bytes, totalBytes,
         });
       },
+      { ...retry, onRetry: retryWaitProgress(progress, totalBytes) },
+      ticket,
     );
 
     progress({ phase: 'complete', text: 'Download complete!', percent: 100, processedBytes: receivedBytes, totalBytes });
@@ -1341,116 +2214,270 @@ export class DropgateClient {
     };
   }
 
+  /**
+   * Chunk layout a stored file was uploaded with. Files stored before the server
+   * recorded it fall back to the server's current chunk size and format detection.
+   */
+  private _storedFileLayout(
+    metadata: Pick<FileMetadata, 'chunkSize' | 'e2eeFormatVersion'>,
+    compat: CompatibilityResult & { serverInfo: ServerInfo; baseUrl: string },
+  ): StoredFileLayout {
+    const serverChunkSize = compat.serverInfo?.capabilities?.upload?.chunkSize;
+    const fallbackChunkSize = (Number.isFinite(serverChunkSize) && serverChunkSize! > 0) ? serverChunkSize! : this.chunkSize;
+    return {
+      chunkSize: (Number.isFinite(metadata.chunkSize) && metadata.chunkSize! > 0) ? metadata.chunkSize! : fallbackChunkSize,
+      ...(metadata.e2eeFormatVersion ? { e2eeFormatVersion: metadata.e2eeFormatVersion } : {}),
+    };
+  }
+
+  /**
+   * Chunk layout of a bundle member. Only encrypted files need it, so plain
+   * bundles skip the extra metadata request.
+   */
+  private async _bundleMemberLayout(
+    fileId: string,
+    fileIndex: number,
+    isEncrypted: boolean,
+    compat: CompatibilityResult & { serverInfo: ServerInfo; baseUrl: string },
+    timeoutMs: number,
+    signal?: AbortSignal,
+  ): Promise<StoredFileLayout> {
+    if (!isEncrypted) return this._storedFileLayout({}, compat);
+    try {
+      return { ...this._storedFileLayout(await this.getFileMetadata(fileId, { timeoutMs, signal }), compat), fileIndex };
+    } catch (err) {
+      if (err instanceof DropgateError) throw err;
+      if (err instanceof Error && err.name === 'AbortError') throw new DropgateAbortError('Download cancelled.');
+      throw new DropgateNetworkError('Could not fetch file metadata.', { cause: err });
+    }
+  }
+
   /**
    * Stream a single file's content into a callback, handling decryption if needed.
-   * Returns total bytes received from the network (encrypted size).
+   * Interrupted transfers are resumed with an HTTP Range request from the last
+   * fully delivered byte (encrypted files resume at the last decrypted chunk boundary),
+   * reusing the download ticket if there is one.
+   * Returns total bytes delivered to the callback (decrypted size for encrypted files).
    */
   private async _streamFileIntoCallback(
     baseUrl: string,
     fileId: string,
     isEncrypted: boolean,
     cryptoKey: CryptoKey | undefined,
-    compat: CompatibilityResult & { serverInfo: ServerInfo; baseUrl: string },
+    layout: StoredFileLayout,
     signal: AbortSignal | undefined,
     timeoutMs: number,
     onChunk?: (chunk: Uint8Array) => void | Promise<void>,
     onBytesReceived?: (receivedBytes: number) => void,
+    retry: DownloadRetryOptions = resolveRetryPolicy({ retries: 0 }),
+    ticket?: string,
   ): Promise<number> {
-    const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
     let receivedBytes = 0;
+    // Offset into the stored file up to which every byte has been delivered to onChunk.
+    let resumeOffset = 0;
+    let etag: string | null = null;
+    let attempt = 0;
+
+    const ENCRYPTED_CHUNK_SIZE = layout.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
+
+    // Files stored before the server recorded their E2EE format (always v1 or v2) have it
+    // detected from the first chunk: a v2 chunk only decrypts with its index and final flag
+    // as AAD. Once known, every chunk must use the same format, so a server can neither
+    // downgrade a file nor reorder, duplicate or truncate its chunks. v3 chunks also only
+    // decrypt as the bundle member they were uploaded as.
+    let formatVersion: number | null = layout.e2eeFormatVersion ?? null;
+    const fileIndex = layout.fileIndex ?? 0;
+    const decryptStoredChunk = async (encryptedChunk: Uint8Array, chunkIndex: number, isFinal: boolean): Promise<ArrayBuffer> => {
+      try {
+        if (formatVersion !== null) {
+          const aad = formatVersion >= 3 ? buildChunkAad(chunkIndex, isFinal, fileIndex)
+            : formatVersion === 2 ? buildChunkAad(chunkIndex, isFinal)
+              : undefined;
+          return await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey!, aad);
+        }
+        try {
+          const decrypted = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey!, buildChunkAad(chunkIndex, isFinal));
+          formatVersion = 2;
+          return decrypted;
+        } catch { /* Not v2 */ }
+        const decrypted = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey!);
+        formatVersion = 1;
+        return decrypted;
+      } catch (err) {
+        throw new DropgateError('Failed to decrypt file data. The file may be corrupted or incomplete.', {
+          code: 'DECRYPT_CHUNK_FAILED', cause: err,
+        });
+      }
+    };
 
-    try {
-      const downloadRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}`, {
-        method: 'GET', signal: downloadSignal,
-      });
+    while (true) {
+      const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
+      // Set while waiting on the network, so only transport failures are retried.
+      let awaitingNetwork = false;
+      let reader: ReadableStreamDefaultReader<Uint8Array> | null = null;
 
-      if (!downloadRes.ok) throw new DropgateProtocolError(`Download failed (status ${downloadRes.status}).`);
-      if (!downloadRes.body) throw new DropgateProtocolError('Streaming response not available.');
+      try {
+        const headers: Record<string, string> = {};
+        if (resumeOffset > 0) {
+          headers.Range = `bytes=${resumeOffset}-`;
+          if (etag) headers['If-Range'] = etag;
+        }
 
-      const reader = downloadRes.body.getReader();
+        awaitingNetwork = true;
+        const downloadRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}${ticket ? `?ticket=${encodeURIComponent(ticket)}` : ''}`, {
+          method: 'GET', headers, signal: downloadSignal,
+        });
+        awaitingNetwork = false;
 
-      if (isEncrypted && cryptoKey) {
-        const downloadChunkSize = (Number.isFinite(compat.serverInfo?.capabilities?.upload?.chunkSize) && compat.serverInfo.capabilities!.upload!.chunkSize! > 0)
-          ? compat.serverInfo.capabilities!.upload!.chunkSize!
-          : this.chunkSize;
-        const ENCRYPTED_CHUNK_SIZE = downloadChunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
-        const pendingChunks: Uint8Array[] = [];
-        let pendingLength = 0;
-
-        const flushPending = (): Uint8Array => {
-          if (pendingChunks.length === 0) return new Uint8Array(0);
-          if (pendingChunks.length === 1) {
-            const result = pendingChunks[0];
+        if (!downloadRes.ok) {
+          const body = parseJsonText(await downloadRes.text().catch(() => ''));
+          throw errorFromResponse(body, `Download failed (status ${downloadRes.status}).`, {
+            details: { status: downloadRes.status },
+            ...responseInfo(downloadRes),
+          });
+        }
+        if (resumeOffset > 0 && downloadRes.status !== 206) {
+          throw new DropgateProtocolError('Server could not resume the download.', {
+            details: { status: downloadRes.status },
+          });
+        }
+        if (!downloadRes.body) throw new DropgateProtocolError('Streaming response not available.');
+        etag = downloadRes.headers?.get('ETag') || etag;
+
+        reader = downloadRes.body.getReader();
+
+        if (isEncrypted && cryptoKey) {
+          const pendingChunks: Uint8Array[] = [];
+          let pendingLength = 0;
+
+          const flushPending = (): Uint8Array => {
+            if (pendingChunks.length === 0) return new Uint8Array(0);
+            if (pendingChunks.length === 1) {
+              const result = pendingChunks[0];
+              pendingChunks.length = 0;
+              pendingLength = 0;
+              return result;
+            }
+            const result = new Uint8Array(pendingLength);
+            let offset = 0;
+            for (const chunk of pendingChunks) { result.set(chunk, offset); offset += chunk.length; }
             pendingChunks.length = 0;
             pendingLength = 0;
             return result;
-          }
-          const result = new Uint8Array(pendingLength);
-          let offset = 0;
-          for (const chunk of pendingChunks) { result.set(chunk, offset); offset += chunk.length; }
-          pendingChunks.length = 0;
-          pendingLength = 0;
-          return result;
-        };
+          };
 
-        while (true) {
-          if (signal?.aborted) throw new DropgateAbortError('Download cancelled.');
-          const { done, value } = await reader.read();
-          if (done) break;
+          while (true) {
+            if (signal?.aborted) throw new DropgateAbortError('Download cancelled.');
+            awaitingNetwork = true;
+            const { done, value } = await reader.read();
+            awaitingNetwork = false;
+            if (done) break;
 
-          pendingChunks.push(value);
-          pendingLength += value.length;
+            pendingChunks.push(value);
+            pendingLength += value.length;
 
-          while (pendingLength >= ENCRYPTED_CHUNK_SIZE) {
-            const buffer = flushPending();
-            const encryptedChunk = buffer.subarray(0, ENCRYPTED_CHUNK_SIZE);
-            if (buffer.length > ENCRYPTED_CHUNK_SIZE) {
+            // A full chunk is only known not to be the last one once more data follows it
+            while (pendingLength > ENCRYPTED_CHUNK_SIZE) {
+              const buffer = flushPending();
+              const encryptedChunk = buffer.subarray(0, ENCRYPTED_CHUNK_SIZE);
               pendingChunks.push(buffer.subarray(ENCRYPTED_CHUNK_SIZE));
               pendingLength = buffer.length - ENCRYPTED_CHUNK_SIZE;
+
+              const chunkIndex = resumeOffset / ENCRYPTED_CHUNK_SIZE;
+              const decryptedBuffer = await decryptStoredChunk(encryptedChunk, chunkIndex, false);
+              receivedBytes += decryptedBuffer.byteLength;
+              if (onBytesReceived) onBytesReceived(receivedBytes);
+              if (onChunk) await onChunk(new Uint8Array(decryptedBuffer));
+              resumeOffset += ENCRYPTED_CHUNK_SIZE;
             }
+          }
 
-            const decryptedBuffer = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey);
+          if (pendingLength > 0) {
+            const buffer = flushPending();
+            const chunkIndex = resumeOffset / ENCRYPTED_CHUNK_SIZE;
+            const decryptedBuffer = await decryptStoredChunk(buffer, chunkIndex, true);
             receivedBytes += decryptedBuffer.byteLength;
             if (onBytesReceived) onBytesReceived(receivedBytes);
             if (onChunk) await onChunk(new Uint8Array(decryptedBuffer));
+            resumeOffset += buffer.length;
+          }
+        } else {
+          while (true) {
+            if (signal?.aborted) throw new DropgateAbortError('Download cancelled.');
+            awaitingNetwork = true;
+            const { done, value } = await reader.read();
+            awaitingNetwork = false;
+            if (done) break;
+            receivedBytes += value.length;
+            if (onBytesReceived) onBytesReceived(receivedBytes);
+            if (onChunk) await onChunk(value);
+            resumeOffset += value.length;
           }
         }
 
-        if (pendingLength > 0) {
-          const buffer = flushPending();
-          const decryptedBuffer = await decryptChunk(this.cryptoObj, buffer, cryptoKey);
-          receivedBytes += decryptedBuffer.byteLength;
-          if (onBytesReceived) onBytesReceived(receivedBytes);
-          if (onChunk) await onChunk(new Uint8Array(decryptedBuffer));
-        }
-      } else {
-        while (true) {
-          if (signal?.aborted) throw new DropgateAbortError('Download cancelled.');
-          const { done, value } = await reader.read();
-          if (done) break;
-          receivedBytes += value.length;
-          if (onBytesReceived) onBytesReceived(receivedBytes);
-          if (onChunk) await onChunk(value);
+        return receivedBytes;
+      } catch (err) {
+        // Release the interrupted response before giving up or opening a new one
+        reader?.cancel().catch(() => { /* Best effort */ });
+        if (signal?.aborted || (err instanceof Error && err.name === 'AbortError')) {
+          throw new DropgateAbortError('Download cancelled.');
         }
+        const failure = err instanceof DropgateError ? err : new DropgateNetworkError('Download failed.', { cause: err });
+
+        // Failures decrypting or handing data to onChunk are never retried
+        attempt += 1;
+        const ctx = retryContext('download', attempt, retry.retries, failure);
+        const retryable = (awaitingNetwork || failure instanceof DropgateProtocolError)
+          && attempt <= retry.retries && retry.shouldRetry(ctx);
+
+        if (!retryable) throw failure;
+
+        const delayMs = retry.getDelayMs(ctx);
+        retry.onRetry?.({ attempt, maxRetries: retry.retries, delayMs, receivedBytes });
+        await sleep(delayMs, signal);
+      } finally {
+        downloadCleanup();
       }
-    } catch (err) {
-      if (err instanceof DropgateError) throw err;
-      if (err instanceof Error && err.name === 'AbortError') throw new DropgateAbortError('Download cancelled.');
-      throw new DropgateNetworkError('Download failed.', { cause: err });
-    } finally {
-      downloadCleanup();
+    }
+  }
+
+  /**
+   * Ask the server for a reserved P2P sharing code.
+   * Only servers advertising `capabilities.p2p.issuedCodes` issue codes.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns The issued code, valid until the sender registers it or it expires.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server does not issue codes or returns an error.
+   */
+  async requestP2PCode(opts?: ConnectOptions): Promise<string> {
+    const { timeoutMs = 5000, signal } = opts ?? {};
+
+    const { res, json } = await fetchJson(this.fetchFn, `${this.baseUrl}/api/p2p/code`, {
+      method: 'POST',
+      timeoutMs,
+      signal,
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to get a direct transfer code (status ${res.status}).`);
     }
 
-    return receivedBytes;
+    const code = json && typeof json === 'object' && 'code' in json ? (json as { code: unknown }).code : null;
+    if (typeof code !== 'string' || !isP2PCodeLike(code)) {
+      throw new DropgateProtocolError('Server returned an invalid direct transfer code.', { details: json });
+    }
+    return code;
   }
 
   /**
    * Start a P2P send session. Connects to the signalling server and waits for a receiver.
    *
-   * Server info, peerjsPath, iceServers, and cryptoObj are provided automatically
-   * from the client's cached server info and configuration.
+   * Server info, peerjsPath, iceServers, relayPath, and cryptoObj are provided automatically
+   * from the client's cached server info and configuration. On servers that issue codes,
+   * each code is requested from the server unless a codeGenerator is given.
    *
-   * @param opts - P2P send options (file, Peer constructor, callbacks, tuning).
+   * @param opts - P2P send options (file, Peer constructor or transport, callbacks, tuning).
    * @returns P2P send session with control methods.
    * @throws {DropgateValidationError} If P2P is not enabled on the server.
    * @throws {DropgateNetworkError} If the signalling server cannot be reached.
@@ -1468,15 +2495,17 @@ export class DropgateClient {
     }
 
     const { host, port, secure } = this.serverTarget;
-    const { path: peerjsPath, iceServers } = resolvePeerConfig({}, p2pCaps);
+    const { path: peerjsPath, iceServers, relayPath } = resolvePeerConfig({}, p2pCaps);
 
     return startP2PSend({
       ...opts,
+      codeGenerator: opts.codeGenerator ?? (p2pCaps.issuedCodes ? () => this.requestP2PCode() : undefined),
       host,
       port,
       secure,
       peerjsPath,
       iceServers,
+      relayPath,
       serverInfo,
       cryptoObj: this.cryptoObj,
     });
@@ -1485,10 +2514,10 @@ export class DropgateClient {
   /**
    * Start a P2P receive session. Connects to a sender via their sharing code.
    *
-   * Server info, peerjsPath, and iceServers are provided automatically
+   * Server info, peerjsPath, iceServers, and relayPath are provided automatically
    * from the client's cached server info.
    *
-   * @param opts - P2P receive options (code, Peer constructor, callbacks, tuning).
+   * @param opts - P2P receive options (code, Peer constructor or transport, callbacks, tuning).
    * @returns P2P receive session with control methods.
    * @throws {DropgateValidationError} If P2P is not enabled on the server.
    * @throws {DropgateNetworkError} If the signalling server cannot be reached.
@@ -1506,7 +2535,7 @@ export class DropgateClient {
     }
 
     const { host, port, secure } = this.serverTarget;
-    const { path: peerjsPath, iceServers } = resolvePeerConfig({}, p2pCaps);
+    const { path: peerjsPath, iceServers, relayPath } = resolvePeerConfig({}, p2pCaps);
 
     return startP2PReceive({
       ...opts,
@@ -1515,17 +2544,20 @@ export class DropgateClient {
       secure,
       peerjsPath,
       iceServers,
+      relayPath,
       serverInfo,
+      cryptoObj: this.cryptoObj,
     });
   }
 
+  /**
+   * Upload one chunk, retrying it under the retry policy.
+   */
   private async _attemptChunkUpload(
     url: string,
     fetchOptions: RequestInit,
     opts: {
-      retries: number;
-      backoffMs: number;
-      maxBackoffMs: number;
+      retryPolicy: RetryPolicy;
       timeoutMs: number;
       signal?: AbortSignal;
       progress: (evt: UploadProgressEvent) => void;
@@ -1536,9 +2568,7 @@ export class DropgateClient {
     }
   ): Promise<void> {
     const {
-      retries,
-      backoffMs,
-      maxBackoffMs,
+      retryPolicy,
       timeoutMs,
       signal,
       progress,
@@ -1548,84 +2578,80 @@ export class DropgateClient {
       fileSizeBytes,
     } = opts;
 
-    let attemptsLeft = retries;
-    let currentBackoff = backoffMs;
-    const maxRetries = retries;
-
-    while (true) {
-      if (signal?.aborted) {
-        throw signal.reason || new DropgateAbortError();
-      }
-
+    await this._retryUploadRequest(async () => {
       const { signal: s, cleanup } = makeAbortSignal(signal, timeoutMs);
       try {
         const res = await this.fetchFn(url, { ...fetchOptions, signal: s });
         if (res.ok) return;
 
+        // Older servers answer chunks with plain text
         const text = await res.text().catch(() => '');
-        const err = new DropgateProtocolError(
-          `Chunk ${chunkIndex + 1} failed (HTTP ${res.status}).`,
-          {
-            details: { status: res.status, bodySnippet: text.slice(0, 120) },
-          }
-        );
-        throw err;
+        throw errorFromResponse(parseJsonText(text), `Chunk ${chunkIndex + 1} failed (HTTP ${res.status}).`, {
+          details: { status: res.status, bodySnippet: text.slice(0, 120) },
+          ...responseInfo(res),
+        });
       } catch (err) {
+        if (err instanceof DropgateError || (err instanceof Error && err.name === 'AbortError')) throw err;
+        throw new DropgateNetworkError('Chunk upload failed.', { cause: err });
+      } finally {
         cleanup();
+      }
+    }, {
+      policy: retryPolicy, operation: 'chunk', label: 'Chunk upload failed.', signal, progress,
+      event: {
+        percent: (chunkIndex / totalChunks) * 100,
+        processedBytes: chunkIndex * chunkSize,
+        totalBytes: fileSizeBytes,
+        chunkIndex,
+        totalChunks,
+      },
+    });
+  }
 
-        // AbortError should not retry
-        if (
-          err instanceof Error &&
-          (err.name === 'AbortError' || (err as { code?: string }).code === 'ABORT_ERR')
-        ) {
-          throw err;
-        }
-        if (signal?.aborted) {
-          throw signal.reason || new DropgateAbortError();
-        }
+  /**
+   * fetchJson() for upload requests. Failures to reach the server become a
+   * DropgateNetworkError, so the retry policy can tell them apart from local errors.
+   */
+  private async _fetchUploadJson(url: string, opts: FetchJsonOptions): Promise<FetchJsonResult> {
+    try {
+      return await fetchJson(this.fetchFn, url, opts);
+    } catch (err) {
+      if (err instanceof DropgateError || (err instanceof Error && err.name === 'AbortError')) throw err;
+      throw new DropgateNetworkError('Upload request failed.', { cause: err });
+    }
+  }
 
-        if (attemptsLeft <= 0) {
-          throw err instanceof DropgateError
-            ? err
-            : new DropgateNetworkError('Chunk upload failed.', { cause: err });
-        }
+  /**
+   * Run an upload request under the retry policy, reporting each wait through progress
+   * as a `retry-wait` countdown followed by `retry`.
+   */
+  private _retryUploadRequest<T>(
+    run: () => Promise<T>,
+    opts: {
+      policy: RetryPolicy;
+      operation: RetryOperation;
+      /** Start of the progress text, saying what failed. */
+      label: string;
+      signal?: AbortSignal;
+      progress: (evt: UploadProgressEvent) => void;
+      event: Omit<UploadProgressEvent, 'phase' | 'text'>;
+    }
+  ): Promise<T> {
+    const { policy, operation, label, signal, progress, event } = opts;
 
-        const attemptNumber = maxRetries - attemptsLeft + 1;
-        const processedBytes = chunkIndex * chunkSize;
-        const percent = (chunkIndex / totalChunks) * 100;
-        let remaining = currentBackoff;
+    return withRetry(policy, operation, run, {
+      signal,
+      wait: async (delayMs, { attempt, maxRetries }) => {
+        let remaining = delayMs;
         const tick = 100;
         while (remaining > 0) {
           const secondsLeft = (remaining / 1000).toFixed(1);
-          progress({
-            phase: 'retry-wait',
-            text: `Chunk upload failed. Retrying in ${secondsLeft}s... (${attemptNumber}/${maxRetries})`,
-            percent,
-            processedBytes,
-            totalBytes: fileSizeBytes,
-            chunkIndex,
-            totalChunks,
-          });
+          progress({ ...event, phase: 'retry-wait', text: `${label} Retrying in ${secondsLeft}s... (${attempt}/${maxRetries})` });
           await sleep(Math.min(tick, remaining), signal);
           remaining -= tick;
         }
-
-        progress({
-          phase: 'retry',
-          text: `Chunk upload failed. Retrying now... (${attemptNumber}/${maxRetries})`,
-          percent,
-          processedBytes,
-          totalBytes: fileSizeBytes,
-          chunkIndex,
-          totalChunks,
-        });
-
-        attemptsLeft -= 1;
-        currentBackoff = Math.min(currentBackoff * 2, maxBackoffMs);
-        continue;
-      } finally {
-        cleanup();
-      }
-    }
+        progress({ ...event, phase: 'retry', text: `${label} Retrying now... (${attempt}/${maxRetries})` });
+      },
+    });
   }
 }
@@ -18,6 +18,36 @@ export const AES_GCM_TAG_BYTES = 16;
  */
 export const ENCRYPTION_OVERHEAD_PER_CHUNK = AES_GCM_IV_BYTES + AES_GCM_TAG_BYTES;
 
+/**
+ * Latest E2EE file format version.
+ * v1 encrypts each chunk independently. v2 binds the chunk index and an
+ * end-of-file flag into each chunk's AES-GCM additional authenticated data.
+ * v3 also binds the file's index within its bundle.
+ */
+export const E2EE_FORMAT_VERSION = 3;
+
+/**
+ * PBKDF2-SHA256 iteration count for passphrase-protected links
+ */
+export const PASSPHRASE_KDF_ITERATIONS = 600000;
+
+/**
+ * Range of PBKDF2 iteration counts accepted for passphrase protection, matching the server.
+ * Stops a server from weakening a wrapped key or stalling receivers with a huge count.
+ */
+export const MIN_PASSPHRASE_KDF_ITERATIONS = 100000;
+export const MAX_PASSPHRASE_KDF_ITERATIONS = 10000000;
+
+/**
+ * Salt size in bytes for passphrase key derivation
+ */
+export const PASSPHRASE_SALT_BYTES = 16;
+
+/**
+ * Minimum passphrase length for passphrase-protected links
+ */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
 /**
  * Maximum file size (in bytes) that can be downloaded without an onData callback.
  * Files larger than this require streaming via onData to avoid memory exhaustion.
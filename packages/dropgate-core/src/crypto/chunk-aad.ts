@@ -0,0 +1,40 @@
+function assertUint32(value: number, what: string): void {
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+    throw new RangeError(`Invalid ${what}: ${value}`);
+  }
+}
+
+/**
+ * Build the AES-GCM additional authenticated data for a v2 or v3 file chunk.
+ * - v2 (no `fileIndex`): [0x02] + [chunk index (uint32, big-endian)] + [final flag (1 byte)]
+ * - v3: [0x03] + [file index (uint32, big-endian)] + [chunk index (uint32, big-endian)] + [final flag (1 byte)]
+ *
+ * Binding the index stops chunks being reordered or duplicated, and the final
+ * flag stops a file being truncated at a chunk boundary. Files in a bundle share
+ * one key, so v3 also binds the file's position in the bundle manifest (0 for a
+ * single file): chunks or whole files can't be swapped between bundle members.
+ * @param chunkIndex - Zero-based index of the chunk within its file.
+ * @param isFinal - Whether this is the last chunk of the file.
+ * @param fileIndex - Zero-based index of the file in its bundle, for v3.
+ * @returns The AAD bytes.
+ */
+export function buildChunkAad(chunkIndex: number, isFinal: boolean, fileIndex?: number): Uint8Array<ArrayBuffer> {
+  assertUint32(chunkIndex, 'chunk index');
+  if (fileIndex === undefined) {
+    const aad = new Uint8Array(6);
+    const view = new DataView(aad.buffer);
+    view.setUint8(0, 2);
+    view.setUint32(1, chunkIndex, false);
+    view.setUint8(5, isFinal ? 1 : 0);
+    return aad;
+  }
+
+  assertUint32(fileIndex, 'file index');
+  const aad = new Uint8Array(10);
+  const view = new DataView(aad.buffer);
+  view.setUint8(0, 3);
+  view.setUint32(1, fileIndex, false);
+  view.setUint32(5, chunkIndex, false);
+  view.setUint8(9, isFinal ? 1 : 0);
+  return aad;
+}
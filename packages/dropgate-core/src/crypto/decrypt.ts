@@ -7,12 +7,14 @@ import { getDefaultBase64 } from '../adapters/defaults.js';
  * @param cryptoObj - Crypto adapter for key import.
  * @param keyB64 - Base64-encoded key bytes.
  * @param base64 - Optional base64 adapter.
+ * @param usages - Key usages (default: decrypt only).
  * @returns The imported CryptoKey.
  */
 export async function importKeyFromBase64(
   cryptoObj: CryptoAdapter,
   keyB64: string,
-  base64?: Base64Adapter
+  base64?: Base64Adapter,
+  usages: KeyUsage[] = ['decrypt']
 ): Promise<CryptoKey> {
   const adapter = base64 || getDefaultBase64();
   const keyBytes = adapter.decode(keyB64);
@@ -23,7 +25,7 @@ export async function importKeyFromBase64(
     keyBuffer,
     { name: 'AES-GCM' },
     true,
-    ['decrypt']
+    usages
   );
 }
 
@@ -33,17 +35,19 @@ export async function importKeyFromBase64(
  * @param cryptoObj - Crypto adapter for decryption.
  * @param encryptedData - The encrypted data with IV prepended.
  * @param key - The AES-GCM decryption key.
+ * @param additionalData - AAD the chunk was encrypted with, if any (v2 file chunks).
  * @returns The decrypted data as ArrayBuffer.
  */
 export async function decryptChunk(
   cryptoObj: CryptoAdapter,
   encryptedData: Uint8Array,
-  key: CryptoKey
+  key: CryptoKey,
+  additionalData?: Uint8Array<ArrayBuffer>
 ): Promise<ArrayBuffer> {
   const iv = encryptedData.slice(0, AES_GCM_IV_BYTES);
   const ciphertext = encryptedData.slice(AES_GCM_IV_BYTES);
   return cryptoObj.subtle.decrypt(
-    { name: 'AES-GCM', iv },
+    additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv },
     key,
     ciphertext
   );
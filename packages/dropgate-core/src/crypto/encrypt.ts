@@ -5,15 +5,17 @@ import { arrayBufferToBase64 } from '../utils/base64.js';
 /**
  * Encrypt data using AES-GCM and return as a Blob with IV prepended.
  * Layout: [IV (12 bytes)] + [ciphertext + tag]
+ * @param additionalData - Optional AAD, e.g. from buildChunkAad() for v2/v3 file chunks.
  */
 export async function encryptToBlob(
   cryptoObj: CryptoAdapter,
   dataBuffer: ArrayBuffer,
-  key: CryptoKey
+  key: CryptoKey,
+  additionalData?: Uint8Array<ArrayBuffer>
 ): Promise<Blob> {
   const iv = cryptoObj.getRandomValues(new Uint8Array(AES_GCM_IV_BYTES));
   const encrypted = await cryptoObj.subtle.encrypt(
-    { name: 'AES-GCM', iv },
+    additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv },
     key,
     dataBuffer
   );
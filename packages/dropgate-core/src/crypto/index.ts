@@ -1,6 +1,6 @@
 import type { CryptoAdapter } from '../types.js';
 import { arrayBufferToBase64 } from '../utils/base64.js';
-import { sha256Fallback } from './sha256-fallback.js';
+import { Sha256, sha256Fallback } from './sha256-fallback.js';
 
 /**
  * Convert a raw SHA-256 digest ArrayBuffer to a hex string.
@@ -33,6 +33,31 @@ export async function sha256Hex(
   return digestToHex(sha256Fallback(data));
 }
 
+/**
+ * Incremental SHA-256 for data that is hashed as it streams past.
+ * crypto.subtle has no incremental digest, so this always uses the
+ * pure-JS implementation. For integrity verification only.
+ */
+export interface StreamingSha256 {
+  /** Add the next piece of data. */
+  update(data: Uint8Array): void;
+  /** Finish hashing and return the hex digest. */
+  digestHex(): string;
+}
+
+/**
+ * Create a {@link StreamingSha256} hasher.
+ */
+export function createStreamingSha256(): StreamingSha256 {
+  const hash = new Sha256();
+  return {
+    update: (data) => {
+      hash.update(data);
+    },
+    digestHex: () => digestToHex(hash.digest()),
+  };
+}
+
 /**
  * Generate a new AES-GCM 256-bit encryption key.
  */
@@ -57,5 +82,28 @@ export async function exportKeyBase64(
   return arrayBufferToBase64(raw);
 }
 
+const BUNDLE_ACCESS_KEY_INFO = 'dropgate bundle access key';
+
+/**
+ * Derive a sealed bundle's access key from its encryption key (HKDF-SHA256).
+ * The server only serves the bundle's files to downloaders presenting it, and stores it
+ * hashed separately for each file, so its records don't reveal which files belong together.
+ * @returns Base64-encoded 32-byte access key.
+ */
+export async function deriveBundleAccessKey(
+  cryptoObj: CryptoAdapter,
+  key: CryptoKey
+): Promise<string> {
+  const raw = await cryptoObj.subtle.exportKey('raw', key);
+  const hkdfKey = await cryptoObj.subtle.importKey('raw', raw, 'HKDF', false, ['deriveBits']);
+  const bits = await cryptoObj.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(BUNDLE_ACCESS_KEY_INFO) },
+    hkdfKey,
+    256
+  );
+  return arrayBufferToBase64(bits);
+}
+
 // Re-export decryption functions
 export { importKeyFromBase64, decryptChunk, decryptFilenameFromBase64 } from './decrypt.js';
+export { buildChunkAad } from './chunk-aad.js';
@@ -0,0 +1,117 @@
+import {
+  PASSPHRASE_KDF_ITERATIONS,
+  PASSPHRASE_SALT_BYTES,
+  MIN_PASSPHRASE_KDF_ITERATIONS,
+  MAX_PASSPHRASE_KDF_ITERATIONS,
+} from '../constants.js';
+import { DropgateValidationError } from '../errors.js';
+import type { CryptoAdapter, Base64Adapter, PassphraseKeyProtection } from '../types.js';
+import { getDefaultBase64 } from '../adapters/defaults.js';
+import { arrayBufferToBase64 } from '../utils/base64.js';
+import { encryptToBlob } from './encrypt.js';
+import { decryptChunk, importKeyFromBase64 } from './decrypt.js';
+
+/**
+ * Reject iteration counts outside the range servers accept.
+ */
+function assertIterations(iterations: unknown): asserts iterations is number {
+  if (
+    !Number.isInteger(iterations)
+    || (iterations as number) < MIN_PASSPHRASE_KDF_ITERATIONS
+    || (iterations as number) > MAX_PASSPHRASE_KDF_ITERATIONS
+  ) {
+    throw new DropgateValidationError(
+      `Invalid passphrase protection: iterations must be an integer between ${MIN_PASSPHRASE_KDF_ITERATIONS} and ${MAX_PASSPHRASE_KDF_ITERATIONS}.`
+    );
+  }
+}
+
+/**
+ * Derive an AES-GCM key-encryption key from a passphrase with PBKDF2-SHA256.
+ */
+async function derivePassphraseKey(
+  cryptoObj: CryptoAdapter,
+  passphrase: string,
+  salt: Uint8Array,
+  iterations: number
+): Promise<CryptoKey> {
+  const baseKey = await cryptoObj.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return cryptoObj.subtle.deriveKey(
+    { name: 'PBKDF2', salt: new Uint8Array(salt).buffer, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Wrap a file key with a passphrase so it can be stored on the server instead of in the URL.
+ * The file key is encrypted with a PBKDF2-derived key. Layout: [IV (12 bytes)] + [ciphertext + tag]
+ * @param cryptoObj - Crypto adapter.
+ * @param key - Extractable AES-GCM file key.
+ * @param passphrase - Passphrase to protect the key with.
+ * @param iterations - PBKDF2 iteration count (default: PASSPHRASE_KDF_ITERATIONS).
+ * @returns Key protection parameters to store alongside the upload.
+ * @throws {DropgateValidationError} If the iteration count is out of range.
+ */
+export async function wrapKeyWithPassphrase(
+  cryptoObj: CryptoAdapter,
+  key: CryptoKey,
+  passphrase: string,
+  iterations: number = PASSPHRASE_KDF_ITERATIONS
+): Promise<PassphraseKeyProtection> {
+  assertIterations(iterations);
+  const salt = cryptoObj.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES));
+  const wrappingKey = await derivePassphraseKey(cryptoObj, passphrase, salt, iterations);
+  const rawKey = await cryptoObj.subtle.exportKey('raw', key);
+  const wrapped = await encryptToBlob(cryptoObj, rawKey, wrappingKey);
+  return {
+    kdf: 'PBKDF2-SHA256',
+    salt: arrayBufferToBase64(salt.buffer),
+    iterations,
+    wrappedKey: arrayBufferToBase64(await wrapped.arrayBuffer()),
+  };
+}
+
+/**
+ * Recover a file key wrapped with wrapKeyWithPassphrase().
+ * @param cryptoObj - Crypto adapter.
+ * @param protection - Key protection parameters from the server.
+ * @param passphrase - Passphrase entered by the downloader.
+ * @param base64 - Optional base64 adapter.
+ * @returns The file key (decrypt only).
+ * @throws {DropgateValidationError} If the passphrase is wrong or the protection is invalid.
+ */
+export async function unwrapKeyWithPassphrase(
+  cryptoObj: CryptoAdapter,
+  protection: PassphraseKeyProtection,
+  passphrase: string,
+  base64?: Base64Adapter
+): Promise<CryptoKey> {
+  if (protection?.kdf !== 'PBKDF2-SHA256') {
+    throw new DropgateValidationError('Unsupported passphrase protection.');
+  }
+  assertIterations(protection.iterations);
+  const adapter = base64 || getDefaultBase64();
+  const wrappingKey = await derivePassphraseKey(
+    cryptoObj,
+    passphrase,
+    adapter.decode(protection.salt),
+    protection.iterations
+  );
+
+  let rawKey: ArrayBuffer;
+  try {
+    rawKey = await decryptChunk(cryptoObj, adapter.decode(protection.wrappedKey), wrappingKey);
+  } catch {
+    throw new DropgateValidationError('Incorrect passphrase.');
+  }
+  return importKeyFromBase64(cryptoObj, arrayBufferToBase64(rawKey), adapter);
+}
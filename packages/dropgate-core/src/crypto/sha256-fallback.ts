@@ -1,8 +1,9 @@
 /**
- * Pure-JS SHA-256 implementation for chunk integrity hashing ONLY.
+ * Pure-JS SHA-256 implementation for integrity hashing ONLY.
  *
- * This exists solely as a fallback when crypto.subtle is unavailable
- * (e.g. insecure HTTP contexts). It MUST NOT be used for any
+ * This exists as a fallback when crypto.subtle is unavailable
+ * (e.g. insecure HTTP contexts), and for hashing data incrementally,
+ * which crypto.subtle cannot do. It MUST NOT be used for any
  * encryption, key derivation, or other security-critical operations.
  *
  * Based on the FIPS 180-4 specification.
@@ -25,43 +26,78 @@ function rotr(x: number, n: number): number {
 }
 
 /**
- * Compute SHA-256 hash of an ArrayBuffer and return the raw digest.
+ * Incremental SHA-256 over data that arrives in pieces.
  * FOR INTEGRITY VERIFICATION ONLY - not for cryptographic security operations.
  */
-export function sha256Fallback(data: ArrayBuffer): ArrayBuffer {
-  const bytes = new Uint8Array(data);
-  const bitLen = bytes.length * 8;
+export class Sha256 {
+  // Initial hash values: first 32 bits of the fractional parts of the square roots of the first 8 primes
+  private readonly state = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+  private readonly block = new Uint8Array(64);
+  private readonly blockView = new DataView(this.block.buffer);
+  private readonly W = new Uint32Array(64);
+  private blockLength = 0;
+  private totalLength = 0;
+  private finished = false;
 
-  // Pre-processing: pad to 512-bit (64-byte) block boundary
-  // message + 0x80 + zeros + 8-byte big-endian length
-  const padded = new Uint8Array(
-    Math.ceil((bytes.length + 9) / 64) * 64
-  );
-  padded.set(bytes);
-  padded[bytes.length] = 0x80;
+  /**
+   * Add data to the hash.
+   */
+  update(data: Uint8Array): this {
+    if (this.finished) throw new Error('SHA-256 digest has already been computed.');
+    this.totalLength += data.length;
 
-  // Append original length in bits as 64-bit big-endian
-  const view = new DataView(padded.buffer);
-  // bitLen fits in 53-bit JS number; write high 32 and low 32
-  view.setUint32(padded.length - 8, (bitLen / 0x100000000) >>> 0, false);
-  view.setUint32(padded.length - 4, bitLen >>> 0, false);
+    let pos = 0;
+    while (pos < data.length) {
+      const take = Math.min(64 - this.blockLength, data.length - pos);
+      this.block.set(data.subarray(pos, pos + take), this.blockLength);
+      this.blockLength += take;
+      pos += take;
+      if (this.blockLength === 64) {
+        this.processBlock();
+        this.blockLength = 0;
+      }
+    }
+    return this;
+  }
 
-  // Initial hash values: first 32 bits of the fractional parts of the square roots of the first 8 primes
-  let h0 = 0x6a09e667;
-  let h1 = 0xbb67ae85;
-  let h2 = 0x3c6ef372;
-  let h3 = 0xa54ff53a;
-  let h4 = 0x510e527f;
-  let h5 = 0x9b05688c;
-  let h6 = 0x1f83d9ab;
-  let h7 = 0x5be0cd19;
+  /**
+   * Finish hashing and return the raw digest. The hash cannot be updated afterwards.
+   */
+  digest(): ArrayBuffer {
+    if (this.finished) throw new Error('SHA-256 digest has already been computed.');
+    const bitLen = this.totalLength * 8;
+
+    // Pad with 0x80 and zeros, leaving 8 bytes for the big-endian length
+    this.block[this.blockLength++] = 0x80;
+    if (this.blockLength > 56) {
+      this.block.fill(0, this.blockLength);
+      this.processBlock();
+      this.blockLength = 0;
+    }
+    this.block.fill(0, this.blockLength);
+    // bitLen fits in 53-bit JS number; write high 32 and low 32
+    this.blockView.setUint32(56, (bitLen / 0x100000000) >>> 0, false);
+    this.blockView.setUint32(60, bitLen >>> 0, false);
+    this.processBlock();
+    this.finished = true;
+
+    const result = new ArrayBuffer(32);
+    const out = new DataView(result);
+    for (let i = 0; i < 8; i++) {
+      out.setUint32(i * 4, this.state[i], false);
+    }
+    return result;
+  }
 
-  const W = new Uint32Array(64);
+  private processBlock(): void {
+    const W = this.W;
+    const view = this.blockView;
 
-  for (let offset = 0; offset < padded.length; offset += 64) {
     // Prepare message schedule
     for (let i = 0; i < 16; i++) {
-      W[i] = view.getUint32(offset + i * 4, false);
+      W[i] = view.getUint32(i * 4, false);
     }
     for (let i = 16; i < 64; i++) {
       const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
@@ -69,7 +105,8 @@ export function sha256Fallback(data: ArrayBuffer): ArrayBuffer {
       W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
     }
 
-    let a = h0, b = h1, c = h2, d = h3, e = h4, f = h5, g = h6, h = h7;
+    const H = this.state;
+    let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
 
     for (let i = 0; i < 64; i++) {
       const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
@@ -89,26 +126,21 @@ export function sha256Fallback(data: ArrayBuffer): ArrayBuffer {
       a = (temp1 + temp2) | 0;
     }
 
-    h0 = (h0 + a) | 0;
-    h1 = (h1 + b) | 0;
-    h2 = (h2 + c) | 0;
-    h3 = (h3 + d) | 0;
-    h4 = (h4 + e) | 0;
-    h5 = (h5 + f) | 0;
-    h6 = (h6 + g) | 0;
-    h7 = (h7 + h) | 0;
+    H[0] += a;
+    H[1] += b;
+    H[2] += c;
+    H[3] += d;
+    H[4] += e;
+    H[5] += f;
+    H[6] += g;
+    H[7] += h;
   }
+}
 
-  const result = new ArrayBuffer(32);
-  const out = new DataView(result);
-  out.setUint32(0, h0, false);
-  out.setUint32(4, h1, false);
-  out.setUint32(8, h2, false);
-  out.setUint32(12, h3, false);
-  out.setUint32(16, h4, false);
-  out.setUint32(20, h5, false);
-  out.setUint32(24, h6, false);
-  out.setUint32(28, h7, false);
-
-  return result;
+/**
+ * Compute SHA-256 hash of an ArrayBuffer and return the raw digest.
+ * FOR INTEGRITY VERIFICATION ONLY - not for cryptographic security operations.
+ */
+export function sha256Fallback(data: ArrayBuffer): ArrayBuffer {
+  return new Sha256().update(new Uint8Array(data)).digest();
 }
@@ -4,6 +4,11 @@ export interface DropgateErrorOptions {
   cause?: unknown;
 }
 
+export interface DropgateProtocolErrorOptions extends DropgateErrorOptions {
+  status?: number;
+  retryAfterMs?: number;
+}
+
 /**
  * Base error class for all Dropgate errors
  */
@@ -41,11 +46,150 @@ export class DropgateNetworkError extends DropgateError {
  * Protocol error for server communication issues
  */
 export class DropgateProtocolError extends DropgateError {
-  constructor(message: string, opts: DropgateErrorOptions = {}) {
+  /** HTTP status of the failed response, if the server answered. */
+  readonly status?: number;
+  /** How long the server asked the client to wait before retrying, in milliseconds. */
+  readonly retryAfterMs?: number;
+
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
     super(message, { ...opts, code: opts.code || 'PROTOCOL_ERROR' });
+    this.status = opts.status;
+    this.retryAfterMs = opts.retryAfterMs;
+  }
+}
+
+/**
+ * The server is out of storage. Retrying later may succeed.
+ */
+export class DropgateCapacityError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'STORAGE_FULL' });
+  }
+}
+
+/**
+ * The API key's storage quota is used up.
+ */
+export class DropgateQuotaError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'QUOTA_EXCEEDED' });
   }
 }
 
+/**
+ * The file or bundle is larger than the server allows.
+ */
+export class DropgateFileTooLargeError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'FILE_TOO_LARGE' });
+  }
+}
+
+/**
+ * The requested lifetime or download limit is not allowed by the server.
+ * `code` is LIFETIME_NOT_ALLOWED or DOWNLOAD_LIMIT_NOT_ALLOWED.
+ */
+export class DropgateLimitError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'LIFETIME_NOT_ALLOWED' });
+  }
+}
+
+/**
+ * The server does not accept end-to-end encrypted uploads, or not in this format.
+ */
+export class DropgateE2EEUnsupportedError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'E2EE_UNSUPPORTED' });
+  }
+}
+
+/**
+ * The upload session is unknown to the server, finished, or timed out.
+ */
+export class DropgateSessionExpiredError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'SESSION_EXPIRED' });
+  }
+}
+
+/**
+ * A chunk or file did not match its hash or declared size.
+ */
+export class DropgateIntegrityError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'INTEGRITY_FAILED' });
+  }
+}
+
+/**
+ * The server is rate limiting this client.
+ */
+export class DropgateRateLimitError extends DropgateProtocolError {
+  constructor(message: string, opts: DropgateProtocolErrorOptions = {}) {
+    super(message, { ...opts, code: opts.code || 'RATE_LIMITED' });
+  }
+}
+
+/**
+ * Codes the server sends with every API error (DGUP §13.2). Errors thrown for server
+ * responses carry the code in `code`.
+ */
+export type DropgateServerErrorCode =
+  | 'INVALID_REQUEST'
+  | 'UNAUTHORIZED'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'NOT_SUPPORTED'
+  | 'RATE_LIMITED'
+  | 'INTERNAL_ERROR'
+  | 'E2EE_UNSUPPORTED'
+  | 'FILE_TOO_LARGE'
+  | 'LIFETIME_NOT_ALLOWED'
+  | 'DOWNLOAD_LIMIT_NOT_ALLOWED'
+  | 'STORAGE_FULL'
+  | 'QUOTA_EXCEEDED'
+  | 'SESSION_EXPIRED'
+  | 'UPLOAD_INCOMPLETE'
+  | 'INTEGRITY_FAILED'
+  | 'DOWNLOADS_RESERVED'
+  | 'INVALID_TICKET'
+  | 'RANGE_NOT_SATISFIABLE';
+
+type ProtocolErrorClass = new (message: string, opts?: DropgateProtocolErrorOptions) => DropgateProtocolError;
+
+const SERVER_ERROR_CLASSES: Partial<Record<DropgateServerErrorCode, ProtocolErrorClass>> = {
+  STORAGE_FULL: DropgateCapacityError,
+  QUOTA_EXCEEDED: DropgateQuotaError,
+  FILE_TOO_LARGE: DropgateFileTooLargeError,
+  LIFETIME_NOT_ALLOWED: DropgateLimitError,
+  DOWNLOAD_LIMIT_NOT_ALLOWED: DropgateLimitError,
+  E2EE_UNSUPPORTED: DropgateE2EEUnsupportedError,
+  SESSION_EXPIRED: DropgateSessionExpiredError,
+  INTEGRITY_FAILED: DropgateIntegrityError,
+  RATE_LIMITED: DropgateRateLimitError,
+};
+
+/**
+ * Build the error for a failed server response, as the subclass matching its `code`.
+ * Responses without a known code (e.g. from older servers) give a plain DropgateProtocolError.
+ * @param body - The parsed response body (`{ error, code }`), or its text.
+ * @param fallbackMessage - Message used when the body has none.
+ * @param opts - Error details (default: the body), the response's HTTP status and its Retry-After delay.
+ */
+export function errorFromResponse(
+  body: unknown,
+  fallbackMessage: string,
+  opts: { details?: unknown; status?: number; retryAfterMs?: number } = {}
+): DropgateProtocolError {
+  const { details = body, status, retryAfterMs } = opts;
+  const json = body && typeof body === 'object' ? body as { error?: unknown; code?: unknown } : null;
+  const message = typeof json?.error === 'string' && json.error ? json.error : fallbackMessage;
+  const code = typeof json?.code === 'string' && json.code ? json.code : undefined;
+  const ErrorClass = (code && SERVER_ERROR_CLASSES[code as DropgateServerErrorCode]) || DropgateProtocolError;
+  return new ErrorClass(message, { code, details, status, retryAfterMs });
+}
+
 /**
  * Abort error - replacement for DOMException with AbortError name
  * Used when operations are cancelled
@@ -4,6 +4,11 @@ export {
   AES_GCM_IV_BYTES,
   AES_GCM_TAG_BYTES,
   ENCRYPTION_OVERHEAD_PER_CHUNK,
+  E2EE_FORMAT_VERSION,
+  PASSPHRASE_KDF_ITERATIONS,
+  MIN_PASSPHRASE_KDF_ITERATIONS,
+  MAX_PASSPHRASE_KDF_ITERATIONS,
+  MIN_PASSPHRASE_LENGTH,
 } from './constants.js';
 
 // Errors
@@ -14,8 +19,16 @@ export {
   DropgateProtocolError,
   DropgateAbortError,
   DropgateTimeoutError,
+  DropgateCapacityError,
+  DropgateQuotaError,
+  DropgateFileTooLargeError,
+  DropgateLimitError,
+  DropgateE2EEUnsupportedError,
+  DropgateSessionExpiredError,
+  DropgateIntegrityError,
+  DropgateRateLimitError,
 } from './errors.js';
-export type { DropgateErrorOptions } from './errors.js';
+export type { DropgateErrorOptions, DropgateProtocolErrorOptions, DropgateServerErrorCode } from './errors.js';
 
 // Types
 export type {
@@ -36,14 +49,26 @@ export type {
   DropgateClientOptions,
   ServerTarget,
   UploadFilesOptions,
+  UploadResumeState,
+  ResumeUploadOptions,
+  UploadSessionStatus,
+  BundleUploadSessionStatus,
+  ManageUploadOptions,
+  UpdateUploadOptions,
+  UploadStatus,
+  PassphraseKeyProtection,
   GetServerInfoOptions,
   ConnectOptions,
   ValidateUploadOptions,
   FileMetadata,
+  DownloadTicket,
   DownloadProgressEvent,
   DownloadFilesOptions,
   DownloadResult,
   BundleMetadata,
+  RetryOptions,
+  RetryContext,
+  RetryOperation,
 } from './types.js';
 
 // Upload session type
@@ -66,16 +91,22 @@ export { validatePlainFilename } from './utils/filename.js';
 export { sleep, makeAbortSignal, fetchJson, buildBaseUrl, parseServerUrl } from './utils/network.js';
 export type { AbortSignalWithCleanup, FetchJsonResult, FetchJsonOptions } from './utils/network.js';
 
+// Utils - Retry
+export { isRetryableError, parseRetryAfter, backoffDelayMs } from './utils/retry.js';
+
 // Crypto
 export {
   sha256Hex,
   generateAesGcmKey,
   exportKeyBase64,
+  deriveBundleAccessKey,
   importKeyFromBase64,
   decryptChunk,
   decryptFilenameFromBase64,
+  buildChunkAad,
 } from './crypto/index.js';
 export { encryptToBlob, encryptFilenameToBase64 } from './crypto/encrypt.js';
+export { wrapKeyWithPassphrase, unwrapKeyWithPassphrase } from './crypto/passphrase.js';
 
 // ZIP
 export { StreamingZipWriter } from './zip/stream-zip.js';
@@ -90,16 +121,28 @@ export { getDefaultBase64, getDefaultCrypto, getDefaultFetch } from './adapters/
 export {
   generateP2PCode,
   isP2PCodeLike,
+  normalizeP2PCode,
   isLocalhostHostname,
   isSecureContextForP2P,
 } from './p2p/index.js';
 
+// P2P - Transports for running direct transfers outside PeerJS
+export { createWebRTCTransport, createLoopbackTransport } from './p2p/index.js';
+export type {
+  WebRTCTransportOptions,
+  LoopbackConditions,
+  LoopbackMessage,
+  LoopbackTransport,
+  LoopbackTransportOptions,
+} from './p2p/index.js';
+
 // P2P Types - Consumer-facing types for client methods and sessions
 export type {
   // State machine types
   P2PSendState,
   P2PReceiveState,
-  // PeerJS types (needed by consumers who provide Peer constructor)
+  // Transport types (needed by consumers who provide a Peer constructor or transport)
+  P2PTransport,
   PeerConstructor,
   PeerInstance,
   PeerInstanceEvents,
@@ -112,8 +155,11 @@ export type {
   P2PReceiveProgressEvent,
   P2PMetadataEvent,
   P2PReceiveCompleteEvent,
+  P2PFileEndEvent,
   P2PConnectionHealthEvent,
   P2PResumeInfo,
+  P2PVerificationEvent,
+  P2PReceiverEndEvent,
   P2PCancellationEvent,
   // Client P2P options and sessions
   P2PSendFileOptions,
@@ -0,0 +1,182 @@
+import { AES_GCM_IV_BYTES } from '../constants.js';
+import { DropgateValidationError } from '../errors.js';
+import { decryptChunk } from '../crypto/decrypt.js';
+import { sha256Hex } from '../crypto/index.js';
+import { arrayBufferToBase64, base64ToBytes } from '../utils/base64.js';
+import type { CryptoAdapter } from '../types.js';
+import type { P2PVerificationEvent } from './types.js';
+
+/**
+ * Symbols for the short authentication string. 64 entries, so each encodes 6 bits.
+ * Names are single words, so the spoken form splits unambiguously.
+ */
+const SAS_SYMBOLS: ReadonlyArray<readonly [string, string]> = [
+  ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐎', 'Horse'],
+  ['🦄', 'Unicorn'], ['🐷', 'Pig'], ['🐘', 'Elephant'], ['🐰', 'Rabbit'],
+  ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'], ['🐢', 'Turtle'],
+  ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'],
+  ['🌳', 'Tree'], ['🌵', 'Cactus'], ['🍄', 'Mushroom'], ['🌏', 'Globe'],
+  ['🌙', 'Moon'], ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'],
+  ['🍎', 'Apple'], ['🍓', 'Strawberry'], ['🌽', 'Corn'], ['🍕', 'Pizza'],
+  ['🎂', 'Cake'], ['❤️', 'Heart'], ['😀', 'Smiley'], ['🤖', 'Robot'],
+  ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'],
+  ['👍', 'Thumbs'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'],
+  ['🎁', 'Gift'], ['💡', 'Bulb'], ['📕', 'Book'], ['✏️', 'Pencil'],
+  ['📎', 'Paperclip'], ['✂️', 'Scissors'], ['🔒', 'Lock'], ['🔑', 'Key'],
+  ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'], ['🚂', 'Train'],
+  ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'], ['🚀', 'Rocket'], ['🏆', 'Trophy'],
+  ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'],
+  ['⚓', 'Anchor'], ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin'],
+];
+
+/** Number of symbols in the short authentication string (42 bits). */
+const SAS_LENGTH = 7;
+
+const ECDH_PARAMS: EcKeyImportParams = { name: 'ECDH', namedCurve: 'P-256' };
+const CHUNK_KEY_INFO = 'dropgate-p2p chunk key';
+const SAS_INFO = 'dropgate-p2p verification';
+
+/**
+ * An ephemeral ECDH key pair for one transfer session.
+ */
+export interface P2PKeyPair {
+  keyPair: CryptoKeyPair;
+  /** Raw public key, base64-encoded, as sent to the other peer. */
+  publicKey: string;
+}
+
+/**
+ * Keys derived from a completed key exchange.
+ */
+export interface P2PSessionKeys {
+  /** AES-GCM key for chunk payloads. */
+  chunkKey: CryptoKey;
+  /** Short authentication string both users compare. */
+  verification: P2PVerificationEvent;
+}
+
+/**
+ * Generate an ephemeral P-256 ECDH key pair.
+ */
+export async function generateP2PKeyPair(cryptoObj: CryptoAdapter): Promise<P2PKeyPair> {
+  const keyPair = await cryptoObj.subtle.generateKey(ECDH_PARAMS, false, ['deriveBits']);
+  const raw = await cryptoObj.subtle.exportKey('raw', keyPair.publicKey);
+  return { keyPair, publicKey: arrayBufferToBase64(raw) };
+}
+
+/**
+ * Commitment to a public key: the hex SHA-256 of its raw bytes.
+ * The sender commits before seeing the receiver's key and reveals it afterwards,
+ * so a man in the middle can't pick its keys to make both verification codes match.
+ */
+export async function commitToPublicKey(cryptoObj: CryptoAdapter, publicKey: string): Promise<string> {
+  return sha256Hex(cryptoObj, new Uint8Array(base64ToBytes(publicKey)).buffer);
+}
+
+/**
+ * Derive the chunk key and verification code from our key pair and the other peer's public key.
+ * Both keys are bound in sender-then-receiver order, so the two peers derive the same values.
+ * @throws DropgateValidationError if the other peer's public key is invalid.
+ */
+export async function deriveP2PSessionKeys(
+  cryptoObj: CryptoAdapter,
+  own: P2PKeyPair,
+  remotePublicKey: string,
+  role: 'sender' | 'receiver'
+): Promise<P2PSessionKeys> {
+  const subtle = cryptoObj.subtle;
+
+  let remoteKey: CryptoKey;
+  try {
+    remoteKey = await subtle.importKey('raw', new Uint8Array(base64ToBytes(remotePublicKey)), ECDH_PARAMS, false, []);
+  } catch {
+    throw new DropgateValidationError('The other peer sent an invalid public key.');
+  }
+
+  const shared = await subtle.deriveBits({ name: 'ECDH', public: remoteKey }, own.keyPair.privateKey, 256);
+  const hkdfKey = await subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey', 'deriveBits']);
+
+  const [senderKey, receiverKey] = role === 'sender'
+    ? [own.publicKey, remotePublicKey]
+    : [remotePublicKey, own.publicKey];
+  const salt = new Uint8Array([...base64ToBytes(senderKey), ...base64ToBytes(receiverKey)]);
+  const encoder = new TextEncoder();
+
+  const chunkKey = await subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(CHUNK_KEY_INFO) },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+
+  const sasBits = new Uint8Array(await subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(SAS_INFO) },
+    hkdfKey,
+    48
+  ));
+
+  const symbols: Array<readonly [string, string]> = [];
+  for (let i = 0; i < SAS_LENGTH; i++) {
+    // Read 6 bits at a time, most significant first
+    const bit = i * 6;
+    const word = (sasBits[bit >> 3] << 8) | (sasBits[(bit >> 3) + 1] ?? 0);
+    symbols.push(SAS_SYMBOLS[(word >> (10 - (bit & 7))) & 0x3f]);
+  }
+
+  return {
+    chunkKey,
+    verification: {
+      emoji: symbols.map(([emoji]) => emoji).join(' '),
+      words: symbols.map(([, name]) => name).join(' '),
+    },
+  };
+}
+
+/**
+ * Build the AES-GCM additional authenticated data for a P2P chunk.
+ * Layout: [file index (uint32)] + [byte offset in the file (uint64)], big-endian.
+ * Binding the position stops chunks being replayed, reordered or moved between files.
+ */
+export function buildP2PChunkAad(fileIndex: number, offset: number): Uint8Array<ArrayBuffer> {
+  const aad = new Uint8Array(12);
+  const view = new DataView(aad.buffer);
+  view.setUint32(0, fileIndex, false);
+  view.setUint32(4, Math.floor(offset / 0x100000000), false);
+  view.setUint32(8, offset >>> 0, false);
+  return aad;
+}
+
+/**
+ * Encrypt a chunk payload. Layout: [IV (12 bytes)] + [ciphertext + tag]
+ */
+export async function encryptP2PChunk(
+  cryptoObj: CryptoAdapter,
+  key: CryptoKey,
+  data: ArrayBuffer,
+  additionalData: Uint8Array<ArrayBuffer>
+): Promise<Uint8Array> {
+  const iv = cryptoObj.getRandomValues(new Uint8Array(AES_GCM_IV_BYTES));
+  const encrypted = await cryptoObj.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+  const out = new Uint8Array(AES_GCM_IV_BYTES + encrypted.byteLength);
+  out.set(iv, 0);
+  out.set(new Uint8Array(encrypted), AES_GCM_IV_BYTES);
+  return out;
+}
+
+/**
+ * Decrypt a chunk payload produced by {@link encryptP2PChunk}.
+ * @throws DropgateValidationError if the chunk fails authentication.
+ */
+export async function decryptP2PChunk(
+  cryptoObj: CryptoAdapter,
+  key: CryptoKey,
+  data: Uint8Array,
+  additionalData: Uint8Array<ArrayBuffer>
+): Promise<Uint8Array> {
+  try {
+    return new Uint8Array(await decryptChunk(cryptoObj, data, key, additionalData));
+  } catch {
+    throw new DropgateValidationError('A chunk failed verification. It may have been tampered with.');
+  }
+}
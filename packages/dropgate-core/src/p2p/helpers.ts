@@ -1,6 +1,13 @@
-import { DropgateNetworkError } from '../errors.js';
+import { DropgateNetworkError, DropgateValidationError } from '../errors.js';
 import type { P2PCapabilities } from '../types.js';
-import type { PeerInstance, PeerOptions, P2PServerConfig } from './types.js';
+import type {
+  DataConnection,
+  PeerConstructor,
+  PeerInstance,
+  PeerOptions,
+  P2PServerConfig,
+  P2PTransport,
+} from './types.js';
 
 /**
  * Resolve P2P server configuration from user options and server capabilities.
@@ -9,10 +16,11 @@ import type { PeerInstance, PeerOptions, P2PServerConfig } from './types.js';
 export function resolvePeerConfig(
   userConfig: P2PServerConfig,
   serverCaps?: P2PCapabilities
-): { path: string; iceServers: RTCIceServer[] } {
+): { path: string; iceServers: RTCIceServer[]; relayPath?: string } {
   return {
     path: userConfig.peerjsPath ?? serverCaps?.peerjsPath ?? '/peerjs',
     iceServers: userConfig.iceServers ?? serverCaps?.iceServers ?? [],
+    relayPath: userConfig.relayPath ?? (serverCaps?.relay ? serverCaps.relayPath : undefined),
   };
 }
 
@@ -37,9 +45,47 @@ export function buildPeerOptions(config: P2PServerConfig = {}): PeerOptions {
   return peerOpts;
 }
 
+/**
+ * Pick the transport for a session: the one given, or PeerJS through its Peer constructor.
+ * @throws DropgateValidationError if neither is provided.
+ */
+export function resolveTransport(opts: { Peer?: PeerConstructor; transport?: P2PTransport }): P2PTransport {
+  if (opts.transport) return opts.transport;
+
+  const { Peer } = opts;
+  if (!Peer) {
+    throw new DropgateValidationError(
+      'A P2P transport is required. Install peerjs and pass it as the Peer option, or pass a transport.'
+    );
+  }
+  return { createPeer: (id, options) => new Peer(id, options) };
+}
+
+/**
+ * Tell a connecting peer why it was turned away, then close the connection.
+ * A connection that has just arrived can't carry the reason until it opens.
+ */
+export function rejectConnection(conn: DataConnection, message: string): void {
+  if (conn.open === false) {
+    conn.on('open', () => rejectConnection(conn, message));
+    return;
+  }
+
+  try {
+    conn.send({ t: 'error', message });
+  } catch {
+    // Ignore send errors
+  }
+  try {
+    conn.close();
+  } catch {
+    // Ignore close errors
+  }
+}
+
 export interface CreatePeerWithRetriesOptions {
   code?: string | null;
-  codeGenerator: () => string;
+  codeGenerator: () => string | Promise<string>;
   maxAttempts: number;
   buildPeer: (id: string) => PeerInstance;
   onCode?: (code: string, attempt: number) => void;
@@ -53,7 +99,7 @@ export async function createPeerWithRetries(
 ): Promise<{ peer: PeerInstance; code: string }> {
   const { code, codeGenerator, maxAttempts, buildPeer, onCode } = opts;
 
-  let nextCode = code || codeGenerator();
+  let nextCode = code || await codeGenerator();
   let peer: PeerInstance | null = null;
   let lastError: Error | null = null;
 
@@ -63,8 +109,14 @@ export async function createPeerWithRetries(
     try {
       peer = await new Promise<PeerInstance>((resolve, reject) => {
         const instance = buildPeer(nextCode);
-        instance.on('open', () => resolve(instance));
+        let opened = false;
+        instance.on('open', () => {
+          opened = true;
+          resolve(instance);
+        });
         instance.on('error', (err: Error) => {
+          // Later signalling errors must not tear down a peer that may be mid-transfer
+          if (opened) return;
           try {
             instance.destroy();
           } catch {
@@ -77,7 +129,7 @@ export async function createPeerWithRetries(
       return { peer, code: nextCode };
     } catch (err) {
       lastError = err as Error;
-      nextCode = codeGenerator();
+      nextCode = await codeGenerator();
     }
   }
 
@@ -0,0 +1,82 @@
+import type { DataConnection, PeerInstance } from './types.js';
+
+/**
+ * Longest time to spend gathering candidates before sending a restart description (ms).
+ */
+const ICE_GATHERING_TIMEOUT_MS = 2000;
+
+/**
+ * Whether ICE restarts can be negotiated for a connection: the underlying
+ * RTCPeerConnection and the signalling socket both have to be reachable.
+ */
+export function canRestartIce(peer: PeerInstance, conn: DataConnection): boolean {
+  return Boolean(conn.peerConnection && conn.connectionId && conn.peer && peer.socket);
+}
+
+/**
+ * Wait until the local description carries the gathered candidates.
+ * PeerJS stops trickling candidates once ICE completes, so a restart can't rely on trickle.
+ */
+function waitForIceGathering(pc: RTCPeerConnection): Promise<void> {
+  if (pc.iceGatheringState === 'complete') return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = (): void => {
+      clearTimeout(timer);
+      pc.removeEventListener('icegatheringstatechange', onChange);
+      resolve();
+    };
+    const onChange = (): void => {
+      if (pc.iceGatheringState === 'complete') done();
+    };
+    const timer = setTimeout(done, ICE_GATHERING_TIMEOUT_MS);
+    pc.addEventListener('icegatheringstatechange', onChange);
+  });
+}
+
+/**
+ * Send a session description to the remote peer through the signalling server.
+ * PeerJS treats an offer on an existing connection as a new connection, so both
+ * halves of a restart travel as ANSWER messages, which PeerJS applies as-is.
+ */
+function sendDescription(peer: PeerInstance, conn: DataConnection, description: RTCSessionDescriptionInit): void {
+  peer.socket?.send({
+    type: 'ANSWER',
+    payload: { sdp: description, type: 'data', connectionId: conn.connectionId },
+    dst: conn.peer,
+  });
+}
+
+/**
+ * Renegotiate ICE on an existing connection with fresh credentials, keeping its data channel.
+ * The remote peer must be answering restarts (see {@link answerIceRestarts}).
+ */
+export async function restartIce(peer: PeerInstance, conn: DataConnection): Promise<void> {
+  const pc = conn.peerConnection;
+  if (!pc || !canRestartIce(peer, conn)) return;
+
+  const offer = await pc.createOffer({ iceRestart: true });
+  await pc.setLocalDescription(offer);
+  await waitForIceGathering(pc);
+  if (pc.localDescription) sendDescription(peer, conn, pc.localDescription);
+}
+
+/**
+ * Answer ICE restart offers from the remote peer for the lifetime of a connection.
+ */
+export function answerIceRestarts(peer: PeerInstance, conn: DataConnection): void {
+  const pc = conn.peerConnection;
+  if (!pc || !canRestartIce(peer, conn)) return;
+
+  pc.addEventListener('signalingstatechange', async () => {
+    if (pc.signalingState !== 'have-remote-offer') return;
+    try {
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      await waitForIceGathering(pc);
+      if (pc.localDescription) sendDescription(peer, conn, pc.localDescription);
+    } catch {
+      // The other side gives up on the restart and falls back to resuming
+    }
+  });
+}
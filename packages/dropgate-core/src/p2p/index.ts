@@ -1,9 +1,20 @@
 // P2P module exports - internal functions (used by DropgateClient)
 export { startP2PSend } from './send.js';
 export { startP2PReceive } from './receive.js';
-export { generateP2PCode, isP2PCodeLike, isLocalhostHostname, isSecureContextForP2P } from './utils.js';
+export { generateP2PCode, isP2PCodeLike, normalizeP2PCode, isLocalhostHostname, isSecureContextForP2P } from './utils.js';
 export { buildPeerOptions, createPeerWithRetries, resolvePeerConfig } from './helpers.js';
 
+// Transports
+export { createWebRTCTransport } from './transports/webrtc.js';
+export type { WebRTCTransportOptions } from './transports/webrtc.js';
+export { createLoopbackTransport } from './transports/loopback.js';
+export type {
+  LoopbackConditions,
+  LoopbackMessage,
+  LoopbackTransport,
+  LoopbackTransportOptions,
+} from './transports/loopback.js';
+
 // Protocol exports
 export {
   P2P_PROTOCOL_VERSION,
@@ -11,8 +22,12 @@ export {
   P2P_MAX_UNACKED_CHUNKS,
   P2P_END_ACK_TIMEOUT_MS,
   P2P_END_ACK_RETRIES,
+  P2P_RESUME_TIMEOUT_MS,
+  P2P_RELAY_TIMEOUT_MS,
+  P2P_ICE_RESTART_TIMEOUT_MS,
   isP2PMessage,
   isProtocolCompatible,
+  normalizeFileSelection,
 } from './protocol.js';
 
 export type {
@@ -20,7 +35,9 @@ export type {
   P2PMessage,
   P2PMessageBase,
   P2PHelloMessage,
+  P2PKeyMessage,
   P2PMetaMessage,
+  P2PSelectMessage,
   P2PReadyMessage,
   P2PChunkMessage,
   P2PChunkAckMessage,
@@ -39,7 +56,8 @@ export type {
   // State machine types
   P2PSendState,
   P2PReceiveState,
-  // PeerJS types
+  // Transport types
+  P2PTransport,
   PeerConstructor,
   PeerInstance,
   PeerInstanceEvents,
@@ -54,8 +72,11 @@ export type {
   P2PReceiveProgressEvent,
   P2PMetadataEvent,
   P2PReceiveCompleteEvent,
+  P2PFileEndEvent,
   P2PConnectionHealthEvent,
   P2PResumeInfo,
+  P2PVerificationEvent,
+  P2PReceiverEndEvent,
   P2PCancellationEvent,
   // Internal P2P options (used by startP2PSend/startP2PReceive)
   P2PSendOptions,
@@ -11,18 +11,29 @@
  * Protocol version 3 introduces:
  * - Multi-file transfers via file_list, file_end, file_end_ack messages
  * - Sequential file-by-file transfer within a single session
+ *
+ * Protocol version 4 introduces:
+ * - ECDH key agreement during the handshake (hello, key messages)
+ * - Chunk payloads encrypted with the agreed key
+ * - A short authentication string both users can compare
+ * - Per-file SHA-256 digests in file_end/end, checked by the receiver
+ *
+ * Protocol version 5 introduces:
+ * - Selective multi-file downloads via the select message
  */
 
 // Protocol version for forward compatibility
-export const P2P_PROTOCOL_VERSION = 3;
+export const P2P_PROTOCOL_VERSION = 5;
 
 /**
  * All possible P2P message types.
  */
 export type P2PMessageType =
     | 'hello'        // Initial handshake with protocol version
+    | 'key'          // v4: Sender reveals its committed public key
     | 'file_list'    // v3: List of files in multi-file transfer
     | 'meta'         // File metadata (name, size, mime)
+    | 'select'       // v5: Files the receiver wants from a multi-file transfer
     | 'ready'        // Receiver is ready to receive
     | 'chunk'        // Data chunk with sequence number
     | 'chunk_ack'    // Chunk acknowledgment (for flow control)
@@ -51,6 +62,19 @@ export interface P2PHelloMessage extends P2PMessageBase {
     t: 'hello';
     protocolVersion: number;
     sessionId: string;
+    /** v4 (sender): SHA-256 hex of the sender's ECDH public key, revealed later in `key`. */
+    keyCommitment?: string;
+    /** v4 (receiver): The receiver's ECDH public key (raw P-256, base64). */
+    publicKey?: string;
+}
+
+/**
+ * v4: Sender reveals the public key it committed to in its hello.
+ */
+export interface P2PKeyMessage extends P2PMessageBase {
+    t: 'key';
+    /** The sender's ECDH public key (raw P-256, base64). */
+    publicKey: string;
 }
 
 /**
@@ -77,6 +101,15 @@ export interface P2PMetaMessage extends P2PMessageBase {
     fileIndex?: number;
 }
 
+/**
+ * v5: Receiver picks which files of a multi-file transfer it wants.
+ * Sent just before ready. Without it, the sender sends every file.
+ */
+export interface P2PSelectMessage extends P2PMessageBase {
+    t: 'select';
+    fileIndices: number[];  // Indices into file_list, ascending
+}
+
 /**
  * Receiver signals readiness to receive data.
  */
@@ -87,6 +120,7 @@ export interface P2PReadyMessage extends P2PMessageBase {
 /**
  * Chunk header sent before binary data.
  * The actual binary data follows immediately after this message.
+ * v4: The binary data is encrypted; `size` is the plaintext size.
  */
 export interface P2PChunkMessage extends P2PMessageBase {
     t: 'chunk';
@@ -112,6 +146,7 @@ export interface P2PFileEndMessage extends P2PMessageBase {
     t: 'file_end';
     fileIndex: number;
     attempt?: number;
+    sha256?: string;   // Hex SHA-256 of the file's plaintext
 }
 
 /**
@@ -130,6 +165,7 @@ export interface P2PFileEndAckMessage extends P2PMessageBase {
 export interface P2PEndMessage extends P2PMessageBase {
     t: 'end';
     attempt?: number;  // Retry attempt number
+    sha256?: string;   // Single file: hex SHA-256 of the file's plaintext
 }
 
 /**
@@ -175,12 +211,15 @@ export interface P2PCancelledMessage extends P2PMessageBase {
 }
 
 /**
- * Resume request sent by receiver to continue interrupted transfer.
+ * Resume request sent by receiver on a new connection to continue an interrupted transfer.
  */
 export interface P2PResumeMessage extends P2PMessageBase {
     t: 'resume';
     sessionId: string;
+    /** Bytes received so far (of the current file in multi-file transfers). */
     receivedBytes: number;
+    /** v3: File the received bytes belong to. Absent for single-file transfers. */
+    fileIndex?: number;
 }
 
 /**
@@ -190,6 +229,8 @@ export interface P2PResumeAckMessage extends P2PMessageBase {
     t: 'resume_ack';
     resumeFromOffset: number;
     accepted: boolean;
+    /** v3: File the offset refers to. Absent for single-file transfers. */
+    fileIndex?: number;
 }
 
 /**
@@ -197,8 +238,10 @@ export interface P2PResumeAckMessage extends P2PMessageBase {
  */
 export type P2PMessage =
     | P2PHelloMessage
+    | P2PKeyMessage
     | P2PFileListMessage
     | P2PMetaMessage
+    | P2PSelectMessage
     | P2PReadyMessage
     | P2PChunkMessage
     | P2PChunkAckMessage
@@ -220,12 +263,22 @@ export function isP2PMessage(value: unknown): value is P2PMessage {
     if (!value || typeof value !== 'object') return false;
     const msg = value as Record<string, unknown>;
     return typeof msg.t === 'string' && [
-        'hello', 'file_list', 'meta', 'ready', 'chunk', 'chunk_ack',
+        'hello', 'key', 'file_list', 'meta', 'select', 'ready', 'chunk', 'chunk_ack',
         'file_end', 'file_end_ack', 'end', 'end_ack', 'ping', 'pong',
         'error', 'cancelled', 'resume', 'resume_ack'
     ].includes(msg.t);
 }
 
+/**
+ * v5: Validate a file selection against the number of files on offer.
+ * Returns the indices sorted and de-duplicated, or null if the selection is empty or invalid.
+ */
+export function normalizeFileSelection(fileIndices: unknown, fileCount: number): number[] | null {
+    if (!Array.isArray(fileIndices) || !fileIndices.length) return null;
+    if (!fileIndices.every((i) => Number.isInteger(i) && i >= 0 && i < fileCount)) return null;
+    return [...new Set(fileIndices as number[])].sort((a, b) => a - b);
+}
+
 /**
  * Check if protocol versions are compatible.
  */
@@ -263,6 +316,26 @@ export const P2P_END_ACK_RETRIES = 3;
  */
 export const P2P_END_ACK_RETRY_DELAY_MS = 100;
 
+/**
+ * Default time to wait for an interrupted transfer to resume (ms).
+ */
+export const P2P_RESUME_TIMEOUT_MS = 30000;
+
+/**
+ * Time a single reconnection attempt may take before the receiver retries (ms).
+ */
+export const P2P_RESUME_ATTEMPT_TIMEOUT_MS = 10000;
+
+/**
+ * Default time the receiver waits for a direct connection before switching to the server relay (ms).
+ */
+export const P2P_RELAY_TIMEOUT_MS = 10000;
+
+/**
+ * Default time an ICE restart may take to restore connectivity (ms).
+ */
+export const P2P_ICE_RESTART_TIMEOUT_MS = 10000;
+
 /**
  * Grace period after connection close before declaring failure (ms).
  * Allows for brief reconnection attempts.
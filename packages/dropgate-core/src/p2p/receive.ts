@@ -1,14 +1,31 @@
 import { DropgateValidationError, DropgateNetworkError } from '../errors.js';
 import { sleep } from '../utils/network.js';
+import { getDefaultCrypto } from '../adapters/defaults.js';
+import { createStreamingSha256 } from '../crypto/index.js';
 import type { P2PReceiveOptions, P2PReceiveSession, P2PReceiveState, DataConnection } from './types.js';
-import { isP2PCodeLike } from './utils.js';
-import { buildPeerOptions, resolvePeerConfig } from './helpers.js';
+import { isP2PCodeLike, normalizeP2PCode } from './utils.js';
+import { connectThroughRelay, getRelayWebSocket } from './relay.js';
+import { buildPeerOptions, resolvePeerConfig, resolveTransport } from './helpers.js';
+import { answerIceRestarts } from './ice-restart.js';
+import {
+  buildP2PChunkAad,
+  commitToPublicKey,
+  decryptP2PChunk,
+  deriveP2PSessionKeys,
+  generateP2PKeyPair,
+  type P2PKeyPair,
+} from './encryption.js';
 import {
   P2P_PROTOCOL_VERSION,
   P2P_END_ACK_RETRY_DELAY_MS,
+  P2P_RESUME_TIMEOUT_MS,
+  P2P_RESUME_ATTEMPT_TIMEOUT_MS,
+  P2P_RELAY_TIMEOUT_MS,
   isP2PMessage,
+  normalizeFileSelection,
   type P2PChunkMessage,
   type P2PFileListMessage,
+  type P2PHelloMessage,
 } from './protocol.js';
 
 /**
@@ -19,7 +36,8 @@ const ALLOWED_TRANSITIONS: Record<P2PReceiveState, P2PReceiveState[]> = {
   connecting: ['handshaking', 'closed', 'cancelled'],
   handshaking: ['negotiating', 'closed', 'cancelled'],
   negotiating: ['transferring', 'closed', 'cancelled'],
-  transferring: ['completed', 'closed', 'cancelled'],
+  transferring: ['reconnecting', 'completed', 'closed', 'cancelled'],
+  reconnecting: ['transferring', 'closed', 'cancelled'],
   completed: ['closed'],
   cancelled: ['closed'],
   closed: [],
@@ -28,7 +46,7 @@ const ALLOWED_TRANSITIONS: Record<P2PReceiveState, P2PReceiveState[]> = {
 /**
  * Start a direct transfer (P2P) receiver session.
  *
- * IMPORTANT: Consumer must provide the PeerJS Peer constructor and handle file writing.
+ * IMPORTANT: Consumer must provide the PeerJS Peer constructor (or another transport) and handle file writing.
  * This removes DOM coupling (no streamSaver).
  *
  * Protocol v2 features:
@@ -36,6 +54,7 @@ const ALLOWED_TRANSITIONS: Record<P2PReceiveState, P2PReceiveState[]> = {
  * - Chunk-level acknowledgments for flow control
  * - Multiple end-ack sends for reliability
  * - Stream-through design for unlimited file sizes
+ * - Reconnects and resumes after the connection drops mid-transfer
  *
  * Example:
  * ```js
@@ -67,14 +86,19 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
   const {
     code,
     Peer,
+    transport,
     serverInfo,
+    cryptoObj,
     host,
     port,
     peerjsPath,
     secure = false,
     iceServers,
+    relayPath,
     autoReady = true,
     watchdogTimeoutMs = 15000,
+    resumeTimeoutMs = P2P_RESUME_TIMEOUT_MS,
+    relayTimeoutMs = P2P_RELAY_TIMEOUT_MS,
     onStatus,
     onMeta,
     onData,
@@ -85,6 +109,7 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     onError,
     onDisconnect,
     onCancel,
+    onVerificationCode,
   } = opts;
 
   // Validate required options
@@ -92,10 +117,11 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     throw new DropgateValidationError('No sharing code was provided.');
   }
 
-  if (!Peer) {
-    throw new DropgateValidationError(
-      'PeerJS Peer constructor is required. Install peerjs and pass it as the Peer option.'
-    );
+  const peerTransport = resolveTransport({ Peer, transport });
+
+  const cryptoAdapter = cryptoObj || getDefaultCrypto();
+  if (!cryptoAdapter?.subtle) {
+    throw new DropgateValidationError('Web Crypto API is required to decrypt direct transfers.');
   }
 
   // Check P2P capabilities if serverInfo is provided
@@ -105,14 +131,14 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
   }
 
   // Validate and normalize code
-  const normalizedCode = String(code).trim().replace(/\s+/g, '').toUpperCase();
+  const normalizedCode = normalizeP2PCode(code);
   if (!isP2PCodeLike(normalizedCode)) {
     throw new DropgateValidationError('Invalid direct transfer code.');
   }
 
   // Resolve config from user options and server capabilities
-  const { path: finalPath, iceServers: finalIceServers } = resolvePeerConfig(
-    { peerjsPath, iceServers },
+  const { path: finalPath, iceServers: finalIceServers, relayPath: finalRelayPath } = resolvePeerConfig(
+    { peerjsPath, iceServers, relayPath },
     p2pCaps
   );
 
@@ -126,7 +152,15 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
   });
 
   // Create peer (receiver doesn't need a specific ID)
-  const peer = new Peer(undefined, peerOpts);
+  const peer = peerTransport.createPeer(undefined, peerOpts);
+
+  // The server's relay, if it has one and we may fall back to it
+  const relayWebSocket = getRelayWebSocket();
+  const relay = finalRelayPath && relayWebSocket && relayTimeoutMs > 0
+    ? { config: { host, port, secure, relayPath: finalRelayPath }, WebSocket: relayWebSocket }
+    : null;
+  let useRelay = false;
+  let relayTimer: ReturnType<typeof setTimeout> | null = null;
 
   // State machine - replaces boolean flags to prevent race conditions
   let state: P2PReceiveState = 'initializing';
@@ -143,6 +177,24 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
   let fileList: P2PFileListMessage | null = null;
   let currentFileReceived = 0;
   let totalReceivedAllFiles = 0;
+  // File being received (or expected next), and whether its meta has arrived
+  let currentFileIndex = 0;
+  let currentFileStarted = false;
+  // v5: Files picked in sendReady, or null to receive all of them
+  let selectedFiles: number[] | null = null;
+
+  // SHA-256 of the file being received, checked against the sender's digest at file_end/end
+  let fileHasher = createStreamingSha256();
+  let fileHashHex: string | null = null;
+  let allFilesVerified = true;
+
+  // v4 key exchange: our key pair, the sender's commitment, and the agreed chunk key
+  let ownKeysPromise: Promise<P2PKeyPair> | null = null;
+  let senderKeyCommitment: string | null = null;
+  let chunkKeyPromise: Promise<CryptoKey> | null = null;
+
+  // Settles the current reconnection attempt
+  let resumeAttemptResolve: (() => void) | null = null;
 
   // Security: Chunk sequence validation
   let expectedChunkSeq = 0;
@@ -179,6 +231,10 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
 
     watchdogTimer = setTimeout(() => {
       if (state === 'transferring') {
+        if (resumeTimeoutMs > 0) {
+          void reconnect();
+          return;
+        }
         safeError(new DropgateNetworkError('Connection timed out (no data received).'));
       }
     }, watchdogTimeoutMs);
@@ -199,8 +255,34 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     cleanup();
   };
 
+  // Compare the current file's hash with the sender's digest. Returns false if the sender
+  // didn't send one. The digest is kept, since the end message can arrive more than once.
+  const verifyFileHash = (conn: DataConnection, expected: unknown): boolean => {
+    fileHashHex ??= fileHasher.digestHex();
+    if (typeof expected !== 'string') return false;
+    if (expected.toLowerCase() !== fileHashHex) {
+      const err = new DropgateValidationError('File integrity check failed. The received data does not match what was sent.');
+      try {
+        conn.send({ t: 'error', message: err.message });
+      } catch {
+        // Ignore send errors
+      }
+      throw err;
+    }
+    return true;
+  };
+
+  // The selected file after `fileIndex`, or the index past it if there are none left
+  const nextSelectedFile = (fileIndex: number): number =>
+    selectedFiles?.find((i) => i > fileIndex) ?? fileIndex + 1;
+
+  const resetFileHash = (): void => {
+    fileHasher = createStreamingSha256();
+    fileHashHex = null;
+  };
+
   // Safe complete handler - only fires from transferring state
-  const safeComplete = (completeData: { received: number; total: number }): void => {
+  const safeComplete = (completeData: { received: number; total: number; verified: boolean }): void => {
     if (state !== 'transferring') return;
     transitionTo('completed');
     onComplete?.(completeData);
@@ -212,6 +294,17 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
   // Cleanup all resources
   const cleanup = (): void => {
     clearWatchdog();
+    clearRelayTimer();
+    resumeAttemptResolve?.();
+
+    // Destroying the peer doesn't close a connection through the relay
+    if (useRelay) {
+      try {
+        activeConn?.close();
+      } catch {
+        // Ignore close errors
+      }
+    }
 
     // Remove beforeunload listener if in browser
     if (typeof window !== 'undefined') {
@@ -249,12 +342,11 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
       return;
     }
 
-    const wasActive = state === 'transferring';
+    const wasActive = state === 'transferring' || state === 'reconnecting';
     transitionTo('cancelled');
 
     // Notify peer before cleanup
     try {
-      // @ts-expect-error - open property may exist on PeerJS connections
       if (activeConn && activeConn.open) {
         activeConn.send({ t: 'cancelled', reason: 'Receiver cancelled the transfer.' });
       }
@@ -278,28 +370,128 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     }
   };
 
-  peer.on('error', (err: Error) => {
-    safeError(err);
-  });
+  // Connection dropped mid-transfer: reconnect to the same code and ask the sender to resume
+  const reconnect = async (): Promise<void> => {
+    if (!transitionTo('reconnecting')) return;
+    clearWatchdog();
 
-  peer.on('open', () => {
-    transitionTo('connecting');
-    const conn = peer.connect(normalizedCode, { reliable: true });
+    const lostConn = activeConn;
+    activeConn = null;
+    try {
+      lostConn?.close();
+    } catch {
+      // Ignore close errors
+    }
+
+    onStatus?.({ phase: 'reconnecting', message: 'Connection lost. Reconnecting...' });
+
+    // Let queued writes land so the resume offset matches what was actually written
+    await writeQueue;
+
+    const deadline = Date.now() + resumeTimeoutMs;
+    while (state === 'reconnecting' && Date.now() < deadline) {
+      if (peer.disconnected) {
+        try {
+          peer.reconnect?.();
+        } catch {
+          // Retried on the next attempt
+        }
+      }
+
+      const attempt = new Promise<void>((resolve) => {
+        resumeAttemptResolve = resolve;
+      });
+      const conn = connectToSender(true);
+      await Promise.race([
+        attempt,
+        sleep(Math.min(P2P_RESUME_ATTEMPT_TIMEOUT_MS, Math.max(0, deadline - Date.now()))),
+      ]);
+      resumeAttemptResolve = null;
+
+      if (state !== 'reconnecting') return;
+
+      // This attempt failed; drop it before trying again
+      activeConn = null;
+      try {
+        conn.close();
+      } catch {
+        // Ignore close errors
+      }
+      await sleep(1000);
+    }
+
+    if (state === 'reconnecting') {
+      safeError(new DropgateNetworkError('Lost connection to the sender and could not reconnect.'));
+    }
+  };
+
+  const clearRelayTimer = (): void => {
+    if (relayTimer) {
+      clearTimeout(relayTimer);
+      relayTimer = null;
+    }
+  };
+
+  // WebRTC couldn't connect (e.g. both peers behind symmetric NAT): go through the server instead.
+  // Later reconnections use the relay too.
+  const switchToRelay = (): void => {
+    if (!relay || useRelay || state !== 'connecting') return;
+    useRelay = true;
+    clearRelayTimer();
+
+    const directConn = activeConn;
+    activeConn = null;
+    try {
+      directConn?.close();
+    } catch {
+      // Ignore close errors
+    }
+
+    onStatus?.({ phase: 'relay', message: 'Could not connect directly. Connecting through the server...' });
+    connectToSender(false);
+  };
+
+  // Open a data connection to the sender. A resuming connection asks the sender
+  // to continue the interrupted transfer instead of starting a new one.
+  const connectToSender = (resuming: boolean): DataConnection => {
+    const conn = relay && useRelay
+      ? connectThroughRelay(relay.config, normalizedCode, relay.WebSocket)
+      : peer.connect(normalizedCode, { reliable: true });
     activeConn = conn;
 
     conn.on('open', () => {
+      if (conn !== activeConn) return;
+      clearRelayTimer();
+
+      // The sender restarts ICE when connectivity drops; we only have to answer
+      answerIceRestarts(peer, conn);
+
+      if (resuming) {
+        // Presenting the session ID proves to the sender that we own the transfer
+        conn.send({
+          t: 'hello',
+          protocolVersion: P2P_PROTOCOL_VERSION,
+          sessionId: currentSessionId || '',
+        });
+        conn.send({
+          t: 'resume',
+          sessionId: currentSessionId || '',
+          receivedBytes: fileList ? currentFileReceived : received,
+          ...(fileList ? { fileIndex: currentFileIndex } : {}),
+        });
+        return;
+      }
+
       transitionTo('handshaking');
       onStatus?.({ phase: 'connected', message: 'Connected.' });
 
-      // Send our hello immediately
-      conn.send({
-        t: 'hello',
-        protocolVersion: P2P_PROTOCOL_VERSION,
-        sessionId: '',
-      });
+      // Our hello carries our public key, so it waits for the sender's commitment (see 'hello' below)
+      ownKeysPromise = generateP2PKeyPair(cryptoAdapter);
     });
 
     conn.on('data', async (data: unknown) => {
+      if (conn !== activeConn) return;
+
       try {
         // Note: Watchdog is reset only on actual binary data, not control messages
         // This prevents attackers from keeping connections alive with just pings
@@ -343,6 +535,7 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
           }
 
           // Queue the write operation
+          const chunkFileIndex = currentFileIndex;
           const chunkSeq = pendingChunk?.seq ?? -1;
           const expectedSize = pendingChunk?.size;
           pendingChunk = null;
@@ -350,7 +543,16 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
           writeQueueDepth++;
           writeQueue = writeQueue
             .then(async () => {
-              const buf = await bufPromise;
+              if (!chunkKeyPromise) {
+                throw new DropgateValidationError('Received data before the key exchange completed.');
+              }
+              // v4: The AAD uses our own write position, so a chunk out of place fails to decrypt
+              const buf = await decryptP2PChunk(
+                cryptoAdapter,
+                await chunkKeyPromise,
+                await bufPromise,
+                buildP2PChunkAad(chunkFileIndex, currentFileReceived)
+              );
 
               // Security: Validate chunk size matches declared size
               if (expectedSize !== undefined && buf.byteLength !== expectedSize) {
@@ -367,6 +569,8 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
                 );
               }
 
+              fileHasher.update(buf);
+
               // Call consumer's onData handler (stream-through, no buffering)
               if (onData) {
                 await onData(buf);
@@ -375,9 +579,8 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
               received += buf.byteLength;
               currentFileReceived += buf.byteLength;
               const progressReceived = fileList ? (totalReceivedAllFiles + currentFileReceived) : received;
-              const progressTotal = fileList ? fileList.totalSize : total;
-              const percent = progressTotal ? Math.min(100, (progressReceived / progressTotal) * 100) : 0;
-              if (!isStopped()) onProgress?.({ processedBytes: progressReceived, totalBytes: progressTotal, percent });
+              const percent = total ? Math.min(100, (progressReceived / total) * 100) : 0;
+              if (!isStopped()) onProgress?.({ processedBytes: progressReceived, totalBytes: total, percent });
 
               // Send chunk acknowledgment
               if (chunkSeq >= 0) {
@@ -408,11 +611,59 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
         const msg = data;
 
         switch (msg.t) {
-          case 'hello':
-            currentSessionId = msg.sessionId || null;
+          case 'hello': {
+            // While resuming, the sender withholds the session ID until we present it
+            if (state !== 'handshaking' || !ownKeysPromise) break;
+
+            const hello = msg as P2PHelloMessage;
+            if (hello.protocolVersion !== P2P_PROTOCOL_VERSION) {
+              throw new DropgateNetworkError(
+                `Protocol version mismatch: sender v${hello.protocolVersion}, receiver v${P2P_PROTOCOL_VERSION}`
+              );
+            }
+            if (!hello.sessionId && hello.keyCommitment === undefined) {
+              // Withholding the session ID means the sender is only taking back receivers that dropped
+              throw new DropgateNetworkError('The sender is busy with other receivers. Try again once a transfer finishes.');
+            }
+            if (typeof hello.keyCommitment !== 'string') {
+              throw new DropgateNetworkError('Sender did not start a key exchange.');
+            }
+
+            currentSessionId = hello.sessionId || null;
+            senderKeyCommitment = hello.keyCommitment;
             transitionTo('negotiating');
+
+            const ownKeys = await ownKeysPromise;
+            if (isStopped()) return;
+            conn.send({
+              t: 'hello',
+              protocolVersion: P2P_PROTOCOL_VERSION,
+              sessionId: '',
+              publicKey: ownKeys.publicKey,
+            });
             onStatus?.({ phase: 'waiting', message: 'Waiting for file details...' });
             break;
+          }
+
+          case 'key': {
+            if (state !== 'negotiating' || chunkKeyPromise || !senderKeyCommitment || !ownKeysPromise) break;
+
+            const senderPublicKey = msg.publicKey;
+            const keysPromise = ownKeysPromise;
+            const commitment = senderKeyCommitment;
+            // Set synchronously so the messages that follow see the key exchange under way
+            chunkKeyPromise = (async () => {
+              if (typeof senderPublicKey !== 'string'
+                || await commitToPublicKey(cryptoAdapter, senderPublicKey) !== commitment) {
+                throw new DropgateNetworkError('The sender\'s public key does not match its commitment.');
+              }
+              const sessionKeys = await deriveP2PSessionKeys(cryptoAdapter, await keysPromise, senderPublicKey, 'receiver');
+              if (!isStopped()) onVerificationCode?.(sessionKeys.verification);
+              return sessionKeys.chunkKey;
+            })();
+            await chunkKeyPromise;
+            break;
+          }
 
           case 'file_list': {
             // v3: Store file list for multi-file transfer
@@ -442,6 +693,16 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
               return;
             }
 
+            // Never agree to receive anything that wouldn't be encrypted
+            if (!chunkKeyPromise) {
+              throw new DropgateValidationError('Received file details before the key exchange.');
+            }
+            // Report the verification code before the preview, and fail before it if the key is bad
+            if (state === 'negotiating') {
+              await chunkKeyPromise;
+              if (isStopped()) return;
+            }
+
             // Session ID validation - reject if we're busy with a different session
             if (currentSessionId && msg.sessionId && msg.sessionId !== currentSessionId) {
               try {
@@ -463,6 +724,13 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
 
             // For multi-file subsequent files, reset per-file tracking
             if (fileList && typeof fi === 'number' && fi > 0) {
+              // A resumed transfer may repeat the meta of a file that has already started
+              if (fi === currentFileIndex && currentFileStarted) break;
+              if (selectedFiles && !selectedFiles.includes(fi)) {
+                throw new DropgateValidationError('The sender sent a file that was not selected.');
+              }
+              currentFileIndex = fi;
+              currentFileStarted = true;
               currentFileReceived = 0;
               // Don't reset writeQueue or received - they accumulate
               onFileStart?.({ fileIndex: fi, name, size: fileSize });
@@ -473,21 +741,38 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
             received = 0;
             currentFileReceived = 0;
             totalReceivedAllFiles = 0;
+            resetFileHash();
+            allFilesVerified = true;
             if (!fileList) {
               total = fileSize;
             }
             writeQueue = Promise.resolve();
 
             // Function to send ready signal
-            const sendReady = (): void => {
+            const sendReady = (fileIndices?: number[]): void => {
+              // v5: Narrow a multi-file transfer down to the files the consumer picked
+              const list = fileList;
+              if (list && fileIndices !== undefined) {
+                const selection = normalizeFileSelection(fileIndices, list.fileCount);
+                if (!selection) {
+                  throw new DropgateValidationError('Select at least one file from the list.');
+                }
+                selectedFiles = selection;
+                total = selection.reduce((sum, i) => sum + list.files[i].size, 0);
+              }
+
               transitionTo('transferring');
               // Start watchdog once we're ready to receive data
               resetWatchdog();
+              // The first file's meta has already arrived. A later one is announced by the sender.
+              currentFileIndex = selectedFiles?.[0] ?? 0;
+              currentFileStarted = currentFileIndex === 0;
               // Notify consumer about first file start (for multi-file ZIP assembly)
-              if (fileList) {
+              if (fileList && currentFileStarted) {
                 onFileStart?.({ fileIndex: 0, name, size: fileSize });
               }
               try {
+                if (selectedFiles) conn.send({ t: 'select', fileIndices: selectedFiles });
                 conn.send({ t: 'ready' });
               } catch {
                 // Ignore send errors
@@ -556,7 +841,9 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
             await writeQueue;
 
             const feIdx = msg.fileIndex;
-            onFileEnd?.({ fileIndex: feIdx, receivedBytes: currentFileReceived });
+            const fileVerified = verifyFileHash(conn, msg.sha256);
+            allFilesVerified &&= fileVerified;
+            onFileEnd?.({ fileIndex: feIdx, receivedBytes: currentFileReceived, verified: fileVerified });
 
             try {
               conn.send({ t: 'file_end_ack', fileIndex: feIdx, received: currentFileReceived, size: currentFileReceived });
@@ -566,6 +853,9 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
 
             totalReceivedAllFiles += currentFileReceived;
             currentFileReceived = 0;
+            currentFileIndex = nextSelectedFile(feIdx);
+            currentFileStarted = false;
+            resetFileHash();
 
             // Restart watchdog for next file
             resetWatchdog();
@@ -578,9 +868,8 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
 
             // For multi-file, use totalReceivedAllFiles + any remaining
             const finalReceived = fileList ? (totalReceivedAllFiles + currentFileReceived) : received;
-            const finalTotal = fileList ? fileList.totalSize : total;
 
-            if (finalTotal && finalReceived < finalTotal) {
+            if (total && finalReceived < total) {
               const err = new DropgateNetworkError(
                 'Transfer ended before all data was received.'
               );
@@ -592,22 +881,25 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
               throw err;
             }
 
+            // Multi-file transfers check each file at file_end instead
+            const verified = fileList ? allFilesVerified : verifyFileHash(conn, msg.sha256);
+
             // Send end_ack immediately so sender can complete
             try {
-              conn.send({ t: 'end_ack', received: finalReceived, total: finalTotal });
+              conn.send({ t: 'end_ack', received: finalReceived, total });
             } catch {
               // Ignore send errors
             }
 
             // Mark as completed - protects against close handler race
-            safeComplete({ received: finalReceived, total: finalTotal });
+            safeComplete({ received: finalReceived, total, verified });
 
             // Send additional acks for reliability (fire-and-forget, best effort)
             (async () => {
               for (let i = 0; i < 2; i++) {
                 await sleep(P2P_END_ACK_RETRY_DELAY_MS);
                 try {
-                  conn.send({ t: 'end_ack', received: finalReceived, total: finalTotal });
+                  conn.send({ t: 'end_ack', received: finalReceived, total });
                 } catch {
                   break; // Connection closed
                 }
@@ -615,6 +907,25 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
             })().catch(() => { });
             break;
 
+          case 'resume_ack': {
+            if (state !== 'reconnecting') return;
+
+            const expectedOffset = fileList ? currentFileReceived : received;
+            if (!msg.accepted || msg.resumeFromOffset !== expectedOffset
+              || (fileList && msg.fileIndex !== currentFileIndex)) {
+              throw new DropgateNetworkError('The sender could not resume the transfer.');
+            }
+
+            // Sequence numbers start afresh on the new connection
+            expectedChunkSeq = 0;
+            pendingChunk = null;
+            transitionTo('transferring');
+            resetWatchdog();
+            resumeAttemptResolve?.();
+            onStatus?.({ phase: 'resumed', message: 'Reconnected. Resuming transfer...' });
+            break;
+          }
+
           case 'error':
             throw new DropgateNetworkError(msg.message || 'Sender reported an error.');
 
@@ -631,12 +942,32 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
     });
 
     conn.on('close', () => {
+      if (conn !== activeConn) return;
+
       if (state === 'closed' || state === 'completed' || state === 'cancelled') {
         // Clean shutdown or already cancelled, ensure full cleanup
         cleanup();
         return;
       }
 
+      // A reconnection attempt failed
+      if (state === 'reconnecting') {
+        resumeAttemptResolve?.();
+        return;
+      }
+
+      // The direct connection failed before opening
+      if (state === 'connecting' && relay && !useRelay) {
+        switchToRelay();
+        return;
+      }
+
+      // Connection dropped mid-transfer: try to reconnect and resume
+      if (state === 'transferring' && resumeTimeoutMs > 0) {
+        void reconnect();
+        return;
+      }
+
       // Sender disconnected or cancelled before transfer completed
       if (state === 'transferring') {
         // Connection closed during active transfer — the sender either cancelled
@@ -650,11 +981,30 @@ export async function startP2PReceive(opts: P2PReceiveOptions): Promise<P2PRecei
         transitionTo('closed');
         cleanup();
         onDisconnect?.();
+      } else if (state === 'connecting' && useRelay) {
+        safeError(new DropgateNetworkError('Could not connect to the sender, directly or through the relay.'));
       } else {
         // Disconnected before we even got file metadata
         safeError(new DropgateNetworkError('Sender disconnected before file details were received.'));
       }
     });
+
+    return conn;
+  };
+
+  peer.on('error', (err: Error) => {
+    // Signalling errors don't affect an open data connection, and reconnection
+    // attempts retry by themselves, e.g. while the sender is briefly unreachable
+    if (state === 'transferring' || state === 'reconnecting') return;
+    safeError(err);
+  });
+
+  peer.on('open', () => {
+    // Also fires after reconnecting to the signalling server mid-transfer
+    if (state !== 'initializing') return;
+    transitionTo('connecting');
+    connectToSender(false);
+    if (relay) relayTimer = setTimeout(switchToRelay, relayTimeoutMs);
   });
 
   return {
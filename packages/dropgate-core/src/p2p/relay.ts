@@ -0,0 +1,182 @@
+import type { DataConnection } from './types.js';
+import { TransportEmitter, transportError } from './transports/base.js';
+import { pack, unpack } from './transports/binarypack.js';
+
+/**
+ * Client side of the server's WebSocket relay, used when peers can't connect over WebRTC.
+ *
+ * The sender listens on its code; a receiver connects to the code; the sender then accepts
+ * the relay ID the server hands it. Each binary frame carries one DGDTP message packed
+ * with BinaryPack, as on a PeerJS data channel. Text frames are notices from the relay.
+ */
+
+const WEBSOCKET_OPEN = 1;
+
+type WebSocketConstructor = new (url: string) => WebSocket;
+
+/** Where the relay lives. */
+export interface RelayConfig {
+  host?: string;
+  port?: number;
+  secure?: boolean;
+  relayPath: string;
+}
+
+/** A notice from the relay. */
+interface RelayNotice {
+  type?: string;
+  id?: string;
+}
+
+function parseNotice(data: string): RelayNotice {
+  try {
+    const notice: unknown = JSON.parse(data);
+    return typeof notice === 'object' && notice !== null ? notice as RelayNotice : {};
+  } catch {
+    return {};
+  }
+}
+
+/** The global WebSocket, or null where there is none (e.g. Node.js before v22). */
+export function getRelayWebSocket(): WebSocketConstructor | null {
+  return typeof globalThis.WebSocket === 'function' ? globalThis.WebSocket : null;
+}
+
+function relayUrl(config: RelayConfig, query: Record<string, string>): string {
+  const hostname = config.host ?? globalThis.location?.hostname;
+  if (!hostname) {
+    throw transportError('SERVER_ERROR', 'No relay host was configured.');
+  }
+  const path = config.relayPath.startsWith('/') ? config.relayPath : `/${config.relayPath}`;
+  return `ws${config.secure ? 's' : ''}://${hostname}${config.port ? `:${config.port}` : ''}${path}` +
+    `?${new URLSearchParams(query)}`;
+}
+
+/**
+ * Stand-in for the data channel under a relayed connection, so senders can watch the
+ * socket's send buffer the same way.
+ */
+class RelayChannel extends EventTarget {
+  bufferedAmountLowThreshold = 0;
+
+  constructor(private readonly ws: WebSocket, private readonly conn: RelayConnection) {
+    super();
+  }
+
+  get bufferedAmount(): number {
+    return this.ws.bufferedAmount;
+  }
+
+  get readyState(): RTCDataChannelState {
+    return this.conn.open ? 'open' : 'closed';
+  }
+}
+
+/**
+ * A data connection carried over the relay. Opens once the relay has paired both ends.
+ */
+class RelayConnection extends TransportEmitter implements DataConnection {
+  open = false;
+  readonly _dc: RTCDataChannel;
+  private closed = false;
+
+  constructor(private readonly ws: WebSocket, readonly peer: string) {
+    super();
+    this._dc = new RelayChannel(ws, this) as unknown as RTCDataChannel;
+    ws.binaryType = 'arraybuffer';
+
+    ws.onmessage = (event: MessageEvent) => {
+      if (typeof event.data === 'string') {
+        if (parseNotice(event.data).type === 'open' && !this.closed && !this.open) {
+          this.open = true;
+          this.emit('open');
+        }
+        return;
+      }
+      if (!this.open) return;
+
+      let message: unknown;
+      try {
+        message = unpack(event.data as ArrayBuffer);
+      } catch (err) {
+        this.emit('error', err);
+        this.close();
+        return;
+      }
+      this.emit('data', message);
+    };
+
+    // A close event follows every error
+    ws.onerror = () => {};
+    ws.onclose = () => this.shutDown();
+  }
+
+  send(data: unknown): void {
+    if (!this.open || this.ws.readyState !== WEBSOCKET_OPEN) {
+      this.emit('error', transportError('NOT_OPEN_YET', 'Connection is not open. Wait for the open event before sending.'));
+      return;
+    }
+    this.ws.send(pack(data));
+  }
+
+  close(): void {
+    try {
+      this.ws.close(1000);
+    } catch {
+      // Ignore close errors
+    }
+    this.shutDown();
+  }
+
+  private shutDown(): void {
+    if (this.closed) return;
+    this.closed = true;
+    this.open = false;
+    this.emit('close');
+  }
+}
+
+/**
+ * Receiver: connect to the sender holding `code` through the relay.
+ * The connection closes without opening if no sender is listening on the code.
+ */
+export function connectThroughRelay(
+  config: RelayConfig,
+  code: string,
+  WebSocketImpl: WebSocketConstructor
+): DataConnection {
+  return new RelayConnection(new WebSocketImpl(relayUrl(config, { connect: code })), code);
+}
+
+/**
+ * Sender: listen on `code` for receivers that reach it through the relay.
+ * The relay only accepts the peer registered under the code with the signalling server,
+ * proven by the `token` it registered with, so call this once the peer is open.
+ * @returns A function that stops listening.
+ */
+export function listenOnRelay(
+  config: RelayConfig,
+  code: string,
+  token: string,
+  WebSocketImpl: WebSocketConstructor,
+  onConnection: (conn: DataConnection) => void
+): () => void {
+  const ws = new WebSocketImpl(relayUrl(config, { listen: code, token }));
+  ws.onerror = () => {};
+
+  ws.onmessage = (event: MessageEvent) => {
+    if (typeof event.data !== 'string') return;
+    const notice = parseNotice(event.data);
+    if (notice.type !== 'connection' || typeof notice.id !== 'string') return;
+    const socket = new WebSocketImpl(relayUrl(config, { accept: notice.id }));
+    onConnection(new RelayConnection(socket, `relay-${notice.id}`));
+  };
+
+  return () => {
+    try {
+      ws.close(1000);
+    } catch {
+      // Ignore close errors
+    }
+  };
+}
@@ -0,0 +1,1019 @@
+import { DropgateValidationError, DropgateNetworkError } from '../errors.js';
+import { sleep } from '../utils/network.js';
+import { createStreamingSha256, type StreamingSha256 } from '../crypto/index.js';
+import type { CryptoAdapter, FileSource } from '../types.js';
+import type {
+  P2PSendOptions,
+  P2PSendState,
+  P2PCancellationEvent,
+  DataConnection,
+  PeerInstance,
+  P2PConnectionHealthEvent,
+  P2PResumeInfo,
+} from './types.js';
+import { rejectConnection } from './helpers.js';
+import { canRestartIce, restartIce } from './ice-restart.js';
+import {
+  buildP2PChunkAad,
+  commitToPublicKey,
+  deriveP2PSessionKeys,
+  encryptP2PChunk,
+  generateP2PKeyPair,
+} from './encryption.js';
+import {
+  P2P_PROTOCOL_VERSION,
+  P2P_END_ACK_RETRIES,
+  P2P_CLOSE_GRACE_PERIOD_MS,
+  isP2PMessage,
+  normalizeFileSelection,
+  type P2PChunkAckMessage,
+  type P2PEndAckMessage,
+  type P2PFileEndAckMessage,
+  type P2PHelloMessage,
+  type P2PResumeMessage,
+  type P2PSelectMessage,
+} from './protocol.js';
+
+// Timeout for detecting stalled receivers that stop sending acks
+const P2P_UNACKED_CHUNK_TIMEOUT_MS = 30000;
+
+/**
+ * Allowed state transitions to prevent invalid state changes.
+ * This enforces a strict state machine where transitions only happen
+ * in the expected order, preventing race conditions.
+ */
+const ALLOWED_TRANSITIONS: Record<P2PSendState, P2PSendState[]> = {
+  initializing: ['listening', 'closed'],
+  listening: ['handshaking', 'closed', 'cancelled'],
+  handshaking: ['negotiating', 'closed', 'cancelled'],
+  negotiating: ['transferring', 'closed', 'cancelled'],
+  transferring: ['reconnecting', 'finishing', 'closed', 'cancelled'],
+  reconnecting: ['transferring', 'closed', 'cancelled'],
+  finishing: ['awaiting_ack', 'reconnecting', 'closed', 'cancelled'],
+  awaiting_ack: ['completed', 'reconnecting', 'closed', 'cancelled'],
+  completed: ['closed'],
+  cancelled: ['closed'],
+  closed: [],
+};
+
+/**
+ * How a transfer to one receiver ended.
+ * - `disconnected`: the receiver left before the transfer started.
+ * - `cancelled`: `event` is only set if the transfer had started.
+ */
+export type SendTransferOutcome =
+  | { type: 'completed' }
+  | { type: 'failed'; error: Error }
+  | { type: 'cancelled'; event?: P2PCancellationEvent }
+  | { type: 'disconnected' };
+
+export interface SendTransferOptions extends Required<Pick<P2PSendOptions,
+  | 'chunkSize'
+  | 'endAckTimeoutMs'
+  | 'bufferHighWaterMark'
+  | 'bufferLowWaterMark'
+  | 'heartbeatIntervalMs'
+  | 'chunkAcknowledgments'
+  | 'maxUnackedChunks'
+  | 'resumeTimeoutMs'
+  | 'iceRestartTimeoutMs'
+>>, Pick<P2PSendOptions,
+  | 'onStatus'
+  | 'onProgress'
+  | 'onConnectionHealth'
+  | 'onResumeRequest'
+  | 'onVerificationCode'
+> {
+  peer: PeerInstance;
+  files: FileSource[];
+  /** Session ID the receiver must present to resume this transfer. */
+  sessionId: string;
+  cryptoAdapter: CryptoAdapter;
+  /** Called once when the transfer ends, unless it was released. */
+  onEnd: (outcome: SendTransferOutcome) => void;
+}
+
+/**
+ * The transfer of a send session's files to one receiver, over one connection at a time.
+ */
+export interface SendTransfer {
+  readonly sessionId: string;
+  getState: () => P2PSendState;
+  getBytesSent: () => number;
+  getConnection: () => DataConnection | null;
+  /** Whether the transfer has started sending file data. */
+  hasStarted: () => boolean;
+  /** Whether a new connection presenting the session ID may take the transfer over. */
+  isResumable: () => boolean;
+  /** Run the handshake and transfer on a receiver's new connection. */
+  connect: (conn: DataConnection) => void;
+  /** Carry on from where the receiver got to, on an open connection that sent a resume request. */
+  resume: (conn: DataConnection, request: P2PResumeMessage) => Promise<void>;
+  /** Cancel the transfer, telling the receiver. */
+  stop: () => void;
+  /** Drop the transfer without ending its connection or reporting an outcome. */
+  release: () => void;
+}
+
+/**
+ * Create the transfer to one receiver. The caller owns the peer and decides
+ * which connections reach the transfer.
+ */
+export function createSendTransfer(options: SendTransferOptions): SendTransfer {
+  const {
+    peer,
+    files,
+    sessionId,
+    cryptoAdapter,
+    chunkSize,
+    endAckTimeoutMs,
+    bufferHighWaterMark,
+    bufferLowWaterMark,
+    heartbeatIntervalMs,
+    chunkAcknowledgments,
+    maxUnackedChunks,
+    resumeTimeoutMs,
+    iceRestartTimeoutMs,
+    onStatus,
+    onProgress,
+    onConnectionHealth,
+    onResumeRequest,
+    onVerificationCode,
+    onEnd,
+  } = options;
+
+  const isMultiFile = files.length > 1;
+  const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+
+  // State machine - replaces boolean flags to prevent race conditions
+  let state: P2PSendState = 'listening';
+  let activeConn: DataConnection | null = null;
+  let sentBytes = 0;
+  let heartbeatTimer: ReturnType<typeof setInterval> | null = null;
+  let healthCheckTimer: ReturnType<typeof setInterval> | null = null;
+  let lastActivityTime = Date.now();
+
+  // Chunk acknowledgment tracking
+  const unackedChunks = new Map<number, { offset: number; size: number; sentAt: number }>();
+  let nextSeq = 0;
+  let ackResolvers: Array<() => void> = [];
+  let fileEndAckResolve: ((msg: P2PFileEndAckMessage | null) => void) | null = null;
+  let endAckResolve: ((msg: P2PEndAckMessage | null) => void) | null = null;
+
+  // v5: Files the receiver asked for (every file unless it sends a selection) and their total size
+  let selectedFiles = files.map((_, i) => i);
+  let transferSize = totalSize;
+
+  // Resume tracking: the file being sent and how many of its bytes have gone out
+  let currentFileIndex = 0;
+  let currentFileSent = 0;
+  let resumeTimer: ReturnType<typeof setInterval> | null = null;
+
+  // SHA-256 of the file being sent. hashedBytes can run ahead of currentFileSent,
+  // so a resume from an earlier offset doesn't hash the same bytes twice.
+  let fileHash: { fileIndex: number; hasher: StreamingSha256; hashedBytes: number; hex: string | null } | null = null;
+
+  // Chunk encryption key agreed with the receiver during the handshake (v4)
+  let chunkKey: CryptoKey | null = null;
+
+  // Set while an ICE restart is trying to restore the active connection
+  let iceRestartTimer: ReturnType<typeof setTimeout> | null = null;
+
+  // Track if transfer ever started to prevent connection replacement attacks
+  let transferEverStarted = false;
+
+  /**
+   * Attempt a state transition. Returns true if transition was valid.
+   * Logs a warning for invalid transitions but doesn't throw.
+   */
+  const transitionTo = (newState: P2PSendState): boolean => {
+    if (!ALLOWED_TRANSITIONS[state].includes(newState)) {
+      console.warn(`[P2P Send] Invalid state transition: ${state} -> ${newState}`);
+      return false;
+    }
+    state = newState;
+    return true;
+  };
+
+  const reportProgress = (data: { received: number; total: number }): void => {
+    if (isStopped()) return;
+    const safeTotal =
+      Number.isFinite(data.total) && data.total > 0 ? data.total : transferSize;
+    const safeReceived = Math.min(Number(data.received) || 0, safeTotal || 0);
+    const percent = safeTotal ? (safeReceived / safeTotal) * 100 : 0;
+    onProgress?.({ processedBytes: safeReceived, totalBytes: safeTotal, percent });
+  };
+
+  // Safe error handler - prevents reporting an error after completion or cancellation
+  const safeError = (err: Error): void => {
+    if (state === 'closed' || state === 'completed' || state === 'cancelled') return;
+    transitionTo('closed');
+    onEnd({ type: 'failed', error: err });
+    cleanup();
+  };
+
+  // Safe complete handler - only fires from awaiting_ack state
+  const safeComplete = (): void => {
+    if (state !== 'awaiting_ack' && state !== 'finishing') return;
+    transitionTo('completed');
+    onEnd({ type: 'completed' });
+    cleanup();
+  };
+
+  // Cleanup all resources
+  const cleanup = (): void => {
+    // Clear heartbeat timer
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+
+    // Clear health check timer
+    if (healthCheckTimer) {
+      clearInterval(healthCheckTimer);
+      healthCheckTimer = null;
+    }
+
+    if (resumeTimer) {
+      clearInterval(resumeTimer);
+      resumeTimer = null;
+    }
+
+    clearIceRestart();
+
+    // Clear any pending ack resolvers
+    ackResolvers.forEach((resolve) => resolve());
+    ackResolvers = [];
+    unackedChunks.clear();
+
+    try {
+      activeConn?.close();
+    } catch {
+      // Ignore close errors
+    }
+  };
+
+  const stop = (): void => {
+    if (state === 'closed' || state === 'cancelled') return;
+
+    // If already completed, just cleanup without callbacks
+    if (state === 'completed') {
+      cleanup();
+      return;
+    }
+
+    const wasActive = state === 'transferring' || state === 'reconnecting' || state === 'finishing' || state === 'awaiting_ack';
+    transitionTo('cancelled');
+
+    // Notify peer before cleanup
+    try {
+      if (activeConn && activeConn.open) {
+        activeConn.send({ t: 'cancelled', message: 'Sender cancelled the transfer.' });
+      }
+    } catch {
+      // Best effort
+    }
+
+    onEnd({ type: 'cancelled', ...(wasActive ? { event: { cancelledBy: 'sender' } } : {}) });
+    cleanup();
+  };
+
+  const release = (): void => {
+    if (state === 'closed' || state === 'cancelled' || state === 'completed') return;
+    transitionTo('closed');
+    // The connection stays open for whoever takes it over
+    activeConn = null;
+    cleanup();
+  };
+
+  // Helper to check if the transfer is stopped - bypasses TypeScript narrowing
+  // which doesn't understand state can change asynchronously
+  const isStopped = (): boolean => state === 'closed' || state === 'cancelled';
+
+  // A send loop stops once its connection is no longer the active one (dropped or resumed elsewhere)
+  const isInterrupted = (conn: DataConnection): boolean => isStopped() || conn !== activeConn;
+
+  // The receiver may still be short of data after the sender has sent `end`
+  const canResume = (): boolean =>
+    resumeTimeoutMs > 0 && (state === 'transferring' || state === 'finishing' || state === 'awaiting_ack');
+
+  // Once a transfer has started, a new connection can only take over by resuming it.
+  // The receiver may reconnect before we notice its old connection has dropped.
+  const isResumable = (): boolean => transferEverStarted && (state === 'reconnecting' || canResume());
+
+  const bytesBeforeFile = (fileIndex: number): number =>
+    selectedFiles.filter((i) => i < fileIndex).reduce((sum, i) => sum + files[i].size, 0);
+
+  // The selected file after `fileIndex`, or the index past it if there are none left
+  const nextSelectedFile = (fileIndex: number): number =>
+    selectedFiles.find((i) => i > fileIndex) ?? fileIndex + 1;
+
+  // Sequence numbers and acks start afresh on every connection
+  const resetFlowControl = (): void => {
+    ackResolvers.forEach((resolve) => resolve());
+    ackResolvers = [];
+    unackedChunks.clear();
+    nextSeq = 0;
+    fileEndAckResolve?.(null);
+    fileEndAckResolve = null;
+    endAckResolve?.(null);
+    endAckResolve = null;
+  };
+
+  // Connection dropped mid-transfer: keep the transfer open and wait for the receiver to resume
+  const waitForResume = (): void => {
+    if (!transitionTo('reconnecting')) return;
+
+    const lostConn = activeConn;
+    activeConn = null;
+    clearIceRestart();
+    try {
+      lostConn?.close();
+    } catch {
+      // Ignore close errors
+    }
+    resetFlowControl();
+
+    onStatus?.({ phase: 'reconnecting', message: 'Connection lost. Waiting for the receiver to reconnect...' });
+
+    const deadline = Date.now() + resumeTimeoutMs;
+    resumeTimer = setInterval(() => {
+      if (state !== 'reconnecting') return;
+      if (Date.now() >= deadline) {
+        safeError(new DropgateNetworkError('Receiver disconnected and did not reconnect.'));
+        return;
+      }
+      // The receiver can only reach us while we're registered with the signalling server
+      if (peer.disconnected) {
+        try {
+          peer.reconnect?.();
+        } catch {
+          // Retried on the next tick
+        }
+      }
+    }, 1000);
+  };
+
+  // Connection health monitoring
+  const reportHealth = (): void => {
+    if (!onConnectionHealth || isStopped()) return;
+
+    if (!activeConn) {
+      if (state === 'reconnecting') {
+        onConnectionHealth({ iceConnectionState: 'disconnected', lastActivityMs: Date.now() - lastActivityTime });
+      }
+      return;
+    }
+
+    const dc = activeConn._dc;
+    const pc = activeConn.peerConnection;
+    if (!dc && !pc) return;
+
+    // Without access to the peer connection, infer the ICE state from the data channel
+    let iceConnectionState: P2PConnectionHealthEvent['iceConnectionState'];
+    if (pc) {
+      iceConnectionState = pc.iceConnectionState === 'completed' ? 'connected' : pc.iceConnectionState;
+    } else {
+      iceConnectionState = dc?.readyState === 'open' ? 'connected' : 'disconnected';
+    }
+
+    const health: P2PConnectionHealthEvent = {
+      iceConnectionState,
+      bufferedAmount: dc?.bufferedAmount,
+      lastActivityMs: Date.now() - lastActivityTime,
+      ...(iceRestartTimer ? { restartingIce: true } : {}),
+    };
+
+    onConnectionHealth(health);
+  };
+
+  const startHealthMonitoring = (): void => {
+    if (!onConnectionHealth || healthCheckTimer) return;
+    healthCheckTimer = setInterval(reportHealth, 2000);
+  };
+
+  const clearIceRestart = (): void => {
+    if (iceRestartTimer) {
+      clearTimeout(iceRestartTimer);
+      iceRestartTimer = null;
+    }
+  };
+
+  // Connectivity lost without the data channel closing (e.g. the network interface changed):
+  // renegotiate ICE on the same connection so the transfer carries on where it was
+  const startIceRestart = (conn: DataConnection): void => {
+    iceRestartTimer = setTimeout(() => {
+      iceRestartTimer = null;
+      if (isInterrupted(conn)) return;
+      reportHealth();
+      // ICE didn't recover in time. Without resume, PeerJS closes the connection once ICE fails.
+      if (canResume()) waitForResume();
+    }, iceRestartTimeoutMs);
+
+    restartIce(peer, conn).catch(() => {
+      // The timeout above handles a restart that never completes
+    });
+  };
+
+  const watchIceConnection = (conn: DataConnection): void => {
+    const pc = conn.peerConnection;
+    if (!pc || iceRestartTimeoutMs <= 0 || !canRestartIce(peer, conn)) return;
+
+    pc.addEventListener('iceconnectionstatechange', () => {
+      if (isInterrupted(conn)) return;
+      const iceState = pc.iceConnectionState;
+      if (iceState === 'connected' || iceState === 'completed') {
+        if (iceRestartTimer) {
+          clearIceRestart();
+          lastActivityTime = Date.now();
+        }
+      } else if (iceState === 'disconnected' && !iceRestartTimer) {
+        startIceRestart(conn);
+      }
+      reportHealth();
+    });
+  };
+
+  // Handle chunk acknowledgment
+  const handleChunkAck = (msg: P2PChunkAckMessage): void => {
+    lastActivityTime = Date.now();
+    unackedChunks.delete(msg.seq);
+    reportProgress({ received: msg.received, total: transferSize });
+
+    // Resolve any pending waitForAck promises
+    const resolver = ackResolvers.shift();
+    if (resolver) resolver();
+  };
+
+  // Wait for chunk acknowledgment when too many unacked
+  const waitForAck = (): Promise<void> => {
+    return new Promise((resolve) => {
+      ackResolvers.push(resolve);
+    });
+  };
+
+  // Send chunk with sequence tracking
+  const sendChunk = async (conn: DataConnection, data: ArrayBuffer, offset: number, fileTotal?: number): Promise<void> => {
+    // Wait if too many unacknowledged chunks (flow control)
+    if (chunkAcknowledgments) {
+      while (unackedChunks.size >= maxUnackedChunks) {
+        // Security: Check for stale unacked chunks (receiver stopped responding)
+        const now = Date.now();
+        for (const [_seq, chunk] of unackedChunks) {
+          if (now - chunk.sentAt > P2P_UNACKED_CHUNK_TIMEOUT_MS) {
+            // The connection is dead even if it hasn't closed yet
+            if (canResume()) {
+              waitForResume();
+              return;
+            }
+            throw new DropgateNetworkError('Receiver stopped acknowledging chunks');
+          }
+        }
+
+        await Promise.race([
+          waitForAck(),
+          sleep(1000), // Timeout to prevent deadlock
+        ]);
+        if (isInterrupted(conn)) return;
+      }
+    }
+
+    // v4: Encrypt with the agreed key, bound to the chunk's position
+    if (!chunkKey) throw new DropgateNetworkError('No encryption key was agreed with the receiver.');
+    const payload = await encryptP2PChunk(cryptoAdapter, chunkKey, data, buildP2PChunkAad(currentFileIndex, offset));
+    if (isInterrupted(conn)) return;
+
+    const seq = nextSeq++;
+    if (chunkAcknowledgments) {
+      unackedChunks.set(seq, { offset, size: data.byteLength, sentAt: Date.now() });
+    }
+
+    // Send chunk header then binary data
+    conn.send({ t: 'chunk', seq, offset, size: data.byteLength, total: fileTotal ?? transferSize });
+    conn.send(payload);
+    sentBytes += data.byteLength;
+
+    // Buffer-based flow control using data channel thresholds
+    const dc = conn._dc;
+    if (dc && bufferHighWaterMark > 0) {
+      while (dc.bufferedAmount > bufferHighWaterMark) {
+        await new Promise<void>((resolve) => {
+          const fallback = setTimeout(resolve, 60);
+          try {
+            dc.addEventListener(
+              'bufferedamountlow',
+              () => {
+                clearTimeout(fallback);
+                resolve();
+              },
+              { once: true }
+            );
+          } catch {
+            // Fallback only
+          }
+        });
+        if (isInterrupted(conn)) return;
+      }
+    }
+  };
+
+  // Add a slice read at `offset` to the current file's hash, skipping bytes already hashed
+  const hashSlice = (buf: ArrayBuffer, offset: number): void => {
+    if (!fileHash) return;
+    const end = offset + buf.byteLength;
+    if (end <= fileHash.hashedBytes) return;
+    fileHash.hasher.update(new Uint8Array(buf, fileHash.hashedBytes - offset));
+    fileHash.hashedBytes = end;
+  };
+
+  // Hex SHA-256 of the current file, once all of it has been hashed
+  const fileDigest = (): string | undefined => {
+    if (!fileHash) return undefined;
+    fileHash.hex ??= fileHash.hasher.digestHex();
+    return fileHash.hex;
+  };
+
+  // Robust end-ack with retries. Resolves to null if the connection is interrupted.
+  const waitForEndAck = async (
+    conn: DataConnection,
+    ackPromise: Promise<P2PEndAckMessage | null>
+  ): Promise<P2PEndAckMessage | null> => {
+    const baseTimeout = endAckTimeoutMs;
+    const sha256 = isMultiFile ? undefined : fileDigest();
+
+    for (let attempt = 0; attempt < P2P_END_ACK_RETRIES; attempt++) {
+      conn.send({ t: 'end', attempt, sha256 });
+
+      const timeout = baseTimeout * Math.pow(1.5, attempt);
+      const result = await Promise.race([
+        ackPromise,
+        sleep(timeout).then(() => null as P2PEndAckMessage | null),
+      ]);
+
+      if (isInterrupted(conn) && !isStopped()) return null;
+
+      if (result && result.t === 'end_ack') {
+        return result;
+      }
+
+      // Check if connection is still alive
+      if (isStopped()) {
+        throw new DropgateNetworkError('Connection closed during completion.');
+      }
+    }
+
+    throw new DropgateNetworkError('Receiver did not confirm completion after retries.');
+  };
+
+  // Send the files from a position onwards, then finish the transfer.
+  // Returns quietly as soon as the connection is replaced or the transfer stops.
+  const runTransfer = async (conn: DataConnection, start: { fileIndex: number; offset: number }): Promise<void> => {
+    let overallSentBytes = bytesBeforeFile(start.fileIndex) + start.offset;
+    sentBytes = overallSentBytes;
+
+    // Send file(s) in chunks
+    for (const fi of selectedFiles) {
+      if (fi < start.fileIndex) continue;
+      const currentFile = files[fi];
+      const startOffset = fi === start.fileIndex ? start.offset : 0;
+      currentFileIndex = fi;
+      currentFileSent = startOffset;
+      if (fileHash?.fileIndex !== fi) {
+        fileHash = { fileIndex: fi, hasher: createStreamingSha256(), hashedBytes: 0, hex: null };
+      }
+
+      // For multi-file (after first file), send meta for subsequent files.
+      // A resume part-way through a file skips it, since the receiver already has it.
+      if (isMultiFile && fi > 0 && startOffset === 0) {
+        conn.send({
+          t: 'meta',
+          sessionId,
+          name: currentFile.name,
+          size: currentFile.size,
+          mime: currentFile.type || 'application/octet-stream',
+          fileIndex: fi,
+        });
+      }
+
+      // Send this file's chunks
+      for (let offset = startOffset; offset < currentFile.size; offset += chunkSize) {
+        if (isInterrupted(conn)) return;
+
+        const slice = currentFile.slice(offset, offset + chunkSize);
+        const buf = await slice.arrayBuffer();
+        if (isInterrupted(conn)) return;
+
+        hashSlice(buf, offset);
+        await sendChunk(conn, buf, offset, currentFile.size);
+        if (isInterrupted(conn)) return;
+
+        currentFileSent += buf.byteLength;
+        overallSentBytes += buf.byteLength;
+        reportProgress({ received: overallSentBytes, total: transferSize });
+      }
+
+      if (isInterrupted(conn)) return;
+
+      // For multi-file: send file_end and wait for file_end_ack
+      if (isMultiFile) {
+        const fileEndAckPromise = new Promise<P2PFileEndAckMessage | null>((resolve) => {
+          fileEndAckResolve = resolve;
+        });
+
+        conn.send({ t: 'file_end', fileIndex: fi, sha256: fileDigest() });
+
+        const feAck = await Promise.race([
+          fileEndAckPromise,
+          sleep(endAckTimeoutMs).then(() => null as P2PFileEndAckMessage | null),
+        ]);
+
+        if (isInterrupted(conn)) return;
+
+        if (!feAck) {
+          throw new DropgateNetworkError(`Receiver did not confirm receipt of file ${fi + 1}/${files.length}.`);
+        }
+      }
+    }
+
+    if (isInterrupted(conn)) return;
+
+    transitionTo('finishing');
+    transitionTo('awaiting_ack');
+
+    const endAckPromise = new Promise<P2PEndAckMessage | null>((resolve) => {
+      endAckResolve = resolve;
+    });
+
+    // Wait for end acknowledgment with retries
+    const ackResult = await waitForEndAck(conn, endAckPromise);
+
+    if (!ackResult || isInterrupted(conn)) return;
+
+    const ackTotal = Number(ackResult.total) || transferSize;
+    const ackReceived = Number(ackResult.received) || 0;
+
+    if (ackTotal && ackReceived < ackTotal) {
+      throw new DropgateNetworkError('Receiver reported an incomplete transfer.');
+    }
+
+    reportProgress({ received: ackReceived || ackTotal, total: ackTotal });
+    safeComplete();
+  };
+
+  // Work out where a resume request continues from, or null if the receiver
+  // claims a position the sender never reached
+  const resolveResumePosition = (msg: P2PResumeMessage): { fileIndex: number; offset: number } | null => {
+    const fileIndex = isMultiFile ? Number(msg.fileIndex) : 0;
+    const offset = Number(msg.receivedBytes);
+    if (!Number.isInteger(fileIndex) || !Number.isInteger(offset) || offset < 0) return null;
+
+    if (fileIndex === currentFileIndex && offset <= currentFileSent) {
+      return { fileIndex, offset };
+    }
+
+    // The receiver finished the current file but its file_end_ack was lost
+    if (isMultiFile && fileIndex === nextSelectedFile(currentFileIndex) && offset === 0
+      && currentFileSent === files[currentFileIndex].size) {
+      return { fileIndex, offset };
+    }
+
+    return null;
+  };
+
+  // Take a receiver coming back after a drop onto a new connection. The caller has
+  // already checked that the request presents this transfer's session ID.
+  const resume = async (conn: DataConnection, request: P2PResumeMessage): Promise<void> => {
+    if (isStopped()) return;
+
+    if (!isResumable()) {
+      rejectConnection(conn, 'Transfer can no longer be resumed.');
+      return;
+    }
+
+    const position = resolveResumePosition(request);
+    const info: P2PResumeInfo = {
+      sessionId,
+      receivedBytes: position ? bytesBeforeFile(position.fileIndex) + position.offset : 0,
+      totalBytes: transferSize,
+      canResume: position !== null,
+      ...(isMultiFile && position ? { fileIndex: position.fileIndex } : {}),
+    };
+
+    if (!position || onResumeRequest?.(info) === false) {
+      try {
+        conn.send({ t: 'resume_ack', resumeFromOffset: 0, accepted: false });
+      } catch {
+        // Ignore send errors
+      }
+      safeError(new DropgateNetworkError('The transfer could not be resumed.'));
+      return;
+    }
+
+    // The receiver has given up on the old connection, even if we haven't noticed it drop yet
+    if (resumeTimer) {
+      clearInterval(resumeTimer);
+      resumeTimer = null;
+    }
+    const lostConn = activeConn;
+    activeConn = conn;
+    clearIceRestart();
+    if (lostConn) {
+      try {
+        lostConn.close();
+      } catch {
+        // Ignore close errors
+      }
+    }
+    resetFlowControl();
+    if (state !== 'reconnecting') transitionTo('reconnecting');
+    transitionTo('transferring');
+    lastActivityTime = Date.now();
+    attachConnection(conn);
+
+    conn.send({
+      t: 'resume_ack',
+      resumeFromOffset: position.offset,
+      accepted: true,
+      ...(isMultiFile ? { fileIndex: position.fileIndex } : {}),
+    });
+    if (!isStopped()) onStatus?.({ phase: 'resumed', message: 'Receiver reconnected. Resuming transfer...' });
+
+    try {
+      await runTransfer(conn, position);
+    } catch (err) {
+      // Errors from a connection that has since been replaced no longer matter
+      if (conn !== activeConn) return;
+      safeError(err as Error);
+    }
+  };
+
+  let helloResolve: ((msg: P2PHelloMessage) => void) | null = null;
+  let readyResolve: (() => void) | null = null;
+
+  const helloPromise = new Promise<P2PHelloMessage>((resolve) => {
+    helloResolve = resolve;
+  });
+
+  const readyPromise = new Promise<void>((resolve) => {
+    readyResolve = resolve;
+  });
+
+  // Listen to a connection that carries (or will carry) this transfer.
+  // Anything arriving on a connection that has since been replaced is ignored.
+  const attachConnection = (conn: DataConnection): void => {
+    watchIceConnection(conn);
+
+    conn.on('data', (data: unknown) => {
+      // Handle binary data (we don't expect binary from receiver)
+      if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return;
+      }
+
+      if (!isP2PMessage(data)) return;
+
+      const msg = data;
+
+      if (conn !== activeConn) return;
+      lastActivityTime = Date.now();
+
+      switch (msg.t) {
+        case 'hello':
+          helloResolve?.(msg as P2PHelloMessage);
+          break;
+
+        case 'select': {
+          // v5: Only a multi-file transfer that hasn't started yet can be narrowed down
+          if (state !== 'negotiating' || !isMultiFile) break;
+          const selection = normalizeFileSelection((msg as P2PSelectMessage).fileIndices, files.length);
+          if (!selection) {
+            safeError(new DropgateValidationError('Receiver sent an invalid file selection.'));
+            break;
+          }
+          selectedFiles = selection;
+          transferSize = selection.reduce((sum, i) => sum + files[i].size, 0);
+          break;
+        }
+
+        case 'ready':
+          if (!isStopped()) {
+            const message = selectedFiles.length < files.length
+              ? `Receiver accepted ${selectedFiles.length} of ${files.length} files. Starting transfer...`
+              : 'Receiver accepted. Starting transfer...';
+            onStatus?.({ phase: 'transferring', message });
+          }
+          readyResolve?.();
+          break;
+
+        case 'chunk_ack':
+          handleChunkAck(msg as P2PChunkAckMessage);
+          break;
+
+        case 'file_end_ack':
+          fileEndAckResolve?.(msg as P2PFileEndAckMessage);
+          break;
+
+        case 'end_ack':
+          endAckResolve?.(msg as P2PEndAckMessage);
+          break;
+
+        case 'pong':
+          // Heartbeat response received, connection is alive
+          break;
+
+        case 'error':
+          safeError(new DropgateNetworkError(msg.message || 'Receiver reported an error.'));
+          break;
+
+        case 'cancelled':
+          if (state === 'cancelled' || state === 'closed' || state === 'completed') return;
+          transitionTo('cancelled');
+          onEnd({ type: 'cancelled', event: { cancelledBy: 'receiver', message: msg.reason } });
+          cleanup();
+          break;
+      }
+    });
+
+    conn.on('error', (err: Error) => {
+      if (conn !== activeConn) return;
+      if (canResume()) {
+        waitForResume();
+        return;
+      }
+      safeError(err);
+    });
+
+    conn.on('close', () => {
+      if (conn !== activeConn) return;
+
+      if (state === 'closed' || state === 'completed' || state === 'cancelled') {
+        // Clean shutdown or already cancelled, ensure full cleanup
+        cleanup();
+        return;
+      }
+
+      // Connection dropped mid-transfer: give the receiver a chance to reconnect and resume
+      if (canResume()) {
+        waitForResume();
+        return;
+      }
+
+      // Special handling for awaiting_ack state - give grace period
+      if (state === 'awaiting_ack') {
+        // Connection closed while waiting for end_ack
+        // Give a grace period for the ack to have been processed
+        setTimeout(() => {
+          if (state === 'awaiting_ack') {
+            // Still waiting, treat as failure
+            safeError(new DropgateNetworkError('Connection closed while awaiting confirmation.'));
+          }
+        }, P2P_CLOSE_GRACE_PERIOD_MS);
+        return;
+      }
+
+      if (state === 'transferring' || state === 'finishing') {
+        // Connection closed during active transfer — the receiver either cancelled
+        // or disconnected. Treat as a receiver-initiated cancellation so the UI
+        // can reset cleanly instead of showing a raw error.
+        transitionTo('cancelled');
+        onEnd({ type: 'cancelled', event: { cancelledBy: 'receiver' } });
+        cleanup();
+      } else {
+        // Disconnected before transfer started (during waiting/negotiating phase)
+        transitionTo('closed');
+        activeConn = null;
+        onEnd({ type: 'disconnected' });
+        cleanup();
+      }
+    });
+  };
+
+  // Handshake with the receiver, then send the files once it is ready
+  const handshake = async (conn: DataConnection): Promise<void> => {
+    // Start health monitoring
+    startHealthMonitoring();
+
+    // v4: Commit to a fresh public key now and reveal it once the receiver has sent its own,
+    // so neither key can be chosen after seeing the other
+    const ownKeys = await generateP2PKeyPair(cryptoAdapter);
+    const keyCommitment = await commitToPublicKey(cryptoAdapter, ownKeys.publicKey);
+    if (isStopped()) return;
+
+    // Protocol v2: Send hello first
+    conn.send({
+      t: 'hello',
+      protocolVersion: P2P_PROTOCOL_VERSION,
+      sessionId,
+      keyCommitment,
+    });
+
+    // Wait for receiver's hello (with timeout)
+    const receiverHello = await Promise.race([
+      helloPromise,
+      sleep(10000).then(() => null as P2PHelloMessage | null),
+    ]);
+
+    if (isStopped()) return;
+
+    if (receiverHello === null) {
+      throw new DropgateNetworkError('Receiver did not respond to handshake.');
+    } else if (receiverHello.protocolVersion !== P2P_PROTOCOL_VERSION) {
+      throw new DropgateNetworkError(
+        `Protocol version mismatch: sender v${P2P_PROTOCOL_VERSION}, receiver v${receiverHello.protocolVersion}`
+      );
+    } else if (typeof receiverHello.publicKey !== 'string') {
+      throw new DropgateNetworkError('Receiver did not send a public key.');
+    }
+
+    const sessionKeys = await deriveP2PSessionKeys(cryptoAdapter, ownKeys, receiverHello.publicKey, 'sender');
+    if (isStopped()) return;
+    chunkKey = sessionKeys.chunkKey;
+    conn.send({ t: 'key', publicKey: ownKeys.publicKey });
+    onVerificationCode?.(sessionKeys.verification);
+
+    transitionTo('negotiating');
+    if (!isStopped()) onStatus?.({ phase: 'waiting', message: 'Connected. Waiting for receiver to accept...' });
+
+    // v3: Send file_list for multi-file transfers
+    if (isMultiFile) {
+      conn.send({
+        t: 'file_list',
+        fileCount: files.length,
+        files: files.map(f => ({ name: f.name, size: f.size, mime: f.type || 'application/octet-stream' })),
+        totalSize,
+      });
+    }
+
+    // Send metadata for the first file (or the only file)
+    conn.send({
+      t: 'meta',
+      sessionId,
+      name: files[0].name,
+      size: files[0].size,
+      mime: files[0].type || 'application/octet-stream',
+      ...(isMultiFile ? { fileIndex: 0 } : {}),
+    });
+
+    const dc = conn._dc;
+
+    if (dc && Number.isFinite(bufferLowWaterMark)) {
+      try {
+        dc.bufferedAmountLowThreshold = bufferLowWaterMark;
+      } catch {
+        // Ignore threshold setting errors
+      }
+    }
+
+    // Wait for ready signal
+    await readyPromise;
+    if (isStopped()) return;
+
+    // Start heartbeat for long transfers
+    if (heartbeatIntervalMs > 0 && !heartbeatTimer) {
+      heartbeatTimer = setInterval(() => {
+        if (state === 'transferring' || state === 'finishing' || state === 'awaiting_ack') {
+          try {
+            activeConn?.send({ t: 'ping', timestamp: Date.now() });
+          } catch {
+            // Ignore ping errors
+          }
+        }
+      }, heartbeatIntervalMs);
+    }
+
+    transitionTo('transferring');
+    transferEverStarted = true; // Security: Mark that transfer has started
+
+    await runTransfer(conn, { fileIndex: selectedFiles[0], offset: 0 });
+  };
+
+  const connect = (conn: DataConnection): void => {
+    activeConn = conn;
+    transitionTo('handshaking');
+    lastActivityTime = Date.now();
+    attachConnection(conn);
+
+    conn.on('open', async () => {
+      if (isStopped()) return;
+      try {
+        await handshake(conn);
+      } catch (err) {
+        // Errors from a connection that has since been replaced no longer matter
+        if (conn !== activeConn) return;
+        safeError(err as Error);
+      }
+    });
+  };
+
+  return {
+    sessionId,
+    getState: () => state,
+    getBytesSent: () => sentBytes,
+    getConnection: () => activeConn,
+    hasStarted: () => transferEverStarted,
+    isResumable,
+    connect,
+    resume,
+    stop,
+    release,
+  };
+}
@@ -1,31 +1,35 @@
-import { DropgateValidationError, DropgateNetworkError } from '../errors.js';
+import { DropgateValidationError } from '../errors.js';
 import { sleep } from '../utils/network.js';
+import { getDefaultCrypto } from '../adapters/defaults.js';
 import type {
   P2PSendOptions,
   P2PSendSession,
   P2PSendState,
   DataConnection,
-  P2PConnectionHealthEvent,
 } from './types.js';
 import { generateP2PCode } from './utils.js';
-import { buildPeerOptions, createPeerWithRetries, resolvePeerConfig } from './helpers.js';
+import {
+  buildPeerOptions,
+  createPeerWithRetries,
+  rejectConnection,
+  resolvePeerConfig,
+  resolveTransport,
+} from './helpers.js';
+import { createSendTransfer, type SendTransfer, type SendTransferOutcome } from './send-transfer.js';
+import { getRelayWebSocket, listenOnRelay } from './relay.js';
 import type { FileSource } from '../types.js';
 import {
   P2P_PROTOCOL_VERSION,
   P2P_CHUNK_SIZE,
   P2P_MAX_UNACKED_CHUNKS,
   P2P_END_ACK_TIMEOUT_MS,
-  P2P_END_ACK_RETRIES,
-  P2P_CLOSE_GRACE_PERIOD_MS,
+  P2P_RESUME_TIMEOUT_MS,
+  P2P_ICE_RESTART_TIMEOUT_MS,
   isP2PMessage,
-  type P2PChunkAckMessage,
-  type P2PEndAckMessage,
-  type P2PFileEndAckMessage,
+  type P2PHelloMessage,
+  type P2PResumeMessage,
 } from './protocol.js';
 
-// Timeout for detecting stalled receivers that stop sending acks
-const P2P_UNACKED_CHUNK_TIMEOUT_MS = 30000;
-
 /**
  * Generate a unique session ID for transfer tracking.
  */
@@ -33,28 +37,10 @@ function generateSessionId(): string {
   return crypto.randomUUID();
 }
 
-/**
- * Allowed state transitions to prevent invalid state changes.
- * This enforces a strict state machine where transitions only happen
- * in the expected order, preventing race conditions.
- */
-const ALLOWED_TRANSITIONS: Record<P2PSendState, P2PSendState[]> = {
-  initializing: ['listening', 'closed'],
-  listening: ['handshaking', 'closed', 'cancelled'],
-  handshaking: ['negotiating', 'closed', 'cancelled'],
-  negotiating: ['transferring', 'closed', 'cancelled'],
-  transferring: ['finishing', 'closed', 'cancelled'],
-  finishing: ['awaiting_ack', 'closed', 'cancelled'],
-  awaiting_ack: ['completed', 'closed', 'cancelled'],
-  completed: ['closed'],
-  cancelled: ['closed'],
-  closed: [],
-};
-
 /**
  * Start a direct transfer (P2P) sender session.
  *
- * IMPORTANT: Consumer must provide the PeerJS Peer constructor.
+ * IMPORTANT: Consumer must provide the PeerJS Peer constructor or another transport.
  * This removes DOM coupling (no script injection).
  *
  * Protocol v2 features:
@@ -62,6 +48,8 @@ const ALLOWED_TRANSITIONS: Record<P2PSendState, P2PSendState[]> = {
  * - Chunk-level acknowledgments for flow control
  * - Multiple end-ack retries for reliability
  * - Stream-through design for unlimited file sizes
+ * - Resume after the connection drops mid-transfer
+ * - Broadcast to several receivers with `maxReceivers`, each on its own transfer
  *
  * Example:
  * ```js
@@ -83,12 +71,14 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
   const {
     file,
     Peer,
+    transport,
     serverInfo,
     host,
     port,
     peerjsPath,
     secure = false,
     iceServers,
+    relayPath,
     codeGenerator,
     cryptoObj,
     maxAttempts = 4,
@@ -99,6 +89,8 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     heartbeatIntervalMs = 5000,
     chunkAcknowledgments = true,
     maxUnackedChunks = P2P_MAX_UNACKED_CHUNKS,
+    resumeTimeoutMs = P2P_RESUME_TIMEOUT_MS,
+    iceRestartTimeoutMs = P2P_ICE_RESTART_TIMEOUT_MS,
     onCode,
     onStatus,
     onProgress,
@@ -107,22 +99,30 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     onDisconnect,
     onCancel,
     onConnectionHealth,
+    onResumeRequest,
+    onVerificationCode,
+    maxReceivers = 1,
+    onReceiverEnd,
   } = opts;
 
   // Normalize to files array
   const files: FileSource[] = Array.isArray(file) ? file : [file];
-  const isMultiFile = files.length > 1;
-  const totalSize = files.reduce((sum, f) => sum + f.size, 0);
 
   // Validate required options
   if (!files.length) {
     throw new DropgateValidationError('At least one file is required.');
   }
 
-  if (!Peer) {
-    throw new DropgateValidationError(
-      'PeerJS Peer constructor is required. Install peerjs and pass it as the Peer option.'
-    );
+  const peerTransport = resolveTransport({ Peer, transport });
+
+  if (!Number.isInteger(maxReceivers) || maxReceivers < 1) {
+    throw new DropgateValidationError('maxReceivers must be a whole number of at least 1.');
+  }
+  const isBroadcast = maxReceivers > 1;
+
+  const cryptoAdapter = cryptoObj || getDefaultCrypto();
+  if (!cryptoAdapter?.subtle) {
+    throw new DropgateValidationError('Web Crypto API is required to encrypt direct transfers.');
   }
 
   // Check P2P capabilities if serverInfo is provided
@@ -132,8 +132,8 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
   }
 
   // Resolve config from user options and server capabilities
-  const { path: finalPath, iceServers: finalIceServers } = resolvePeerConfig(
-    { peerjsPath, iceServers },
+  const { path: finalPath, iceServers: finalIceServers, relayPath: finalRelayPath } = resolvePeerConfig(
+    { peerjsPath, iceServers, relayPath },
     p2pCaps
   );
 
@@ -149,8 +149,9 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
   // Create the code generator
   const finalCodeGenerator = codeGenerator || (() => generateP2PCode(cryptoObj));
 
-  // Create peer with retries
-  const buildPeer = (id: string) => new Peer(id, peerOpts);
+  // Create peer with retries. Its signalling token also proves to the relay that the code is ours.
+  const signallingToken = crypto.randomUUID();
+  const buildPeer = (id: string) => peerTransport.createPeer(id, { ...peerOpts, token: signallingToken });
   const { peer, code } = await createPeerWithRetries({
     code: null,
     codeGenerator: finalCodeGenerator,
@@ -162,94 +163,44 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
   // Generate unique session ID for this transfer
   const sessionId = generateSessionId();
 
-  // State machine - replaces boolean flags to prevent race conditions
-  let state: P2PSendState = 'listening';
-  let activeConn: DataConnection | null = null;
-  let sentBytes = 0;
-  let heartbeatTimer: ReturnType<typeof setInterval> | null = null;
-  let healthCheckTimer: ReturnType<typeof setInterval> | null = null;
-  let lastActivityTime = Date.now();
+  // Session state: 'listening' until the session ends. Each receiver's transfer has its own.
+  let sessionState: P2PSendState = 'listening';
+  let cleanedUp = false;
+
+  // Transfers still running, plus how many have completed and what ended ones sent
+  const transfers = new Set<SendTransfer>();
+  let completedCount = 0;
+  let endedBytes = 0;
 
-  // Chunk acknowledgment tracking
-  const unackedChunks = new Map<number, { offset: number; size: number; sentAt: number }>();
-  let nextSeq = 0;
-  let ackResolvers: Array<() => void> = [];
+  // Stops listening on the server's relay, when there is one
+  let stopRelay: (() => void) | null = null;
 
-  // Track if transfer ever started to prevent connection replacement attacks
-  let transferEverStarted = false;
+  // Broadcast: a transfer becomes a receiver, and takes a slot, once its fresh hello arrives.
+  // Until then the connection may turn out to be a receiver resuming another transfer.
+  const receiverIds = new Map<SendTransfer, number>();
+  let receiverCount = 0;
+
+  const slotsTaken = (): number => completedCount + (isBroadcast ? receiverIds.size : transfers.size);
 
   // Security: Connection rate limiting to prevent DoS attacks
   const connectionAttempts: number[] = []; // Timestamps of recent connection attempts
   const MAX_CONNECTION_ATTEMPTS = 10; // Max attempts allowed
   const CONNECTION_RATE_WINDOW_MS = 10000; // 10 second sliding window
 
-  /**
-   * Attempt a state transition. Returns true if transition was valid.
-   * Logs a warning for invalid transitions but doesn't throw.
-   */
-  const transitionTo = (newState: P2PSendState): boolean => {
-    if (!ALLOWED_TRANSITIONS[state].includes(newState)) {
-      console.warn(`[P2P Send] Invalid state transition: ${state} -> ${newState}`);
-      return false;
-    }
-    state = newState;
-    return true;
-  };
-
-  const reportProgress = (data: { received: number; total: number }): void => {
-    if (isStopped()) return;
-    const safeTotal =
-      Number.isFinite(data.total) && data.total > 0 ? data.total : totalSize;
-    const safeReceived = Math.min(Number(data.received) || 0, safeTotal || 0);
-    const percent = safeTotal ? (safeReceived / safeTotal) * 100 : 0;
-    onProgress?.({ processedBytes: safeReceived, totalBytes: safeTotal, percent });
-  };
-
-  // Safe error handler - prevents calling onError after completion or cancellation
-  const safeError = (err: Error): void => {
-    if (state === 'closed' || state === 'completed' || state === 'cancelled') return;
-    transitionTo('closed');
-    onError?.(err);
-    cleanup();
-  };
-
-  // Safe complete handler - only fires from awaiting_ack state
-  const safeComplete = (): void => {
-    if (state !== 'awaiting_ack' && state !== 'finishing') return;
-    transitionTo('completed');
-    onComplete?.();
-    cleanup();
-  };
+  const isStopped = (): boolean => sessionState !== 'listening';
 
   // Cleanup all resources
   const cleanup = (): void => {
-    // Clear heartbeat timer
-    if (heartbeatTimer) {
-      clearInterval(heartbeatTimer);
-      heartbeatTimer = null;
-    }
-
-    // Clear health check timer
-    if (healthCheckTimer) {
-      clearInterval(healthCheckTimer);
-      healthCheckTimer = null;
-    }
-
-    // Clear any pending ack resolvers
-    ackResolvers.forEach((resolve) => resolve());
-    ackResolvers = [];
-    unackedChunks.clear();
+    if (cleanedUp) return;
+    cleanedUp = true;
 
     // Remove beforeunload listener if in browser
     if (typeof window !== 'undefined') {
       window.removeEventListener('beforeunload', handleUnload);
     }
 
-    try {
-      activeConn?.close();
-    } catch {
-      // Ignore close errors
-    }
+    stopRelay?.();
+
     try {
       peer.destroy();
     } catch {
@@ -259,10 +210,12 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
 
   // Handle browser tab close/refresh
   const handleUnload = (): void => {
-    try {
-      activeConn?.send({ t: 'error', message: 'Sender closed the connection.' });
-    } catch {
-      // Best effort
+    for (const transfer of transfers) {
+      try {
+        transfer.getConnection()?.send({ t: 'error', message: 'Sender closed the connection.' });
+      } catch {
+        // Best effort
+      }
     }
     stop();
   };
@@ -273,162 +226,176 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
   }
 
   const stop = (): void => {
-    if (state === 'closed' || state === 'cancelled') return;
+    if (sessionState === 'closed' || sessionState === 'cancelled') return;
+    if (sessionState === 'listening') sessionState = 'cancelled';
+    for (const transfer of [...transfers]) transfer.stop();
+    cleanup();
+  };
 
-    // If already completed, just cleanup without callbacks
-    if (state === 'completed') {
+  // A transfer to one receiver has ended. Without broadcast, that ends the session
+  // unless the receiver left before it started.
+  const handleTransferEnd = (transfer: SendTransfer, outcome: SendTransferOutcome): void => {
+    const receiverId = receiverIds.get(transfer);
+    transfers.delete(transfer);
+    receiverIds.delete(transfer);
+    endedBytes += transfer.getBytesSent();
+
+    if (!isBroadcast) {
+      switch (outcome.type) {
+        case 'disconnected':
+          onDisconnect?.();
+          return;
+        case 'completed':
+          sessionState = 'completed';
+          onComplete?.();
+          break;
+        case 'failed':
+          sessionState = 'closed';
+          onError?.(outcome.error);
+          break;
+        case 'cancelled':
+          if (sessionState === 'listening') sessionState = 'cancelled';
+          if (outcome.event) onCancel?.(outcome.event);
+          break;
+      }
       cleanup();
       return;
     }
 
-    const wasActive = state === 'transferring' || state === 'finishing' || state === 'awaiting_ack';
-    transitionTo('cancelled');
+    // Receivers that never finished the handshake aren't reported
+    if (receiverId === undefined) return;
 
-    // Notify peer before cleanup
-    try {
-      // @ts-expect-error - open property may exist on PeerJS connections
-      if (activeConn && activeConn.open) {
-        activeConn.send({ t: 'cancelled', message: 'Sender cancelled the transfer.' });
-      }
-    } catch {
-      // Best effort
-    }
+    if (outcome.type === 'completed') completedCount++;
+    onReceiverEnd?.({
+      receiverId,
+      outcome: outcome.type,
+      ...(outcome.type === 'failed' ? { error: outcome.error } : {}),
+      ...(outcome.type === 'cancelled' && outcome.event ? { cancelledBy: outcome.event.cancelledBy } : {}),
+    });
 
-    if (wasActive && onCancel) {
-      onCancel({ cancelledBy: 'sender' });
+    if (completedCount >= maxReceivers && sessionState === 'listening') {
+      sessionState = 'completed';
+      onComplete?.();
+      cleanup();
     }
-
-    cleanup();
-  };
-
-  // Helper to check if session is stopped - bypasses TypeScript narrowing
-  // which doesn't understand state can change asynchronously
-  const isStopped = (): boolean => state === 'closed' || state === 'cancelled';
-
-  // Connection health monitoring
-  const startHealthMonitoring = (conn: DataConnection): void => {
-    if (!onConnectionHealth) return;
-
-    healthCheckTimer = setInterval(() => {
-      if (isStopped()) return;
-      const dc = conn._dc;
-      if (!dc) return;
-
-      // Note: iceConnectionState is on RTCPeerConnection, not RTCDataChannel
-      // We can only report bufferedAmount and readyState from the data channel
-      const health: P2PConnectionHealthEvent = {
-        iceConnectionState: (dc.readyState === 'open' ? 'connected' : 'disconnected') as P2PConnectionHealthEvent['iceConnectionState'],
-        bufferedAmount: dc.bufferedAmount,
-        lastActivityMs: Date.now() - lastActivityTime,
-      };
-
-      onConnectionHealth(health);
-    }, 2000);
   };
 
-  // Handle chunk acknowledgment
-  const handleChunkAck = (msg: P2PChunkAckMessage): void => {
-    lastActivityTime = Date.now();
-    unackedChunks.delete(msg.seq);
-    reportProgress({ received: msg.received, total: totalSize });
+  // Collect a receiver's first hello and resume request from a new connection.
+  // `onHello` runs before any transfer on the connection sees the hello.
+  const watchHandshake = (conn: DataConnection, onHello?: (hello: P2PHelloMessage) => void) => {
+    let helloResolve: ((msg: P2PHelloMessage) => void) | null = null;
+    let resumeResolve: ((msg: P2PResumeMessage) => void) | null = null;
 
-    // Resolve any pending waitForAck promises
-    const resolver = ackResolvers.shift();
-    if (resolver) resolver();
-  };
+    const hello = new Promise<P2PHelloMessage>((resolve) => {
+      helloResolve = resolve;
+    });
+    const resume = new Promise<P2PResumeMessage>((resolve) => {
+      resumeResolve = resolve;
+    });
 
-  // Wait for chunk acknowledgment when too many unacked
-  const waitForAck = (): Promise<void> => {
-    return new Promise((resolve) => {
-      ackResolvers.push(resolve);
+    conn.on('data', (data: unknown) => {
+      if (!isP2PMessage(data)) return;
+      if (data.t === 'hello' && helloResolve) {
+        onHello?.(data as P2PHelloMessage);
+        helloResolve(data as P2PHelloMessage);
+        helloResolve = null;
+      } else if (data.t === 'resume') {
+        resumeResolve?.(data as P2PResumeMessage);
+        resumeResolve = null;
+      }
     });
+
+    return { hello, resume };
   };
 
-  // Send chunk with sequence tracking
-  const sendChunk = async (conn: DataConnection, data: ArrayBuffer, offset: number, fileTotal?: number): Promise<void> => {
-    // Wait if too many unacknowledged chunks (flow control)
-    if (chunkAcknowledgments) {
-      while (unackedChunks.size >= maxUnackedChunks) {
-        // Security: Check for stale unacked chunks (receiver stopped responding)
-        const now = Date.now();
-        for (const [_seq, chunk] of unackedChunks) {
-          if (now - chunk.sentAt > P2P_UNACKED_CHUNK_TIMEOUT_MS) {
-            throw new DropgateNetworkError('Receiver stopped acknowledging chunks');
-          }
-        }
+  // Hand a connection from a receiver coming back after a drop to the transfer it
+  // belongs to. It must present that transfer's session ID, which only its receiver was given.
+  const routeResume = async (
+    conn: DataConnection,
+    handshake: { hello: Promise<P2PHelloMessage>; resume: Promise<P2PResumeMessage> }
+  ): Promise<void> => {
+    const request = await Promise.race([
+      handshake.hello.then((hello) => (hello.protocolVersion === P2P_PROTOCOL_VERSION ? handshake.resume : null)),
+      sleep(10000).then(() => null as P2PResumeMessage | null),
+    ]);
 
-        await Promise.race([
-          waitForAck(),
-          sleep(1000), // Timeout to prevent deadlock
-        ]);
-        if (isStopped()) return;
-      }
-    }
+    if (isStopped()) return;
 
-    const seq = nextSeq++;
-    if (chunkAcknowledgments) {
-      unackedChunks.set(seq, { offset, size: data.byteLength, sentAt: Date.now() });
+    const transfer = request ? [...transfers].find((t) => t.sessionId === request.sessionId) : undefined;
+    if (!request || !transfer) {
+      rejectConnection(conn, 'Invalid resume request.');
+      return;
     }
 
-    // Send chunk header then binary data
-    conn.send({ t: 'chunk', seq, offset, size: data.byteLength, total: fileTotal ?? totalSize });
-    conn.send(data);
-    sentBytes += data.byteLength;
-
-    // Buffer-based flow control using data channel thresholds
-    const dc = conn._dc;
-    if (dc && bufferHighWaterMark > 0) {
-      while (dc.bufferedAmount > bufferHighWaterMark) {
-        await new Promise<void>((resolve) => {
-          const fallback = setTimeout(resolve, 60);
-          try {
-            dc.addEventListener(
-              'bufferedamountlow',
-              () => {
-                clearTimeout(fallback);
-                resolve();
-              },
-              { once: true }
-            );
-          } catch {
-            // Fallback only
-          }
-        });
-        if (isStopped()) return;
-      }
-    }
+    await transfer.resume(conn, request);
   };
 
-  // Robust end-ack with retries
-  const waitForEndAck = async (
-    conn: DataConnection,
-    ackPromise: Promise<P2PEndAckMessage>
-  ): Promise<P2PEndAckMessage> => {
-    const baseTimeout = endAckTimeoutMs;
-
-    for (let attempt = 0; attempt < P2P_END_ACK_RETRIES; attempt++) {
-      conn.send({ t: 'end', attempt });
+  // Start a new transfer on a receiver's connection
+  const startTransfer = (conn: DataConnection): void => {
+    // Broadcast events are tagged with the receiver, and held back until there is one
+    const report = <T extends object>(callback: ((evt: T) => void) | undefined) =>
+      callback && ((evt: T): void => {
+        const receiverId = receiverIds.get(transfer);
+        if (!isBroadcast) callback(evt);
+        else if (receiverId !== undefined) callback({ ...evt, receiverId });
+      });
+
+    const transfer = createSendTransfer({
+      peer,
+      files,
+      sessionId: isBroadcast ? generateSessionId() : sessionId,
+      cryptoAdapter,
+      chunkSize,
+      endAckTimeoutMs,
+      bufferHighWaterMark,
+      bufferLowWaterMark,
+      heartbeatIntervalMs,
+      chunkAcknowledgments,
+      maxUnackedChunks,
+      resumeTimeoutMs,
+      iceRestartTimeoutMs,
+      onStatus: report(onStatus),
+      onProgress: report(onProgress),
+      onConnectionHealth: report(onConnectionHealth),
+      onVerificationCode: report(onVerificationCode),
+      onResumeRequest: onResumeRequest && ((info) => {
+        const receiverId = receiverIds.get(transfer);
+        return onResumeRequest(receiverId !== undefined ? { ...info, receiverId } : info);
+      }),
+      onEnd: (outcome) => handleTransferEnd(transfer, outcome),
+    });
+    transfers.add(transfer);
 
-      const timeout = baseTimeout * Math.pow(1.5, attempt);
-      const result = await Promise.race([
-        ackPromise,
-        sleep(timeout).then(() => null as P2PEndAckMessage | null),
-      ]);
+    const handshake = watchHandshake(conn, (hello) => {
+      if (transfer.getConnection() !== conn) return;
 
-      if (result && result.t === 'end_ack') {
-        return result;
+      // A hello carrying a session ID comes from a receiver resuming an earlier transfer
+      if (hello.sessionId) {
+        transfer.release();
+        transfers.delete(transfer);
+        void routeResume(conn, handshake);
+        return;
       }
 
-      // Check if connection is still alive
-      if (isStopped()) {
-        throw new DropgateNetworkError('Connection closed during completion.');
+      if (isBroadcast) {
+        // Other receivers may have joined since this one connected
+        if (slotsTaken() >= maxReceivers) {
+          transfer.release();
+          transfers.delete(transfer);
+          rejectConnection(conn, 'This transfer has reached its receiver limit.');
+          return;
+        }
+        const receiverId = ++receiverCount;
+        receiverIds.set(transfer, receiverId);
+        onStatus?.({ phase: 'connected', message: 'Receiver connected.', receiverId });
       }
-    }
+    });
 
-    throw new DropgateNetworkError('Receiver did not confirm completion after retries.');
+    if (!isBroadcast) onStatus?.({ phase: 'connected', message: 'Receiver connected.' });
+    transfer.connect(conn);
   };
 
-  peer.on('connection', (conn: DataConnection) => {
+  const handleConnection = (conn: DataConnection): void => {
     if (isStopped()) return;
 
     // Security: Connection rate limiting
@@ -440,376 +407,82 @@ export async function startP2PSend(opts: P2PSendOptions): Promise<P2PSendSession
     // Check if we've exceeded the rate limit
     if (connectionAttempts.length >= MAX_CONNECTION_ATTEMPTS) {
       console.warn('[P2P Send] Connection rate limit exceeded, rejecting connection');
-      try {
-        conn.send({ t: 'error', message: 'Too many connection attempts. Please wait.' });
-      } catch {
-        // Ignore send errors
-      }
-      try {
-        conn.close();
-      } catch {
-        // Ignore close errors
-      }
+      rejectConnection(conn, 'Too many connection attempts. Please wait.');
       return;
     }
     connectionAttempts.push(now);
 
-    // Connection replacement logic - allow new connections if old one is dead
-    if (activeConn) {
-      // Check if existing connection is actually still open
-      // @ts-expect-error - open property may exist on PeerJS connections
-      const isOldConnOpen = activeConn.open !== false;
-
-      if (isOldConnOpen && state === 'transferring') {
-        // Actively transferring, reject new connection
-        try {
-          conn.send({ t: 'error', message: 'Transfer already in progress.' });
-        } catch {
-          // Ignore send errors
-        }
-        try {
-          conn.close();
-        } catch {
-          // Ignore close errors
-        }
-        return;
-      } else if (!isOldConnOpen) {
-        // Old connection is dead, clean it up
-        try {
-          activeConn.close();
-        } catch {
-          // Ignore
-        }
-        activeConn = null;
-
-        // Security: Never allow reconnection if transfer ever started
-        // This prevents race condition attacks where receiver disconnects briefly
-        // and reconnects to restart transfer and corrupt data
-        if (transferEverStarted) {
+    // Without broadcast, a receiver whose connection isn't open and hasn't started can be replaced
+    if (!isBroadcast) {
+      for (const transfer of [...transfers]) {
+        const deadConn = transfer.getConnection();
+        if (!transfer.hasStarted() && deadConn?.open === false) {
+          transfer.release();
+          transfers.delete(transfer);
           try {
-            conn.send({ t: 'error', message: 'Transfer already started with another receiver. Cannot reconnect.' });
-          } catch {
-            // Ignore send errors
-          }
-          try {
-            conn.close();
+            deadConn.close();
           } catch {
             // Ignore close errors
           }
-          return;
         }
-
-        // Reset state to allow new transfer (only if never started transferring)
-        state = 'listening';
-        sentBytes = 0;
-        nextSeq = 0;
-        unackedChunks.clear();
-      } else {
-        // Connection exists but not transferring (maybe in negotiating state)
-        // Reject to avoid confusion
-        try {
-          conn.send({ t: 'error', message: 'Another receiver is already connected.' });
-        } catch {
-          // Ignore send errors
-        }
-        try {
-          conn.close();
-        } catch {
-          // Ignore close errors
-        }
-        return;
       }
     }
 
-    activeConn = conn;
-    transitionTo('handshaking');
-    if (!isStopped()) onStatus?.({ phase: 'connected', message: 'Receiver connected.' });
-    lastActivityTime = Date.now();
-
-    let helloResolve: ((version: number) => void) | null = null;
-    let readyResolve: (() => void) | null = null;
-    let endAckResolve: ((msg: P2PEndAckMessage) => void) | null = null;
-    let fileEndAckResolve: ((msg: P2PFileEndAckMessage) => void) | null = null;
-
-    const helloPromise = new Promise<number>((resolve) => {
-      helloResolve = resolve;
-    });
-
-    const readyPromise = new Promise<void>((resolve) => {
-      readyResolve = resolve;
-    });
-
-    const endAckPromise = new Promise<P2PEndAckMessage>((resolve) => {
-      endAckResolve = resolve;
-    });
-
-    conn.on('data', (data: unknown) => {
-      lastActivityTime = Date.now();
-
-      // Handle binary data (we don't expect binary from receiver)
-      if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
-        return;
-      }
-
-      if (!isP2PMessage(data)) return;
-
-      const msg = data;
-
-      switch (msg.t) {
-        case 'hello':
-          helloResolve?.(msg.protocolVersion);
-          break;
-
-        case 'ready':
-          if (!isStopped()) onStatus?.({ phase: 'transferring', message: 'Receiver accepted. Starting transfer...' });
-          readyResolve?.();
-          break;
-
-        case 'chunk_ack':
-          handleChunkAck(msg as P2PChunkAckMessage);
-          break;
-
-        case 'file_end_ack':
-          fileEndAckResolve?.(msg as P2PFileEndAckMessage);
-          break;
-
-        case 'end_ack':
-          endAckResolve?.(msg as P2PEndAckMessage);
-          break;
-
-        case 'pong':
-          // Heartbeat response received, connection is alive
-          break;
-
-        case 'error':
-          safeError(new DropgateNetworkError(msg.message || 'Receiver reported an error.'));
-          break;
-
-        case 'cancelled':
-          if (state === 'cancelled' || state === 'closed' || state === 'completed') return;
-          transitionTo('cancelled');
-          onCancel?.({ cancelledBy: 'receiver', message: msg.reason });
-          cleanup();
-          break;
-      }
-    });
-
-    conn.on('open', async () => {
-      try {
-        if (isStopped()) return;
-
-        // Start health monitoring
-        startHealthMonitoring(conn);
-
-        // Protocol v2: Send hello first
-        conn.send({
-          t: 'hello',
-          protocolVersion: P2P_PROTOCOL_VERSION,
-          sessionId,
-        });
-
-        // Wait for receiver's hello (with timeout)
-        const receiverVersion = await Promise.race([
-          helloPromise,
-          sleep(10000).then(() => null as number | null),
-        ]);
-
-        if (isStopped()) return;
-
-        if (receiverVersion === null) {
-          throw new DropgateNetworkError('Receiver did not respond to handshake.');
-        } else if (receiverVersion !== P2P_PROTOCOL_VERSION) {
-          throw new DropgateNetworkError(
-            `Protocol version mismatch: sender v${P2P_PROTOCOL_VERSION}, receiver v${receiverVersion}`
-          );
-        }
-
-        transitionTo('negotiating');
-        if (!isStopped()) onStatus?.({ phase: 'waiting', message: 'Connected. Waiting for receiver to accept...' });
-
-        // v3: Send file_list for multi-file transfers
-        if (isMultiFile) {
-          conn.send({
-            t: 'file_list',
-            fileCount: files.length,
-            files: files.map(f => ({ name: f.name, size: f.size, mime: f.type || 'application/octet-stream' })),
-            totalSize,
-          });
-        }
-
-        // Send metadata for the first file (or the only file)
-        conn.send({
-          t: 'meta',
-          sessionId,
-          name: files[0].name,
-          size: files[0].size,
-          mime: files[0].type || 'application/octet-stream',
-          ...(isMultiFile ? { fileIndex: 0 } : {}),
-        });
-
-        const dc = conn._dc;
-
-        if (dc && Number.isFinite(bufferLowWaterMark)) {
-          try {
-            dc.bufferedAmountLowThreshold = bufferLowWaterMark;
-          } catch {
-            // Ignore threshold setting errors
-          }
-        }
-
-        // Wait for ready signal
-        await readyPromise;
-        if (isStopped()) return;
-
-        // Start heartbeat for long transfers
-        if (heartbeatIntervalMs > 0) {
-          heartbeatTimer = setInterval(() => {
-            if (state === 'transferring' || state === 'finishing' || state === 'awaiting_ack') {
-              try {
-                conn.send({ t: 'ping', timestamp: Date.now() });
-              } catch {
-                // Ignore ping errors
-              }
-            }
-          }, heartbeatIntervalMs);
-        }
-
-        transitionTo('transferring');
-        transferEverStarted = true; // Security: Mark that transfer has started
-
-        let overallSentBytes = 0;
-
-        // Send file(s) in chunks
-        for (let fi = 0; fi < files.length; fi++) {
-          const currentFile = files[fi];
-
-          // For multi-file (after first file), send meta for subsequent files
-          if (isMultiFile && fi > 0) {
-            conn.send({
-              t: 'meta',
-              sessionId,
-              name: currentFile.name,
-              size: currentFile.size,
-              mime: currentFile.type || 'application/octet-stream',
-              fileIndex: fi,
-            });
-          }
-
-          // Send this file's chunks
-          for (let offset = 0; offset < currentFile.size; offset += chunkSize) {
-            if (isStopped()) return;
-
-            const slice = currentFile.slice(offset, offset + chunkSize);
-            const buf = await slice.arrayBuffer();
-            if (isStopped()) return;
-
-            await sendChunk(conn, buf, offset, currentFile.size);
-            overallSentBytes += buf.byteLength;
-            reportProgress({ received: overallSentBytes, total: totalSize });
-          }
-
-          if (isStopped()) return;
-
-          // For multi-file: send file_end and wait for file_end_ack
-          if (isMultiFile) {
-            const fileEndAckPromise = new Promise<P2PFileEndAckMessage>((resolve) => {
-              fileEndAckResolve = resolve;
-            });
-
-            conn.send({ t: 'file_end', fileIndex: fi });
-
-            const feAck = await Promise.race([
-              fileEndAckPromise,
-              sleep(endAckTimeoutMs).then(() => null as P2PFileEndAckMessage | null),
-            ]);
-
-            if (isStopped()) return;
-
-            if (!feAck) {
-              throw new DropgateNetworkError(`Receiver did not confirm receipt of file ${fi + 1}/${files.length}.`);
-            }
-          }
-        }
-
-        if (isStopped()) return;
-
-        transitionTo('finishing');
-        transitionTo('awaiting_ack');
-
-        // Wait for end acknowledgment with retries
-        const ackResult = await waitForEndAck(conn, endAckPromise);
-
-        if (isStopped()) return;
-
-        const ackTotal = Number(ackResult.total) || totalSize;
-        const ackReceived = Number(ackResult.received) || 0;
+    if (slotsTaken() < maxReceivers) {
+      startTransfer(conn);
+      return;
+    }
 
-        if (ackTotal && ackReceived < ackTotal) {
-          throw new DropgateNetworkError('Receiver reported an incomplete transfer.');
-        }
+    // Every slot is taken, so a new connection can only take over a transfer by resuming it.
+    // The receiver may reconnect before we notice its old connection has dropped.
+    if ([...transfers].some((t) => t.isResumable())) {
+      const handshake = watchHandshake(conn);
+      conn.on('open', () => {
+        // Don't reveal a session ID to a connection that hasn't proven it owns the transfer
+        conn.send({ t: 'hello', protocolVersion: P2P_PROTOCOL_VERSION, sessionId: '' });
+        void routeResume(conn, handshake);
+      });
+      return;
+    }
 
-        reportProgress({ received: ackReceived || ackTotal, total: ackTotal });
-        safeComplete();
-      } catch (err) {
-        safeError(err as Error);
-      }
-    });
+    if (isBroadcast) {
+      rejectConnection(conn, 'This transfer has reached its receiver limit.');
+    } else if ([...transfers].some((t) => t.hasStarted())) {
+      rejectConnection(conn, 'Transfer already in progress.');
+    } else {
+      rejectConnection(conn, 'Another receiver is already connected.');
+    }
+  };
 
-    conn.on('error', (err: Error) => {
-      safeError(err);
-    });
+  peer.on('connection', handleConnection);
 
-    conn.on('close', () => {
-      if (state === 'closed' || state === 'completed' || state === 'cancelled') {
-        // Clean shutdown or already cancelled, ensure full cleanup
-        cleanup();
-        return;
-      }
-
-      // Special handling for awaiting_ack state - give grace period
-      if (state === 'awaiting_ack') {
-        // Connection closed while waiting for end_ack
-        // Give a grace period for the ack to have been processed
-        setTimeout(() => {
-          if (state === 'awaiting_ack') {
-            // Still waiting, treat as failure
-            safeError(new DropgateNetworkError('Connection closed while awaiting confirmation.'));
-          }
-        }, P2P_CLOSE_GRACE_PERIOD_MS);
-        return;
-      }
+  // Receivers that can't reach us over WebRTC come through the server's relay instead
+  const relayWebSocket = getRelayWebSocket();
+  if (finalRelayPath && relayWebSocket) {
+    stopRelay = listenOnRelay({ host, port, secure, relayPath: finalRelayPath }, code, signallingToken, relayWebSocket, handleConnection);
+  }
 
-      if (state === 'transferring' || state === 'finishing') {
-        // Connection closed during active transfer — the receiver either cancelled
-        // or disconnected. Treat as a receiver-initiated cancellation so the UI
-        // can reset cleanly instead of showing a raw error.
-        transitionTo('cancelled');
-        onCancel?.({ cancelledBy: 'receiver' });
-        cleanup();
-      } else {
-        // Disconnected before transfer started (during waiting/negotiating phase)
-        // Reset state to allow reconnection
-        activeConn = null;
-        state = 'listening';
-        sentBytes = 0;
-        nextSeq = 0;
-        unackedChunks.clear();
-        onDisconnect?.();
-      }
-    });
-  });
+  // Without broadcast the session mirrors its one transfer
+  const getStatus = (): P2PSendState => {
+    if (isStopped()) return sessionState;
+    const active = [...transfers];
+    if (!isBroadcast) return active[0]?.getState() ?? 'listening';
+    return active.some((t) => t.hasStarted()) ? 'transferring' : 'listening';
+  };
 
   return {
     peer,
     code,
     sessionId,
     stop,
-    getStatus: () => state,
-    getBytesSent: () => sentBytes,
+    getStatus,
+    getBytesSent: () => [...transfers].reduce((sum, t) => sum + t.getBytesSent(), endedBytes),
     getConnectedPeerId: () => {
-      if (!activeConn) return null;
-      // @ts-expect-error - peer property exists on PeerJS DataConnection
-      return activeConn.peer || null;
+      for (const transfer of transfers) {
+        const peerId = transfer.getConnection()?.peer;
+        if (peerId) return peerId;
+      }
+      return null;
     },
   };
 }
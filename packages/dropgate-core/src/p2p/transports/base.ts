@@ -0,0 +1,33 @@
+import { DropgateNetworkError } from '../../errors.js';
+
+type Listener = (...args: unknown[]) => void;
+
+/**
+ * Minimal event emitter shared by transport peers and connections.
+ */
+export class TransportEmitter {
+  private readonly listeners = new Map<string, Listener[]>();
+
+  /** Register an event handler. */
+  on(event: string, callback: Listener): void {
+    const list = this.listeners.get(event);
+    if (list) {
+      list.push(callback);
+    } else {
+      this.listeners.set(event, [callback]);
+    }
+  }
+
+  protected emit(event: string, ...args: unknown[]): void {
+    const list = this.listeners.get(event);
+    if (!list) return;
+    for (const callback of [...list]) callback(...args);
+  }
+}
+
+/**
+ * Build a transport error. Codes follow the PeerJS error types, e.g. PEER_UNAVAILABLE for 'peer-unavailable'.
+ */
+export function transportError(code: string, message: string): DropgateNetworkError {
+  return new DropgateNetworkError(message, { code });
+}
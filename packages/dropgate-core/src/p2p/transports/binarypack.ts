@@ -0,0 +1,324 @@
+import { DropgateValidationError } from '../../errors.js';
+
+/**
+ * BinaryPack: the MessagePack dialect behind PeerJS's default 'binary' serialization.
+ * Covers what DGDTP messages carry: null, booleans, numbers, strings, binary data,
+ * arrays and plain objects. Binary data is unpacked as an ArrayBuffer.
+ */
+
+/** Deepest nesting accepted when unpacking. DGDTP messages are at most a few levels deep. */
+const MAX_DEPTH = 32;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class Writer {
+  private bytes = new Uint8Array(256);
+  private view = new DataView(this.bytes.buffer);
+  private length = 0;
+
+  private reserve(size: number): void {
+    if (this.length + size <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+    this.view = new DataView(grown.buffer);
+  }
+
+  u8(value: number): void {
+    this.reserve(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  u16(value: number): void {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value: number): void {
+    this.reserve(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  i8(value: number): void {
+    this.reserve(1);
+    this.view.setInt8(this.length, value);
+    this.length += 1;
+  }
+
+  i16(value: number): void {
+    this.reserve(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  i32(value: number): void {
+    this.reserve(4);
+    this.view.setInt32(this.length, value);
+    this.length += 4;
+  }
+
+  i64(value: number): void {
+    const high = Math.floor(value / 0x100000000);
+    this.i32(high);
+    this.u32(value - high * 0x100000000);
+  }
+
+  f64(value: number): void {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(data: Uint8Array): void {
+    this.reserve(data.byteLength);
+    this.bytes.set(data, this.length);
+    this.length += data.byteLength;
+  }
+
+  finish(): Uint8Array<ArrayBuffer> {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Write a length header: the fixed form for short lengths, otherwise a 16 or 32-bit length.
+ */
+function writeHeader(w: Writer, length: number, fixed: number, long16: number, long32: number): void {
+  if (length <= 0x0f) {
+    w.u8(fixed + length);
+  } else if (length <= 0xffff) {
+    w.u8(long16);
+    w.u16(length);
+  } else if (length <= 0xffffffff) {
+    w.u8(long32);
+    w.u32(length);
+  } else {
+    throw new DropgateValidationError('Value is too large to serialize.');
+  }
+}
+
+function packNumber(w: Writer, value: number): void {
+  if (!Number.isSafeInteger(value)) {
+    w.u8(0xcb);
+    w.f64(value);
+  } else if (value >= -0x20 && value <= 0x7f) {
+    w.u8(value & 0xff);
+  } else if (value >= 0 && value <= 0xff) {
+    w.u8(0xcc);
+    w.u8(value);
+  } else if (value >= -0x80 && value <= 0x7f) {
+    w.u8(0xd0);
+    w.i8(value);
+  } else if (value >= 0 && value <= 0xffff) {
+    w.u8(0xcd);
+    w.u16(value);
+  } else if (value >= -0x8000 && value <= 0x7fff) {
+    w.u8(0xd1);
+    w.i16(value);
+  } else if (value >= 0 && value <= 0xffffffff) {
+    w.u8(0xce);
+    w.u32(value);
+  } else if (value >= -0x80000000 && value <= 0x7fffffff) {
+    w.u8(0xd2);
+    w.i32(value);
+  } else {
+    w.u8(0xd3);
+    w.i64(value);
+  }
+}
+
+function packValue(w: Writer, value: unknown): void {
+  if (value === null || value === undefined) {
+    w.u8(0xc0);
+    return;
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      w.u8(value ? 0xc3 : 0xc2);
+      return;
+    case 'number':
+      packNumber(w, value);
+      return;
+    case 'string': {
+      const encoded = textEncoder.encode(value);
+      writeHeader(w, encoded.byteLength, 0xb0, 0xd8, 0xd9);
+      w.raw(encoded);
+      return;
+    }
+    case 'object':
+      break;
+    default:
+      throw new DropgateValidationError(`Cannot serialize a value of type ${typeof value}.`);
+  }
+
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    const bytes = value instanceof ArrayBuffer
+      ? new Uint8Array(value)
+      : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    writeHeader(w, bytes.byteLength, 0xa0, 0xda, 0xdb);
+    w.raw(bytes);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    writeHeader(w, value.length, 0x90, 0xdc, 0xdd);
+    for (const item of value) packValue(w, item);
+    return;
+  }
+
+  // Like JSON, properties set to undefined are left out
+  const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+  writeHeader(w, entries.length, 0x80, 0xde, 0xdf);
+  for (const [key, item] of entries) {
+    packValue(w, key);
+    packValue(w, item);
+  }
+}
+
+/**
+ * Serialize a message with BinaryPack.
+ * @throws DropgateValidationError if the message holds a value BinaryPack can't represent.
+ */
+export function pack(value: unknown): Uint8Array<ArrayBuffer> {
+  const w = new Writer();
+  packValue(w, value);
+  return w.finish();
+}
+
+class Reader {
+  private readonly view: DataView;
+  private pos = 0;
+
+  constructor(private readonly bytes: Uint8Array) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  get remaining(): number {
+    return this.bytes.byteLength - this.pos;
+  }
+
+  private advance(size: number): number {
+    if (size > this.remaining) {
+      throw new DropgateValidationError('Received a truncated message.');
+    }
+    const start = this.pos;
+    this.pos += size;
+    return start;
+  }
+
+  u8(): number { return this.view.getUint8(this.advance(1)); }
+  u16(): number { return this.view.getUint16(this.advance(2)); }
+  u32(): number { return this.view.getUint32(this.advance(4)); }
+  i8(): number { return this.view.getInt8(this.advance(1)); }
+  i16(): number { return this.view.getInt16(this.advance(2)); }
+  i32(): number { return this.view.getInt32(this.advance(4)); }
+  f32(): number { return this.view.getFloat32(this.advance(4)); }
+  f64(): number { return this.view.getFloat64(this.advance(8)); }
+
+  u64(): number {
+    const high = this.u32();
+    return high * 0x100000000 + this.u32();
+  }
+
+  i64(): number {
+    const high = this.i32();
+    return high * 0x100000000 + this.u32();
+  }
+
+  binary(size: number): ArrayBuffer {
+    const start = this.advance(size);
+    return this.bytes.slice(start, start + size).buffer;
+  }
+
+  string(size: number): string {
+    const start = this.advance(size);
+    return textDecoder.decode(this.bytes.subarray(start, start + size));
+  }
+}
+
+function unpackList(r: Reader, size: number, depth: number): unknown[] {
+  // Every item takes at least a byte, so a longer list can't be genuine
+  if (size > r.remaining) {
+    throw new DropgateValidationError('Received a truncated message.');
+  }
+  const list: unknown[] = [];
+  for (let i = 0; i < size; i++) list.push(unpackValue(r, depth + 1));
+  return list;
+}
+
+function unpackMap(r: Reader, size: number, depth: number): Record<string, unknown> {
+  if (size * 2 > r.remaining) {
+    throw new DropgateValidationError('Received a truncated message.');
+  }
+  const map: Record<string, unknown> = {};
+  for (let i = 0; i < size; i++) {
+    const key = String(unpackValue(r, depth + 1));
+    // defineProperty keeps keys like __proto__ as plain data
+    Object.defineProperty(map, key, {
+      value: unpackValue(r, depth + 1),
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return map;
+}
+
+function unpackValue(r: Reader, depth: number): unknown {
+  if (depth > MAX_DEPTH) {
+    throw new DropgateValidationError('Received a message nested too deeply.');
+  }
+
+  const type = r.u8();
+  if (type <= 0x7f) return type;
+  if (type >= 0xe0) return type - 0x100;
+  if (type >= 0x80 && type <= 0x8f) return unpackMap(r, type & 0x0f, depth);
+  if (type >= 0x90 && type <= 0x9f) return unpackList(r, type & 0x0f, depth);
+  if (type >= 0xa0 && type <= 0xaf) return r.binary(type & 0x0f);
+  if (type >= 0xb0 && type <= 0xbf) return r.string(type & 0x0f);
+
+  switch (type) {
+    case 0xc0: return null;
+    case 0xc1: return undefined;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xca: return r.f32();
+    case 0xcb: return r.f64();
+    case 0xcc: return r.u8();
+    case 0xcd: return r.u16();
+    case 0xce: return r.u32();
+    case 0xcf: return r.u64();
+    case 0xd0: return r.i8();
+    case 0xd1: return r.i16();
+    case 0xd2: return r.i32();
+    case 0xd3: return r.i64();
+    case 0xd8: return r.string(r.u16());
+    case 0xd9: return r.string(r.u32());
+    case 0xda: return r.binary(r.u16());
+    case 0xdb: return r.binary(r.u32());
+    case 0xdc: return unpackList(r, r.u16(), depth);
+    case 0xdd: return unpackList(r, r.u32(), depth);
+    case 0xde: return unpackMap(r, r.u16(), depth);
+    case 0xdf: return unpackMap(r, r.u32(), depth);
+    default:
+      throw new DropgateValidationError('Received a message in an unknown format.');
+  }
+}
+
+/**
+ * Deserialize a BinaryPack message.
+ * @throws DropgateValidationError if the data is malformed or has bytes left over.
+ */
+export function unpack(data: ArrayBuffer | Uint8Array): unknown {
+  const r = new Reader(data instanceof Uint8Array ? data : new Uint8Array(data));
+  const value = unpackValue(r, 0);
+  if (r.remaining > 0) {
+    throw new DropgateValidationError('Received a message with trailing data.');
+  }
+  return value;
+}
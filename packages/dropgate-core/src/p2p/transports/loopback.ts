@@ -0,0 +1,363 @@
+import type { DataConnection, P2PTransport, PeerInstance } from '../types.js';
+import { TransportEmitter, transportError } from './base.js';
+
+/**
+ * Network conditions for a loopback transport. Changes apply to messages sent afterwards.
+ */
+export interface LoopbackConditions {
+  /** One-way delay for messages, opens and closes (ms). Default: 0. */
+  latencyMs: number;
+  /**
+   * Chance (0-1) that a message is lost. Default: 0.
+   * WebRTC's reliable channels never lose messages, so this shows how a peer copes with a broken link.
+   */
+  packetLoss: number;
+  /**
+   * How fast each connection drains its send buffer (bytes per ms). Default: Infinity.
+   * Lower it to put senders under buffer pressure: `bufferedAmount` grows and
+   * 'bufferedamountlow' fires as it drains, as on a real data channel.
+   */
+  bandwidthBytesPerMs: number;
+}
+
+/** A message passing through a loopback transport. */
+export interface LoopbackMessage {
+  /** Peer ID of the sending end. */
+  from: string;
+  /** Peer ID of the receiving end. */
+  to: string;
+  connectionId: string;
+  /** The message as sent. */
+  data: unknown;
+  /** Bytes waiting in the sender's buffer before this message was added. */
+  bufferedAmount: number;
+}
+
+/**
+ * Options for {@link createLoopbackTransport}.
+ */
+export interface LoopbackTransportOptions extends Partial<LoopbackConditions> {
+  /** Called for every message sent. Return false to drop it. */
+  filter?: (message: LoopbackMessage) => boolean;
+  /** Random source for packet loss, for reproducible runs. Default: Math.random. */
+  random?: () => number;
+}
+
+/**
+ * An in-memory transport with controls for simulating network trouble.
+ */
+export interface LoopbackTransport extends P2PTransport {
+  /** Change the network conditions. */
+  setConditions(conditions: Partial<LoopbackConditions>): void;
+  /**
+   * Cut open connections as if the network dropped: messages in flight are lost and both ends see 'close'.
+   * Peers stay registered, so they can connect again.
+   * @param peerId - Only cut connections to or from this peer.
+   */
+  disconnect(peerId?: string): void;
+  /** IDs of the peers currently registered. */
+  peerIds(): string[];
+}
+
+/** Peers of one loopback transport, by ID, and the conditions between them. */
+interface LoopbackNetwork {
+  peers: Map<string, LoopbackPeer>;
+  conditions: LoopbackConditions;
+  filter?: (message: LoopbackMessage) => boolean;
+  random: () => number;
+  nextId: number;
+}
+
+/**
+ * Copy a message as if it had crossed the wire, so the two ends never share objects.
+ * Binary data arrives as an ArrayBuffer, as it does over PeerJS.
+ */
+function cloneMessage(data: unknown): unknown {
+  if (data instanceof ArrayBuffer) return data.slice(0);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice().buffer;
+  }
+  return structuredClone(data);
+}
+
+function messageSize(data: unknown): number {
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+  return JSON.stringify(data)?.length ?? 0;
+}
+
+/**
+ * Runs actions at their scheduled times, strictly in the order they were scheduled.
+ * Times must not decrease.
+ */
+class Timeline {
+  private queue: Array<{ at: number; action: () => void }> = [];
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  schedule(at: number, action: () => void): void {
+    this.queue.push({ at, action });
+    if (!this.timer) this.arm();
+  }
+
+  clear(): void {
+    this.queue = [];
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private arm(): void {
+    const next = this.queue[0];
+    if (!next) return;
+    this.timer = setTimeout(() => this.run(), Math.max(0, next.at - Date.now()));
+  }
+
+  private run(): void {
+    this.timer = null;
+    // Actions scheduled while these run wait for the next turn of the event loop
+    const now = Date.now();
+    let due = 0;
+    while (due < this.queue.length && this.queue[due].at <= now) due++;
+    const actions = this.queue.splice(0, due);
+    for (const { action } of actions) action();
+    this.arm();
+  }
+}
+
+/**
+ * Stand-in for the RTCDataChannel under a connection, modelling its send buffer.
+ */
+class LoopbackChannel extends EventTarget {
+  readyState: RTCDataChannelState = 'connecting';
+  bufferedAmount = 0;
+  bufferedAmountLowThreshold = 0;
+
+  fill(size: number): void {
+    this.bufferedAmount += size;
+  }
+
+  drain(size: number): void {
+    const before = this.bufferedAmount;
+    this.bufferedAmount = Math.max(0, before - size);
+    if (before > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold) {
+      this.dispatchEvent(new Event('bufferedamountlow'));
+    }
+  }
+}
+
+class LoopbackConnection extends TransportEmitter implements DataConnection {
+  open = false;
+  remote: LoopbackConnection | null = null;
+  readonly _dc: RTCDataChannel;
+  private readonly channel = new LoopbackChannel();
+  private readonly departures = new Timeline();
+  private readonly arrivals = new Timeline();
+  private lastDeparture = 0;
+  private lastArrival = 0;
+  private closed = false;
+
+  constructor(
+    private readonly network: LoopbackNetwork,
+    readonly localPeer: string,
+    readonly peer: string,
+    readonly connectionId: string
+  ) {
+    super();
+    this._dc = this.channel as unknown as RTCDataChannel;
+  }
+
+  get isClosed(): boolean {
+    return this.closed;
+  }
+
+  /** Schedule something to reach the other end after everything sent before it. */
+  private deliver(departAt: number, action: () => void): void {
+    const arriveAt = Math.max(departAt + this.network.conditions.latencyMs, this.lastArrival);
+    this.lastArrival = arriveAt;
+    this.arrivals.schedule(arriveAt, action);
+  }
+
+  markOpen(): void {
+    if (this.closed || this.open) return;
+    this.open = true;
+    this.channel.readyState = 'open';
+    this.emit('open');
+  }
+
+  send(data: unknown): void {
+    const remote = this.remote;
+    if (!this.open || !remote) {
+      this.emit('error', transportError('NOT_OPEN_YET', 'Connection is not open. Wait for the open event before sending.'));
+      return;
+    }
+
+    const { conditions, filter, random } = this.network;
+    const size = messageSize(data);
+    const kept = filter?.({
+      from: this.localPeer,
+      to: this.peer,
+      connectionId: this.connectionId,
+      data,
+      bufferedAmount: this.channel.bufferedAmount,
+    }) ?? true;
+    const lost = !kept || random() < conditions.packetLoss;
+    const message = lost ? undefined : cloneMessage(data);
+
+    // The buffer drains at the link's bandwidth, one message after another
+    const now = Date.now();
+    const transmitMs = Number.isFinite(conditions.bandwidthBytesPerMs) ? size / conditions.bandwidthBytesPerMs : 0;
+    const departAt = Math.max(now, this.lastDeparture) + transmitMs;
+    this.lastDeparture = departAt;
+    this.channel.fill(size);
+    this.departures.schedule(departAt, () => this.channel.drain(size));
+
+    if (lost) return;
+    this.deliver(departAt, () => {
+      if (remote.open) remote.emit('data', message);
+    });
+  }
+
+  close(): void {
+    if (this.closed) return;
+    const wasOpen = this.open;
+    this.shutDown();
+
+    // Arrives after any messages still in flight
+    const remote = this.remote;
+    if (remote) this.deliver(Math.max(Date.now(), this.lastDeparture), () => remote.drop());
+
+    if (wasOpen) this.emit('close');
+  }
+
+  /** The link is gone: the other end closed, its peer was destroyed, or the network dropped. */
+  drop(): void {
+    if (this.closed) return;
+    this.shutDown();
+    this.emit('close');
+  }
+
+  private shutDown(): void {
+    this.closed = true;
+    this.open = false;
+    this.channel.readyState = 'closed';
+    this.departures.clear();
+  }
+}
+
+class LoopbackPeer extends TransportEmitter implements PeerInstance {
+  disconnected = true;
+  private destroyed = false;
+  readonly connections = new Set<LoopbackConnection>();
+
+  constructor(private readonly network: LoopbackNetwork, readonly id: string) {
+    super();
+    setTimeout(() => {
+      if (this.destroyed) return;
+      if (network.peers.has(id)) {
+        this.emit('error', transportError('UNAVAILABLE_ID', `ID "${id}" is taken.`));
+        return;
+      }
+      network.peers.set(id, this);
+      this.disconnected = false;
+      this.emit('open', id);
+    }, 0);
+  }
+
+  /** Accept a connection from another peer. */
+  accept(conn: LoopbackConnection): void {
+    this.connections.add(conn);
+    this.emit('connection', conn);
+  }
+
+  connect(peerId: string): DataConnection {
+    const { network } = this;
+    const conn = new LoopbackConnection(network, this.id, peerId, `lc_${++network.nextId}`);
+    this.connections.add(conn);
+    const { latencyMs } = network.conditions;
+
+    setTimeout(() => {
+      if (this.destroyed || conn.isClosed) return;
+      const remotePeer = network.peers.get(peerId);
+      if (!remotePeer || remotePeer.destroyed) {
+        this.emit('error', transportError('PEER_UNAVAILABLE', `Could not connect to peer ${peerId}.`));
+        return;
+      }
+
+      const remoteConn = new LoopbackConnection(network, peerId, this.id, conn.connectionId);
+      conn.remote = remoteConn;
+      remoteConn.remote = conn;
+      remotePeer.accept(remoteConn);
+
+      setTimeout(() => {
+        conn.markOpen();
+        remoteConn.markOpen();
+      }, latencyMs);
+    }, latencyMs);
+
+    return conn;
+  }
+
+  reconnect(): void {
+    // Loopback peers stay registered until destroyed
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.disconnected = true;
+    for (const conn of this.connections) conn.close();
+    this.connections.clear();
+    if (this.network.peers.get(this.id) === this) {
+      this.network.peers.delete(this.id);
+    }
+    this.emit('close');
+  }
+}
+
+/**
+ * Create an in-memory transport. Peers created from the same transport can reach each other,
+ * with no signalling server or WebRTC stack involved. Latency, packet loss, bandwidth and
+ * dropped connections can be simulated, so it doubles as a test harness: run the reference
+ * sender or receiver on one end, and a client under test on the other.
+ *
+ * Example:
+ * ```js
+ * const transport = createLoopbackTransport({ latencyMs: 20 });
+ * const sender = await startP2PSend({ file, transport, onCode: (code) => { ... } });
+ * const receiver = await startP2PReceive({ code, transport, onData: (chunk) => { ... } });
+ * transport.disconnect(); // The receiver reconnects and resumes
+ * ```
+ */
+export function createLoopbackTransport(options: LoopbackTransportOptions = {}): LoopbackTransport {
+  const network: LoopbackNetwork = {
+    peers: new Map(),
+    conditions: { latencyMs: 0, packetLoss: 0, bandwidthBytesPerMs: Infinity },
+    filter: options.filter,
+    random: options.random ?? Math.random,
+    nextId: 0,
+  };
+
+  const setConditions = (conditions: Partial<LoopbackConditions>): void => {
+    const next = { ...network.conditions };
+    if (conditions.latencyMs !== undefined) next.latencyMs = Math.max(0, conditions.latencyMs);
+    if (conditions.packetLoss !== undefined) next.packetLoss = Math.min(1, Math.max(0, conditions.packetLoss));
+    if (conditions.bandwidthBytesPerMs !== undefined && conditions.bandwidthBytesPerMs > 0) {
+      next.bandwidthBytesPerMs = conditions.bandwidthBytesPerMs;
+    }
+    network.conditions = next;
+  };
+  setConditions(options);
+
+  return {
+    createPeer: (id) => new LoopbackPeer(network, id ?? `loopback-${++network.nextId}`),
+    setConditions,
+    disconnect: (peerId) => {
+      for (const peer of network.peers.values()) {
+        for (const conn of peer.connections) {
+          if (!peerId || conn.localPeer === peerId || conn.peer === peerId) conn.drop();
+        }
+      }
+    },
+    peerIds: () => [...network.peers.keys()],
+  };
+}
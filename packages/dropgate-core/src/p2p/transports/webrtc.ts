@@ -0,0 +1,575 @@
+import { getDefaultFetch } from '../../adapters/defaults.js';
+import type { FetchFn } from '../../types.js';
+import type { DataConnection, P2PTransport, PeerInstance, PeerOptions } from '../types.js';
+import { TransportEmitter, transportError } from './base.js';
+import { pack, unpack } from './binarypack.js';
+
+/**
+ * Largest packed message sent in one piece; bigger ones are split the way PeerJS splits them.
+ * Keeps messages under the data channel size limit of every WebRTC stack.
+ */
+const CHUNKED_MTU = 16300;
+
+/** Most pieces accepted for one split message (about 64 MiB). */
+const MAX_MESSAGE_PIECES = 4096;
+
+/** Signalling messages queued while the socket is (re)connecting. */
+const MAX_QUEUED_SIGNALS = 256;
+
+const WEBSOCKET_OPEN = 1;
+
+/**
+ * Options for {@link createWebRTCTransport}.
+ */
+export interface WebRTCTransportOptions {
+  /** RTCPeerConnection implementation. Default: the global one. */
+  RTCPeerConnection?: new (configuration?: RTCConfiguration) => RTCPeerConnection;
+  /** WebSocket implementation for signalling. Default: the global one. */
+  WebSocket?: new (url: string) => WebSocket;
+  /** Fetch implementation, used to get an ID for receivers. Default: the global one. */
+  fetch?: FetchFn;
+  /** Signalling server API key. Default: 'peerjs'. */
+  key?: string;
+  /** Interval between keep-alive messages to the signalling server (ms). Default: 5000. */
+  heartbeatIntervalMs?: number;
+}
+
+interface ResolvedWebRTCOptions {
+  RTCPeerConnection: new (configuration?: RTCConfiguration) => RTCPeerConnection;
+  WebSocket: new (url: string) => WebSocket;
+  fetch?: FetchFn;
+  key: string;
+  heartbeatIntervalMs: number;
+}
+
+/** A message relayed by the signalling server. */
+interface SignalMessage {
+  type: string;
+  src?: string;
+  dst?: string;
+  payload?: {
+    msg?: string;
+    type?: string;
+    connectionId?: string;
+    sdp?: RTCSessionDescriptionInit;
+    candidate?: RTCIceCandidateInit;
+    label?: string;
+    reliable?: boolean;
+    serialization?: string;
+  };
+}
+
+/** One piece of a message split by the sender. */
+interface MessagePiece {
+  __peerData: number;
+  n: number;
+  total: number;
+  data: ArrayBuffer;
+}
+
+function isMessagePiece(value: Record<string, unknown>): value is Record<string, unknown> & MessagePiece {
+  return Number.isInteger(value.__peerData) &&
+    Number.isInteger(value.n) &&
+    Number.isInteger(value.total) &&
+    (value.total as number) > 0 &&
+    (value.total as number) <= MAX_MESSAGE_PIECES &&
+    (value.n as number) >= 0 &&
+    (value.n as number) < (value.total as number) &&
+    value.data instanceof ArrayBuffer;
+}
+
+class WebRTCConnection extends TransportEmitter implements DataConnection {
+  open = false;
+  _dc?: RTCDataChannel;
+  readonly peerConnection: RTCPeerConnection;
+  private closed = false;
+  private hasRemoteDescription = false;
+  private pendingCandidates: RTCIceCandidateInit[] = [];
+  private nextMessageId = 1;
+  private readonly pieces = new Map<number, { parts: Uint8Array[]; count: number; total: number }>();
+
+  constructor(
+    private readonly owner: WebRTCPeer,
+    readonly peer: string,
+    readonly connectionId: string
+  ) {
+    super();
+    const pc = new owner.options.RTCPeerConnection(owner.rtcConfig);
+    this.peerConnection = pc;
+
+    pc.addEventListener('icecandidate', (event: RTCPeerConnectionIceEvent) => {
+      if (!event.candidate) return;
+      owner.signal({
+        type: 'CANDIDATE',
+        payload: { candidate: event.candidate.toJSON(), type: 'data', connectionId },
+        dst: peer,
+      });
+    });
+
+    pc.addEventListener('iceconnectionstatechange', () => {
+      if (pc.iceConnectionState !== 'failed') return;
+      this.emit('error', transportError('NEGOTIATION_FAILED', `Negotiation of connection to ${peer} failed.`));
+      this.close();
+    });
+
+    pc.addEventListener('datachannel', (event: RTCDataChannelEvent) => this.attachChannel(event.channel));
+  }
+
+  /** Start the connection as the calling side. */
+  async offer(reliable: boolean): Promise<void> {
+    const pc = this.peerConnection;
+    const label = `dc_${crypto.randomUUID()}`;
+    this.attachChannel(pc.createDataChannel(label, { ordered: reliable }));
+
+    try {
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+      this.owner.signal({
+        type: 'OFFER',
+        payload: {
+          sdp: { type: offer.type, sdp: offer.sdp },
+          type: 'data',
+          connectionId: this.connectionId,
+          label,
+          reliable,
+          serialization: 'binary',
+        },
+        dst: this.peer,
+      });
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  /** Answer an offer from the calling side. */
+  async answer(sdp: RTCSessionDescriptionInit): Promise<void> {
+    const pc = this.peerConnection;
+    try {
+      await this.setRemoteDescription(sdp);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      this.owner.signal({
+        type: 'ANSWER',
+        payload: { sdp: { type: answer.type, sdp: answer.sdp }, type: 'data', connectionId: this.connectionId },
+        dst: this.peer,
+      });
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  /**
+   * Apply a description relayed as an ANSWER: the answer to our offer,
+   * or either half of an ICE restart (see ice-restart.ts).
+   */
+  async handleDescription(sdp: RTCSessionDescriptionInit): Promise<void> {
+    try {
+      await this.setRemoteDescription(sdp);
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  async handleCandidate(candidate: RTCIceCandidateInit): Promise<void> {
+    // Candidates can overtake the description they belong to
+    if (!this.hasRemoteDescription) {
+      this.pendingCandidates.push(candidate);
+      return;
+    }
+    try {
+      await this.peerConnection.addIceCandidate(candidate);
+    } catch {
+      // A bad candidate only loses that route
+    }
+  }
+
+  private async setRemoteDescription(sdp: RTCSessionDescriptionInit): Promise<void> {
+    await this.peerConnection.setRemoteDescription(sdp);
+    this.hasRemoteDescription = true;
+    const candidates = this.pendingCandidates;
+    this.pendingCandidates = [];
+    for (const candidate of candidates) await this.handleCandidate(candidate);
+  }
+
+  private attachChannel(dc: RTCDataChannel): void {
+    if (this._dc) return;
+    this._dc = dc;
+    dc.binaryType = 'arraybuffer';
+    dc.addEventListener('open', () => this.markOpen());
+    dc.addEventListener('message', (event: MessageEvent) => this.receive(event.data));
+    dc.addEventListener('close', () => this.close());
+    if (dc.readyState === 'open') queueMicrotask(() => this.markOpen());
+  }
+
+  private markOpen(): void {
+    if (this.closed || this.open) return;
+    this.open = true;
+    this.emit('open');
+  }
+
+  private fail(err: unknown): void {
+    const message = err instanceof Error ? err.message : String(err);
+    this.emit('error', transportError('NEGOTIATION_FAILED', message));
+    this.close();
+  }
+
+  private receive(raw: unknown): void {
+    let bytes: Uint8Array;
+    if (raw instanceof ArrayBuffer) {
+      bytes = new Uint8Array(raw);
+    } else if (ArrayBuffer.isView(raw)) {
+      bytes = new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+    } else {
+      // Only the binary serialization is spoken
+      return;
+    }
+
+    let message: unknown;
+    try {
+      message = unpack(bytes);
+    } catch {
+      return;
+    }
+
+    // PeerJS's own messages carry __peerData: a piece of a split message, or a close notice
+    const record = (message !== null && typeof message === 'object' ? message : {}) as Record<string, unknown>;
+    const peerData = record.__peerData;
+    if (!peerData) {
+      this.emit('data', message);
+    } else if (typeof peerData === 'object' && (peerData as { type?: unknown }).type === 'close') {
+      this.close();
+    } else if (isMessagePiece(record)) {
+      this.receivePiece(record);
+    }
+  }
+
+  private receivePiece(piece: MessagePiece): void {
+    let entry = this.pieces.get(piece.__peerData);
+    if (!entry) {
+      entry = { parts: [], count: 0, total: piece.total };
+      this.pieces.set(piece.__peerData, entry);
+    }
+    if (entry.total !== piece.total || entry.parts[piece.n]) return;
+
+    entry.parts[piece.n] = new Uint8Array(piece.data);
+    entry.count++;
+    if (entry.count < entry.total) return;
+
+    this.pieces.delete(piece.__peerData);
+    const size = entry.parts.reduce((sum, part) => sum + part.byteLength, 0);
+    const whole = new Uint8Array(size);
+    let offset = 0;
+    for (const part of entry.parts) {
+      whole.set(part, offset);
+      offset += part.byteLength;
+    }
+    this.receive(whole);
+  }
+
+  send(data: unknown): void {
+    const dc = this._dc;
+    if (!this.open || !dc) {
+      this.emit('error', transportError('NOT_OPEN_YET', 'Connection is not open. Wait for the open event before sending.'));
+      return;
+    }
+
+    try {
+      const packed = pack(data);
+      if (packed.byteLength <= CHUNKED_MTU) {
+        dc.send(packed);
+        return;
+      }
+
+      const id = this.nextMessageId++;
+      const total = Math.ceil(packed.byteLength / CHUNKED_MTU);
+      for (let n = 0; n < total; n++) {
+        const part = packed.subarray(n * CHUNKED_MTU, (n + 1) * CHUNKED_MTU);
+        dc.send(pack({ __peerData: id, n, data: part, total }));
+      }
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  close(): void {
+    if (this.closed) return;
+    this.closed = true;
+    const wasOpen = this.open;
+    this.open = false;
+
+    try {
+      this._dc?.close();
+    } catch {
+      // Ignore close errors
+    }
+    try {
+      this.peerConnection.close();
+    } catch {
+      // Ignore close errors
+    }
+    this.owner.forget(this);
+
+    if (wasOpen) this.emit('close');
+  }
+}
+
+class WebRTCPeer extends TransportEmitter implements PeerInstance {
+  disconnected = true;
+  readonly socket: { send(data: unknown): void };
+  readonly rtcConfig: RTCConfiguration;
+  private id: string | null;
+  private ws: WebSocket | null = null;
+  private heartbeatTimer: ReturnType<typeof setInterval> | null = null;
+  private destroyed = false;
+  private registered = false;
+  private queue: SignalMessage[] = [];
+  private readonly token: string;
+  private readonly connections = new Map<string, WebRTCConnection>();
+
+  constructor(
+    readonly options: ResolvedWebRTCOptions,
+    id: string | undefined,
+    private readonly peerOptions: PeerOptions
+  ) {
+    super();
+    this.id = id ?? null;
+    this.token = peerOptions.token ?? crypto.randomUUID();
+    this.rtcConfig = { iceServers: peerOptions.config?.iceServers ?? [] };
+    this.socket = { send: (data) => this.signal(data as SignalMessage) };
+    void this.start();
+  }
+
+  /**
+   * Signalling server URL for the given scheme, ending in a slash.
+   * @throws DropgateNetworkError if no host is configured and there's no page to take it from.
+   */
+  private baseUrl(scheme: 'http' | 'ws'): string {
+    const { host, port, secure } = this.peerOptions;
+    const hostname = host ?? globalThis.location?.hostname;
+    if (!hostname) {
+      throw transportError('SERVER_ERROR', 'No signalling server host was configured.');
+    }
+
+    let path = this.peerOptions.path ?? '/';
+    if (!path.startsWith('/')) path = `/${path}`;
+    if (!path.endsWith('/')) path += '/';
+    return `${scheme}${secure ? 's' : ''}://${hostname}${port ? `:${port}` : ''}${path}`;
+  }
+
+  private async start(): Promise<void> {
+    try {
+      if (!this.id) this.id = await this.retrieveId();
+      if (this.destroyed) return;
+      this.openSocket();
+    } catch (err) {
+      this.abort('SERVER_ERROR', err instanceof Error ? err.message : 'Could not reach the signalling server.');
+    }
+  }
+
+  /** Ask the signalling server for an unused ID, as PeerJS does for peers without one. */
+  private async retrieveId(): Promise<string> {
+    const fetchFn = this.options.fetch;
+    if (!fetchFn) {
+      throw transportError('SERVER_ERROR', 'Fetch API is required to get a peer ID from the signalling server.');
+    }
+    const res = await fetchFn(`${this.baseUrl('http')}${encodeURIComponent(this.options.key)}/id?ts=${Date.now()}`);
+    if (!res.ok) {
+      throw transportError('SERVER_ERROR', `Could not get a peer ID from the signalling server (HTTP ${res.status}).`);
+    }
+    return (await res.text()).trim();
+  }
+
+  private openSocket(): void {
+    const url = `${this.baseUrl('ws')}peerjs?key=${encodeURIComponent(this.options.key)}` +
+      `&id=${encodeURIComponent(this.id!)}&token=${encodeURIComponent(this.token)}`;
+    const ws = new this.options.WebSocket(url);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      const queued = this.queue;
+      this.queue = [];
+      for (const message of queued) this.signal(message);
+
+      this.heartbeatTimer = setInterval(() => {
+        this.signal({ type: 'HEARTBEAT' });
+      }, this.options.heartbeatIntervalMs);
+    };
+
+    ws.onmessage = (event: MessageEvent) => {
+      if (this.ws !== ws) return;
+      let message: SignalMessage;
+      try {
+        message = JSON.parse(String(event.data));
+      } catch {
+        return;
+      }
+      this.handleSignal(message);
+    };
+
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.stopHeartbeat();
+      if (this.destroyed) return;
+      if (!this.registered) {
+        this.abort('SERVER_ERROR', 'Could not connect to the signalling server.');
+        return;
+      }
+      if (this.disconnected) return;
+      this.disconnected = true;
+      this.emit('error', transportError('NETWORK', 'Lost connection to the signalling server.'));
+    };
+  }
+
+  private stopHeartbeat(): void {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /** Send a message through the signalling server, queueing it while the socket is down. */
+  signal(message: SignalMessage): void {
+    const ws = this.ws;
+    if (ws && ws.readyState === WEBSOCKET_OPEN) {
+      ws.send(JSON.stringify(message));
+    } else if (message.type !== 'HEARTBEAT' && this.queue.length < MAX_QUEUED_SIGNALS) {
+      this.queue.push(message);
+    }
+  }
+
+  private handleSignal(message: SignalMessage): void {
+    const { payload, src } = message;
+    const conn = payload?.connectionId ? this.connections.get(payload.connectionId) : undefined;
+
+    switch (message.type) {
+      case 'OPEN':
+        this.registered = true;
+        this.disconnected = false;
+        this.emit('open', this.id);
+        break;
+      case 'ERROR':
+        this.abort('SERVER_ERROR', payload?.msg || 'The signalling server reported an error.');
+        break;
+      case 'ID-TAKEN':
+        this.abort('UNAVAILABLE_ID', `ID "${this.id}" is taken.`);
+        break;
+      case 'INVALID-KEY':
+        this.abort('INVALID_KEY', 'The signalling server rejected the API key.');
+        break;
+      case 'LEAVE':
+        for (const existing of [...this.connections.values()]) {
+          if (existing.peer === src) existing.close();
+        }
+        break;
+      case 'EXPIRE':
+        this.emit('error', transportError('PEER_UNAVAILABLE', `Could not connect to peer ${src}.`));
+        break;
+      case 'OFFER': {
+        const connectionId = payload?.connectionId;
+        if (!src || !connectionId || !payload?.sdp || conn || payload.type !== 'data') return;
+        // Only PeerJS's default serialization is spoken
+        if ((payload.serialization ?? 'binary') !== 'binary') return;
+        const incoming = new WebRTCConnection(this, src, connectionId);
+        this.connections.set(connectionId, incoming);
+        this.emit('connection', incoming);
+        void incoming.answer(payload.sdp);
+        break;
+      }
+      case 'ANSWER':
+        if (conn && payload?.sdp) void conn.handleDescription(payload.sdp);
+        break;
+      case 'CANDIDATE':
+        if (conn && payload?.candidate) void conn.handleCandidate(payload.candidate);
+        break;
+    }
+  }
+
+  /** Fail on a signalling error: destroyed if never registered, otherwise just disconnected. */
+  private abort(code: string, message: string): void {
+    if (this.registered) {
+      this.disconnect();
+    } else {
+      this.destroy();
+    }
+    this.emit('error', transportError(code, message));
+  }
+
+  private disconnect(): void {
+    this.disconnected = true;
+    this.stopHeartbeat();
+    const ws = this.ws;
+    this.ws = null;
+    try {
+      ws?.close();
+    } catch {
+      // Ignore close errors
+    }
+  }
+
+  forget(conn: WebRTCConnection): void {
+    if (this.connections.get(conn.connectionId) === conn) {
+      this.connections.delete(conn.connectionId);
+    }
+  }
+
+  connect(peerId: string, options: { reliable?: boolean } = {}): DataConnection {
+    const conn = new WebRTCConnection(this, peerId, `dc_${crypto.randomUUID()}`);
+    this.connections.set(conn.connectionId, conn);
+    void conn.offer(options.reliable ?? false);
+    return conn;
+  }
+
+  reconnect(): void {
+    if (this.destroyed || !this.disconnected || !this.id) return;
+    if (this.ws) this.disconnect();
+    this.openSocket();
+  }
+
+  destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    for (const conn of [...this.connections.values()]) conn.close();
+    this.disconnect();
+    this.queue = [];
+    this.emit('close');
+  }
+}
+
+/**
+ * Create a transport that runs over a raw RTCPeerConnection, signalled through a WebSocket.
+ * It speaks the PeerJS signalling and data channel formats, so it works with the server's
+ * PeerJS endpoint and interoperates with browsers that use PeerJS.
+ *
+ * In Node.js, pass in a WebRTC implementation, e.g. the node-datachannel polyfill:
+ * ```js
+ * import { RTCPeerConnection } from 'node-datachannel/polyfill';
+ * import WebSocket from 'ws';
+ *
+ * const transport = createWebRTCTransport({ RTCPeerConnection, WebSocket });
+ * const session = await client.p2pSend({ file, transport, onCode: (code) => { ... } });
+ * ```
+ */
+export function createWebRTCTransport(options: WebRTCTransportOptions = {}): P2PTransport {
+  const resolved = (): ResolvedWebRTCOptions => {
+    const RTCPeerConnectionImpl = options.RTCPeerConnection ?? globalThis.RTCPeerConnection;
+    const WebSocketImpl = options.WebSocket ?? globalThis.WebSocket;
+    if (!RTCPeerConnectionImpl) {
+      throw transportError('BROWSER_INCOMPATIBLE', 'WebRTC is not available. Pass an RTCPeerConnection implementation.');
+    }
+    if (!WebSocketImpl) {
+      throw transportError('BROWSER_INCOMPATIBLE', 'WebSocket is not available. Pass a WebSocket implementation.');
+    }
+    return {
+      RTCPeerConnection: RTCPeerConnectionImpl,
+      WebSocket: WebSocketImpl,
+      fetch: options.fetch ?? getDefaultFetch(),
+      key: options.key ?? 'peerjs',
+      heartbeatIntervalMs: options.heartbeatIntervalMs ?? 5000,
+    };
+  };
+
+  return {
+    createPeer: (id, peerOptions) => new WebRTCPeer(resolved(), id, peerOptions),
+  };
+}
@@ -14,6 +14,7 @@ export type P2PSendState =
   | 'handshaking'   // Exchanging protocol version
   | 'negotiating'   // Connected, sending metadata, waiting for ready
   | 'transferring'  // Actively sending file data
+  | 'reconnecting'  // Connection lost mid-transfer, waiting for the receiver to resume
   | 'finishing'     // Sent end message, waiting for ack
   | 'awaiting_ack'  // Waiting for final end_ack confirmation
   | 'completed'     // Transfer successful
@@ -29,22 +30,37 @@ export type P2PReceiveState =
   | 'handshaking'   // Exchanging protocol version
   | 'negotiating'   // Connected, waiting for metadata
   | 'transferring'  // Actively receiving file data
+  | 'reconnecting'  // Connection lost mid-transfer, reconnecting to resume
   | 'completed'     // Transfer successful
   | 'cancelled'     // Transfer cancelled by user
   | 'closed';       // Session ended (success, error, or stopped)
 
 // ============================================================================
-// PeerJS Types
+// Transport Types
 // ============================================================================
 
 /**
  * PeerJS Peer constructor interface.
- * Consumer must provide this constructor to P2P functions.
+ * Pass it as the `Peer` option to run transfers over PeerJS.
  */
 export interface PeerConstructor {
   new(id?: string, options?: PeerOptions): PeerInstance;
 }
 
+/**
+ * A channel the DGDTP state machines can run over.
+ * Transports create peers with the {@link PeerInstance} and {@link DataConnection} shapes,
+ * which PeerJS implements natively. Built-in transports: `createWebRTCTransport` and
+ * `createLoopbackTransport`.
+ */
+export interface P2PTransport {
+  /**
+   * Create a peer. Senders pass their sharing code as the ID; receivers pass none.
+   * The peer emits 'open' once it can be reached, or 'error' if its ID can't be registered.
+   */
+  createPeer(id: string | undefined, options: PeerOptions): PeerInstance;
+}
+
 /**
  * PeerJS connection options.
  */
@@ -64,6 +80,11 @@ export interface PeerOptions {
   };
   /** PeerJS debug level (0-3). */
   debug?: number;
+  /**
+   * Secret the peer registers its ID with. A sender also gives it to the relay, which only
+   * lets the peer registered under a code listen on it. Generated when omitted.
+   */
+  token?: string;
 }
 
 /** Event handlers for PeerInstance. */
@@ -75,8 +96,8 @@ export interface PeerInstanceEvents {
 }
 
 /**
- * PeerJS Peer instance interface.
- * Represents a connection to the PeerJS signaling server.
+ * Peer instance interface, as implemented by PeerJS and the built-in transports.
+ * Represents a connection to the signalling server.
  */
 export interface PeerInstance {
   /** Register an event handler. */
@@ -86,6 +107,12 @@ export interface PeerInstance {
   connect(peerId: string, options?: { reliable?: boolean }): DataConnection;
   /** Destroy this peer and close all connections. */
   destroy(): void;
+  /** Whether the peer has lost its connection to the signalling server. */
+  disconnected?: boolean;
+  /** Reconnect to the signalling server, keeping the same peer ID. */
+  reconnect?(): void;
+  /** Signalling socket, used to renegotiate ICE on an existing connection. */
+  socket?: { send(data: unknown): void };
 }
 
 /** Event handlers for DataConnection. */
@@ -97,8 +124,9 @@ export interface DataConnectionEvents {
 }
 
 /**
- * PeerJS DataConnection interface.
- * Represents a WebRTC data channel connection between peers.
+ * DataConnection interface, as implemented by PeerJS and the built-in transports.
+ * Represents a reliable, ordered message channel between peers.
+ * Messages are plain objects or binary data, delivered as sent.
  */
 export interface DataConnection {
   /** Register an event handler. */
@@ -108,8 +136,16 @@ export interface DataConnection {
   send(data: unknown): void;
   /** Close the data connection. */
   close(): void;
+  /** Whether the connection is open for sending. */
+  open?: boolean;
   /** Internal WebRTC data channel (for buffer monitoring). */
   _dc?: RTCDataChannel;
+  /** Underlying WebRTC peer connection (for ICE state and ICE restarts). */
+  peerConnection?: RTCPeerConnection;
+  /** PeerJS connection ID, used to route signalling messages. */
+  connectionId?: string;
+  /** Peer ID of the remote end. */
+  peer?: string;
 }
 
 // ============================================================================
@@ -130,6 +166,8 @@ export interface P2PServerConfig {
   secure?: boolean;
   /** ICE servers for WebRTC. */
   iceServers?: RTCIceServer[];
+  /** Path of the server's WebSocket relay. Taken from server capabilities when not set. */
+  relayPath?: string;
 }
 
 // ============================================================================
@@ -140,10 +178,15 @@ export interface P2PServerConfig {
 export interface P2PStatusEvent {
   phase: string;
   message: string;
+  /** Receiver the event is about, in a broadcast send session. */
+  receiverId?: number;
 }
 
 /** Progress event for P2P send operations. */
-export interface P2PSendProgressEvent extends BaseProgressEvent { }
+export interface P2PSendProgressEvent extends BaseProgressEvent {
+  /** Receiver the progress is for, in a broadcast send session. */
+  receiverId?: number;
+}
 
 /** Progress event for P2P receive operations. */
 export interface P2PReceiveProgressEvent extends BaseProgressEvent { }
@@ -152,8 +195,13 @@ export interface P2PReceiveProgressEvent extends BaseProgressEvent { }
 export interface P2PMetadataEvent {
   name: string;
   total: number;
-  /** Call this to signal the sender to begin transfer (when autoReady is false). */
-  sendReady?: () => void;
+  /**
+   * Call this to signal the sender to begin transfer (when autoReady is false).
+   * v5: For a multi-file transfer, pass the indices of the files to receive; the rest are skipped.
+   * Omit them to receive every file.
+   * @throws DropgateValidationError if the selection is empty or out of range.
+   */
+  sendReady?: (fileIndices?: number[]) => void;
   /** v3: Total number of files in a multi-file transfer (undefined for single file). */
   fileCount?: number;
   /** v3: List of all files (names and sizes) in a multi-file transfer. */
@@ -166,6 +214,16 @@ export interface P2PMetadataEvent {
 export interface P2PReceiveCompleteEvent {
   received: number;
   total: number;
+  /** Whether every file's SHA-256 matched the digest the sender computed. */
+  verified: boolean;
+}
+
+/** Event fired when one file of a multi-file transfer has been received. */
+export interface P2PFileEndEvent {
+  fileIndex: number;
+  receivedBytes: number;
+  /** Whether the file's SHA-256 matched the digest the sender computed. */
+  verified: boolean;
 }
 
 /** Cancellation event for P2P operations. */
@@ -186,18 +244,54 @@ export interface P2PConnectionHealthEvent {
   bufferedAmount?: number;
   /** Milliseconds since last activity. */
   lastActivityMs: number;
+  /** True while an ICE restart is being negotiated to restore connectivity. */
+  restartingIce?: boolean;
+  /** Receiver the connection belongs to, in a broadcast send session. */
+  receiverId?: number;
 }
 
 /** Resumable transfer info. */
 export interface P2PResumeInfo {
   /** Session ID to resume. */
   sessionId: string;
-  /** Bytes already received in previous session. */
+  /** Bytes already received in previous session, across all files. */
   receivedBytes: number;
+  /** v3: File the receiver resumes from in multi-file transfers. */
+  fileIndex?: number;
   /** Total bytes expected. */
   totalBytes: number;
   /** Whether resume is possible. */
   canResume: boolean;
+  /** Receiver asking to resume, in a broadcast send session. */
+  receiverId?: number;
+}
+
+/**
+ * Short authentication string for the transfer's key exchange.
+ * Both users should see the same sequence; a mismatch means someone is intercepting the connection.
+ */
+export interface P2PVerificationEvent {
+  /** Emoji sequence, e.g. "🐶 🔑 🚀 🌵 🎸 ⚓ 🍕". */
+  emoji: string;
+  /** The same sequence as words, e.g. "Dog Key Rocket Cactus Guitar Anchor Pizza". */
+  words: string;
+  /** Receiver the code was agreed with, in a broadcast send session. */
+  receiverId?: number;
+}
+
+/**
+ * Event fired when one receiver's transfer ends in a broadcast send session.
+ * The session itself carries on until every receiver slot has completed or it is stopped.
+ */
+export interface P2PReceiverEndEvent {
+  /** Receiver the transfer belonged to, numbered from 1 in the order they joined. */
+  receiverId: number;
+  /** How the transfer ended. Only 'completed' uses up a receiver slot. */
+  outcome: 'completed' | 'failed' | 'cancelled' | 'disconnected';
+  /** The error, when the transfer failed. */
+  error?: Error;
+  /** Who cancelled, when the transfer was cancelled. */
+  cancelledBy?: 'sender' | 'receiver';
 }
 
 // ============================================================================
@@ -210,13 +304,15 @@ export interface P2PResumeInfo {
 export interface P2PSendOptions extends P2PServerConfig {
   /** File(s) to send. A single file or an array for multi-file transfers. */
   file: FileSource | FileSource[];
-  /** PeerJS Peer constructor - REQUIRED. */
-  Peer: PeerConstructor;
+  /** PeerJS Peer constructor. Either this or `transport` is required. */
+  Peer?: PeerConstructor;
+  /** Transport to run the transfer over instead of PeerJS. */
+  transport?: P2PTransport;
   /** Server info (optional, for capability checking). */
   serverInfo?: ServerInfo;
-  /** Custom code generator function. */
-  codeGenerator?: (cryptoObj?: CryptoAdapter) => string;
-  /** Crypto object for secure code generation. */
+  /** Custom code generator function. May be async, e.g. to fetch a code from a server. */
+  codeGenerator?: (cryptoObj?: CryptoAdapter) => string | Promise<string>;
+  /** Crypto object for secure code generation, the key exchange and chunk encryption. */
   cryptoObj?: CryptoAdapter;
   /** Max attempts to register a peer ID. */
   maxAttempts?: number;
@@ -244,16 +340,39 @@ export interface P2PSendOptions extends P2PServerConfig {
   onDisconnect?: () => void;
   /** Callback when transfer is cancelled by either party. */
   onCancel?: (evt: P2PCancellationEvent) => void;
+  /** Callback with the verification code once the key exchange completes. */
+  onVerificationCode?: (evt: P2PVerificationEvent) => void;
   /** Enable chunk-level acknowledgments for flow control (default: true). */
   chunkAcknowledgments?: boolean;
   /** Maximum unacknowledged chunks before pausing (default: 32). */
   maxUnackedChunks?: number;
-  /** ICE restart timeout in ms (default: 10000). */
+  /**
+   * How long an ICE restart may take to restore connectivity after the network
+   * changes, in ms (default: 10000). If it doesn't, the connection is treated as
+   * dropped and the transfer waits to be resumed. Set to 0 to disable ICE restarts.
+   */
   iceRestartTimeoutMs?: number;
   /** Connection health monitoring callback. */
   onConnectionHealth?: (evt: P2PConnectionHealthEvent) => void;
-  /** Called when receiver requests resume from offset. */
+  /**
+   * How long to wait for the receiver to reconnect after the connection drops
+   * mid-transfer, in ms (default: 30000). Set to 0 to disable resuming.
+   */
+  resumeTimeoutMs?: number;
+  /**
+   * Called when the receiver asks to resume from an offset. Return false to refuse.
+   * Requests are accepted by default when `canResume` is true.
+   */
   onResumeRequest?: (info: P2PResumeInfo) => boolean;
+  /**
+   * How many receivers may download the files with the same code (default: 1).
+   * Above 1 the session broadcasts: each receiver gets its own transfer, and per-receiver
+   * events carry a `receiverId`. The session completes once this many receivers have
+   * finished; failed or cancelled transfers free their slot for someone else.
+   */
+  maxReceivers?: number;
+  /** Broadcast only: called when one receiver's transfer ends. */
+  onReceiverEnd?: (evt: P2PReceiverEndEvent) => void;
 }
 
 /**
@@ -264,15 +383,18 @@ export interface P2PSendSession {
   peer: PeerInstance;
   /** The generated sharing code. */
   code: string;
-  /** The unique session ID for this transfer. */
+  /** The unique session ID for this transfer. Broadcast receivers are each given their own. */
   sessionId: string;
   /** Stop the session and clean up resources. */
   stop: () => void;
-  /** Get the current session state. */
+  /**
+   * Get the current session state. In a broadcast session this is 'transferring'
+   * while any receiver is being sent to, and 'listening' otherwise until the session ends.
+   */
   getStatus: () => P2PSendState;
-  /** Get the number of bytes sent so far. */
+  /** Get the number of bytes sent so far, across all receivers. */
   getBytesSent: () => number;
-  /** Get the connected receiver's peer ID (if connected). */
+  /** Get the connected receiver's peer ID (if connected). In a broadcast session, the earliest still connected. */
   getConnectedPeerId: () => string | null;
 }
 
@@ -286,10 +408,14 @@ export interface P2PSendSession {
 export interface P2PReceiveOptions extends P2PServerConfig {
   /** Sharing code to connect to. */
   code: string;
-  /** PeerJS Peer constructor - REQUIRED. */
-  Peer: PeerConstructor;
+  /** PeerJS Peer constructor. Either this or `transport` is required. */
+  Peer?: PeerConstructor;
+  /** Transport to run the transfer over instead of PeerJS. */
+  transport?: P2PTransport;
   /** Server info (optional, for capability checking). */
   serverInfo?: ServerInfo;
+  /** Crypto object for the key exchange and chunk decryption. */
+  cryptoObj?: CryptoAdapter;
   /**
    * Whether to automatically send the "ready" signal after receiving metadata.
    * Default: true.
@@ -300,8 +426,19 @@ export interface P2PReceiveOptions extends P2PServerConfig {
   /**
    * Timeout in ms for detecting dead connections (no data received).
    * Default: 15000 (15 seconds). Set to 0 to disable.
+   * Keep it above the sender's `iceRestartTimeoutMs` so an ICE restart can finish first.
    */
   watchdogTimeoutMs?: number;
+  /**
+   * How long to keep trying to reconnect and resume after the connection drops
+   * mid-transfer, in ms (default: 30000). Set to 0 to disable resuming.
+   */
+  resumeTimeoutMs?: number;
+  /**
+   * How long to wait for a direct connection before switching to the server's relay,
+   * in ms (default: 10000). Only used when the server has a relay. Set to 0 to disable the relay.
+   */
+  relayTimeoutMs?: number;
   /** Callback for status updates. */
   onStatus?: (evt: P2PStatusEvent) => void;
   /**
@@ -317,7 +454,7 @@ export interface P2PReceiveOptions extends P2PServerConfig {
   /** Callback when an individual file starts in a multi-file transfer. */
   onFileStart?: (evt: { fileIndex: number; name: string; size: number }) => void;
   /** Callback when an individual file ends in a multi-file transfer. */
-  onFileEnd?: (evt: { fileIndex: number; receivedBytes: number }) => void;
+  onFileEnd?: (evt: P2PFileEndEvent) => void;
   /** Callback when transfer completes. */
   onComplete?: (evt: P2PReceiveCompleteEvent) => void;
   /** Callback on error. */
@@ -326,6 +463,8 @@ export interface P2PReceiveOptions extends P2PServerConfig {
   onDisconnect?: () => void;
   /** Callback when transfer is cancelled by either party. */
   onCancel?: (evt: P2PCancellationEvent) => void;
+  /** Callback with the verification code once the key exchange completes. */
+  onVerificationCode?: (evt: P2PVerificationEvent) => void;
 }
 
 /**
@@ -359,10 +498,12 @@ export interface P2PReceiveSession {
 export interface P2PSendFileOptions {
   /** File(s) to send. A single file or an array for multi-file transfers. */
   file: FileSource | FileSource[];
-  /** PeerJS Peer constructor - REQUIRED. */
-  Peer: PeerConstructor;
-  /** Custom code generator function. */
-  codeGenerator?: (cryptoObj?: CryptoAdapter) => string;
+  /** PeerJS Peer constructor. Either this or `transport` is required. */
+  Peer?: PeerConstructor;
+  /** Transport to run the transfer over instead of PeerJS. */
+  transport?: P2PTransport;
+  /** Custom code generator function. May be async, e.g. to fetch a code from a server. */
+  codeGenerator?: (cryptoObj?: CryptoAdapter) => string | Promise<string>;
   /** Max attempts to register a peer ID. */
   maxAttempts?: number;
   /** Chunk size for data transfer. */
@@ -379,7 +520,11 @@ export interface P2PSendFileOptions {
   chunkAcknowledgments?: boolean;
   /** Maximum unacknowledged chunks before pausing (default: 32). */
   maxUnackedChunks?: number;
-  /** ICE restart timeout in ms (default: 10000). */
+  /**
+   * How long an ICE restart may take to restore connectivity after the network
+   * changes, in ms (default: 10000). If it doesn't, the connection is treated as
+   * dropped and the transfer waits to be resumed. Set to 0 to disable ICE restarts.
+   */
   iceRestartTimeoutMs?: number;
   /** Callback when code is generated. */
   onCode?: (code: string, attempt: number) => void;
@@ -395,22 +540,43 @@ export interface P2PSendFileOptions {
   onDisconnect?: () => void;
   /** Callback when transfer is cancelled by either party. */
   onCancel?: (evt: P2PCancellationEvent) => void;
+  /** Callback with the verification code once the key exchange completes. */
+  onVerificationCode?: (evt: P2PVerificationEvent) => void;
   /** Connection health monitoring callback. */
   onConnectionHealth?: (evt: P2PConnectionHealthEvent) => void;
-  /** Called when receiver requests resume from offset. */
+  /**
+   * How long to wait for the receiver to reconnect after the connection drops
+   * mid-transfer, in ms (default: 30000). Set to 0 to disable resuming.
+   */
+  resumeTimeoutMs?: number;
+  /**
+   * Called when the receiver asks to resume from an offset. Return false to refuse.
+   * Requests are accepted by default when `canResume` is true.
+   */
   onResumeRequest?: (info: P2PResumeInfo) => boolean;
+  /**
+   * How many receivers may download the files with the same code (default: 1).
+   * Above 1 the session broadcasts: each receiver gets its own transfer, and per-receiver
+   * events carry a `receiverId`. The session completes once this many receivers have
+   * finished; failed or cancelled transfers free their slot for someone else.
+   */
+  maxReceivers?: number;
+  /** Broadcast only: called when one receiver's transfer ends. */
+  onReceiverEnd?: (evt: P2PReceiverEndEvent) => void;
 }
 
 /**
  * Options for DropgateClient.p2pReceive().
- * Server connection, serverInfo, peerjsPath, and iceServers
+ * Server connection, serverInfo, peerjsPath, iceServers, and cryptoObj
  * are all provided internally by the client.
  */
 export interface P2PReceiveFileOptions {
   /** Sharing code to connect to. */
   code: string;
-  /** PeerJS Peer constructor - REQUIRED. */
-  Peer: PeerConstructor;
+  /** PeerJS Peer constructor. Either this or `transport` is required. */
+  Peer?: PeerConstructor;
+  /** Transport to run the transfer over instead of PeerJS. */
+  transport?: P2PTransport;
   /**
    * Whether to automatically send the "ready" signal after receiving metadata.
    * Default: true.
@@ -421,8 +587,19 @@ export interface P2PReceiveFileOptions {
   /**
    * Timeout in ms for detecting dead connections (no data received).
    * Default: 15000 (15 seconds). Set to 0 to disable.
+   * Keep it above the sender's `iceRestartTimeoutMs` so an ICE restart can finish first.
    */
   watchdogTimeoutMs?: number;
+  /**
+   * How long to keep trying to reconnect and resume after the connection drops
+   * mid-transfer, in ms (default: 30000). Set to 0 to disable resuming.
+   */
+  resumeTimeoutMs?: number;
+  /**
+   * How long to wait for a direct connection before switching to the server's relay,
+   * in ms (default: 10000). Only used when the server has a relay. Set to 0 to disable the relay.
+   */
+  relayTimeoutMs?: number;
   /** Callback for status updates. */
   onStatus?: (evt: P2PStatusEvent) => void;
   /**
@@ -438,7 +615,7 @@ export interface P2PReceiveFileOptions {
   /** Callback when an individual file starts in a multi-file transfer. */
   onFileStart?: (evt: { fileIndex: number; name: string; size: number }) => void;
   /** Callback when an individual file ends in a multi-file transfer. */
-  onFileEnd?: (evt: { fileIndex: number; receivedBytes: number }) => void;
+  onFileEnd?: (evt: P2PFileEndEvent) => void;
   /** Callback when transfer completes. */
   onComplete?: (evt: P2PReceiveCompleteEvent) => void;
   /** Callback on error. */
@@ -447,4 +624,6 @@ export interface P2PReceiveFileOptions {
   onDisconnect?: () => void;
   /** Callback when transfer is cancelled by either party. */
   onCancel?: (evt: P2PCancellationEvent) => void;
+  /** Callback with the verification code once the key exchange completes. */
+  onVerificationCode?: (evt: P2PVerificationEvent) => void;
 }
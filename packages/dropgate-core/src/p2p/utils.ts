@@ -56,9 +56,24 @@ export function generateP2PCode(cryptoObj?: CryptoAdapter): string {
   return `${a}-${b}`;
 }
 
+const CLASSIC_CODE_PATTERN = /^[A-Z]{4}-\d{4}$/;
+const WORDS_CODE_PATTERN = /^[a-z]+(?:-[a-z]+){1,5}-\d{2}$/;
+
 /**
- * Check if a string looks like a P2P sharing code
+ * Check if a string looks like a P2P sharing code.
+ * Accepts both formats: XXXX-0000, and the word codes servers can issue (e.g. tiger-ocean-42).
  */
 export function isP2PCodeLike(code: string): boolean {
-  return /^[A-Z]{4}-\d{4}$/.test(String(code || '').trim());
+  const value = String(code || '').trim();
+  return CLASSIC_CODE_PATTERN.test(value) || WORDS_CODE_PATTERN.test(value);
+}
+
+/**
+ * Normalize a user-entered P2P code: whitespace removed, XXXX-0000 codes uppercase
+ * and word codes lowercase.
+ */
+export function normalizeP2PCode(code: string): string {
+  const compact = String(code || '').replace(/\s+/g, '');
+  const upper = compact.toUpperCase();
+  return CLASSIC_CODE_PATTERN.test(upper) ? upper : compact.toLowerCase();
 }
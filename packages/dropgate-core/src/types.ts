@@ -12,8 +12,19 @@ export interface UploadCapabilities {
   maxFileDownloads?: number;
   /** Whether end-to-end encryption is supported. */
   e2ee?: boolean;
+  /**
+   * Newest E2EE file format the server's download pages can decrypt (see E2EE_FORMAT_VERSION).
+   * Servers that don't report it only support format 1.
+   */
+  e2eeFormatVersion?: number;
   /** Expected upload chunk size in bytes (server-configured). */
   chunkSize?: number;
+  /** Recommended and maximum number of chunks one upload sends at once. Servers that don't report it expect 1. */
+  chunkConcurrency?: number;
+  /** Whether uploads require an API key (see DropgateClientOptions.authToken). */
+  authRequired?: boolean;
+  /** Whether downloads can reserve a ticket first (POST /api/file/:fileId/ticket). */
+  downloadTickets?: boolean;
 }
 
 /**
@@ -26,6 +37,12 @@ export interface P2PCapabilities {
   peerjsPath?: string;
   /** ICE servers for WebRTC connectivity. */
   iceServers?: RTCIceServer[];
+  /** Whether senders must use a code issued by the server (POST /api/p2p/code). */
+  issuedCodes?: boolean;
+  /** Whether the server relays transfers between peers that cannot connect over WebRTC. */
+  relay?: boolean;
+  /** Path of the WebSocket relay, when enabled. */
+  relayPath?: string;
 }
 
 /**
@@ -109,8 +126,15 @@ export interface UploadResult {
   baseUrl: string;
   /** Base64-encoded encryption key (only present if encrypted). */
   keyB64?: string;
+  /** Whether the key is protected by a passphrase instead of being in the download URL. */
+  passphraseProtected?: boolean;
   /** Per-file results (only present for multi-file uploads). */
   files?: Array<{ fileId: string; name: string; size: number }>;
+  /**
+   * Secret token for deleting, updating and inspecting this upload later.
+   * Only returned once, so store it if the upload needs managing.
+   */
+  manageToken?: string;
 }
 
 /**
@@ -222,6 +246,8 @@ export interface DropgateClientOptions {
   cryptoObj?: CryptoAdapter;
   /** Custom base64 encoder/decoder. */
   base64?: Base64Adapter;
+  /** API key for servers that authenticate uploads. Sent as `Authorization: Bearer <token>` on every upload request. */
+  authToken?: string;
 }
 
 /**
@@ -236,6 +262,47 @@ export interface ServerTarget {
   secure?: boolean;
 }
 
+/**
+ * Request a retry policy is deciding about.
+ */
+export type RetryOperation = 'init' | 'chunk' | 'complete' | 'download';
+
+/**
+ * A failed request, as passed to retry policy hooks.
+ */
+export interface RetryContext {
+  /** Which request failed. */
+  operation: RetryOperation;
+  /** The retry this would be (1 for the first). */
+  attempt: number;
+  /** Maximum number of retries. */
+  maxRetries: number;
+  /** The error the request failed with. */
+  error: unknown;
+  /** How long the server asked the client to wait (Retry-After), in milliseconds. */
+  retryAfterMs?: number;
+}
+
+/**
+ * Retry policy for failed requests. By default only transient failures are retried
+ * (see isRetryableError()), with exponential backoff and jitter, waiting at least as
+ * long as the server asks with Retry-After.
+ */
+export interface RetryOptions {
+  /** Maximum number of retries per request, or per file for downloads (default: 5). */
+  retries?: number;
+  /** Initial backoff delay in milliseconds (default: 1000ms). */
+  backoffMs?: number;
+  /** Maximum backoff delay in milliseconds (default: 30000ms). */
+  maxBackoffMs?: number;
+  /** How much each backoff delay is randomised either way, as a fraction from 0 to 1 (default: 0.2). */
+  jitter?: number;
+  /** Whether a failed request is retried (default: isRetryableError()). Not asked once retries are used up. */
+  shouldRetry?: (ctx: RetryContext) => boolean;
+  /** Delay before a retry in milliseconds (default: the backoff delay, or the server's Retry-After if longer). */
+  getDelayMs?: (ctx: RetryContext) => number;
+}
+
 /**
  * Options for uploading one or more files to the server.
  * Single files use the standard upload protocol. Multiple files use the bundle protocol.
@@ -248,6 +315,11 @@ export interface UploadFilesOptions {
   lifetimeMs: number;
   /** Whether to encrypt the file(s) with E2EE. Defaults to true if server supports E2EE. */
   encrypt?: boolean;
+  /**
+   * Protect the encryption key with a passphrase instead of putting it in the download URL.
+   * The key is wrapped with a PBKDF2-derived key and stored on the server. Requires encryption.
+   */
+  passphrase?: string;
   /** Override filenames sent to the server, keyed by file index. */
   filenameOverrides?: Record<number, string>;
   /** Callback for progress updates. */
@@ -258,6 +330,11 @@ export interface UploadFilesOptions {
   maxDownloads?: number;
   /** AbortSignal to cancel the upload. */
   signal?: AbortSignal;
+  /**
+   * Callback fired once the server has created the upload session.
+   * Persist the state to resume the upload later with resumeUpload().
+   */
+  onResumeState?: (state: UploadResumeState) => void;
   /** Timeout settings for various upload phases. */
   timeouts?: {
     /** Timeout for fetching server info (default: 5000ms). */
@@ -269,15 +346,153 @@ export interface UploadFilesOptions {
     /** Timeout for upload completion (default: 30000ms). */
     completeMs?: number;
   };
-  /** Retry settings for failed chunk uploads. */
-  retry?: {
-    /** Maximum number of retries per chunk (default: 5). */
-    retries?: number;
-    /** Initial backoff delay in milliseconds (default: 1000ms). */
-    backoffMs?: number;
-    /** Maximum backoff delay in milliseconds (default: 30000ms). */
-    maxBackoffMs?: number;
-  };
+  /** Retry policy for failed upload requests (initialisation, chunks and finalisation). */
+  retry?: RetryOptions;
+  /**
+   * Number of chunks to upload at once, shared by all files of a bundle (default: 1).
+   * Capped at the server's `chunkConcurrency` from /api/info, which is both its recommended
+   * value and the most it accepts; servers that don't report it accept 1.
+   */
+  concurrency?: number;
+}
+
+/**
+ * Everything needed to resume an interrupted upload with resumeUpload().
+ * Plain JSON, so it can be stored (e.g. in localStorage) across restarts.
+ * Contains the encryption key for E2EE uploads, so store it as carefully as a download link.
+ */
+export interface UploadResumeState {
+  /** Server base URL the upload was started on. */
+  baseUrl: string;
+  /** Upload session identifier (single-file uploads). */
+  uploadId?: string;
+  /** Bundle upload session identifier (multi-file uploads). */
+  bundleUploadId?: string;
+  /** Per-file upload session identifiers, in file order (multi-file uploads). */
+  fileUploadIds?: string[];
+  /** Base64-encoded encryption key (only present if encrypted). */
+  keyB64?: string;
+  /** Whether the key is passphrase-protected, so it is kept out of the download URL. */
+  passphraseProtected?: boolean;
+  /** E2EE file format the chunks are encrypted with. Absent means format 1. */
+  e2eeFormatVersion?: number;
+}
+
+/**
+ * Options for resuming an interrupted upload.
+ * The files must be the same, in the same order, as the original upload.
+ */
+export interface ResumeUploadOptions {
+  /** File(s) originally passed to uploadFiles(). */
+  files: FileSource | FileSource[];
+  /** Resume state reported by onResumeState during the original upload. */
+  state: UploadResumeState;
+  /** Override filenames used in the E2EE bundle manifest, keyed by file index. */
+  filenameOverrides?: Record<number, string>;
+  /** Callback for progress updates. */
+  onProgress?: (evt: UploadProgressEvent) => void;
+  /** Callback when upload is cancelled by user. */
+  onCancel?: () => void;
+  /** AbortSignal to cancel the upload. */
+  signal?: AbortSignal;
+  /** Timeout settings for various upload phases. */
+  timeouts?: UploadFilesOptions['timeouts'];
+  /** Retry policy for failed upload requests (initialisation, chunks and finalisation). */
+  retry?: UploadFilesOptions['retry'];
+  /** Number of chunks to upload at once (default: 1, see UploadFilesOptions.concurrency). */
+  concurrency?: UploadFilesOptions['concurrency'];
+}
+
+/**
+ * Server-side progress of an unfinished single-file upload.
+ * Returned by GET /upload/status/:uploadId.
+ */
+export interface UploadSessionStatus {
+  /** Upload session identifier. */
+  uploadId: string;
+  /** Whether the upload is end-to-end encrypted. */
+  isEncrypted: boolean;
+  /** Expected size of the uploaded (possibly encrypted) file in bytes. */
+  totalSize: number;
+  /** Total number of chunks. */
+  totalChunks: number;
+  /** Chunk size in bytes the session was created with. */
+  chunkSize: number;
+  /** Indices of chunks already stored by the server, ascending. */
+  receivedChunks: number[];
+  /** Unix timestamp (ms) when the session expires if left idle. */
+  expiresAt: number;
+}
+
+/**
+ * Server-side progress of an unfinished bundle upload.
+ * Returned by GET /upload/status/:bundleUploadId.
+ */
+export interface BundleUploadSessionStatus {
+  /** Bundle upload session identifier. */
+  bundleUploadId: string;
+  /** Whether the bundle is end-to-end encrypted. */
+  isEncrypted: boolean;
+  /** Per-file upload session identifiers, in file order. */
+  fileUploadIds: string[];
+  /** Files that have already been completed. */
+  completedFiles: Array<{ uploadId: string; fileId: string }>;
+  /** Unix timestamp (ms) when the session expires if left idle. */
+  expiresAt: number;
+}
+
+/**
+ * Identifies an upload to manage with its management token.
+ * Set exactly one of fileId or bundleId.
+ */
+export interface ManageUploadOptions {
+  /** File ID (single-file uploads). */
+  fileId?: string;
+  /** Bundle ID (multi-file uploads). Applies to all files in the bundle. */
+  bundleId?: string;
+  /** Management token returned in the upload result. */
+  manageToken: string;
+  /** Request timeout in milliseconds (default: 5000ms). */
+  timeoutMs?: number;
+  /** AbortSignal to cancel the request. */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for changing an upload's settings with updateUpload().
+ * Values are checked against the same server limits as a new upload.
+ */
+export interface UpdateUploadOptions extends ManageUploadOptions {
+  /** New total lifetime in milliseconds, measured from the original upload time (0 = unlimited). */
+  lifetimeMs?: number;
+  /** New max downloads (0 = unlimited). Must exceed the current download count. */
+  maxDownloads?: number;
+}
+
+/**
+ * Current state of an upload, as seen by its owner.
+ */
+export interface UploadStatus {
+  /** File ID (single-file uploads). */
+  fileId?: string;
+  /** Bundle ID (multi-file uploads). */
+  bundleId?: string;
+  /** Whether the bundle uses a sealed (encrypted) manifest. Bundles only. */
+  sealed?: boolean;
+  /** Stored file size in bytes. Files only. */
+  sizeBytes?: number;
+  /** Number of member files still stored. Bundles only. */
+  fileCount?: number;
+  /** Whether the upload is end-to-end encrypted. */
+  isEncrypted: boolean;
+  /** Unix timestamp (ms) of the upload, or null for uploads made before it was recorded. */
+  uploadedAt: number | null;
+  /** Unix timestamp (ms) when the upload expires, or null if it never expires. */
+  expiresAt: number | null;
+  /** Max downloads before deletion (0 = unlimited). */
+  maxDownloads: number;
+  /** Completed downloads so far. */
+  downloadCount: number;
 }
 
 /**
@@ -330,6 +545,37 @@ export interface FileMetadata {
   filename?: string;
   /** Encrypted filename (only for encrypted files). */
   encryptedFilename?: string;
+  /** Passphrase protection for the key (only for passphrase-protected files). */
+  keyProtection?: PassphraseKeyProtection;
+  /** Plaintext chunk size the file was uploaded with (omitted for files stored by older servers). */
+  chunkSize?: number;
+  /** E2EE format version of the stored chunks (only for encrypted files on servers that record it). */
+  e2eeFormatVersion?: number;
+}
+
+/**
+ * A single-use ticket reserving one download of a file.
+ */
+export interface DownloadTicket {
+  /** Ticket to pass as the `ticket` query parameter of GET /api/file/:fileId. */
+  ticket: string;
+  /** When the ticket expires unless a download is using it (ms since epoch). */
+  expiresAt: number;
+}
+
+/**
+ * Passphrase protection parameters for an encrypted upload's key.
+ * Stored on the server, so the download URL does not need to carry the key.
+ */
+export interface PassphraseKeyProtection {
+  /** Key derivation function. Currently always 'PBKDF2-SHA256'. */
+  kdf: 'PBKDF2-SHA256';
+  /** Base64-encoded random salt. */
+  salt: string;
+  /** PBKDF2 iteration count. */
+  iterations: number;
+  /** Base64-encoded file key, encrypted with the derived key. Layout: [IV (12 bytes)] + [ciphertext + tag] */
+  wrappedKey: string;
 }
 
 /**
@@ -337,7 +583,7 @@ export interface FileMetadata {
  */
 export interface DownloadProgressEvent extends BaseProgressEvent {
   /** Current phase of the download. */
-  phase: 'server-info' | 'server-compat' | 'metadata' | 'downloading' | 'decrypting' | 'zipping' | 'complete';
+  phase: 'server-info' | 'server-compat' | 'metadata' | 'downloading' | 'decrypting' | 'zipping' | 'retry-wait' | 'complete';
   /** Human-readable status text. */
   text?: string;
   /** Index of the current file being downloaded (0-based). Only present for bundle downloads. */
@@ -358,8 +604,10 @@ export interface DownloadFilesOptions {
   fileId?: string;
   /** Bundle ID to download (for multi-file bundle downloads). */
   bundleId?: string;
-  /** Base64-encoded decryption key (required for encrypted files/bundles). */
+  /** Base64-encoded decryption key (required for encrypted files/bundles, unless passphrase is set). */
   keyB64?: string;
+  /** Passphrase for passphrase-protected files/bundles, used when keyB64 is not set. */
+  passphrase?: string;
   /** If true and bundleId is set, streams all files as a single ZIP via onData. */
   asZip?: boolean;
   /** Filename for the generated ZIP (default: "dropgate-bundle.zip"). Only used with asZip. */
@@ -378,6 +626,17 @@ export interface DownloadFilesOptions {
   signal?: AbortSignal;
   /** Request timeout in milliseconds (default: 60000ms). */
   timeoutMs?: number;
+  /**
+   * Retry policy for interrupted downloads.
+   * Each retry resumes with an HTTP Range request from the last fully received
+   * byte (or, for encrypted files, the last fully decrypted chunk boundary).
+   */
+  retry?: RetryOptions;
+  /**
+   * Ticket to download a single file with, instead of reserving one. Files of sealed bundles
+   * need their bundle's ticket (see DropgateClient.requestBundleTicket()).
+   */
+  ticket?: string;
 }
 
 /**
@@ -410,6 +669,8 @@ export interface BundleMetadata {
   sealed?: boolean;
   /** Base64-encoded encrypted manifest blob (only present for sealed bundles). */
   encryptedManifest?: string;
+  /** Passphrase protection for the key (only for passphrase-protected bundles). */
+  keyProtection?: PassphraseKeyProtection;
   /** Individual file metadata entries. Populated from server for unsealed bundles, or from decrypted manifest for sealed bundles. */
   files: Array<{
     /** File ID for downloading this individual file. */
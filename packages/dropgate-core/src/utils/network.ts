@@ -114,6 +114,17 @@ export interface FetchJsonOptions extends Omit<RequestInit, 'signal'> {
   signal?: AbortSignal;
 }
 
+/**
+ * Parse a response body as JSON, or null if it is empty or not JSON.
+ */
+export function parseJsonText(text: string): unknown {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Fetch JSON from a URL with timeout and error handling.
  */
@@ -128,15 +139,7 @@ export async function fetchJson(
   try {
     const res = await fetchFn(url, { ...rest, signal: s });
     const text = await res.text();
-
-    let json: unknown = null;
-    try {
-      json = text ? JSON.parse(text) : null;
-    } catch {
-      // Ignore parse errors - json will remain null
-    }
-
-    return { res, json, text };
+    return { res, json: parseJsonText(text), text };
   } finally {
     cleanup();
   }
@@ -0,0 +1,141 @@
+import { DropgateAbortError, DropgateError, DropgateProtocolError } from '../errors.js';
+import type { RetryContext, RetryOperation, RetryOptions } from '../types.js';
+import { sleep } from './network.js';
+
+/**
+ * Retry options with every default filled in.
+ */
+export interface RetryPolicy {
+  retries: number;
+  backoffMs: number;
+  maxBackoffMs: number;
+  jitter: number;
+  shouldRetry: (ctx: RetryContext) => boolean;
+  getDelayMs: (ctx: RetryContext) => number;
+}
+
+// Statuses a later attempt can succeed on
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Messages of the TypeError fetch() rejects with when the network fails, in Chromium,
+// Firefox, Safari, Node and React Native
+const FETCH_FAILURE_MESSAGE = /^(Failed to fetch|NetworkError when attempting to fetch resource\.|Load failed|fetch failed|Network request failed)$/;
+
+/**
+ * Whether a failed request is worth retrying: network failures, timeouts, rate limiting
+ * and temporary server errors. Requests the server rejected (e.g. an integrity check
+ * failure, an expired session or a full server) and local errors (bugs, failed
+ * encryption, bad input) are not.
+ */
+export function isRetryableError(err: unknown): boolean {
+  if (err instanceof Error && err.name === 'AbortError') return false;
+  if (err instanceof DropgateProtocolError) {
+    return err.status !== undefined && RETRYABLE_STATUSES.has(err.status);
+  }
+  if (err instanceof DropgateError) {
+    return err.code === 'NETWORK_ERROR' || err.code === 'TIMEOUT_ERROR';
+  }
+  return err instanceof TypeError && FETCH_FAILURE_MESSAGE.test(err.message);
+}
+
+/**
+ * Read how long a response asks the client to wait before retrying: its Retry-After
+ * header (seconds or an HTTP date), or the reset time of an exhausted rate limit
+ * (RateLimit-Reset, or the combined RateLimit header).
+ * @returns The delay in milliseconds, or undefined if the response gives none.
+ */
+export function parseRetryAfter(
+  headers: { get(name: string): string | null } | null | undefined,
+  now = Date.now()
+): number | undefined {
+  const retryAfter = headers?.get('Retry-After')?.trim();
+  if (retryAfter) {
+    if (/^\d+$/.test(retryAfter)) return Number(retryAfter) * 1000;
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) return Math.max(0, date - now);
+  }
+
+  const combined = headers?.get('RateLimit') || '';
+  const remaining = headers?.get('RateLimit-Remaining') ?? /\bremaining=(\d+)/.exec(combined)?.[1];
+  const reset = headers?.get('RateLimit-Reset') ?? /\breset=(\d+)/.exec(combined)?.[1];
+  if (remaining?.trim() === '0' && reset && /^\d+$/.test(reset.trim())) {
+    return Number(reset.trim()) * 1000;
+  }
+  return undefined;
+}
+
+/**
+ * Exponential backoff delay for a retry, randomised by the policy's jitter.
+ * @param attempt - The retry number (1 for the first).
+ */
+export function backoffDelayMs(
+  attempt: number,
+  policy: Pick<RetryPolicy, 'backoffMs' | 'maxBackoffMs' | 'jitter'>,
+  random: () => number = Math.random
+): number {
+  const base = Math.min(policy.backoffMs * 2 ** (attempt - 1), policy.maxBackoffMs);
+  return Math.max(0, Math.round(base * (1 + policy.jitter * (2 * random() - 1))));
+}
+
+/**
+ * Fill in the defaults of a retry policy.
+ */
+export function resolveRetryPolicy(opts: RetryOptions = {}): RetryPolicy {
+  const jitter = Number.isFinite(opts.jitter) ? Math.min(1, Math.max(0, opts.jitter!)) : 0.2;
+  const policy: RetryPolicy = {
+    retries: Number.isFinite(opts.retries) ? opts.retries! : 5,
+    backoffMs: Number.isFinite(opts.backoffMs) ? opts.backoffMs! : 1000,
+    maxBackoffMs: Number.isFinite(opts.maxBackoffMs) ? opts.maxBackoffMs! : 30000,
+    jitter,
+    shouldRetry: opts.shouldRetry || ((ctx) => isRetryableError(ctx.error)),
+    getDelayMs: opts.getDelayMs || ((ctx) => Math.max(backoffDelayMs(ctx.attempt, policy), ctx.retryAfterMs ?? 0)),
+  };
+  return policy;
+}
+
+/**
+ * Describe a failed request for the policy's hooks.
+ */
+export function retryContext(
+  operation: RetryOperation,
+  attempt: number,
+  maxRetries: number,
+  error: unknown
+): RetryContext {
+  const retryAfterMs = error instanceof DropgateProtocolError ? error.retryAfterMs : undefined;
+  return { operation, attempt, maxRetries, error, ...(retryAfterMs !== undefined ? { retryAfterMs } : {}) };
+}
+
+/**
+ * Run a request, retrying it while the policy allows.
+ * @param run - Makes one attempt at the request.
+ * @param opts.wait - Waits out a retry's delay (default: sleep), e.g. to report a countdown.
+ * @returns The result of the first successful attempt.
+ * @throws The last attempt's error, once the policy gives up.
+ */
+export async function withRetry<T>(
+  policy: RetryPolicy,
+  operation: RetryOperation,
+  run: () => Promise<T>,
+  opts: {
+    signal?: AbortSignal;
+    wait?: (delayMs: number, ctx: RetryContext) => Promise<void>;
+  } = {}
+): Promise<T> {
+  const { signal, wait } = opts;
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw signal.reason || new DropgateAbortError();
+    try {
+      return await run();
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason || new DropgateAbortError();
+
+      const ctx = retryContext(operation, attempt, policy.retries, err);
+      if (attempt > policy.retries || !policy.shouldRetry(ctx)) throw err;
+
+      const delayMs = policy.getDelayMs(ctx);
+      if (wait) await wait(delayMs, ctx);
+      else await sleep(delayMs, signal);
+    }
+  }
+}
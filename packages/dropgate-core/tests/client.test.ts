@@ -0,0 +1,608 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DropgateClient,
+  buildChunkAad,
+  bytesToBase64,
+  encryptToBlob,
+  encryptFilenameToBase64,
+  exportKeyBase64,
+  generateAesGcmKey,
+} from '../src/index.js';
+import { DropgateLimitError, DropgateProtocolError, DropgateSessionExpiredError } from '../src/errors.js';
+import type { FileSource, ServerInfo, UploadFilesOptions, UploadProgressEvent } from '../src/index.js';
+
+const VERSION = '3.0.0';
+const BASE_URL = 'http://dropgate.test';
+
+interface FakeRequest {
+  method: string;
+  path: string;
+  query: URLSearchParams;
+  headers: Headers;
+  body: unknown;
+}
+
+type Route = (req: FakeRequest) => Response | Promise<Response>;
+
+/**
+ * fetch() stand-in that dispatches on "METHOD /path" and records every request.
+ */
+function createFakeServer(routes: Record<string, Route>, serverInfo: Partial<ServerInfo> = {}) {
+  const requests: FakeRequest[] = [];
+  const allRoutes: Record<string, Route> = {
+    'GET /api/info': () => Response.json({ name: 'test', version: VERSION, ...serverInfo }),
+    ...routes,
+  };
+
+  const fetchFn = async (input: RequestInfo | URL, init: RequestInit = {}): Promise<Response> => {
+    const url = new URL(String(input));
+    const method = init.method || 'GET';
+    const raw = init.body;
+    let body: unknown = raw;
+    if (typeof raw === 'string') {
+      try { body = JSON.parse(raw); } catch { /* Not JSON */ }
+    }
+    const req: FakeRequest = { method, path: url.pathname, query: url.searchParams, headers: new Headers(init.headers), body };
+    requests.push(req);
+    const route = allRoutes[`${method} ${url.pathname}`];
+    if (!route) return Response.json({ error: 'Not found.' }, { status: 404 });
+    return route(req);
+  };
+
+  return { fetchFn: fetchFn as typeof fetch, requests };
+}
+
+function createClient(fetchFn: typeof fetch): DropgateClient {
+  return new DropgateClient({ clientVersion: VERSION, server: BASE_URL, fetchFn });
+}
+
+/**
+ * A response body that delivers `bytes` and then fails like a dropped connection.
+ */
+function droppedStream(bytes: Uint8Array): ReadableStream<Uint8Array> {
+  let sent = false;
+  return new ReadableStream({
+    pull(controller) {
+      if (!sent) {
+        sent = true;
+        controller.enqueue(bytes);
+        return;
+      }
+      controller.error(new TypeError('network connection lost'));
+    },
+  });
+}
+
+/**
+ * In-memory FileSource.
+ */
+function memoryFile(name: string, bytes: Uint8Array): FileSource {
+  return {
+    name,
+    size: bytes.length,
+    slice: (start, end) => memoryFile(name, bytes.slice(start, end)),
+    arrayBuffer: async () => bytes.slice().buffer,
+  };
+}
+
+async function bodyBytes(body: unknown): Promise<Uint8Array> {
+  return new Uint8Array(await (body as Blob).arrayBuffer());
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+}
+
+/**
+ * Encrypt a file the way uploadFiles() stores it: v3 chunks bound to the file index,
+ * chunk index and final flag.
+ */
+async function encryptStoredFile(plaintext: Uint8Array, key: CryptoKey, chunkSize: number, fileIndex = 0): Promise<Uint8Array> {
+  const chunks: Uint8Array[] = [];
+  const count = Math.ceil(plaintext.length / chunkSize);
+  for (let i = 0; i < count; i++) {
+    const slice = plaintext.slice(i * chunkSize, (i + 1) * chunkSize);
+    const blob = await encryptToBlob(crypto, slice.buffer, key, buildChunkAad(i, i === count - 1, fileIndex));
+    chunks.push(new Uint8Array(await blob.arrayBuffer()));
+  }
+  return concat(chunks);
+}
+
+/** Resolve once `check` passes, polling every few milliseconds. */
+async function until(check: () => boolean, timeoutMs = 2000): Promise<void> {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition.');
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  }
+}
+
+/**
+ * /upload/chunk handler that holds each request until the test releases it, counting how
+ * many are in flight at once and recording the order chunks finish in. Chunks are named
+ * "<uploadId>:<chunkIndex>".
+ */
+function createChunkGate(respond: (req: FakeRequest) => Response = () => new Response('Chunk received.')) {
+  const held: Array<{ name: string; release: () => void }> = [];
+  const finished: string[] = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const route: Route = async (req) => {
+    const name = `${req.headers.get('X-Upload-ID')}:${req.headers.get('X-Chunk-Index')}`;
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise<void>((resolve) => held.push({ name, release: resolve }));
+    inFlight--;
+    finished.push(name);
+    return respond(req);
+  };
+
+  const releaseAt = (index: number): void => {
+    if (index >= 0 && index < held.length) held.splice(index, 1)[0].release();
+  };
+
+  return {
+    route,
+    finished,
+    held: () => held.map(({ name }) => name),
+    releaseFirst: () => releaseAt(0),
+    releaseLast: () => releaseAt(held.length - 1),
+    release: (name: string) => releaseAt(held.findIndex((entry) => entry.name === name)),
+    releaseAll: () => { while (held.length > 0) releaseAt(0); },
+    inFlight: () => inFlight,
+    maxInFlight: () => maxInFlight,
+  };
+}
+
+describe('DropgateClient downloads', () => {
+  const CHUNK_SIZE = 16;
+  const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + 28;
+  const ETAG = '"file-etag"';
+  const plaintext = new Uint8Array(40).map((_, i) => i);
+
+  async function encryptedFile() {
+    const key = await generateAesGcmKey(crypto);
+    const keyB64 = await exportKeyBase64(crypto, key);
+    const stored = await encryptStoredFile(plaintext, key, CHUNK_SIZE);
+    const meta = {
+      isEncrypted: true,
+      encryptedFilename: await encryptFilenameToBase64(crypto, 'notes.txt', key),
+      sizeBytes: stored.length,
+      chunkSize: CHUNK_SIZE,
+      e2eeFormatVersion: 3,
+    };
+    return { keyB64, stored, meta };
+  }
+
+  it('resumes a dropped encrypted download at the last chunk boundary', async () => {
+    const { keyB64, stored, meta } = await encryptedFile();
+    // The connection drops halfway through the second chunk
+    const dropAt = ENCRYPTED_CHUNK_SIZE + 10;
+
+    const { fetchFn, requests } = createFakeServer({
+      'GET /api/file/f1/meta': () => Response.json(meta),
+      'GET /api/file/f1': (req) => {
+        const range = req.headers.get('Range');
+        if (!range) {
+          return new Response(droppedStream(stored.slice(0, dropAt)), { headers: { ETag: ETAG } });
+        }
+        const start = Number(/^bytes=(\d+)-$/.exec(range)![1]);
+        return new Response(stored.slice(start), {
+          status: 206,
+          headers: { ETag: ETAG, 'Content-Range': `bytes ${start}-${stored.length - 1}/${stored.length}` },
+        });
+      },
+    });
+
+    const phases: string[] = [];
+    const result = await createClient(fetchFn).downloadFiles({
+      fileId: 'f1',
+      keyB64,
+      retry: { retries: 2, getDelayMs: () => 0 },
+      onProgress: (evt) => phases.push(evt.phase),
+    });
+
+    expect(result.filename).toBe('notes.txt');
+    expect(result.data).toEqual(plaintext);
+    expect(result.receivedBytes).toBe(plaintext.length);
+    expect(phases).toContain('retry-wait');
+
+    const downloads = requests.filter(r => r.path === '/api/file/f1');
+    expect(downloads).toHaveLength(2);
+    expect(downloads[1].headers.get('Range')).toBe(`bytes=${ENCRYPTED_CHUNK_SIZE}-`);
+    expect(downloads[1].headers.get('If-Range')).toBe(ETAG);
+  });
+
+  it('refuses to resume when If-Range no longer matches and the server sends the whole file', async () => {
+    const { keyB64, stored, meta } = await encryptedFile();
+    const dropAt = ENCRYPTED_CHUNK_SIZE + 10;
+
+    const { fetchFn, requests } = createFakeServer({
+      'GET /api/file/f1/meta': () => Response.json(meta),
+      'GET /api/file/f1': (req) => {
+        if (!req.headers.get('Range')) {
+          return new Response(droppedStream(stored.slice(0, dropAt)), { headers: { ETag: ETAG } });
+        }
+        // The file changed: If-Range fails, so the full representation comes back
+        return new Response(stored, { status: 200, headers: { ETag: '"other-etag"' } });
+      },
+    });
+
+    const delivered: Uint8Array[] = [];
+    const download = createClient(fetchFn).downloadFiles({
+      fileId: 'f1',
+      keyB64,
+      retry: { retries: 2, getDelayMs: () => 0 },
+      onData: (chunk) => { delivered.push(chunk); },
+    });
+
+    await expect(download).rejects.toBeInstanceOf(DropgateProtocolError);
+    await expect(download).rejects.toThrow('Server could not resume the download.');
+    // Only the first chunk was delivered; nothing was duplicated from the restarted body
+    expect(concat(delivered)).toEqual(plaintext.slice(0, CHUNK_SIZE));
+    expect(requests.filter(r => r.path === '/api/file/f1')).toHaveLength(2);
+  });
+});
+
+describe('DropgateClient sealed bundle downloads', () => {
+  const CHUNK_SIZE = 16;
+  // Both members are a single chunk, so their chunks share index 0 and the final flag
+  const contents = [new Uint8Array(16).fill(1), new Uint8Array(16).fill(2)];
+
+  async function sealedBundle(serveFile: (fileId: string, stored: Record<string, Uint8Array>) => Uint8Array) {
+    const key = await generateAesGcmKey(crypto);
+    const keyB64 = await exportKeyBase64(crypto, key);
+    const stored: Record<string, Uint8Array> = {
+      f0: await encryptStoredFile(contents[0], key, CHUNK_SIZE, 0),
+      f1: await encryptStoredFile(contents[1], key, CHUNK_SIZE, 1),
+    };
+    const manifest = new TextEncoder().encode(JSON.stringify({
+      files: [{ fileId: 'f0', name: 'a.bin', sizeBytes: 16 }, { fileId: 'f1', name: 'b.bin', sizeBytes: 16 }],
+    }));
+    const encryptedManifest = bytesToBase64(new Uint8Array(await (await encryptToBlob(crypto, manifest.buffer, key)).arrayBuffer()));
+
+    const { fetchFn } = createFakeServer({
+      'GET /api/bundle/b1/meta': () => Response.json({ isEncrypted: true, sealed: true, encryptedManifest }),
+      'GET /api/file/f0/meta': () => Response.json({ isEncrypted: true, sizeBytes: 44, chunkSize: CHUNK_SIZE, e2eeFormatVersion: 3 }),
+      'GET /api/file/f1/meta': () => Response.json({ isEncrypted: true, sizeBytes: 44, chunkSize: CHUNK_SIZE, e2eeFormatVersion: 3 }),
+      'GET /api/file/f0': () => new Response(serveFile('f0', stored)),
+      'GET /api/file/f1': () => new Response(serveFile('f1', stored)),
+      'POST /api/bundle/b1/downloaded': () => Response.json({ success: true }),
+    });
+    return { fetchFn, keyB64 };
+  }
+
+  it('decrypts each member with its manifest position', async () => {
+    const { fetchFn, keyB64 } = await sealedBundle((fileId, stored) => stored[fileId]);
+    const received: Record<number, Uint8Array[]> = { 0: [], 1: [] };
+    let current = -1;
+
+    const result = await createClient(fetchFn).downloadFiles({
+      bundleId: 'b1',
+      keyB64,
+      onFileStart: ({ index }) => { current = index; },
+      onFileData: (chunk) => { received[current].push(chunk); },
+    });
+
+    expect(result.filenames).toEqual(['a.bin', 'b.bin']);
+    expect(concat(received[0])).toEqual(contents[0]);
+    expect(concat(received[1])).toEqual(contents[1]);
+  });
+
+  it('fails when the server swaps the contents of two members', async () => {
+    const swapped: Record<string, string> = { f0: 'f1', f1: 'f0' };
+    const { fetchFn, keyB64 } = await sealedBundle((fileId, stored) => stored[swapped[fileId]]);
+
+    const download = createClient(fetchFn).downloadFiles({ bundleId: 'b1', keyB64, onFileData: () => {} });
+    await expect(download).rejects.toMatchObject({ code: 'DECRYPT_CHUNK_FAILED' });
+  });
+});
+
+describe('DropgateClient upload resume', () => {
+  const CHUNK_SIZE = 16;
+  const content = new Uint8Array(40).map((_, i) => 100 + i);
+
+  it('reports the chunks an unfinished upload already has', async () => {
+    const { fetchFn } = createFakeServer({
+      'GET /upload/status/u1': () => Response.json({
+        uploadId: 'u1', isEncrypted: false, totalSize: 40, totalChunks: 3,
+        chunkSize: CHUNK_SIZE, receivedChunks: [0, 2], expiresAt: 0,
+      }),
+    });
+
+    const status = await createClient(fetchFn).getUploadSessionStatus('u1');
+    expect(status).toMatchObject({ uploadId: 'u1', receivedChunks: [0, 2] });
+  });
+
+  it('only uploads the chunks the server is missing', async () => {
+    const { fetchFn, requests } = createFakeServer({
+      'GET /upload/status/u1': () => Response.json({
+        uploadId: 'u1', isEncrypted: false, totalSize: 40, totalChunks: 3,
+        chunkSize: CHUNK_SIZE, receivedChunks: [0, 2], expiresAt: Date.now() + 60000,
+      }),
+      'POST /upload/chunk': () => new Response('Chunk received.'),
+      'POST /upload/complete': () => Response.json({ id: 'file-1' }),
+    });
+
+    const session = await createClient(fetchFn).resumeUpload({
+      files: memoryFile('data.bin', content),
+      state: { baseUrl: BASE_URL, uploadId: 'u1' },
+    });
+    const result = await session.result;
+
+    expect(result.fileId).toBe('file-1');
+    const chunks = requests.filter(r => r.path === '/upload/chunk');
+    expect(chunks.map(r => r.headers.get('X-Chunk-Index'))).toEqual(['1']);
+    expect(await bodyBytes(chunks[0].body)).toEqual(content.slice(CHUNK_SIZE, 2 * CHUNK_SIZE));
+    expect(requests.find(r => r.path === '/upload/complete')?.body).toEqual({ uploadId: 'u1' });
+  });
+
+  it('fails without uploading when the session has expired', async () => {
+    const { fetchFn, requests } = createFakeServer({
+      'GET /upload/status/u1': () => Response.json(
+        { error: 'Upload session not found or already expired.', code: 'SESSION_EXPIRED' },
+        { status: 404 },
+      ),
+    });
+    const client = createClient(fetchFn);
+
+    await expect(client.getUploadSessionStatus('u1')).rejects.toBeInstanceOf(DropgateSessionExpiredError);
+
+    const session = await client.resumeUpload({
+      files: memoryFile('data.bin', content),
+      state: { baseUrl: BASE_URL, uploadId: 'u1' },
+    });
+    await expect(session.result).rejects.toBeInstanceOf(DropgateSessionExpiredError);
+    expect(session.getStatus()).toBe('error');
+    expect(requests.some(r => r.path === '/upload/chunk' || r.path === '/upload/complete')).toBe(false);
+  });
+});
+
+describe('DropgateClient concurrent uploads', () => {
+  const CHUNK_SIZE = 16;
+  const content = new Uint8Array(6 * CHUNK_SIZE).map((_, i) => i);
+  const uploadCaps = (chunkConcurrency?: number): Partial<ServerInfo> => ({
+    capabilities: {
+      upload: {
+        enabled: true, chunkSize: CHUNK_SIZE, maxSizeMB: 100, maxLifetimeHours: 24,
+        ...(chunkConcurrency !== undefined ? { chunkConcurrency } : {}),
+      },
+    },
+  });
+  const uploadRoutes = (gate: ReturnType<typeof createChunkGate>): Record<string, Route> => ({
+    'POST /upload/init': () => Response.json({ uploadId: 'u1' }),
+    'POST /upload/init-bundle': () => Response.json({ bundleUploadId: 'b1', fileUploadIds: ['u1', 'u2'] }),
+    'POST /upload/chunk': gate.route,
+    'POST /upload/complete': () => Response.json({ id: 'file-1' }),
+    'POST /upload/cancel': () => Response.json({ success: true }),
+  });
+  const upload = (client: DropgateClient, files: FileSource | FileSource[], opts: Partial<UploadFilesOptions> = {}) =>
+    client.uploadFiles({ files, lifetimeMs: 60000, encrypt: false, retry: { retries: 0 }, ...opts });
+
+  /** Let held chunks through one at a time until the upload ends. */
+  async function drain(gate: ReturnType<typeof createChunkGate>, result: Promise<unknown>, release: () => void) {
+    let done = false;
+    void result.then(() => { done = true; }, () => { done = true; });
+    while (!done) {
+      await new Promise((resolve) => setTimeout(resolve, 2));
+      release();
+    }
+  }
+
+  async function maxChunksInFlight(chunkConcurrency: number | undefined, concurrency: number | undefined): Promise<number> {
+    const gate = createChunkGate();
+    const { fetchFn } = createFakeServer(uploadRoutes(gate), uploadCaps(chunkConcurrency));
+    const session = await upload(createClient(fetchFn), memoryFile('data.bin', content), { concurrency });
+    await drain(gate, session.result, gate.releaseFirst);
+    expect((await session.result).fileId).toBe('file-1');
+    return gate.maxInFlight();
+  }
+
+  it('sends one chunk at a time unless asked for more, up to the server limit', async () => {
+    expect(await maxChunksInFlight(4, undefined)).toBe(1);
+    expect(await maxChunksInFlight(4, 2)).toBe(2);
+    expect(await maxChunksInFlight(4, 10)).toBe(4);
+    // Servers that don't report a limit accept one chunk at a time
+    expect(await maxChunksInFlight(undefined, 3)).toBe(1);
+  });
+
+  it('reports progress in chunk order when chunks finish out of order', async () => {
+    const gate = createChunkGate();
+    const { fetchFn, requests } = createFakeServer(uploadRoutes(gate), uploadCaps(3));
+    const chunkEvents: UploadProgressEvent[] = [];
+    const session = await upload(createClient(fetchFn), memoryFile('data.bin', content), {
+      concurrency: 3,
+      onProgress: (evt) => { if (evt.phase === 'chunk') chunkEvents.push(evt); },
+    });
+
+    // The newest chunk in flight always finishes first
+    await drain(gate, session.result, gate.releaseLast);
+    expect((await session.result).fileId).toBe('file-1');
+    expect(gate.finished).not.toEqual([...gate.finished].sort());
+
+    const uploaded = await Promise.all(requests.filter(r => r.path === '/upload/chunk').map(async (r) => (
+      [Number(r.headers.get('X-Chunk-Index')), await bodyBytes(r.body)] as const
+    )));
+    expect(concat(uploaded.sort(([a], [b]) => a - b).map(([, bytes]) => bytes))).toEqual(content);
+
+    const indexes = chunkEvents.map(e => e.chunkIndex!);
+    expect(indexes[0]).toBe(0);
+    expect(new Set(indexes).size).toBe(indexes.length);
+    expect(indexes).toEqual([...indexes].sort((a, b) => a - b));
+    const processed = chunkEvents.map(e => e.processedBytes);
+    expect(processed).toEqual(indexes.map(i => i * CHUNK_SIZE));
+  });
+
+  it('lets chunks in flight settle before failing, and starts no more', async () => {
+    const gate = createChunkGate((req) => (req.headers.get('X-Chunk-Index') === '1'
+      ? Response.json({ error: 'Chunk rejected.', code: 'INTEGRITY_ERROR' }, { status: 400 })
+      : new Response('Chunk received.')));
+    const routes = uploadRoutes(gate);
+    let chunksInFlightAtCancel = -1;
+    const { fetchFn, requests } = createFakeServer({
+      ...routes,
+      'POST /upload/cancel': (req) => {
+        chunksInFlightAtCancel = gate.inFlight();
+        return routes['POST /upload/cancel'](req);
+      },
+    }, uploadCaps(3));
+    const session = await upload(createClient(fetchFn), memoryFile('data.bin', content), { concurrency: 3 });
+    // Callers typically clean up as soon as the upload fails
+    let settled = false;
+    let statusOnFailure = '';
+    const failure = session.result.catch((err: unknown) => {
+      settled = true;
+      statusOnFailure = session.getStatus();
+      session.cancel();
+      return err;
+    });
+
+    // Chunk 1 fails while chunks 0 and 2 are still in flight
+    await until(() => gate.held().length === 3);
+    gate.release('u1:1');
+    await until(() => gate.finished.includes('u1:1'));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(settled).toBe(false);
+    expect(gate.held()).toEqual(['u1:0', 'u1:2']);
+
+    gate.releaseAll();
+    expect(await failure).toMatchObject({ message: 'Chunk rejected.' });
+    expect(statusOnFailure).toBe('error');
+    expect(requests.filter(r => r.path === '/upload/chunk').map(r => r.headers.get('X-Chunk-Index'))).toEqual(['0', '1', '2']);
+    expect(requests.some(r => r.path === '/upload/complete')).toBe(false);
+    await until(() => chunksInFlightAtCancel !== -1);
+    expect(chunksInFlightAtCancel).toBe(0);
+  });
+
+  it('stops every file of a bundle once a chunk fails', async () => {
+    let failedOne = false;
+    const gate = createChunkGate(() => {
+      if (failedOne) return new Response('Chunk received.');
+      failedOne = true;
+      return Response.json({ error: 'Chunk rejected.', code: 'INTEGRITY_ERROR' }, { status: 400 });
+    });
+    const { fetchFn, requests } = createFakeServer(uploadRoutes(gate), uploadCaps(2));
+    const session = await upload(createClient(fetchFn), [memoryFile('a.bin', content), memoryFile('b.bin', content)], {
+      concurrency: 2,
+    });
+
+    await until(() => gate.held().length === 2);
+    gate.releaseFirst();
+    await until(() => gate.finished.length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    // The other chunk in flight finishes, but neither file starts another
+    expect(gate.held()).toHaveLength(1);
+    gate.releaseAll();
+
+    await expect(session.result).rejects.toThrow('Chunk rejected.');
+    expect(requests.filter(r => r.path === '/upload/chunk')).toHaveLength(2);
+    expect(requests.some(r => r.path === '/upload/complete' || r.path === '/upload/complete-bundle')).toBe(false);
+  });
+});
+
+describe('DropgateClient upload retries', () => {
+  it('retries requests that could not reach the server, whatever the runtime calls the failure', async () => {
+    let initCalls = 0;
+    const { fetchFn } = createFakeServer({
+      'POST /upload/init': () => {
+        if (++initCalls === 1) throw new TypeError('socket hang up');
+        return Response.json({ uploadId: 'u1' });
+      },
+      'POST /upload/chunk': () => new Response('Chunk received.'),
+      'POST /upload/complete': () => Response.json({ id: 'file-1' }),
+    }, { capabilities: { upload: { enabled: true, chunkSize: 16, maxSizeMB: 100, maxLifetimeHours: 24 } } });
+
+    const session = await createClient(fetchFn).uploadFiles({
+      files: memoryFile('data.bin', new Uint8Array(20)), lifetimeMs: 60000, encrypt: false, retry: { backoffMs: 0 },
+    });
+    expect((await session.result).fileId).toBe('file-1');
+    expect(initCalls).toBe(2);
+  });
+});
+
+describe('DropgateClient upload management', () => {
+  const TOKEN = 'owner-token';
+  const MAX_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+  // A bundle on a server with a 24 hour lifetime limit, managed as /api/bundle/b1/manage
+  function createManagedBundle() {
+    let record: { expiresAt: number | null; maxDownloads: number; downloadCount: number } | null = {
+      expiresAt: 1000 + MAX_LIFETIME_MS, maxDownloads: 1, downloadCount: 0,
+    };
+    const status = () => ({ bundleId: 'b1', sealed: true, isEncrypted: true, uploadedAt: 1000, ...record });
+    const authorised = (req: FakeRequest): Response | null => {
+      if (!record) return Response.json({ error: 'Bundle not found.', code: 'NOT_FOUND' }, { status: 404 });
+      if (req.headers.get('X-Manage-Token') !== TOKEN) {
+        return Response.json({ error: 'Invalid management token.', code: 'FORBIDDEN' }, { status: 403 });
+      }
+      return null;
+    };
+
+    return createFakeServer({
+      'GET /api/bundle/b1/manage': (req) => authorised(req) ?? Response.json({ ...status(), fileCount: 2 }),
+      'PATCH /api/bundle/b1/manage': (req) => {
+        const denied = authorised(req);
+        if (denied) return denied;
+        const { lifetimeMs } = req.body as { lifetimeMs?: number };
+        if (lifetimeMs !== undefined && (lifetimeMs === 0 || lifetimeMs > MAX_LIFETIME_MS)) {
+          return Response.json({ error: 'Lifetime exceeds the 24 hour limit.', code: 'LIFETIME_NOT_ALLOWED' }, { status: 400 });
+        }
+        if (lifetimeMs !== undefined) record!.expiresAt = 1000 + lifetimeMs;
+        return Response.json(status());
+      },
+      'DELETE /api/bundle/b1/manage': (req) => {
+        const denied = authorised(req);
+        if (denied) return denied;
+        record = null;
+        return Response.json({ success: true });
+      },
+    });
+  }
+
+  it('rejects a wrong management token', async () => {
+    const { fetchFn } = createManagedBundle();
+    const client = createClient(fetchFn);
+
+    const err = await client.getUploadStatus({ bundleId: 'b1', manageToken: 'not-the-token' }).catch(e => e);
+    expect(err).toBeInstanceOf(DropgateProtocolError);
+    expect(err).toMatchObject({ code: 'FORBIDDEN', message: 'Invalid management token.' });
+
+    await expect(client.deleteUpload({ bundleId: 'b1', manageToken: 'not-the-token' })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    expect(await client.getUploadStatus({ bundleId: 'b1', manageToken: TOKEN })).toMatchObject({ fileCount: 2 });
+  });
+
+  it('rejects a lifetime above the server maximum and keeps the old expiry', async () => {
+    const { fetchFn, requests } = createManagedBundle();
+    const client = createClient(fetchFn);
+
+    const update = client.updateUpload({ bundleId: 'b1', manageToken: TOKEN, lifetimeMs: MAX_LIFETIME_MS + 1 });
+    await expect(update).rejects.toBeInstanceOf(DropgateLimitError);
+    expect(requests.at(-1)).toMatchObject({ method: 'PATCH', body: { lifetimeMs: MAX_LIFETIME_MS + 1 } });
+
+    const status = await client.updateUpload({ bundleId: 'b1', manageToken: TOKEN, lifetimeMs: 60000 });
+    expect(status.expiresAt).toBe(61000);
+  });
+
+  it('deletes an upload, after which it is gone', async () => {
+    const { fetchFn, requests } = createManagedBundle();
+    const client = createClient(fetchFn);
+
+    await expect(client.deleteUpload({ bundleId: 'b1', manageToken: TOKEN })).resolves.toBeUndefined();
+    expect(requests.at(-1)?.headers.get('X-Manage-Token')).toBe(TOKEN);
+    await expect(client.getUploadStatus({ bundleId: 'b1', manageToken: TOKEN })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('validates its arguments before sending anything', async () => {
+    const { fetchFn, requests } = createManagedBundle();
+    const client = createClient(fetchFn);
+
+    await expect(client.getUploadStatus({ fileId: 'f1', bundleId: 'b1', manageToken: TOKEN })).rejects.toThrow('Provide either fileId or bundleId.');
+    await expect(client.deleteUpload({ bundleId: 'b1', manageToken: '' })).rejects.toThrow('Management token is required.');
+    await expect(client.updateUpload({ bundleId: 'b1', manageToken: TOKEN })).rejects.toThrow('Nothing to update.');
+    expect(requests).toHaveLength(0);
+  });
+});
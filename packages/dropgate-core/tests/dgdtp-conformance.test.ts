@@ -0,0 +1,876 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  createLoopbackTransport,
+  startP2PReceive,
+  startP2PSend,
+  P2P_CHUNK_SIZE,
+  P2P_PROTOCOL_VERSION,
+} from '../src/p2p/index.js';
+import type {
+  DataConnection,
+  LoopbackMessage,
+  LoopbackTransport,
+  P2PCancellationEvent,
+  P2PFileEndEvent,
+  P2PReceiveCompleteEvent,
+  P2PReceiveOptions,
+  P2PReceiverEndEvent,
+  P2PSendOptions,
+  P2PVerificationEvent,
+} from '../src/p2p/index.js';
+import type { FileSource } from '../src/types.js';
+
+// Runs the reference sender and receiver against each other over the loopback transport.
+// A DGDTP client under test can take the place of either end.
+
+type Outcome =
+  | { type: 'complete'; event?: P2PReceiveCompleteEvent }
+  | { type: 'error'; error: Error }
+  | { type: 'cancel'; event: P2PCancellationEvent };
+
+interface MemoryFile extends FileSource {
+  bytes: Uint8Array;
+}
+
+function memoryFile(name: string, size: number): MemoryFile {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) bytes[i] = (i * 31 + size) & 0xff;
+
+  const source = (data: Uint8Array): FileSource => ({
+    name,
+    size: data.byteLength,
+    type: 'application/octet-stream',
+    slice: (start, end) => source(data.subarray(start, end)),
+    arrayBuffer: async () => data.slice().buffer,
+  });
+  return { ...source(bytes), bytes };
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.byteLength;
+  }
+  return out;
+}
+
+function isMessage(data: unknown, type: string): boolean {
+  return typeof data === 'object' && data !== null && (data as { t?: unknown }).t === type;
+}
+
+/** Compare bytes without a deep-equality walk, which crawls over large arrays. */
+function expectSameBytes(actual: Uint8Array, expected: Uint8Array): void {
+  expect(actual.byteLength).toBe(expected.byteLength);
+  expect(actual.findIndex((byte, i) => byte !== expected[i])).toBe(-1);
+}
+
+/** Drop the first `count` messages of a type, or all of them. */
+function dropMessages(type: string, count = Infinity): (message: LoopbackMessage) => boolean {
+  let dropped = 0;
+  return ({ data }) => {
+    if (!isMessage(data, type) || dropped >= count) return true;
+    dropped++;
+    return false;
+  };
+}
+
+let nextCode = 1000;
+
+/**
+ * Start a receiver for a code, collecting what it reports and the bytes of each file.
+ */
+async function startReceiver(
+  transport: LoopbackTransport,
+  code: string,
+  fileCount: number,
+  receiveOpts: Partial<P2PReceiveOptions> = {}
+) {
+  const fileParts = Array.from({ length: fileCount }, (): Uint8Array[] => []);
+  const fileStarts: number[] = [];
+  const fileEnds: P2PFileEndEvent[] = [];
+  let verification: P2PVerificationEvent | undefined;
+  let receivedBytes = 0;
+
+  let resolveOutcome!: (outcome: Outcome) => void;
+  const outcome = new Promise<Outcome>((resolve) => { resolveOutcome = resolve; });
+
+  const session = await startP2PReceive({
+    code,
+    transport,
+    onFileStart: ({ fileIndex }) => { fileStarts.push(fileIndex); },
+    onFileEnd: (event) => { fileEnds.push(event); },
+    onData: (chunk) => {
+      fileParts[fileStarts.at(-1) ?? 0].push(chunk.slice());
+      receivedBytes += chunk.byteLength;
+    },
+    onComplete: (event) => resolveOutcome({ type: 'complete', event }),
+    onError: (error) => resolveOutcome({ type: 'error', error }),
+    onCancel: (event) => resolveOutcome({ type: 'cancel', event }),
+    onVerificationCode: (event) => { verification = event; },
+    ...receiveOpts,
+  });
+
+  return {
+    session,
+    outcome,
+    fileStarts,
+    fileEnds,
+    verification: () => verification,
+    receivedBytes: () => receivedBytes,
+    received: (fileIndex = 0) => concat(fileParts[fileIndex]),
+  };
+}
+
+/**
+ * Start a sender and a receiver for the same code, collecting what each end reports.
+ */
+async function startTransfer(
+  transport: LoopbackTransport,
+  files: MemoryFile[],
+  sendOpts: Partial<P2PSendOptions> = {},
+  receiveOpts: Partial<P2PReceiveOptions> = {}
+) {
+  const code = `TEST-${nextCode++}`;
+  const verification: { sender?: P2PVerificationEvent; receiver?: P2PVerificationEvent } = {};
+
+  let resolveSender!: (outcome: Outcome) => void;
+  const sender = new Promise<Outcome>((resolve) => { resolveSender = resolve; });
+
+  const senderSession = await startP2PSend({
+    file: files.length === 1 ? files[0] : files,
+    transport,
+    codeGenerator: () => code,
+    onComplete: () => resolveSender({ type: 'complete' }),
+    onError: (error) => resolveSender({ type: 'error', error }),
+    onCancel: (event) => resolveSender({ type: 'cancel', event }),
+    onVerificationCode: (event) => { verification.sender = event; },
+    ...sendOpts,
+  });
+
+  const receiver = await startReceiver(transport, code, files.length, {
+    onVerificationCode: (event) => { verification.receiver = event; },
+    ...receiveOpts,
+  });
+
+  return {
+    code,
+    senderSession,
+    receiverSession: receiver.session,
+    sender,
+    receiver: receiver.outcome,
+    verification,
+    fileStarts: receiver.fileStarts,
+    fileEnds: receiver.fileEnds,
+    receivedBytes: receiver.receivedBytes,
+    received: receiver.received,
+  };
+}
+
+/**
+ * Start a broadcast sender. Receivers join with `join`, and `ends` collects how each one's transfer ended.
+ */
+async function startBroadcast(
+  transport: LoopbackTransport,
+  files: MemoryFile[],
+  maxReceivers: number,
+  sendOpts: Partial<P2PSendOptions> = {}
+) {
+  const code = `TEST-${nextCode++}`;
+  const ends: P2PReceiverEndEvent[] = [];
+
+  let resolveSender!: (outcome: Outcome) => void;
+  const sender = new Promise<Outcome>((resolve) => { resolveSender = resolve; });
+
+  const session = await startP2PSend({
+    file: files.length === 1 ? files[0] : files,
+    transport,
+    maxReceivers,
+    codeGenerator: () => code,
+    onComplete: () => resolveSender({ type: 'complete' }),
+    onError: (error) => resolveSender({ type: 'error', error }),
+    onCancel: (event) => resolveSender({ type: 'cancel', event }),
+    onReceiverEnd: (event) => { ends.push(event); },
+    ...sendOpts,
+  });
+
+  return {
+    code,
+    session,
+    sender,
+    ends,
+    join: (receiveOpts: Partial<P2PReceiveOptions> = {}) => startReceiver(transport, code, files.length, receiveOpts),
+  };
+}
+
+/** Resolve once `check` passes, polling every few milliseconds. */
+async function until(check: () => boolean, timeoutMs = 5000): Promise<void> {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition.');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Just enough of RTCPeerConnection for an ICE restart: offer/answer signalling states and
+ * an ICE connection state the test can flip.
+ */
+class FakePeerConnection extends EventTarget {
+  iceConnectionState: RTCIceConnectionState = 'connected';
+  iceGatheringState: RTCIceGatheringState = 'complete';
+  signalingState: RTCSignalingState = 'stable';
+  localDescription: RTCSessionDescriptionInit | null = null;
+  remoteDescription: RTCSessionDescriptionInit | null = null;
+  readonly offerOptions: RTCOfferOptions[] = [];
+
+  async createOffer(options: RTCOfferOptions = {}): Promise<RTCSessionDescriptionInit> {
+    this.offerOptions.push(options);
+    return { type: 'offer', sdp: `offer ${this.offerOptions.length}` };
+  }
+
+  async createAnswer(): Promise<RTCSessionDescriptionInit> {
+    return { type: 'answer', sdp: `answer to ${this.remoteDescription?.sdp}` };
+  }
+
+  async setLocalDescription(description: RTCSessionDescriptionInit): Promise<void> {
+    this.localDescription = description;
+    this.setSignalingState(description.type === 'offer' ? 'have-local-offer' : 'stable');
+  }
+
+  async setRemoteDescription(description: RTCSessionDescriptionInit): Promise<void> {
+    this.remoteDescription = description;
+    this.setSignalingState(description.type === 'offer' ? 'have-remote-offer' : 'stable');
+  }
+
+  setIceConnectionState(state: RTCIceConnectionState): void {
+    this.iceConnectionState = state;
+    this.dispatchEvent(new Event('iceconnectionstatechange'));
+  }
+
+  private setSignalingState(state: RTCSignalingState): void {
+    this.signalingState = state;
+    this.dispatchEvent(new Event('signalingstatechange'));
+  }
+}
+
+interface IceLink {
+  /** Peer connection of each end, by peer ID. */
+  ends: Map<string, FakePeerConnection>;
+  /** Sends held back while ICE is down, delivered in order once it recovers. */
+  held: Array<() => void>;
+  down: boolean;
+}
+
+interface SignallingMessage {
+  from: string;
+  to: string;
+  description: RTCSessionDescriptionInit;
+}
+
+/**
+ * Give loopback connections a fake RTCPeerConnection and their peers a signalling socket,
+ * so the sender's ICE restart runs. Dropping ICE stalls every link until an answer to the
+ * restart offer reaches the side that made it.
+ */
+function withFakeIce(base: LoopbackTransport) {
+  const links = new Map<string, IceLink>();
+  const signalling: SignallingMessage[] = [];
+  let deliverSignalling = true;
+
+  const restore = (link: IceLink): void => {
+    link.down = false;
+    for (const send of link.held.splice(0)) send();
+    for (const pc of link.ends.values()) pc.setIceConnectionState('connected');
+  };
+
+  const attach = (peerId: string, conn: DataConnection): void => {
+    const link = links.get(conn.connectionId) ?? { ends: new Map(), held: [], down: false };
+    links.set(conn.connectionId, link);
+    const pc = new FakePeerConnection();
+    link.ends.set(peerId, pc);
+    conn.peerConnection = pc as unknown as RTCPeerConnection;
+
+    const send = conn.send.bind(conn);
+    conn.send = (data) => {
+      if (link.down) link.held.push(() => send(data));
+      else send(data);
+    };
+  };
+
+  const transport: LoopbackTransport = {
+    ...base,
+    createPeer: (id, options) => {
+      const peer = base.createPeer(id, options);
+      const peerId = (peer as unknown as { id: string }).id;
+      // Registered before the session's own listener, so the connection is ready when it looks
+      peer.on('connection', (conn) => attach(peerId, conn));
+      const connect = peer.connect.bind(peer);
+      peer.connect = (remoteId, connectOptions) => {
+        const conn = connect(remoteId, connectOptions);
+        attach(peerId, conn);
+        return conn;
+      };
+      peer.socket = {
+        send: (message) => {
+          const { type, payload, dst } = message as {
+            type: string;
+            payload: { sdp: RTCSessionDescriptionInit; connectionId: string };
+            dst: string;
+          };
+          expect(type).toBe('ANSWER');
+          signalling.push({ from: peerId, to: dst, description: payload.sdp });
+          const link = links.get(payload.connectionId);
+          const target = link?.ends.get(dst);
+          if (!link || !target || !deliverSignalling) return;
+
+          // Like PeerJS, apply whatever description an ANSWER message carries, offers included
+          setTimeout(async () => {
+            await target.setRemoteDescription(payload.sdp);
+            if (payload.sdp.type === 'answer') restore(link);
+          }, 0);
+        },
+      };
+      return peer;
+    },
+  };
+
+  return {
+    transport,
+    signalling,
+    /** Every connection made so far, one per connection ID. */
+    links,
+    /** Lose connectivity on every link without closing the data channels. */
+    dropIce(): void {
+      for (const link of links.values()) {
+        link.down = true;
+        for (const pc of link.ends.values()) pc.setIceConnectionState('disconnected');
+      }
+    },
+    /** Stop delivering signalling messages, so restarts go unanswered. */
+    blockSignalling(): void {
+      deliverSignalling = false;
+    },
+  };
+}
+
+/**
+ * Keep every direct connection from opening, as when WebRTC can't get through NAT.
+ */
+function withoutDirectConnections(base: LoopbackTransport): LoopbackTransport {
+  const neverOpen = (conn: DataConnection): void => {
+    (conn as unknown as { markOpen(): void }).markOpen = () => {};
+  };
+
+  return {
+    ...base,
+    createPeer: (id, options) => {
+      const peer = base.createPeer(id, options);
+      peer.on('connection', neverOpen);
+      const connect = peer.connect.bind(peer);
+      peer.connect = (remoteId, connectOptions) => {
+        const conn = connect(remoteId, connectOptions);
+        neverOpen(conn);
+        return conn;
+      };
+      return peer;
+    },
+  };
+}
+
+/**
+ * In-memory stand-in for the server's WebSocket relay, to install as the global WebSocket.
+ * Senders listen on a code, receivers connect to it, and the sender accepts the relay ID
+ * it is sent. Binary frames are then passed between the two sockets.
+ */
+function createFakeRelay() {
+  const listeners = new Map<string, FakeRelaySocket>();
+  const pending = new Map<string, FakeRelaySocket>();
+  const closeCodes: number[] = [];
+  let nextId = 0;
+  let relayedBytes = 0;
+
+  class FakeRelaySocket {
+    readyState = 0;
+    binaryType = 'blob';
+    bufferedAmount = 0;
+    onmessage: ((event: { data: unknown }) => void) | null = null;
+    onclose: ((event: { code: number }) => void) | null = null;
+    onerror: (() => void) | null = null;
+    private other: FakeRelaySocket | null = null;
+
+    constructor(private readonly url: string) {
+      setTimeout(() => this.handshake(), 0);
+    }
+
+    private handshake(): void {
+      if (this.readyState !== 0) return;
+      this.readyState = 1;
+      const params = new URL(this.url).searchParams;
+      const listen = params.get('listen');
+      const connect = params.get('connect');
+      const accept = params.get('accept');
+
+      if (listen !== null) {
+        if (!params.get('token')) {
+          this.close(4403);
+          return;
+        }
+        listeners.set(listen, this);
+      } else if (connect !== null) {
+        const listener = listeners.get(connect);
+        if (!listener) {
+          this.close(4404);
+          return;
+        }
+        const id = `relay-${++nextId}`;
+        pending.set(id, this);
+        listener.notify({ type: 'connection', id });
+      } else {
+        const receiver = accept !== null ? pending.get(accept) : undefined;
+        if (!receiver || accept === null) {
+          this.close(4404);
+          return;
+        }
+        pending.delete(accept);
+        this.other = receiver;
+        receiver.other = this;
+        receiver.notify({ type: 'open' });
+        this.notify({ type: 'open' });
+      }
+    }
+
+    notify(notice: object): void {
+      this.deliver(JSON.stringify(notice));
+    }
+
+    private deliver(data: unknown): void {
+      setTimeout(() => {
+        if (this.readyState === 1) this.onmessage?.({ data });
+      }, 0);
+    }
+
+    send(data: Uint8Array): void {
+      relayedBytes += data.byteLength;
+      this.other?.deliver(data.slice().buffer);
+    }
+
+    close(code = 1000): void {
+      if (this.readyState > 1) return;
+      this.readyState = 3;
+      closeCodes.push(code);
+      for (const [listenCode, listener] of listeners) {
+        if (listener === this) listeners.delete(listenCode);
+      }
+      setTimeout(() => this.onclose?.({ code }), 0);
+      this.other?.close(code);
+    }
+  }
+
+  return {
+    WebSocket: FakeRelaySocket,
+    closeCodes,
+    relayedBytes: () => relayedBytes,
+  };
+}
+
+describe('DGDTP conformance', () => {
+  describe('handshake', () => {
+    it('completes a transfer and agrees on a verification code', async () => {
+      const file = memoryFile('report.pdf', 200_000);
+      const run = await startTransfer(createLoopbackTransport(), [file]);
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toEqual({
+        type: 'complete',
+        event: { received: file.size, total: file.size, verified: true },
+      });
+      expectSameBytes(run.received(), file.bytes);
+      expect(run.verification.sender?.words).toBeTruthy();
+      expect(run.verification.receiver).toEqual(run.verification.sender);
+    });
+
+    it('opens with a hello and turns away other protocol versions', async () => {
+      const transport = createLoopbackTransport();
+      const code = `TEST-${nextCode++}`;
+      let senderError: Error | undefined;
+      await startP2PSend({
+        file: memoryFile('a.bin', 1000),
+        transport,
+        codeGenerator: () => code,
+        onError: (err) => { senderError = err; },
+      });
+
+      // A hand-rolled client speaking an older version
+      const probe = transport.createPeer(undefined, {});
+      await new Promise((resolve) => probe.on('open', resolve));
+      const conn = probe.connect(code, { reliable: true });
+      const messages: unknown[] = [];
+      conn.on('data', (data) => messages.push(data));
+      conn.on('open', () => conn.send({ t: 'hello', protocolVersion: P2P_PROTOCOL_VERSION - 1, sessionId: '' }));
+      await until(() => senderError !== undefined && messages.length > 0);
+
+      expect(messages[0]).toMatchObject({ t: 'hello', protocolVersion: P2P_PROTOCOL_VERSION });
+      expect(senderError?.message).toMatch(/version mismatch/i);
+      probe.destroy();
+    });
+  });
+
+  describe('multi-file', () => {
+    it('sends every file in order, each checked on its own', async () => {
+      const files = [memoryFile('a.bin', 70_000), memoryFile('b.txt', 1), memoryFile('c.bin', 130_000)];
+      const run = await startTransfer(createLoopbackTransport(), files);
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toMatchObject({ type: 'complete', event: { verified: true } });
+      expect(run.fileStarts).toEqual([0, 1, 2]);
+      expect(run.fileEnds.map(({ fileIndex, verified }) => ({ fileIndex, verified }))).toEqual(
+        [0, 1, 2].map((fileIndex) => ({ fileIndex, verified: true }))
+      );
+      files.forEach((file, i) => expectSameBytes(run.received(i), file.bytes));
+    });
+
+    it('sends only the files the receiver selects', async () => {
+      const files = [memoryFile('a.bin', 50_000), memoryFile('b.bin', 60_000), memoryFile('c.bin', 70_000)];
+      const run = await startTransfer(createLoopbackTransport(), files, {}, {
+        autoReady: false,
+        onMeta: ({ sendReady }) => sendReady?.([0, 2]),
+      });
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toMatchObject({ type: 'complete', event: { verified: true } });
+      expect(run.fileStarts).toEqual([0, 2]);
+      expectSameBytes(run.received(0), files[0].bytes);
+      expect(run.received(1)).toHaveLength(0);
+      expectSameBytes(run.received(2), files[2].bytes);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('tells the sender when the receiver cancels', async () => {
+      const transport = createLoopbackTransport({ bandwidthBytesPerMs: 1000 });
+      const run = await startTransfer(transport, [memoryFile('big.bin', 1_000_000)]);
+
+      await until(() => run.receivedBytes() > 0);
+      run.receiverSession.stop();
+
+      expect(await run.sender).toMatchObject({ type: 'cancel', event: { cancelledBy: 'receiver' } });
+      expect(run.senderSession.getStatus()).toBe('cancelled');
+    });
+
+    it('tells the receiver when the sender cancels', async () => {
+      const transport = createLoopbackTransport({ bandwidthBytesPerMs: 1000 });
+      const run = await startTransfer(transport, [memoryFile('big.bin', 1_000_000)]);
+
+      await until(() => run.receivedBytes() > 0);
+      run.senderSession.stop();
+
+      expect(await run.receiver).toMatchObject({ type: 'cancel', event: { cancelledBy: 'sender' } });
+    });
+  });
+
+  describe('watchdog', () => {
+    it('fails the receiver when file data stops arriving', async () => {
+      let chunksSent = 0;
+      const transport = createLoopbackTransport({
+        // After three chunks, nothing more gets through from the sender
+        filter: ({ from, data }) => {
+          if (!from.startsWith('TEST-')) return true;
+          if (data instanceof Uint8Array) chunksSent++;
+          return chunksSent <= 3;
+        },
+      });
+      const run = await startTransfer(transport, [memoryFile('big.bin', 1_000_000)], { resumeTimeoutMs: 0 }, {
+        watchdogTimeoutMs: 200,
+        resumeTimeoutMs: 0,
+      });
+
+      const outcome = await run.receiver;
+      expect(outcome.type === 'error' && outcome.error.message).toMatch(/no data received/i);
+      expect(run.receivedBytes()).toBe(3 * P2P_CHUNK_SIZE);
+      expect((await run.sender).type).toBe('error');
+    });
+
+    it('resumes where it left off after the connection drops', async () => {
+      const transport = createLoopbackTransport({ bandwidthBytesPerMs: 2000 });
+      const file = memoryFile('big.bin', 600_000);
+      const run = await startTransfer(transport, [file]);
+
+      await until(() => run.receivedBytes() > 100_000);
+      transport.disconnect();
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toMatchObject({ type: 'complete', event: { verified: true } });
+      expectSameBytes(run.received(), file.bytes);
+    });
+  });
+
+  describe('end acknowledgement', () => {
+    it('resends end when the first one is lost', async () => {
+      const transport = createLoopbackTransport({ filter: dropMessages('end', 1) });
+      const run = await startTransfer(transport, [memoryFile('a.bin', 100_000)], { endAckTimeoutMs: 100 });
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toMatchObject({ type: 'complete', event: { verified: true } });
+    });
+
+    it('completes from a repeated end_ack when the first one is lost', async () => {
+      const transport = createLoopbackTransport({ filter: dropMessages('end_ack', 1) });
+      const run = await startTransfer(transport, [memoryFile('a.bin', 100_000)], { endAckTimeoutMs: 5000 });
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect((await run.receiver).type).toBe('complete');
+    });
+
+    it('fails the sender when the receiver never confirms', async () => {
+      const transport = createLoopbackTransport({ filter: dropMessages('end_ack') });
+      const run = await startTransfer(transport, [memoryFile('a.bin', 100_000)], { endAckTimeoutMs: 50 });
+
+      expect((await run.receiver).type).toBe('complete');
+      const outcome = await run.sender;
+      expect(outcome.type === 'error' && outcome.error.message).toMatch(/did not confirm completion/i);
+    });
+  });
+
+  describe('network conditions', () => {
+    it('survives latency', async () => {
+      const file = memoryFile('a.bin', 300_000);
+      const run = await startTransfer(createLoopbackTransport({ latencyMs: 15 }), [file]);
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect((await run.receiver).type).toBe('complete');
+      expectSameBytes(run.received(), file.bytes);
+    });
+
+    it('keeps the send buffer under the high-water mark', async () => {
+      const highWaterMark = 256 * 1024;
+      let maxBuffered = 0;
+      const transport = createLoopbackTransport({
+        bandwidthBytesPerMs: 4000,
+        filter: ({ bufferedAmount }) => {
+          maxBuffered = Math.max(maxBuffered, bufferedAmount);
+          return true;
+        },
+      });
+      const file = memoryFile('big.bin', 1_500_000);
+      const run = await startTransfer(transport, [file], {
+        chunkAcknowledgments: false,
+        bufferHighWaterMark: highWaterMark,
+        bufferLowWaterMark: 64 * 1024,
+      });
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expectSameBytes(run.received(), file.bytes);
+      // The sender checks the buffer after each chunk, so it can overshoot by at most one
+      expect(maxBuffered).toBeGreaterThan(64 * 1024);
+      expect(maxBuffered).toBeLessThanOrEqual(highWaterMark + P2P_CHUNK_SIZE + 1024);
+    });
+
+    it('fails cleanly rather than completing when a chunk is lost', async () => {
+      let binaryMessages = 0;
+      const transport = createLoopbackTransport({
+        filter: ({ data }) => !(data instanceof Uint8Array && ++binaryMessages === 2),
+      });
+      const run = await startTransfer(transport, [memoryFile('a.bin', 300_000)], {}, { resumeTimeoutMs: 0 });
+
+      expect((await run.receiver).type).toBe('error');
+      expect((await run.sender).type).toBe('error');
+    });
+
+    it('fails cleanly under random packet loss', async () => {
+      // Seeded, so every run loses the same messages
+      let seed = 7;
+      const random = (): number => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+      };
+      const transport = createLoopbackTransport({ random });
+      const run = await startTransfer(transport, [memoryFile('a.bin', 400_000)], {}, {
+        resumeTimeoutMs: 0,
+        watchdogTimeoutMs: 1000,
+      });
+      await until(() => run.receivedBytes() > 0);
+      transport.setConditions({ packetLoss: 0.2 });
+
+      const receiver = await run.receiver;
+      expect(receiver.type).toBe('error');
+    });
+  });
+
+  describe('broadcast', () => {
+    it('completes each receiver independently', async () => {
+      const file = memoryFile('big.bin', 400_000);
+      const run = await startBroadcast(createLoopbackTransport({ bandwidthBytesPerMs: 2000 }), [file], 2);
+
+      const first = await run.join();
+      await until(() => first.receivedBytes() > 100_000);
+      // Joins mid-way through the first transfer and still gets the whole file
+      const second = await run.join();
+
+      expect(await first.outcome).toMatchObject({ type: 'complete', event: { verified: true } });
+      expect(await second.outcome).toMatchObject({ type: 'complete', event: { verified: true } });
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expectSameBytes(first.received(), file.bytes);
+      expectSameBytes(second.received(), file.bytes);
+
+      // Each receiver agreed its own key with the sender
+      expect(first.verification()?.words).not.toBe(second.verification()?.words);
+      expect(run.ends.map(({ receiverId, outcome }) => [receiverId, outcome]).sort())
+        .toEqual([[1, 'completed'], [2, 'completed']]);
+    });
+
+    it('rejects a receiver past the limit without disturbing the others', async () => {
+      const file = memoryFile('big.bin', 400_000);
+      const run = await startBroadcast(createLoopbackTransport({ bandwidthBytesPerMs: 2000 }), [file], 2, {
+        resumeTimeoutMs: 0,
+      });
+
+      const receivers = [await run.join(), await run.join()];
+      await until(() => receivers.every((receiver) => receiver.receivedBytes() > 0));
+      const late = await run.join({ resumeTimeoutMs: 0 });
+
+      const outcome = await late.outcome;
+      expect(outcome.type === 'error' && outcome.error.message).toMatch(/reached its receiver limit/i);
+      expect(late.receivedBytes()).toBe(0);
+
+      for (const receiver of receivers) {
+        expect((await receiver.outcome).type).toBe('complete');
+        expectSameBytes(receiver.received(), file.bytes);
+      }
+      expect(await run.sender).toEqual({ type: 'complete' });
+      // The rejected receiver never took a slot, so it isn't reported
+      expect(run.ends.map(({ outcome }) => outcome)).toEqual(['completed', 'completed']);
+    });
+
+    it('carries on with the other receivers when one fails', async () => {
+      // Lose the second chunk on the first receiver's connection only
+      let failingConnection: string | undefined;
+      let chunksOnFailingConnection = 0;
+      const transport = createLoopbackTransport({
+        bandwidthBytesPerMs: 2000,
+        filter: ({ data, connectionId }) => {
+          if (!(data instanceof Uint8Array)) return true;
+          failingConnection ??= connectionId;
+          return connectionId !== failingConnection || ++chunksOnFailingConnection !== 2;
+        },
+      });
+      const file = memoryFile('big.bin', 400_000);
+      const run = await startBroadcast(transport, [file], 2, { resumeTimeoutMs: 0 });
+      let senderSettled = false;
+      void run.sender.then(() => { senderSettled = true; });
+
+      const failing = await run.join({ resumeTimeoutMs: 0 });
+      await until(() => failing.receivedBytes() > 0);
+      const healthy = await run.join({ resumeTimeoutMs: 0 });
+
+      expect((await failing.outcome).type).toBe('error');
+      expect((await healthy.outcome).type).toBe('complete');
+      expectSameBytes(healthy.received(), file.bytes);
+      await until(() => run.ends.length === 2);
+      expect(run.ends).toEqual(expect.arrayContaining([
+        expect.objectContaining({ receiverId: 1, outcome: 'failed', error: expect.any(Error) }),
+        { receiverId: 2, outcome: 'completed' },
+      ]));
+
+      // The failed transfer freed its slot, so the session waits for one more receiver
+      expect(senderSettled).toBe(false);
+      const replacement = await run.join();
+      expect((await replacement.outcome).type).toBe('complete');
+      expectSameBytes(replacement.received(), file.bytes);
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(run.ends.at(-1)).toEqual({ receiverId: 3, outcome: 'completed' });
+    });
+  });
+
+  describe('relay fallback', () => {
+    const relayOptions = { host: 'localhost', relayPath: '/p2p-relay' };
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('goes through the relay when the direct connection does not open in time', async () => {
+      const relay = createFakeRelay();
+      vi.stubGlobal('WebSocket', relay.WebSocket);
+      const file = memoryFile('a.bin', 300_000);
+      const statuses: string[] = [];
+      const run = await startTransfer(withoutDirectConnections(createLoopbackTransport()), [file], relayOptions, {
+        ...relayOptions,
+        relayTimeoutMs: 100,
+        onStatus: ({ phase }) => { statuses.push(phase); },
+      });
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toMatchObject({ type: 'complete', event: { verified: true } });
+      expectSameBytes(run.received(), file.bytes);
+      expect(statuses).toContain('relay');
+      expect(relay.relayedBytes()).toBeGreaterThan(file.size);
+    });
+
+    it('fails when the sender cannot be reached through the relay either', async () => {
+      const relay = createFakeRelay();
+      vi.stubGlobal('WebSocket', relay.WebSocket);
+      // The sender isn't listening on the relay
+      const run = await startTransfer(withoutDirectConnections(createLoopbackTransport()), [memoryFile('a.bin', 1000)], {}, {
+        ...relayOptions,
+        relayTimeoutMs: 100,
+      });
+
+      const outcome = await run.receiver;
+      expect(outcome.type === 'error' && outcome.error.message).toMatch(/directly or through the relay/i);
+      expect(relay.closeCodes).toEqual([4404]);
+      run.senderSession.stop();
+    });
+  });
+
+  describe('ICE restart', () => {
+    it('renegotiates ICE on the same connection when connectivity drops', async () => {
+      const ice = withFakeIce(createLoopbackTransport({ bandwidthBytesPerMs: 2000 }));
+      const file = memoryFile('big.bin', 600_000);
+      const statuses: string[] = [];
+      const run = await startTransfer(ice.transport, [file], {
+        onStatus: ({ phase }) => { statuses.push(phase); },
+      });
+
+      await until(() => run.receivedBytes() > 100_000);
+      ice.dropIce();
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toMatchObject({ type: 'complete', event: { verified: true } });
+      expectSameBytes(run.received(), file.bytes);
+
+      // The sender offers a restart and the receiver answers it, both over the signalling socket
+      const senderId = run.code;
+      expect(ice.signalling.map(({ from, description }) => [from === senderId, description.type]))
+        .toEqual([[true, 'offer'], [false, 'answer']]);
+      const [link] = ice.links.values();
+      expect(link.ends.get(senderId)?.offerOptions).toEqual([{ iceRestart: true }]);
+      // Carried on over the original connection rather than resuming on a new one
+      expect(ice.links.size).toBe(1);
+      expect(statuses).not.toContain('reconnecting');
+    });
+
+    it('falls back to resuming when the restart goes unanswered', async () => {
+      const ice = withFakeIce(createLoopbackTransport({ bandwidthBytesPerMs: 2000 }));
+      const file = memoryFile('big.bin', 600_000);
+      const statuses: string[] = [];
+      const run = await startTransfer(ice.transport, [file], {
+        iceRestartTimeoutMs: 200,
+        onStatus: ({ phase }) => { statuses.push(phase); },
+      });
+
+      await until(() => run.receivedBytes() > 100_000);
+      ice.blockSignalling();
+      ice.dropIce();
+
+      expect(await run.sender).toEqual({ type: 'complete' });
+      expect(await run.receiver).toMatchObject({ type: 'complete', event: { verified: true } });
+      expectSameBytes(run.received(), file.bytes);
+
+      expect(ice.signalling.map(({ description }) => description.type)).toEqual(['offer']);
+      expect(statuses).toContain('reconnecting');
+      expect(ice.links.size).toBe(2);
+    });
+  });
+});
@@ -10,8 +10,20 @@ import {
   isSecureContextForP2P,
   generateP2PCode,
   isP2PCodeLike,
+  normalizeP2PCode,
   parseServerUrl,
   buildBaseUrl,
+  buildChunkAad,
+  generateAesGcmKey,
+  encryptToBlob,
+  decryptChunk,
+  deriveBundleAccessKey,
+  exportKeyBase64,
+  importKeyFromBase64,
+  wrapKeyWithPassphrase,
+  unwrapKeyWithPassphrase,
+  MIN_PASSPHRASE_KDF_ITERATIONS,
+  MAX_PASSPHRASE_KDF_ITERATIONS,
 } from '../src/index.js';
 import {
   DropgateError,
@@ -20,7 +32,24 @@ import {
   DropgateProtocolError,
   DropgateAbortError,
   DropgateTimeoutError,
+  DropgateCapacityError,
+  DropgateFileTooLargeError,
+  DropgateLimitError,
+  errorFromResponse,
 } from '../src/errors.js';
+import {
+  buildP2PChunkAad,
+  commitToPublicKey,
+  decryptP2PChunk,
+  deriveP2PSessionKeys,
+  encryptP2PChunk,
+  generateP2PKeyPair,
+} from '../src/p2p/encryption.js';
+import { createStreamingSha256, sha256Hex } from '../src/crypto/index.js';
+import { normalizeFileSelection } from '../src/p2p/protocol.js';
+import { resolvePeerConfig } from '../src/p2p/helpers.js';
+import { backoffDelayMs, isRetryableError, parseRetryAfter, resolveRetryPolicy, withRetry } from '../src/utils/retry.js';
+import { pack, unpack } from '../src/p2p/transports/binarypack.js';
 
 describe('lifetimeToMs', () => {
   it('converts minutes to milliseconds', () => {
@@ -173,6 +202,83 @@ describe('P2P utilities', () => {
       expect(isP2PCodeLike('ABCD1234')).toBe(false);  // No dash
       expect(isP2PCodeLike('')).toBe(false);
     });
+
+    it('accepts word codes', () => {
+      expect(isP2PCodeLike('tiger-ocean-42')).toBe(true);
+      expect(isP2PCodeLike('lizard-drum-pocket-maple-07')).toBe(true);
+      expect(isP2PCodeLike('tiger-42')).toBe(false);          // One word
+      expect(isP2PCodeLike('Tiger-Ocean-42')).toBe(false);    // Not normalized
+      expect(isP2PCodeLike('tiger-ocean-420')).toBe(false);   // Three digits
+    });
+  });
+
+  describe('normalizeP2PCode', () => {
+    it('uppercases classic codes and lowercases word codes', () => {
+      expect(normalizeP2PCode(' abcd-1234 ')).toBe('ABCD-1234');
+      expect(normalizeP2PCode('Tiger-Ocean-42')).toBe('tiger-ocean-42');
+      expect(normalizeP2PCode('tiger - ocean - 42')).toBe('tiger-ocean-42');
+    });
+  });
+
+  describe('resolvePeerConfig', () => {
+    it('only uses the relay when the server has it enabled', () => {
+      const caps = { enabled: true, relayPath: '/p2p-relay' };
+      expect(resolvePeerConfig({}, { ...caps, relay: true }).relayPath).toBe('/p2p-relay');
+      expect(resolvePeerConfig({}, { ...caps, relay: false }).relayPath).toBeUndefined();
+      expect(resolvePeerConfig({ relayPath: '/custom' }, caps).relayPath).toBe('/custom');
+    });
+  });
+});
+
+describe('normalizeFileSelection', () => {
+  it('sorts and de-duplicates valid indices', () => {
+    expect(normalizeFileSelection([3, 1, 3], 4)).toEqual([1, 3]);
+    expect(normalizeFileSelection([0], 1)).toEqual([0]);
+  });
+
+  it('rejects empty or out-of-range selections', () => {
+    expect(normalizeFileSelection([], 4)).toBeNull();
+    expect(normalizeFileSelection([4], 4)).toBeNull();
+    expect(normalizeFileSelection([-1], 4)).toBeNull();
+    expect(normalizeFileSelection([1.5], 4)).toBeNull();
+    expect(normalizeFileSelection('1', 4)).toBeNull();
+  });
+});
+
+describe('BinaryPack', () => {
+  it('packs messages in the PeerJS wire format', () => {
+    expect([...pack({ t: 'ping' })]).toEqual([0x81, 0xb1, 0x74, 0xb4, 0x70, 0x69, 0x6e, 0x67]);
+    expect([...pack([true, null, -1, 200])]).toEqual([0x94, 0xc3, 0xc0, 0xff, 0xcc, 0xc8]);
+    expect([...pack(new Uint8Array([1, 2]))]).toEqual([0xa2, 1, 2]);
+  });
+
+  it('round-trips numbers of every width', () => {
+    const numbers = [0, 127, -32, -33, 200, -200, 70000, -70000, 2 ** 32 + 5, 1700000000000, -(2 ** 40), 1.5, -0.25];
+    expect(unpack(pack(numbers))).toEqual(numbers);
+  });
+
+  it('round-trips nested messages with binary data as ArrayBuffers', () => {
+    const message = { t: 'meta', name: 'résumé 📄.pdf', files: [{ size: 65536 }], data: new Uint8Array([9, 8, 7]) };
+    const result = unpack(pack(message)) as Record<string, unknown>;
+    expect(result.data).toBeInstanceOf(ArrayBuffer);
+    expect([...new Uint8Array(result.data as ArrayBuffer)]).toEqual([9, 8, 7]);
+    expect({ ...result, data: undefined }).toEqual({ ...message, data: undefined });
+  });
+
+  it('leaves out properties set to undefined', () => {
+    expect(unpack(pack({ t: 'ready', fileIndices: undefined }))).toEqual({ t: 'ready' });
+  });
+
+  it('keeps __proto__ keys as plain data', () => {
+    const result = unpack(new Uint8Array([0x81, 0xb9, ...new TextEncoder().encode('__proto__'), 0xc3])) as object;
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+    expect(Object.keys(result)).toEqual(['__proto__']);
+  });
+
+  it('rejects truncated or padded messages', () => {
+    expect(() => unpack(new Uint8Array([0xb4, 0x70]))).toThrow(DropgateValidationError);
+    expect(() => unpack(new Uint8Array([0xdd, 0xff, 0xff, 0xff, 0xff]))).toThrow(DropgateValidationError);
+    expect(() => unpack(new Uint8Array([0xc3, 0x00]))).toThrow(DropgateValidationError);
   });
 });
 
@@ -237,6 +343,169 @@ describe('buildBaseUrl', () => {
   });
 });
 
+describe('buildChunkAad', () => {
+  it('encodes the format version, chunk index and final flag', () => {
+    expect(Array.from(buildChunkAad(0, false))).toEqual([2, 0, 0, 0, 0, 0]);
+    expect(Array.from(buildChunkAad(258, true))).toEqual([2, 0, 0, 1, 2, 1]);
+  });
+
+  it('encodes the file index ahead of the chunk index for v3', () => {
+    expect(Array.from(buildChunkAad(0, false, 0))).toEqual([3, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(Array.from(buildChunkAad(258, true, 1))).toEqual([3, 0, 0, 0, 1, 0, 0, 1, 2, 1]);
+  });
+
+  it('rejects invalid chunk and file indices', () => {
+    expect(() => buildChunkAad(-1, false)).toThrow(RangeError);
+    expect(() => buildChunkAad(1.5, false)).toThrow(RangeError);
+    expect(() => buildChunkAad(0, false, -1)).toThrow(RangeError);
+    expect(() => buildChunkAad(0, false, 2 ** 32)).toThrow(RangeError);
+  });
+
+  it('binds a v2 chunk to its position in the file', async () => {
+    const key = await generateAesGcmKey(crypto);
+    const blob = await encryptToBlob(crypto, new TextEncoder().encode('hello').buffer, key, buildChunkAad(3, false));
+    const encrypted = new Uint8Array(await blob.arrayBuffer());
+
+    const decrypted = await decryptChunk(crypto, encrypted, key, buildChunkAad(3, false));
+    expect(new TextDecoder().decode(decrypted)).toBe('hello');
+    await expect(decryptChunk(crypto, encrypted, key, buildChunkAad(2, false))).rejects.toThrow();
+    await expect(decryptChunk(crypto, encrypted, key, buildChunkAad(3, true))).rejects.toThrow();
+    await expect(decryptChunk(crypto, encrypted, key)).rejects.toThrow();
+  });
+
+  it('binds a v3 chunk to its bundle member, even though members share a key', async () => {
+    const key = await generateAesGcmKey(crypto);
+    // Same chunk index and final flag in two members of one bundle
+    const blob = await encryptToBlob(crypto, new TextEncoder().encode('file 0').buffer, key, buildChunkAad(0, true, 0));
+    const encrypted = new Uint8Array(await blob.arrayBuffer());
+
+    const decrypted = await decryptChunk(crypto, encrypted, key, buildChunkAad(0, true, 0));
+    expect(new TextDecoder().decode(decrypted)).toBe('file 0');
+    // Served in place of the other member's chunk, it fails to decrypt
+    await expect(decryptChunk(crypto, encrypted, key, buildChunkAad(0, true, 1))).rejects.toThrow();
+    // and it can't pass as a v2 chunk either
+    await expect(decryptChunk(crypto, encrypted, key, buildChunkAad(0, true))).rejects.toThrow();
+  });
+});
+
+describe('createStreamingSha256', () => {
+  it('matches the standard test vectors', () => {
+    const empty = createStreamingSha256();
+    expect(empty.digestHex()).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+
+    const abc = createStreamingSha256();
+    abc.update(new TextEncoder().encode('abc'));
+    expect(abc.digestHex()).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('gives the same digest however the data is split', async () => {
+    const data = crypto.getRandomValues(new Uint8Array(1000));
+    const expected = await sha256Hex(crypto, data.buffer);
+
+    for (const pieceSize of [1, 55, 64, 65, 999]) {
+      const hash = createStreamingSha256();
+      for (let i = 0; i < data.length; i += pieceSize) {
+        hash.update(data.subarray(i, i + pieceSize));
+      }
+      expect(hash.digestHex()).toBe(expected);
+    }
+  });
+});
+
+describe('deriveBundleAccessKey', () => {
+  it('derives the same 32-byte key from the same bundle key, and never the key itself', async () => {
+    const key = await generateAesGcmKey(crypto);
+    const keyB64 = await exportKeyBase64(crypto, key);
+    const accessKey = await deriveBundleAccessKey(crypto, key);
+
+    expect(base64ToBytes(accessKey)).toHaveLength(32);
+    expect(accessKey).not.toBe(keyB64);
+    expect(await deriveBundleAccessKey(crypto, await importKeyFromBase64(crypto, keyB64))).toBe(accessKey);
+    expect(await deriveBundleAccessKey(crypto, await generateAesGcmKey(crypto))).not.toBe(accessKey);
+  });
+});
+
+describe('passphrase key protection', () => {
+  // The minimum keeps the PBKDF2 rounds in these tests quick
+  const ITERATIONS = MIN_PASSPHRASE_KDF_ITERATIONS;
+
+  async function wrappedKey() {
+    const key = await generateAesGcmKey(crypto);
+    const protection = await wrapKeyWithPassphrase(crypto, key, 'correct horse battery', ITERATIONS);
+    return { key, protection };
+  }
+
+  it('unwraps the file key with the right passphrase', async () => {
+    const { key, protection } = await wrappedKey();
+    expect(protection).toMatchObject({ kdf: 'PBKDF2-SHA256', iterations: ITERATIONS });
+
+    const unwrapped = await unwrapKeyWithPassphrase(crypto, protection, 'correct horse battery');
+    const blob = await encryptToBlob(crypto, new TextEncoder().encode('secret').buffer, key);
+    const decrypted = await decryptChunk(crypto, new Uint8Array(await blob.arrayBuffer()), unwrapped);
+    expect(new TextDecoder().decode(decrypted)).toBe('secret');
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    const { protection } = await wrappedKey();
+    const err = await unwrapKeyWithPassphrase(crypto, protection, 'wrong horse battery').catch(e => e);
+    expect(err).toBeInstanceOf(DropgateValidationError);
+    expect(err.message).toBe('Incorrect passphrase.');
+  });
+
+  it('refuses iteration counts outside the range servers accept', async () => {
+    const { protection } = await wrappedKey();
+    for (const iterations of [0, MIN_PASSPHRASE_KDF_ITERATIONS - 1, MAX_PASSPHRASE_KDF_ITERATIONS + 1, 150000.5, '600000', undefined]) {
+      const tampered = { ...protection, iterations: iterations as number };
+      await expect(unwrapKeyWithPassphrase(crypto, tampered, 'correct horse battery'))
+        .rejects.toBeInstanceOf(DropgateValidationError);
+    }
+    const key = await generateAesGcmKey(crypto);
+    await expect(wrapKeyWithPassphrase(crypto, key, 'correct horse battery', MAX_PASSPHRASE_KDF_ITERATIONS + 1))
+      .rejects.toThrow(/iterations must be an integer/);
+  });
+});
+
+describe('P2P key exchange', () => {
+  it('gives both peers the same key and verification code', async () => {
+    const sender = await generateP2PKeyPair(crypto);
+    const receiver = await generateP2PKeyPair(crypto);
+    const senderKeys = await deriveP2PSessionKeys(crypto, sender, receiver.publicKey, 'sender');
+    const receiverKeys = await deriveP2PSessionKeys(crypto, receiver, sender.publicKey, 'receiver');
+
+    expect(senderKeys.verification).toEqual(receiverKeys.verification);
+    expect(senderKeys.verification.words.split(' ')).toHaveLength(7);
+
+    const aad = buildP2PChunkAad(1, 2 ** 32 + 5);
+    const encrypted = await encryptP2PChunk(crypto, senderKeys.chunkKey, new TextEncoder().encode('hello').buffer, aad);
+    const decrypted = await decryptP2PChunk(crypto, receiverKeys.chunkKey, encrypted, aad);
+    expect(new TextDecoder().decode(decrypted)).toBe('hello');
+    await expect(decryptP2PChunk(crypto, receiverKeys.chunkKey, encrypted, buildP2PChunkAad(1, 5)))
+      .rejects.toThrow(DropgateValidationError);
+  });
+
+  it('gives a peer in the middle a different verification code on each side', async () => {
+    const sender = await generateP2PKeyPair(crypto);
+    const receiver = await generateP2PKeyPair(crypto);
+    const attacker = await generateP2PKeyPair(crypto);
+    const senderSide = await deriveP2PSessionKeys(crypto, sender, attacker.publicKey, 'sender');
+    const receiverSide = await deriveP2PSessionKeys(crypto, receiver, attacker.publicKey, 'receiver');
+
+    expect(senderSide.verification).not.toEqual(receiverSide.verification);
+  });
+
+  it('commits to a public key deterministically', async () => {
+    const { publicKey } = await generateP2PKeyPair(crypto);
+    const other = await generateP2PKeyPair(crypto);
+    expect(await commitToPublicKey(crypto, publicKey)).toBe(await commitToPublicKey(crypto, publicKey));
+    expect(await commitToPublicKey(crypto, publicKey)).not.toBe(await commitToPublicKey(crypto, other.publicKey));
+  });
+
+  it('rejects an invalid public key', async () => {
+    const own = await generateP2PKeyPair(crypto);
+    await expect(deriveP2PSessionKeys(crypto, own, 'AAAA', 'sender')).rejects.toThrow(DropgateValidationError);
+  });
+});
+
 describe('Error classes', () => {
   describe('DropgateError', () => {
     it('creates error with message and default code', () => {
@@ -316,4 +585,149 @@ describe('Error classes', () => {
       expect(err.message).toBe('Server did not respond in time');
     });
   });
+  describe('errorFromResponse', () => {
+    it('maps server error codes to their subclasses', () => {
+      const full = errorFromResponse({ error: 'Server out of capacity. Try again later.', code: 'STORAGE_FULL' }, 'Upload failed.');
+      expect(full).toBeInstanceOf(DropgateCapacityError);
+      expect(full).toBeInstanceOf(DropgateProtocolError);
+      expect(full.code).toBe('STORAGE_FULL');
+      expect(full.message).toBe('Server out of capacity. Try again later.');
+
+      expect(errorFromResponse({ error: 'Too big.', code: 'FILE_TOO_LARGE' }, 'x')).toBeInstanceOf(DropgateFileTooLargeError);
+      const limit = errorFromResponse({ error: 'No.', code: 'DOWNLOAD_LIMIT_NOT_ALLOWED' }, 'x');
+      expect(limit).toBeInstanceOf(DropgateLimitError);
+      expect(limit.code).toBe('DOWNLOAD_LIMIT_NOT_ALLOWED');
+    });
+
+    it('keeps other codes on a plain protocol error', () => {
+      const err = errorFromResponse({ error: 'File not found.', code: 'NOT_FOUND' }, 'x');
+      expect(err.constructor).toBe(DropgateProtocolError);
+      expect(err.code).toBe('NOT_FOUND');
+    });
+
+    it('falls back for responses without a code or message', () => {
+      const err = errorFromResponse('Upload session expired or invalid.', 'Chunk 1 failed (HTTP 410).', {
+        details: { status: 410 },
+        status: 410,
+      });
+      expect(err.constructor).toBe(DropgateProtocolError);
+      expect(err.status).toBe(410);
+      expect(err.code).toBe('PROTOCOL_ERROR');
+      expect(err.message).toBe('Chunk 1 failed (HTTP 410).');
+      expect(err.details).toEqual({ status: 410 });
+    });
+  });
+});
+
+describe('retry policy', () => {
+  const headers = (values: Record<string, string>) => new Headers(values);
+
+  describe('parseRetryAfter', () => {
+    it('reads Retry-After in seconds or as an HTTP date', () => {
+      expect(parseRetryAfter(headers({ 'Retry-After': '12' }))).toBe(12000);
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      expect(parseRetryAfter(headers({ 'Retry-After': 'Thu, 01 Jan 2026 00:00:30 GMT' }), now)).toBe(30000);
+    });
+
+    it('uses the rate limit reset only once the limit is exhausted', () => {
+      expect(parseRetryAfter(headers({ 'RateLimit-Remaining': '0', 'RateLimit-Reset': '20' }))).toBe(20000);
+      expect(parseRetryAfter(headers({ 'RateLimit-Remaining': '3', 'RateLimit-Reset': '20' }))).toBeUndefined();
+      expect(parseRetryAfter(headers({ RateLimit: 'limit=25, remaining=0, reset=7' }))).toBe(7000);
+      expect(parseRetryAfter(headers({}))).toBeUndefined();
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('retries transient failures', () => {
+      expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+      expect(isRetryableError(new DropgateTimeoutError())).toBe(true);
+      expect(isRetryableError(new DropgateNetworkError('Chunk upload failed.'))).toBe(true);
+      expect(isRetryableError(errorFromResponse({ code: 'RATE_LIMITED' }, 'x', { status: 429 }))).toBe(true);
+      expect(isRetryableError(errorFromResponse(null, 'x', { status: 503 }))).toBe(true);
+    });
+
+    it('fails fast on rejected requests and local errors', () => {
+      expect(isRetryableError(errorFromResponse({ code: 'INTEGRITY_FAILED' }, 'x', { status: 400 }))).toBe(false);
+      expect(isRetryableError(errorFromResponse({ code: 'SESSION_EXPIRED' }, 'x', { status: 410 }))).toBe(false);
+      expect(isRetryableError(errorFromResponse({ code: 'FILE_TOO_LARGE' }, 'x', { status: 413 }))).toBe(false);
+      expect(isRetryableError(errorFromResponse({ code: 'STORAGE_FULL' }, 'x', { status: 507 }))).toBe(false);
+      expect(isRetryableError(new DropgateProtocolError('Server did not return a valid uploadId.'))).toBe(false);
+      expect(isRetryableError(new DropgateValidationError('Bad input.'))).toBe(false);
+      expect(isRetryableError(new DropgateAbortError())).toBe(false);
+    });
+
+    it('does not retry local errors', async () => {
+      const key = await generateAesGcmKey(crypto);
+      const blob = await encryptToBlob(crypto, new TextEncoder().encode('hello').buffer, key, buildChunkAad(0, true));
+      const cryptoFailure = await decryptChunk(crypto, new Uint8Array(await blob.arrayBuffer()), key).catch((err: unknown) => err);
+      expect(cryptoFailure).toBeInstanceOf(Error);
+      expect(isRetryableError(cryptoFailure)).toBe(false);
+
+      expect(isRetryableError(new Error('Something broke.'))).toBe(false);
+      expect(isRetryableError(new RangeError('Invalid array length'))).toBe(false);
+      expect(isRetryableError(new TypeError("Cannot read properties of undefined (reading 'size')"))).toBe(false);
+      expect(isRetryableError((() => { try { JSON.parse('{'); } catch (err) { return err; } })())).toBe(false);
+
+      let calls = 0;
+      await expect(withRetry(resolveRetryPolicy({ backoffMs: 0 }), 'init', async () => {
+        calls++;
+        throw new Error('Something broke.');
+      })).rejects.toThrow('Something broke.');
+      expect(calls).toBe(1);
+    });
+  });
+
+  it('backs off exponentially within the jitter', () => {
+    const policy = { backoffMs: 1000, maxBackoffMs: 5000, jitter: 0.2 };
+    expect(backoffDelayMs(1, policy, () => 0.5)).toBe(1000);
+    expect(backoffDelayMs(3, policy, () => 0.5)).toBe(4000);
+    expect(backoffDelayMs(5, policy, () => 0.5)).toBe(5000);
+    expect(backoffDelayMs(2, policy, () => 0)).toBe(1600);
+    expect(backoffDelayMs(2, policy, () => 1)).toBe(2400);
+  });
+
+  describe('withRetry', () => {
+    it('retries transient failures until the request succeeds', async () => {
+      let calls = 0;
+      const result = await withRetry(resolveRetryPolicy({ backoffMs: 0 }), 'chunk', async () => {
+        calls++;
+        if (calls < 3) throw errorFromResponse(null, 'x', { status: 503 });
+        return 'ok';
+      });
+      expect(result).toBe('ok');
+      expect(calls).toBe(3);
+    });
+
+    it('throws fatal errors and stops when retries run out', async () => {
+      let calls = 0;
+      const fatal = errorFromResponse({ code: 'INTEGRITY_FAILED' }, 'x', { status: 400 });
+      await expect(withRetry(resolveRetryPolicy(), 'chunk', async () => { calls++; throw fatal; })).rejects.toBe(fatal);
+      expect(calls).toBe(1);
+
+      calls = 0;
+      await expect(withRetry(resolveRetryPolicy({ retries: 2, backoffMs: 0 }), 'init', async () => {
+        calls++;
+        throw new TypeError('Failed to fetch');
+      })).rejects.toBeInstanceOf(TypeError);
+      expect(calls).toBe(3);
+    });
+
+    it('waits at least as long as the server asks and lets hooks decide', async () => {
+      const waits: number[] = [];
+      const policy = resolveRetryPolicy({ backoffMs: 10, jitter: 0 });
+      let calls = 0;
+      await withRetry(policy, 'complete', async () => {
+        if (calls++ === 0) throw errorFromResponse(null, 'x', { status: 429, retryAfterMs: 2000 });
+      }, { wait: async (delayMs) => { waits.push(delayMs); } });
+      expect(waits).toEqual([2000]);
+
+      const seen: string[] = [];
+      const custom = resolveRetryPolicy({
+        shouldRetry: (ctx) => { seen.push(`${ctx.operation}:${ctx.attempt}`); return ctx.attempt < 2; },
+        getDelayMs: () => 0,
+      });
+      await expect(withRetry(custom, 'download', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+      expect(seen).toEqual(['download:1', 'download:2']);
+    });
+  });
 });
@@ -0,0 +1,111 @@
+/**
+ * Manage upload API keys.
+ *
+ * Usage:
+ *   npm run api-keys -- create <name> [--max-file-size-mb N] [--max-storage-gb N] [--max-lifetime-hours N] [--max-downloads N]
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <id>
+ *
+ * Keys are stored in uploads/db/api-key-database.sqlite, next to the server's other databases.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { QuickDB } = require('quick.db');
+const { createApiKeyStore } = require('./auth/api-keys');
+
+const LIMIT_FLAGS = {
+    '--max-file-size-mb': 'maxFileSizeMB',
+    '--max-storage-gb': 'maxStorageGB',
+    '--max-lifetime-hours': 'maxLifetimeHours',
+    '--max-downloads': 'maxDownloads',
+};
+
+const usage = () => {
+    console.log([
+        'Usage:',
+        '  api-keys create <name> [--max-file-size-mb N] [--max-storage-gb N] [--max-lifetime-hours N] [--max-downloads N]',
+        '  api-keys list',
+        '  api-keys revoke <id>',
+        '',
+        'Key limits can only tighten the server limits. Omit a limit (or set it to 0) to use the server limit.',
+    ].join('\n'));
+};
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+const parseLimits = (args) => {
+    const limits = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const field = LIMIT_FLAGS[args[i]];
+        if (!field) fail(`Unknown option: ${args[i]}`);
+        const value = Number(args[i + 1]);
+        if (args[i + 1] === undefined || !Number.isFinite(value) || value < 0) {
+            fail(`${args[i]} must be a non-negative number.`);
+        }
+        if (field === 'maxDownloads' && !Number.isInteger(value)) {
+            fail('--max-downloads must be an integer.');
+        }
+        if (value > 0) limits[field] = value;
+    }
+    return limits;
+};
+
+const formatLimits = (limits) => {
+    const parts = [];
+    if (limits.maxFileSizeMB) parts.push(`file size ${limits.maxFileSizeMB} MB`);
+    if (limits.maxStorageGB) parts.push(`storage ${limits.maxStorageGB} GB`);
+    if (limits.maxLifetimeHours) parts.push(`lifetime ${limits.maxLifetimeHours} hours`);
+    if (limits.maxDownloads) parts.push(`downloads ${limits.maxDownloads}`);
+    return parts.length > 0 ? parts.join(', ') : 'server limits';
+};
+
+const main = async () => {
+    const [command, ...args] = process.argv.slice(2);
+    if (!command || command === 'help' || command === '--help') {
+        usage();
+        return;
+    }
+
+    const dbDir = path.join(__dirname, 'uploads', 'db');
+    fs.mkdirSync(dbDir, { recursive: true });
+    const apiKeys = createApiKeyStore(new QuickDB({ filePath: path.join(dbDir, 'api-key-database.sqlite') }));
+
+    switch (command) {
+        case 'create': {
+            const [name, ...options] = args;
+            if (!name || name.startsWith('--')) fail('A key name is required.');
+            const { id, token } = await apiKeys.create({ name, limits: parseLimits(options) });
+            console.log(`Created API key ${id} (${name}).`);
+            console.log('Store this key now. It cannot be shown again:');
+            console.log(token);
+            break;
+        }
+        case 'list': {
+            const keys = await apiKeys.list();
+            if (keys.length === 0) {
+                console.log('No API keys.');
+                break;
+            }
+            for (const key of keys) {
+                console.log(`${key.id}  ${key.name}  created ${new Date(key.createdAt).toISOString()}  (${formatLimits(key.limits)})`);
+            }
+            break;
+        }
+        case 'revoke': {
+            const [id] = args;
+            if (!id) fail('A key ID is required.');
+            if (!(await apiKeys.revoke(id))) fail('API key not found.');
+            console.log(`Revoked API key ${id}.`);
+            break;
+        }
+        default:
+            usage();
+            process.exit(1);
+    }
+};
+
+main().catch((e) => fail(e.message));
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Limits an API key can set. Each one can only tighten the matching server limit.
+const API_KEY_LIMITS = ['maxFileSizeMB', 'maxStorageGB', 'maxLifetimeHours', 'maxDownloads'];
+
+const TOKEN_PATTERN = /^dgk_([a-f0-9]{16})_([a-f0-9]{64})$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Store for upload API keys, backed by a QuickDB instance.
+ * Keys look like `dgk_<id>_<secret>`. Only a SHA-256 hash of the full key is
+ * stored, so a leaked database does not leak usable keys.
+ * @param {import('quick.db').QuickDB} db - Database holding key records, keyed by key ID
+ * @returns {object} API key store
+ */
+const createApiKeyStore = (db) => ({
+    /**
+     * Create a new key. The token is only ever returned here.
+     * @param {object} options
+     * @param {string} options.name - Human-readable label
+     * @param {object} [options.limits] - Optional per-key limits (see API_KEY_LIMITS)
+     * @returns {Promise<{ id: string, token: string }>}
+     */
+    async create({ name, limits = {} }) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const token = `dgk_${id}_${crypto.randomBytes(32).toString('hex')}`;
+        const storedLimits = {};
+        for (const field of API_KEY_LIMITS) {
+            if (limits[field] !== undefined) storedLimits[field] = limits[field];
+        }
+        await db.set(id, {
+            name,
+            createdAt: Date.now(),
+            tokenHash: hashToken(token),
+            limits: storedLimits,
+        });
+        return { id, token };
+    },
+
+    /**
+     * List all keys without their hashes.
+     * @returns {Promise<Array<{ id: string, name: string, createdAt: number, limits: object }>>}
+     */
+    async list() {
+        return (await db.all()).map(({ id, value }) => ({
+            id,
+            name: value.name,
+            createdAt: value.createdAt,
+            limits: value.limits || {},
+        }));
+    },
+
+    /**
+     * Look up a key by ID.
+     * @param {string} id - Key ID
+     * @returns {Promise<{ id: string, name: string, limits: object } | null>}
+     */
+    async get(id) {
+        if (typeof id !== 'string') return null;
+        const record = await db.get(id);
+        return record ? { id, name: record.name, limits: record.limits || {} } : null;
+    },
+
+    /**
+     * Revoke a key. Uploads already made with it are unaffected.
+     * @param {string} id - Key ID
+     * @returns {Promise<boolean>} Whether the key existed
+     */
+    async revoke(id) {
+        if (!(await db.has(id))) return false;
+        await db.delete(id);
+        return true;
+    },
+
+    /**
+     * Verify a presented token.
+     * @param {string} token - Full API key
+     * @returns {Promise<{ id: string, name: string, limits: object } | null>} The key, or null if invalid
+     */
+    async verify(token) {
+        const match = typeof token === 'string' ? TOKEN_PATTERN.exec(token) : null;
+        if (!match) return null;
+        const record = await db.get(match[1]);
+        if (!record) return null;
+        const actual = Buffer.from(hashToken(token), 'hex');
+        const expected = Buffer.from(record.tokenHash, 'hex');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+        return { id: match[1], name: record.name, limits: record.limits || {} };
+    },
+});
+
+module.exports = { API_KEY_LIMITS, createApiKeyStore };
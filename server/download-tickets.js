@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+/**
+ * Single-use download tickets.
+ *
+ * A ticket reserves one download of a file or bundle. A file download is counted once the
+ * requests under the ticket have sent every byte of the file between them, so a client can
+ * resume with Range without using up another download. A ticket that stops being used
+ * expires, and counts as a download then if it delivered anything.
+ */
+
+/**
+ * Add the byte range [start, end) to a sorted list of disjoint ranges, merging any it touches.
+ * @param {Array<[number, number]>} ranges
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<[number, number]>}
+ */
+const addRange = (ranges, start, end) => {
+    const merged = [];
+    for (const range of ranges) {
+        if (range[1] < start || range[0] > end) {
+            merged.push(range);
+        } else {
+            start = Math.min(start, range[0]);
+            end = Math.max(end, range[1]);
+        }
+    }
+    merged.push([start, end]);
+    return merged.sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * In-memory store of outstanding tickets. Reserving and counting are left to the caller,
+ * which checks the file's remaining downloads under a lock before calling `issue`.
+ * @param {object} options
+ * @param {number} options.ttlMs - How long a ticket stays valid without a request using it
+ * @returns {object} Ticket store
+ */
+const createDownloadTicketStore = ({ ttlMs }) => {
+    // Ticket -> { id, expiresAt, deliveredBytes, servedRanges, activeRequests, ...details }
+    const tickets = new Map();
+
+    const isLive = (entry) => entry.activeRequests > 0 || entry.expiresAt > Date.now();
+
+    return {
+        /**
+         * Issue a ticket for one download of a file or bundle.
+         * @param {string} id - ID of the file or bundle
+         * @param {object} [details] - Extra fields kept on the ticket's entry
+         * @returns {{ ticket: string, expiresAt: number }}
+         */
+        issue(id, details = {}) {
+            const ticket = crypto.randomBytes(24).toString('base64url');
+            const expiresAt = Date.now() + ttlMs;
+            tickets.set(ticket, { ...details, id, expiresAt, deliveredBytes: 0, servedRanges: [], activeRequests: 0 });
+            return { ticket, expiresAt };
+        },
+
+        /**
+         * Look up a live ticket.
+         * @param {string} ticket
+         * @param {string} [id] - If given, the ticket must be for this file or bundle
+         * @returns {object|null} The ticket's entry, or null if it is unknown, expired or for another ID
+         */
+        get(ticket, id) {
+            const entry = tickets.get(ticket);
+            return entry && (id === undefined || entry.id === id) && isLive(entry) ? entry : null;
+        },
+
+        /**
+         * Downloads of a file or bundle currently reserved by tickets.
+         * @param {string} id
+         * @returns {number}
+         */
+        reserved(id) {
+            let count = 0;
+            for (const entry of tickets.values()) {
+                if (entry.id === id && isLive(entry)) count++;
+            }
+            return count;
+        },
+
+        /**
+         * Mark a request as using the ticket, so it cannot expire mid-response.
+         * @param {object} entry - Entry returned by `get`
+         */
+        start(entry) {
+            entry.activeRequests++;
+        },
+
+        /**
+         * Record the bytes a finished request delivered. The ticket stays valid for `ttlMs`
+         * so the client can resume.
+         * @param {object} entry - Entry returned by `get`
+         * @param {number} bytes
+         * @param {number} [start] - Offset of the first byte in the file, for file tickets
+         * @returns {number} Bytes of the file delivered under the ticket so far, each counted once
+         */
+        finish(entry, bytes, start) {
+            entry.activeRequests--;
+            entry.deliveredBytes += bytes;
+            entry.expiresAt = Date.now() + ttlMs;
+            if (start !== undefined && bytes > 0) {
+                entry.servedRanges = addRange(entry.servedRanges, start, start + bytes);
+            }
+            return entry.servedRanges.reduce((sum, [from, to]) => sum + to - from, 0);
+        },
+
+        /**
+         * Remove a ticket, releasing or consuming its reservation.
+         * @param {string} ticket
+         * @returns {boolean} Whether the ticket was still there
+         */
+        delete(ticket) {
+            return tickets.delete(ticket);
+        },
+
+        /**
+         * Remove expired tickets.
+         * @returns {object[]} The removed tickets' entries
+         */
+        sweep() {
+            const expired = [];
+            for (const [ticket, entry] of tickets) {
+                if (isLive(entry)) continue;
+                tickets.delete(ticket);
+                expired.push(entry);
+            }
+            return expired;
+        },
+    };
+};
+
+module.exports = { createDownloadTicketStore };
@@ -0,0 +1,50 @@
+/**
+ * Machine-readable codes sent with every API error, next to the human-readable message:
+ * `{ "error": "<message>", "code": "<CODE>" }`. Messages may change; codes are stable.
+ */
+const ERROR_CODES = Object.freeze({
+    // Malformed or invalid request
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    // Missing or invalid API key or admin token
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    // Wrong management token, bundle access key, or a file only served with its bundle
+    FORBIDDEN: 'FORBIDDEN',
+    NOT_FOUND: 'NOT_FOUND',
+    // The feature is disabled on this server
+    NOT_SUPPORTED: 'NOT_SUPPORTED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+
+    // Uploads
+    E2EE_UNSUPPORTED: 'E2EE_UNSUPPORTED',
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    LIFETIME_NOT_ALLOWED: 'LIFETIME_NOT_ALLOWED',
+    DOWNLOAD_LIMIT_NOT_ALLOWED: 'DOWNLOAD_LIMIT_NOT_ALLOWED',
+    // The server is out of space; retrying later may succeed
+    STORAGE_FULL: 'STORAGE_FULL',
+    // The API key's storage quota is used up
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    // The upload session is unknown, finished or timed out
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    UPLOAD_INCOMPLETE: 'UPLOAD_INCOMPLETE',
+    // A chunk or file did not match its hash or declared size
+    INTEGRITY_FAILED: 'INTEGRITY_FAILED',
+
+    // Downloads
+    DOWNLOADS_RESERVED: 'DOWNLOADS_RESERVED',
+    INVALID_TICKET: 'INVALID_TICKET',
+    RANGE_NOT_SATISFIABLE: 'RANGE_NOT_SATISFIABLE',
+});
+
+/**
+ * Send an error response.
+ * @param {import('express').Response} res
+ * @param {number} status - HTTP status
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {object} [extra] - Further fields for the response body
+ * @returns {import('express').Response}
+ */
+const sendError = (res, status, code, message, extra = {}) => res.status(status).json({ ...extra, error: message, code });
+
+module.exports = { ERROR_CODES, sendError };
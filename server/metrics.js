@@ -0,0 +1,66 @@
+/**
+ * Minimal Prometheus metrics registry.
+ *
+ * Only aggregate values are exported. Metrics never carry labels, so no file ID,
+ * bundle ID, filename, peer ID or client address can end up in a scrape.
+ */
+
+/**
+ * Create a metrics registry.
+ * @param {string} prefix - Prefix prepended to every metric name (e.g. `dropgate_`)
+ */
+const createMetricsRegistry = (prefix = '') => {
+    const metrics = [];
+
+    const register = (name, help, type, read) => {
+        const fullName = `${prefix}${name}`;
+        if (metrics.some(m => m.name === fullName)) throw new Error(`Metric ${fullName} is already registered.`);
+        metrics.push({ name: fullName, help, type, read });
+    };
+
+    return {
+        /**
+         * Register a monotonically increasing counter.
+         * @param {string} name - Metric name, ending in `_total`
+         * @param {string} help - One-line description
+         * @returns {{ inc: (amount?: number) => void }}
+         */
+        counter(name, help) {
+            let value = 0;
+            register(name, help, 'counter', () => value);
+            return {
+                inc(amount = 1) {
+                    if (Number.isFinite(amount) && amount > 0) value += amount;
+                },
+            };
+        },
+
+        /**
+         * Register a gauge read at scrape time. Return `null` or a non-finite number to omit it.
+         * @param {string} name - Metric name
+         * @param {string} help - One-line description
+         * @param {() => number | null | Promise<number | null>} collect - Reads the current value
+         */
+        gauge(name, help, collect) {
+            register(name, help, 'gauge', collect);
+        },
+
+        /**
+         * Render every metric in the Prometheus text exposition format (version 0.0.4).
+         * @returns {Promise<string>}
+         */
+        async render() {
+            const lines = [];
+            for (const metric of metrics) {
+                const value = await metric.read();
+                if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                lines.push(`${metric.name} ${value}`);
+            }
+            return `${lines.join('\n')}\n`;
+        },
+    };
+};
+
+module.exports = { createMetricsRegistry };
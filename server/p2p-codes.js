@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+/**
+ * P2P sharing codes: formats, normalisation, and the registry of codes the server has issued.
+ *
+ * Codes are PeerJS peer IDs. When the server issues codes, the signalling server only
+ * accepts peers whose ID is in the registry, so a sender cannot pick its own code.
+ */
+
+const P2P_CODE_FORMATS = ['classic', 'words'];
+
+// Same alphabet as the client generator: no I or O, which read like 1 and 0
+const CLASSIC_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// 256 short, common words that are hard to mishear. Every word is a distinct spoken form,
+// so 8 bits per word.
+const CODE_WORDS = [
+    'acorn', 'actor', 'alarm', 'album', 'alley', 'amber', 'angel', 'ankle',
+    'apple', 'apron', 'arrow', 'atlas', 'attic', 'badge', 'bagel', 'baker',
+    'bamboo', 'banjo', 'barn', 'basil', 'beach', 'beard', 'bench', 'berry',
+    'bison', 'blade', 'blanket', 'blossom', 'boat', 'bonfire', 'boot', 'bottle',
+    'branch', 'bread', 'brick', 'bridge', 'brush', 'bucket', 'bugle', 'butter',
+    'cabin', 'cactus', 'camel', 'camera', 'candle', 'canoe', 'canyon', 'carpet',
+    'carrot', 'castle', 'cedar', 'cello', 'chalk', 'cherry', 'chess', 'cider',
+    'circle', 'cliff', 'clock', 'cloud', 'clover', 'cobra', 'comet', 'copper',
+    'coral', 'cotton', 'cowboy', 'crane', 'crayon', 'cricket', 'crown', 'cyclist',
+    'daisy', 'desert', 'diamond', 'dingo', 'dolphin', 'donkey', 'dragon', 'drum',
+    'eagle', 'easel', 'echo', 'elbow', 'ember', 'engine', 'falcon', 'feather',
+    'fern', 'ferry', 'fiddle', 'finch', 'flame', 'flute', 'forest', 'fossil',
+    'fountain', 'fox', 'frog', 'galaxy', 'garden', 'garlic', 'gecko', 'geyser',
+    'giant', 'ginger', 'giraffe', 'glacier', 'globe', 'goat', 'gold', 'grape',
+    'guitar', 'hammer', 'harbor', 'harp', 'hazel', 'hedge', 'helmet', 'heron',
+    'hippo', 'honey', 'hornet', 'husky', 'igloo', 'island', 'ivory', 'jacket',
+    'jaguar', 'jelly', 'jungle', 'kayak', 'kettle', 'kitten', 'koala', 'ladder',
+    'lagoon', 'lantern', 'lemon', 'leopard', 'lettuce', 'lily', 'lion', 'lizard',
+    'llama', 'lobster', 'locket', 'lotus', 'magnet', 'mango', 'maple', 'marble',
+    'meadow', 'melon', 'mirror', 'mitten', 'monkey', 'moose', 'mosaic', 'mountain',
+    'muffin', 'napkin', 'nectar', 'needle', 'nickel', 'noodle', 'nutmeg', 'oasis',
+    'ocean', 'olive', 'onion', 'orange', 'orbit', 'orchid', 'otter', 'owl',
+    'paddle', 'palace', 'panda', 'parrot', 'peach', 'peanut', 'pebble', 'pelican',
+    'pencil', 'penguin', 'pepper', 'piano', 'pickle', 'pilot', 'pine', 'planet',
+    'plum', 'pocket', 'pony', 'potato', 'prism', 'puffin', 'pumpkin', 'puzzle',
+    'quartz', 'quill', 'rabbit', 'radio', 'raven', 'reef', 'ribbon', 'river',
+    'robot', 'rocket', 'rose', 'saddle', 'salmon', 'sandal', 'saturn', 'shark',
+    'shell', 'silver', 'sketch', 'sloth', 'snail', 'spider', 'spoon', 'squid',
+    'statue', 'storm', 'sugar', 'summit', 'sunset', 'swan', 'table', 'tango',
+    'teapot', 'temple', 'thunder', 'tiger', 'tomato', 'torch', 'tractor', 'trumpet',
+    'tulip', 'tunnel', 'turtle', 'umbrella', 'valley', 'velvet', 'violin', 'volcano',
+    'waffle', 'walnut', 'walrus', 'whale', 'willow', 'window', 'wizard', 'zebra',
+];
+
+const CLASSIC_PATTERN = /^[A-Z]{4}-\d{4}$/;
+const WORDS_PATTERN = /^[a-z]+(?:-[a-z]+){1,5}-\d{2}$/;
+
+/**
+ * Check whether a normalised value has the shape of a P2P code, in either format.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isP2PCodeLike = (value) => CLASSIC_PATTERN.test(value) || WORDS_PATTERN.test(value);
+
+/**
+ * Normalise user input to the canonical form of a code: whitespace removed,
+ * classic codes uppercase and word codes lowercase.
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeP2PCode = (value) => {
+    const compact = String(value || '').replace(/\s+/g, '');
+    return CLASSIC_PATTERN.test(compact.toUpperCase()) ? compact.toUpperCase() : compact.toLowerCase();
+};
+
+/**
+ * Generate a random code.
+ * @param {'classic'|'words'} format
+ * @param {number} wordCount - Words in a `words` code
+ * @returns {string}
+ */
+const generateP2PCode = (format, wordCount) => {
+    if (format === 'words') {
+        const words = Array.from({ length: wordCount }, () => CODE_WORDS[crypto.randomInt(CODE_WORDS.length)]);
+        return `${words.join('-')}-${String(crypto.randomInt(100)).padStart(2, '0')}`;
+    }
+    let letters = '';
+    for (let i = 0; i < 4; i++) letters += CLASSIC_LETTERS[crypto.randomInt(CLASSIC_LETTERS.length)];
+    return `${letters}-${String(crypto.randomInt(10000)).padStart(4, '0')}`;
+};
+
+/**
+ * In-memory registry of the peer IDs the signalling server will accept.
+ * An ID stays reserved while its peer is connected, and for `ttlMs` before the peer
+ * first connects and after it disconnects (so a sender can reconnect with the same code).
+ * @param {object} options
+ * @param {'classic'|'words'} options.format - Format of issued codes
+ * @param {number} options.wordCount - Words in a `words` code
+ * @param {number} options.ttlMs - How long an unused reservation lasts
+ * @returns {object} Code registry
+ */
+const createP2PCodeRegistry = ({ format, wordCount, ttlMs }) => {
+    // Peer ID -> { expiresAt, connected }
+    const entries = new Map();
+
+    const reserve = (id) => {
+        entries.set(id, { expiresAt: Date.now() + ttlMs, connected: false });
+        return id;
+    };
+
+    return {
+        /**
+         * Issue a fresh code that no other peer holds.
+         * @returns {{ code: string, expiresAt: number }}
+         */
+        issue() {
+            let code = generateP2PCode(format, wordCount);
+            while (entries.has(code)) code = generateP2PCode(format, wordCount);
+            reserve(code);
+            return { code, expiresAt: entries.get(code).expiresAt };
+        },
+
+        /**
+         * Reserve an ID the signalling server generated itself (receivers ask it for one).
+         * @param {string} id
+         * @returns {string} The same ID
+         */
+        reserve,
+
+        /**
+         * Whether a peer may register with this ID.
+         * @param {string} id
+         * @returns {boolean}
+         */
+        isAllowed(id) {
+            const entry = entries.get(id);
+            return Boolean(entry) && (entry.connected || entry.expiresAt > Date.now());
+        },
+
+        /** @param {string} id - Peer ID that finished registering */
+        connected(id) {
+            const entry = entries.get(id);
+            if (entry) entry.connected = true;
+        },
+
+        /** @param {string} id - Peer ID whose signalling connection closed */
+        disconnected(id) {
+            const entry = entries.get(id);
+            if (!entry) return;
+            entry.connected = false;
+            entry.expiresAt = Date.now() + ttlMs;
+        },
+
+        /** Forget reservations that expired unused. */
+        sweep() {
+            const now = Date.now();
+            for (const [id, entry] of entries) {
+                if (!entry.connected && entry.expiresAt <= now) entries.delete(id);
+            }
+        },
+    };
+};
+
+module.exports = {
+    P2P_CODE_FORMATS,
+    CODE_WORDS,
+    isP2PCodeLike,
+    normalizeP2PCode,
+    generateP2PCode,
+    createP2PCodeRegistry,
+};
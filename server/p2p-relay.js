@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+/**
+ * WebSocket relay for direct transfers whose peers cannot reach each other over WebRTC
+ * (e.g. both behind symmetric NAT, with no TURN server).
+ *
+ * A sender listens on its code (`?listen=CODE&token=TOKEN`, with the token it registered
+ * the code with on the signalling server). When a receiver connects to that code
+ * (`?connect=CODE`), the sender is told a relay ID and opens a socket for it (`?accept=ID`).
+ * The two sockets are then piped together. Every binary frame is one BinaryPack-encoded
+ * DGDTP message; the relay forwards frames without reading them, and file data inside
+ * them is end-to-end encrypted by DGDTP. Text frames carry the relay's own JSON notices.
+ */
+
+// Close codes sent to relay clients
+const CLOSE_FORBIDDEN = 4403;
+const CLOSE_NOT_FOUND = 4404;
+const CLOSE_TIMEOUT = 4408;
+const CLOSE_CONFLICT = 4409;
+const CLOSE_LIMIT = 4413;
+
+// How long a receiver waits for its sender to accept
+const ACCEPT_TIMEOUT_MS = 15000;
+
+// Stop reading from one end while this much is still queued for the other
+const MAX_QUEUED_BYTES = 4 * 1024 * 1024;
+
+// Keeps idle sockets open through proxies that drop quiet connections
+const PING_INTERVAL_MS = 30000;
+
+/**
+ * Create the relay. Upgrades for the relay path are handed to `handleUpgrade`.
+ * @param {object} options
+ * @param {number} options.maxBytes - Bytes one listening sender may relay in total, across all its connections (0 = unlimited)
+ * @param {number} options.bytesPerSecond - Speed limit for each direction of a relayed connection (0 = unlimited)
+ * @param {number} options.maxPayload - Largest frame accepted, in bytes
+ * @param {(code: string, token: string | null) => boolean} options.canListen - Whether the sender holding a token may listen on a code
+ * @param {(bytes: number) => void} [options.onRelayedBytes] - Called with each forwarded frame's size
+ * @returns {object} Relay
+ */
+const createP2PRelay = ({ maxBytes, bytesPerSecond, maxPayload, canListen, onRelayedBytes }) => {
+    const wss = new WebSocketServer({ noServer: true, maxPayload });
+    // Code -> { ws, bytes } for each listening sender. Bytes count towards the sender's limit,
+    // so reconnecting receivers can't reset it.
+    const listeners = new Map();
+    // Relay ID -> { receiver, listener, timer } awaiting the sender's accept
+    const pending = new Map();
+    let activeRelays = 0;
+
+    const notify = (ws, message) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    // Forward binary frames from one end to the other, within the speed limit
+    const forward = (from, to, relay) => {
+        let readyAt = 0;
+        let resumeTimer = null;
+
+        const throttle = () => {
+            if (resumeTimer || relay.closed) return;
+            const speedWait = bytesPerSecond > 0 ? readyAt - Date.now() : 0;
+            const wait = to.bufferedAmount > MAX_QUEUED_BYTES ? Math.max(speedWait, 50) : speedWait;
+            if (wait <= 0) return;
+            from.pause();
+            resumeTimer = setTimeout(() => {
+                resumeTimer = null;
+                from.resume();
+                throttle();
+            }, wait);
+        };
+
+        from.on('message', (data, isBinary) => {
+            if (!isBinary || relay.closed) return;
+            relay.listener.bytes += data.length;
+            if (maxBytes > 0 && relay.listener.bytes > maxBytes) {
+                relay.close(CLOSE_LIMIT, 'Relay byte limit reached.');
+                return;
+            }
+            to.send(data, { binary: true });
+            onRelayedBytes?.(data.length);
+            if (bytesPerSecond > 0) readyAt = Math.max(readyAt, Date.now()) + (data.length * 1000) / bytesPerSecond;
+            throttle();
+        });
+        from.on('close', () => {
+            clearTimeout(resumeTimer);
+            relay.close(1000, 'The other peer left the relay.');
+        });
+    };
+
+    const pipe = (receiver, sender, listener) => {
+        activeRelays++;
+        const relay = {
+            listener,
+            closed: false,
+            close(code, reason) {
+                if (relay.closed) return;
+                relay.closed = true;
+                activeRelays--;
+                receiver.close(code, reason);
+                sender.close(code, reason);
+            },
+        };
+        forward(receiver, sender, relay);
+        forward(sender, receiver, relay);
+        notify(receiver, { type: 'open' });
+        notify(sender, { type: 'open' });
+    };
+
+    const listen = (ws, code, token) => {
+        if (!canListen(code, token)) {
+            ws.close(CLOSE_FORBIDDEN, 'Only the peer registered with this code can listen on it.');
+            return;
+        }
+        if (listeners.has(code)) {
+            ws.close(CLOSE_CONFLICT, 'Code is already listening on the relay.');
+            return;
+        }
+        const listener = { ws, bytes: 0 };
+        listeners.set(code, listener);
+        ws.on('close', () => {
+            if (listeners.get(code) === listener) listeners.delete(code);
+        });
+    };
+
+    const connect = (ws, code) => {
+        const listener = listeners.get(code);
+        if (!listener) {
+            ws.close(CLOSE_NOT_FOUND, 'No sender is listening on this code.');
+            return;
+        }
+        const id = crypto.randomUUID();
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            ws.close(CLOSE_TIMEOUT, 'The sender did not answer.');
+        }, ACCEPT_TIMEOUT_MS);
+        pending.set(id, { receiver: ws, listener, timer });
+        ws.on('close', () => {
+            if (pending.get(id)?.receiver !== ws) return;
+            clearTimeout(timer);
+            pending.delete(id);
+        });
+        notify(listener.ws, { type: 'connection', id });
+    };
+
+    const accept = (ws, id) => {
+        const entry = pending.get(id);
+        if (!entry) {
+            ws.close(CLOSE_NOT_FOUND, 'Unknown relay connection.');
+            return;
+        }
+        clearTimeout(entry.timer);
+        pending.delete(id);
+        pipe(entry.receiver, ws, entry.listener);
+    };
+
+    setInterval(() => {
+        for (const ws of wss.clients) ws.ping();
+    }, PING_INTERVAL_MS).unref();
+
+    return {
+        /**
+         * Take over an HTTP upgrade request for the relay path.
+         * @param {import('http').IncomingMessage} req
+         * @param {import('stream').Duplex} socket
+         * @param {Buffer} head
+         * @param {URL} url - Parsed request URL
+         */
+        handleUpgrade(req, socket, head, url) {
+            const params = url.searchParams;
+            wss.handleUpgrade(req, socket, head, (ws) => {
+                ws.on('error', () => ws.terminate());
+                if (params.has('listen')) listen(ws, params.get('listen'), params.get('token'));
+                else if (params.has('connect')) connect(ws, params.get('connect'));
+                else if (params.has('accept')) accept(ws, params.get('accept'));
+                else ws.close(CLOSE_NOT_FOUND, 'Unknown relay request.');
+            });
+        },
+
+        /** Connections currently being relayed. */
+        get activeRelays() {
+            return activeRelays;
+        },
+    };
+};
+
+module.exports = { createP2PRelay };
@@ -0,0 +1,239 @@
+const $ = (id) => document.getElementById(id);
+
+const els = {
+  statusAlert: $('statusAlert'),
+  loginCard: $('login-card'),
+  loginForm: $('login-form'),
+  tokenInput: $('admin-token'),
+  dashboard: $('dashboard'),
+  refreshButton: $('refresh-button'),
+  logoutButton: $('logout-button'),
+
+  statStorage: $('stat-storage'),
+  statStorageBar: $('stat-storage-bar'),
+  statReserved: $('stat-reserved'),
+  statRecords: $('stat-records'),
+  statSessions: $('stat-sessions'),
+  statPeers: $('stat-peers'),
+
+  filesTable: $('files-table'),
+  bundlesTable: $('bundles-table'),
+  uploadsTable: $('uploads-table'),
+};
+
+// The token lives in sessionStorage so it is forgotten when the tab closes.
+const TOKEN_KEY = 'dropgate-admin-token';
+
+class AuthError extends Error { }
+
+function showAlert(text, type = 'info', timeoutMs = 4500) {
+  const el = els.statusAlert;
+  el.textContent = String(text || '');
+  el.className = `alert alert-${type} shadow-sm`;
+  el.hidden = false;
+  if (timeoutMs > 0) {
+    const snap = el.textContent;
+    setTimeout(() => {
+      if (el.textContent === snap) el.hidden = true;
+    }, timeoutMs);
+  }
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return 'Unknown';
+  if (bytes === 0) return '0 bytes';
+  const k = 1000;
+  const sizes = ['bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  const v = bytes / Math.pow(k, i);
+  return `${v.toFixed(v < 10 && i > 0 ? 2 : 1)} ${sizes[i]}`;
+}
+
+function formatDate(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toLocaleString() : 'Never';
+}
+
+function formatDownloads(record) {
+  return record.maxDownloads > 0 ? `${record.downloadCount} / ${record.maxDownloads}` : `${record.downloadCount} / Unlimited`;
+}
+
+async function adminFetch(path, options = {}) {
+  const res = await fetch(`/admin/api${path}`, {
+    ...options,
+    headers: { Accept: 'application/json', Authorization: `Bearer ${sessionStorage.getItem(TOKEN_KEY) || ''}` },
+  });
+  const json = await res.json().catch(() => null);
+  if (res.status === 401) throw new AuthError(json?.error || 'Invalid admin token.');
+  if (!res.ok) throw new Error(json?.error || `Request failed (status ${res.status}).`);
+  return json;
+}
+
+/**
+ * Build a table cell. Names come from uploaders, so they are only ever set as text.
+ */
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+function nameCell(name, isEncrypted, id) {
+  const td = document.createElement('td');
+  const label = document.createElement('div');
+  if (isEncrypted) {
+    label.className = 'text-body-secondary fst-italic';
+    label.textContent = 'Encrypted';
+  } else {
+    label.className = 'text-break';
+    label.textContent = name || 'Unnamed';
+  }
+  td.appendChild(label);
+  if (id) {
+    const idEl = document.createElement('div');
+    idEl.className = 'record-id text-break';
+    idEl.textContent = id;
+    td.appendChild(idEl);
+  }
+  return td;
+}
+
+function deleteCell(onDelete) {
+  const td = document.createElement('td');
+  td.className = 'text-end';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-outline-danger btn-sm';
+  button.textContent = 'Delete';
+  button.addEventListener('click', onDelete);
+  td.appendChild(button);
+  return td;
+}
+
+function emptyRow(tbody, colSpan, text) {
+  const tr = document.createElement('tr');
+  const td = cell(text, 'text-body-secondary text-center');
+  td.colSpan = colSpan;
+  tr.appendChild(td);
+  tbody.replaceChildren(tr);
+}
+
+async function deleteRecord(kind, id) {
+  const what = kind === 'files' ? 'file' : 'bundle';
+  if (!confirm(`Delete this ${what}? This cannot be undone.`)) return;
+  try {
+    await adminFetch(`/${kind}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    showAlert(`Deleted the ${what}.`, 'success');
+    await refresh();
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+function renderStats(stats) {
+  const upload = stats.upload;
+  if (upload.enabled && els.statStorage) {
+    const max = upload.maxStorageBytes;
+    els.statStorage.textContent = max ? `${formatBytes(upload.diskUsageBytes)} / ${formatBytes(max)}` : formatBytes(upload.diskUsageBytes);
+    els.statStorageBar.style.width = max ? `${Math.min(100, (upload.diskUsageBytes / max) * 100)}%` : '0%';
+    els.statReserved.textContent = `${formatBytes(upload.reservedBytes)} reserved by uploads in progress`;
+    els.statRecords.textContent = `${upload.fileCount} files, ${upload.bundleCount} bundles`;
+    els.statSessions.textContent = `${upload.ongoingUploads} uploads and ${upload.ongoingBundles} bundles in progress`;
+  }
+  if (stats.p2p.enabled && els.statPeers) {
+    els.statPeers.textContent = String(stats.p2p.connectedPeers);
+  }
+}
+
+function renderFiles(files) {
+  if (files.length === 0) return emptyRow(els.filesTable, 6, 'No stored files.');
+  els.filesTable.replaceChildren(...files.map((f) => {
+    const tr = document.createElement('tr');
+    tr.append(
+      nameCell(f.name, f.isEncrypted, f.fileId),
+      cell(formatBytes(f.sizeBytes)),
+      cell(formatDate(f.uploadedAt)),
+      cell(formatDate(f.expiresAt)),
+      cell(formatDownloads(f)),
+      deleteCell(() => deleteRecord('files', f.fileId)),
+    );
+    return tr;
+  }));
+}
+
+function renderBundles(bundles) {
+  if (bundles.length === 0) return emptyRow(els.bundlesTable, 6, 'No stored bundles.');
+  els.bundlesTable.replaceChildren(...bundles.map((b) => {
+    const tr = document.createElement('tr');
+    tr.append(
+      nameCell(b.sealed ? null : 'Bundle', b.sealed, b.bundleId),
+      cell(b.sealed ? 'Sealed' : String(b.fileCount)),
+      cell(b.sealed ? 'Sealed' : formatBytes(b.totalSizeBytes)),
+      cell(formatDate(b.expiresAt)),
+      cell(formatDownloads(b)),
+      deleteCell(() => deleteRecord('bundles', b.bundleId)),
+    );
+    return tr;
+  }));
+}
+
+function renderUploads(uploads) {
+  if (uploads.length === 0) return emptyRow(els.uploadsTable, 4, 'No uploads in progress.');
+  els.uploadsTable.replaceChildren(...uploads.map((u) => {
+    const tr = document.createElement('tr');
+    tr.append(
+      nameCell(u.name, u.isEncrypted),
+      cell(formatBytes(u.totalSize)),
+      cell(`${u.receivedChunks} / ${u.totalChunks} chunks${u.inBundle ? ' (bundle)' : ''}`),
+      cell(formatDate(u.expiresAt)),
+    );
+    return tr;
+  }));
+}
+
+function handleError(err) {
+  if (err instanceof AuthError) {
+    sessionStorage.removeItem(TOKEN_KEY);
+    els.dashboard.hidden = true;
+    els.loginCard.hidden = false;
+  }
+  showAlert(err.message, 'danger');
+}
+
+async function refresh() {
+  try {
+    const stats = await adminFetch('/stats');
+    renderStats(stats);
+    if (stats.upload.enabled) {
+      const [{ files }, { bundles }, { uploads }] = await Promise.all([
+        adminFetch('/files'),
+        adminFetch('/bundles'),
+        adminFetch('/uploads'),
+      ]);
+      renderFiles(files);
+      renderBundles(bundles);
+      renderUploads(uploads);
+    }
+    els.loginCard.hidden = true;
+    els.dashboard.hidden = false;
+  } catch (err) {
+    handleError(err);
+  }
+}
+
+els.loginForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  sessionStorage.setItem(TOKEN_KEY, els.tokenInput.value.trim());
+  els.tokenInput.value = '';
+  refresh();
+});
+
+els.refreshButton.addEventListener('click', refresh);
+
+els.logoutButton.addEventListener('click', () => {
+  sessionStorage.removeItem(TOKEN_KEY);
+  els.dashboard.hidden = true;
+  els.loginCard.hidden = false;
+});
+
+if (sessionStorage.getItem(TOKEN_KEY)) refresh();
@@ -1,5 +1,6 @@
 import { DropgateClient, decryptFilenameFromBase64 } from './dropgate-core.js';
 import { setStatusError, setStatusSuccess, StatusType, Icons, updateStatusCard } from './status-card.js';
+import { promptForPassphrase } from './passphrase-prompt.js';
 
 const statusTitle = document.getElementById('status-title');
 const statusMessage = document.getElementById('status-message');
@@ -26,6 +27,7 @@ const client = new DropgateClient({ clientVersion: '3.0.9', server: location.ori
 const bundleState = {
   bundleId: null,
   isEncrypted: false,
+  sealed: false,
   keyB64: null,
   filenames: [],
   files: [],
@@ -34,6 +36,20 @@ const bundleState = {
 
 let fileListVisible = false;
 
+// Single files of a sealed bundle are downloaded with a ticket for the bundle. One ticket
+// covers every file downloaded while it is fresh, so they count as one download of the bundle.
+// The server keeps an unused ticket for two minutes.
+const BUNDLE_TICKET_REUSE_MS = 60 * 1000;
+let bundleTicket = null;
+
+async function getBundleTicket() {
+  if (!bundleTicket || Date.now() - bundleTicket.lastUsedAt > BUNDLE_TICKET_REUSE_MS) {
+    const { ticket } = await client.requestBundleTicket(bundleState.bundleId, bundleState.keyB64);
+    bundleTicket = { ticket, lastUsedAt: Date.now() };
+  }
+  return bundleTicket;
+}
+
 function showError(title, message) {
   setStatusError({
     card,
@@ -191,13 +207,17 @@ async function downloadSingleFile(index, dlBtn) {
   }
 
   // Stream download via dropgate-core (both plaintext and encrypted)
+  let ticket = null;
   try {
+    if (bundleState.sealed) ticket = await getBundleTicket();
+
     const fileStream = streamSaver.createWriteStream(name, size ? { size } : undefined);
     const writer = fileStream.getWriter();
 
     await client.downloadFiles({
       fileId,
       keyB64: bundleState.keyB64,
+      ...(ticket ? { ticket: ticket.ticket } : {}),
       timeoutMs: 0,
       onProgress: ({ percent, processedBytes, totalBytes }) => {
         if (fileProgressBar) fileProgressBar.style.width = `${percent}%`;
@@ -222,6 +242,7 @@ async function downloadSingleFile(index, dlBtn) {
       fileProgressText.classList.add('text-danger');
     }
   } finally {
+    if (ticket) ticket.lastUsedAt = Date.now();
     if (dlBtn) dlBtn.disabled = false;
   }
 }
@@ -356,6 +377,27 @@ async function loadMetadata() {
     const hash = window.location.hash.substring(1);
     bundleState.keyB64 = hash || null;
 
+    // Passphrase-protected links carry no key, so unwrap it before reading the metadata
+    if (!bundleState.keyB64) {
+      const keyProtection = await client.getKeyProtection({ bundleId });
+      if (keyProtection) {
+        if (!window.isSecureContext) {
+          showError('Secure Connection Required', 'Encrypted bundles can only be downloaded over HTTPS.');
+          return;
+        }
+        bundleState.keyB64 = await promptForPassphrase({
+          client,
+          keyProtection,
+          card,
+          iconContainer,
+          titleEl: statusTitle,
+          messageEl: statusMessage,
+        });
+        statusTitle.textContent = 'Preparing your download...';
+        statusMessage.textContent = 'Fetching bundle information.';
+      }
+    }
+
     // Use core library to fetch and process bundle metadata
     const meta = await client.getBundleMetadata(bundleId, bundleState.keyB64);
 
@@ -382,6 +424,7 @@ async function loadMetadata() {
       // For sealed bundles, filenames are already decrypted by the core library
       // For unsealed bundles, decrypt individual filenames
       if (meta.sealed) {
+        bundleState.sealed = true;
         bundleState.files = meta.files.map(f => ({
           fileId: f.fileId,
           sizeBytes: f.sizeBytes,
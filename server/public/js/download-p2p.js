@@ -19,6 +19,9 @@ const elP2PFileListContainer = document.getElementById('p2p-file-list-container'
 const elP2PToggleFileList = document.getElementById('p2p-toggle-file-list');
 const elP2PFileList = document.getElementById('p2p-file-list');
 const elP2PFileListItems = document.getElementById('p2p-file-list-items');
+const elVerification = document.getElementById('p2p-verification');
+const elVerificationEmoji = document.getElementById('p2p-verification-emoji');
+const elVerificationWords = document.getElementById('p2p-verification-words');
 const card = document.getElementById('status-card');
 const iconContainer = document.getElementById('icon-container');
 
@@ -34,6 +37,7 @@ let zipWriter = null;
 let isMultiFile = false;
 let fileCount = 0;
 let pendingSendReady = null;
+let offeredFiles = [];
 let fileName = null;
 let p2pSession = null;
 let p2pFileListVisible = false;
@@ -41,20 +45,30 @@ let p2pFileListVisible = false;
 function buildP2PFileList(files) {
   if (!elP2PFileListItems || !elP2PFileListContainer) return;
   elP2PFileListItems.innerHTML = '';
-  for (const f of files) {
+  files.forEach((f, i) => {
     const li = document.createElement('li');
     li.className = 'list-group-item d-flex justify-content-between align-items-center py-2';
+    const label = document.createElement('label');
+    label.className = 'form-check-label d-flex align-items-center text-truncate me-2';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input flex-shrink-0 mt-0 me-2';
+    checkbox.checked = true;
+    checkbox.dataset.fileIndex = String(i);
+    checkbox.addEventListener('change', updateP2PSelection);
     const nameSpan = document.createElement('span');
-    nameSpan.className = 'text-truncate me-2';
+    nameSpan.className = 'text-truncate';
     nameSpan.textContent = f.name;
     nameSpan.title = f.name;
+    label.appendChild(checkbox);
+    label.appendChild(nameSpan);
     const sizeSpan = document.createElement('span');
     sizeSpan.className = 'text-body-secondary small flex-shrink-0';
     sizeSpan.textContent = formatBytes(f.size);
-    li.appendChild(nameSpan);
+    li.appendChild(label);
     li.appendChild(sizeSpan);
     elP2PFileListItems.appendChild(li);
-  }
+  });
   elP2PFileListContainer.style.display = 'block';
 
   elP2PToggleFileList?.addEventListener('click', () => {
@@ -66,6 +80,35 @@ function buildP2PFileList(files) {
   });
 }
 
+// Indices of the files ticked in the preview list
+function getSelectedFileIndices() {
+  return [...elP2PFileListItems.querySelectorAll('input[type="checkbox"]')]
+    .filter((checkbox) => checkbox.checked)
+    .map((checkbox) => Number(checkbox.dataset.fileIndex));
+}
+
+// Reflect the ticked files in the preview's file count and size
+function updateP2PSelection() {
+  const selected = getSelectedFileIndices();
+  const selectedSize = selected.reduce((sum, i) => sum + offeredFiles[i].size, 0);
+  elFileName.textContent = selected.length === offeredFiles.length
+    ? offeredFiles.length
+    : `${selected.length} of ${offeredFiles.length}`;
+  elFileSize.textContent = formatBytes(selectedSize);
+  elDownloadBtn.disabled = selected.length === 0;
+}
+
+// Mark a file in the list as having passed its integrity check
+function markP2PFileVerified(fileIndex) {
+  const sizeSpan = elP2PFileListItems?.children[fileIndex]?.lastElementChild;
+  if (!sizeSpan) return;
+  const badge = document.createElement('span');
+  badge.className = 'text-success ms-2';
+  badge.title = 'Integrity verified';
+  badge.innerHTML = '<span class="material-icons-round" style="font-size: 1rem; vertical-align: middle;">verified</span>';
+  sizeSpan.appendChild(badge);
+}
+
 // Title progress tracking
 const originalTitle = document.title;
 let currentTransferProgress = null; // { percent, received, total }
@@ -124,6 +167,7 @@ const showError = (title, message) => {
   });
   elMeta.hidden = true;
   elFileDetails.style.display = 'none';
+  elVerification.style.display = 'none';
   elDownloadBtn.style.display = 'none';
   elProgressContainer.style.display = 'none';
   elActions.hidden = false;
@@ -152,6 +196,26 @@ async function loadPeerJS() {
 function startDownload() {
   if (!pendingSendReady) return;
 
+  // Narrow a multi-file transfer down to the ticked files
+  let selection;
+  if (isMultiFile) {
+    const selected = getSelectedFileIndices();
+    if (!selected.length) return;
+    elP2PFileListItems.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+      checkbox.disabled = true;
+    });
+    if (selected.length < offeredFiles.length) {
+      selection = selected;
+      fileCount = selected.length;
+      total = selected.reduce((sum, i) => sum + offeredFiles[i].size, 0);
+      // A single file is saved as-is rather than zipped
+      if (fileCount === 1) {
+        isMultiFile = false;
+        fileName = offeredFiles[selected[0]].name;
+      }
+    }
+  }
+
   elDownloadBtn.style.display = 'none';
   elProgressContainer.style.display = 'block';
   elCancelBtn.style.display = 'inline-block';
@@ -190,7 +254,7 @@ function startDownload() {
   };
 
   // Signal the sender that we're ready to receive
-  pendingSendReady();
+  pendingSendReady(selection);
   pendingSendReady = null;
 }
 
@@ -223,10 +287,36 @@ async function start() {
       code,
       Peer,
       autoReady: false, // We want to show preview before starting transfer
-      onStatus: () => {
+      onStatus: ({ phase, message }) => {
+        // The connection dropped mid-transfer and is being resumed
+        if (phase === 'reconnecting' || phase === 'resumed') {
+          const reconnecting = phase === 'reconnecting';
+          updateStatusCard({
+            card,
+            iconContainer,
+            titleEl: elTitle,
+            messageEl: elMsg,
+            status: reconnecting ? StatusType.WARNING : StatusType.PRIMARY,
+            icon: reconnecting ? Icons.SYNC_PROBLEM : Icons.SYNC,
+            title: reconnecting ? 'Reconnecting...' : 'Receiving...',
+            message: reconnecting ? message : 'Keep this tab open until the transfer completes.',
+          });
+          return;
+        }
+        // No direct connection; retrying through the server's relay
+        if (phase === 'relay') {
+          elMsg.textContent = message;
+          return;
+        }
         elTitle.textContent = 'Connected';
         elMsg.textContent = 'Waiting for file details...';
       },
+      onVerificationCode: ({ emoji, words }) => {
+        // Short authentication string from the key exchange; the sender sees the same one
+        elVerificationEmoji.textContent = emoji;
+        elVerificationWords.textContent = words;
+        elVerification.style.display = 'block';
+      },
       onMeta: ({ name, total: nextTotal, sendReady, fileCount: metaFileCount, files, totalSize }) => {
         total = totalSize || nextTotal;
         received = 0;
@@ -239,7 +329,9 @@ async function start() {
 
         // Show file preview
         elTitle.textContent = 'Ready to Transfer';
-        elMsg.textContent = 'Review the file details below, then click Start Transfer.';
+        elMsg.textContent = isMultiFile
+          ? 'Review the files below and untick any you don\'t need, then click Start Transfer.'
+          : 'Review the file details below, then click Start Transfer.';
 
         elFileName.textContent = isMultiFile ? fileCount : name;
         elFileNameLabel.textContent = isMultiFile ? 'Files' : 'File name';
@@ -249,6 +341,7 @@ async function start() {
 
         // Build collapsible file list for multi-file transfers
         if (isMultiFile && files && files.length) {
+          offeredFiles = files;
           buildP2PFileList(files);
         }
 
@@ -264,11 +357,12 @@ async function start() {
           zipWriter.startFile(name);
         }
       },
-      onFileEnd: () => {
+      onFileEnd: ({ fileIndex, verified }) => {
         // End the current file entry in the ZIP writer (multi-file only)
         if (zipWriter) {
           zipWriter.endFile();
         }
+        if (verified) markP2PFileVerified(fileIndex);
       },
       onData: async (chunk) => {
         if (zipWriter) {
@@ -287,7 +381,7 @@ async function start() {
         if (nextTotal > 0) total = nextTotal;
         setProgress();
       },
-      onComplete: async () => {
+      onComplete: async ({ verified }) => {
         transferCompleted = true;
         resetTitleProgress();
 
@@ -315,11 +409,12 @@ async function start() {
           titleEl: elTitle,
           messageEl: elMsg,
           title: 'Transfer Complete',
-          message: 'Success!',
+          message: verified ? 'Success! Integrity verified.' : 'Success!',
         });
         elMeta.textContent = `The ${isMultiFile ? `${fileCount} files have` : 'file has'} been saved to your downloads.`;
         elMeta.hidden = false;
         elFileDetails.style.display = 'none';
+        elVerification.style.display = 'none';
         elCancelBtn.style.display = 'none';
         p2pSession = null;
       },
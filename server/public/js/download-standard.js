@@ -1,5 +1,6 @@
 import { DropgateClient, importKeyFromBase64, decryptFilenameFromBase64, DEFAULT_CHUNK_SIZE, ENCRYPTION_OVERHEAD_PER_CHUNK } from './dropgate-core.js';
 import { setStatusError, setStatusSuccess, StatusType, Icons, updateStatusCard } from './status-card.js';
+import { promptForPassphrase } from './passphrase-prompt.js';
 
 const statusTitle = document.getElementById('status-title');
 const statusMessage = document.getElementById('status-message');
@@ -90,7 +91,16 @@ async function startDownload() {
   // For plain files in non-secure context, fall back to direct download
   if (!downloadState.isEncrypted && (!window.isSecureContext || !window.streamSaver?.createWriteStream)) {
     progressContainer.style.display = 'none';
-    window.location.href = `/api/file/${downloadState.fileId}`;
+    // The ticket reserves this download; the browser's own resume requests reuse it
+    let ticket;
+    try {
+      ({ ticket } = await client.requestDownloadTicket(downloadState.fileId));
+    } catch (error) {
+      console.error(error);
+      showError('Download Unavailable', error.message || 'Could not start the download.');
+      return;
+    }
+    window.location.href = `/api/file/${downloadState.fileId}?ticket=${encodeURIComponent(ticket)}`;
     setStatusSuccess({
       card,
       iconContainer,
@@ -182,7 +192,7 @@ async function loadMetadata() {
     // Convert to plaintext size by subtracting per-chunk encryption overhead.
     let displaySize = metadata.sizeBytes;
     if (metadata.isEncrypted && displaySize > 0) {
-      const encryptedChunkSize = DEFAULT_CHUNK_SIZE + ENCRYPTION_OVERHEAD_PER_CHUNK;
+      const encryptedChunkSize = (metadata.chunkSize || DEFAULT_CHUNK_SIZE) + ENCRYPTION_OVERHEAD_PER_CHUNK;
       const numChunks = Math.ceil(displaySize / encryptedChunkSize);
       displaySize = displaySize - numChunks * ENCRYPTION_OVERHEAD_PER_CHUNK;
     }
@@ -201,16 +211,26 @@ async function loadMetadata() {
         return;
       }
 
-      const hash = window.location.hash.substring(1);
-      if (!hash) {
+      let keyB64 = window.location.hash.substring(1);
+      if (!keyB64 && metadata.keyProtection) {
+        keyB64 = await promptForPassphrase({
+          client,
+          keyProtection: metadata.keyProtection,
+          card,
+          iconContainer,
+          titleEl: statusTitle,
+          messageEl: statusMessage,
+        });
+      }
+      if (!keyB64) {
         showError('Missing Decryption Key', 'The decryption key was not found in the URL.');
         return;
       }
 
-      downloadState.keyB64 = hash;
+      downloadState.keyB64 = keyB64;
 
       // Use dropgate-core to decrypt the filename for display
-      const key = await importKeyFromBase64(crypto, hash);
+      const key = await importKeyFromBase64(crypto, keyB64);
       downloadState.fileName = await decryptFilenameFromBase64(crypto, metadata.encryptedFilename, key);
     } else {
       downloadState.fileName = metadata.filename;
@@ -7,6 +7,12 @@ var DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
 var AES_GCM_IV_BYTES = 12;
 var AES_GCM_TAG_BYTES = 16;
 var ENCRYPTION_OVERHEAD_PER_CHUNK = AES_GCM_IV_BYTES + AES_GCM_TAG_BYTES;
+var E2EE_FORMAT_VERSION = 3;
+var PASSPHRASE_KDF_ITERATIONS = 6e5;
+var MIN_PASSPHRASE_KDF_ITERATIONS = 1e5;
+var MAX_PASSPHRASE_KDF_ITERATIONS = 1e7;
+var PASSPHRASE_SALT_BYTES = 16;
+var MIN_PASSPHRASE_LENGTH = 8;
 var MAX_IN_MEMORY_DOWNLOAD_BYTES = 100 * 1024 * 1024;
 
 // src/errors.ts
@@ -33,8 +39,73 @@ var DropgateNetworkError = class extends DropgateError {
 var DropgateProtocolError = class extends DropgateError {
   constructor(message, opts = {}) {
     super(message, { ...opts, code: opts.code || "PROTOCOL_ERROR" });
+    /** HTTP status of the failed response, if the server answered. */
+    __publicField(this, "status");
+    /** How long the server asked the client to wait before retrying, in milliseconds. */
+    __publicField(this, "retryAfterMs");
+    this.status = opts.status;
+    this.retryAfterMs = opts.retryAfterMs;
   }
 };
+var DropgateCapacityError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "STORAGE_FULL" });
+  }
+};
+var DropgateQuotaError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "QUOTA_EXCEEDED" });
+  }
+};
+var DropgateFileTooLargeError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "FILE_TOO_LARGE" });
+  }
+};
+var DropgateLimitError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "LIFETIME_NOT_ALLOWED" });
+  }
+};
+var DropgateE2EEUnsupportedError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "E2EE_UNSUPPORTED" });
+  }
+};
+var DropgateSessionExpiredError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "SESSION_EXPIRED" });
+  }
+};
+var DropgateIntegrityError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "INTEGRITY_FAILED" });
+  }
+};
+var DropgateRateLimitError = class extends DropgateProtocolError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, code: opts.code || "RATE_LIMITED" });
+  }
+};
+var SERVER_ERROR_CLASSES = {
+  STORAGE_FULL: DropgateCapacityError,
+  QUOTA_EXCEEDED: DropgateQuotaError,
+  FILE_TOO_LARGE: DropgateFileTooLargeError,
+  LIFETIME_NOT_ALLOWED: DropgateLimitError,
+  DOWNLOAD_LIMIT_NOT_ALLOWED: DropgateLimitError,
+  E2EE_UNSUPPORTED: DropgateE2EEUnsupportedError,
+  SESSION_EXPIRED: DropgateSessionExpiredError,
+  INTEGRITY_FAILED: DropgateIntegrityError,
+  RATE_LIMITED: DropgateRateLimitError
+};
+function errorFromResponse(body, fallbackMessage, opts = {}) {
+  const { details = body, status, retryAfterMs } = opts;
+  const json = body && typeof body === "object" ? body : null;
+  const message = typeof json?.error === "string" && json.error ? json.error : fallbackMessage;
+  const code = typeof json?.code === "string" && json.code ? json.code : void 0;
+  const ErrorClass = code && SERVER_ERROR_CLASSES[code] || DropgateProtocolError;
+  return new ErrorClass(message, { code, details, status, retryAfterMs });
+}
 var DropgateAbortError = class extends DropgateError {
   constructor(message = "Operation aborted") {
     super(message, { code: "ABORT_ERROR" });
@@ -216,23 +287,90 @@ function makeAbortSignal(parentSignal, timeoutMs) {
     }
   };
 }
+function parseJsonText(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
 async function fetchJson(fetchFn, url, opts = {}) {
   const { timeoutMs, signal, ...rest } = opts;
   const { signal: s, cleanup } = makeAbortSignal(signal, timeoutMs);
   try {
     const res = await fetchFn(url, { ...rest, signal: s });
     const text = await res.text();
-    let json = null;
-    try {
-      json = text ? JSON.parse(text) : null;
-    } catch {
-    }
-    return { res, json, text };
+    return { res, json: parseJsonText(text), text };
   } finally {
     cleanup();
   }
 }
 
+// src/utils/retry.ts
+var RETRYABLE_STATUSES = /* @__PURE__ */ new Set([408, 425, 429, 500, 502, 503, 504]);
+var FETCH_FAILURE_MESSAGE = /^(Failed to fetch|NetworkError when attempting to fetch resource\.|Load failed|fetch failed|Network request failed)$/;
+function isRetryableError(err2) {
+  if (err2 instanceof Error && err2.name === "AbortError") return false;
+  if (err2 instanceof DropgateProtocolError) {
+    return err2.status !== void 0 && RETRYABLE_STATUSES.has(err2.status);
+  }
+  if (err2 instanceof DropgateError) {
+    return err2.code === "NETWORK_ERROR" || err2.code === "TIMEOUT_ERROR";
+  }
+  return err2 instanceof TypeError && FETCH_FAILURE_MESSAGE.test(err2.message);
+}
+function parseRetryAfter(headers, now = Date.now()) {
+  const retryAfter = headers?.get("Retry-After")?.trim();
+  if (retryAfter) {
+    if (/^\d+$/.test(retryAfter)) return Number(retryAfter) * 1e3;
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) return Math.max(0, date - now);
+  }
+  const combined = headers?.get("RateLimit") || "";
+  const remaining = headers?.get("RateLimit-Remaining") ?? /\bremaining=(\d+)/.exec(combined)?.[1];
+  const reset = headers?.get("RateLimit-Reset") ?? /\breset=(\d+)/.exec(combined)?.[1];
+  if (remaining?.trim() === "0" && reset && /^\d+$/.test(reset.trim())) {
+    return Number(reset.trim()) * 1e3;
+  }
+  return void 0;
+}
+function backoffDelayMs(attempt, policy, random = Math.random) {
+  const base = Math.min(policy.backoffMs * 2 ** (attempt - 1), policy.maxBackoffMs);
+  return Math.max(0, Math.round(base * (1 + policy.jitter * (2 * random() - 1))));
+}
+function resolveRetryPolicy(opts = {}) {
+  const jitter = Number.isFinite(opts.jitter) ? Math.min(1, Math.max(0, opts.jitter)) : 0.2;
+  const policy = {
+    retries: Number.isFinite(opts.retries) ? opts.retries : 5,
+    backoffMs: Number.isFinite(opts.backoffMs) ? opts.backoffMs : 1e3,
+    maxBackoffMs: Number.isFinite(opts.maxBackoffMs) ? opts.maxBackoffMs : 3e4,
+    jitter,
+    shouldRetry: opts.shouldRetry || ((ctx) => isRetryableError(ctx.error)),
+    getDelayMs: opts.getDelayMs || ((ctx) => Math.max(backoffDelayMs(ctx.attempt, policy), ctx.retryAfterMs ?? 0))
+  };
+  return policy;
+}
+function retryContext(operation, attempt, maxRetries, error) {
+  const retryAfterMs = error instanceof DropgateProtocolError ? error.retryAfterMs : void 0;
+  return { operation, attempt, maxRetries, error, ...retryAfterMs !== void 0 ? { retryAfterMs } : {} };
+}
+async function withRetry(policy, operation, run, opts = {}) {
+  const { signal, wait } = opts;
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw signal.reason || new DropgateAbortError();
+    try {
+      return await run();
+    } catch (err2) {
+      if (signal?.aborted) throw signal.reason || new DropgateAbortError();
+      const ctx = retryContext(operation, attempt, policy.retries, err2);
+      if (attempt > policy.retries || !policy.shouldRetry(ctx)) throw err2;
+      const delayMs = policy.getDelayMs(ctx);
+      if (wait) await wait(delayMs, ctx);
+      else await sleep(delayMs, signal);
+    }
+  }
+}
+
 // src/crypto/sha256-fallback.ts
 var K = new Uint32Array([
   1116352408,
@@ -303,36 +441,82 @@ var K = new Uint32Array([
 function rotr(x, n) {
   return x >>> n | x << 32 - n;
 }
-function sha256Fallback(data) {
-  const bytes = new Uint8Array(data);
-  const bitLen = bytes.length * 8;
-  const padded = new Uint8Array(
-    Math.ceil((bytes.length + 9) / 64) * 64
-  );
-  padded.set(bytes);
-  padded[bytes.length] = 128;
-  const view = new DataView(padded.buffer);
-  view.setUint32(padded.length - 8, bitLen / 4294967296 >>> 0, false);
-  view.setUint32(padded.length - 4, bitLen >>> 0, false);
-  let h0 = 1779033703;
-  let h1 = 3144134277;
-  let h2 = 1013904242;
-  let h3 = 2773480762;
-  let h4 = 1359893119;
-  let h5 = 2600822924;
-  let h6 = 528734635;
-  let h7 = 1541459225;
-  const W = new Uint32Array(64);
-  for (let offset = 0; offset < padded.length; offset += 64) {
+var Sha256 = class {
+  constructor() {
+    // Initial hash values: first 32 bits of the fractional parts of the square roots of the first 8 primes
+    __publicField(this, "state", new Uint32Array([
+      1779033703,
+      3144134277,
+      1013904242,
+      2773480762,
+      1359893119,
+      2600822924,
+      528734635,
+      1541459225
+    ]));
+    __publicField(this, "block", new Uint8Array(64));
+    __publicField(this, "blockView", new DataView(this.block.buffer));
+    __publicField(this, "W", new Uint32Array(64));
+    __publicField(this, "blockLength", 0);
+    __publicField(this, "totalLength", 0);
+    __publicField(this, "finished", false);
+  }
+  /**
+   * Add data to the hash.
+   */
+  update(data) {
+    if (this.finished) throw new Error("SHA-256 digest has already been computed.");
+    this.totalLength += data.length;
+    let pos = 0;
+    while (pos < data.length) {
+      const take = Math.min(64 - this.blockLength, data.length - pos);
+      this.block.set(data.subarray(pos, pos + take), this.blockLength);
+      this.blockLength += take;
+      pos += take;
+      if (this.blockLength === 64) {
+        this.processBlock();
+        this.blockLength = 0;
+      }
+    }
+    return this;
+  }
+  /**
+   * Finish hashing and return the raw digest. The hash cannot be updated afterwards.
+   */
+  digest() {
+    if (this.finished) throw new Error("SHA-256 digest has already been computed.");
+    const bitLen = this.totalLength * 8;
+    this.block[this.blockLength++] = 128;
+    if (this.blockLength > 56) {
+      this.block.fill(0, this.blockLength);
+      this.processBlock();
+      this.blockLength = 0;
+    }
+    this.block.fill(0, this.blockLength);
+    this.blockView.setUint32(56, bitLen / 4294967296 >>> 0, false);
+    this.blockView.setUint32(60, bitLen >>> 0, false);
+    this.processBlock();
+    this.finished = true;
+    const result = new ArrayBuffer(32);
+    const out = new DataView(result);
+    for (let i = 0; i < 8; i++) {
+      out.setUint32(i * 4, this.state[i], false);
+    }
+    return result;
+  }
+  processBlock() {
+    const W = this.W;
+    const view = this.blockView;
     for (let i = 0; i < 16; i++) {
-      W[i] = view.getUint32(offset + i * 4, false);
+      W[i] = view.getUint32(i * 4, false);
     }
     for (let i = 16; i < 64; i++) {
       const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ W[i - 15] >>> 3;
       const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ W[i - 2] >>> 10;
       W[i] = W[i - 16] + s0 + W[i - 7] + s1 | 0;
     }
-    let a = h0, b = h1, c = h2, d = h3, e = h4, f = h5, g = h6, h = h7;
+    const H = this.state;
+    let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
     for (let i = 0; i < 64; i++) {
       const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
       const ch = e & f ^ ~e & g;
@@ -349,30 +533,22 @@ function sha256Fallback(data) {
       b = a;
       a = temp1 + temp2 | 0;
     }
-    h0 = h0 + a | 0;
-    h1 = h1 + b | 0;
-    h2 = h2 + c | 0;
-    h3 = h3 + d | 0;
-    h4 = h4 + e | 0;
-    h5 = h5 + f | 0;
-    h6 = h6 + g | 0;
-    h7 = h7 + h | 0;
-  }
-  const result = new ArrayBuffer(32);
-  const out = new DataView(result);
-  out.setUint32(0, h0, false);
-  out.setUint32(4, h1, false);
-  out.setUint32(8, h2, false);
-  out.setUint32(12, h3, false);
-  out.setUint32(16, h4, false);
-  out.setUint32(20, h5, false);
-  out.setUint32(24, h6, false);
-  out.setUint32(28, h7, false);
-  return result;
+    H[0] += a;
+    H[1] += b;
+    H[2] += c;
+    H[3] += d;
+    H[4] += e;
+    H[5] += f;
+    H[6] += g;
+    H[7] += h;
+  }
+};
+function sha256Fallback(data) {
+  return new Sha256().update(new Uint8Array(data)).digest();
 }
 
 // src/crypto/decrypt.ts
-async function importKeyFromBase64(cryptoObj, keyB64, base64) {
+async function importKeyFromBase64(cryptoObj, keyB64, base64, usages = ["decrypt"]) {
   const adapter = base64 || getDefaultBase64();
   const keyBytes = adapter.decode(keyB64);
   const keyBuffer = new Uint8Array(keyBytes).buffer;
@@ -381,14 +557,14 @@ async function importKeyFromBase64(cryptoObj, keyB64, base64) {
     keyBuffer,
     { name: "AES-GCM" },
     true,
-    ["decrypt"]
+    usages
   );
 }
-async function decryptChunk(cryptoObj, encryptedData, key) {
+async function decryptChunk(cryptoObj, encryptedData, key, additionalData) {
   const iv = encryptedData.slice(0, AES_GCM_IV_BYTES);
   const ciphertext = encryptedData.slice(AES_GCM_IV_BYTES);
   return cryptoObj.subtle.decrypt(
-    { name: "AES-GCM", iv },
+    additionalData ? { name: "AES-GCM", iv, additionalData } : { name: "AES-GCM", iv },
     key,
     ciphertext
   );
@@ -400,6 +576,32 @@ async function decryptFilenameFromBase64(cryptoObj, encryptedFilenameB64, key, b
   return new TextDecoder().decode(decryptedBuffer);
 }
 
+// src/crypto/chunk-aad.ts
+function assertUint32(value, what) {
+  if (!Number.isInteger(value) || value < 0 || value > 4294967295) {
+    throw new RangeError(`Invalid ${what}: ${value}`);
+  }
+}
+function buildChunkAad(chunkIndex, isFinal, fileIndex) {
+  assertUint32(chunkIndex, "chunk index");
+  if (fileIndex === void 0) {
+    const aad2 = new Uint8Array(6);
+    const view2 = new DataView(aad2.buffer);
+    view2.setUint8(0, 2);
+    view2.setUint32(1, chunkIndex, false);
+    view2.setUint8(5, isFinal ? 1 : 0);
+    return aad2;
+  }
+  assertUint32(fileIndex, "file index");
+  const aad = new Uint8Array(10);
+  const view = new DataView(aad.buffer);
+  view.setUint8(0, 3);
+  view.setUint32(1, fileIndex, false);
+  view.setUint32(5, chunkIndex, false);
+  view.setUint8(9, isFinal ? 1 : 0);
+  return aad;
+}
+
 // src/crypto/index.ts
 function digestToHex(hashBuffer) {
   const arr = new Uint8Array(hashBuffer);
@@ -416,6 +618,15 @@ async function sha256Hex(cryptoObj, data) {
   }
   return digestToHex(sha256Fallback(data));
 }
+function createStreamingSha256() {
+  const hash = new Sha256();
+  return {
+    update: (data) => {
+      hash.update(data);
+    },
+    digestHex: () => digestToHex(hash.digest())
+  };
+}
 async function generateAesGcmKey(cryptoObj) {
   return cryptoObj.subtle.generateKey(
     { name: "AES-GCM", length: 256 },
@@ -427,12 +638,23 @@ async function exportKeyBase64(cryptoObj, key) {
   const raw = await cryptoObj.subtle.exportKey("raw", key);
   return arrayBufferToBase64(raw);
 }
+var BUNDLE_ACCESS_KEY_INFO = "dropgate bundle access key";
+async function deriveBundleAccessKey(cryptoObj, key) {
+  const raw = await cryptoObj.subtle.exportKey("raw", key);
+  const hkdfKey = await cryptoObj.subtle.importKey("raw", raw, "HKDF", false, ["deriveBits"]);
+  const bits = await cryptoObj.subtle.deriveBits(
+    { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new TextEncoder().encode(BUNDLE_ACCESS_KEY_INFO) },
+    hkdfKey,
+    256
+  );
+  return arrayBufferToBase64(bits);
+}
 
 // src/crypto/encrypt.ts
-async function encryptToBlob(cryptoObj, dataBuffer, key) {
+async function encryptToBlob(cryptoObj, dataBuffer, key, additionalData) {
   const iv = cryptoObj.getRandomValues(new Uint8Array(AES_GCM_IV_BYTES));
   const encrypted = await cryptoObj.subtle.encrypt(
-    { name: "AES-GCM", iv },
+    additionalData ? { name: "AES-GCM", iv, additionalData } : { name: "AES-GCM", iv },
     key,
     dataBuffer
   );
@@ -445,6 +667,64 @@ async function encryptFilenameToBase64(cryptoObj, filename, key) {
   return arrayBufferToBase64(buf);
 }
 
+// src/crypto/passphrase.ts
+function assertIterations(iterations) {
+  if (!Number.isInteger(iterations) || iterations < MIN_PASSPHRASE_KDF_ITERATIONS || iterations > MAX_PASSPHRASE_KDF_ITERATIONS) {
+    throw new DropgateValidationError(
+      `Invalid passphrase protection: iterations must be an integer between ${MIN_PASSPHRASE_KDF_ITERATIONS} and ${MAX_PASSPHRASE_KDF_ITERATIONS}.`
+    );
+  }
+}
+async function derivePassphraseKey(cryptoObj, passphrase, salt, iterations) {
+  const baseKey = await cryptoObj.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return cryptoObj.subtle.deriveKey(
+    { name: "PBKDF2", salt: new Uint8Array(salt).buffer, iterations, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+async function wrapKeyWithPassphrase(cryptoObj, key, passphrase, iterations = PASSPHRASE_KDF_ITERATIONS) {
+  assertIterations(iterations);
+  const salt = cryptoObj.getRandomValues(new Uint8Array(PASSPHRASE_SALT_BYTES));
+  const wrappingKey = await derivePassphraseKey(cryptoObj, passphrase, salt, iterations);
+  const rawKey = await cryptoObj.subtle.exportKey("raw", key);
+  const wrapped = await encryptToBlob(cryptoObj, rawKey, wrappingKey);
+  return {
+    kdf: "PBKDF2-SHA256",
+    salt: arrayBufferToBase64(salt.buffer),
+    iterations,
+    wrappedKey: arrayBufferToBase64(await wrapped.arrayBuffer())
+  };
+}
+async function unwrapKeyWithPassphrase(cryptoObj, protection, passphrase, base64) {
+  if (protection?.kdf !== "PBKDF2-SHA256") {
+    throw new DropgateValidationError("Unsupported passphrase protection.");
+  }
+  assertIterations(protection.iterations);
+  const adapter = base64 || getDefaultBase64();
+  const wrappingKey = await derivePassphraseKey(
+    cryptoObj,
+    passphrase,
+    adapter.decode(protection.salt),
+    protection.iterations
+  );
+  let rawKey;
+  try {
+    rawKey = await decryptChunk(cryptoObj, adapter.decode(protection.wrappedKey), wrappingKey);
+  } catch {
+    throw new DropgateValidationError("Incorrect passphrase.");
+  }
+  return importKeyFromBase64(cryptoObj, arrayBufferToBase64(rawKey), adapter);
+}
+
 // node_modules/fflate/esm/browser.js
 var u8 = Uint8Array;
 var u16 = Uint16Array;
@@ -981,15 +1261,24 @@ function generateP2PCode(cryptoObj) {
   }
   return `${a}-${b}`;
 }
+var CLASSIC_CODE_PATTERN = /^[A-Z]{4}-\d{4}$/;
+var WORDS_CODE_PATTERN = /^[a-z]+(?:-[a-z]+){1,5}-\d{2}$/;
 function isP2PCodeLike(code) {
-  return /^[A-Z]{4}-\d{4}$/.test(String(code || "").trim());
+  const value = String(code || "").trim();
+  return CLASSIC_CODE_PATTERN.test(value) || WORDS_CODE_PATTERN.test(value);
+}
+function normalizeP2PCode(code) {
+  const compact = String(code || "").replace(/\s+/g, "");
+  const upper = compact.toUpperCase();
+  return CLASSIC_CODE_PATTERN.test(upper) ? upper : compact.toLowerCase();
 }
 
 // src/p2p/helpers.ts
 function resolvePeerConfig(userConfig, serverCaps) {
   return {
     path: userConfig.peerjsPath ?? serverCaps?.peerjsPath ?? "/peerjs",
-    iceServers: userConfig.iceServers ?? serverCaps?.iceServers ?? []
+    iceServers: userConfig.iceServers ?? serverCaps?.iceServers ?? [],
+    relayPath: userConfig.relayPath ?? (serverCaps?.relay ? serverCaps.relayPath : void 0)
   };
 }
 function buildPeerOptions(config = {}) {
@@ -1006,9 +1295,33 @@ function buildPeerOptions(config = {}) {
   }
   return peerOpts;
 }
+function resolveTransport(opts) {
+  if (opts.transport) return opts.transport;
+  const { Peer } = opts;
+  if (!Peer) {
+    throw new DropgateValidationError(
+      "A P2P transport is required. Install peerjs and pass it as the Peer option, or pass a transport."
+    );
+  }
+  return { createPeer: (id, options) => new Peer(id, options) };
+}
+function rejectConnection(conn, message) {
+  if (conn.open === false) {
+    conn.on("open", () => rejectConnection(conn, message));
+    return;
+  }
+  try {
+    conn.send({ t: "error", message });
+  } catch {
+  }
+  try {
+    conn.close();
+  } catch {
+  }
+}
 async function createPeerWithRetries(opts) {
   const { code, codeGenerator, maxAttempts, buildPeer, onCode } = opts;
-  let nextCode = code || codeGenerator();
+  let nextCode = code || await codeGenerator();
   let peer = null;
   let lastError = null;
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
@@ -1016,8 +1329,13 @@ async function createPeerWithRetries(opts) {
     try {
       peer = await new Promise((resolve, reject) => {
         const instance = buildPeer(nextCode);
-        instance.on("open", () => resolve(instance));
+        let opened = false;
+        instance.on("open", () => {
+          opened = true;
+          resolve(instance);
+        });
         instance.on("error", (err2) => {
+          if (opened) return;
           try {
             instance.destroy();
           } catch {
@@ -1028,21 +1346,215 @@ async function createPeerWithRetries(opts) {
       return { peer, code: nextCode };
     } catch (err2) {
       lastError = err2;
-      nextCode = codeGenerator();
+      nextCode = await codeGenerator();
     }
   }
   throw lastError || new DropgateNetworkError("Could not establish PeerJS connection.");
 }
 
+// src/p2p/ice-restart.ts
+var ICE_GATHERING_TIMEOUT_MS = 2e3;
+function canRestartIce(peer, conn) {
+  return Boolean(conn.peerConnection && conn.connectionId && conn.peer && peer.socket);
+}
+function waitForIceGathering(pc) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      pc.removeEventListener("icegatheringstatechange", onChange);
+      resolve();
+    };
+    const onChange = () => {
+      if (pc.iceGatheringState === "complete") done();
+    };
+    const timer = setTimeout(done, ICE_GATHERING_TIMEOUT_MS);
+    pc.addEventListener("icegatheringstatechange", onChange);
+  });
+}
+function sendDescription(peer, conn, description) {
+  peer.socket?.send({
+    type: "ANSWER",
+    payload: { sdp: description, type: "data", connectionId: conn.connectionId },
+    dst: conn.peer
+  });
+}
+async function restartIce(peer, conn) {
+  const pc = conn.peerConnection;
+  if (!pc || !canRestartIce(peer, conn)) return;
+  const offer = await pc.createOffer({ iceRestart: true });
+  await pc.setLocalDescription(offer);
+  await waitForIceGathering(pc);
+  if (pc.localDescription) sendDescription(peer, conn, pc.localDescription);
+}
+function answerIceRestarts(peer, conn) {
+  const pc = conn.peerConnection;
+  if (!pc || !canRestartIce(peer, conn)) return;
+  pc.addEventListener("signalingstatechange", async () => {
+    if (pc.signalingState !== "have-remote-offer") return;
+    try {
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      await waitForIceGathering(pc);
+      if (pc.localDescription) sendDescription(peer, conn, pc.localDescription);
+    } catch {
+    }
+  });
+}
+
+// src/p2p/encryption.ts
+var SAS_SYMBOLS = [
+  ["\u{1F436}", "Dog"],
+  ["\u{1F431}", "Cat"],
+  ["\u{1F981}", "Lion"],
+  ["\u{1F40E}", "Horse"],
+  ["\u{1F984}", "Unicorn"],
+  ["\u{1F437}", "Pig"],
+  ["\u{1F418}", "Elephant"],
+  ["\u{1F430}", "Rabbit"],
+  ["\u{1F43C}", "Panda"],
+  ["\u{1F413}", "Rooster"],
+  ["\u{1F427}", "Penguin"],
+  ["\u{1F422}", "Turtle"],
+  ["\u{1F41F}", "Fish"],
+  ["\u{1F419}", "Octopus"],
+  ["\u{1F98B}", "Butterfly"],
+  ["\u{1F337}", "Flower"],
+  ["\u{1F333}", "Tree"],
+  ["\u{1F335}", "Cactus"],
+  ["\u{1F344}", "Mushroom"],
+  ["\u{1F30F}", "Globe"],
+  ["\u{1F319}", "Moon"],
+  ["\u2601\uFE0F", "Cloud"],
+  ["\u{1F525}", "Fire"],
+  ["\u{1F34C}", "Banana"],
+  ["\u{1F34E}", "Apple"],
+  ["\u{1F353}", "Strawberry"],
+  ["\u{1F33D}", "Corn"],
+  ["\u{1F355}", "Pizza"],
+  ["\u{1F382}", "Cake"],
+  ["\u2764\uFE0F", "Heart"],
+  ["\u{1F600}", "Smiley"],
+  ["\u{1F916}", "Robot"],
+  ["\u{1F3A9}", "Hat"],
+  ["\u{1F453}", "Glasses"],
+  ["\u{1F527}", "Spanner"],
+  ["\u{1F385}", "Santa"],
+  ["\u{1F44D}", "Thumbs"],
+  ["\u2602\uFE0F", "Umbrella"],
+  ["\u231B", "Hourglass"],
+  ["\u23F0", "Clock"],
+  ["\u{1F381}", "Gift"],
+  ["\u{1F4A1}", "Bulb"],
+  ["\u{1F4D5}", "Book"],
+  ["\u270F\uFE0F", "Pencil"],
+  ["\u{1F4CE}", "Paperclip"],
+  ["\u2702\uFE0F", "Scissors"],
+  ["\u{1F512}", "Lock"],
+  ["\u{1F511}", "Key"],
+  ["\u{1F528}", "Hammer"],
+  ["\u260E\uFE0F", "Telephone"],
+  ["\u{1F3C1}", "Flag"],
+  ["\u{1F682}", "Train"],
+  ["\u{1F6B2}", "Bicycle"],
+  ["\u2708\uFE0F", "Aeroplane"],
+  ["\u{1F680}", "Rocket"],
+  ["\u{1F3C6}", "Trophy"],
+  ["\u26BD", "Ball"],
+  ["\u{1F3B8}", "Guitar"],
+  ["\u{1F3BA}", "Trumpet"],
+  ["\u{1F514}", "Bell"],
+  ["\u2693", "Anchor"],
+  ["\u{1F3A7}", "Headphones"],
+  ["\u{1F4C1}", "Folder"],
+  ["\u{1F4CC}", "Pin"]
+];
+var SAS_LENGTH = 7;
+var ECDH_PARAMS = { name: "ECDH", namedCurve: "P-256" };
+var CHUNK_KEY_INFO = "dropgate-p2p chunk key";
+var SAS_INFO = "dropgate-p2p verification";
+async function generateP2PKeyPair(cryptoObj) {
+  const keyPair = await cryptoObj.subtle.generateKey(ECDH_PARAMS, false, ["deriveBits"]);
+  const raw = await cryptoObj.subtle.exportKey("raw", keyPair.publicKey);
+  return { keyPair, publicKey: arrayBufferToBase64(raw) };
+}
+async function commitToPublicKey(cryptoObj, publicKey) {
+  return sha256Hex(cryptoObj, new Uint8Array(base64ToBytes(publicKey)).buffer);
+}
+async function deriveP2PSessionKeys(cryptoObj, own, remotePublicKey, role) {
+  const subtle = cryptoObj.subtle;
+  let remoteKey;
+  try {
+    remoteKey = await subtle.importKey("raw", new Uint8Array(base64ToBytes(remotePublicKey)), ECDH_PARAMS, false, []);
+  } catch {
+    throw new DropgateValidationError("The other peer sent an invalid public key.");
+  }
+  const shared = await subtle.deriveBits({ name: "ECDH", public: remoteKey }, own.keyPair.privateKey, 256);
+  const hkdfKey = await subtle.importKey("raw", shared, "HKDF", false, ["deriveKey", "deriveBits"]);
+  const [senderKey, receiverKey] = role === "sender" ? [own.publicKey, remotePublicKey] : [remotePublicKey, own.publicKey];
+  const salt = new Uint8Array([...base64ToBytes(senderKey), ...base64ToBytes(receiverKey)]);
+  const encoder = new TextEncoder();
+  const chunkKey = await subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: encoder.encode(CHUNK_KEY_INFO) },
+    hkdfKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+  const sasBits = new Uint8Array(await subtle.deriveBits(
+    { name: "HKDF", hash: "SHA-256", salt, info: encoder.encode(SAS_INFO) },
+    hkdfKey,
+    48
+  ));
+  const symbols = [];
+  for (let i = 0; i < SAS_LENGTH; i++) {
+    const bit = i * 6;
+    const word = sasBits[bit >> 3] << 8 | (sasBits[(bit >> 3) + 1] ?? 0);
+    symbols.push(SAS_SYMBOLS[word >> 10 - (bit & 7) & 63]);
+  }
+  return {
+    chunkKey,
+    verification: {
+      emoji: symbols.map(([emoji]) => emoji).join(" "),
+      words: symbols.map(([, name]) => name).join(" ")
+    }
+  };
+}
+function buildP2PChunkAad(fileIndex, offset) {
+  const aad = new Uint8Array(12);
+  const view = new DataView(aad.buffer);
+  view.setUint32(0, fileIndex, false);
+  view.setUint32(4, Math.floor(offset / 4294967296), false);
+  view.setUint32(8, offset >>> 0, false);
+  return aad;
+}
+async function encryptP2PChunk(cryptoObj, key, data, additionalData) {
+  const iv = cryptoObj.getRandomValues(new Uint8Array(AES_GCM_IV_BYTES));
+  const encrypted = await cryptoObj.subtle.encrypt({ name: "AES-GCM", iv, additionalData }, key, data);
+  const out = new Uint8Array(AES_GCM_IV_BYTES + encrypted.byteLength);
+  out.set(iv, 0);
+  out.set(new Uint8Array(encrypted), AES_GCM_IV_BYTES);
+  return out;
+}
+async function decryptP2PChunk(cryptoObj, key, data, additionalData) {
+  try {
+    return new Uint8Array(await decryptChunk(cryptoObj, data, key, additionalData));
+  } catch {
+    throw new DropgateValidationError("A chunk failed verification. It may have been tampered with.");
+  }
+}
+
 // src/p2p/protocol.ts
-var P2P_PROTOCOL_VERSION = 3;
+var P2P_PROTOCOL_VERSION = 5;
 function isP2PMessage(value) {
   if (!value || typeof value !== "object") return false;
   const msg = value;
   return typeof msg.t === "string" && [
     "hello",
+    "key",
     "file_list",
     "meta",
+    "select",
     "ready",
     "chunk",
     "chunk_ack",
@@ -1058,95 +1570,61 @@ function isP2PMessage(value) {
     "resume_ack"
   ].includes(msg.t);
 }
+function normalizeFileSelection(fileIndices, fileCount) {
+  if (!Array.isArray(fileIndices) || !fileIndices.length) return null;
+  if (!fileIndices.every((i) => Number.isInteger(i) && i >= 0 && i < fileCount)) return null;
+  return [...new Set(fileIndices)].sort((a, b) => a - b);
+}
 var P2P_CHUNK_SIZE = 64 * 1024;
 var P2P_MAX_UNACKED_CHUNKS = 32;
 var P2P_END_ACK_TIMEOUT_MS = 15e3;
 var P2P_END_ACK_RETRIES = 3;
 var P2P_END_ACK_RETRY_DELAY_MS = 100;
+var P2P_RESUME_TIMEOUT_MS = 3e4;
+var P2P_RESUME_ATTEMPT_TIMEOUT_MS = 1e4;
+var P2P_RELAY_TIMEOUT_MS = 1e4;
+var P2P_ICE_RESTART_TIMEOUT_MS = 1e4;
 var P2P_CLOSE_GRACE_PERIOD_MS = 2e3;
 
-// src/p2p/send.ts
+// src/p2p/send-transfer.ts
 var P2P_UNACKED_CHUNK_TIMEOUT_MS = 3e4;
-function generateSessionId() {
-  return crypto.randomUUID();
-}
 var ALLOWED_TRANSITIONS = {
   initializing: ["listening", "closed"],
   listening: ["handshaking", "closed", "cancelled"],
   handshaking: ["negotiating", "closed", "cancelled"],
   negotiating: ["transferring", "closed", "cancelled"],
-  transferring: ["finishing", "closed", "cancelled"],
-  finishing: ["awaiting_ack", "closed", "cancelled"],
-  awaiting_ack: ["completed", "closed", "cancelled"],
+  transferring: ["reconnecting", "finishing", "closed", "cancelled"],
+  reconnecting: ["transferring", "closed", "cancelled"],
+  finishing: ["awaiting_ack", "reconnecting", "closed", "cancelled"],
+  awaiting_ack: ["completed", "reconnecting", "closed", "cancelled"],
   completed: ["closed"],
   cancelled: ["closed"],
   closed: []
 };
-async function startP2PSend(opts) {
+function createSendTransfer(options) {
   const {
-    file,
-    Peer,
-    serverInfo,
-    host,
-    port,
-    peerjsPath,
-    secure = false,
-    iceServers,
-    codeGenerator,
-    cryptoObj,
-    maxAttempts = 4,
-    chunkSize = P2P_CHUNK_SIZE,
-    endAckTimeoutMs = P2P_END_ACK_TIMEOUT_MS,
-    bufferHighWaterMark = 8 * 1024 * 1024,
-    bufferLowWaterMark = 2 * 1024 * 1024,
-    heartbeatIntervalMs = 5e3,
-    chunkAcknowledgments = true,
-    maxUnackedChunks = P2P_MAX_UNACKED_CHUNKS,
-    onCode,
+    peer,
+    files,
+    sessionId,
+    cryptoAdapter,
+    chunkSize,
+    endAckTimeoutMs,
+    bufferHighWaterMark,
+    bufferLowWaterMark,
+    heartbeatIntervalMs,
+    chunkAcknowledgments,
+    maxUnackedChunks,
+    resumeTimeoutMs,
+    iceRestartTimeoutMs,
     onStatus,
     onProgress,
-    onComplete,
-    onError,
-    onDisconnect,
-    onCancel,
-    onConnectionHealth
-  } = opts;
-  const files = Array.isArray(file) ? file : [file];
+    onConnectionHealth,
+    onResumeRequest,
+    onVerificationCode,
+    onEnd
+  } = options;
   const isMultiFile = files.length > 1;
   const totalSize = files.reduce((sum, f) => sum + f.size, 0);
-  if (!files.length) {
-    throw new DropgateValidationError("At least one file is required.");
-  }
-  if (!Peer) {
-    throw new DropgateValidationError(
-      "PeerJS Peer constructor is required. Install peerjs and pass it as the Peer option."
-    );
-  }
-  const p2pCaps = serverInfo?.capabilities?.p2p;
-  if (serverInfo && !p2pCaps?.enabled) {
-    throw new DropgateValidationError("Direct transfer is disabled on this server.");
-  }
-  const { path: finalPath, iceServers: finalIceServers } = resolvePeerConfig(
-    { peerjsPath, iceServers },
-    p2pCaps
-  );
-  const peerOpts = buildPeerOptions({
-    host,
-    port,
-    peerjsPath: finalPath,
-    secure,
-    iceServers: finalIceServers
-  });
-  const finalCodeGenerator = codeGenerator || (() => generateP2PCode(cryptoObj));
-  const buildPeer = (id) => new Peer(id, peerOpts);
-  const { peer, code } = await createPeerWithRetries({
-    code: null,
-    codeGenerator: finalCodeGenerator,
-    maxAttempts,
-    buildPeer,
-    onCode
-  });
-  const sessionId = generateSessionId();
   let state = "listening";
   let activeConn = null;
   let sentBytes = 0;
@@ -1156,10 +1634,17 @@ async function startP2PSend(opts) {
   const unackedChunks = /* @__PURE__ */ new Map();
   let nextSeq = 0;
   let ackResolvers = [];
+  let fileEndAckResolve = null;
+  let endAckResolve = null;
+  let selectedFiles = files.map((_, i) => i);
+  let transferSize = totalSize;
+  let currentFileIndex = 0;
+  let currentFileSent = 0;
+  let resumeTimer = null;
+  let fileHash = null;
+  let chunkKey = null;
+  let iceRestartTimer = null;
   let transferEverStarted = false;
-  const connectionAttempts = [];
-  const MAX_CONNECTION_ATTEMPTS = 10;
-  const CONNECTION_RATE_WINDOW_MS = 1e4;
   const transitionTo = (newState) => {
     if (!ALLOWED_TRANSITIONS[state].includes(newState)) {
       console.warn(`[P2P Send] Invalid state transition: ${state} -> ${newState}`);
@@ -1170,7 +1655,7 @@ async function startP2PSend(opts) {
   };
   const reportProgress = (data) => {
     if (isStopped()) return;
-    const safeTotal = Number.isFinite(data.total) && data.total > 0 ? data.total : totalSize;
+    const safeTotal = Number.isFinite(data.total) && data.total > 0 ? data.total : transferSize;
     const safeReceived = Math.min(Number(data.received) || 0, safeTotal || 0);
     const percent = safeTotal ? safeReceived / safeTotal * 100 : 0;
     onProgress?.({ processedBytes: safeReceived, totalBytes: safeTotal, percent });
@@ -1178,13 +1663,13 @@ async function startP2PSend(opts) {
   const safeError = (err2) => {
     if (state === "closed" || state === "completed" || state === "cancelled") return;
     transitionTo("closed");
-    onError?.(err2);
+    onEnd({ type: "failed", error: err2 });
     cleanup();
   };
   const safeComplete = () => {
     if (state !== "awaiting_ack" && state !== "finishing") return;
     transitionTo("completed");
-    onComplete?.();
+    onEnd({ type: "completed" });
     cleanup();
   };
   const cleanup = () => {
@@ -1196,38 +1681,26 @@ async function startP2PSend(opts) {
       clearInterval(healthCheckTimer);
       healthCheckTimer = null;
     }
+    if (resumeTimer) {
+      clearInterval(resumeTimer);
+      resumeTimer = null;
+    }
+    clearIceRestart();
     ackResolvers.forEach((resolve) => resolve());
     ackResolvers = [];
     unackedChunks.clear();
-    if (typeof window !== "undefined") {
-      window.removeEventListener("beforeunload", handleUnload);
-    }
     try {
       activeConn?.close();
     } catch {
     }
-    try {
-      peer.destroy();
-    } catch {
-    }
-  };
-  const handleUnload = () => {
-    try {
-      activeConn?.send({ t: "error", message: "Sender closed the connection." });
-    } catch {
-    }
-    stop();
   };
-  if (typeof window !== "undefined") {
-    window.addEventListener("beforeunload", handleUnload);
-  }
   const stop = () => {
     if (state === "closed" || state === "cancelled") return;
     if (state === "completed") {
       cleanup();
       return;
     }
-    const wasActive = state === "transferring" || state === "finishing" || state === "awaiting_ack";
+    const wasActive = state === "transferring" || state === "reconnecting" || state === "finishing" || state === "awaiting_ack";
     transitionTo("cancelled");
     try {
       if (activeConn && activeConn.open) {
@@ -1235,37 +1708,130 @@ async function startP2PSend(opts) {
       }
     } catch {
     }
-    if (wasActive && onCancel) {
-      onCancel({ cancelledBy: "sender" });
-    }
+    onEnd({ type: "cancelled", ...wasActive ? { event: { cancelledBy: "sender" } } : {} });
     cleanup();
   };
-  const isStopped = () => state === "closed" || state === "cancelled";
-  const startHealthMonitoring = (conn) => {
-    if (!onConnectionHealth) return;
-    healthCheckTimer = setInterval(() => {
-      if (isStopped()) return;
-      const dc = conn._dc;
-      if (!dc) return;
-      const health = {
-        iceConnectionState: dc.readyState === "open" ? "connected" : "disconnected",
-        bufferedAmount: dc.bufferedAmount,
-        lastActivityMs: Date.now() - lastActivityTime
-      };
-      onConnectionHealth(health);
-    }, 2e3);
+  const release = () => {
+    if (state === "closed" || state === "cancelled" || state === "completed") return;
+    transitionTo("closed");
+    activeConn = null;
+    cleanup();
   };
-  const handleChunkAck = (msg) => {
-    lastActivityTime = Date.now();
-    unackedChunks.delete(msg.seq);
-    reportProgress({ received: msg.received, total: totalSize });
-    const resolver = ackResolvers.shift();
-    if (resolver) resolver();
+  const isStopped = () => state === "closed" || state === "cancelled";
+  const isInterrupted = (conn) => isStopped() || conn !== activeConn;
+  const canResume = () => resumeTimeoutMs > 0 && (state === "transferring" || state === "finishing" || state === "awaiting_ack");
+  const isResumable = () => transferEverStarted && (state === "reconnecting" || canResume());
+  const bytesBeforeFile = (fileIndex) => selectedFiles.filter((i) => i < fileIndex).reduce((sum, i) => sum + files[i].size, 0);
+  const nextSelectedFile = (fileIndex) => selectedFiles.find((i) => i > fileIndex) ?? fileIndex + 1;
+  const resetFlowControl = () => {
+    ackResolvers.forEach((resolve) => resolve());
+    ackResolvers = [];
+    unackedChunks.clear();
+    nextSeq = 0;
+    fileEndAckResolve?.(null);
+    fileEndAckResolve = null;
+    endAckResolve?.(null);
+    endAckResolve = null;
   };
-  const waitForAck = () => {
-    return new Promise((resolve) => {
-      ackResolvers.push(resolve);
-    });
+  const waitForResume = () => {
+    if (!transitionTo("reconnecting")) return;
+    const lostConn = activeConn;
+    activeConn = null;
+    clearIceRestart();
+    try {
+      lostConn?.close();
+    } catch {
+    }
+    resetFlowControl();
+    onStatus?.({ phase: "reconnecting", message: "Connection lost. Waiting for the receiver to reconnect..." });
+    const deadline = Date.now() + resumeTimeoutMs;
+    resumeTimer = setInterval(() => {
+      if (state !== "reconnecting") return;
+      if (Date.now() >= deadline) {
+        safeError(new DropgateNetworkError("Receiver disconnected and did not reconnect."));
+        return;
+      }
+      if (peer.disconnected) {
+        try {
+          peer.reconnect?.();
+        } catch {
+        }
+      }
+    }, 1e3);
+  };
+  const reportHealth = () => {
+    if (!onConnectionHealth || isStopped()) return;
+    if (!activeConn) {
+      if (state === "reconnecting") {
+        onConnectionHealth({ iceConnectionState: "disconnected", lastActivityMs: Date.now() - lastActivityTime });
+      }
+      return;
+    }
+    const dc = activeConn._dc;
+    const pc = activeConn.peerConnection;
+    if (!dc && !pc) return;
+    let iceConnectionState;
+    if (pc) {
+      iceConnectionState = pc.iceConnectionState === "completed" ? "connected" : pc.iceConnectionState;
+    } else {
+      iceConnectionState = dc?.readyState === "open" ? "connected" : "disconnected";
+    }
+    const health = {
+      iceConnectionState,
+      bufferedAmount: dc?.bufferedAmount,
+      lastActivityMs: Date.now() - lastActivityTime,
+      ...iceRestartTimer ? { restartingIce: true } : {}
+    };
+    onConnectionHealth(health);
+  };
+  const startHealthMonitoring = () => {
+    if (!onConnectionHealth || healthCheckTimer) return;
+    healthCheckTimer = setInterval(reportHealth, 2e3);
+  };
+  const clearIceRestart = () => {
+    if (iceRestartTimer) {
+      clearTimeout(iceRestartTimer);
+      iceRestartTimer = null;
+    }
+  };
+  const startIceRestart = (conn) => {
+    iceRestartTimer = setTimeout(() => {
+      iceRestartTimer = null;
+      if (isInterrupted(conn)) return;
+      reportHealth();
+      if (canResume()) waitForResume();
+    }, iceRestartTimeoutMs);
+    restartIce(peer, conn).catch(() => {
+    });
+  };
+  const watchIceConnection = (conn) => {
+    const pc = conn.peerConnection;
+    if (!pc || iceRestartTimeoutMs <= 0 || !canRestartIce(peer, conn)) return;
+    pc.addEventListener("iceconnectionstatechange", () => {
+      if (isInterrupted(conn)) return;
+      const iceState = pc.iceConnectionState;
+      if (iceState === "connected" || iceState === "completed") {
+        if (iceRestartTimer) {
+          clearIceRestart();
+          lastActivityTime = Date.now();
+        }
+      } else if (iceState === "disconnected" && !iceRestartTimer) {
+        startIceRestart(conn);
+      }
+      reportHealth();
+    });
+  };
+  const handleChunkAck = (msg) => {
+    lastActivityTime = Date.now();
+    unackedChunks.delete(msg.seq);
+    reportProgress({ received: msg.received, total: transferSize });
+    const resolver = ackResolvers.shift();
+    if (resolver) resolver();
+  };
+  const waitForAck = () => {
+    return new Promise((resolve) => {
+      ackResolvers.push(resolve);
+    });
   };
   const sendChunk = async (conn, data, offset, fileTotal) => {
     if (chunkAcknowledgments) {
@@ -1273,6 +1839,10 @@ async function startP2PSend(opts) {
         const now = Date.now();
         for (const [_seq, chunk] of unackedChunks) {
           if (now - chunk.sentAt > P2P_UNACKED_CHUNK_TIMEOUT_MS) {
+            if (canResume()) {
+              waitForResume();
+              return;
+            }
             throw new DropgateNetworkError("Receiver stopped acknowledging chunks");
           }
         }
@@ -1281,15 +1851,18 @@ async function startP2PSend(opts) {
           sleep(1e3)
           // Timeout to prevent deadlock
         ]);
-        if (isStopped()) return;
+        if (isInterrupted(conn)) return;
       }
     }
+    if (!chunkKey) throw new DropgateNetworkError("No encryption key was agreed with the receiver.");
+    const payload = await encryptP2PChunk(cryptoAdapter, chunkKey, data, buildP2PChunkAad(currentFileIndex, offset));
+    if (isInterrupted(conn)) return;
     const seq = nextSeq++;
     if (chunkAcknowledgments) {
       unackedChunks.set(seq, { offset, size: data.byteLength, sentAt: Date.now() });
     }
-    conn.send({ t: "chunk", seq, offset, size: data.byteLength, total: fileTotal ?? totalSize });
-    conn.send(data);
+    conn.send({ t: "chunk", seq, offset, size: data.byteLength, total: fileTotal ?? transferSize });
+    conn.send(payload);
     sentBytes += data.byteLength;
     const dc = conn._dc;
     if (dc && bufferHighWaterMark > 0) {
@@ -1308,19 +1881,33 @@ async function startP2PSend(opts) {
           } catch {
           }
         });
-        if (isStopped()) return;
+        if (isInterrupted(conn)) return;
       }
     }
   };
+  const hashSlice = (buf, offset) => {
+    if (!fileHash) return;
+    const end = offset + buf.byteLength;
+    if (end <= fileHash.hashedBytes) return;
+    fileHash.hasher.update(new Uint8Array(buf, fileHash.hashedBytes - offset));
+    fileHash.hashedBytes = end;
+  };
+  const fileDigest = () => {
+    if (!fileHash) return void 0;
+    fileHash.hex ?? (fileHash.hex = fileHash.hasher.digestHex());
+    return fileHash.hex;
+  };
   const waitForEndAck = async (conn, ackPromise) => {
     const baseTimeout = endAckTimeoutMs;
+    const sha256 = isMultiFile ? void 0 : fileDigest();
     for (let attempt = 0; attempt < P2P_END_ACK_RETRIES; attempt++) {
-      conn.send({ t: "end", attempt });
+      conn.send({ t: "end", attempt, sha256 });
       const timeout = baseTimeout * Math.pow(1.5, attempt);
       const result = await Promise.race([
         ackPromise,
         sleep(timeout).then(() => null)
       ]);
+      if (isInterrupted(conn) && !isStopped()) return null;
       if (result && result.t === "end_ack") {
         return result;
       }
@@ -1330,100 +1917,176 @@ async function startP2PSend(opts) {
     }
     throw new DropgateNetworkError("Receiver did not confirm completion after retries.");
   };
-  peer.on("connection", (conn) => {
+  const runTransfer = async (conn, start) => {
+    let overallSentBytes = bytesBeforeFile(start.fileIndex) + start.offset;
+    sentBytes = overallSentBytes;
+    for (const fi of selectedFiles) {
+      if (fi < start.fileIndex) continue;
+      const currentFile = files[fi];
+      const startOffset = fi === start.fileIndex ? start.offset : 0;
+      currentFileIndex = fi;
+      currentFileSent = startOffset;
+      if (fileHash?.fileIndex !== fi) {
+        fileHash = { fileIndex: fi, hasher: createStreamingSha256(), hashedBytes: 0, hex: null };
+      }
+      if (isMultiFile && fi > 0 && startOffset === 0) {
+        conn.send({
+          t: "meta",
+          sessionId,
+          name: currentFile.name,
+          size: currentFile.size,
+          mime: currentFile.type || "application/octet-stream",
+          fileIndex: fi
+        });
+      }
+      for (let offset = startOffset; offset < currentFile.size; offset += chunkSize) {
+        if (isInterrupted(conn)) return;
+        const slice = currentFile.slice(offset, offset + chunkSize);
+        const buf = await slice.arrayBuffer();
+        if (isInterrupted(conn)) return;
+        hashSlice(buf, offset);
+        await sendChunk(conn, buf, offset, currentFile.size);
+        if (isInterrupted(conn)) return;
+        currentFileSent += buf.byteLength;
+        overallSentBytes += buf.byteLength;
+        reportProgress({ received: overallSentBytes, total: transferSize });
+      }
+      if (isInterrupted(conn)) return;
+      if (isMultiFile) {
+        const fileEndAckPromise = new Promise((resolve) => {
+          fileEndAckResolve = resolve;
+        });
+        conn.send({ t: "file_end", fileIndex: fi, sha256: fileDigest() });
+        const feAck = await Promise.race([
+          fileEndAckPromise,
+          sleep(endAckTimeoutMs).then(() => null)
+        ]);
+        if (isInterrupted(conn)) return;
+        if (!feAck) {
+          throw new DropgateNetworkError(`Receiver did not confirm receipt of file ${fi + 1}/${files.length}.`);
+        }
+      }
+    }
+    if (isInterrupted(conn)) return;
+    transitionTo("finishing");
+    transitionTo("awaiting_ack");
+    const endAckPromise = new Promise((resolve) => {
+      endAckResolve = resolve;
+    });
+    const ackResult = await waitForEndAck(conn, endAckPromise);
+    if (!ackResult || isInterrupted(conn)) return;
+    const ackTotal = Number(ackResult.total) || transferSize;
+    const ackReceived = Number(ackResult.received) || 0;
+    if (ackTotal && ackReceived < ackTotal) {
+      throw new DropgateNetworkError("Receiver reported an incomplete transfer.");
+    }
+    reportProgress({ received: ackReceived || ackTotal, total: ackTotal });
+    safeComplete();
+  };
+  const resolveResumePosition = (msg) => {
+    const fileIndex = isMultiFile ? Number(msg.fileIndex) : 0;
+    const offset = Number(msg.receivedBytes);
+    if (!Number.isInteger(fileIndex) || !Number.isInteger(offset) || offset < 0) return null;
+    if (fileIndex === currentFileIndex && offset <= currentFileSent) {
+      return { fileIndex, offset };
+    }
+    if (isMultiFile && fileIndex === nextSelectedFile(currentFileIndex) && offset === 0 && currentFileSent === files[currentFileIndex].size) {
+      return { fileIndex, offset };
+    }
+    return null;
+  };
+  const resume = async (conn, request) => {
     if (isStopped()) return;
-    const now = Date.now();
-    while (connectionAttempts.length > 0 && connectionAttempts[0] < now - CONNECTION_RATE_WINDOW_MS) {
-      connectionAttempts.shift();
+    if (!isResumable()) {
+      rejectConnection(conn, "Transfer can no longer be resumed.");
+      return;
     }
-    if (connectionAttempts.length >= MAX_CONNECTION_ATTEMPTS) {
-      console.warn("[P2P Send] Connection rate limit exceeded, rejecting connection");
-      try {
-        conn.send({ t: "error", message: "Too many connection attempts. Please wait." });
-      } catch {
-      }
+    const position = resolveResumePosition(request);
+    const info = {
+      sessionId,
+      receivedBytes: position ? bytesBeforeFile(position.fileIndex) + position.offset : 0,
+      totalBytes: transferSize,
+      canResume: position !== null,
+      ...isMultiFile && position ? { fileIndex: position.fileIndex } : {}
+    };
+    if (!position || onResumeRequest?.(info) === false) {
       try {
-        conn.close();
+        conn.send({ t: "resume_ack", resumeFromOffset: 0, accepted: false });
       } catch {
       }
+      safeError(new DropgateNetworkError("The transfer could not be resumed."));
       return;
     }
-    connectionAttempts.push(now);
-    if (activeConn) {
-      const isOldConnOpen = activeConn.open !== false;
-      if (isOldConnOpen && state === "transferring") {
-        try {
-          conn.send({ t: "error", message: "Transfer already in progress." });
-        } catch {
-        }
-        try {
-          conn.close();
-        } catch {
-        }
-        return;
-      } else if (!isOldConnOpen) {
-        try {
-          activeConn.close();
-        } catch {
-        }
-        activeConn = null;
-        if (transferEverStarted) {
-          try {
-            conn.send({ t: "error", message: "Transfer already started with another receiver. Cannot reconnect." });
-          } catch {
-          }
-          try {
-            conn.close();
-          } catch {
-          }
-          return;
-        }
-        state = "listening";
-        sentBytes = 0;
-        nextSeq = 0;
-        unackedChunks.clear();
-      } else {
-        try {
-          conn.send({ t: "error", message: "Another receiver is already connected." });
-        } catch {
-        }
-        try {
-          conn.close();
-        } catch {
-        }
-        return;
-      }
+    if (resumeTimer) {
+      clearInterval(resumeTimer);
+      resumeTimer = null;
     }
+    const lostConn = activeConn;
     activeConn = conn;
-    transitionTo("handshaking");
-    if (!isStopped()) onStatus?.({ phase: "connected", message: "Receiver connected." });
+    clearIceRestart();
+    if (lostConn) {
+      try {
+        lostConn.close();
+      } catch {
+      }
+    }
+    resetFlowControl();
+    if (state !== "reconnecting") transitionTo("reconnecting");
+    transitionTo("transferring");
     lastActivityTime = Date.now();
-    let helloResolve = null;
-    let readyResolve = null;
-    let endAckResolve = null;
-    let fileEndAckResolve = null;
-    const helloPromise = new Promise((resolve) => {
-      helloResolve = resolve;
-    });
-    const readyPromise = new Promise((resolve) => {
-      readyResolve = resolve;
-    });
-    const endAckPromise = new Promise((resolve) => {
-      endAckResolve = resolve;
+    attachConnection(conn);
+    conn.send({
+      t: "resume_ack",
+      resumeFromOffset: position.offset,
+      accepted: true,
+      ...isMultiFile ? { fileIndex: position.fileIndex } : {}
     });
+    if (!isStopped()) onStatus?.({ phase: "resumed", message: "Receiver reconnected. Resuming transfer..." });
+    try {
+      await runTransfer(conn, position);
+    } catch (err2) {
+      if (conn !== activeConn) return;
+      safeError(err2);
+    }
+  };
+  let helloResolve = null;
+  let readyResolve = null;
+  const helloPromise = new Promise((resolve) => {
+    helloResolve = resolve;
+  });
+  const readyPromise = new Promise((resolve) => {
+    readyResolve = resolve;
+  });
+  const attachConnection = (conn) => {
+    watchIceConnection(conn);
     conn.on("data", (data) => {
-      lastActivityTime = Date.now();
       if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
         return;
       }
       if (!isP2PMessage(data)) return;
       const msg = data;
+      if (conn !== activeConn) return;
+      lastActivityTime = Date.now();
       switch (msg.t) {
         case "hello":
-          helloResolve?.(msg.protocolVersion);
+          helloResolve?.(msg);
+          break;
+        case "select": {
+          if (state !== "negotiating" || !isMultiFile) break;
+          const selection = normalizeFileSelection(msg.fileIndices, files.length);
+          if (!selection) {
+            safeError(new DropgateValidationError("Receiver sent an invalid file selection."));
+            break;
+          }
+          selectedFiles = selection;
+          transferSize = selection.reduce((sum, i) => sum + files[i].size, 0);
           break;
+        }
         case "ready":
-          if (!isStopped()) onStatus?.({ phase: "transferring", message: "Receiver accepted. Starting transfer..." });
+          if (!isStopped()) {
+            const message = selectedFiles.length < files.length ? `Receiver accepted ${selectedFiles.length} of ${files.length} files. Starting transfer...` : "Receiver accepted. Starting transfer...";
+            onStatus?.({ phase: "transferring", message });
+          }
           readyResolve?.();
           break;
         case "chunk_ack":
@@ -1443,133 +2106,29 @@ async function startP2PSend(opts) {
         case "cancelled":
           if (state === "cancelled" || state === "closed" || state === "completed") return;
           transitionTo("cancelled");
-          onCancel?.({ cancelledBy: "receiver", message: msg.reason });
+          onEnd({ type: "cancelled", event: { cancelledBy: "receiver", message: msg.reason } });
           cleanup();
           break;
       }
     });
-    conn.on("open", async () => {
-      try {
-        if (isStopped()) return;
-        startHealthMonitoring(conn);
-        conn.send({
-          t: "hello",
-          protocolVersion: P2P_PROTOCOL_VERSION,
-          sessionId
-        });
-        const receiverVersion = await Promise.race([
-          helloPromise,
-          sleep(1e4).then(() => null)
-        ]);
-        if (isStopped()) return;
-        if (receiverVersion === null) {
-          throw new DropgateNetworkError("Receiver did not respond to handshake.");
-        } else if (receiverVersion !== P2P_PROTOCOL_VERSION) {
-          throw new DropgateNetworkError(
-            `Protocol version mismatch: sender v${P2P_PROTOCOL_VERSION}, receiver v${receiverVersion}`
-          );
-        }
-        transitionTo("negotiating");
-        if (!isStopped()) onStatus?.({ phase: "waiting", message: "Connected. Waiting for receiver to accept..." });
-        if (isMultiFile) {
-          conn.send({
-            t: "file_list",
-            fileCount: files.length,
-            files: files.map((f) => ({ name: f.name, size: f.size, mime: f.type || "application/octet-stream" })),
-            totalSize
-          });
-        }
-        conn.send({
-          t: "meta",
-          sessionId,
-          name: files[0].name,
-          size: files[0].size,
-          mime: files[0].type || "application/octet-stream",
-          ...isMultiFile ? { fileIndex: 0 } : {}
-        });
-        const dc = conn._dc;
-        if (dc && Number.isFinite(bufferLowWaterMark)) {
-          try {
-            dc.bufferedAmountLowThreshold = bufferLowWaterMark;
-          } catch {
-          }
-        }
-        await readyPromise;
-        if (isStopped()) return;
-        if (heartbeatIntervalMs > 0) {
-          heartbeatTimer = setInterval(() => {
-            if (state === "transferring" || state === "finishing" || state === "awaiting_ack") {
-              try {
-                conn.send({ t: "ping", timestamp: Date.now() });
-              } catch {
-              }
-            }
-          }, heartbeatIntervalMs);
-        }
-        transitionTo("transferring");
-        transferEverStarted = true;
-        let overallSentBytes = 0;
-        for (let fi = 0; fi < files.length; fi++) {
-          const currentFile = files[fi];
-          if (isMultiFile && fi > 0) {
-            conn.send({
-              t: "meta",
-              sessionId,
-              name: currentFile.name,
-              size: currentFile.size,
-              mime: currentFile.type || "application/octet-stream",
-              fileIndex: fi
-            });
-          }
-          for (let offset = 0; offset < currentFile.size; offset += chunkSize) {
-            if (isStopped()) return;
-            const slice = currentFile.slice(offset, offset + chunkSize);
-            const buf = await slice.arrayBuffer();
-            if (isStopped()) return;
-            await sendChunk(conn, buf, offset, currentFile.size);
-            overallSentBytes += buf.byteLength;
-            reportProgress({ received: overallSentBytes, total: totalSize });
-          }
-          if (isStopped()) return;
-          if (isMultiFile) {
-            const fileEndAckPromise = new Promise((resolve) => {
-              fileEndAckResolve = resolve;
-            });
-            conn.send({ t: "file_end", fileIndex: fi });
-            const feAck = await Promise.race([
-              fileEndAckPromise,
-              sleep(endAckTimeoutMs).then(() => null)
-            ]);
-            if (isStopped()) return;
-            if (!feAck) {
-              throw new DropgateNetworkError(`Receiver did not confirm receipt of file ${fi + 1}/${files.length}.`);
-            }
-          }
-        }
-        if (isStopped()) return;
-        transitionTo("finishing");
-        transitionTo("awaiting_ack");
-        const ackResult = await waitForEndAck(conn, endAckPromise);
-        if (isStopped()) return;
-        const ackTotal = Number(ackResult.total) || totalSize;
-        const ackReceived = Number(ackResult.received) || 0;
-        if (ackTotal && ackReceived < ackTotal) {
-          throw new DropgateNetworkError("Receiver reported an incomplete transfer.");
-        }
-        reportProgress({ received: ackReceived || ackTotal, total: ackTotal });
-        safeComplete();
-      } catch (err2) {
-        safeError(err2);
-      }
-    });
     conn.on("error", (err2) => {
+      if (conn !== activeConn) return;
+      if (canResume()) {
+        waitForResume();
+        return;
+      }
       safeError(err2);
     });
     conn.on("close", () => {
+      if (conn !== activeConn) return;
       if (state === "closed" || state === "completed" || state === "cancelled") {
         cleanup();
         return;
       }
+      if (canResume()) {
+        waitForResume();
+        return;
+      }
       if (state === "awaiting_ack") {
         setTimeout(() => {
           if (state === "awaiting_ack") {
@@ -1580,160 +2139,668 @@ async function startP2PSend(opts) {
       }
       if (state === "transferring" || state === "finishing") {
         transitionTo("cancelled");
-        onCancel?.({ cancelledBy: "receiver" });
+        onEnd({ type: "cancelled", event: { cancelledBy: "receiver" } });
         cleanup();
       } else {
+        transitionTo("closed");
         activeConn = null;
-        state = "listening";
-        sentBytes = 0;
-        nextSeq = 0;
-        unackedChunks.clear();
-        onDisconnect?.();
+        onEnd({ type: "disconnected" });
+        cleanup();
       }
     });
-  });
+  };
+  const handshake = async (conn) => {
+    startHealthMonitoring();
+    const ownKeys = await generateP2PKeyPair(cryptoAdapter);
+    const keyCommitment = await commitToPublicKey(cryptoAdapter, ownKeys.publicKey);
+    if (isStopped()) return;
+    conn.send({
+      t: "hello",
+      protocolVersion: P2P_PROTOCOL_VERSION,
+      sessionId,
+      keyCommitment
+    });
+    const receiverHello = await Promise.race([
+      helloPromise,
+      sleep(1e4).then(() => null)
+    ]);
+    if (isStopped()) return;
+    if (receiverHello === null) {
+      throw new DropgateNetworkError("Receiver did not respond to handshake.");
+    } else if (receiverHello.protocolVersion !== P2P_PROTOCOL_VERSION) {
+      throw new DropgateNetworkError(
+        `Protocol version mismatch: sender v${P2P_PROTOCOL_VERSION}, receiver v${receiverHello.protocolVersion}`
+      );
+    } else if (typeof receiverHello.publicKey !== "string") {
+      throw new DropgateNetworkError("Receiver did not send a public key.");
+    }
+    const sessionKeys = await deriveP2PSessionKeys(cryptoAdapter, ownKeys, receiverHello.publicKey, "sender");
+    if (isStopped()) return;
+    chunkKey = sessionKeys.chunkKey;
+    conn.send({ t: "key", publicKey: ownKeys.publicKey });
+    onVerificationCode?.(sessionKeys.verification);
+    transitionTo("negotiating");
+    if (!isStopped()) onStatus?.({ phase: "waiting", message: "Connected. Waiting for receiver to accept..." });
+    if (isMultiFile) {
+      conn.send({
+        t: "file_list",
+        fileCount: files.length,
+        files: files.map((f) => ({ name: f.name, size: f.size, mime: f.type || "application/octet-stream" })),
+        totalSize
+      });
+    }
+    conn.send({
+      t: "meta",
+      sessionId,
+      name: files[0].name,
+      size: files[0].size,
+      mime: files[0].type || "application/octet-stream",
+      ...isMultiFile ? { fileIndex: 0 } : {}
+    });
+    const dc = conn._dc;
+    if (dc && Number.isFinite(bufferLowWaterMark)) {
+      try {
+        dc.bufferedAmountLowThreshold = bufferLowWaterMark;
+      } catch {
+      }
+    }
+    await readyPromise;
+    if (isStopped()) return;
+    if (heartbeatIntervalMs > 0 && !heartbeatTimer) {
+      heartbeatTimer = setInterval(() => {
+        if (state === "transferring" || state === "finishing" || state === "awaiting_ack") {
+          try {
+            activeConn?.send({ t: "ping", timestamp: Date.now() });
+          } catch {
+          }
+        }
+      }, heartbeatIntervalMs);
+    }
+    transitionTo("transferring");
+    transferEverStarted = true;
+    await runTransfer(conn, { fileIndex: selectedFiles[0], offset: 0 });
+  };
+  const connect = (conn) => {
+    activeConn = conn;
+    transitionTo("handshaking");
+    lastActivityTime = Date.now();
+    attachConnection(conn);
+    conn.on("open", async () => {
+      if (isStopped()) return;
+      try {
+        await handshake(conn);
+      } catch (err2) {
+        if (conn !== activeConn) return;
+        safeError(err2);
+      }
+    });
+  };
   return {
-    peer,
-    code,
     sessionId,
-    stop,
-    getStatus: () => state,
+    getState: () => state,
     getBytesSent: () => sentBytes,
-    getConnectedPeerId: () => {
-      if (!activeConn) return null;
-      return activeConn.peer || null;
-    }
+    getConnection: () => activeConn,
+    hasStarted: () => transferEverStarted,
+    isResumable,
+    connect,
+    resume,
+    stop,
+    release
   };
 }
 
-// src/p2p/receive.ts
-var ALLOWED_TRANSITIONS2 = {
-  initializing: ["connecting", "closed"],
-  connecting: ["handshaking", "closed", "cancelled"],
-  handshaking: ["negotiating", "closed", "cancelled"],
-  negotiating: ["transferring", "closed", "cancelled"],
-  transferring: ["completed", "closed", "cancelled"],
-  completed: ["closed"],
-  cancelled: ["closed"],
-  closed: []
+// src/p2p/transports/base.ts
+var TransportEmitter = class {
+  constructor() {
+    __publicField(this, "listeners", /* @__PURE__ */ new Map());
+  }
+  /** Register an event handler. */
+  on(event, callback) {
+    const list = this.listeners.get(event);
+    if (list) {
+      list.push(callback);
+    } else {
+      this.listeners.set(event, [callback]);
+    }
+  }
+  emit(event, ...args) {
+    const list = this.listeners.get(event);
+    if (!list) return;
+    for (const callback of [...list]) callback(...args);
+  }
 };
-async function startP2PReceive(opts) {
-  const {
-    code,
-    Peer,
-    serverInfo,
-    host,
-    port,
-    peerjsPath,
-    secure = false,
-    iceServers,
-    autoReady = true,
-    watchdogTimeoutMs = 15e3,
-    onStatus,
-    onMeta,
-    onData,
-    onProgress,
-    onFileStart,
-    onFileEnd,
-    onComplete,
-    onError,
-    onDisconnect,
-    onCancel
-  } = opts;
-  if (!code) {
-    throw new DropgateValidationError("No sharing code was provided.");
+function transportError(code, message) {
+  return new DropgateNetworkError(message, { code });
+}
+
+// src/p2p/transports/binarypack.ts
+var MAX_DEPTH = 32;
+var textEncoder = new TextEncoder();
+var textDecoder = new TextDecoder();
+var Writer = class {
+  constructor() {
+    __publicField(this, "bytes", new Uint8Array(256));
+    __publicField(this, "view", new DataView(this.bytes.buffer));
+    __publicField(this, "length", 0);
   }
-  if (!Peer) {
-    throw new DropgateValidationError(
-      "PeerJS Peer constructor is required. Install peerjs and pass it as the Peer option."
-    );
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+    this.view = new DataView(grown.buffer);
   }
-  const p2pCaps = serverInfo?.capabilities?.p2p;
-  if (serverInfo && !p2pCaps?.enabled) {
-    throw new DropgateValidationError("Direct transfer is disabled on this server.");
+  u8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
   }
-  const normalizedCode = String(code).trim().replace(/\s+/g, "").toUpperCase();
-  if (!isP2PCodeLike(normalizedCode)) {
-    throw new DropgateValidationError("Invalid direct transfer code.");
+  u16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
   }
-  const { path: finalPath, iceServers: finalIceServers } = resolvePeerConfig(
-    { peerjsPath, iceServers },
-    p2pCaps
-  );
-  const peerOpts = buildPeerOptions({
-    host,
-    port,
-    peerjsPath: finalPath,
-    secure,
-    iceServers: finalIceServers
-  });
-  const peer = new Peer(void 0, peerOpts);
-  let state = "initializing";
-  let total = 0;
-  let received = 0;
-  let currentSessionId = null;
-  let writeQueue = Promise.resolve();
-  let watchdogTimer = null;
-  let activeConn = null;
-  let pendingChunk = null;
-  let fileList = null;
-  let currentFileReceived = 0;
-  let totalReceivedAllFiles = 0;
-  let expectedChunkSeq = 0;
-  let writeQueueDepth = 0;
-  const MAX_WRITE_QUEUE_DEPTH = 100;
-  const MAX_FILE_COUNT = 1e4;
-  const transitionTo = (newState) => {
-    if (!ALLOWED_TRANSITIONS2[state].includes(newState)) {
-      console.warn(`[P2P Receive] Invalid state transition: ${state} -> ${newState}`);
-      return false;
+  u32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+  i8(value) {
+    this.reserve(1);
+    this.view.setInt8(this.length, value);
+    this.length += 1;
+  }
+  i16(value) {
+    this.reserve(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+  i32(value) {
+    this.reserve(4);
+    this.view.setInt32(this.length, value);
+    this.length += 4;
+  }
+  i64(value) {
+    const high = Math.floor(value / 4294967296);
+    this.i32(high);
+    this.u32(value - high * 4294967296);
+  }
+  f64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+  raw(data) {
+    this.reserve(data.byteLength);
+    this.bytes.set(data, this.length);
+    this.length += data.byteLength;
+  }
+  finish() {
+    return this.bytes.slice(0, this.length);
+  }
+};
+function writeHeader(w, length, fixed, long16, long32) {
+  if (length <= 15) {
+    w.u8(fixed + length);
+  } else if (length <= 65535) {
+    w.u8(long16);
+    w.u16(length);
+  } else if (length <= 4294967295) {
+    w.u8(long32);
+    w.u32(length);
+  } else {
+    throw new DropgateValidationError("Value is too large to serialize.");
+  }
+}
+function packNumber(w, value) {
+  if (!Number.isSafeInteger(value)) {
+    w.u8(203);
+    w.f64(value);
+  } else if (value >= -32 && value <= 127) {
+    w.u8(value & 255);
+  } else if (value >= 0 && value <= 255) {
+    w.u8(204);
+    w.u8(value);
+  } else if (value >= -128 && value <= 127) {
+    w.u8(208);
+    w.i8(value);
+  } else if (value >= 0 && value <= 65535) {
+    w.u8(205);
+    w.u16(value);
+  } else if (value >= -32768 && value <= 32767) {
+    w.u8(209);
+    w.i16(value);
+  } else if (value >= 0 && value <= 4294967295) {
+    w.u8(206);
+    w.u32(value);
+  } else if (value >= -2147483648 && value <= 2147483647) {
+    w.u8(210);
+    w.i32(value);
+  } else {
+    w.u8(211);
+    w.i64(value);
+  }
+}
+function packValue(w, value) {
+  if (value === null || value === void 0) {
+    w.u8(192);
+    return;
+  }
+  switch (typeof value) {
+    case "boolean":
+      w.u8(value ? 195 : 194);
+      return;
+    case "number":
+      packNumber(w, value);
+      return;
+    case "string": {
+      const encoded = textEncoder.encode(value);
+      writeHeader(w, encoded.byteLength, 176, 216, 217);
+      w.raw(encoded);
+      return;
     }
-    state = newState;
-    return true;
-  };
-  const isStopped = () => state === "closed" || state === "cancelled";
-  const resetWatchdog = () => {
-    if (watchdogTimeoutMs <= 0) return;
-    if (watchdogTimer) {
-      clearTimeout(watchdogTimer);
+    case "object":
+      break;
+    default:
+      throw new DropgateValidationError(`Cannot serialize a value of type ${typeof value}.`);
+  }
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    writeHeader(w, bytes.byteLength, 160, 218, 219);
+    w.raw(bytes);
+    return;
+  }
+  if (Array.isArray(value)) {
+    writeHeader(w, value.length, 144, 220, 221);
+    for (const item of value) packValue(w, item);
+    return;
+  }
+  const entries = Object.entries(value).filter(([, item]) => item !== void 0);
+  writeHeader(w, entries.length, 128, 222, 223);
+  for (const [key, item] of entries) {
+    packValue(w, key);
+    packValue(w, item);
+  }
+}
+function pack(value) {
+  const w = new Writer();
+  packValue(w, value);
+  return w.finish();
+}
+var Reader = class {
+  constructor(bytes) {
+    __publicField(this, "bytes", bytes);
+    __publicField(this, "view");
+    __publicField(this, "pos", 0);
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+  get remaining() {
+    return this.bytes.byteLength - this.pos;
+  }
+  advance(size) {
+    if (size > this.remaining) {
+      throw new DropgateValidationError("Received a truncated message.");
     }
-    watchdogTimer = setTimeout(() => {
-      if (state === "transferring") {
-        safeError(new DropgateNetworkError("Connection timed out (no data received)."));
+    const start = this.pos;
+    this.pos += size;
+    return start;
+  }
+  u8() {
+    return this.view.getUint8(this.advance(1));
+  }
+  u16() {
+    return this.view.getUint16(this.advance(2));
+  }
+  u32() {
+    return this.view.getUint32(this.advance(4));
+  }
+  i8() {
+    return this.view.getInt8(this.advance(1));
+  }
+  i16() {
+    return this.view.getInt16(this.advance(2));
+  }
+  i32() {
+    return this.view.getInt32(this.advance(4));
+  }
+  f32() {
+    return this.view.getFloat32(this.advance(4));
+  }
+  f64() {
+    return this.view.getFloat64(this.advance(8));
+  }
+  u64() {
+    const high = this.u32();
+    return high * 4294967296 + this.u32();
+  }
+  i64() {
+    const high = this.i32();
+    return high * 4294967296 + this.u32();
+  }
+  binary(size) {
+    const start = this.advance(size);
+    return this.bytes.slice(start, start + size).buffer;
+  }
+  string(size) {
+    const start = this.advance(size);
+    return textDecoder.decode(this.bytes.subarray(start, start + size));
+  }
+};
+function unpackList(r, size, depth) {
+  if (size > r.remaining) {
+    throw new DropgateValidationError("Received a truncated message.");
+  }
+  const list = [];
+  for (let i = 0; i < size; i++) list.push(unpackValue(r, depth + 1));
+  return list;
+}
+function unpackMap(r, size, depth) {
+  if (size * 2 > r.remaining) {
+    throw new DropgateValidationError("Received a truncated message.");
+  }
+  const map = {};
+  for (let i = 0; i < size; i++) {
+    const key = String(unpackValue(r, depth + 1));
+    Object.defineProperty(map, key, {
+      value: unpackValue(r, depth + 1),
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  }
+  return map;
+}
+function unpackValue(r, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new DropgateValidationError("Received a message nested too deeply.");
+  }
+  const type = r.u8();
+  if (type <= 127) return type;
+  if (type >= 224) return type - 256;
+  if (type >= 128 && type <= 143) return unpackMap(r, type & 15, depth);
+  if (type >= 144 && type <= 159) return unpackList(r, type & 15, depth);
+  if (type >= 160 && type <= 175) return r.binary(type & 15);
+  if (type >= 176 && type <= 191) return r.string(type & 15);
+  switch (type) {
+    case 192:
+      return null;
+    case 193:
+      return void 0;
+    case 194:
+      return false;
+    case 195:
+      return true;
+    case 202:
+      return r.f32();
+    case 203:
+      return r.f64();
+    case 204:
+      return r.u8();
+    case 205:
+      return r.u16();
+    case 206:
+      return r.u32();
+    case 207:
+      return r.u64();
+    case 208:
+      return r.i8();
+    case 209:
+      return r.i16();
+    case 210:
+      return r.i32();
+    case 211:
+      return r.i64();
+    case 216:
+      return r.string(r.u16());
+    case 217:
+      return r.string(r.u32());
+    case 218:
+      return r.binary(r.u16());
+    case 219:
+      return r.binary(r.u32());
+    case 220:
+      return unpackList(r, r.u16(), depth);
+    case 221:
+      return unpackList(r, r.u32(), depth);
+    case 222:
+      return unpackMap(r, r.u16(), depth);
+    case 223:
+      return unpackMap(r, r.u32(), depth);
+    default:
+      throw new DropgateValidationError("Received a message in an unknown format.");
+  }
+}
+function unpack(data) {
+  const r = new Reader(data instanceof Uint8Array ? data : new Uint8Array(data));
+  const value = unpackValue(r, 0);
+  if (r.remaining > 0) {
+    throw new DropgateValidationError("Received a message with trailing data.");
+  }
+  return value;
+}
+
+// src/p2p/relay.ts
+var WEBSOCKET_OPEN = 1;
+function parseNotice(data) {
+  try {
+    const notice = JSON.parse(data);
+    return typeof notice === "object" && notice !== null ? notice : {};
+  } catch {
+    return {};
+  }
+}
+function getRelayWebSocket() {
+  return typeof globalThis.WebSocket === "function" ? globalThis.WebSocket : null;
+}
+function relayUrl(config, query) {
+  const hostname = config.host ?? globalThis.location?.hostname;
+  if (!hostname) {
+    throw transportError("SERVER_ERROR", "No relay host was configured.");
+  }
+  const path = config.relayPath.startsWith("/") ? config.relayPath : `/${config.relayPath}`;
+  return `ws${config.secure ? "s" : ""}://${hostname}${config.port ? `:${config.port}` : ""}${path}?${new URLSearchParams(query)}`;
+}
+var RelayChannel = class extends EventTarget {
+  constructor(ws, conn) {
+    super();
+    __publicField(this, "ws", ws);
+    __publicField(this, "conn", conn);
+    __publicField(this, "bufferedAmountLowThreshold", 0);
+  }
+  get bufferedAmount() {
+    return this.ws.bufferedAmount;
+  }
+  get readyState() {
+    return this.conn.open ? "open" : "closed";
+  }
+};
+var RelayConnection = class extends TransportEmitter {
+  constructor(ws, peer) {
+    super();
+    __publicField(this, "ws", ws);
+    __publicField(this, "peer", peer);
+    __publicField(this, "open", false);
+    __publicField(this, "_dc");
+    __publicField(this, "closed", false);
+    this._dc = new RelayChannel(ws, this);
+    ws.binaryType = "arraybuffer";
+    ws.onmessage = (event) => {
+      if (typeof event.data === "string") {
+        if (parseNotice(event.data).type === "open" && !this.closed && !this.open) {
+          this.open = true;
+          this.emit("open");
+        }
+        return;
       }
-    }, watchdogTimeoutMs);
-  };
-  const clearWatchdog = () => {
-    if (watchdogTimer) {
-      clearTimeout(watchdogTimer);
-      watchdogTimer = null;
+      if (!this.open) return;
+      let message;
+      try {
+        message = unpack(event.data);
+      } catch (err2) {
+        this.emit("error", err2);
+        this.close();
+        return;
+      }
+      this.emit("data", message);
+    };
+    ws.onerror = () => {
+    };
+    ws.onclose = () => this.shutDown();
+  }
+  send(data) {
+    if (!this.open || this.ws.readyState !== WEBSOCKET_OPEN) {
+      this.emit("error", transportError("NOT_OPEN_YET", "Connection is not open. Wait for the open event before sending."));
+      return;
+    }
+    this.ws.send(pack(data));
+  }
+  close() {
+    try {
+      this.ws.close(1e3);
+    } catch {
     }
+    this.shutDown();
+  }
+  shutDown() {
+    if (this.closed) return;
+    this.closed = true;
+    this.open = false;
+    this.emit("close");
+  }
+};
+function connectThroughRelay(config, code, WebSocketImpl) {
+  return new RelayConnection(new WebSocketImpl(relayUrl(config, { connect: code })), code);
+}
+function listenOnRelay(config, code, token, WebSocketImpl, onConnection) {
+  const ws = new WebSocketImpl(relayUrl(config, { listen: code, token }));
+  ws.onerror = () => {
   };
-  const safeError = (err2) => {
-    if (state === "closed" || state === "completed" || state === "cancelled") return;
-    transitionTo("closed");
-    onError?.(err2);
-    cleanup();
+  ws.onmessage = (event) => {
+    if (typeof event.data !== "string") return;
+    const notice = parseNotice(event.data);
+    if (notice.type !== "connection" || typeof notice.id !== "string") return;
+    const socket = new WebSocketImpl(relayUrl(config, { accept: notice.id }));
+    onConnection(new RelayConnection(socket, `relay-${notice.id}`));
   };
-  const safeComplete = (completeData) => {
-    if (state !== "transferring") return;
-    transitionTo("completed");
-    onComplete?.(completeData);
+  return () => {
+    try {
+      ws.close(1e3);
+    } catch {
+    }
   };
+}
+
+// src/p2p/send.ts
+function generateSessionId() {
+  return crypto.randomUUID();
+}
+async function startP2PSend(opts) {
+  const {
+    file,
+    Peer,
+    transport,
+    serverInfo,
+    host,
+    port,
+    peerjsPath,
+    secure = false,
+    iceServers,
+    relayPath,
+    codeGenerator,
+    cryptoObj,
+    maxAttempts = 4,
+    chunkSize = P2P_CHUNK_SIZE,
+    endAckTimeoutMs = P2P_END_ACK_TIMEOUT_MS,
+    bufferHighWaterMark = 8 * 1024 * 1024,
+    bufferLowWaterMark = 2 * 1024 * 1024,
+    heartbeatIntervalMs = 5e3,
+    chunkAcknowledgments = true,
+    maxUnackedChunks = P2P_MAX_UNACKED_CHUNKS,
+    resumeTimeoutMs = P2P_RESUME_TIMEOUT_MS,
+    iceRestartTimeoutMs = P2P_ICE_RESTART_TIMEOUT_MS,
+    onCode,
+    onStatus,
+    onProgress,
+    onComplete,
+    onError,
+    onDisconnect,
+    onCancel,
+    onConnectionHealth,
+    onResumeRequest,
+    onVerificationCode,
+    maxReceivers = 1,
+    onReceiverEnd
+  } = opts;
+  const files = Array.isArray(file) ? file : [file];
+  if (!files.length) {
+    throw new DropgateValidationError("At least one file is required.");
+  }
+  const peerTransport = resolveTransport({ Peer, transport });
+  if (!Number.isInteger(maxReceivers) || maxReceivers < 1) {
+    throw new DropgateValidationError("maxReceivers must be a whole number of at least 1.");
+  }
+  const isBroadcast = maxReceivers > 1;
+  const cryptoAdapter = cryptoObj || getDefaultCrypto();
+  if (!cryptoAdapter?.subtle) {
+    throw new DropgateValidationError("Web Crypto API is required to encrypt direct transfers.");
+  }
+  const p2pCaps = serverInfo?.capabilities?.p2p;
+  if (serverInfo && !p2pCaps?.enabled) {
+    throw new DropgateValidationError("Direct transfer is disabled on this server.");
+  }
+  const { path: finalPath, iceServers: finalIceServers, relayPath: finalRelayPath } = resolvePeerConfig(
+    { peerjsPath, iceServers, relayPath },
+    p2pCaps
+  );
+  const peerOpts = buildPeerOptions({
+    host,
+    port,
+    peerjsPath: finalPath,
+    secure,
+    iceServers: finalIceServers
+  });
+  const finalCodeGenerator = codeGenerator || (() => generateP2PCode(cryptoObj));
+  const signallingToken = crypto.randomUUID();
+  const buildPeer = (id) => peerTransport.createPeer(id, { ...peerOpts, token: signallingToken });
+  const { peer, code } = await createPeerWithRetries({
+    code: null,
+    codeGenerator: finalCodeGenerator,
+    maxAttempts,
+    buildPeer,
+    onCode
+  });
+  const sessionId = generateSessionId();
+  let sessionState = "listening";
+  let cleanedUp = false;
+  const transfers = /* @__PURE__ */ new Set();
+  let completedCount = 0;
+  let endedBytes = 0;
+  let stopRelay = null;
+  const receiverIds = /* @__PURE__ */ new Map();
+  let receiverCount = 0;
+  const slotsTaken = () => completedCount + (isBroadcast ? receiverIds.size : transfers.size);
+  const connectionAttempts = [];
+  const MAX_CONNECTION_ATTEMPTS = 10;
+  const CONNECTION_RATE_WINDOW_MS = 1e4;
+  const isStopped = () => sessionState !== "listening";
   const cleanup = () => {
-    clearWatchdog();
+    if (cleanedUp) return;
+    cleanedUp = true;
     if (typeof window !== "undefined") {
       window.removeEventListener("beforeunload", handleUnload);
     }
+    stopRelay?.();
     try {
       peer.destroy();
     } catch {
     }
   };
   const handleUnload = () => {
-    try {
-      activeConn?.send({ t: "error", message: "Receiver closed the connection." });
-    } catch {
+    for (const transfer of transfers) {
+      try {
+        transfer.getConnection()?.send({ t: "error", message: "Sender closed the connection." });
+      } catch {
+      }
     }
     stop();
   };
@@ -1741,49 +2808,511 @@ async function startP2PReceive(opts) {
     window.addEventListener("beforeunload", handleUnload);
   }
   const stop = () => {
-    if (state === "closed" || state === "cancelled") return;
-    if (state === "completed") {
+    if (sessionState === "closed" || sessionState === "cancelled") return;
+    if (sessionState === "listening") sessionState = "cancelled";
+    for (const transfer of [...transfers]) transfer.stop();
+    cleanup();
+  };
+  const handleTransferEnd = (transfer, outcome) => {
+    const receiverId = receiverIds.get(transfer);
+    transfers.delete(transfer);
+    receiverIds.delete(transfer);
+    endedBytes += transfer.getBytesSent();
+    if (!isBroadcast) {
+      switch (outcome.type) {
+        case "disconnected":
+          onDisconnect?.();
+          return;
+        case "completed":
+          sessionState = "completed";
+          onComplete?.();
+          break;
+        case "failed":
+          sessionState = "closed";
+          onError?.(outcome.error);
+          break;
+        case "cancelled":
+          if (sessionState === "listening") sessionState = "cancelled";
+          if (outcome.event) onCancel?.(outcome.event);
+          break;
+      }
       cleanup();
       return;
     }
-    const wasActive = state === "transferring";
-    transitionTo("cancelled");
-    try {
-      if (activeConn && activeConn.open) {
-        activeConn.send({ t: "cancelled", reason: "Receiver cancelled the transfer." });
-      }
-    } catch {
-    }
-    if (wasActive && onCancel) {
-      onCancel({ cancelledBy: "receiver" });
+    if (receiverId === void 0) return;
+    if (outcome.type === "completed") completedCount++;
+    onReceiverEnd?.({
+      receiverId,
+      outcome: outcome.type,
+      ...outcome.type === "failed" ? { error: outcome.error } : {},
+      ...outcome.type === "cancelled" && outcome.event ? { cancelledBy: outcome.event.cancelledBy } : {}
+    });
+    if (completedCount >= maxReceivers && sessionState === "listening") {
+      sessionState = "completed";
+      onComplete?.();
+      cleanup();
     }
-    cleanup();
   };
-  const sendChunkAck = (conn, seq) => {
-    try {
-      conn.send({ t: "chunk_ack", seq, received });
-    } catch {
+  const watchHandshake = (conn, onHello) => {
+    let helloResolve = null;
+    let resumeResolve = null;
+    const hello = new Promise((resolve) => {
+      helloResolve = resolve;
+    });
+    const resume = new Promise((resolve) => {
+      resumeResolve = resolve;
+    });
+    conn.on("data", (data) => {
+      if (!isP2PMessage(data)) return;
+      if (data.t === "hello" && helloResolve) {
+        onHello?.(data);
+        helloResolve(data);
+        helloResolve = null;
+      } else if (data.t === "resume") {
+        resumeResolve?.(data);
+        resumeResolve = null;
+      }
+    });
+    return { hello, resume };
+  };
+  const routeResume = async (conn, handshake) => {
+    const request = await Promise.race([
+      handshake.hello.then((hello) => hello.protocolVersion === P2P_PROTOCOL_VERSION ? handshake.resume : null),
+      sleep(1e4).then(() => null)
+    ]);
+    if (isStopped()) return;
+    const transfer = request ? [...transfers].find((t) => t.sessionId === request.sessionId) : void 0;
+    if (!request || !transfer) {
+      rejectConnection(conn, "Invalid resume request.");
+      return;
     }
+    await transfer.resume(conn, request);
   };
-  peer.on("error", (err2) => {
-    safeError(err2);
-  });
-  peer.on("open", () => {
-    transitionTo("connecting");
-    const conn = peer.connect(normalizedCode, { reliable: true });
-    activeConn = conn;
-    conn.on("open", () => {
-      transitionTo("handshaking");
-      onStatus?.({ phase: "connected", message: "Connected." });
-      conn.send({
-        t: "hello",
-        protocolVersion: P2P_PROTOCOL_VERSION,
-        sessionId: ""
-      });
+  const startTransfer = (conn) => {
+    const report = (callback) => callback && ((evt) => {
+      const receiverId = receiverIds.get(transfer);
+      if (!isBroadcast) callback(evt);
+      else if (receiverId !== void 0) callback({ ...evt, receiverId });
     });
-    conn.on("data", async (data) => {
-      try {
-        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data) || typeof Blob !== "undefined" && data instanceof Blob) {
+    const transfer = createSendTransfer({
+      peer,
+      files,
+      sessionId: isBroadcast ? generateSessionId() : sessionId,
+      cryptoAdapter,
+      chunkSize,
+      endAckTimeoutMs,
+      bufferHighWaterMark,
+      bufferLowWaterMark,
+      heartbeatIntervalMs,
+      chunkAcknowledgments,
+      maxUnackedChunks,
+      resumeTimeoutMs,
+      iceRestartTimeoutMs,
+      onStatus: report(onStatus),
+      onProgress: report(onProgress),
+      onConnectionHealth: report(onConnectionHealth),
+      onVerificationCode: report(onVerificationCode),
+      onResumeRequest: onResumeRequest && ((info) => {
+        const receiverId = receiverIds.get(transfer);
+        return onResumeRequest(receiverId !== void 0 ? { ...info, receiverId } : info);
+      }),
+      onEnd: (outcome) => handleTransferEnd(transfer, outcome)
+    });
+    transfers.add(transfer);
+    const handshake = watchHandshake(conn, (hello) => {
+      if (transfer.getConnection() !== conn) return;
+      if (hello.sessionId) {
+        transfer.release();
+        transfers.delete(transfer);
+        void routeResume(conn, handshake);
+        return;
+      }
+      if (isBroadcast) {
+        if (slotsTaken() >= maxReceivers) {
+          transfer.release();
+          transfers.delete(transfer);
+          rejectConnection(conn, "This transfer has reached its receiver limit.");
+          return;
+        }
+        const receiverId = ++receiverCount;
+        receiverIds.set(transfer, receiverId);
+        onStatus?.({ phase: "connected", message: "Receiver connected.", receiverId });
+      }
+    });
+    if (!isBroadcast) onStatus?.({ phase: "connected", message: "Receiver connected." });
+    transfer.connect(conn);
+  };
+  const handleConnection = (conn) => {
+    if (isStopped()) return;
+    const now = Date.now();
+    while (connectionAttempts.length > 0 && connectionAttempts[0] < now - CONNECTION_RATE_WINDOW_MS) {
+      connectionAttempts.shift();
+    }
+    if (connectionAttempts.length >= MAX_CONNECTION_ATTEMPTS) {
+      console.warn("[P2P Send] Connection rate limit exceeded, rejecting connection");
+      rejectConnection(conn, "Too many connection attempts. Please wait.");
+      return;
+    }
+    connectionAttempts.push(now);
+    if (!isBroadcast) {
+      for (const transfer of [...transfers]) {
+        const deadConn = transfer.getConnection();
+        if (!transfer.hasStarted() && deadConn?.open === false) {
+          transfer.release();
+          transfers.delete(transfer);
+          try {
+            deadConn.close();
+          } catch {
+          }
+        }
+      }
+    }
+    if (slotsTaken() < maxReceivers) {
+      startTransfer(conn);
+      return;
+    }
+    if ([...transfers].some((t) => t.isResumable())) {
+      const handshake = watchHandshake(conn);
+      conn.on("open", () => {
+        conn.send({ t: "hello", protocolVersion: P2P_PROTOCOL_VERSION, sessionId: "" });
+        void routeResume(conn, handshake);
+      });
+      return;
+    }
+    if (isBroadcast) {
+      rejectConnection(conn, "This transfer has reached its receiver limit.");
+    } else if ([...transfers].some((t) => t.hasStarted())) {
+      rejectConnection(conn, "Transfer already in progress.");
+    } else {
+      rejectConnection(conn, "Another receiver is already connected.");
+    }
+  };
+  peer.on("connection", handleConnection);
+  const relayWebSocket = getRelayWebSocket();
+  if (finalRelayPath && relayWebSocket) {
+    stopRelay = listenOnRelay({ host, port, secure, relayPath: finalRelayPath }, code, signallingToken, relayWebSocket, handleConnection);
+  }
+  const getStatus = () => {
+    if (isStopped()) return sessionState;
+    const active = [...transfers];
+    if (!isBroadcast) return active[0]?.getState() ?? "listening";
+    return active.some((t) => t.hasStarted()) ? "transferring" : "listening";
+  };
+  return {
+    peer,
+    code,
+    sessionId,
+    stop,
+    getStatus,
+    getBytesSent: () => [...transfers].reduce((sum, t) => sum + t.getBytesSent(), endedBytes),
+    getConnectedPeerId: () => {
+      for (const transfer of transfers) {
+        const peerId = transfer.getConnection()?.peer;
+        if (peerId) return peerId;
+      }
+      return null;
+    }
+  };
+}
+
+// src/p2p/receive.ts
+var ALLOWED_TRANSITIONS2 = {
+  initializing: ["connecting", "closed"],
+  connecting: ["handshaking", "closed", "cancelled"],
+  handshaking: ["negotiating", "closed", "cancelled"],
+  negotiating: ["transferring", "closed", "cancelled"],
+  transferring: ["reconnecting", "completed", "closed", "cancelled"],
+  reconnecting: ["transferring", "closed", "cancelled"],
+  completed: ["closed"],
+  cancelled: ["closed"],
+  closed: []
+};
+async function startP2PReceive(opts) {
+  const {
+    code,
+    Peer,
+    transport,
+    serverInfo,
+    cryptoObj,
+    host,
+    port,
+    peerjsPath,
+    secure = false,
+    iceServers,
+    relayPath,
+    autoReady = true,
+    watchdogTimeoutMs = 15e3,
+    resumeTimeoutMs = P2P_RESUME_TIMEOUT_MS,
+    relayTimeoutMs = P2P_RELAY_TIMEOUT_MS,
+    onStatus,
+    onMeta,
+    onData,
+    onProgress,
+    onFileStart,
+    onFileEnd,
+    onComplete,
+    onError,
+    onDisconnect,
+    onCancel,
+    onVerificationCode
+  } = opts;
+  if (!code) {
+    throw new DropgateValidationError("No sharing code was provided.");
+  }
+  const peerTransport = resolveTransport({ Peer, transport });
+  const cryptoAdapter = cryptoObj || getDefaultCrypto();
+  if (!cryptoAdapter?.subtle) {
+    throw new DropgateValidationError("Web Crypto API is required to decrypt direct transfers.");
+  }
+  const p2pCaps = serverInfo?.capabilities?.p2p;
+  if (serverInfo && !p2pCaps?.enabled) {
+    throw new DropgateValidationError("Direct transfer is disabled on this server.");
+  }
+  const normalizedCode = normalizeP2PCode(code);
+  if (!isP2PCodeLike(normalizedCode)) {
+    throw new DropgateValidationError("Invalid direct transfer code.");
+  }
+  const { path: finalPath, iceServers: finalIceServers, relayPath: finalRelayPath } = resolvePeerConfig(
+    { peerjsPath, iceServers, relayPath },
+    p2pCaps
+  );
+  const peerOpts = buildPeerOptions({
+    host,
+    port,
+    peerjsPath: finalPath,
+    secure,
+    iceServers: finalIceServers
+  });
+  const peer = peerTransport.createPeer(void 0, peerOpts);
+  const relayWebSocket = getRelayWebSocket();
+  const relay = finalRelayPath && relayWebSocket && relayTimeoutMs > 0 ? { config: { host, port, secure, relayPath: finalRelayPath }, WebSocket: relayWebSocket } : null;
+  let useRelay = false;
+  let relayTimer = null;
+  let state = "initializing";
+  let total = 0;
+  let received = 0;
+  let currentSessionId = null;
+  let writeQueue = Promise.resolve();
+  let watchdogTimer = null;
+  let activeConn = null;
+  let pendingChunk = null;
+  let fileList = null;
+  let currentFileReceived = 0;
+  let totalReceivedAllFiles = 0;
+  let currentFileIndex = 0;
+  let currentFileStarted = false;
+  let selectedFiles = null;
+  let fileHasher = createStreamingSha256();
+  let fileHashHex = null;
+  let allFilesVerified = true;
+  let ownKeysPromise = null;
+  let senderKeyCommitment = null;
+  let chunkKeyPromise = null;
+  let resumeAttemptResolve = null;
+  let expectedChunkSeq = 0;
+  let writeQueueDepth = 0;
+  const MAX_WRITE_QUEUE_DEPTH = 100;
+  const MAX_FILE_COUNT = 1e4;
+  const transitionTo = (newState) => {
+    if (!ALLOWED_TRANSITIONS2[state].includes(newState)) {
+      console.warn(`[P2P Receive] Invalid state transition: ${state} -> ${newState}`);
+      return false;
+    }
+    state = newState;
+    return true;
+  };
+  const isStopped = () => state === "closed" || state === "cancelled";
+  const resetWatchdog = () => {
+    if (watchdogTimeoutMs <= 0) return;
+    if (watchdogTimer) {
+      clearTimeout(watchdogTimer);
+    }
+    watchdogTimer = setTimeout(() => {
+      if (state === "transferring") {
+        if (resumeTimeoutMs > 0) {
+          void reconnect();
+          return;
+        }
+        safeError(new DropgateNetworkError("Connection timed out (no data received)."));
+      }
+    }, watchdogTimeoutMs);
+  };
+  const clearWatchdog = () => {
+    if (watchdogTimer) {
+      clearTimeout(watchdogTimer);
+      watchdogTimer = null;
+    }
+  };
+  const safeError = (err2) => {
+    if (state === "closed" || state === "completed" || state === "cancelled") return;
+    transitionTo("closed");
+    onError?.(err2);
+    cleanup();
+  };
+  const verifyFileHash = (conn, expected) => {
+    fileHashHex ?? (fileHashHex = fileHasher.digestHex());
+    if (typeof expected !== "string") return false;
+    if (expected.toLowerCase() !== fileHashHex) {
+      const err2 = new DropgateValidationError("File integrity check failed. The received data does not match what was sent.");
+      try {
+        conn.send({ t: "error", message: err2.message });
+      } catch {
+      }
+      throw err2;
+    }
+    return true;
+  };
+  const nextSelectedFile = (fileIndex) => selectedFiles?.find((i) => i > fileIndex) ?? fileIndex + 1;
+  const resetFileHash = () => {
+    fileHasher = createStreamingSha256();
+    fileHashHex = null;
+  };
+  const safeComplete = (completeData) => {
+    if (state !== "transferring") return;
+    transitionTo("completed");
+    onComplete?.(completeData);
+  };
+  const cleanup = () => {
+    clearWatchdog();
+    clearRelayTimer();
+    resumeAttemptResolve?.();
+    if (useRelay) {
+      try {
+        activeConn?.close();
+      } catch {
+      }
+    }
+    if (typeof window !== "undefined") {
+      window.removeEventListener("beforeunload", handleUnload);
+    }
+    try {
+      peer.destroy();
+    } catch {
+    }
+  };
+  const handleUnload = () => {
+    try {
+      activeConn?.send({ t: "error", message: "Receiver closed the connection." });
+    } catch {
+    }
+    stop();
+  };
+  if (typeof window !== "undefined") {
+    window.addEventListener("beforeunload", handleUnload);
+  }
+  const stop = () => {
+    if (state === "closed" || state === "cancelled") return;
+    if (state === "completed") {
+      cleanup();
+      return;
+    }
+    const wasActive = state === "transferring" || state === "reconnecting";
+    transitionTo("cancelled");
+    try {
+      if (activeConn && activeConn.open) {
+        activeConn.send({ t: "cancelled", reason: "Receiver cancelled the transfer." });
+      }
+    } catch {
+    }
+    if (wasActive && onCancel) {
+      onCancel({ cancelledBy: "receiver" });
+    }
+    cleanup();
+  };
+  const sendChunkAck = (conn, seq) => {
+    try {
+      conn.send({ t: "chunk_ack", seq, received });
+    } catch {
+    }
+  };
+  const reconnect = async () => {
+    if (!transitionTo("reconnecting")) return;
+    clearWatchdog();
+    const lostConn = activeConn;
+    activeConn = null;
+    try {
+      lostConn?.close();
+    } catch {
+    }
+    onStatus?.({ phase: "reconnecting", message: "Connection lost. Reconnecting..." });
+    await writeQueue;
+    const deadline = Date.now() + resumeTimeoutMs;
+    while (state === "reconnecting" && Date.now() < deadline) {
+      if (peer.disconnected) {
+        try {
+          peer.reconnect?.();
+        } catch {
+        }
+      }
+      const attempt = new Promise((resolve) => {
+        resumeAttemptResolve = resolve;
+      });
+      const conn = connectToSender(true);
+      await Promise.race([
+        attempt,
+        sleep(Math.min(P2P_RESUME_ATTEMPT_TIMEOUT_MS, Math.max(0, deadline - Date.now())))
+      ]);
+      resumeAttemptResolve = null;
+      if (state !== "reconnecting") return;
+      activeConn = null;
+      try {
+        conn.close();
+      } catch {
+      }
+      await sleep(1e3);
+    }
+    if (state === "reconnecting") {
+      safeError(new DropgateNetworkError("Lost connection to the sender and could not reconnect."));
+    }
+  };
+  const clearRelayTimer = () => {
+    if (relayTimer) {
+      clearTimeout(relayTimer);
+      relayTimer = null;
+    }
+  };
+  const switchToRelay = () => {
+    if (!relay || useRelay || state !== "connecting") return;
+    useRelay = true;
+    clearRelayTimer();
+    const directConn = activeConn;
+    activeConn = null;
+    try {
+      directConn?.close();
+    } catch {
+    }
+    onStatus?.({ phase: "relay", message: "Could not connect directly. Connecting through the server..." });
+    connectToSender(false);
+  };
+  const connectToSender = (resuming) => {
+    const conn = relay && useRelay ? connectThroughRelay(relay.config, normalizedCode, relay.WebSocket) : peer.connect(normalizedCode, { reliable: true });
+    activeConn = conn;
+    conn.on("open", () => {
+      if (conn !== activeConn) return;
+      clearRelayTimer();
+      answerIceRestarts(peer, conn);
+      if (resuming) {
+        conn.send({
+          t: "hello",
+          protocolVersion: P2P_PROTOCOL_VERSION,
+          sessionId: currentSessionId || ""
+        });
+        conn.send({
+          t: "resume",
+          sessionId: currentSessionId || "",
+          receivedBytes: fileList ? currentFileReceived : received,
+          ...fileList ? { fileIndex: currentFileIndex } : {}
+        });
+        return;
+      }
+      transitionTo("handshaking");
+      onStatus?.({ phase: "connected", message: "Connected." });
+      ownKeysPromise = generateP2PKeyPair(cryptoAdapter);
+    });
+    conn.on("data", async (data) => {
+      if (conn !== activeConn) return;
+      try {
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data) || typeof Blob !== "undefined" && data instanceof Blob) {
           if (state !== "transferring") {
             throw new DropgateValidationError(
               "Received binary data before transfer was accepted. Possible malicious sender."
@@ -1805,12 +3334,21 @@ async function startP2PReceive(opts) {
           } else {
             return;
           }
+          const chunkFileIndex = currentFileIndex;
           const chunkSeq = pendingChunk?.seq ?? -1;
           const expectedSize = pendingChunk?.size;
           pendingChunk = null;
           writeQueueDepth++;
           writeQueue = writeQueue.then(async () => {
-            const buf = await bufPromise;
+            if (!chunkKeyPromise) {
+              throw new DropgateValidationError("Received data before the key exchange completed.");
+            }
+            const buf = await decryptP2PChunk(
+              cryptoAdapter,
+              await chunkKeyPromise,
+              await bufPromise,
+              buildP2PChunkAad(chunkFileIndex, currentFileReceived)
+            );
             if (expectedSize !== void 0 && buf.byteLength !== expectedSize) {
               throw new DropgateValidationError(
                 `Chunk size mismatch: expected ${expectedSize}, got ${buf.byteLength}`
@@ -1822,15 +3360,15 @@ async function startP2PReceive(opts) {
                 `Received more data than expected: ${newReceived} > ${total}`
               );
             }
+            fileHasher.update(buf);
             if (onData) {
               await onData(buf);
             }
             received += buf.byteLength;
             currentFileReceived += buf.byteLength;
             const progressReceived = fileList ? totalReceivedAllFiles + currentFileReceived : received;
-            const progressTotal = fileList ? fileList.totalSize : total;
-            const percent = progressTotal ? Math.min(100, progressReceived / progressTotal * 100) : 0;
-            if (!isStopped()) onProgress?.({ processedBytes: progressReceived, totalBytes: progressTotal, percent });
+            const percent = total ? Math.min(100, progressReceived / total * 100) : 0;
+            if (!isStopped()) onProgress?.({ processedBytes: progressReceived, totalBytes: total, percent });
             if (chunkSeq >= 0) {
               sendChunkAck(conn, chunkSeq);
             }
@@ -1851,11 +3389,50 @@ async function startP2PReceive(opts) {
         if (!isP2PMessage(data)) return;
         const msg = data;
         switch (msg.t) {
-          case "hello":
-            currentSessionId = msg.sessionId || null;
+          case "hello": {
+            if (state !== "handshaking" || !ownKeysPromise) break;
+            const hello = msg;
+            if (hello.protocolVersion !== P2P_PROTOCOL_VERSION) {
+              throw new DropgateNetworkError(
+                `Protocol version mismatch: sender v${hello.protocolVersion}, receiver v${P2P_PROTOCOL_VERSION}`
+              );
+            }
+            if (!hello.sessionId && hello.keyCommitment === void 0) {
+              throw new DropgateNetworkError("The sender is busy with other receivers. Try again once a transfer finishes.");
+            }
+            if (typeof hello.keyCommitment !== "string") {
+              throw new DropgateNetworkError("Sender did not start a key exchange.");
+            }
+            currentSessionId = hello.sessionId || null;
+            senderKeyCommitment = hello.keyCommitment;
             transitionTo("negotiating");
-            onStatus?.({ phase: "waiting", message: "Waiting for file details..." });
+            const ownKeys = await ownKeysPromise;
+            if (isStopped()) return;
+            conn.send({
+              t: "hello",
+              protocolVersion: P2P_PROTOCOL_VERSION,
+              sessionId: "",
+              publicKey: ownKeys.publicKey
+            });
+            onStatus?.({ phase: "waiting", message: "Waiting for file details..." });
+            break;
+          }
+          case "key": {
+            if (state !== "negotiating" || chunkKeyPromise || !senderKeyCommitment || !ownKeysPromise) break;
+            const senderPublicKey = msg.publicKey;
+            const keysPromise = ownKeysPromise;
+            const commitment = senderKeyCommitment;
+            chunkKeyPromise = (async () => {
+              if (typeof senderPublicKey !== "string" || await commitToPublicKey(cryptoAdapter, senderPublicKey) !== commitment) {
+                throw new DropgateNetworkError("The sender's public key does not match its commitment.");
+              }
+              const sessionKeys = await deriveP2PSessionKeys(cryptoAdapter, await keysPromise, senderPublicKey, "receiver");
+              if (!isStopped()) onVerificationCode?.(sessionKeys.verification);
+              return sessionKeys.chunkKey;
+            })();
+            await chunkKeyPromise;
             break;
+          }
           case "file_list": {
             const fileListMsg = msg;
             if (fileListMsg.fileCount > MAX_FILE_COUNT) {
@@ -1875,6 +3452,13 @@ async function startP2PReceive(opts) {
             if (state !== "negotiating" && !(state === "transferring" && fileList)) {
               return;
             }
+            if (!chunkKeyPromise) {
+              throw new DropgateValidationError("Received file details before the key exchange.");
+            }
+            if (state === "negotiating") {
+              await chunkKeyPromise;
+              if (isStopped()) return;
+            }
             if (currentSessionId && msg.sessionId && msg.sessionId !== currentSessionId) {
               try {
                 conn.send({ t: "error", message: "Busy with another session." });
@@ -1889,6 +3473,12 @@ async function startP2PReceive(opts) {
             const fileSize = Number(msg.size) || 0;
             const fi = msg.fileIndex;
             if (fileList && typeof fi === "number" && fi > 0) {
+              if (fi === currentFileIndex && currentFileStarted) break;
+              if (selectedFiles && !selectedFiles.includes(fi)) {
+                throw new DropgateValidationError("The sender sent a file that was not selected.");
+              }
+              currentFileIndex = fi;
+              currentFileStarted = true;
               currentFileReceived = 0;
               onFileStart?.({ fileIndex: fi, name, size: fileSize });
               break;
@@ -1896,17 +3486,31 @@ async function startP2PReceive(opts) {
             received = 0;
             currentFileReceived = 0;
             totalReceivedAllFiles = 0;
+            resetFileHash();
+            allFilesVerified = true;
             if (!fileList) {
               total = fileSize;
             }
             writeQueue = Promise.resolve();
-            const sendReady = () => {
+            const sendReady = (fileIndices) => {
+              const list = fileList;
+              if (list && fileIndices !== void 0) {
+                const selection = normalizeFileSelection(fileIndices, list.fileCount);
+                if (!selection) {
+                  throw new DropgateValidationError("Select at least one file from the list.");
+                }
+                selectedFiles = selection;
+                total = selection.reduce((sum, i) => sum + list.files[i].size, 0);
+              }
               transitionTo("transferring");
               resetWatchdog();
-              if (fileList) {
+              currentFileIndex = selectedFiles?.[0] ?? 0;
+              currentFileStarted = currentFileIndex === 0;
+              if (fileList && currentFileStarted) {
                 onFileStart?.({ fileIndex: 0, name, size: fileSize });
               }
               try {
+                if (selectedFiles) conn.send({ t: "select", fileIndices: selectedFiles });
                 conn.send({ t: "ready" });
               } catch {
               }
@@ -1958,13 +3562,18 @@ async function startP2PReceive(opts) {
             clearWatchdog();
             await writeQueue;
             const feIdx = msg.fileIndex;
-            onFileEnd?.({ fileIndex: feIdx, receivedBytes: currentFileReceived });
+            const fileVerified = verifyFileHash(conn, msg.sha256);
+            allFilesVerified && (allFilesVerified = fileVerified);
+            onFileEnd?.({ fileIndex: feIdx, receivedBytes: currentFileReceived, verified: fileVerified });
             try {
               conn.send({ t: "file_end_ack", fileIndex: feIdx, received: currentFileReceived, size: currentFileReceived });
             } catch {
             }
             totalReceivedAllFiles += currentFileReceived;
             currentFileReceived = 0;
+            currentFileIndex = nextSelectedFile(feIdx);
+            currentFileStarted = false;
+            resetFileHash();
             resetWatchdog();
             break;
           }
@@ -1972,8 +3581,7 @@ async function startP2PReceive(opts) {
             clearWatchdog();
             await writeQueue;
             const finalReceived = fileList ? totalReceivedAllFiles + currentFileReceived : received;
-            const finalTotal = fileList ? fileList.totalSize : total;
-            if (finalTotal && finalReceived < finalTotal) {
+            if (total && finalReceived < total) {
               const err2 = new DropgateNetworkError(
                 "Transfer ended before all data was received."
               );
@@ -1983,16 +3591,17 @@ async function startP2PReceive(opts) {
               }
               throw err2;
             }
+            const verified = fileList ? allFilesVerified : verifyFileHash(conn, msg.sha256);
             try {
-              conn.send({ t: "end_ack", received: finalReceived, total: finalTotal });
+              conn.send({ t: "end_ack", received: finalReceived, total });
             } catch {
             }
-            safeComplete({ received: finalReceived, total: finalTotal });
+            safeComplete({ received: finalReceived, total, verified });
             (async () => {
               for (let i = 0; i < 2; i++) {
                 await sleep(P2P_END_ACK_RETRY_DELAY_MS);
                 try {
-                  conn.send({ t: "end_ack", received: finalReceived, total: finalTotal });
+                  conn.send({ t: "end_ack", received: finalReceived, total });
                 } catch {
                   break;
                 }
@@ -2000,6 +3609,20 @@ async function startP2PReceive(opts) {
             })().catch(() => {
             });
             break;
+          case "resume_ack": {
+            if (state !== "reconnecting") return;
+            const expectedOffset = fileList ? currentFileReceived : received;
+            if (!msg.accepted || msg.resumeFromOffset !== expectedOffset || fileList && msg.fileIndex !== currentFileIndex) {
+              throw new DropgateNetworkError("The sender could not resume the transfer.");
+            }
+            expectedChunkSeq = 0;
+            pendingChunk = null;
+            transitionTo("transferring");
+            resetWatchdog();
+            resumeAttemptResolve?.();
+            onStatus?.({ phase: "resumed", message: "Reconnected. Resuming transfer..." });
+            break;
+          }
           case "error":
             throw new DropgateNetworkError(msg.message || "Sender reported an error.");
           case "cancelled":
@@ -2014,10 +3637,23 @@ async function startP2PReceive(opts) {
       }
     });
     conn.on("close", () => {
+      if (conn !== activeConn) return;
       if (state === "closed" || state === "completed" || state === "cancelled") {
         cleanup();
         return;
       }
+      if (state === "reconnecting") {
+        resumeAttemptResolve?.();
+        return;
+      }
+      if (state === "connecting" && relay && !useRelay) {
+        switchToRelay();
+        return;
+      }
+      if (state === "transferring" && resumeTimeoutMs > 0) {
+        void reconnect();
+        return;
+      }
       if (state === "transferring") {
         transitionTo("cancelled");
         onCancel?.({ cancelledBy: "sender" });
@@ -2026,10 +3662,23 @@ async function startP2PReceive(opts) {
         transitionTo("closed");
         cleanup();
         onDisconnect?.();
+      } else if (state === "connecting" && useRelay) {
+        safeError(new DropgateNetworkError("Could not connect to the sender, directly or through the relay."));
       } else {
         safeError(new DropgateNetworkError("Sender disconnected before file details were received."));
       }
     });
+    return conn;
+  };
+  peer.on("error", (err2) => {
+    if (state === "transferring" || state === "reconnecting") return;
+    safeError(err2);
+  });
+  peer.on("open", () => {
+    if (state !== "initializing") return;
+    transitionTo("connecting");
+    connectToSender(false);
+    if (relay) relayTimer = setTimeout(switchToRelay, relayTimeoutMs);
   });
   return {
     peer,
@@ -2042,6 +3691,95 @@ async function startP2PReceive(opts) {
 }
 
 // src/client/DropgateClient.ts
+function retryWaitProgress(progress, totalBytes, baseBytes = 0, fields = {}) {
+  return ({ attempt, maxRetries, delayMs, receivedBytes }) => {
+    const current = baseBytes + receivedBytes;
+    progress({
+      phase: "retry-wait",
+      text: `Connection lost. Resuming in ${(delayMs / 1e3).toFixed(1)}s... (${attempt}/${maxRetries})`,
+      percent: totalBytes > 0 ? current / totalBytes * 100 : 0,
+      processedBytes: current,
+      totalBytes,
+      ...fields
+    });
+  };
+}
+function responseInfo(res) {
+  const retryAfterMs = parseRetryAfter(res.headers);
+  return { status: res.status, ...retryAfterMs !== void 0 ? { retryAfterMs } : {} };
+}
+function resolveConcurrency(requested, serverInfo) {
+  const serverLimit = serverInfo?.capabilities?.upload?.chunkConcurrency;
+  const limit = Number.isFinite(serverLimit) && serverLimit >= 1 ? Math.floor(serverLimit) : 1;
+  const wanted = Number.isFinite(requested) && requested >= 1 ? Math.floor(requested) : 1;
+  return Math.min(wanted, limit);
+}
+function createChunkSlots(size) {
+  let free = size;
+  let failed = false;
+  let failure;
+  const waiting = [];
+  return {
+    size,
+    acquire: async () => {
+      if (failed) throw failure;
+      if (free > 0) {
+        free--;
+        return;
+      }
+      await new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    release: () => {
+      const next = waiting.shift();
+      if (next) next.resolve();
+      else free++;
+    },
+    fail: (err2) => {
+      if (failed) return;
+      failed = true;
+      failure = err2;
+      for (const waiter of waiting.splice(0)) waiter.reject(err2);
+    }
+  };
+}
+async function forEachConcurrently(count, limit, task) {
+  let next = 0;
+  let failed = false;
+  let firstError;
+  const worker = async () => {
+    while (!failed && next < count) {
+      try {
+        await task(next++);
+      } catch (err2) {
+        if (!failed) firstError = err2;
+        failed = true;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, count) }, worker));
+  if (failed) throw firstError;
+}
+function createOrderedProgress(progress, fileCount) {
+  const held = Array.from({ length: fileCount }, () => []);
+  const finished = new Array(fileCount).fill(false);
+  let current = 0;
+  return {
+    forFile: (fileIndex) => (evt) => {
+      if (fileIndex === current) progress(evt);
+      else held[fileIndex].push(evt);
+    },
+    finish: (fileIndex) => {
+      finished[fileIndex] = true;
+      while (current < fileCount && finished[current]) {
+        current++;
+        if (current < fileCount) {
+          for (const evt of held[current]) progress(evt);
+          held[current] = [];
+        }
+      }
+    }
+  };
+}
 function resolveServerToBaseUrl(server) {
   if (typeof server === "string") {
     return buildBaseUrl(parseServerUrl(server));
@@ -2074,9 +3812,7 @@ async function getServerInfo(opts) {
     if (res.ok && json && typeof json === "object" && "version" in json) {
       return { baseUrl, serverInfo: json };
     }
-    throw new DropgateProtocolError(
-      `Server info request failed (status ${res.status}).`
-    );
+    throw errorFromResponse(res.ok ? null : json, `Server info request failed (status ${res.status}).`);
   } catch (err2) {
     if (err2 instanceof DropgateError) throw err2;
     throw new DropgateNetworkError("Could not reach server /api/info.", {
@@ -2101,6 +3837,8 @@ var DropgateClient = class {
     __publicField(this, "cryptoObj");
     /** Base64 encoder/decoder for binary data. */
     __publicField(this, "base64");
+    /** API key sent as a bearer token on upload requests, if any. */
+    __publicField(this, "authToken");
     /** Resolved base URL (e.g. 'https://dropgate.link'). May change during HTTP fallback. */
     __publicField(this, "baseUrl");
     /** Whether to automatically retry with HTTP when HTTPS fails. */
@@ -2132,6 +3870,7 @@ var DropgateClient = class {
     }
     this.cryptoObj = cryptoObj;
     this.base64 = opts.base64 || getDefaultBase64();
+    this.authToken = opts.authToken || void 0;
     this._fallbackToHttp = Boolean(opts.fallbackToHttp);
     this.baseUrl = resolveServerToBaseUrl(opts.server);
   }
@@ -2265,8 +4004,7 @@ var DropgateClient = class {
       }
     );
     if (!res.ok) {
-      const msg = (json && typeof json === "object" && "error" in json ? json.error : null) || `Share lookup failed (status ${res.status}).`;
-      throw new DropgateProtocolError(msg, { details: json });
+      throw errorFromResponse(json, `Share lookup failed (status ${res.status}).`);
     }
     return json || { valid: false, reason: "Unknown response." };
   }
@@ -2290,8 +4028,76 @@ var DropgateClient = class {
       signal
     });
     if (!res.ok) {
-      const msg = (json && typeof json === "object" && "error" in json ? json.error : null) || `Failed to fetch file metadata (status ${res.status}).`;
-      throw new DropgateProtocolError(msg, { details: json });
+      throw errorFromResponse(json, `Failed to fetch file metadata (status ${res.status}).`);
+    }
+    return json;
+  }
+  /**
+   * Reserve one download of a file. The download is counted once the ticket has delivered
+   * the whole file; a ticket that goes unused expires and frees the download again.
+   * downloadFiles() does this itself on servers advertising `capabilities.upload.downloadTickets`.
+   * @param fileId - The file ID to reserve a download of.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns The ticket, to pass as the `ticket` query parameter of the file URL.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the file is not found, every remaining download is reserved,
+   *   or the server returns an error.
+   */
+  async requestDownloadTicket(fileId, opts) {
+    if (!fileId || typeof fileId !== "string") {
+      throw new DropgateValidationError("File ID is required.");
+    }
+    const { timeoutMs = 5e3, signal } = opts ?? {};
+    const url = `${this.baseUrl}/api/file/${encodeURIComponent(fileId)}/ticket`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: "POST",
+      timeoutMs,
+      signal,
+      headers: { Accept: "application/json" }
+    });
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to reserve the download (status ${res.status}).`);
+    }
+    const ticket = json && typeof json === "object" && "ticket" in json ? json.ticket : null;
+    if (typeof ticket !== "string" || !ticket) {
+      throw new DropgateProtocolError("Server returned an invalid download ticket.", { details: json });
+    }
+    return json;
+  }
+  /**
+   * Reserve one download of a bundle. Files of a sealed bundle are only served with a bundle
+   * ticket, which is derived from the bundle key. The download is counted when reported
+   * through /downloaded, or when the ticket expires after files were downloaded with it.
+   * downloadFiles() does this itself for bundles; pass the ticket as `ticket` to download
+   * single files of a bundle with it.
+   * @param bundleId - The bundle ID to reserve a download of.
+   * @param keyB64 - Base64-encoded bundle key (required for sealed bundles).
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns The ticket, valid for every file of the bundle.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the bundle is not found, the key is wrong, every remaining
+   *   download is reserved, or the server returns an error.
+   */
+  async requestBundleTicket(bundleId, keyB64, opts) {
+    if (!bundleId || typeof bundleId !== "string") {
+      throw new DropgateValidationError("Bundle ID is required.");
+    }
+    const { timeoutMs = 5e3, signal } = opts ?? {};
+    const accessKey = keyB64 ? await deriveBundleAccessKey(this.cryptoObj, await importKeyFromBase64(this.cryptoObj, keyB64, this.base64)) : void 0;
+    const url = `${this.baseUrl}/api/bundle/${encodeURIComponent(bundleId)}/ticket`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: "POST",
+      timeoutMs,
+      signal,
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify(accessKey ? { accessKey } : {})
+    });
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to reserve the download (status ${res.status}).`);
+    }
+    const ticket = json && typeof json === "object" && "ticket" in json ? json.ticket : null;
+    if (typeof ticket !== "string" || !ticket) {
+      throw new DropgateProtocolError("Server returned an invalid download ticket.", { details: json });
     }
     return json;
   }
@@ -2319,8 +4125,7 @@ var DropgateClient = class {
       signal
     });
     if (!res.ok) {
-      const msg = (json && typeof json === "object" && "error" in json ? json.error : null) || `Failed to fetch bundle metadata (status ${res.status}).`;
-      throw new DropgateProtocolError(msg, { details: json });
+      throw errorFromResponse(json, `Failed to fetch bundle metadata (status ${res.status}).`);
     }
     const serverMeta = json;
     let files = [];
@@ -2360,11 +4165,51 @@ var DropgateClient = class {
       isEncrypted: serverMeta.isEncrypted,
       sealed: serverMeta.sealed,
       encryptedManifest: serverMeta.encryptedManifest,
+      ...serverMeta.keyProtection ? { keyProtection: serverMeta.keyProtection } : {},
       files,
       totalSizeBytes,
       fileCount
     };
   }
+  /**
+   * Fetch the passphrase protection of a file or bundle, if its key is passphrase-protected.
+   * Works without the key, so download pages can tell whether to ask for a passphrase.
+   * @param target - The file or bundle to check.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns Key protection parameters, or null if the upload has none.
+   * @throws {DropgateProtocolError} If the file or bundle is not found or server returns an error.
+   */
+  async getKeyProtection(target, opts) {
+    const { fileId, bundleId } = target ?? {};
+    if (!fileId && !bundleId) {
+      throw new DropgateValidationError("Either fileId or bundleId is required.");
+    }
+    const { timeoutMs = 5e3, signal } = opts ?? {};
+    const url = fileId ? `${this.baseUrl}/api/file/${encodeURIComponent(fileId)}/meta` : `${this.baseUrl}/api/bundle/${encodeURIComponent(bundleId)}/meta`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: "GET",
+      timeoutMs,
+      signal
+    });
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to fetch metadata (status ${res.status}).`);
+    }
+    return json?.keyProtection ?? null;
+  }
+  /**
+   * Recover the decryption key of a passphrase-protected upload.
+   * @param protection - Key protection from getKeyProtection() or the upload's metadata.
+   * @param passphrase - Passphrase chosen by the uploader.
+   * @returns Base64-encoded key, usable as keyB64 for getBundleMetadata() and downloadFiles().
+   * @throws {DropgateValidationError} If the passphrase is wrong.
+   */
+  async unlockWithPassphrase(protection, passphrase) {
+    if (!this.cryptoObj?.subtle) {
+      throw new DropgateValidationError("Web Crypto API not available for decryption.");
+    }
+    const key = await unwrapKeyWithPassphrase(this.cryptoObj, protection, passphrase, this.base64);
+    return exportKeyBase64(this.cryptoObj, key);
+  }
   /**
    * Validate file and upload settings against server capabilities.
    * @param opts - Validation options containing file, settings, and server info.
@@ -2423,42 +4268,450 @@ var DropgateClient = class {
         );
       }
     }
-    if (encrypt && !caps.e2ee) {
-      throw new DropgateValidationError(
-        "End-to-end encryption is not supported on this server."
-      );
+    if (encrypt && !caps.e2ee) {
+      throw new DropgateValidationError(
+        "End-to-end encryption is not supported on this server."
+      );
+    }
+    if (caps.authRequired && !this.authToken) {
+      throw new DropgateValidationError(
+        "This server requires an API key to upload. Set authToken in the client options."
+      );
+    }
+    return true;
+  }
+  /**
+   * Upload one or more files to the server with optional encryption.
+   * Single files use the standard upload protocol.
+   * Multiple files use the bundle protocol, grouping files under a single download link.
+   *
+   * @param opts - Upload options including file(s) and settings.
+   * @returns Upload session with result promise and cancellation support.
+   */
+  async uploadFiles(opts) {
+    const {
+      files: rawFiles,
+      lifetimeMs,
+      encrypt,
+      passphrase,
+      maxDownloads,
+      filenameOverrides,
+      onProgress,
+      onCancel,
+      onResumeState,
+      signal,
+      timeouts = {},
+      retry = {},
+      concurrency
+    } = opts;
+    const files = Array.isArray(rawFiles) ? rawFiles : [rawFiles];
+    if (files.length === 0) {
+      throw new DropgateValidationError("At least one file is required.");
+    }
+    const internalController = signal ? null : new AbortController();
+    const effectiveSignal = signal || internalController?.signal;
+    let uploadState = "initializing";
+    const currentUploadIds = [];
+    const totalSizeBytes = files.reduce((sum, f) => sum + f.size, 0);
+    const uploadPromise = (async () => {
+      try {
+        const progress = (evt) => {
+          try {
+            if (onProgress) onProgress(evt);
+          } catch {
+          }
+        };
+        const reportResumeState = (state) => {
+          try {
+            if (onResumeState) onResumeState(state);
+          } catch {
+          }
+        };
+        progress({ phase: "server-info", text: "Checking server...", percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+        const compat = await this.connect({
+          timeoutMs: timeouts.serverInfoMs ?? 5e3,
+          signal: effectiveSignal
+        });
+        const { baseUrl, serverInfo } = compat;
+        progress({ phase: "server-compat", text: compat.message, percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+        if (!compat.compatible) {
+          throw new DropgateValidationError(compat.message);
+        }
+        const filenames = files.map((f, i) => filenameOverrides?.[i] ?? f.name ?? "file");
+        const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
+        const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
+        const serverFormatVersion = Number(serverInfo?.capabilities?.upload?.e2eeFormatVersion) || 1;
+        const e2eeFormatVersion = effectiveEncrypt ? Math.min(E2EE_FORMAT_VERSION, serverFormatVersion) : void 0;
+        if (!effectiveEncrypt) {
+          for (const name of filenames) validatePlainFilename(name);
+        }
+        this.validateUploadInputs({ files, lifetimeMs, encrypt: effectiveEncrypt, serverInfo });
+        const passphraseProtected = passphrase !== void 0;
+        if (passphraseProtected) {
+          if (!effectiveEncrypt) {
+            throw new DropgateValidationError("Passphrase protection requires end-to-end encryption.");
+          }
+          if (typeof passphrase !== "string" || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new DropgateValidationError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+          }
+        }
+        let cryptoKey = null;
+        let keyB64 = null;
+        let keyProtection = null;
+        const transmittedFilenames = [];
+        if (effectiveEncrypt) {
+          if (!this.cryptoObj?.subtle) {
+            throw new DropgateValidationError(
+              "Web Crypto API not available (crypto.subtle). Encryption requires a secure context (HTTPS or localhost)."
+            );
+          }
+          progress({ phase: "crypto", text: "Generating encryption key...", percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+          try {
+            cryptoKey = await generateAesGcmKey(this.cryptoObj);
+            keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
+            for (const name of filenames) {
+              transmittedFilenames.push(
+                await encryptFilenameToBase64(this.cryptoObj, name, cryptoKey)
+              );
+            }
+            if (passphraseProtected) {
+              progress({ phase: "crypto", text: "Protecting key with passphrase...", percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+              keyProtection = await wrapKeyWithPassphrase(this.cryptoObj, cryptoKey, passphrase);
+            }
+          } catch (err2) {
+            throw new DropgateError("Failed to prepare encryption.", { code: "CRYPTO_PREP_FAILED", cause: err2 });
+          }
+        } else {
+          transmittedFilenames.push(...filenames);
+        }
+        const serverChunkSize = serverInfo?.capabilities?.upload?.chunkSize;
+        const effectiveChunkSize = Number.isFinite(serverChunkSize) && serverChunkSize > 0 ? serverChunkSize : this.chunkSize;
+        const retryPolicy = resolveRetryPolicy(retry);
+        const slots = createChunkSlots(resolveConcurrency(concurrency, serverInfo));
+        if (files.length === 1) {
+          const file = files[0];
+          const totalChunks = Math.ceil(file.size / effectiveChunkSize);
+          const totalUploadSize = estimateTotalUploadSizeBytes(file.size, totalChunks, effectiveEncrypt);
+          progress({ phase: "init", text: "Reserving server storage...", percent: 0, processedBytes: 0, totalBytes: file.size });
+          const initRes = await this._retryUploadRequest(async () => {
+            const result = await this._fetchUploadJson(`${baseUrl}/upload/init`, {
+              method: "POST",
+              timeoutMs: timeouts.initMs ?? 15e3,
+              signal: effectiveSignal,
+              headers: { "Content-Type": "application/json", Accept: "application/json", ...this._authHeaders() },
+              body: JSON.stringify({
+                filename: transmittedFilenames[0],
+                lifetime: lifetimeMs,
+                isEncrypted: effectiveEncrypt,
+                totalSize: totalUploadSize,
+                totalChunks,
+                ...e2eeFormatVersion ? { e2eeFormatVersion } : {},
+                ...maxDownloads !== void 0 ? { maxDownloads } : {},
+                ...keyProtection ? { keyProtection } : {}
+              })
+            });
+            if (!result.res.ok) {
+              throw errorFromResponse(result.json || result.text, `Server initialisation failed: ${result.res.status}`, responseInfo(result.res));
+            }
+            return result;
+          }, {
+            policy: retryPolicy,
+            operation: "init",
+            label: "Initialisation failed.",
+            signal: effectiveSignal,
+            progress,
+            event: { percent: 0, processedBytes: 0, totalBytes: file.size }
+          });
+          const uploadId = initRes.json?.uploadId;
+          if (!uploadId) throw new DropgateProtocolError("Server did not return a valid uploadId.");
+          currentUploadIds.push(uploadId);
+          uploadState = "uploading";
+          reportResumeState({
+            baseUrl,
+            uploadId,
+            ...keyB64 ? { keyB64, e2eeFormatVersion } : {},
+            ...passphraseProtected ? { passphraseProtected } : {}
+          });
+          await this._uploadFileChunks({
+            file,
+            uploadId,
+            cryptoKey,
+            e2eeFormatVersion,
+            effectiveChunkSize,
+            totalChunks,
+            totalUploadSize,
+            baseOffset: 0,
+            totalBytesAllFiles: file.size,
+            progress,
+            signal: effectiveSignal,
+            baseUrl,
+            retryPolicy,
+            slots,
+            chunkTimeoutMs: timeouts.chunkMs ?? 6e4
+          });
+          progress({ phase: "complete", text: "Finalising upload...", percent: 100, processedBytes: file.size, totalBytes: file.size });
+          uploadState = "completing";
+          const { fileId, manageToken: manageToken2 } = await this._completeFileUpload({
+            baseUrl,
+            uploadId,
+            timeoutMs: timeouts.completeMs ?? 3e4,
+            signal: effectiveSignal,
+            retryPolicy,
+            progress,
+            progressEvent: { percent: 100, processedBytes: file.size, totalBytes: file.size }
+          });
+          let downloadUrl2 = `${baseUrl}/${fileId}`;
+          if (effectiveEncrypt && keyB64 && !passphraseProtected) downloadUrl2 += `#${keyB64}`;
+          progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: file.size, totalBytes: file.size });
+          uploadState = "completed";
+          return {
+            downloadUrl: downloadUrl2,
+            fileId,
+            uploadId,
+            baseUrl,
+            ...effectiveEncrypt && keyB64 ? { keyB64 } : {},
+            ...passphraseProtected ? { passphraseProtected } : {},
+            ...manageToken2 ? { manageToken: manageToken2 } : {}
+          };
+        }
+        const fileManifest = files.map((f, i) => {
+          const totalChunks = Math.ceil(f.size / effectiveChunkSize);
+          const totalUploadSize = estimateTotalUploadSizeBytes(f.size, totalChunks, effectiveEncrypt);
+          return { filename: transmittedFilenames[i], totalSize: totalUploadSize, totalChunks };
+        });
+        progress({ phase: "init", text: `Reserving server storage for ${files.length} files...`, percent: 0, processedBytes: 0, totalBytes: totalSizeBytes, totalFiles: files.length });
+        const initBundleRes = await this._retryUploadRequest(async () => {
+          const result = await this._fetchUploadJson(`${baseUrl}/upload/init-bundle`, {
+            method: "POST",
+            timeoutMs: timeouts.initMs ?? 15e3,
+            signal: effectiveSignal,
+            headers: { "Content-Type": "application/json", Accept: "application/json", ...this._authHeaders() },
+            body: JSON.stringify({
+              fileCount: files.length,
+              files: fileManifest,
+              lifetime: lifetimeMs,
+              isEncrypted: effectiveEncrypt,
+              ...e2eeFormatVersion ? { e2eeFormatVersion } : {},
+              ...maxDownloads !== void 0 ? { maxDownloads } : {},
+              ...keyProtection ? { keyProtection } : {}
+            })
+          });
+          if (!result.res.ok) {
+            throw errorFromResponse(result.json || result.text, `Bundle initialisation failed: ${result.res.status}`, responseInfo(result.res));
+          }
+          return result;
+        }, {
+          policy: retryPolicy,
+          operation: "init",
+          label: "Initialisation failed.",
+          signal: effectiveSignal,
+          progress,
+          event: { percent: 0, processedBytes: 0, totalBytes: totalSizeBytes, totalFiles: files.length }
+        });
+        const bundleInitJson = initBundleRes.json;
+        const bundleUploadId = bundleInitJson?.bundleUploadId;
+        const fileUploadIds = bundleInitJson?.fileUploadIds;
+        if (!bundleUploadId || !fileUploadIds || fileUploadIds.length !== files.length) {
+          throw new DropgateProtocolError("Server did not return valid bundle upload IDs.");
+        }
+        currentUploadIds.push(...fileUploadIds);
+        uploadState = "uploading";
+        reportResumeState({
+          baseUrl,
+          bundleUploadId,
+          fileUploadIds,
+          ...keyB64 ? { keyB64, e2eeFormatVersion } : {},
+          ...passphraseProtected ? { passphraseProtected } : {}
+        });
+        const fileResults = [];
+        const fileOffsets = files.map((_, fi) => files.slice(0, fi).reduce((sum, f) => sum + f.size, 0));
+        const orderedProgress = createOrderedProgress(progress, files.length);
+        await forEachConcurrently(files.length, slots.size, async (fi) => {
+          const file = files[fi];
+          const uploadId = fileUploadIds[fi];
+          const totalChunks = fileManifest[fi].totalChunks;
+          const totalUploadSize = fileManifest[fi].totalSize;
+          const baseOffset = fileOffsets[fi];
+          const uploadedBytes = baseOffset + file.size;
+          const fileProgress = orderedProgress.forFile(fi);
+          fileProgress({
+            phase: "file-start",
+            text: `Uploading file ${fi + 1} of ${files.length}: ${filenames[fi]}`,
+            percent: totalSizeBytes > 0 ? baseOffset / totalSizeBytes * 100 : 0,
+            processedBytes: baseOffset,
+            totalBytes: totalSizeBytes,
+            fileIndex: fi,
+            totalFiles: files.length,
+            currentFileName: filenames[fi]
+          });
+          await this._uploadFileChunks({
+            file,
+            uploadId,
+            cryptoKey,
+            e2eeFormatVersion,
+            effectiveChunkSize,
+            totalChunks,
+            totalUploadSize,
+            baseOffset,
+            totalBytesAllFiles: totalSizeBytes,
+            progress: fileProgress,
+            signal: effectiveSignal,
+            baseUrl,
+            retryPolicy,
+            slots,
+            chunkTimeoutMs: timeouts.chunkMs ?? 6e4,
+            fileIndex: fi,
+            totalFiles: files.length,
+            currentFileName: filenames[fi]
+          });
+          const { fileId } = await this._completeFileUpload({
+            baseUrl,
+            uploadId,
+            timeoutMs: timeouts.completeMs ?? 3e4,
+            signal: effectiveSignal,
+            fileIndex: fi,
+            retryPolicy,
+            progress: fileProgress,
+            progressEvent: {
+              percent: totalSizeBytes > 0 ? uploadedBytes / totalSizeBytes * 100 : 0,
+              processedBytes: uploadedBytes,
+              totalBytes: totalSizeBytes,
+              fileIndex: fi,
+              totalFiles: files.length,
+              currentFileName: filenames[fi]
+            }
+          });
+          fileResults[fi] = { fileId, name: filenames[fi], size: file.size };
+          fileProgress({
+            phase: "file-complete",
+            text: `File ${fi + 1} of ${files.length} uploaded.`,
+            percent: totalSizeBytes > 0 ? uploadedBytes / totalSizeBytes * 100 : 0,
+            processedBytes: uploadedBytes,
+            totalBytes: totalSizeBytes,
+            fileIndex: fi,
+            totalFiles: files.length,
+            currentFileName: filenames[fi]
+          });
+          orderedProgress.finish(fi);
+        });
+        progress({ phase: "complete", text: "Finalising bundle...", percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
+        uploadState = "completing";
+        const { bundleId, manageToken } = await this._completeBundleUpload({
+          baseUrl,
+          bundleUploadId,
+          fileResults,
+          cryptoKey,
+          timeoutMs: timeouts.completeMs ?? 3e4,
+          signal: effectiveSignal,
+          retryPolicy,
+          progress,
+          progressEvent: { percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes }
+        });
+        let downloadUrl = `${baseUrl}/b/${bundleId}`;
+        if (effectiveEncrypt && keyB64 && !passphraseProtected) downloadUrl += `#${keyB64}`;
+        progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
+        uploadState = "completed";
+        return {
+          downloadUrl,
+          bundleId,
+          baseUrl,
+          files: fileResults,
+          ...effectiveEncrypt && keyB64 ? { keyB64 } : {},
+          ...passphraseProtected ? { passphraseProtected } : {},
+          ...manageToken ? { manageToken } : {}
+        };
+      } catch (err2) {
+        if (err2 instanceof Error && (err2.name === "AbortError" || err2.message?.includes("abort"))) {
+          uploadState = "cancelled";
+          onCancel?.();
+        } else {
+          uploadState = "error";
+        }
+        throw err2;
+      }
+    })();
+    const callCancelEndpoint = async (uploadId) => {
+      try {
+        await fetchJson(this.fetchFn, `${this.baseUrl}/upload/cancel`, {
+          method: "POST",
+          timeoutMs: 5e3,
+          headers: { "Content-Type": "application/json", Accept: "application/json", ...this._authHeaders() },
+          body: JSON.stringify({ uploadId })
+        });
+      } catch {
+      }
+    };
+    return {
+      result: uploadPromise,
+      cancel: (reason) => {
+        if (uploadState === "completed" || uploadState === "cancelled") return;
+        uploadState = "cancelled";
+        for (const id of currentUploadIds) {
+          callCancelEndpoint(id).catch(() => {
+          });
+        }
+        internalController?.abort(new DropgateAbortError(reason || "Upload cancelled by user."));
+      },
+      getStatus: () => uploadState
+    };
+  }
+  /**
+   * Fetch the server-side progress of an unfinished upload.
+   * Accepts a single-file uploadId or a bundleUploadId.
+   * @param uploadId - Upload or bundle upload session ID.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns Received chunk indices for uploads, or completed files for bundles.
+   * @throws {DropgateProtocolError} If the session has expired or the server returns an error.
+   */
+  async getUploadSessionStatus(uploadId, opts) {
+    if (!uploadId || typeof uploadId !== "string") {
+      throw new DropgateValidationError("Upload ID is required.");
+    }
+    const { timeoutMs = 5e3, signal } = opts ?? {};
+    const url = `${this.baseUrl}/upload/status/${encodeURIComponent(uploadId)}`;
+    const { res, json } = await fetchJson(this.fetchFn, url, {
+      method: "GET",
+      timeoutMs,
+      signal,
+      headers: this._authHeaders()
+    });
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to fetch upload status (status ${res.status}).`);
     }
-    return true;
+    return json;
   }
   /**
-   * Upload one or more files to the server with optional encryption.
-   * Single files use the standard upload protocol.
-   * Multiple files use the bundle protocol, grouping files under a single download link.
+   * Resume an interrupted upload, sending only the chunks the server is missing.
+   * Pass the same file(s) as the original upload and the state reported by its
+   * onResumeState callback. Works across client restarts, and across server restarts
+   * when the server preserves uploads.
    *
-   * @param opts - Upload options including file(s) and settings.
+   * @param opts - Resume options including file(s) and resume state.
    * @returns Upload session with result promise and cancellation support.
+   * @throws {DropgateValidationError} If the resume state does not match the files.
    */
-  async uploadFiles(opts) {
+  async resumeUpload(opts) {
     const {
       files: rawFiles,
-      lifetimeMs,
-      encrypt,
-      maxDownloads,
+      state,
       filenameOverrides,
       onProgress,
       onCancel,
       signal,
       timeouts = {},
-      retry = {}
+      retry = {},
+      concurrency
     } = opts;
     const files = Array.isArray(rawFiles) ? rawFiles : [rawFiles];
-    if (files.length === 0) {
-      throw new DropgateValidationError("At least one file is required.");
+    const isBundle = Boolean(state?.bundleUploadId);
+    const stateMatches = isBundle ? state.fileUploadIds?.length === files.length && files.length > 1 : Boolean(state?.uploadId) && files.length === 1;
+    if (!stateMatches) {
+      throw new DropgateValidationError("Resume state does not match the files provided.");
     }
     const internalController = signal ? null : new AbortController();
     const effectiveSignal = signal || internalController?.signal;
     let uploadState = "initializing";
-    const currentUploadIds = [];
+    const currentUploadIds = isBundle ? [...state.fileUploadIds] : [state.uploadId];
     const totalSizeBytes = files.reduce((sum, f) => sum + f.size, 0);
     const uploadPromise = (async () => {
       try {
@@ -2473,246 +4726,159 @@ var DropgateClient = class {
           timeoutMs: timeouts.serverInfoMs ?? 5e3,
           signal: effectiveSignal
         });
-        const { baseUrl, serverInfo } = compat;
+        const { baseUrl } = compat;
         progress({ phase: "server-compat", text: compat.message, percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
         if (!compat.compatible) {
           throw new DropgateValidationError(compat.message);
         }
         const filenames = files.map((f, i) => filenameOverrides?.[i] ?? f.name ?? "file");
-        const serverSupportsE2EE = Boolean(serverInfo?.capabilities?.upload?.e2ee);
-        const effectiveEncrypt = encrypt ?? serverSupportsE2EE;
-        if (!effectiveEncrypt) {
-          for (const name of filenames) validatePlainFilename(name);
-        }
-        this.validateUploadInputs({ files, lifetimeMs, encrypt: effectiveEncrypt, serverInfo });
         let cryptoKey = null;
-        let keyB64 = null;
-        const transmittedFilenames = [];
-        if (effectiveEncrypt) {
+        if (state.keyB64) {
           if (!this.cryptoObj?.subtle) {
             throw new DropgateValidationError(
               "Web Crypto API not available (crypto.subtle). Encryption requires a secure context (HTTPS or localhost)."
             );
           }
-          progress({ phase: "crypto", text: "Generating encryption key...", percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+          progress({ phase: "crypto", text: "Restoring encryption key...", percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
           try {
-            cryptoKey = await generateAesGcmKey(this.cryptoObj);
-            keyB64 = await exportKeyBase64(this.cryptoObj, cryptoKey);
-            for (const name of filenames) {
-              transmittedFilenames.push(
-                await encryptFilenameToBase64(this.cryptoObj, name, cryptoKey)
-              );
-            }
+            cryptoKey = await importKeyFromBase64(this.cryptoObj, state.keyB64, this.base64, ["encrypt", "decrypt"]);
           } catch (err2) {
-            throw new DropgateError("Failed to prepare encryption.", { code: "CRYPTO_PREP_FAILED", cause: err2 });
+            throw new DropgateError("Failed to restore encryption key.", { code: "CRYPTO_PREP_FAILED", cause: err2 });
           }
-        } else {
-          transmittedFilenames.push(...filenames);
         }
-        const serverChunkSize = serverInfo?.capabilities?.upload?.chunkSize;
-        const effectiveChunkSize = Number.isFinite(serverChunkSize) && serverChunkSize > 0 ? serverChunkSize : this.chunkSize;
-        const retries = Number.isFinite(retry.retries) ? retry.retries : 5;
-        const baseBackoffMs = Number.isFinite(retry.backoffMs) ? retry.backoffMs : 1e3;
-        const maxBackoffMs = Number.isFinite(retry.maxBackoffMs) ? retry.maxBackoffMs : 3e4;
-        if (files.length === 1) {
-          const file = files[0];
-          const totalChunks = Math.ceil(file.size / effectiveChunkSize);
-          const totalUploadSize = estimateTotalUploadSizeBytes(file.size, totalChunks, effectiveEncrypt);
-          progress({ phase: "init", text: "Reserving server storage...", percent: 0, processedBytes: 0, totalBytes: file.size });
-          const initRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init`, {
-            method: "POST",
+        const retryPolicy = resolveRetryPolicy(retry);
+        const slots = createChunkSlots(resolveConcurrency(concurrency, compat.serverInfo));
+        progress({ phase: "init", text: "Checking upload progress...", percent: 0, processedBytes: 0, totalBytes: totalSizeBytes });
+        const resumeFile = async (fi, baseOffset, fileProgress = progress) => {
+          const file = files[fi];
+          const uploadId = currentUploadIds[fi];
+          const status = await this.getUploadSessionStatus(uploadId, {
             timeoutMs: timeouts.initMs ?? 15e3,
-            signal: effectiveSignal,
-            headers: { "Content-Type": "application/json", Accept: "application/json" },
-            body: JSON.stringify({
-              filename: transmittedFilenames[0],
-              lifetime: lifetimeMs,
-              isEncrypted: effectiveEncrypt,
-              totalSize: totalUploadSize,
-              totalChunks,
-              ...maxDownloads !== void 0 ? { maxDownloads } : {}
-            })
+            signal: effectiveSignal
           });
-          if (!initRes.res.ok) {
-            const errorJson = initRes.json;
-            throw new DropgateProtocolError(errorJson?.error || `Server initialisation failed: ${initRes.res.status}`, { details: initRes.json || initRes.text });
+          if (status.isEncrypted && !cryptoKey) {
+            throw new DropgateValidationError("The encryption key is required to resume an encrypted upload.");
+          }
+          const totalChunks = Math.ceil(file.size / status.chunkSize);
+          const totalUploadSize = estimateTotalUploadSizeBytes(file.size, totalChunks, status.isEncrypted);
+          if (totalChunks !== status.totalChunks || totalUploadSize !== status.totalSize) {
+            throw new DropgateValidationError(`File ${fi + 1} does not match the interrupted upload.`);
           }
-          const uploadId = initRes.json?.uploadId;
-          if (!uploadId) throw new DropgateProtocolError("Server did not return a valid uploadId.");
-          currentUploadIds.push(uploadId);
           uploadState = "uploading";
           await this._uploadFileChunks({
             file,
             uploadId,
             cryptoKey,
-            effectiveChunkSize,
+            e2eeFormatVersion: state.e2eeFormatVersion,
+            effectiveChunkSize: status.chunkSize,
             totalChunks,
             totalUploadSize,
-            baseOffset: 0,
-            totalBytesAllFiles: file.size,
-            progress,
+            baseOffset,
+            totalBytesAllFiles: totalSizeBytes,
+            progress: fileProgress,
             signal: effectiveSignal,
             baseUrl,
-            retries,
-            backoffMs: baseBackoffMs,
-            maxBackoffMs,
-            chunkTimeoutMs: timeouts.chunkMs ?? 6e4
+            retryPolicy,
+            slots,
+            chunkTimeoutMs: timeouts.chunkMs ?? 6e4,
+            skipChunks: new Set(status.receivedChunks),
+            ...isBundle ? { fileIndex: fi, totalFiles: files.length, currentFileName: filenames[fi] } : {}
           });
-          progress({ phase: "complete", text: "Finalising upload...", percent: 100, processedBytes: file.size, totalBytes: file.size });
-          uploadState = "completing";
-          const completeRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/complete`, {
-            method: "POST",
+          if (!isBundle) {
+            progress({ phase: "complete", text: "Finalising upload...", percent: 100, processedBytes: file.size, totalBytes: file.size });
+            uploadState = "completing";
+          }
+          return this._completeFileUpload({
+            baseUrl,
+            uploadId,
             timeoutMs: timeouts.completeMs ?? 3e4,
             signal: effectiveSignal,
-            headers: { "Content-Type": "application/json", Accept: "application/json" },
-            body: JSON.stringify({ uploadId })
+            retryPolicy,
+            progress: fileProgress,
+            progressEvent: {
+              percent: totalSizeBytes > 0 ? (baseOffset + file.size) / totalSizeBytes * 100 : 0,
+              processedBytes: baseOffset + file.size,
+              totalBytes: totalSizeBytes
+            },
+            ...isBundle ? { fileIndex: fi } : {}
           });
-          if (!completeRes.res.ok) {
-            const errorJson = completeRes.json;
-            throw new DropgateProtocolError(errorJson?.error || "Finalisation failed.", { details: completeRes.json || completeRes.text });
-          }
-          const fileId = completeRes.json?.id;
-          if (!fileId) throw new DropgateProtocolError("Server did not return a valid file id.");
+        };
+        if (!isBundle) {
+          const uploadId = state.uploadId;
+          const { fileId, manageToken: manageToken2 } = await resumeFile(0, 0);
           let downloadUrl2 = `${baseUrl}/${fileId}`;
-          if (effectiveEncrypt && keyB64) downloadUrl2 += `#${keyB64}`;
-          progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: file.size, totalBytes: file.size });
+          if (state.keyB64 && !state.passphraseProtected) downloadUrl2 += `#${state.keyB64}`;
+          progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
           uploadState = "completed";
           return {
             downloadUrl: downloadUrl2,
             fileId,
             uploadId,
             baseUrl,
-            ...effectiveEncrypt && keyB64 ? { keyB64 } : {}
+            ...state.keyB64 ? { keyB64: state.keyB64 } : {},
+            ...state.passphraseProtected ? { passphraseProtected: true } : {},
+            ...manageToken2 ? { manageToken: manageToken2 } : {}
           };
         }
-        const fileManifest = files.map((f, i) => {
-          const totalChunks = Math.ceil(f.size / effectiveChunkSize);
-          const totalUploadSize = estimateTotalUploadSizeBytes(f.size, totalChunks, effectiveEncrypt);
-          return { filename: transmittedFilenames[i], totalSize: totalUploadSize, totalChunks };
-        });
-        progress({ phase: "init", text: `Reserving server storage for ${files.length} files...`, percent: 0, processedBytes: 0, totalBytes: totalSizeBytes, totalFiles: files.length });
-        const initBundleRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/init-bundle`, {
-          method: "POST",
+        const bundleUploadId = state.bundleUploadId;
+        const bundleStatus = await this.getUploadSessionStatus(bundleUploadId, {
           timeoutMs: timeouts.initMs ?? 15e3,
-          signal: effectiveSignal,
-          headers: { "Content-Type": "application/json", Accept: "application/json" },
-          body: JSON.stringify({
-            fileCount: files.length,
-            files: fileManifest,
-            lifetime: lifetimeMs,
-            isEncrypted: effectiveEncrypt,
-            ...maxDownloads !== void 0 ? { maxDownloads } : {}
-          })
+          signal: effectiveSignal
         });
-        if (!initBundleRes.res.ok) {
-          const errorJson = initBundleRes.json;
-          throw new DropgateProtocolError(errorJson?.error || `Bundle initialisation failed: ${initBundleRes.res.status}`, { details: initBundleRes.json || initBundleRes.text });
-        }
-        const bundleInitJson = initBundleRes.json;
-        const bundleUploadId = bundleInitJson?.bundleUploadId;
-        const fileUploadIds = bundleInitJson?.fileUploadIds;
-        if (!bundleUploadId || !fileUploadIds || fileUploadIds.length !== files.length) {
-          throw new DropgateProtocolError("Server did not return valid bundle upload IDs.");
+        if (bundleStatus.isEncrypted && !cryptoKey) {
+          throw new DropgateValidationError("The encryption key is required to resume an encrypted upload.");
         }
-        currentUploadIds.push(...fileUploadIds);
-        uploadState = "uploading";
+        const completedFileIds = new Map(bundleStatus.completedFiles.map((f) => [f.uploadId, f.fileId]));
         const fileResults = [];
-        let cumulativeBytes = 0;
-        for (let fi = 0; fi < files.length; fi++) {
+        const fileOffsets = files.map((_, fi) => files.slice(0, fi).reduce((sum, f) => sum + f.size, 0));
+        const orderedProgress = createOrderedProgress(progress, files.length);
+        await forEachConcurrently(files.length, slots.size, async (fi) => {
           const file = files[fi];
-          const uploadId = fileUploadIds[fi];
-          const totalChunks = fileManifest[fi].totalChunks;
-          const totalUploadSize = fileManifest[fi].totalSize;
-          progress({
-            phase: "file-start",
-            text: `Uploading file ${fi + 1} of ${files.length}: ${filenames[fi]}`,
-            percent: totalSizeBytes > 0 ? cumulativeBytes / totalSizeBytes * 100 : 0,
-            processedBytes: cumulativeBytes,
-            totalBytes: totalSizeBytes,
-            fileIndex: fi,
-            totalFiles: files.length,
-            currentFileName: filenames[fi]
-          });
-          await this._uploadFileChunks({
-            file,
-            uploadId,
-            cryptoKey,
-            effectiveChunkSize,
-            totalChunks,
-            totalUploadSize,
-            baseOffset: cumulativeBytes,
-            totalBytesAllFiles: totalSizeBytes,
-            progress,
-            signal: effectiveSignal,
-            baseUrl,
-            retries,
-            backoffMs: baseBackoffMs,
-            maxBackoffMs,
-            chunkTimeoutMs: timeouts.chunkMs ?? 6e4,
-            fileIndex: fi,
-            totalFiles: files.length,
-            currentFileName: filenames[fi]
-          });
-          const completeRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/complete`, {
-            method: "POST",
-            timeoutMs: timeouts.completeMs ?? 3e4,
-            signal: effectiveSignal,
-            headers: { "Content-Type": "application/json", Accept: "application/json" },
-            body: JSON.stringify({ uploadId })
-          });
-          if (!completeRes.res.ok) {
-            const errorJson = completeRes.json;
-            throw new DropgateProtocolError(errorJson?.error || `File ${fi + 1} finalisation failed.`, { details: completeRes.json || completeRes.text });
+          const baseOffset = fileOffsets[fi];
+          const uploadedBytes = baseOffset + file.size;
+          const fileProgress = orderedProgress.forFile(fi);
+          let fileId = completedFileIds.get(currentUploadIds[fi]);
+          if (!fileId) {
+            fileProgress({
+              phase: "file-start",
+              text: `Uploading file ${fi + 1} of ${files.length}: ${filenames[fi]}`,
+              percent: totalSizeBytes > 0 ? baseOffset / totalSizeBytes * 100 : 0,
+              processedBytes: baseOffset,
+              totalBytes: totalSizeBytes,
+              fileIndex: fi,
+              totalFiles: files.length,
+              currentFileName: filenames[fi]
+            });
+            fileId = (await resumeFile(fi, baseOffset, fileProgress)).fileId;
           }
-          const fileId = completeRes.json?.id;
-          if (!fileId) throw new DropgateProtocolError(`Server did not return a valid file id for file ${fi + 1}.`);
-          fileResults.push({ fileId, name: filenames[fi], size: file.size });
-          cumulativeBytes += file.size;
-          progress({
+          fileResults[fi] = { fileId, name: filenames[fi], size: file.size };
+          fileProgress({
             phase: "file-complete",
             text: `File ${fi + 1} of ${files.length} uploaded.`,
-            percent: totalSizeBytes > 0 ? cumulativeBytes / totalSizeBytes * 100 : 0,
-            processedBytes: cumulativeBytes,
+            percent: totalSizeBytes > 0 ? uploadedBytes / totalSizeBytes * 100 : 0,
+            processedBytes: uploadedBytes,
             totalBytes: totalSizeBytes,
             fileIndex: fi,
             totalFiles: files.length,
             currentFileName: filenames[fi]
           });
-        }
+          orderedProgress.finish(fi);
+        });
         progress({ phase: "complete", text: "Finalising bundle...", percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
         uploadState = "completing";
-        let encryptedManifestB64;
-        if (effectiveEncrypt && cryptoKey) {
-          const manifest = JSON.stringify({
-            files: fileResults.map((r) => ({
-              fileId: r.fileId,
-              name: r.name,
-              sizeBytes: r.size
-            }))
-          });
-          const manifestBytes = new TextEncoder().encode(manifest);
-          const encryptedBlob = await encryptToBlob(this.cryptoObj, manifestBytes.buffer, cryptoKey);
-          const encryptedBuffer = new Uint8Array(await encryptedBlob.arrayBuffer());
-          encryptedManifestB64 = this.base64.encode(encryptedBuffer);
-        }
-        const completeBundleRes = await fetchJson(this.fetchFn, `${baseUrl}/upload/complete-bundle`, {
-          method: "POST",
+        const { bundleId, manageToken } = await this._completeBundleUpload({
+          baseUrl,
+          bundleUploadId,
+          fileResults,
+          cryptoKey,
           timeoutMs: timeouts.completeMs ?? 3e4,
           signal: effectiveSignal,
-          headers: { "Content-Type": "application/json", Accept: "application/json" },
-          body: JSON.stringify({
-            bundleUploadId,
-            ...encryptedManifestB64 ? { encryptedManifest: encryptedManifestB64 } : {}
-          })
+          retryPolicy,
+          progress,
+          progressEvent: { percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes }
         });
-        if (!completeBundleRes.res.ok) {
-          const errorJson = completeBundleRes.json;
-          throw new DropgateProtocolError(errorJson?.error || "Bundle finalisation failed.", { details: completeBundleRes.json || completeBundleRes.text });
-        }
-        const bundleId = completeBundleRes.json?.bundleId;
-        if (!bundleId) throw new DropgateProtocolError("Server did not return a valid bundle id.");
         let downloadUrl = `${baseUrl}/b/${bundleId}`;
-        if (effectiveEncrypt && keyB64) downloadUrl += `#${keyB64}`;
+        if (state.keyB64 && !state.passphraseProtected) downloadUrl += `#${state.keyB64}`;
         progress({ phase: "done", text: "Upload successful!", percent: 100, processedBytes: totalSizeBytes, totalBytes: totalSizeBytes });
         uploadState = "completed";
         return {
@@ -2720,7 +4886,9 @@ var DropgateClient = class {
           bundleId,
           baseUrl,
           files: fileResults,
-          ...effectiveEncrypt && keyB64 ? { keyB64 } : {}
+          ...state.keyB64 ? { keyB64: state.keyB64 } : {},
+          ...state.passphraseProtected ? { passphraseProtected: true } : {},
+          ...manageToken ? { manageToken } : {}
         };
       } catch (err2) {
         if (err2 instanceof Error && (err2.name === "AbortError" || err2.message?.includes("abort"))) {
@@ -2737,7 +4905,7 @@ var DropgateClient = class {
         await fetchJson(this.fetchFn, `${this.baseUrl}/upload/cancel`, {
           method: "POST",
           timeoutMs: 5e3,
-          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          headers: { "Content-Type": "application/json", Accept: "application/json", ...this._authHeaders() },
           body: JSON.stringify({ uploadId })
         });
       } catch {
@@ -2757,6 +4925,39 @@ var DropgateClient = class {
       getStatus: () => uploadState
     };
   }
+  /**
+   * Inspect an upload you own: expiry, download limit and current download count.
+   * @param opts - The file or bundle ID and its management token.
+   * @returns Current upload status.
+   * @throws {DropgateProtocolError} If the upload is gone or the token is wrong.
+   */
+  async getUploadStatus(opts) {
+    return this._manageUpload("GET", opts);
+  }
+  /**
+   * Change the lifetime and/or download limit of an upload you own.
+   * @param opts - The file or bundle ID, its management token and the new settings.
+   * @returns Upload status after the change.
+   * @throws {DropgateProtocolError} If the server rejects the change or the token is wrong.
+   */
+  async updateUpload(opts) {
+    const { lifetimeMs, maxDownloads } = opts;
+    if (lifetimeMs === void 0 && maxDownloads === void 0) {
+      throw new DropgateValidationError("Nothing to update. Provide lifetimeMs and/or maxDownloads.");
+    }
+    return this._manageUpload("PATCH", opts, {
+      ...lifetimeMs !== void 0 ? { lifetimeMs } : {},
+      ...maxDownloads !== void 0 ? { maxDownloads } : {}
+    });
+  }
+  /**
+   * Delete an upload you own before it expires. Deleting a bundle deletes all of its files.
+   * @param opts - The file or bundle ID and its management token.
+   * @throws {DropgateProtocolError} If the upload is gone or the token is wrong.
+   */
+  async deleteUpload(opts) {
+    await this._manageUpload("DELETE", opts);
+  }
   /**
    * Upload a single file's chunks to the server. Used internally by uploadFiles().
    */
@@ -2765,6 +4966,7 @@ var DropgateClient = class {
       file,
       uploadId,
       cryptoKey,
+      e2eeFormatVersion = 1,
       effectiveChunkSize,
       totalChunks,
       baseOffset,
@@ -2772,22 +4974,22 @@ var DropgateClient = class {
       progress,
       signal,
       baseUrl,
-      retries,
-      backoffMs,
-      maxBackoffMs,
+      retryPolicy,
+      slots,
       chunkTimeoutMs,
       fileIndex,
       totalFiles,
-      currentFileName
+      currentFileName,
+      skipChunks
     } = params;
-    for (let i = 0; i < totalChunks; i++) {
-      if (signal?.aborted) {
-        throw signal.reason || new DropgateAbortError();
-      }
-      const start = i * effectiveChunkSize;
-      const end = Math.min(start + effectiveChunkSize, file.size);
-      const chunkSlice = file.slice(start, end);
-      const processedBytes = baseOffset + start;
+    const uploaded = new Set(skipChunks);
+    let firstPending = -1;
+    const reportProgress = () => {
+      let i = Math.max(firstPending, 0);
+      while (i < totalChunks && uploaded.has(i)) i++;
+      if (i === firstPending || i >= totalChunks) return;
+      firstPending = i;
+      const processedBytes = baseOffset + i * effectiveChunkSize;
       const percent = totalBytesAllFiles > 0 ? processedBytes / totalBytesAllFiles * 100 : 0;
       progress({
         phase: "chunk",
@@ -2799,24 +5001,150 @@ var DropgateClient = class {
         totalChunks,
         ...fileIndex !== void 0 ? { fileIndex, totalFiles, currentFileName } : {}
       });
-      const chunkBuffer = await chunkSlice.arrayBuffer();
-      let uploadBlob;
-      if (cryptoKey) {
-        uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey);
-      } else {
-        uploadBlob = new Blob([chunkBuffer]);
+    };
+    reportProgress();
+    await forEachConcurrently(totalChunks, slots.size, async (i) => {
+      if (uploaded.has(i)) return;
+      await slots.acquire();
+      try {
+        if (signal?.aborted) {
+          throw signal.reason || new DropgateAbortError();
+        }
+        const start = i * effectiveChunkSize;
+        const end = Math.min(start + effectiveChunkSize, file.size);
+        const chunkBuffer = await file.slice(start, end).arrayBuffer();
+        let uploadBlob;
+        if (cryptoKey) {
+          const isFinal = i === totalChunks - 1;
+          const aad = e2eeFormatVersion >= 3 ? buildChunkAad(i, isFinal, fileIndex ?? 0) : e2eeFormatVersion === 2 ? buildChunkAad(i, isFinal) : void 0;
+          uploadBlob = await encryptToBlob(this.cryptoObj, chunkBuffer, cryptoKey, aad);
+        } else {
+          uploadBlob = new Blob([chunkBuffer]);
+        }
+        if (uploadBlob.size > effectiveChunkSize + 1024) {
+          throw new DropgateValidationError("Chunk too large (client-side). Check chunk size settings.");
+        }
+        const toHash = await uploadBlob.arrayBuffer();
+        const hashHex = await sha256Hex(this.cryptoObj, toHash);
+        await this._attemptChunkUpload(
+          `${baseUrl}/upload/chunk`,
+          { method: "POST", headers: { "Content-Type": "application/octet-stream", ...this._authHeaders(), "X-Upload-ID": uploadId, "X-Chunk-Index": String(i), "X-Chunk-Hash": hashHex }, body: uploadBlob },
+          { retryPolicy, timeoutMs: chunkTimeoutMs, signal, progress, chunkIndex: i, totalChunks, chunkSize: effectiveChunkSize, fileSizeBytes: totalBytesAllFiles }
+        );
+      } catch (err2) {
+        slots.fail(err2);
+        throw err2;
+      } finally {
+        slots.release();
       }
-      if (uploadBlob.size > effectiveChunkSize + 1024) {
-        throw new DropgateValidationError("Chunk too large (client-side). Check chunk size settings.");
+      uploaded.add(i);
+      reportProgress();
+    });
+  }
+  /**
+   * Authorization header for upload requests, when an auth token is configured.
+   */
+  _authHeaders() {
+    return this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {};
+  }
+  /**
+   * Send an owner management request. Used internally by getUploadStatus(),
+   * updateUpload() and deleteUpload().
+   */
+  async _manageUpload(method, opts, body) {
+    const { fileId, bundleId, manageToken, timeoutMs = 5e3, signal } = opts;
+    if (Boolean(fileId) === Boolean(bundleId)) {
+      throw new DropgateValidationError("Provide either fileId or bundleId.");
+    }
+    if (!manageToken || typeof manageToken !== "string") {
+      throw new DropgateValidationError("Management token is required.");
+    }
+    const path = fileId ? `file/${encodeURIComponent(fileId)}` : `bundle/${encodeURIComponent(bundleId)}`;
+    const { res, json, text } = await fetchJson(this.fetchFn, `${this.baseUrl}/api/${path}/manage`, {
+      method,
+      timeoutMs,
+      signal,
+      headers: {
+        Accept: "application/json",
+        "X-Manage-Token": manageToken,
+        ...body ? { "Content-Type": "application/json" } : {}
+      },
+      ...body ? { body: JSON.stringify(body) } : {}
+    });
+    if (!res.ok) {
+      throw errorFromResponse(json || text, `Upload management request failed (status ${res.status}).`);
+    }
+    return json;
+  }
+  /**
+   * Finalise a single file upload. Used internally by uploadFiles() and resumeUpload().
+   * @returns The new file ID, and its management token for standalone files.
+   */
+  async _completeFileUpload(params) {
+    const { baseUrl, uploadId, timeoutMs, signal, fileIndex, retryPolicy, progress, progressEvent } = params;
+    const fallback = fileIndex !== void 0 ? `File ${fileIndex + 1} finalisation failed.` : "Finalisation failed.";
+    const completeRes = await this._retryUploadRequest(async () => {
+      const result = await this._fetchUploadJson(`${baseUrl}/upload/complete`, {
+        method: "POST",
+        timeoutMs,
+        signal,
+        headers: { "Content-Type": "application/json", Accept: "application/json", ...this._authHeaders() },
+        body: JSON.stringify({ uploadId })
+      });
+      if (!result.res.ok) {
+        throw errorFromResponse(result.json || result.text, fallback, responseInfo(result.res));
       }
-      const toHash = await uploadBlob.arrayBuffer();
-      const hashHex = await sha256Hex(this.cryptoObj, toHash);
-      await this._attemptChunkUpload(
-        `${baseUrl}/upload/chunk`,
-        { method: "POST", headers: { "Content-Type": "application/octet-stream", "X-Upload-ID": uploadId, "X-Chunk-Index": String(i), "X-Chunk-Hash": hashHex }, body: uploadBlob },
-        { retries, backoffMs, maxBackoffMs, timeoutMs: chunkTimeoutMs, signal, progress, chunkIndex: i, totalChunks, chunkSize: effectiveChunkSize, fileSizeBytes: totalBytesAllFiles }
-      );
+      return result;
+    }, { policy: retryPolicy, operation: "complete", label: fallback, signal, progress, event: progressEvent });
+    const completeJson = completeRes.json;
+    const fileId = completeJson?.id;
+    if (!fileId) {
+      throw new DropgateProtocolError(fileIndex !== void 0 ? `Server did not return a valid file id for file ${fileIndex + 1}.` : "Server did not return a valid file id.");
+    }
+    return { fileId, ...completeJson?.manageToken ? { manageToken: completeJson.manageToken } : {} };
+  }
+  /**
+   * Finalise a bundle upload. Used internally by uploadFiles() and resumeUpload().
+   * @returns The new bundle ID and its management token.
+   */
+  async _completeBundleUpload(params) {
+    const { baseUrl, bundleUploadId, fileResults, cryptoKey, timeoutMs, signal, retryPolicy, progress, progressEvent } = params;
+    let encryptedManifestB64;
+    let accessKey;
+    if (cryptoKey) {
+      const manifest = JSON.stringify({
+        files: fileResults.map((r) => ({
+          fileId: r.fileId,
+          name: r.name,
+          sizeBytes: r.size
+        }))
+      });
+      const manifestBytes = new TextEncoder().encode(manifest);
+      const encryptedBlob = await encryptToBlob(this.cryptoObj, manifestBytes.buffer, cryptoKey);
+      const encryptedBuffer = new Uint8Array(await encryptedBlob.arrayBuffer());
+      encryptedManifestB64 = this.base64.encode(encryptedBuffer);
+      accessKey = await deriveBundleAccessKey(this.cryptoObj, cryptoKey);
     }
+    const completeBundleRes = await this._retryUploadRequest(async () => {
+      const result = await this._fetchUploadJson(`${baseUrl}/upload/complete-bundle`, {
+        method: "POST",
+        timeoutMs,
+        signal,
+        headers: { "Content-Type": "application/json", Accept: "application/json", ...this._authHeaders() },
+        body: JSON.stringify({
+          bundleUploadId,
+          ...encryptedManifestB64 ? { encryptedManifest: encryptedManifestB64, accessKey } : {}
+        })
+      });
+      if (!result.res.ok) {
+        throw errorFromResponse(result.json || result.text, "Bundle finalisation failed.", responseInfo(result.res));
+      }
+      return result;
+    }, { policy: retryPolicy, operation: "complete", label: "Bundle finalisation failed.", signal, progress, event: progressEvent });
+    const completeJson = completeBundleRes.json;
+    const bundleId = completeJson?.bundleId;
+    if (!bundleId) throw new DropgateProtocolError("Server did not return a valid bundle id.");
+    return { bundleId, ...completeJson?.manageToken ? { manageToken: completeJson.manageToken } : {} };
   }
   /**
    * Download one or more files from the server with optional decryption.
@@ -2832,7 +5160,8 @@ var DropgateClient = class {
     const {
       fileId,
       bundleId,
-      keyB64,
+      keyB64: providedKeyB64,
+      passphrase,
       asZip,
       zipFilename: _zipFilename,
       onProgress,
@@ -2841,7 +5170,9 @@ var DropgateClient = class {
       onFileData,
       onFileEnd,
       signal,
-      timeoutMs = 6e4
+      timeoutMs = 6e4,
+      retry = {},
+      ticket
     } = opts;
     const progress = (evt) => {
       try {
@@ -2849,6 +5180,7 @@ var DropgateClient = class {
       } catch {
       }
     };
+    const retrySettings = resolveRetryPolicy(retry);
     if (!fileId && !bundleId) {
       throw new DropgateValidationError("Either fileId or bundleId is required.");
     }
@@ -2857,8 +5189,14 @@ var DropgateClient = class {
     const { baseUrl } = compat;
     progress({ phase: "server-compat", text: compat.message, processedBytes: 0, totalBytes: 0, percent: 0 });
     if (!compat.compatible) throw new DropgateValidationError(compat.message);
+    let keyB64 = providedKeyB64;
+    if (!keyB64 && passphrase !== void 0) {
+      const protection = await this.getKeyProtection({ fileId, bundleId }, { timeoutMs, signal });
+      if (!protection) throw new DropgateValidationError("This upload is not passphrase-protected.");
+      keyB64 = await this.unlockWithPassphrase(protection, passphrase);
+    }
     if (fileId) {
-      return this._downloadSingleFile({ fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat });
+      return this._downloadSingleFile({ fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat, retry: retrySettings, ticket });
     }
     progress({ phase: "metadata", text: "Fetching bundle info...", processedBytes: 0, totalBytes: 0, percent: 0 });
     let bundleMeta;
@@ -2905,6 +5243,27 @@ var DropgateClient = class {
         filenames.push(f.filename || "file");
       }
     }
+    let bundleTicket;
+    if (compat.serverInfo.capabilities?.upload?.downloadTickets) {
+      try {
+        ({ ticket: bundleTicket } = await this.requestBundleTicket(bundleId, keyB64, { timeoutMs, signal }));
+      } catch (err2) {
+        if (err2 instanceof DropgateError) throw err2;
+        if (err2 instanceof Error && err2.name === "AbortError") throw new DropgateAbortError("Download cancelled.");
+        throw new DropgateNetworkError("Could not reserve the download.", { cause: err2 });
+      }
+    }
+    const reportDownloaded = async () => {
+      try {
+        await fetchJson(this.fetchFn, `${baseUrl}/api/bundle/${bundleId}/downloaded`, {
+          method: "POST",
+          timeoutMs: 5e3,
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify(bundleTicket ? { ticket: bundleTicket } : {})
+        });
+      } catch {
+      }
+    };
     let totalReceivedBytes = 0;
     if (asZip && onData) {
       const zipWriter = new StreamingZipWriter(onData);
@@ -2923,12 +5282,13 @@ var DropgateClient = class {
         });
         zipWriter.startFile(name);
         const baseReceivedBytes = totalReceivedBytes;
+        const layout = await this._bundleMemberLayout(fileMeta.fileId, fi, isEncrypted, compat, timeoutMs, signal);
         const bytesReceived = await this._streamFileIntoCallback(
           baseUrl,
           fileMeta.fileId,
           isEncrypted,
           cryptoKey,
-          compat,
+          layout,
           signal,
           timeoutMs,
           (chunk) => {
@@ -2946,21 +5306,22 @@ var DropgateClient = class {
               totalFiles: bundleMeta.files.length,
               currentFileName: name
             });
-          }
+          },
+          {
+            ...retrySettings,
+            onRetry: retryWaitProgress(progress, totalBytes, baseReceivedBytes, {
+              fileIndex: fi,
+              totalFiles: bundleMeta.files.length,
+              currentFileName: name
+            })
+          },
+          bundleTicket
         );
         zipWriter.endFile();
         totalReceivedBytes += bytesReceived;
       }
       await zipWriter.finalize();
-      try {
-        await fetchJson(this.fetchFn, `${baseUrl}/api/bundle/${bundleId}/downloaded`, {
-          method: "POST",
-          timeoutMs: 5e3,
-          headers: { "Content-Type": "application/json", Accept: "application/json" },
-          body: "{}"
-        });
-      } catch {
-      }
+      await reportDownloaded();
       progress({ phase: "complete", text: "Download complete!", percent: 100, processedBytes: totalReceivedBytes, totalBytes });
       return { filenames, receivedBytes: totalReceivedBytes, wasEncrypted: isEncrypted };
     } else {
@@ -2980,12 +5341,13 @@ var DropgateClient = class {
         });
         onFileStart?.({ name, size: fileMeta.sizeBytes, index: fi });
         const baseReceivedBytes = totalReceivedBytes;
+        const layout = await this._bundleMemberLayout(fileMeta.fileId, fi, isEncrypted, compat, timeoutMs, signal);
         const bytesReceived = await this._streamFileIntoCallback(
           baseUrl,
           fileMeta.fileId,
           isEncrypted,
           cryptoKey,
-          compat,
+          layout,
           signal,
           timeoutMs,
           dataCallback ? (chunk) => dataCallback(chunk) : void 0,
@@ -3001,11 +5363,21 @@ var DropgateClient = class {
               totalFiles: bundleMeta.files.length,
               currentFileName: name
             });
-          }
+          },
+          {
+            ...retrySettings,
+            onRetry: retryWaitProgress(progress, totalBytes, baseReceivedBytes, {
+              fileIndex: fi,
+              totalFiles: bundleMeta.files.length,
+              currentFileName: name
+            })
+          },
+          bundleTicket
         );
         onFileEnd?.({ name, index: fi });
         totalReceivedBytes += bytesReceived;
       }
+      await reportDownloaded();
       progress({ phase: "complete", text: "Download complete!", percent: 100, processedBytes: totalReceivedBytes, totalBytes });
       return { filenames, receivedBytes: totalReceivedBytes, wasEncrypted: isEncrypted };
     }
@@ -3015,7 +5387,7 @@ var DropgateClient = class {
    * Preserves the original downloadFile() behavior.
    */
   async _downloadSingleFile(params) {
-    const { fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat } = params;
+    const { fileId, keyB64, onProgress, onData, signal, timeoutMs, baseUrl, compat, retry } = params;
     const progress = (evt) => {
       try {
         if (onProgress) onProgress(evt);
@@ -3033,10 +5405,10 @@ var DropgateClient = class {
     }
     const isEncrypted = Boolean(metadata.isEncrypted);
     const encryptedTotalBytes = metadata.sizeBytes || 0;
+    const layout = this._storedFileLayout(metadata, compat);
     let totalBytes = encryptedTotalBytes;
     if (isEncrypted && encryptedTotalBytes > 0) {
-      const downloadChunkSize = Number.isFinite(compat.serverInfo?.capabilities?.upload?.chunkSize) && compat.serverInfo.capabilities.upload.chunkSize > 0 ? compat.serverInfo.capabilities.upload.chunkSize : this.chunkSize;
-      const encryptedChunkSize = downloadChunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
+      const encryptedChunkSize = layout.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
       const numChunks = Math.ceil(encryptedTotalBytes / encryptedChunkSize);
       totalBytes = encryptedTotalBytes - numChunks * ENCRYPTION_OVERHEAD_PER_CHUNK;
     }
@@ -3063,6 +5435,16 @@ var DropgateClient = class {
       filename = metadata.filename || "file";
     }
     progress({ phase: "downloading", text: "Starting download...", percent: 0, processedBytes: 0, totalBytes });
+    let ticket = params.ticket;
+    if (!ticket && compat.serverInfo.capabilities?.upload?.downloadTickets) {
+      try {
+        ({ ticket } = await this.requestDownloadTicket(fileId, { timeoutMs, signal }));
+      } catch (err2) {
+        if (err2 instanceof DropgateError) throw err2;
+        if (err2 instanceof Error && err2.name === "AbortError") throw new DropgateAbortError("Download cancelled.");
+        throw new DropgateNetworkError("Could not reserve the download.", { cause: err2 });
+      }
+    }
     const dataChunks = [];
     const collectData = !onData;
     const receivedBytes = await this._streamFileIntoCallback(
@@ -3070,7 +5452,7 @@ var DropgateClient = class {
       fileId,
       isEncrypted,
       cryptoKey,
-      compat,
+      layout,
       signal,
       timeoutMs,
       async (chunk) => {
@@ -3088,7 +5470,9 @@ var DropgateClient = class {
           processedBytes: bytes,
           totalBytes
         });
-      }
+      },
+      { ...retry, onRetry: retryWaitProgress(progress, totalBytes) },
+      ticket
     );
     progress({ phase: "complete", text: "Download complete!", percent: 100, processedBytes: receivedBytes, totalBytes });
     let data;
@@ -3108,96 +5492,218 @@ var DropgateClient = class {
       ...data ? { data } : {}
     };
   }
+  /**
+   * Chunk layout a stored file was uploaded with. Files stored before the server
+   * recorded it fall back to the server's current chunk size and format detection.
+   */
+  _storedFileLayout(metadata, compat) {
+    const serverChunkSize = compat.serverInfo?.capabilities?.upload?.chunkSize;
+    const fallbackChunkSize = Number.isFinite(serverChunkSize) && serverChunkSize > 0 ? serverChunkSize : this.chunkSize;
+    return {
+      chunkSize: Number.isFinite(metadata.chunkSize) && metadata.chunkSize > 0 ? metadata.chunkSize : fallbackChunkSize,
+      ...metadata.e2eeFormatVersion ? { e2eeFormatVersion: metadata.e2eeFormatVersion } : {}
+    };
+  }
+  /**
+   * Chunk layout of a bundle member. Only encrypted files need it, so plain
+   * bundles skip the extra metadata request.
+   */
+  async _bundleMemberLayout(fileId, fileIndex, isEncrypted, compat, timeoutMs, signal) {
+    if (!isEncrypted) return this._storedFileLayout({}, compat);
+    try {
+      return { ...this._storedFileLayout(await this.getFileMetadata(fileId, { timeoutMs, signal }), compat), fileIndex };
+    } catch (err2) {
+      if (err2 instanceof DropgateError) throw err2;
+      if (err2 instanceof Error && err2.name === "AbortError") throw new DropgateAbortError("Download cancelled.");
+      throw new DropgateNetworkError("Could not fetch file metadata.", { cause: err2 });
+    }
+  }
   /**
    * Stream a single file's content into a callback, handling decryption if needed.
-   * Returns total bytes received from the network (encrypted size).
+   * Interrupted transfers are resumed with an HTTP Range request from the last
+   * fully delivered byte (encrypted files resume at the last decrypted chunk boundary),
+   * reusing the download ticket if there is one.
+   * Returns total bytes delivered to the callback (decrypted size for encrypted files).
    */
-  async _streamFileIntoCallback(baseUrl, fileId, isEncrypted, cryptoKey, compat, signal, timeoutMs, onChunk, onBytesReceived) {
-    const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
+  async _streamFileIntoCallback(baseUrl, fileId, isEncrypted, cryptoKey, layout, signal, timeoutMs, onChunk, onBytesReceived, retry = resolveRetryPolicy({ retries: 0 }), ticket) {
     let receivedBytes = 0;
-    try {
-      const downloadRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}`, {
-        method: "GET",
-        signal: downloadSignal
-      });
-      if (!downloadRes.ok) throw new DropgateProtocolError(`Download failed (status ${downloadRes.status}).`);
-      if (!downloadRes.body) throw new DropgateProtocolError("Streaming response not available.");
-      const reader = downloadRes.body.getReader();
-      if (isEncrypted && cryptoKey) {
-        const downloadChunkSize = Number.isFinite(compat.serverInfo?.capabilities?.upload?.chunkSize) && compat.serverInfo.capabilities.upload.chunkSize > 0 ? compat.serverInfo.capabilities.upload.chunkSize : this.chunkSize;
-        const ENCRYPTED_CHUNK_SIZE = downloadChunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
-        const pendingChunks = [];
-        let pendingLength = 0;
-        const flushPending = () => {
-          if (pendingChunks.length === 0) return new Uint8Array(0);
-          if (pendingChunks.length === 1) {
-            const result2 = pendingChunks[0];
+    let resumeOffset = 0;
+    let etag = null;
+    let attempt = 0;
+    const ENCRYPTED_CHUNK_SIZE = layout.chunkSize + ENCRYPTION_OVERHEAD_PER_CHUNK;
+    let formatVersion = layout.e2eeFormatVersion ?? null;
+    const fileIndex = layout.fileIndex ?? 0;
+    const decryptStoredChunk = async (encryptedChunk, chunkIndex, isFinal) => {
+      try {
+        if (formatVersion !== null) {
+          const aad = formatVersion >= 3 ? buildChunkAad(chunkIndex, isFinal, fileIndex) : formatVersion === 2 ? buildChunkAad(chunkIndex, isFinal) : void 0;
+          return await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey, aad);
+        }
+        try {
+          const decrypted2 = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey, buildChunkAad(chunkIndex, isFinal));
+          formatVersion = 2;
+          return decrypted2;
+        } catch {
+        }
+        const decrypted = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey);
+        formatVersion = 1;
+        return decrypted;
+      } catch (err2) {
+        throw new DropgateError("Failed to decrypt file data. The file may be corrupted or incomplete.", {
+          code: "DECRYPT_CHUNK_FAILED",
+          cause: err2
+        });
+      }
+    };
+    while (true) {
+      const { signal: downloadSignal, cleanup: downloadCleanup } = makeAbortSignal(signal, timeoutMs);
+      let awaitingNetwork = false;
+      let reader = null;
+      try {
+        const headers = {};
+        if (resumeOffset > 0) {
+          headers.Range = `bytes=${resumeOffset}-`;
+          if (etag) headers["If-Range"] = etag;
+        }
+        awaitingNetwork = true;
+        const downloadRes = await this.fetchFn(`${baseUrl}/api/file/${fileId}${ticket ? `?ticket=${encodeURIComponent(ticket)}` : ""}`, {
+          method: "GET",
+          headers,
+          signal: downloadSignal
+        });
+        awaitingNetwork = false;
+        if (!downloadRes.ok) {
+          const body = parseJsonText(await downloadRes.text().catch(() => ""));
+          throw errorFromResponse(body, `Download failed (status ${downloadRes.status}).`, {
+            details: { status: downloadRes.status },
+            ...responseInfo(downloadRes)
+          });
+        }
+        if (resumeOffset > 0 && downloadRes.status !== 206) {
+          throw new DropgateProtocolError("Server could not resume the download.", {
+            details: { status: downloadRes.status }
+          });
+        }
+        if (!downloadRes.body) throw new DropgateProtocolError("Streaming response not available.");
+        etag = downloadRes.headers?.get("ETag") || etag;
+        reader = downloadRes.body.getReader();
+        if (isEncrypted && cryptoKey) {
+          const pendingChunks = [];
+          let pendingLength = 0;
+          const flushPending = () => {
+            if (pendingChunks.length === 0) return new Uint8Array(0);
+            if (pendingChunks.length === 1) {
+              const result2 = pendingChunks[0];
+              pendingChunks.length = 0;
+              pendingLength = 0;
+              return result2;
+            }
+            const result = new Uint8Array(pendingLength);
+            let offset = 0;
+            for (const chunk of pendingChunks) {
+              result.set(chunk, offset);
+              offset += chunk.length;
+            }
             pendingChunks.length = 0;
             pendingLength = 0;
-            return result2;
-          }
-          const result = new Uint8Array(pendingLength);
-          let offset = 0;
-          for (const chunk of pendingChunks) {
-            result.set(chunk, offset);
-            offset += chunk.length;
-          }
-          pendingChunks.length = 0;
-          pendingLength = 0;
-          return result;
-        };
-        while (true) {
-          if (signal?.aborted) throw new DropgateAbortError("Download cancelled.");
-          const { done, value } = await reader.read();
-          if (done) break;
-          pendingChunks.push(value);
-          pendingLength += value.length;
-          while (pendingLength >= ENCRYPTED_CHUNK_SIZE) {
-            const buffer = flushPending();
-            const encryptedChunk = buffer.subarray(0, ENCRYPTED_CHUNK_SIZE);
-            if (buffer.length > ENCRYPTED_CHUNK_SIZE) {
+            return result;
+          };
+          while (true) {
+            if (signal?.aborted) throw new DropgateAbortError("Download cancelled.");
+            awaitingNetwork = true;
+            const { done, value } = await reader.read();
+            awaitingNetwork = false;
+            if (done) break;
+            pendingChunks.push(value);
+            pendingLength += value.length;
+            while (pendingLength > ENCRYPTED_CHUNK_SIZE) {
+              const buffer = flushPending();
+              const encryptedChunk = buffer.subarray(0, ENCRYPTED_CHUNK_SIZE);
               pendingChunks.push(buffer.subarray(ENCRYPTED_CHUNK_SIZE));
               pendingLength = buffer.length - ENCRYPTED_CHUNK_SIZE;
+              const chunkIndex = resumeOffset / ENCRYPTED_CHUNK_SIZE;
+              const decryptedBuffer = await decryptStoredChunk(encryptedChunk, chunkIndex, false);
+              receivedBytes += decryptedBuffer.byteLength;
+              if (onBytesReceived) onBytesReceived(receivedBytes);
+              if (onChunk) await onChunk(new Uint8Array(decryptedBuffer));
+              resumeOffset += ENCRYPTED_CHUNK_SIZE;
             }
-            const decryptedBuffer = await decryptChunk(this.cryptoObj, encryptedChunk, cryptoKey);
+          }
+          if (pendingLength > 0) {
+            const buffer = flushPending();
+            const chunkIndex = resumeOffset / ENCRYPTED_CHUNK_SIZE;
+            const decryptedBuffer = await decryptStoredChunk(buffer, chunkIndex, true);
             receivedBytes += decryptedBuffer.byteLength;
             if (onBytesReceived) onBytesReceived(receivedBytes);
             if (onChunk) await onChunk(new Uint8Array(decryptedBuffer));
+            resumeOffset += buffer.length;
+          }
+        } else {
+          while (true) {
+            if (signal?.aborted) throw new DropgateAbortError("Download cancelled.");
+            awaitingNetwork = true;
+            const { done, value } = await reader.read();
+            awaitingNetwork = false;
+            if (done) break;
+            receivedBytes += value.length;
+            if (onBytesReceived) onBytesReceived(receivedBytes);
+            if (onChunk) await onChunk(value);
+            resumeOffset += value.length;
           }
         }
-        if (pendingLength > 0) {
-          const buffer = flushPending();
-          const decryptedBuffer = await decryptChunk(this.cryptoObj, buffer, cryptoKey);
-          receivedBytes += decryptedBuffer.byteLength;
-          if (onBytesReceived) onBytesReceived(receivedBytes);
-          if (onChunk) await onChunk(new Uint8Array(decryptedBuffer));
-        }
-      } else {
-        while (true) {
-          if (signal?.aborted) throw new DropgateAbortError("Download cancelled.");
-          const { done, value } = await reader.read();
-          if (done) break;
-          receivedBytes += value.length;
-          if (onBytesReceived) onBytesReceived(receivedBytes);
-          if (onChunk) await onChunk(value);
+        return receivedBytes;
+      } catch (err2) {
+        reader?.cancel().catch(() => {
+        });
+        if (signal?.aborted || err2 instanceof Error && err2.name === "AbortError") {
+          throw new DropgateAbortError("Download cancelled.");
         }
+        const failure = err2 instanceof DropgateError ? err2 : new DropgateNetworkError("Download failed.", { cause: err2 });
+        attempt += 1;
+        const ctx = retryContext("download", attempt, retry.retries, failure);
+        const retryable = (awaitingNetwork || failure instanceof DropgateProtocolError) && attempt <= retry.retries && retry.shouldRetry(ctx);
+        if (!retryable) throw failure;
+        const delayMs = retry.getDelayMs(ctx);
+        retry.onRetry?.({ attempt, maxRetries: retry.retries, delayMs, receivedBytes });
+        await sleep(delayMs, signal);
+      } finally {
+        downloadCleanup();
       }
-    } catch (err2) {
-      if (err2 instanceof DropgateError) throw err2;
-      if (err2 instanceof Error && err2.name === "AbortError") throw new DropgateAbortError("Download cancelled.");
-      throw new DropgateNetworkError("Download failed.", { cause: err2 });
-    } finally {
-      downloadCleanup();
     }
-    return receivedBytes;
+  }
+  /**
+   * Ask the server for a reserved P2P sharing code.
+   * Only servers advertising `capabilities.p2p.issuedCodes` issue codes.
+   * @param opts - Optional connection options (timeout, signal).
+   * @returns The issued code, valid until the sender registers it or it expires.
+   * @throws {DropgateNetworkError} If the server cannot be reached.
+   * @throws {DropgateProtocolError} If the server does not issue codes or returns an error.
+   */
+  async requestP2PCode(opts) {
+    const { timeoutMs = 5e3, signal } = opts ?? {};
+    const { res, json } = await fetchJson(this.fetchFn, `${this.baseUrl}/api/p2p/code`, {
+      method: "POST",
+      timeoutMs,
+      signal,
+      headers: { Accept: "application/json" }
+    });
+    if (!res.ok) {
+      throw errorFromResponse(json, `Failed to get a direct transfer code (status ${res.status}).`);
+    }
+    const code = json && typeof json === "object" && "code" in json ? json.code : null;
+    if (typeof code !== "string" || !isP2PCodeLike(code)) {
+      throw new DropgateProtocolError("Server returned an invalid direct transfer code.", { details: json });
+    }
+    return code;
   }
   /**
    * Start a P2P send session. Connects to the signalling server and waits for a receiver.
    *
-   * Server info, peerjsPath, iceServers, and cryptoObj are provided automatically
-   * from the client's cached server info and configuration.
+   * Server info, peerjsPath, iceServers, relayPath, and cryptoObj are provided automatically
+   * from the client's cached server info and configuration. On servers that issue codes,
+   * each code is requested from the server unless a codeGenerator is given.
    *
-   * @param opts - P2P send options (file, Peer constructor, callbacks, tuning).
+   * @param opts - P2P send options (file, Peer constructor or transport, callbacks, tuning).
    * @returns P2P send session with control methods.
    * @throws {DropgateValidationError} If P2P is not enabled on the server.
    * @throws {DropgateNetworkError} If the signalling server cannot be reached.
@@ -3213,14 +5719,16 @@ var DropgateClient = class {
       throw new DropgateValidationError("Direct transfer is disabled on this server.");
     }
     const { host, port, secure } = this.serverTarget;
-    const { path: peerjsPath, iceServers } = resolvePeerConfig({}, p2pCaps);
+    const { path: peerjsPath, iceServers, relayPath } = resolvePeerConfig({}, p2pCaps);
     return startP2PSend({
       ...opts,
+      codeGenerator: opts.codeGenerator ?? (p2pCaps.issuedCodes ? () => this.requestP2PCode() : void 0),
       host,
       port,
       secure,
       peerjsPath,
       iceServers,
+      relayPath,
       serverInfo,
       cryptoObj: this.cryptoObj
     });
@@ -3228,10 +5736,10 @@ var DropgateClient = class {
   /**
    * Start a P2P receive session. Connects to a sender via their sharing code.
    *
-   * Server info, peerjsPath, and iceServers are provided automatically
+   * Server info, peerjsPath, iceServers, and relayPath are provided automatically
    * from the client's cached server info.
    *
-   * @param opts - P2P receive options (code, Peer constructor, callbacks, tuning).
+   * @param opts - P2P receive options (code, Peer constructor or transport, callbacks, tuning).
    * @returns P2P receive session with control methods.
    * @throws {DropgateValidationError} If P2P is not enabled on the server.
    * @throws {DropgateNetworkError} If the signalling server cannot be reached.
@@ -3247,7 +5755,7 @@ var DropgateClient = class {
       throw new DropgateValidationError("Direct transfer is disabled on this server.");
     }
     const { host, port, secure } = this.serverTarget;
-    const { path: peerjsPath, iceServers } = resolvePeerConfig({}, p2pCaps);
+    const { path: peerjsPath, iceServers, relayPath } = resolvePeerConfig({}, p2pCaps);
     return startP2PReceive({
       ...opts,
       host,
@@ -3255,14 +5763,17 @@ var DropgateClient = class {
       secure,
       peerjsPath,
       iceServers,
-      serverInfo
+      relayPath,
+      serverInfo,
+      cryptoObj: this.cryptoObj
     });
   }
+  /**
+   * Upload one chunk, retrying it under the retry policy.
+   */
   async _attemptChunkUpload(url, fetchOptions, opts) {
     const {
-      retries,
-      backoffMs,
-      maxBackoffMs,
+      retryPolicy,
       timeoutMs,
       signal,
       progress,
@@ -3271,92 +5782,774 @@ var DropgateClient = class {
       chunkSize,
       fileSizeBytes
     } = opts;
-    let attemptsLeft = retries;
-    let currentBackoff = backoffMs;
-    const maxRetries = retries;
-    while (true) {
-      if (signal?.aborted) {
-        throw signal.reason || new DropgateAbortError();
-      }
+    await this._retryUploadRequest(async () => {
       const { signal: s, cleanup } = makeAbortSignal(signal, timeoutMs);
       try {
         const res = await this.fetchFn(url, { ...fetchOptions, signal: s });
         if (res.ok) return;
         const text = await res.text().catch(() => "");
-        const err2 = new DropgateProtocolError(
-          `Chunk ${chunkIndex + 1} failed (HTTP ${res.status}).`,
-          {
-            details: { status: res.status, bodySnippet: text.slice(0, 120) }
-          }
-        );
-        throw err2;
+        throw errorFromResponse(parseJsonText(text), `Chunk ${chunkIndex + 1} failed (HTTP ${res.status}).`, {
+          details: { status: res.status, bodySnippet: text.slice(0, 120) },
+          ...responseInfo(res)
+        });
       } catch (err2) {
+        if (err2 instanceof DropgateError || err2 instanceof Error && err2.name === "AbortError") throw err2;
+        throw new DropgateNetworkError("Chunk upload failed.", { cause: err2 });
+      } finally {
         cleanup();
-        if (err2 instanceof Error && (err2.name === "AbortError" || err2.code === "ABORT_ERR")) {
-          throw err2;
-        }
-        if (signal?.aborted) {
-          throw signal.reason || new DropgateAbortError();
-        }
-        if (attemptsLeft <= 0) {
-          throw err2 instanceof DropgateError ? err2 : new DropgateNetworkError("Chunk upload failed.", { cause: err2 });
-        }
-        const attemptNumber = maxRetries - attemptsLeft + 1;
-        const processedBytes = chunkIndex * chunkSize;
-        const percent = chunkIndex / totalChunks * 100;
-        let remaining = currentBackoff;
+      }
+    }, {
+      policy: retryPolicy,
+      operation: "chunk",
+      label: "Chunk upload failed.",
+      signal,
+      progress,
+      event: {
+        percent: chunkIndex / totalChunks * 100,
+        processedBytes: chunkIndex * chunkSize,
+        totalBytes: fileSizeBytes,
+        chunkIndex,
+        totalChunks
+      }
+    });
+  }
+  /**
+   * fetchJson() for upload requests. Failures to reach the server become a
+   * DropgateNetworkError, so the retry policy can tell them apart from local errors.
+   */
+  async _fetchUploadJson(url, opts) {
+    try {
+      return await fetchJson(this.fetchFn, url, opts);
+    } catch (err2) {
+      if (err2 instanceof DropgateError || err2 instanceof Error && err2.name === "AbortError") throw err2;
+      throw new DropgateNetworkError("Upload request failed.", { cause: err2 });
+    }
+  }
+  /**
+   * Run an upload request under the retry policy, reporting each wait through progress
+   * as a `retry-wait` countdown followed by `retry`.
+   */
+  _retryUploadRequest(run, opts) {
+    const { policy, operation, label, signal, progress, event } = opts;
+    return withRetry(policy, operation, run, {
+      signal,
+      wait: async (delayMs, { attempt, maxRetries }) => {
+        let remaining = delayMs;
         const tick = 100;
         while (remaining > 0) {
           const secondsLeft = (remaining / 1e3).toFixed(1);
-          progress({
-            phase: "retry-wait",
-            text: `Chunk upload failed. Retrying in ${secondsLeft}s... (${attemptNumber}/${maxRetries})`,
-            percent,
-            processedBytes,
-            totalBytes: fileSizeBytes,
-            chunkIndex,
-            totalChunks
-          });
+          progress({ ...event, phase: "retry-wait", text: `${label} Retrying in ${secondsLeft}s... (${attempt}/${maxRetries})` });
           await sleep(Math.min(tick, remaining), signal);
           remaining -= tick;
         }
-        progress({
-          phase: "retry",
-          text: `Chunk upload failed. Retrying now... (${attemptNumber}/${maxRetries})`,
-          percent,
-          processedBytes,
-          totalBytes: fileSizeBytes,
-          chunkIndex,
-          totalChunks
-        });
-        attemptsLeft -= 1;
-        currentBackoff = Math.min(currentBackoff * 2, maxBackoffMs);
-        continue;
-      } finally {
-        cleanup();
+        progress({ ...event, phase: "retry", text: `${label} Retrying now... (${attempt}/${maxRetries})` });
+      }
+    });
+  }
+};
+
+// src/p2p/transports/webrtc.ts
+var CHUNKED_MTU = 16300;
+var MAX_MESSAGE_PIECES = 4096;
+var MAX_QUEUED_SIGNALS = 256;
+var WEBSOCKET_OPEN2 = 1;
+function isMessagePiece(value) {
+  return Number.isInteger(value.__peerData) && Number.isInteger(value.n) && Number.isInteger(value.total) && value.total > 0 && value.total <= MAX_MESSAGE_PIECES && value.n >= 0 && value.n < value.total && value.data instanceof ArrayBuffer;
+}
+var WebRTCConnection = class extends TransportEmitter {
+  constructor(owner, peer, connectionId) {
+    super();
+    __publicField(this, "owner", owner);
+    __publicField(this, "peer", peer);
+    __publicField(this, "connectionId", connectionId);
+    __publicField(this, "open", false);
+    __publicField(this, "_dc");
+    __publicField(this, "peerConnection");
+    __publicField(this, "closed", false);
+    __publicField(this, "hasRemoteDescription", false);
+    __publicField(this, "pendingCandidates", []);
+    __publicField(this, "nextMessageId", 1);
+    __publicField(this, "pieces", /* @__PURE__ */ new Map());
+    const pc = new owner.options.RTCPeerConnection(owner.rtcConfig);
+    this.peerConnection = pc;
+    pc.addEventListener("icecandidate", (event) => {
+      if (!event.candidate) return;
+      owner.signal({
+        type: "CANDIDATE",
+        payload: { candidate: event.candidate.toJSON(), type: "data", connectionId },
+        dst: peer
+      });
+    });
+    pc.addEventListener("iceconnectionstatechange", () => {
+      if (pc.iceConnectionState !== "failed") return;
+      this.emit("error", transportError("NEGOTIATION_FAILED", `Negotiation of connection to ${peer} failed.`));
+      this.close();
+    });
+    pc.addEventListener("datachannel", (event) => this.attachChannel(event.channel));
+  }
+  /** Start the connection as the calling side. */
+  async offer(reliable) {
+    const pc = this.peerConnection;
+    const label = `dc_${crypto.randomUUID()}`;
+    this.attachChannel(pc.createDataChannel(label, { ordered: reliable }));
+    try {
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+      this.owner.signal({
+        type: "OFFER",
+        payload: {
+          sdp: { type: offer.type, sdp: offer.sdp },
+          type: "data",
+          connectionId: this.connectionId,
+          label,
+          reliable,
+          serialization: "binary"
+        },
+        dst: this.peer
+      });
+    } catch (err2) {
+      this.fail(err2);
+    }
+  }
+  /** Answer an offer from the calling side. */
+  async answer(sdp) {
+    const pc = this.peerConnection;
+    try {
+      await this.setRemoteDescription(sdp);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      this.owner.signal({
+        type: "ANSWER",
+        payload: { sdp: { type: answer.type, sdp: answer.sdp }, type: "data", connectionId: this.connectionId },
+        dst: this.peer
+      });
+    } catch (err2) {
+      this.fail(err2);
+    }
+  }
+  /**
+   * Apply a description relayed as an ANSWER: the answer to our offer,
+   * or either half of an ICE restart (see ice-restart.ts).
+   */
+  async handleDescription(sdp) {
+    try {
+      await this.setRemoteDescription(sdp);
+    } catch (err2) {
+      this.fail(err2);
+    }
+  }
+  async handleCandidate(candidate) {
+    if (!this.hasRemoteDescription) {
+      this.pendingCandidates.push(candidate);
+      return;
+    }
+    try {
+      await this.peerConnection.addIceCandidate(candidate);
+    } catch {
+    }
+  }
+  async setRemoteDescription(sdp) {
+    await this.peerConnection.setRemoteDescription(sdp);
+    this.hasRemoteDescription = true;
+    const candidates = this.pendingCandidates;
+    this.pendingCandidates = [];
+    for (const candidate of candidates) await this.handleCandidate(candidate);
+  }
+  attachChannel(dc) {
+    if (this._dc) return;
+    this._dc = dc;
+    dc.binaryType = "arraybuffer";
+    dc.addEventListener("open", () => this.markOpen());
+    dc.addEventListener("message", (event) => this.receive(event.data));
+    dc.addEventListener("close", () => this.close());
+    if (dc.readyState === "open") queueMicrotask(() => this.markOpen());
+  }
+  markOpen() {
+    if (this.closed || this.open) return;
+    this.open = true;
+    this.emit("open");
+  }
+  fail(err2) {
+    const message = err2 instanceof Error ? err2.message : String(err2);
+    this.emit("error", transportError("NEGOTIATION_FAILED", message));
+    this.close();
+  }
+  receive(raw) {
+    let bytes;
+    if (raw instanceof ArrayBuffer) {
+      bytes = new Uint8Array(raw);
+    } else if (ArrayBuffer.isView(raw)) {
+      bytes = new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+    } else {
+      return;
+    }
+    let message;
+    try {
+      message = unpack(bytes);
+    } catch {
+      return;
+    }
+    const record = message !== null && typeof message === "object" ? message : {};
+    const peerData = record.__peerData;
+    if (!peerData) {
+      this.emit("data", message);
+    } else if (typeof peerData === "object" && peerData.type === "close") {
+      this.close();
+    } else if (isMessagePiece(record)) {
+      this.receivePiece(record);
+    }
+  }
+  receivePiece(piece) {
+    let entry = this.pieces.get(piece.__peerData);
+    if (!entry) {
+      entry = { parts: [], count: 0, total: piece.total };
+      this.pieces.set(piece.__peerData, entry);
+    }
+    if (entry.total !== piece.total || entry.parts[piece.n]) return;
+    entry.parts[piece.n] = new Uint8Array(piece.data);
+    entry.count++;
+    if (entry.count < entry.total) return;
+    this.pieces.delete(piece.__peerData);
+    const size = entry.parts.reduce((sum, part) => sum + part.byteLength, 0);
+    const whole = new Uint8Array(size);
+    let offset = 0;
+    for (const part of entry.parts) {
+      whole.set(part, offset);
+      offset += part.byteLength;
+    }
+    this.receive(whole);
+  }
+  send(data) {
+    const dc = this._dc;
+    if (!this.open || !dc) {
+      this.emit("error", transportError("NOT_OPEN_YET", "Connection is not open. Wait for the open event before sending."));
+      return;
+    }
+    try {
+      const packed = pack(data);
+      if (packed.byteLength <= CHUNKED_MTU) {
+        dc.send(packed);
+        return;
+      }
+      const id = this.nextMessageId++;
+      const total = Math.ceil(packed.byteLength / CHUNKED_MTU);
+      for (let n = 0; n < total; n++) {
+        const part = packed.subarray(n * CHUNKED_MTU, (n + 1) * CHUNKED_MTU);
+        dc.send(pack({ __peerData: id, n, data: part, total }));
+      }
+    } catch (err2) {
+      this.fail(err2);
+    }
+  }
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    const wasOpen = this.open;
+    this.open = false;
+    try {
+      this._dc?.close();
+    } catch {
+    }
+    try {
+      this.peerConnection.close();
+    } catch {
+    }
+    this.owner.forget(this);
+    if (wasOpen) this.emit("close");
+  }
+};
+var WebRTCPeer = class extends TransportEmitter {
+  constructor(options, id, peerOptions) {
+    super();
+    __publicField(this, "options", options);
+    __publicField(this, "peerOptions", peerOptions);
+    __publicField(this, "disconnected", true);
+    __publicField(this, "socket");
+    __publicField(this, "rtcConfig");
+    __publicField(this, "id");
+    __publicField(this, "ws", null);
+    __publicField(this, "heartbeatTimer", null);
+    __publicField(this, "destroyed", false);
+    __publicField(this, "registered", false);
+    __publicField(this, "queue", []);
+    __publicField(this, "token");
+    __publicField(this, "connections", /* @__PURE__ */ new Map());
+    this.id = id ?? null;
+    this.token = peerOptions.token ?? crypto.randomUUID();
+    this.rtcConfig = { iceServers: peerOptions.config?.iceServers ?? [] };
+    this.socket = { send: (data) => this.signal(data) };
+    void this.start();
+  }
+  /**
+   * Signalling server URL for the given scheme, ending in a slash.
+   * @throws DropgateNetworkError if no host is configured and there's no page to take it from.
+   */
+  baseUrl(scheme) {
+    const { host, port, secure } = this.peerOptions;
+    const hostname = host ?? globalThis.location?.hostname;
+    if (!hostname) {
+      throw transportError("SERVER_ERROR", "No signalling server host was configured.");
+    }
+    let path = this.peerOptions.path ?? "/";
+    if (!path.startsWith("/")) path = `/${path}`;
+    if (!path.endsWith("/")) path += "/";
+    return `${scheme}${secure ? "s" : ""}://${hostname}${port ? `:${port}` : ""}${path}`;
+  }
+  async start() {
+    try {
+      if (!this.id) this.id = await this.retrieveId();
+      if (this.destroyed) return;
+      this.openSocket();
+    } catch (err2) {
+      this.abort("SERVER_ERROR", err2 instanceof Error ? err2.message : "Could not reach the signalling server.");
+    }
+  }
+  /** Ask the signalling server for an unused ID, as PeerJS does for peers without one. */
+  async retrieveId() {
+    const fetchFn = this.options.fetch;
+    if (!fetchFn) {
+      throw transportError("SERVER_ERROR", "Fetch API is required to get a peer ID from the signalling server.");
+    }
+    const res = await fetchFn(`${this.baseUrl("http")}${encodeURIComponent(this.options.key)}/id?ts=${Date.now()}`);
+    if (!res.ok) {
+      throw transportError("SERVER_ERROR", `Could not get a peer ID from the signalling server (HTTP ${res.status}).`);
+    }
+    return (await res.text()).trim();
+  }
+  openSocket() {
+    const url = `${this.baseUrl("ws")}peerjs?key=${encodeURIComponent(this.options.key)}&id=${encodeURIComponent(this.id)}&token=${encodeURIComponent(this.token)}`;
+    const ws = new this.options.WebSocket(url);
+    this.ws = ws;
+    ws.onopen = () => {
+      const queued = this.queue;
+      this.queue = [];
+      for (const message of queued) this.signal(message);
+      this.heartbeatTimer = setInterval(() => {
+        this.signal({ type: "HEARTBEAT" });
+      }, this.options.heartbeatIntervalMs);
+    };
+    ws.onmessage = (event) => {
+      if (this.ws !== ws) return;
+      let message;
+      try {
+        message = JSON.parse(String(event.data));
+      } catch {
+        return;
+      }
+      this.handleSignal(message);
+    };
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.stopHeartbeat();
+      if (this.destroyed) return;
+      if (!this.registered) {
+        this.abort("SERVER_ERROR", "Could not connect to the signalling server.");
+        return;
+      }
+      if (this.disconnected) return;
+      this.disconnected = true;
+      this.emit("error", transportError("NETWORK", "Lost connection to the signalling server."));
+    };
+  }
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+  /** Send a message through the signalling server, queueing it while the socket is down. */
+  signal(message) {
+    const ws = this.ws;
+    if (ws && ws.readyState === WEBSOCKET_OPEN2) {
+      ws.send(JSON.stringify(message));
+    } else if (message.type !== "HEARTBEAT" && this.queue.length < MAX_QUEUED_SIGNALS) {
+      this.queue.push(message);
+    }
+  }
+  handleSignal(message) {
+    const { payload, src } = message;
+    const conn = payload?.connectionId ? this.connections.get(payload.connectionId) : void 0;
+    switch (message.type) {
+      case "OPEN":
+        this.registered = true;
+        this.disconnected = false;
+        this.emit("open", this.id);
+        break;
+      case "ERROR":
+        this.abort("SERVER_ERROR", payload?.msg || "The signalling server reported an error.");
+        break;
+      case "ID-TAKEN":
+        this.abort("UNAVAILABLE_ID", `ID "${this.id}" is taken.`);
+        break;
+      case "INVALID-KEY":
+        this.abort("INVALID_KEY", "The signalling server rejected the API key.");
+        break;
+      case "LEAVE":
+        for (const existing of [...this.connections.values()]) {
+          if (existing.peer === src) existing.close();
+        }
+        break;
+      case "EXPIRE":
+        this.emit("error", transportError("PEER_UNAVAILABLE", `Could not connect to peer ${src}.`));
+        break;
+      case "OFFER": {
+        const connectionId = payload?.connectionId;
+        if (!src || !connectionId || !payload?.sdp || conn || payload.type !== "data") return;
+        if ((payload.serialization ?? "binary") !== "binary") return;
+        const incoming = new WebRTCConnection(this, src, connectionId);
+        this.connections.set(connectionId, incoming);
+        this.emit("connection", incoming);
+        void incoming.answer(payload.sdp);
+        break;
+      }
+      case "ANSWER":
+        if (conn && payload?.sdp) void conn.handleDescription(payload.sdp);
+        break;
+      case "CANDIDATE":
+        if (conn && payload?.candidate) void conn.handleCandidate(payload.candidate);
+        break;
+    }
+  }
+  /** Fail on a signalling error: destroyed if never registered, otherwise just disconnected. */
+  abort(code, message) {
+    if (this.registered) {
+      this.disconnect();
+    } else {
+      this.destroy();
+    }
+    this.emit("error", transportError(code, message));
+  }
+  disconnect() {
+    this.disconnected = true;
+    this.stopHeartbeat();
+    const ws = this.ws;
+    this.ws = null;
+    try {
+      ws?.close();
+    } catch {
+    }
+  }
+  forget(conn) {
+    if (this.connections.get(conn.connectionId) === conn) {
+      this.connections.delete(conn.connectionId);
+    }
+  }
+  connect(peerId, options = {}) {
+    const conn = new WebRTCConnection(this, peerId, `dc_${crypto.randomUUID()}`);
+    this.connections.set(conn.connectionId, conn);
+    void conn.offer(options.reliable ?? false);
+    return conn;
+  }
+  reconnect() {
+    if (this.destroyed || !this.disconnected || !this.id) return;
+    if (this.ws) this.disconnect();
+    this.openSocket();
+  }
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    for (const conn of [...this.connections.values()]) conn.close();
+    this.disconnect();
+    this.queue = [];
+    this.emit("close");
+  }
+};
+function createWebRTCTransport(options = {}) {
+  const resolved = () => {
+    const RTCPeerConnectionImpl = options.RTCPeerConnection ?? globalThis.RTCPeerConnection;
+    const WebSocketImpl = options.WebSocket ?? globalThis.WebSocket;
+    if (!RTCPeerConnectionImpl) {
+      throw transportError("BROWSER_INCOMPATIBLE", "WebRTC is not available. Pass an RTCPeerConnection implementation.");
+    }
+    if (!WebSocketImpl) {
+      throw transportError("BROWSER_INCOMPATIBLE", "WebSocket is not available. Pass a WebSocket implementation.");
+    }
+    return {
+      RTCPeerConnection: RTCPeerConnectionImpl,
+      WebSocket: WebSocketImpl,
+      fetch: options.fetch ?? getDefaultFetch(),
+      key: options.key ?? "peerjs",
+      heartbeatIntervalMs: options.heartbeatIntervalMs ?? 5e3
+    };
+  };
+  return {
+    createPeer: (id, peerOptions) => new WebRTCPeer(resolved(), id, peerOptions)
+  };
+}
+
+// src/p2p/transports/loopback.ts
+function cloneMessage(data) {
+  if (data instanceof ArrayBuffer) return data.slice(0);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice().buffer;
+  }
+  return structuredClone(data);
+}
+function messageSize(data) {
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+  return JSON.stringify(data)?.length ?? 0;
+}
+var Timeline = class {
+  constructor() {
+    __publicField(this, "queue", []);
+    __publicField(this, "timer", null);
+  }
+  schedule(at, action) {
+    this.queue.push({ at, action });
+    if (!this.timer) this.arm();
+  }
+  clear() {
+    this.queue = [];
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+  arm() {
+    const next = this.queue[0];
+    if (!next) return;
+    this.timer = setTimeout(() => this.run(), Math.max(0, next.at - Date.now()));
+  }
+  run() {
+    this.timer = null;
+    const now = Date.now();
+    let due = 0;
+    while (due < this.queue.length && this.queue[due].at <= now) due++;
+    const actions = this.queue.splice(0, due);
+    for (const { action } of actions) action();
+    this.arm();
+  }
+};
+var LoopbackChannel = class extends EventTarget {
+  constructor() {
+    super(...arguments);
+    __publicField(this, "readyState", "connecting");
+    __publicField(this, "bufferedAmount", 0);
+    __publicField(this, "bufferedAmountLowThreshold", 0);
+  }
+  fill(size) {
+    this.bufferedAmount += size;
+  }
+  drain(size) {
+    const before = this.bufferedAmount;
+    this.bufferedAmount = Math.max(0, before - size);
+    if (before > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold) {
+      this.dispatchEvent(new Event("bufferedamountlow"));
+    }
+  }
+};
+var LoopbackConnection = class extends TransportEmitter {
+  constructor(network, localPeer, peer, connectionId) {
+    super();
+    __publicField(this, "network", network);
+    __publicField(this, "localPeer", localPeer);
+    __publicField(this, "peer", peer);
+    __publicField(this, "connectionId", connectionId);
+    __publicField(this, "open", false);
+    __publicField(this, "remote", null);
+    __publicField(this, "_dc");
+    __publicField(this, "channel", new LoopbackChannel());
+    __publicField(this, "departures", new Timeline());
+    __publicField(this, "arrivals", new Timeline());
+    __publicField(this, "lastDeparture", 0);
+    __publicField(this, "lastArrival", 0);
+    __publicField(this, "closed", false);
+    this._dc = this.channel;
+  }
+  get isClosed() {
+    return this.closed;
+  }
+  /** Schedule something to reach the other end after everything sent before it. */
+  deliver(departAt, action) {
+    const arriveAt = Math.max(departAt + this.network.conditions.latencyMs, this.lastArrival);
+    this.lastArrival = arriveAt;
+    this.arrivals.schedule(arriveAt, action);
+  }
+  markOpen() {
+    if (this.closed || this.open) return;
+    this.open = true;
+    this.channel.readyState = "open";
+    this.emit("open");
+  }
+  send(data) {
+    const remote = this.remote;
+    if (!this.open || !remote) {
+      this.emit("error", transportError("NOT_OPEN_YET", "Connection is not open. Wait for the open event before sending."));
+      return;
+    }
+    const { conditions, filter, random } = this.network;
+    const size = messageSize(data);
+    const kept = filter?.({
+      from: this.localPeer,
+      to: this.peer,
+      connectionId: this.connectionId,
+      data,
+      bufferedAmount: this.channel.bufferedAmount
+    }) ?? true;
+    const lost = !kept || random() < conditions.packetLoss;
+    const message = lost ? void 0 : cloneMessage(data);
+    const now = Date.now();
+    const transmitMs = Number.isFinite(conditions.bandwidthBytesPerMs) ? size / conditions.bandwidthBytesPerMs : 0;
+    const departAt = Math.max(now, this.lastDeparture) + transmitMs;
+    this.lastDeparture = departAt;
+    this.channel.fill(size);
+    this.departures.schedule(departAt, () => this.channel.drain(size));
+    if (lost) return;
+    this.deliver(departAt, () => {
+      if (remote.open) remote.emit("data", message);
+    });
+  }
+  close() {
+    if (this.closed) return;
+    const wasOpen = this.open;
+    this.shutDown();
+    const remote = this.remote;
+    if (remote) this.deliver(Math.max(Date.now(), this.lastDeparture), () => remote.drop());
+    if (wasOpen) this.emit("close");
+  }
+  /** The link is gone: the other end closed, its peer was destroyed, or the network dropped. */
+  drop() {
+    if (this.closed) return;
+    this.shutDown();
+    this.emit("close");
+  }
+  shutDown() {
+    this.closed = true;
+    this.open = false;
+    this.channel.readyState = "closed";
+    this.departures.clear();
+  }
+};
+var LoopbackPeer = class extends TransportEmitter {
+  constructor(network, id) {
+    super();
+    __publicField(this, "network", network);
+    __publicField(this, "id", id);
+    __publicField(this, "disconnected", true);
+    __publicField(this, "destroyed", false);
+    __publicField(this, "connections", /* @__PURE__ */ new Set());
+    setTimeout(() => {
+      if (this.destroyed) return;
+      if (network.peers.has(id)) {
+        this.emit("error", transportError("UNAVAILABLE_ID", `ID "${id}" is taken.`));
+        return;
+      }
+      network.peers.set(id, this);
+      this.disconnected = false;
+      this.emit("open", id);
+    }, 0);
+  }
+  /** Accept a connection from another peer. */
+  accept(conn) {
+    this.connections.add(conn);
+    this.emit("connection", conn);
+  }
+  connect(peerId) {
+    const { network } = this;
+    const conn = new LoopbackConnection(network, this.id, peerId, `lc_${++network.nextId}`);
+    this.connections.add(conn);
+    const { latencyMs } = network.conditions;
+    setTimeout(() => {
+      if (this.destroyed || conn.isClosed) return;
+      const remotePeer = network.peers.get(peerId);
+      if (!remotePeer || remotePeer.destroyed) {
+        this.emit("error", transportError("PEER_UNAVAILABLE", `Could not connect to peer ${peerId}.`));
+        return;
       }
+      const remoteConn = new LoopbackConnection(network, peerId, this.id, conn.connectionId);
+      conn.remote = remoteConn;
+      remoteConn.remote = conn;
+      remotePeer.accept(remoteConn);
+      setTimeout(() => {
+        conn.markOpen();
+        remoteConn.markOpen();
+      }, latencyMs);
+    }, latencyMs);
+    return conn;
+  }
+  reconnect() {
+  }
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.disconnected = true;
+    for (const conn of this.connections) conn.close();
+    this.connections.clear();
+    if (this.network.peers.get(this.id) === this) {
+      this.network.peers.delete(this.id);
     }
+    this.emit("close");
   }
 };
+function createLoopbackTransport(options = {}) {
+  const network = {
+    peers: /* @__PURE__ */ new Map(),
+    conditions: { latencyMs: 0, packetLoss: 0, bandwidthBytesPerMs: Infinity },
+    filter: options.filter,
+    random: options.random ?? Math.random,
+    nextId: 0
+  };
+  const setConditions = (conditions) => {
+    const next = { ...network.conditions };
+    if (conditions.latencyMs !== void 0) next.latencyMs = Math.max(0, conditions.latencyMs);
+    if (conditions.packetLoss !== void 0) next.packetLoss = Math.min(1, Math.max(0, conditions.packetLoss));
+    if (conditions.bandwidthBytesPerMs !== void 0 && conditions.bandwidthBytesPerMs > 0) {
+      next.bandwidthBytesPerMs = conditions.bandwidthBytesPerMs;
+    }
+    network.conditions = next;
+  };
+  setConditions(options);
+  return {
+    createPeer: (id) => new LoopbackPeer(network, id ?? `loopback-${++network.nextId}`),
+    setConditions,
+    disconnect: (peerId) => {
+      for (const peer of network.peers.values()) {
+        for (const conn of peer.connections) {
+          if (!peerId || conn.localPeer === peerId || conn.peer === peerId) conn.drop();
+        }
+      }
+    },
+    peerIds: () => [...network.peers.keys()]
+  };
+}
 export {
   AES_GCM_IV_BYTES,
   AES_GCM_TAG_BYTES,
   DEFAULT_CHUNK_SIZE,
   DropgateAbortError,
+  DropgateCapacityError,
   DropgateClient,
+  DropgateE2EEUnsupportedError,
   DropgateError,
+  DropgateFileTooLargeError,
+  DropgateIntegrityError,
+  DropgateLimitError,
   DropgateNetworkError,
   DropgateProtocolError,
+  DropgateQuotaError,
+  DropgateRateLimitError,
+  DropgateSessionExpiredError,
   DropgateTimeoutError,
   DropgateValidationError,
+  E2EE_FORMAT_VERSION,
   ENCRYPTION_OVERHEAD_PER_CHUNK,
+  MAX_PASSPHRASE_KDF_ITERATIONS,
+  MIN_PASSPHRASE_KDF_ITERATIONS,
+  MIN_PASSPHRASE_LENGTH,
+  PASSPHRASE_KDF_ITERATIONS,
   StreamingZipWriter,
   arrayBufferToBase64,
+  backoffDelayMs,
   base64ToBytes,
   buildBaseUrl,
+  buildChunkAad,
   bytesToBase64,
+  createLoopbackTransport,
+  createWebRTCTransport,
   decryptChunk,
   decryptFilenameFromBase64,
+  deriveBundleAccessKey,
   encryptFilenameToBase64,
   encryptToBlob,
   estimateTotalUploadSizeBytes,
@@ -3371,13 +6564,18 @@ export {
   importKeyFromBase64,
   isLocalhostHostname,
   isP2PCodeLike,
+  isRetryableError,
   isSecureContextForP2P,
   lifetimeToMs,
   makeAbortSignal,
+  normalizeP2PCode,
+  parseRetryAfter,
   parseSemverMajorMinor,
   parseServerUrl,
   sha256Hex,
   sleep,
-  validatePlainFilename
+  unwrapKeyWithPassphrase,
+  validatePlainFilename,
+  wrapKeyWithPassphrase
 };
 //# sourceMappingURL=index.js.map
\ No newline at end of file
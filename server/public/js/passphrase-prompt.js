@@ -0,0 +1,62 @@
+/**
+ * Passphrase Prompt Module
+ * Asks for the passphrase of a passphrase-protected link and unwraps the file key.
+ * Used by download-standard.js and download-bundle.js with the passphrase-form partial.
+ */
+
+import { updateStatusCard, StatusType, Icons } from './status-card.js';
+
+/**
+ * Show the passphrase form and wait until the user enters the correct passphrase.
+ * @param {Object} options - Configuration options
+ * @param {import('./dropgate-core.js').DropgateClient} options.client - Client used to unwrap the key
+ * @param {Object} options.keyProtection - The keyProtection object from the upload metadata
+ * @param {HTMLElement} options.card - The status card element
+ * @param {HTMLElement} options.iconContainer - The icon container element
+ * @param {HTMLElement} options.titleEl - The status title element
+ * @param {HTMLElement} options.messageEl - The status message element
+ * @returns {Promise<string>} The unwrapped file key as base64
+ */
+export function promptForPassphrase({ client, keyProtection, card, iconContainer, titleEl, messageEl }) {
+  const form = document.getElementById('passphrase-form');
+  const input = document.getElementById('passphrase-input');
+  const submit = document.getElementById('passphrase-submit');
+  const errorEl = document.getElementById('passphrase-error');
+  const previousIcon = { className: iconContainer.className, html: iconContainer.innerHTML };
+
+  updateStatusCard({
+    card,
+    iconContainer,
+    titleEl,
+    messageEl,
+    status: StatusType.PRIMARY,
+    icon: Icons.PASSPHRASE,
+    title: 'Passphrase Required',
+    message: 'This link is protected with a passphrase. Ask the sender for it if you don\'t have it.',
+  });
+  form.style.display = 'block';
+  input.focus();
+
+  return new Promise((resolve) => {
+    form.addEventListener('submit', async function onSubmit(e) {
+      e.preventDefault();
+      submit.disabled = true;
+      errorEl.style.display = 'none';
+      try {
+        const keyB64 = await client.unlockWithPassphrase(keyProtection, input.value);
+        form.removeEventListener('submit', onSubmit);
+        form.style.display = 'none';
+        input.value = '';
+        iconContainer.className = previousIcon.className;
+        iconContainer.innerHTML = previousIcon.html;
+        resolve(keyB64);
+      } catch (err) {
+        errorEl.textContent = err?.message || 'Could not unlock this link.';
+        errorEl.style.display = 'block';
+        input.select();
+      } finally {
+        submit.disabled = false;
+      }
+    });
+  });
+}
@@ -21,9 +21,11 @@ export const Icons = {
   // Download states
   DOWNLOAD: 'download',
   DOWNLOAD_ENCRYPTED: 'shield_lock',
+  PASSPHRASE: 'key',
 
   // P2P states
   SYNC: 'sync_alt',
+  SYNC_PROBLEM: 'sync_problem',
   WIFI_TETHERING: 'wifi_tethering',
   LINK_OFF: 'link_off',
 
@@ -4,6 +4,8 @@ import {
   estimateTotalUploadSizeBytes,
   isSecureContextForP2P,
   lifetimeToMs,
+  MIN_PASSPHRASE_LENGTH,
+  normalizeP2PCode,
 } from './dropgate-core.js';
 
 const $ = (id) => document.getElementById(id);
@@ -32,6 +34,12 @@ const els = {
   maxDownloadsValue: $('maxDownloadsValue'),
   maxDownloadsHelp: $('maxDownloadsHelp'),
 
+  optPassphrase: $('optPassphrase'),
+  passphraseValue: $('passphraseValue'),
+
+  optP2PReceivers: $('optP2PReceivers'),
+  p2pReceiversValue: $('p2pReceiversValue'),
+
   securityStatus: $('securityStatus'),
   securityIcon: $('securityIcon'),
   securityText: $('securityText'),
@@ -50,6 +58,9 @@ const els = {
   progressSub: $('progressSub'),
   progressFill: $('progressFill'),
   progressBytes: $('progressBytes'),
+  progressVerification: $('progressVerification'),
+  progressVerificationEmoji: $('progressVerificationEmoji'),
+  progressVerificationWords: $('progressVerificationWords'),
   cancelStandardUpload: $('cancelStandardUpload'),
   cancelP2PSend: $('cancelP2PSend'),
 
@@ -59,6 +70,10 @@ const els = {
   p2pLink: $('p2pLink'),
   copyP2PLink: $('copyP2PLink'),
   qrP2PLink: $('qrP2PLink'),
+  p2pVerification: $('p2pVerification'),
+  p2pVerificationEmoji: $('p2pVerificationEmoji'),
+  p2pVerificationWords: $('p2pVerificationWords'),
+  p2pReceivers: $('p2pReceivers'),
   cancelP2P: $('cancelP2P'),
 
   shareCard: $('shareCard'),
@@ -69,6 +84,7 @@ const els = {
   copyShare: $('copyShare'),
   qrShare: $('qrShare'),
   newUpload: $('newUpload'),
+  deleteUpload: $('deleteUpload'),
 
   qrModal: $('qrModal'),
   qrCanvas: $('qrCanvas'),
@@ -98,6 +114,7 @@ const state = {
   p2pSession: null,
   p2pSecureOk: true,
   uploadSession: null,
+  lastUpload: null, // { fileId | bundleId, manageToken } of the most recent upload
 };
 
 // Title progress tracking
@@ -199,10 +216,9 @@ function normalizeCode(raw) {
   if (!s) return '';
   // If a full URL was pasted, keep it as-is
   if (/^https?:\/\//i.test(s)) return s;
-  // Strip spaces
+  // Strip spaces and fix the case of P2P codes (ABCD-1234, tiger-ocean-42)
   const compact = s.replace(/\s+/g, '');
-  // Uppercase codes like abcd-1234
-  if (/^[a-z0-9-]{4,20}$/i.test(compact)) return compact.toUpperCase();
+  if (/^[a-z-]+-\d+$/i.test(compact)) return normalizeP2PCode(compact);
   return compact;
 }
 
@@ -334,8 +350,10 @@ function setMode(mode) {
   // Options shown in Standard mode only
   setHidden(els.optLifetime, !isStandard);
   setHidden(els.optMaxDownloads, !isStandard || !state.uploadEnabled);
+  setHidden(els.optPassphrase, !isStandard || !state.encrypt);
   updateSecurityStatus();
   setHidden(els.p2pInfo, isStandard);
+  setHidden(els.optP2PReceivers, isStandard);
 
   if (isStandard) {
     els.startBtn.textContent = 'Start Upload';
@@ -473,6 +491,7 @@ function updateCapabilitiesUI() {
   // Security status (auto-enable encryption based on server capabilities)
   const canEncrypt = state.uploadEnabled && state.e2ee && window.isSecureContext;
   state.encrypt = canEncrypt; // Auto-set encryption based on capability
+  setHidden(els.optPassphrase, state.mode !== 'standard' || !canEncrypt);
   updateSecurityStatus();
 
   // Mode toggle availability
@@ -684,6 +703,9 @@ function resetToMain() {
   showPanels('main');
   els.shareLink.value = '';
   els.p2pLink.value = '';
+  els.passphraseValue.value = '';
+  state.lastUpload = null;
+  if (els.deleteUpload) setHidden(els.deleteUpload, true);
   els.progressFill.style.width = '0%';
   els.progressBytes.textContent = '0 / 0';
   updateStartEnabled();
@@ -692,6 +714,88 @@ function resetToMain() {
 function stopP2P() {
   try { state.p2pSession?.stop(); } catch { }
   state.p2pSession = null;
+  showVerificationCode(null);
+  resetP2PReceivers();
+}
+
+// Short authentication string from the P2P key exchange; both users should see the same one
+function showVerificationCode(code) {
+  els.p2pVerificationEmoji.textContent = code?.emoji || '';
+  els.p2pVerificationWords.textContent = code?.words || '';
+  els.progressVerificationEmoji.textContent = code?.emoji || '';
+  els.progressVerificationWords.textContent = code?.words || '';
+  setHidden(els.p2pVerification, !code);
+  setHidden(els.progressVerification, !code);
+}
+
+// Most recipients a direct transfer can be broadcast to; each one is a separate upload from this tab
+const MAX_P2P_RECEIVERS = 10;
+
+function getP2PReceiverCount() {
+  const value = Math.floor(Number(els.p2pReceiversValue?.value));
+  return Number.isFinite(value) ? Math.min(MAX_P2P_RECEIVERS, Math.max(1, value)) : 1;
+}
+
+// Broadcast send: one row per recipient on the wait card, keyed by receiver ID
+function getP2PReceiverRow(receiverId) {
+  const existing = els.p2pReceivers.querySelector(`[data-receiver-id="${receiverId}"]`);
+  if (existing) return existing;
+
+  const row = document.createElement('div');
+  row.className = 'border rounded p-2 mb-2';
+  row.dataset.receiverId = String(receiverId);
+  const header = document.createElement('div');
+  header.className = 'd-flex justify-content-between align-items-center small';
+  const name = document.createElement('span');
+  name.className = 'fw-semibold';
+  name.textContent = `Recipient ${receiverId}`;
+  const status = document.createElement('span');
+  status.className = 'text-body-secondary text-truncate ms-2';
+  status.dataset.role = 'status';
+  header.appendChild(name);
+  header.appendChild(status);
+  const bar = document.createElement('div');
+  bar.className = 'progress mt-2';
+  bar.setAttribute('role', 'progressbar');
+  bar.style.height = '4px';
+  const fill = document.createElement('div');
+  fill.className = 'progress-bar';
+  fill.dataset.role = 'fill';
+  fill.style.width = '0%';
+  bar.appendChild(fill);
+  const detail = document.createElement('div');
+  detail.className = 'd-flex justify-content-between small text-body-secondary mt-1';
+  const verification = document.createElement('span');
+  verification.dataset.role = 'verification';
+  const bytes = document.createElement('span');
+  bytes.dataset.role = 'bytes';
+  detail.appendChild(verification);
+  detail.appendChild(bytes);
+  row.appendChild(header);
+  row.appendChild(bar);
+  row.appendChild(detail);
+  els.p2pReceivers.appendChild(row);
+  setHidden(els.p2pReceivers, false);
+  return row;
+}
+
+function updateP2PReceiver(receiverId, { status, percent, doneBytes, totalBytes, verification, barClass } = {}) {
+  const row = getP2PReceiverRow(receiverId);
+  const part = (role) => row.querySelector(`[data-role="${role}"]`);
+  if (status !== undefined) part('status').textContent = status;
+  if (percent !== undefined) part('fill').style.width = `${Math.max(0, Math.min(100, percent))}%`;
+  if (doneBytes !== undefined) part('bytes').textContent = `${formatBytes(doneBytes)} / ${formatBytes(totalBytes)}`;
+  if (verification) {
+    part('verification').textContent = verification.emoji;
+    part('verification').title = verification.words;
+  }
+  if (barClass) part('fill').classList.add(barClass);
+}
+
+function resetP2PReceivers() {
+  if (!els.p2pReceivers) return;
+  els.p2pReceivers.replaceChildren();
+  setHidden(els.p2pReceivers, true);
 }
 
 function showQRModal(url) {
@@ -792,6 +896,13 @@ async function startStandardUpload() {
     return;
   }
 
+  // An optional passphrase keeps the decryption key out of the link
+  const passphrase = encrypt ? els.passphraseValue.value : '';
+  if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    showToast(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`, 'warning');
+    return;
+  }
+
   const lifetimeMs = lifetimeMsFromUI();
   els.tagline.textContent = 'Standard Upload';
 
@@ -801,7 +912,9 @@ async function startStandardUpload() {
     const session = await coreClient.uploadFiles({
       files,
       encrypt,
+      passphrase: passphrase || undefined,
       lifetimeMs,
+      concurrency: state.info?.capabilities?.upload?.chunkConcurrency,
       maxDownloads: (() => {
         const val = parseInt(els.maxDownloadsValue.value, 10);
         return (Number.isInteger(val) && val >= 0) ? val : 1;
@@ -866,7 +979,20 @@ async function startStandardUpload() {
 
     resetTitleProgress();
     showProgress({ title: 'Uploading', sub: 'Upload successful!', percent: 100, doneBytes: totalSize, totalBytes: totalSize, icon: 'cloud_upload' });
-    showShare({ link: result.downloadUrl });
+    showShare({
+      link: result.downloadUrl,
+      sub: result.passphraseProtected
+        ? 'Share this link with your recipient, and send the passphrase separately:'
+        : undefined,
+    });
+
+    // Keep the management token so a wrongly shared upload can be deleted straight away.
+    if (result.manageToken) {
+      state.lastUpload = result.bundleId
+        ? { bundleId: result.bundleId, manageToken: result.manageToken }
+        : { fileId: result.fileId, manageToken: result.manageToken };
+    }
+    if (els.deleteUpload) setHidden(els.deleteUpload, !state.lastUpload);
   } catch (err) {
     // Hide cancel button on error
     els.cancelStandardUpload.style.display = 'none';
@@ -918,6 +1044,9 @@ async function startP2PSendFlow() {
 
   const file = state.files.length === 1 ? state.files[0] : state.files;
   const p2pTotalSize = state.files.reduce((sum, f) => sum + f.size, 0);
+  // Several recipients: the code stays on screen and each one gets a row on the wait card
+  const maxReceivers = getP2PReceiverCount();
+  const isBroadcast = maxReceivers > 1;
 
   // Load PeerJS before starting P2P
   let Peer;
@@ -930,9 +1059,11 @@ async function startP2PSendFlow() {
   }
 
   els.tagline.textContent = 'Direct Transfer (P2P)';
+  let restoringConnection = false;
   state.p2pSession = await coreClient.p2pSend({
     file,
     Peer,
+    maxReceivers,
     onCode: (id) => {
       showPanels('p2pwait');
       // Reset visibility of share elements for new session
@@ -945,12 +1076,21 @@ async function startP2PSendFlow() {
       const waitTitle = els.p2pWaitCard?.querySelector('h5');
       const waitSub = els.p2pWaitCard?.querySelector('.text-body-secondary');
       if (waitTitle) waitTitle.textContent = 'Awaiting connection...';
-      if (waitSub) waitSub.textContent = 'Provide your recipient with the code below:';
+      if (waitSub) {
+        waitSub.textContent = isBroadcast
+          ? `Provide up to ${maxReceivers} recipients with the code below:`
+          : 'Provide your recipient with the code below:';
+      }
+      resetP2PReceivers();
       els.p2pCode.textContent = id;
       const link = `${location.origin}/p2p/${encodeURIComponent(id)}`;
       els.p2pLink.value = link;
     },
-    onStatus: ({ phase, message }) => {
+    onStatus: ({ phase, message, receiverId }) => {
+      if (receiverId !== undefined) {
+        updateP2PReceiver(receiverId, { status: phase === 'transferring' ? 'Receiving...' : message });
+        return;
+      }
       if (phase === 'waiting') {
         // Update p2pWaitCard title/subtitle to show waiting status
         const waitTitle = els.p2pWaitCard?.querySelector('h5');
@@ -968,12 +1108,41 @@ async function startP2PSendFlow() {
         // Show P2P cancel button
         els.cancelP2PSend.style.display = 'inline-block';
         els.cancelStandardUpload.style.display = 'none';
+      } else if (phase === 'reconnecting') {
+        // Keep the progress bar as it is while the receiver reconnects
+        showProgress({ title: 'Reconnecting...', sub: message, icon: 'sync_problem', iconColor: 'text-warning' });
+      } else if (phase === 'resumed') {
+        showProgress({ title: 'Sending...', sub: message, icon: 'sync_alt', iconColor: 'text-primary' });
       } else {
         // Default behaviour for other statuses
         showProgress({ title: 'Sending...', sub: message, percent: 0, doneBytes: 0, totalBytes: p2pTotalSize, icon: 'sync_alt', iconColor: 'text-primary' });
       }
     },
-    onProgress: ({ processedBytes, totalBytes, percent }) => {
+    onVerificationCode: (code) => {
+      if (code.receiverId !== undefined) updateP2PReceiver(code.receiverId, { verification: code });
+      else showVerificationCode(code);
+    },
+    onConnectionHealth: ({ iceConnectionState, restartingIce, receiverId }) => {
+      if (receiverId !== undefined) {
+        if (restartingIce) updateP2PReceiver(receiverId, { status: 'Restoring the connection...' });
+        return;
+      }
+      // The network changed under the connection; an ICE restart is trying to restore it
+      if (restartingIce && !restoringConnection) {
+        restoringConnection = true;
+        showProgress({ title: 'Reconnecting...', sub: 'Network changed. Restoring the connection...', icon: 'sync_problem', iconColor: 'text-warning' });
+      } else if (!restartingIce && restoringConnection) {
+        restoringConnection = false;
+        if (iceConnectionState === 'connected') {
+          showProgress({ title: 'Sending...', sub: 'Keep this tab open until the transfer completes.', icon: 'sync_alt', iconColor: 'text-primary' });
+        }
+      }
+    },
+    onProgress: ({ processedBytes, totalBytes, percent, receiverId }) => {
+      if (receiverId !== undefined) {
+        updateP2PReceiver(receiverId, { percent, doneBytes: processedBytes, totalBytes });
+        return;
+      }
       // Update title and store progress for visibility handler
       updateTitleProgress(percent);
       currentTransferProgress = {
@@ -993,10 +1162,26 @@ async function startP2PSendFlow() {
       stopP2P();
       showShare({
         title: 'Transfer Complete',
-        sub: `Your recipient has received the file${Array.isArray(file) ? 's' : ''}.`,
+        sub: isBroadcast
+          ? `All ${maxReceivers} recipients have received the file${Array.isArray(file) ? 's' : ''}.`
+          : `Your recipient has received the file${Array.isArray(file) ? 's' : ''}.`,
         showLinkGroup: false,
       });
     },
+    onReceiverEnd: ({ receiverId, outcome, error, cancelledBy }) => {
+      if (outcome === 'completed') {
+        updateP2PReceiver(receiverId, { status: 'Complete', percent: 100, barClass: 'bg-success' });
+      } else if (outcome === 'failed') {
+        updateP2PReceiver(receiverId, { status: error?.message || 'Transfer failed.', barClass: 'bg-danger' });
+      } else if (outcome === 'cancelled') {
+        updateP2PReceiver(receiverId, {
+          status: cancelledBy === 'receiver' ? 'Cancelled by recipient' : 'Cancelled',
+          barClass: 'bg-secondary',
+        });
+      } else {
+        updateP2PReceiver(receiverId, { status: 'Disconnected', barClass: 'bg-secondary' });
+      }
+    },
     onError: (err) => {
       console.error(err);
       resetTitleProgress();
@@ -1152,6 +1337,21 @@ function wireUI() {
   els.copyShare?.addEventListener('click', () => copyToClipboard(els.shareLink.value).then(() => showToast('Copied link.', 'success')));
   els.qrShare?.addEventListener('click', () => showQRModal(els.shareLink.value));
   els.newUpload?.addEventListener('click', resetToMain);
+  els.deleteUpload?.addEventListener('click', async () => {
+    const upload = state.lastUpload;
+    if (!upload) return;
+    if (!window.confirm('Delete this upload? The link will stop working immediately.')) return;
+    els.deleteUpload.disabled = true;
+    try {
+      await coreClient.deleteUpload(upload);
+      showToast('Upload deleted.', 'success');
+      resetToMain();
+    } catch (err) {
+      showToast(err?.message || 'Failed to delete upload.', 'danger');
+    } finally {
+      els.deleteUpload.disabled = false;
+    }
+  });
 
   // Enter code
   const goWithCode = async () => {
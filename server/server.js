@@ -35,6 +35,7 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const http = require('http');
+const { pipeline } = require('stream');
 const express = require('express');
 const rateLimit = require('express-rate-limit').default;
 const helmet = require('helmet').default;
@@ -43,6 +44,14 @@ const { ExpressPeerServer } = require('peer');
 const contentDisposition = require('content-disposition');
 const { QuickDB, MemoryDriver } = require('quick.db');
 const { v4: uuidv4 } = require('uuid');
+const { STORAGE_DRIVERS } = require('./storage');
+const { createApiKeyStore } = require('./auth/api-keys');
+const { WebSocketServer } = require('ws');
+const { createMetricsRegistry } = require('./metrics');
+const { P2P_CODE_FORMATS, isP2PCodeLike, normalizeP2PCode, createP2PCodeRegistry } = require('./p2p-codes');
+const { createP2PRelay } = require('./p2p-relay');
+const { createDownloadTicketStore } = require('./download-tickets');
+const { ERROR_CODES, sendError } = require('./error-codes');
 
 const port = process.env.SERVER_PORT || 52443;
 const serverName = process.env.SERVER_NAME || 'Dropgate Server';
@@ -60,8 +69,23 @@ log('info', `Upload Protocol Enabled: ${enableUpload}`);
 log('info', `Peer-to-Peer (P2P) Enabled: ${enableP2P}`);
 log('info', `Web UI Enabled: ${enableWebUI}`);
 
+// Admin dashboard and API (/admin). Disabled unless an admin token is configured.
+const adminToken = process.env.ADMIN_TOKEN || '';
+const enableAdmin = adminToken.length > 0;
+if (enableAdmin && adminToken.length < 32) {
+    log('error', 'ADMIN_TOKEN must be at least 32 characters long. Generate one with `openssl rand -hex 32`.');
+    process.exit(1);
+}
+log('info', `Admin Dashboard Enabled: ${enableAdmin}`);
+
+// Prometheus metrics (/metrics). Disabled unless ENABLE_METRICS=true; METRICS_TOKEN optionally protects the endpoint.
+const enableMetrics = process.env.ENABLE_METRICS === 'true';
+const metricsToken = process.env.METRICS_TOKEN || '';
+log('info', `Metrics Endpoint Enabled: ${enableMetrics}${enableMetrics && !metricsToken ? ' (unauthenticated)' : ''}`);
+
 // ===== P2P (WebRTC) configuration exposed to clients via /api/info =====
 const PEERJS_MOUNT_PATH = '/peerjs';
+const P2P_RELAY_PATH = '/p2p-relay';
 
 const parseList = (raw) => {
     if (!raw) return [];
@@ -113,6 +137,35 @@ const p2pStunUrls = process.env.P2P_STUN_SERVERS
 const p2pIceServers = [];
 if (p2pStunUrls.length) p2pIceServers.push({ urls: p2pStunUrls });
 
+// Server-issued codes. When enabled, senders ask /api/p2p/code for a code and the
+// signalling server turns away peer IDs it did not hand out.
+const p2pIssueCodes = process.env.P2P_ISSUE_CODES === 'true';
+const p2pCodeFormat = String(process.env.P2P_CODE_FORMAT || 'classic').trim().toLowerCase();
+if (!P2P_CODE_FORMATS.includes(p2pCodeFormat)) {
+    log('error', `Invalid P2P_CODE_FORMAT environment variable. It must be one of: ${P2P_CODE_FORMATS.join(', ')}.`);
+    process.exit(1);
+}
+const p2pCodeWords = parseEnvInt('P2P_CODE_WORDS', process.env.P2P_CODE_WORDS, 4);
+// Fewer than 4 words would be easier to guess than a classic code
+if (p2pCodeWords < 4 || p2pCodeWords > 6) {
+    log('error', 'Invalid P2P_CODE_WORDS environment variable. It must be between 4 and 6.');
+    process.exit(1);
+}
+const p2pCodeTtlSeconds = parseEnvInt('P2P_CODE_TTL_SECONDS', process.env.P2P_CODE_TTL_SECONDS, 600);
+if (p2pCodeTtlSeconds === 0) {
+    log('error', 'Invalid P2P_CODE_TTL_SECONDS environment variable. It must be at least 1.');
+    process.exit(1);
+}
+const p2pCodes = enableP2P && p2pIssueCodes
+    ? createP2PCodeRegistry({ format: p2pCodeFormat, wordCount: p2pCodeWords, ttlMs: p2pCodeTtlSeconds * 1000 })
+    : null;
+
+// WebSocket relay for peers that cannot connect over WebRTC. Off by default: relayed
+// transfers pass through the server and use its bandwidth.
+const p2pRelayEnabled = enableP2P && process.env.P2P_RELAY_ENABLED === 'true';
+const p2pRelayMaxMB = parseEnvNumber('P2P_RELAY_MAX_MB', process.env.P2P_RELAY_MAX_MB, 1024);
+const p2pRelayBandwidthMB = parseEnvNumber('P2P_RELAY_BANDWIDTH_MB', process.env.P2P_RELAY_BANDWIDTH_MB, 2);
+
 const uploadEnableE2EE = process.env.UPLOAD_ENABLE_E2EE !== 'false';
 if (enableUpload) log('info', `Upload End-to-End Encryption (E2EE) Enabled: ${uploadEnableE2EE}`);
 
@@ -126,6 +179,18 @@ if (enableP2P) {
     log('warn', 'Failure to provide a secure context will prevent P2P transfers from working in browsers.');
     log('info', `P2P_STUN_SERVERS: ${p2pStunUrls.length ? p2pStunUrls.join(', ') : 'None'}`);
     log('info', `PeerJS Debug Logging: ${process.env.PEERJS_DEBUG === 'true'}`);
+    log('info', `Server-Issued P2P Codes: ${p2pIssueCodes}`);
+    if (p2pIssueCodes) {
+        log('info', `P2P_CODE_FORMAT: ${p2pCodeFormat}${p2pCodeFormat === 'words' ? ` (${p2pCodeWords} words)` : ''}`);
+        log('info', `P2P_CODE_TTL_SECONDS: ${p2pCodeTtlSeconds}`);
+    } else if (p2pCodeFormat !== 'classic') {
+        log('warn', 'P2P_CODE_FORMAT only applies to server-issued codes. Set P2P_ISSUE_CODES=true to use it.');
+    }
+    log('info', `P2P Relay Enabled: ${p2pRelayEnabled}`);
+    if (p2pRelayEnabled) {
+        log('info', `P2P_RELAY_MAX_MB: ${p2pRelayMaxMB === 0 ? 'Unlimited' : `${p2pRelayMaxMB} MB`} per sender`);
+        log('info', `P2P_RELAY_BANDWIDTH_MB: ${p2pRelayBandwidthMB === 0 ? 'Unlimited' : `${p2pRelayBandwidthMB} MB/s`} per transfer`);
+    }
 }
 
 const app = express();
@@ -152,55 +217,81 @@ const createDirIfNotExists = (dir) => {
     }
 };
 
-const getDirSize = (dirPath) => {
-    let size = 0;
-    if (fs.existsSync(dirPath)) {
-        const files = fs.readdirSync(dirPath);
-        for (const file of files) {
-            const filePath = path.join(dirPath, file);
-            const stats = fs.statSync(filePath);
-            if (stats.isDirectory()) size += getDirSize(filePath);
-            else size += stats.size;
-        }
-    }
-    return size;
-};
-
 let preserveUploads = false;
 let maxFileSizeMB = 0;
 let maxStorageGB = 0;
 let maxFileLifetimeHours = 0;
-let MAX_FILE_SIZE_BYTES = Infinity;
 let MAX_STORAGE_BYTES = Infinity;
-let MAX_FILE_LIFETIME_MS = Infinity;
 let maxFileDownloads = 1;
 let uploadChunkSizeBytes = 5 * 1024 * 1024;
+let uploadChunkConcurrency = 4;
 let currentDiskUsage = 0;
 let fileDatabase = null;
 let bundleDatabase = null;
 let ongoingUploads = null;
 let ongoingBundles = null;
+// Chunk requests in flight per upload, keyed by the bundle upload ID for files of a bundle.
+// Sessions with chunks in flight are never zombie-cleaned.
+const chunksInFlight = new Map();
+let uploadSessionDatabase = null;
+let bundleSessionDatabase = null;
+let uploadSessionTimeoutMs = 2 * 60 * 1000;
+let uploadRequireAuth = false;
+let apiKeys = null;
+let p2pPeerCount = 0;
+let p2pRelay = null;
+let storage = null;
+let storageReady = Promise.resolve();
+
+// Aggregate counters for /metrics. Never label them with IDs, names or addresses.
+const metrics = createMetricsRegistry('dropgate_');
+const uploadsInitialisedMetric = metrics.counter('uploads_initialised_total', 'File upload sessions started, including each file of a bundle.');
+const uploadsCompletedMetric = metrics.counter('uploads_completed_total', 'File uploads completed and stored.');
+const uploadsCancelledMetric = metrics.counter('uploads_cancelled_total', 'File uploads cancelled by the client.');
+const chunkIntegrityFailuresMetric = metrics.counter('chunk_integrity_failures_total', 'Uploaded chunks rejected because their SHA-256 hash did not match.');
+const bytesReceivedMetric = metrics.counter('bytes_received_total', 'Chunk bytes written to temporary storage.');
+const bytesServedMetric = metrics.counter('bytes_served_total', 'File bytes sent to downloaders, including partial and bundle member downloads.');
+const downloadsMetric = metrics.counter('downloads_total', 'Completed downloads counted against a file or bundle download limit.');
+const filesExpiredMetric = metrics.counter('files_expired_total', 'Stored files deleted because their lifetime ended.');
+const bundlesExpiredMetric = metrics.counter('bundles_expired_total', 'Bundles deleted because their lifetime ended.');
+const zombieCleanupsMetric = metrics.counter('zombie_uploads_cleaned_total', 'Inactive upload sessions removed by the zombie cleanup, including files of abandoned bundles.');
+const rateLimitRejectionsMetric = metrics.counter('rate_limit_rejections_total', 'Requests rejected by the rate limiter.');
+const p2pRelayedBytesMetric = metrics.counter('p2p_relayed_bytes_total', 'Bytes forwarded by the P2P relay.');
 
-// Security: Mutex for atomic quota checking (prevents TOCTOU race condition)
-let quotaLock = Promise.resolve();
-const acquireQuotaLock = () => {
-    let release;
-    const acquire = new Promise(resolve => { release = resolve; });
-    const previousLock = quotaLock;
-    quotaLock = acquire;
-    return previousLock.then(() => release);
+/**
+ * Create a mutex. The returned function resolves to a release function once the lock is held.
+ * @returns {() => Promise<() => void>}
+ */
+const createLock = () => {
+    let lock = Promise.resolve();
+    return () => {
+        let release;
+        const acquire = new Promise(resolve => { release = resolve; });
+        const previousLock = lock;
+        lock = acquire;
+        return previousLock.then(() => release);
+    };
 };
 
+// Security: Mutexes for atomic quota checking and download counting (prevent TOCTOU race conditions)
+const acquireQuotaLock = createLock();
+const acquireDownloadLock = createLock();
+
 // Security: Limits to prevent DoS attacks
 const MAX_CHUNKS = 100000; // Maximum chunks per file (~500GB at 5MB chunks)
 const MAX_BUNDLE_FILES = 1000; // Maximum files per bundle
 
+// How long a download ticket stays valid without a request using it
+const DOWNLOAD_TICKET_TTL_MS = 2 * 60 * 1000;
+
+// Newest E2EE file format the bundled download pages can decrypt (advertised via /api/info)
+const E2EE_FORMAT_VERSION = 3;
+
 if (enableUpload) {
     preserveUploads = process.env.UPLOAD_PRESERVE_UPLOADS === 'true';
     log('info', `UPLOAD_PRESERVE_UPLOADS: ${preserveUploads}`);
 
     maxFileSizeMB = parseEnvInt('UPLOAD_MAX_FILE_SIZE_MB', process.env.UPLOAD_MAX_FILE_SIZE_MB, 100);
-    MAX_FILE_SIZE_BYTES = maxFileSizeMB === 0 ? Infinity : maxFileSizeMB * 1000 * 1000;
     log('info', `UPLOAD_MAX_FILE_SIZE_MB: ${maxFileSizeMB} MB`);
     if (maxFileSizeMB === 0) {
         log('warn', 'UPLOAD_MAX_FILE_SIZE_MB is set to 0! Files of any size can be uploaded.');
@@ -228,7 +319,6 @@ if (enableUpload) {
     }
 
     maxFileLifetimeHours = parseEnvNumber('UPLOAD_MAX_FILE_LIFETIME_HOURS', process.env.UPLOAD_MAX_FILE_LIFETIME_HOURS, 24);
-    MAX_FILE_LIFETIME_MS = maxFileLifetimeHours === 0 ? Infinity : maxFileLifetimeHours * 60 * 60 * 1000;
     log('info', `UPLOAD_MAX_FILE_LIFETIME_HOURS: ${maxFileLifetimeHours} hours`);
     if (maxFileLifetimeHours === 0) {
         log('warn', 'UPLOAD_MAX_FILE_LIFETIME_HOURS is set to 0! Files will never expire.');
@@ -247,23 +337,88 @@ if (enableUpload) {
     }
     log('info', `UPLOAD_CHUNK_SIZE_BYTES: ${uploadChunkSizeBytes} bytes (${(uploadChunkSizeBytes / (1024 * 1024)).toFixed(2)} MB)`);
 
-    if (!preserveUploads) {
-        log('info', 'Clearing any existing uploads on startup...');
-        cleanupDir(uploadDir);
+    // Chunks one upload (or bundle) may have in flight at once. Advertised to clients as the
+    // recommended value and the most they may use; they send one at a time unless they opt in.
+    uploadChunkConcurrency = parseEnvInt('UPLOAD_CHUNK_CONCURRENCY', process.env.UPLOAD_CHUNK_CONCURRENCY, 4);
+    if (uploadChunkConcurrency < 1) {
+        log('error', 'UPLOAD_CHUNK_CONCURRENCY must be at least 1.');
+        process.exit(1);
     }
-    log('info', 'Clearing any zombie uploads and temp files...');
-    cleanupDir(tmpDir);
+    log('info', `UPLOAD_CHUNK_CONCURRENCY: ${uploadChunkConcurrency}`);
 
-    createDirIfNotExists(uploadDir);
-    createDirIfNotExists(tmpDir);
-    if (preserveUploads) {
-        createDirIfNotExists(path.join(__dirname, 'uploads', 'db'));
+    // Inactivity window before an unfinished upload session is treated as a zombie.
+    // Raise this to let clients resume uploads after longer interruptions (e.g. a sleeping laptop).
+    const uploadSessionTimeoutMinutes = parseEnvNumber('UPLOAD_SESSION_TIMEOUT_MINUTES', process.env.UPLOAD_SESSION_TIMEOUT_MINUTES, 2);
+    if (uploadSessionTimeoutMinutes <= 0) {
+        log('error', 'UPLOAD_SESSION_TIMEOUT_MINUTES must be greater than 0.');
+        process.exit(1);
+    }
+    uploadSessionTimeoutMs = uploadSessionTimeoutMinutes * 60 * 1000;
+    log('info', `UPLOAD_SESSION_TIMEOUT_MINUTES: ${uploadSessionTimeoutMinutes} minutes`);
+
+    // Storage driver: where completed files live. In-progress uploads are always staged in uploads/tmp.
+    const storageDriver = (process.env.UPLOAD_STORAGE_DRIVER || 'local').trim().toLowerCase();
+    if (!STORAGE_DRIVERS[storageDriver]) {
+        log('error', "Invalid UPLOAD_STORAGE_DRIVER. Must be 'local' or 's3'.");
+        process.exit(1);
+    }
+    log('info', `UPLOAD_STORAGE_DRIVER: ${storageDriver}`);
+
+    if (storageDriver === 's3') {
+        const s3Bucket = process.env.UPLOAD_S3_BUCKET;
+        const s3AccessKeyId = process.env.UPLOAD_S3_ACCESS_KEY_ID;
+        const s3SecretAccessKey = process.env.UPLOAD_S3_SECRET_ACCESS_KEY;
+        if (!s3Bucket || !s3AccessKeyId || !s3SecretAccessKey) {
+            log('error', 'UPLOAD_S3_BUCKET, UPLOAD_S3_ACCESS_KEY_ID and UPLOAD_S3_SECRET_ACCESS_KEY are required when UPLOAD_STORAGE_DRIVER is s3.');
+            process.exit(1);
+        }
+        const s3Endpoint = process.env.UPLOAD_S3_ENDPOINT || undefined;
+        if (s3Endpoint) {
+            try {
+                new URL(s3Endpoint);
+            } catch {
+                log('error', 'Invalid UPLOAD_S3_ENDPOINT. It must be a full URL (e.g. https://s3.example.com).');
+                process.exit(1);
+            }
+        }
+        const s3Region = process.env.UPLOAD_S3_REGION || 'us-east-1';
+        // Never empty: clearing on startup/shutdown deletes everything under the prefix.
+        const s3Prefix = (process.env.UPLOAD_S3_PREFIX || '').trim() || 'dropgate/';
+        const s3ForcePathStyle = process.env.UPLOAD_S3_FORCE_PATH_STYLE === 'true';
+        log('info', `UPLOAD_S3_ENDPOINT: ${s3Endpoint || 'AWS default'}`);
+        log('info', `UPLOAD_S3_REGION: ${s3Region}`);
+        log('info', `UPLOAD_S3_FORCE_PATH_STYLE: ${s3ForcePathStyle}`);
+        log('info', `UPLOAD_S3_PREFIX: ${s3Prefix}`);
+
+        storage = STORAGE_DRIVERS.s3({
+            tmpDir,
+            bucket: s3Bucket,
+            region: s3Region,
+            endpoint: s3Endpoint,
+            accessKeyId: s3AccessKeyId,
+            secretAccessKey: s3SecretAccessKey,
+            prefix: s3Prefix,
+            forcePathStyle: s3ForcePathStyle,
+        });
+    } else {
+        storage = STORAGE_DRIVERS.local({ uploadDir, tmpDir });
     }
 
-    currentDiskUsage = getDirSize(uploadDir);
-    setInterval(() => { currentDiskUsage = getDirSize(uploadDir); }, 300000); // Sync every 5 minutes in case of discrepancies
-    if (maxStorageGB !== 0) {
-        log('info', `Current server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB`);
+    // Optional API key authentication for uploads. Downloads never require a key.
+    uploadRequireAuth = process.env.UPLOAD_REQUIRE_AUTH === 'true';
+    log('info', `UPLOAD_REQUIRE_AUTH: ${uploadRequireAuth}`);
+
+    createDirIfNotExists(uploadDir);
+    createDirIfNotExists(path.join(__dirname, 'uploads', 'db'));
+
+    // API keys are always persisted, regardless of UPLOAD_PRESERVE_UPLOADS.
+    apiKeys = createApiKeyStore(new QuickDB({ filePath: path.join(__dirname, 'uploads', 'db', 'api-key-database.sqlite') }));
+    if (uploadRequireAuth) {
+        apiKeys.list().then((keys) => {
+            if (keys.length === 0) {
+                log('warn', 'UPLOAD_REQUIRE_AUTH is enabled but no API keys exist! Create one with `npm run api-keys -- create <name>`.');
+            }
+        }).catch((e) => log('error', `Failed to read API keys: ${e.message}`));
     }
 
     fileDatabase = preserveUploads ? new QuickDB({ filePath: path.join(__dirname, 'uploads', 'db', 'file-database.sqlite') }) : new QuickDB({ driver: new MemoryDriver() });
@@ -271,6 +426,65 @@ if (enableUpload) {
     ongoingUploads = new Map();
     ongoingBundles = new Map();
     log('info', `File database is ready. (${preserveUploads ? 'persistent' : 'in-memory'})`);
+
+    // Unfinished upload sessions are only worth persisting when their temp files survive a restart.
+    if (preserveUploads) {
+        uploadSessionDatabase = new QuickDB({ filePath: path.join(__dirname, 'uploads', 'db', 'upload-session-database.sqlite') });
+        bundleSessionDatabase = new QuickDB({ filePath: path.join(__dirname, 'uploads', 'db', 'bundle-session-database.sqlite') });
+    }
+
+    storageReady = (async () => {
+        await storage.init();
+        if (!preserveUploads) {
+            log('info', 'Clearing any existing uploads on startup...');
+            await storage.clear();
+        }
+
+        // Restore upload sessions interrupted by the last shutdown so clients can resume them.
+        const restoredUploadIds = new Set();
+        if (uploadSessionDatabase) {
+            for (const record of await bundleSessionDatabase.all()) {
+                ongoingBundles.set(record.id, {
+                    ...record.value,
+                    completedFiles: new Set(record.value.completedFiles),
+                    expiresAt: Date.now() + uploadSessionTimeoutMs,
+                });
+            }
+            for (const record of await uploadSessionDatabase.all()) {
+                try {
+                    await storage.tempSize(record.id);
+                } catch {
+                    await uploadSessionDatabase.delete(record.id);
+                    continue;
+                }
+                ongoingUploads.set(record.id, {
+                    ...record.value,
+                    receivedChunks: new Set(record.value.receivedChunks),
+                    pendingChunks: new Set(),
+                    expiresAt: Date.now() + uploadSessionTimeoutMs,
+                });
+                restoredUploadIds.add(record.id);
+            }
+            if (restoredUploadIds.size > 0 || ongoingBundles.size > 0) {
+                log('info', `Restored ${restoredUploadIds.size} upload session(s) and ${ongoingBundles.size} bundle session(s).`);
+            }
+        }
+
+        log('info', 'Clearing any zombie uploads and temp files...');
+        await storage.clearTemp(restoredUploadIds);
+
+        currentDiskUsage = await storage.usage();
+        if (maxStorageGB !== 0) {
+            log('info', `Current server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB`);
+        }
+    })();
+
+    // Sync every 5 minutes in case of discrepancies
+    setInterval(() => {
+        storage.usage()
+            .then((usage) => { currentDiskUsage = usage; })
+            .catch((e) => log('error', `Failed to measure storage usage: ${e.message}`));
+    }, 300000);
 } else {
     log('info', 'Upload protocol disabled. Cleaning up upload directory...');
     cleanupDir(uploadDir);
@@ -284,7 +498,14 @@ app.disable('x-powered-by');
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-app.use(cors());
+// Let cross-origin clients read how long to back off when rate limited
+app.use(cors({
+    exposedHeaders: [
+        'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+        // Resumable downloads read these from cross-origin responses.
+        'ETag', 'Content-Range', 'Accept-Ranges',
+    ],
+}));
 app.use(express.json({ limit: '1mb' }));
 app.use((req, res, next) => {
     res.locals.nonce = crypto.randomBytes(16).toString('base64');
@@ -382,7 +603,8 @@ if (Number(rateLimitMaxRequests) > 0 && Number(rateLimitWindowMs) > 0) {
         legacyHeaders: false,
         handler: (_req, res) => {
             log('warn', 'Rate limit triggered. Request blocked.');
-            res.status(429).json({ error: 'Too many requests, please try again later.' });
+            rateLimitRejectionsMetric.inc();
+            sendError(res, 429, ERROR_CODES.RATE_LIMITED, 'Too many requests, please try again later.');
         },
     });
 }
@@ -390,18 +612,65 @@ if (Number(rateLimitMaxRequests) > 0 && Number(rateLimitWindowMs) > 0) {
 // Verify chunk uploads are valid, otherwise apply rate limiting
 const apiRouter = express.Router();
 const uploadRouter = express.Router();
+const adminRouter = express.Router();
+
+// Admin requests carry `Authorization: Bearer <ADMIN_TOKEN>`. Tokens are compared by
+// hash so the comparison is constant-time regardless of length. Failures are rate limited.
+const adminTokenHash = crypto.createHash('sha256').update(adminToken).digest();
+const adminAuth = (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (enableAdmin && match && crypto.timingSafeEqual(crypto.createHash('sha256').update(match[1]).digest(), adminTokenHash)) {
+        return next();
+    }
+    return limiter(req, res, () => {
+        log('warn', 'Rejected an admin request with a missing or invalid token.');
+        sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'Invalid admin token.');
+    });
+};
 
 let uploadAuth = null;
 
 if (enableUpload) {
     uploadAuth = (req, res, next) => {
-        const uploadId = req.headers['x-upload-id'] || req.body?.uploadId;
-        if (uploadId && ongoingUploads.has(uploadId)) {
+        const uploadId = req.headers['x-upload-id'] || req.body?.uploadId || req.params?.uploadId;
+        if (uploadId && (ongoingUploads.has(uploadId) || ongoingBundles.has(uploadId))) {
             return next();
         }
         return limiter(req, res, next);
     };
 
+    // Authenticate upload initialisation with an optional `Authorization: Bearer <key>` header.
+    // Valid keys bypass rate limiting; their limits are applied by the route.
+    const uploadKeyAuth = async (req, res, next) => {
+        const header = req.headers.authorization;
+        if (!header) {
+            if (!uploadRequireAuth) return limiter(req, res, next);
+            return limiter(req, res, () => {
+                res.set('WWW-Authenticate', 'Bearer');
+                sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'An API key is required to upload to this server.');
+            });
+        }
+
+        let apiKey = null;
+        try {
+            const match = /^Bearer\s+(\S+)$/i.exec(header);
+            apiKey = match ? await apiKeys.verify(match[1]) : null;
+        } catch (e) {
+            log('error', `Failed to verify API key: ${e.message}`);
+            return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Server error while verifying API key.');
+        }
+        if (!apiKey) {
+            return limiter(req, res, () => {
+                log('debug', 'Rejected an upload with an invalid API key.');
+                res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+                sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'Invalid API key.');
+            });
+        }
+
+        req.apiKey = apiKey;
+        return next();
+    };
+
     const downloadAuth = async (req, res, next) => {
         const fileId = req.params.fileId;
         const bundleId = req.params.bundleId;
@@ -414,107 +683,528 @@ if (enableUpload) {
         return limiter(req, res, next);
     };
 
-    uploadRouter.post('/init', limiter, async (req, res) => {
+    // Tickets reserving one download each (see POST /api/file/:fileId/ticket)
+    const downloadTickets = createDownloadTicketStore({ ttlMs: DOWNLOAD_TICKET_TTL_MS });
+
+    // Tickets reserving one download of a bundle (see POST /api/bundle/:bundleId/ticket).
+    // Tickets for sealed bundles hold the bundle's access key, which unlocks its member files.
+    const bundleTickets = createDownloadTicketStore({ ttlMs: DOWNLOAD_TICKET_TTL_MS });
+
+    /**
+     * Resolve a single-range `Range` header against a stored file, honouring `If-Range`.
+     * Multi-range and malformed headers are ignored, in which case the full file is served.
+     * @param {string|undefined} rangeHeader - Raw `Range` header
+     * @param {string|undefined} ifRangeHeader - Raw `If-Range` header
+     * @param {string} etag - Current ETag of the file
+     * @param {number} size - File size in bytes
+     * @returns {{start: number, end: number}|null|false} Inclusive byte range, null for the full file, or false if unsatisfiable
+     */
+    const resolveByteRange = (rangeHeader, ifRangeHeader, etag, size) => {
+        if (!rangeHeader) return null;
+        if (ifRangeHeader && ifRangeHeader !== etag) return null;
+
+        const match = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader).trim());
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            const suffixLength = Number(match[2]);
+            if (suffixLength === 0) return false;
+            start = Math.max(0, size - suffixLength);
+            end = size - 1;
+        } else {
+            start = Number(match[1]);
+            end = match[2] === '' ? size - 1 : Number(match[2]);
+            if (end < start) return null;
+            end = Math.min(end, size - 1);
+        }
+
+        if (start >= size) return false;
+        return { start, end };
+    };
+
+    /**
+     * Delete a completed file from storage and release its quota usage.
+     * Errors are logged rather than thrown so callers can always drop the record.
+     * @param {string} fileId - ID of the stored file
+     */
+    var removeStoredFile = async (fileId) => {
+        try {
+            const size = await storage.size(fileId);
+            currentDiskUsage = Math.max(0, currentDiskUsage - size);
+            await storage.remove(fileId);
+        } catch (e) {
+            log('debug', `Failed to delete stored file: ${e.message}`);
+        }
+    };
+
+    /**
+     * Reserve one download of a file, unless every remaining download is already reserved.
+     * @param {string} fileId - ID of the stored file
+     * @returns {Promise<{ticket: string, expiresAt: number}|{status: number, code: string, error: string}>}
+     */
+    const reserveDownload = async (fileId) => {
+        const releaseLock = await acquireDownloadLock();
+        try {
+            const fileInfo = await fileDatabase.get(fileId);
+            if (!fileInfo) return { status: 404, code: ERROR_CODES.NOT_FOUND, error: 'File not found.' };
+            const maxDl = fileInfo.maxDownloads ?? 1;
+            if (maxDl > 0 && (fileInfo.downloadCount || 0) + downloadTickets.reserved(fileId) >= maxDl) {
+                return { status: 409, code: ERROR_CODES.DOWNLOADS_RESERVED, error: 'All remaining downloads of this file are in progress. Try again later.' };
+            }
+            return downloadTickets.issue(fileId);
+        } finally {
+            releaseLock();
+        }
+    };
+
+    /**
+     * Count a completed download, deleting the file once it reaches its download limit.
+     * @param {string} fileId - ID of the stored file
+     */
+    const countDownload = async (fileId) => {
+        const releaseLock = await acquireDownloadLock();
+        try {
+            // Re-read the record: the owner may have changed or deleted it while the download ran.
+            const fileInfo = await fileDatabase.get(fileId);
+            if (!fileInfo) return;
+            const label = fileInfo.isEncrypted ? 'Encrypted' : 'Simple';
+
+            downloadsMetric.inc();
+            const newDownloadCount = (fileInfo.downloadCount || 0) + 1;
+            const maxDl = fileInfo.maxDownloads ?? 1;
+
+            if (maxDl > 0 && newDownloadCount >= maxDl) {
+                await removeStoredFile(fileId);
+                await fileDatabase.delete(fileId);
+                log('debug', `[${label}] File data sent and deleted (${newDownloadCount}/${maxDl} downloads).${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`);
+            } else {
+                await fileDatabase.set(fileId, { ...fileInfo, downloadCount: newDownloadCount });
+                log('debug', `[${label}] File data sent (${newDownloadCount}/${maxDl === 0 ? 'unlimited' : maxDl} downloads).`);
+            }
+        } finally {
+            releaseLock();
+        }
+    };
+
+    /**
+     * Count a download of a bundle, deleting it once it reaches its download limit.
+     * A sealed bundle's member files can only be found with its access key; without one
+     * (bundles from older clients) only the manifest is deleted and the files expire on their own.
+     * @param {string} bundleId - ID of the bundle
+     * @param {string} [accessKey] - The sealed bundle's access key, from its ticket
+     * @returns {Promise<{downloadCount: number, maxDownloads: number}|null>} Null if the bundle is gone
+     */
+    const countBundleDownload = async (bundleId, accessKey) => {
+        const releaseLock = await acquireDownloadLock();
+        try {
+            const bundleInfo = await bundleDatabase.get(bundleId);
+            if (!bundleInfo) return null;
+
+            downloadsMetric.inc();
+            const newDownloadCount = (bundleInfo.downloadCount || 0) + 1;
+            const maxDl = bundleInfo.maxDownloads ?? 1;
+
+            if (maxDl > 0 && newDownloadCount >= maxDl) {
+                let memberIds;
+                if (!bundleInfo.sealed) {
+                    memberIds = bundleInfo.files.map(f => f.fileId);
+                } else if (accessKey) {
+                    memberIds = openMemberIds(bundleId, accessKey, bundleInfo.accessMembers)
+                        // Bundles stored before member lists were kept on the record
+                        ?? (await fileDatabase.all())
+                            .filter(record => manageTokenMatches(record.id, accessKey, record.value?.bundleAccessHash))
+                            .map(record => record.id);
+                } else {
+                    memberIds = [];
+                }
+                for (const memberId of memberIds) {
+                    if (await fileDatabase.has(memberId)) {
+                        await removeStoredFile(memberId);
+                        await fileDatabase.delete(memberId);
+                    }
+                }
+                await bundleDatabase.delete(bundleId);
+                if (bundleInfo.sealed && !accessKey) {
+                    log('debug', `Sealed bundle manifest deleted (${newDownloadCount}/${maxDl} downloads). Member files will expire independently.`);
+                } else {
+                    log('debug', `Bundle downloaded and deleted (${newDownloadCount}/${maxDl} downloads). Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.`);
+                }
+            } else {
+                await bundleDatabase.set(bundleId, { ...bundleInfo, downloadCount: newDownloadCount });
+                log('debug', `Bundle downloaded (${newDownloadCount}/${maxDl === 0 ? 'unlimited' : maxDl} downloads).`);
+            }
+
+            return { downloadCount: newDownloadCount, maxDownloads: maxDl };
+        } finally {
+            releaseLock();
+        }
+    };
+
+    /**
+     * Chunk indices that are fully written to the temp file, in ascending order.
+     * Chunks still being written are excluded so neither clients nor the session
+     * database are ever told about data that isn't on disk yet.
+     * @param {object} session - Upload session
+     * @returns {number[]}
+     */
+    const writtenChunks = (session) => [...session.receivedChunks]
+        .filter(i => !session.pendingChunks.has(i))
+        .sort((a, b) => a - b);
+
+    /**
+     * Persist an upload session so it can be resumed after a server restart.
+     * No-op unless UPLOAD_PRESERVE_UPLOADS is enabled.
+     * @param {string} uploadId - ID of the upload session
+     */
+    var saveUploadSession = async (uploadId) => {
+        const session = ongoingUploads.get(uploadId);
+        if (!uploadSessionDatabase || !session) return;
+        const { receivedChunks, pendingChunks, expiresAt, ...rest } = session;
+        try {
+            await uploadSessionDatabase.set(uploadId, { ...rest, receivedChunks: writtenChunks(session) });
+        } catch (e) {
+            log('error', `Failed to persist upload session: ${e.message}`);
+        }
+    };
+
+    // Chunk progress is written at most this often per session. A restart loses at most
+    // this much progress, and the client re-sends chunks the restored session is missing.
+    const UPLOAD_SESSION_SAVE_INTERVAL_MS = 5000;
+    const scheduledSessionSaves = new Map(); // uploadId -> timeout
+
+    /**
+     * Persist an upload session's chunk progress soon, batching the chunks that arrive meanwhile.
+     * No-op unless UPLOAD_PRESERVE_UPLOADS is enabled.
+     * @param {string} uploadId - ID of the upload session
+     */
+    var scheduleUploadSessionSave = (uploadId) => {
+        if (!uploadSessionDatabase || scheduledSessionSaves.has(uploadId)) return;
+        const timer = setTimeout(() => {
+            scheduledSessionSaves.delete(uploadId);
+            saveUploadSession(uploadId);
+        }, UPLOAD_SESSION_SAVE_INTERVAL_MS);
+        timer.unref();
+        scheduledSessionSaves.set(uploadId, timer);
+    };
+
+    /**
+     * Write every scheduled upload session save now (on shutdown).
+     */
+    var flushUploadSessionSaves = async () => {
+        for (const [uploadId, timer] of scheduledSessionSaves) {
+            clearTimeout(timer);
+            scheduledSessionSaves.delete(uploadId);
+            await saveUploadSession(uploadId);
+        }
+    };
+
+    /**
+     * Persist a bundle upload session. No-op unless UPLOAD_PRESERVE_UPLOADS is enabled.
+     * @param {string} bundleUploadId - ID of the bundle upload session
+     */
+    var saveBundleSession = async (bundleUploadId) => {
+        const bundleSession = ongoingBundles.get(bundleUploadId);
+        if (!bundleSessionDatabase || !bundleSession) return;
+        const { completedFiles, expiresAt, ...rest } = bundleSession;
+        try {
+            await bundleSessionDatabase.set(bundleUploadId, { ...rest, completedFiles: [...completedFiles] });
+        } catch (e) {
+            log('error', `Failed to persist bundle session: ${e.message}`);
+        }
+    };
+
+    /**
+     * Forget an upload session (releasing its reservation) and its persisted state.
+     * The temp file is left to the caller.
+     * @param {string} uploadId - ID of the upload session
+     */
+    var dropUploadSession = async (uploadId) => {
+        ongoingUploads.delete(uploadId);
+        clearTimeout(scheduledSessionSaves.get(uploadId));
+        scheduledSessionSaves.delete(uploadId);
+        if (!uploadSessionDatabase) return;
+        await uploadSessionDatabase.delete(uploadId)
+            .catch((e) => log('error', `Failed to remove persisted upload session: ${e.message}`));
+    };
+
+    /**
+     * Forget a bundle upload session and its persisted state.
+     * @param {string} bundleUploadId - ID of the bundle upload session
+     */
+    var dropBundleSession = async (bundleUploadId) => {
+        ongoingBundles.delete(bundleUploadId);
+        if (!bundleSessionDatabase) return;
+        await bundleSessionDatabase.delete(bundleUploadId)
+            .catch((e) => log('error', `Failed to remove persisted bundle session: ${e.message}`));
+    };
+
+    // Combine a server limit with an API key limit. 0 means unlimited, so a key can only tighten.
+    const tighterLimit = (serverLimit, keyLimit) => {
+        if (typeof keyLimit !== 'number' || keyLimit <= 0) return serverLimit;
+        if (serverLimit === 0) return keyLimit;
+        return Math.min(serverLimit, keyLimit);
+    };
+
+    /**
+     * Resolve the effective upload limits for a request.
+     * @param {{ limits: object } | null} apiKey - Authenticated API key, if any
+     * @returns {{ maxFileSizeMB: number, maxFileSizeBytes: number, maxLifetimeHours: number, maxLifetimeMs: number, maxDownloads: number, maxStorageBytes: number }}
+     */
+    const uploadLimitsFor = (apiKey) => {
+        const keyLimits = apiKey?.limits || {};
+        const fileSizeMB = tighterLimit(maxFileSizeMB, keyLimits.maxFileSizeMB);
+        const lifetimeHours = tighterLimit(maxFileLifetimeHours, keyLimits.maxLifetimeHours);
+        const keyStorageGB = keyLimits.maxStorageGB;
+        return {
+            maxFileSizeMB: fileSizeMB,
+            maxFileSizeBytes: fileSizeMB === 0 ? Infinity : fileSizeMB * 1000 * 1000,
+            maxLifetimeHours: lifetimeHours,
+            maxLifetimeMs: lifetimeHours === 0 ? Infinity : lifetimeHours * 60 * 60 * 1000,
+            maxDownloads: tighterLimit(maxFileDownloads, keyLimits.maxDownloads),
+            // Total storage used by this key's uploads. The server-wide quota still applies on top.
+            maxStorageBytes: typeof keyStorageGB === 'number' && keyStorageGB > 0 ? keyStorageGB * 1000 * 1000 * 1000 : Infinity,
+        };
+    };
+
+    /**
+     * Limits for an existing record, following the API key it was uploaded with.
+     * Revoked keys fall back to the server limits.
+     * @param {object} record - File or bundle record
+     */
+    const recordLimits = async (record) => uploadLimitsFor(record.apiKeyId ? await apiKeys.get(record.apiKeyId) : null);
+
+    /**
+     * Bytes held by an API key: reservations of its unfinished uploads plus its stored files.
+     * Must be called while holding the quota lock.
+     * @param {string} apiKeyId - Key ID
+     * @returns {Promise<number>}
+     */
+    const apiKeyUsage = async (apiKeyId) => {
+        let used = 0;
+        ongoingUploads.forEach(u => { if (u.apiKeyId === apiKeyId) used += u.reservedBytes || 0; });
+        for (const { value } of await fileDatabase.all()) {
+            if (value.apiKeyId === apiKeyId) used += value.sizeBytes || 0;
+        }
+        return used;
+    };
+
+    /**
+     * Check a lifetime against UPLOAD_MAX_FILE_LIFETIME_HOURS (or a tighter API key limit).
+     * @param {number} lifetime - Requested lifetime in milliseconds (0 = unlimited)
+     * @param {object} limits - Effective limits from uploadLimitsFor()
+     * @returns {string|null} Error message, or null if the lifetime is allowed
+     */
+    const lifetimeLimitError = (lifetime, limits) => {
+        if (limits.maxLifetimeMs === Infinity) return null;
+        if (lifetime === 0) return `Server does not allow unlimited file lifetime. Max: ${limits.maxLifetimeHours} hours.`;
+        if (lifetime > limits.maxLifetimeMs) return `File lifetime exceeds limit of ${limits.maxLifetimeHours} hours.`;
+        return null;
+    };
+
+    /**
+     * Resolve a client-requested maxDownloads against UPLOAD_MAX_FILE_DOWNLOADS (or a tighter API key limit).
+     * @param {number} requested - Requested max downloads (0 = unlimited)
+     * @param {object} limits - Effective limits from uploadLimitsFor()
+     * @returns {{ value?: number, error?: string, code?: string }} Effective value or error message and code
+     */
+    const resolveMaxDownloads = (requested, limits) => {
+        if (typeof requested !== 'number' || !Number.isInteger(requested) || requested < 0) {
+            return { error: 'Invalid maxDownloads. Must be a non-negative integer.', code: ERROR_CODES.INVALID_REQUEST };
+        }
+        if (limits.maxDownloads === 1) return { value: 1 };
+        if (limits.maxDownloads === 0) return { value: requested };
+        if (requested === 0) return { error: `Server does not allow unlimited downloads. Max: ${limits.maxDownloads}.`, code: ERROR_CODES.DOWNLOAD_LIMIT_NOT_ALLOWED };
+        if (requested > limits.maxDownloads) return { error: `Max downloads exceeds server limit of ${limits.maxDownloads}.`, code: ERROR_CODES.DOWNLOAD_LIMIT_NOT_ALLOWED };
+        return { value: requested };
+    };
+
+    /**
+     * Resolve the E2EE format an encrypted upload's chunks are written in.
+     * Older clients don't send one, which means format 1. Plain uploads have no format.
+     * @param {boolean} isEncrypted - Whether the upload is encrypted
+     * @param {*} requested - e2eeFormatVersion from the request body
+     * @returns {{ value?: number, error?: string, code?: string }} Format version (undefined for plain uploads) or error message and code
+     */
+    const resolveE2EEFormatVersion = (isEncrypted, requested) => {
+        if (!isEncrypted) return { value: undefined };
+        if (requested === undefined) return { value: 1 };
+        if (!Number.isInteger(requested) || requested < 1 || requested > E2EE_FORMAT_VERSION) {
+            return { error: `Unsupported e2eeFormatVersion. This server supports 1 to ${E2EE_FORMAT_VERSION}.`, code: ERROR_CODES.E2EE_UNSUPPORTED };
+        }
+        return { value: requested };
+    };
+
+    /**
+     * Validate passphrase protection sent by the client for an encrypted upload.
+     * The wrapped key is opaque to the server; only its shape and KDF cost are checked.
+     * @param {object} keyProtection - { kdf, salt, iterations, wrappedKey }
+     * @returns {{ value?: object, error?: string, code?: string }} Normalised protection or error message and code
+     */
+    const resolveKeyProtection = (keyProtection) => {
+        const { kdf, salt, iterations, wrappedKey } = keyProtection || {};
+        const isBase64 = (v, maxLength) => typeof v === 'string' && v.length > 0 && v.length <= maxLength && /^[A-Za-z0-9+/]+={0,2}$/.test(v);
+        if (kdf !== 'PBKDF2-SHA256') {
+            return { error: "Invalid keyProtection. kdf must be 'PBKDF2-SHA256'.", code: ERROR_CODES.INVALID_REQUEST };
+        }
+        if (!Number.isInteger(iterations) || iterations < 100000 || iterations > 10000000) {
+            return { error: 'Invalid keyProtection. iterations must be between 100000 and 10000000.', code: ERROR_CODES.INVALID_REQUEST };
+        }
+        if (!isBase64(salt, 64) || !isBase64(wrappedKey, 128)) {
+            return { error: 'Invalid keyProtection. salt and wrappedKey must be base64.', code: ERROR_CODES.INVALID_REQUEST };
+        }
+        return { value: { kdf, salt, iterations, wrappedKey } };
+    };
+
+    /**
+     * Management tokens let uploaders delete, extend and inspect their own uploads.
+     * Only a hash is stored. It is salted with the record ID, so records sharing a
+     * bundle's token cannot be linked by reading the database.
+     */
+    const createManageToken = () => crypto.randomBytes(32).toString('base64url');
+    const hashManageToken = (id, token) => crypto.createHash('sha256').update(`${id}:${token}`).digest('hex');
+    const manageTokenMatches = (id, token, expectedHash) => {
+        if (typeof token !== 'string' || token.length === 0 || typeof expectedHash !== 'string') return false;
+        const actual = Buffer.from(hashManageToken(id, token), 'hex');
+        const expected = Buffer.from(expectedHash, 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    };
+
+    /**
+     * A sealed bundle's member file IDs, encrypted under a secret only its uploader or
+     * downloaders hold (the management token or the access key). The holder can find the
+     * members directly, while the database alone still doesn't link them to the bundle.
+     */
+    const memberListKey = (bundleId, secret) => crypto.createHash('sha256').update(`members:${bundleId}:${secret}`).digest();
+    const sealMemberIds = (bundleId, secret, memberIds) => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', memberListKey(bundleId, secret), iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(memberIds), 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64');
+    };
+    /** @returns {string[]|null} The member IDs, or null if the secret doesn't open the list. */
+    const openMemberIds = (bundleId, secret, sealed) => {
+        if (typeof secret !== 'string' || !secret || typeof sealed !== 'string') return null;
+        try {
+            const data = Buffer.from(sealed, 'base64');
+            const decipher = crypto.createDecipheriv('aes-256-gcm', memberListKey(bundleId, secret), data.subarray(0, 12));
+            decipher.setAuthTag(data.subarray(data.length - 16));
+            const plaintext = Buffer.concat([decipher.update(data.subarray(12, data.length - 16)), decipher.final()]);
+            const memberIds = JSON.parse(plaintext.toString('utf8'));
+            return Array.isArray(memberIds) ? memberIds.filter(id => typeof id === 'string') : null;
+        } catch {
+            return null;
+        }
+    };
+
+    uploadRouter.post('/init', uploadKeyAuth, async (req, res) => {
         const uploadId = uuidv4();
         const { filename, lifetime, isEncrypted, totalSize, totalChunks, maxDownloads: clientMaxDownloads } = req.body;
+        const limits = uploadLimitsFor(req.apiKey);
 
         if (isEncrypted && !uploadEnableE2EE) {
             log('debug', 'Rejected an E2EE upload attempt because upload E2EE is disabled on the server.');
-            return res.status(400).json({ error: 'End-to-end encryption is not supported on this server.' });
+            return sendError(res, 400, ERROR_CODES.E2EE_UNSUPPORTED, 'End-to-end encryption is not supported on this server.');
         }
 
         // Validate filename
         if (typeof filename !== 'string' || filename.trim().length === 0) {
-            return res.status(400).json({ error: 'Invalid filename. Must be a non-empty string.' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid filename. Must be a non-empty string.');
         }
 
         // Validate isEncrypted (must be a boolean)
         if (typeof isEncrypted !== 'boolean') {
-            return res.status(400).json({ error: 'Invalid isEncrypted. Must be a boolean.' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid isEncrypted. Must be a boolean.');
         }
 
         // Validate file lifetime
         if (typeof lifetime !== 'number' || !Number.isInteger(lifetime) || lifetime < 0) {
-            return res.status(400).json({ error: 'Invalid lifetime. Must be a non-negative integer (milliseconds).' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid lifetime. Must be a non-negative integer (milliseconds).');
         }
 
         // Validate Reservation Data
         const size = parseInt(totalSize);
         const chunks = parseInt(totalChunks);
-        if (typeof size !== 'number' || !Number.isInteger(size) || size <= 0) return res.status(400).json({ error: 'Invalid total size. Must be a positive integer.' });
-        if (typeof chunks !== 'number' || !Number.isInteger(chunks) || chunks <= 0) return res.status(400).json({ error: 'Invalid chunk count. Must be a positive integer.' });
+        if (typeof size !== 'number' || !Number.isInteger(size) || size <= 0) return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid total size. Must be a positive integer.');
+        if (typeof chunks !== 'number' || !Number.isInteger(chunks) || chunks <= 0) return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid chunk count. Must be a positive integer.');
 
         // Check File Limit
-        if (size > MAX_FILE_SIZE_BYTES) {
-            return res.status(413).json({ error: `File exceeds limit of ${maxFileSizeMB} MB.` });
+        if (size > limits.maxFileSizeBytes) {
+            return sendError(res, 413, ERROR_CODES.FILE_TOO_LARGE, `File exceeds limit of ${limits.maxFileSizeMB} MB.`);
         }
 
         // Validate chunk count upper bound
         if (chunks > MAX_CHUNKS) {
-            return res.status(400).json({ error: `Too many chunks. Maximum: ${MAX_CHUNKS}. Try increasing chunk size.` });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Too many chunks. Maximum: ${MAX_CHUNKS}. Try increasing chunk size.`);
         }
 
         // Validate chunk count matches file size (prevents attack claiming many chunks for small file)
         const expectedChunks = Math.ceil(size / uploadChunkSizeBytes);
         if (Math.abs(chunks - expectedChunks) > 1) { // Allow ±1 for rounding and encryption overhead
-            return res.status(400).json({ error: 'Chunk count does not match file size.' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Chunk count does not match file size.');
         }
 
         // Validate lifetime against max
-        if (MAX_FILE_LIFETIME_MS !== Infinity) {
-            if (lifetime === 0) {
-                return res.status(400).json({ error: `Server does not allow unlimited file lifetime. Max: ${maxFileLifetimeHours} hours.` });
-            }
-            if (lifetime > MAX_FILE_LIFETIME_MS) {
-                return res.status(400).json({ error: `File lifetime exceeds limit of ${maxFileLifetimeHours} hours.` });
-            }
+        const lifetimeError = lifetimeLimitError(lifetime, limits);
+        if (lifetimeError) {
+            return sendError(res, 400, ERROR_CODES.LIFETIME_NOT_ALLOWED, lifetimeError);
         }
 
         // Validate filename if not encrypted
         if (!isEncrypted) {
             // Security: Null bytes
             if (filename.includes('\x00')) {
-                return res.status(400).json({ error: 'Filename contains null bytes.' });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Filename contains null bytes.');
             }
             // Security: Control characters
             if (/[\x00-\x1F\x7F]/.test(filename)) {
-                return res.status(400).json({ error: 'Filename contains control characters.' });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Filename contains control characters.');
             }
             // Security: Reserved Windows names
             const reserved = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])(\..*)?$/i;
             if (reserved.test(filename)) {
-                return res.status(400).json({ error: 'Reserved filename not allowed.' });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Reserved filename not allowed.');
             }
             // Security: Path components and traversal
             if (filename === '.' || filename === '..' || /[\/\\]/.test(filename)) {
-                return res.status(400).json({ error: 'Invalid filename. Contains path components.' });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid filename. Contains path components.');
             }
             // Length check
             if (filename.length > 255) {
-                return res.status(400).json({ error: 'Filename is too long.' });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Filename is too long.');
             }
         }
 
         // Validate maxDownloads
-        let effectiveMaxDownloads = maxFileDownloads; // Server default
+        let effectiveMaxDownloads = limits.maxDownloads; // Server (or API key) default
         if (clientMaxDownloads !== undefined) {
-            if (typeof clientMaxDownloads !== 'number' || !Number.isInteger(clientMaxDownloads) || clientMaxDownloads < 0) {
-                return res.status(400).json({ error: 'Invalid maxDownloads. Must be a non-negative integer.' });
+            const resolved = resolveMaxDownloads(clientMaxDownloads, limits);
+            if (resolved.error) {
+                return sendError(res, 400, resolved.code, resolved.error);
             }
-            if (maxFileDownloads === 1) {
-                effectiveMaxDownloads = 1;
-            } else if (maxFileDownloads === 0) {
-                effectiveMaxDownloads = clientMaxDownloads;
-            } else {
-                if (clientMaxDownloads === 0) {
-                    return res.status(400).json({ error: `Server does not allow unlimited downloads. Max: ${maxFileDownloads}.` });
-                }
-                if (clientMaxDownloads > maxFileDownloads) {
-                    return res.status(400).json({ error: `Max downloads exceeds server limit of ${maxFileDownloads}.` });
-                }
-                effectiveMaxDownloads = clientMaxDownloads;
+            effectiveMaxDownloads = resolved.value;
+        }
+
+        // Validate passphrase protection (keeps the key out of the download link)
+        let keyProtection = null;
+        if (req.body.keyProtection !== undefined) {
+            if (!isEncrypted) {
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Passphrase protection requires an encrypted upload.');
+            }
+            const resolved = resolveKeyProtection(req.body.keyProtection);
+            if (resolved.error) {
+                return sendError(res, 400, resolved.code, resolved.error);
             }
+            keyProtection = resolved.value;
+        }
+
+        const resolvedFormat = resolveE2EEFormatVersion(Boolean(isEncrypted), req.body.e2eeFormatVersion);
+        if (resolvedFormat.error) {
+            return sendError(res, 400, resolvedFormat.code, resolvedFormat.error);
         }
+        const e2eeFormatVersion = resolvedFormat.value;
 
         // Check Storage Quota (CRITICAL: atomic section to prevent TOCTOU race)
         const releaseLock = await acquireQuotaLock();
@@ -524,92 +1214,106 @@ if (enableUpload) {
 
             if ((currentDiskUsage + reservedSpace + size) > MAX_STORAGE_BYTES) {
                 log('debug', `Upload rejected due to insufficient storage. Current usage: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB, Reserved: ${(reservedSpace / 1000 / 1000 / 1000).toFixed(2)} GB, Requested: ${(size / 1000 / 1000 / 1000).toFixed(2)} GB.`);
-                return res.status(507).json({ error: 'Server out of capacity. Try again later.' });
+                return sendError(res, 507, ERROR_CODES.STORAGE_FULL, 'Server out of capacity. Try again later.');
+            }
+
+            if (req.apiKey && limits.maxStorageBytes !== Infinity && (await apiKeyUsage(req.apiKey.id) + size) > limits.maxStorageBytes) {
+                log('debug', 'Upload rejected because the API key storage quota would be exceeded.');
+                return sendError(res, 507, ERROR_CODES.QUOTA_EXCEEDED, 'API key storage quota exceeded.');
             }
 
             // Reserve immediately while holding lock
-            const tempFilePath = path.join(tmpDir, uploadId);
-            fs.writeFileSync(tempFilePath, '');
+            await storage.createTemp(uploadId);
 
             ongoingUploads.set(uploadId, {
                 filename,
                 isEncrypted,
                 lifetime: Number(lifetime) || 0,
                 maxDownloads: effectiveMaxDownloads,
-                tempFilePath,
                 totalSize: size,
                 totalChunks: chunks,
+                chunkSize: uploadChunkSizeBytes,
                 receivedChunks: new Set(),
+                pendingChunks: new Set(),
                 reservedBytes: size,
-                expiresAt: Date.now() + (2 * 60 * 1000)
+                expiresAt: Date.now() + uploadSessionTimeoutMs,
+                ...(e2eeFormatVersion ? { e2eeFormatVersion } : {}),
+                ...(req.apiKey ? { apiKeyId: req.apiKey.id } : {}),
+                ...(keyProtection ? { keyProtection } : {}),
             });
         } finally {
             releaseLock();
         }
+        await saveUploadSession(uploadId);
+        uploadsInitialisedMetric.inc();
 
         log('debug', `Initialised upload. Reserved ${(size / 1000 / 1000).toFixed(2)} MB.`);
         res.status(200).json({ uploadId });
     });
 
-    uploadRouter.post('/init-bundle', limiter, async (req, res) => {
+    uploadRouter.post('/init-bundle', uploadKeyAuth, async (req, res) => {
         const bundleUploadId = uuidv4();
         const { fileCount, files, lifetime, isEncrypted, maxDownloads: clientMaxDownloads } = req.body;
+        const limits = uploadLimitsFor(req.apiKey);
 
         if (isEncrypted && !uploadEnableE2EE) {
-            return res.status(400).json({ error: 'End-to-end encryption is not supported on this server.' });
+            return sendError(res, 400, ERROR_CODES.E2EE_UNSUPPORTED, 'End-to-end encryption is not supported on this server.');
         }
 
         if (typeof isEncrypted !== 'boolean') {
-            return res.status(400).json({ error: 'Invalid isEncrypted. Must be a boolean.' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid isEncrypted. Must be a boolean.');
         }
 
         if (typeof fileCount !== 'number' || !Number.isInteger(fileCount) || fileCount < 2) {
-            return res.status(400).json({ error: 'Invalid fileCount. Must be an integer >= 2.' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid fileCount. Must be an integer >= 2.');
         }
 
         if (!Array.isArray(files) || files.length !== fileCount) {
-            return res.status(400).json({ error: 'Files array must match fileCount.' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Files array must match fileCount.');
         }
 
         // Bundle file count limit
         if (fileCount > MAX_BUNDLE_FILES) {
-            return res.status(400).json({ error: `Too many files. Maximum: ${MAX_BUNDLE_FILES}.` });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Too many files. Maximum: ${MAX_BUNDLE_FILES}.`);
         }
 
         if (typeof lifetime !== 'number' || !Number.isInteger(lifetime) || lifetime < 0) {
-            return res.status(400).json({ error: 'Invalid lifetime. Must be a non-negative integer (milliseconds).' });
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid lifetime. Must be a non-negative integer (milliseconds).');
         }
 
-        if (MAX_FILE_LIFETIME_MS !== Infinity) {
-            if (lifetime === 0) {
-                return res.status(400).json({ error: `Server does not allow unlimited file lifetime. Max: ${maxFileLifetimeHours} hours.` });
-            }
-            if (lifetime > MAX_FILE_LIFETIME_MS) {
-                return res.status(400).json({ error: `File lifetime exceeds limit of ${maxFileLifetimeHours} hours.` });
-            }
+        const lifetimeError = lifetimeLimitError(lifetime, limits);
+        if (lifetimeError) {
+            return sendError(res, 400, ERROR_CODES.LIFETIME_NOT_ALLOWED, lifetimeError);
         }
 
         // Validate maxDownloads (same logic as single-file init)
-        let effectiveMaxDownloads = maxFileDownloads;
+        let effectiveMaxDownloads = limits.maxDownloads;
         if (clientMaxDownloads !== undefined) {
-            if (typeof clientMaxDownloads !== 'number' || !Number.isInteger(clientMaxDownloads) || clientMaxDownloads < 0) {
-                return res.status(400).json({ error: 'Invalid maxDownloads. Must be a non-negative integer.' });
+            const resolved = resolveMaxDownloads(clientMaxDownloads, limits);
+            if (resolved.error) {
+                return sendError(res, 400, resolved.code, resolved.error);
             }
-            if (maxFileDownloads === 1) {
-                effectiveMaxDownloads = 1;
-            } else if (maxFileDownloads === 0) {
-                effectiveMaxDownloads = clientMaxDownloads;
-            } else {
-                if (clientMaxDownloads === 0) {
-                    return res.status(400).json({ error: `Server does not allow unlimited downloads. Max: ${maxFileDownloads}.` });
-                }
-                if (clientMaxDownloads > maxFileDownloads) {
-                    return res.status(400).json({ error: `Max downloads exceeds server limit of ${maxFileDownloads}.` });
-                }
-                effectiveMaxDownloads = clientMaxDownloads;
+            effectiveMaxDownloads = resolved.value;
+        }
+
+        let keyProtection = null;
+        if (req.body.keyProtection !== undefined) {
+            if (!isEncrypted) {
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Passphrase protection requires an encrypted upload.');
+            }
+            const resolved = resolveKeyProtection(req.body.keyProtection);
+            if (resolved.error) {
+                return sendError(res, 400, resolved.code, resolved.error);
             }
+            keyProtection = resolved.value;
         }
 
+        const resolvedFormat = resolveE2EEFormatVersion(Boolean(isEncrypted), req.body.e2eeFormatVersion);
+        if (resolvedFormat.error) {
+            return sendError(res, 400, resolvedFormat.code, resolvedFormat.error);
+        }
+        const e2eeFormatVersion = resolvedFormat.value;
+
         // Validate each file entry and compute totals
         let totalBundleSize = 0;
         const fileUploadIds = [];
@@ -618,28 +1322,28 @@ if (enableUpload) {
         for (let i = 0; i < files.length; i++) {
             const f = files[i];
             if (typeof f.filename !== 'string' || f.filename.trim().length === 0) {
-                return res.status(400).json({ error: `Invalid filename for file at index ${i}.` });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Invalid filename for file at index ${i}.`);
             }
             const size = parseInt(f.totalSize);
             const chunks = parseInt(f.totalChunks);
             if (!Number.isInteger(size) || size <= 0) {
-                return res.status(400).json({ error: `Invalid totalSize for file at index ${i}.` });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Invalid totalSize for file at index ${i}.`);
             }
             if (!Number.isInteger(chunks) || chunks <= 0) {
-                return res.status(400).json({ error: `Invalid totalChunks for file at index ${i}.` });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Invalid totalChunks for file at index ${i}.`);
             }
             // In per-file mode, each file is checked individually against the limit
-            if (bundleSizeMode === 'per-file' && size > MAX_FILE_SIZE_BYTES) {
-                return res.status(413).json({ error: `File at index ${i} exceeds limit of ${maxFileSizeMB} MB.` });
+            if (bundleSizeMode === 'per-file' && size > limits.maxFileSizeBytes) {
+                return sendError(res, 413, ERROR_CODES.FILE_TOO_LARGE, `File at index ${i} exceeds limit of ${limits.maxFileSizeMB} MB.`);
             }
             if (!isEncrypted) {
                 if (f.filename.length > 255 || /[\/\\]/.test(f.filename)) {
-                    return res.status(400).json({ error: `Invalid filename at index ${i}. Contains illegal characters or is too long.` });
+                    return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Invalid filename at index ${i}. Contains illegal characters or is too long.`);
                 }
             }
             // Check for integer overflow before adding
             if (!Number.isSafeInteger(totalBundleSize + size)) {
-                return res.status(413).json({ error: 'Bundle size overflow.' });
+                return sendError(res, 413, ERROR_CODES.FILE_TOO_LARGE, 'Bundle size overflow.');
             }
             totalBundleSize += size;
             const uploadId = uuidv4();
@@ -648,8 +1352,8 @@ if (enableUpload) {
         }
 
         // In total mode, check the combined bundle size against the limit
-        if (bundleSizeMode === 'total' && totalBundleSize > MAX_FILE_SIZE_BYTES) {
-            return res.status(413).json({ error: `Total bundle size exceeds limit of ${maxFileSizeMB} MB.` });
+        if (bundleSizeMode === 'total' && totalBundleSize > limits.maxFileSizeBytes) {
+            return sendError(res, 413, ERROR_CODES.FILE_TOO_LARGE, `Total bundle size exceeds limit of ${limits.maxFileSizeMB} MB.`);
         }
 
         // Check storage quota for the entire bundle (CRITICAL: atomic section to prevent TOCTOU race)
@@ -658,29 +1362,35 @@ if (enableUpload) {
             let reservedSpace = 0;
             ongoingUploads.forEach(u => reservedSpace += u.reservedBytes || 0);
             if ((currentDiskUsage + reservedSpace + totalBundleSize) > MAX_STORAGE_BYTES) {
-                return res.status(507).json({ error: 'Server out of capacity. Try again later.' });
+                return sendError(res, 507, ERROR_CODES.STORAGE_FULL, 'Server out of capacity. Try again later.');
+            }
+            if (req.apiKey && limits.maxStorageBytes !== Infinity && (await apiKeyUsage(req.apiKey.id) + totalBundleSize) > limits.maxStorageBytes) {
+                log('debug', 'Bundle upload rejected because the API key storage quota would be exceeded.');
+                return sendError(res, 507, ERROR_CODES.QUOTA_EXCEEDED, 'API key storage quota exceeded.');
             }
 
             // Create individual upload sessions for each file
-            // For sealed (encrypted) bundles, individual files get unlimited downloads
-            // since their lifecycle is time-based and the bundle manifest controls discoverability.
+            // For sealed (encrypted) bundles, individual files get unlimited downloads: they are
+            // only served with a ticket for their bundle, which counts against the bundle's limit.
             const perFileMaxDownloads = isEncrypted ? 0 : effectiveMaxDownloads;
 
             for (const entry of fileEntries) {
-                const tempFilePath = path.join(tmpDir, entry.uploadId);
-                fs.writeFileSync(tempFilePath, '');
+                await storage.createTemp(entry.uploadId);
                 ongoingUploads.set(entry.uploadId, {
                     filename: entry.filename,
                     isEncrypted,
                     lifetime: Number(lifetime) || 0,
                     maxDownloads: perFileMaxDownloads,
-                    tempFilePath,
                     totalSize: entry.totalSize,
                     totalChunks: entry.totalChunks,
+                    chunkSize: uploadChunkSizeBytes,
                     receivedChunks: new Set(),
+                    pendingChunks: new Set(),
                     reservedBytes: entry.totalSize,
-                    expiresAt: Date.now() + (2 * 60 * 1000),
+                    expiresAt: Date.now() + uploadSessionTimeoutMs,
                     bundleUploadId, // Link back to the bundle
+                    ...(e2eeFormatVersion ? { e2eeFormatVersion } : {}),
+                    ...(req.apiKey ? { apiKeyId: req.apiKey.id } : {}),
                 });
             }
         } finally {
@@ -697,58 +1407,131 @@ if (enableUpload) {
             maxDownloads: effectiveMaxDownloads,
             completedFiles: new Set(),
             completedFileResults: [], // { fileId, name, sizeBytes }
-            expiresAt: Date.now() + (2 * 60 * 1000), // 2 minute inactivity deadline (refreshed on each chunk)
+            expiresAt: Date.now() + uploadSessionTimeoutMs, // Inactivity deadline (refreshed on each chunk)
+            ...(req.apiKey ? { apiKeyId: req.apiKey.id } : {}),
+            ...(keyProtection ? { keyProtection } : {}),
         });
+        await saveBundleSession(bundleUploadId);
+        for (const uploadId of fileUploadIds) {
+            await saveUploadSession(uploadId);
+        }
+        uploadsInitialisedMetric.inc(fileUploadIds.length);
 
         log('debug', `Initialised bundle upload (${fileCount} files). Reserved ${(totalBundleSize / 1000 / 1000).toFixed(2)} MB total.`);
         res.status(200).json({ bundleUploadId, fileUploadIds });
     });
 
-    uploadRouter.post('/cancel', uploadAuth, (req, res) => {
+    uploadRouter.post('/cancel', uploadAuth, async (req, res) => {
         const { uploadId } = req.body;
         if (!ongoingUploads.has(uploadId)) {
-            return res.status(404).json({ error: 'Upload session not found or already expired.' });
+            return sendError(res, 404, ERROR_CODES.SESSION_EXPIRED, 'Upload session not found or already expired.');
         }
 
         const session = ongoingUploads.get(uploadId);
 
         // Clean up temp file
         try {
-            fs.rmSync(session.tempFilePath, { force: true });
+            await storage.removeTemp(uploadId);
         } catch (e) {
             log('debug', `Failed to delete temp file during cancellation: ${e.message}`);
         }
 
         // Remove from ongoing uploads (releases reservation)
-        ongoingUploads.delete(uploadId);
+        await dropUploadSession(uploadId);
 
+        uploadsCancelledMetric.inc();
         log('debug', `Upload cancelled by client. Released ${(session.reservedBytes / 1000 / 1000).toFixed(2)} MB.`);
         res.status(200).json({ success: true });
     });
 
+    // Report upload progress so an interrupted client can resume by sending only the missing chunks.
+    // Accepts either a file uploadId or a bundleUploadId.
+    uploadRouter.get('/status/:uploadId', uploadAuth, (req, res) => {
+        const { uploadId } = req.params;
+
+        const session = ongoingUploads.get(uploadId);
+        if (session) {
+            session.expiresAt = Date.now() + uploadSessionTimeoutMs;
+            return res.status(200).json({
+                uploadId,
+                isEncrypted: session.isEncrypted,
+                totalSize: session.totalSize,
+                totalChunks: session.totalChunks,
+                chunkSize: session.chunkSize,
+                receivedChunks: writtenChunks(session),
+                expiresAt: session.expiresAt,
+            });
+        }
+
+        const bundleSession = ongoingBundles.get(uploadId);
+        if (bundleSession) {
+            bundleSession.expiresAt = Date.now() + uploadSessionTimeoutMs;
+            return res.status(200).json({
+                bundleUploadId: uploadId,
+                isEncrypted: bundleSession.isEncrypted,
+                fileUploadIds: bundleSession.fileUploadIds,
+                completedFiles: bundleSession.completedFileResults.map(r => ({ uploadId: r.uploadId, fileId: r.fileId })),
+                expiresAt: bundleSession.expiresAt,
+            });
+        }
+
+        return sendError(res, 404, ERROR_CODES.SESSION_EXPIRED, 'Upload session not found or already expired.');
+    });
+
+    /**
+     * Push back the inactivity timeout of an upload session, and of its bundle and sibling
+     * files so they don't get zombie-cleaned while waiting their turn.
+     * @param {object} session - Upload session
+     */
+    const refreshUploadSession = (session) => {
+        const refreshedAt = Date.now() + uploadSessionTimeoutMs;
+        session.expiresAt = refreshedAt;
+        const bundleSession = session.bundleUploadId && ongoingBundles.get(session.bundleUploadId);
+        if (!bundleSession) return;
+        bundleSession.expiresAt = refreshedAt;
+        for (const siblingId of bundleSession.fileUploadIds) {
+            const sibling = ongoingUploads.get(siblingId);
+            if (sibling) sibling.expiresAt = refreshedAt;
+        }
+    };
+
     uploadRouter.post('/chunk', uploadAuth, (req, res) => {
         const uploadId = req.headers['x-upload-id'];
         let chunkIndex = req.headers['x-chunk-index'];
         const clientHash = req.headers['x-chunk-hash'];
 
-        if (!ongoingUploads.has(uploadId)) return res.status(410).send('Upload session expired or invalid.');
+        if (!ongoingUploads.has(uploadId)) return sendError(res, 410, ERROR_CODES.SESSION_EXPIRED, 'Upload session expired or invalid.');
         const session = ongoingUploads.get(uploadId);
 
         // Validate Index
         if (isNaN(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
-            return res.status(400).send('Invalid chunk index.');
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid chunk index.');
         }
 
         chunkIndex = parseInt(chunkIndex);
 
         // Validate Hash
         if (typeof clientHash !== 'string' || !/^[a-f0-9]{64}$/.test(clientHash)) { // SHA-256 hash format
-            return res.status(400).send('Invalid chunk hash.');
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid chunk hash.');
         }
 
         // Note: duplicate chunk check moved to after integrity verification for security
 
-        const maxChunkBytes = uploadChunkSizeBytes + 1024;
+        const group = session.bundleUploadId || uploadId;
+        const inFlight = chunksInFlight.get(group) || 0;
+        if (inFlight >= uploadChunkConcurrency) {
+            res.set('Retry-After', '1');
+            return sendError(res, 429, ERROR_CODES.RATE_LIMITED, `At most ${uploadChunkConcurrency} chunks may be uploaded at once.`);
+        }
+        chunksInFlight.set(group, inFlight + 1);
+        res.once('close', () => {
+            const remaining = chunksInFlight.get(group) - 1;
+            if (remaining > 0) chunksInFlight.set(group, remaining);
+            else chunksInFlight.delete(group);
+        });
+        refreshUploadSession(session);
+
+        const maxChunkBytes = session.chunkSize + 1024;
         const chunks = [];
         let receivedBytes = 0;
         let aborted = false;
@@ -759,7 +1542,7 @@ if (enableUpload) {
             if (receivedBytes > maxChunkBytes) {
                 aborted = true;
                 req.destroy(); // Stop reading immediately to prevent memory exhaustion
-                return res.status(413).send('Chunk too large.');
+                return sendError(res, 413, ERROR_CODES.INVALID_REQUEST, 'Chunk too large.');
             }
             chunks.push(chunk);
         });
@@ -770,18 +1553,26 @@ if (enableUpload) {
 
             // 2. Verify Integrity
             const serverHash = crypto.createHash('sha256').update(buffer).digest('hex');
-            if (serverHash !== clientHash) return res.status(400).send('Integrity check failed.');
+            if (serverHash !== clientHash) {
+                chunkIntegrityFailuresMetric.inc();
+                return sendError(res, 400, ERROR_CODES.INTEGRITY_FAILED, 'Integrity check failed.');
+            }
 
             // Security: Mark chunk as received BEFORE writing to prevent duplicate write race
             // This is CRITICAL - if two requests for the same chunk arrive concurrently,
             // only the first should write. We check-and-add atomically here.
             if (session.receivedChunks.has(chunkIndex)) {
+                // A retry can overtake the first attempt's write. Only confirm the chunk once it is on disk.
+                if (session.pendingChunks.has(chunkIndex)) {
+                    res.set('Retry-After', '1');
+                    return sendError(res, 503, ERROR_CODES.UPLOAD_INCOMPLETE, 'Chunk is still being written.');
+                }
                 return res.status(200).send('Chunk already received.');
             }
             session.receivedChunks.add(chunkIndex);
 
             // Calculate Offset
-            const CHUNK_BASE = uploadChunkSizeBytes;
+            const CHUNK_BASE = session.chunkSize;
             const OVERHEAD = session.isEncrypted ? 28 : 0;
             const OFFSET = chunkIndex * (CHUNK_BASE + OVERHEAD);
 
@@ -789,49 +1580,30 @@ if (enableUpload) {
             const maxExpectedOffset = session.totalSize + (session.totalChunks * OVERHEAD);
             if (OFFSET + buffer.length > maxExpectedOffset) {
                 session.receivedChunks.delete(chunkIndex); // Rollback
-                return res.status(400).send('Chunk offset exceeds file size.');
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Chunk offset exceeds file size.');
             }
 
             // Write
-            fs.open(session.tempFilePath, 'r+', (err, fd) => {
-                if (err) {
-                    session.receivedChunks.delete(chunkIndex); // Rollback on error
-                    return res.status(500).send('File IO error.');
-                }
-                fs.write(fd, buffer, 0, buffer.length, OFFSET, (writeErr) => {
-                    fs.close(fd, () => { });
-                    if (writeErr) {
-                        session.receivedChunks.delete(chunkIndex); // Rollback on error
-                        return res.status(500).send('Write failed.');
-                    }
-
-                    session.expiresAt = Date.now() + (2 * 60 * 1000); // Reset timeout to 2 mins
-
-                    // If this file belongs to a bundle, refresh all sibling upload sessions
-                    // so they don't get zombie-cleaned while waiting their turn.
-                    if (session.bundleUploadId) {
-                        const bundleSession = ongoingBundles.get(session.bundleUploadId);
-                        if (bundleSession) {
-                            bundleSession.expiresAt = Date.now() + (2 * 60 * 1000);
-                            const refreshedAt = Date.now() + (2 * 60 * 1000);
-                            for (const siblingId of bundleSession.fileUploadIds) {
-                                const sibling = ongoingUploads.get(siblingId);
-                                if (sibling && sibling !== session) {
-                                    sibling.expiresAt = refreshedAt;
-                                }
-                            }
-                        }
-                    }
-
-                    res.status(200).send('Chunk received.');
-                });
+            session.pendingChunks.add(chunkIndex);
+            storage.writeTemp(uploadId, OFFSET, buffer).then(async () => {
+                session.pendingChunks.delete(chunkIndex);
+                refreshUploadSession(session); // Reset inactivity timeout
+                bytesReceivedMetric.inc(buffer.length);
+
+                scheduleUploadSessionSave(uploadId);
+                res.status(200).send('Chunk received.');
+            }, (writeErr) => {
+                session.pendingChunks.delete(chunkIndex);
+                session.receivedChunks.delete(chunkIndex); // Rollback on error
+                log('error', `Failed to write chunk: ${writeErr.message}`);
+                sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Write failed.');
             });
         });
     });
 
     uploadRouter.post('/complete', uploadAuth, async (req, res) => {
         const { uploadId } = req.body;
-        if (!ongoingUploads.has(uploadId)) return res.status(400).json({ error: 'Invalid upload ID.' });
+        if (!ongoingUploads.has(uploadId)) return sendError(res, 400, ERROR_CODES.SESSION_EXPIRED, 'Invalid upload ID.');
 
         const session = ongoingUploads.get(uploadId);
 
@@ -840,49 +1612,75 @@ if (enableUpload) {
         if (session.receivedChunks.size !== session.totalChunks) {
             log('debug', `Upload incomplete: ${session.receivedChunks.size}/${session.totalChunks} chunks.`);
 
-            return res.status(400).json({
-                error: `Upload incomplete. Server received ${session.receivedChunks.size} of ${session.totalChunks} chunks.`
-            });
+            return sendError(res, 400, ERROR_CODES.UPLOAD_INCOMPLETE, `Upload incomplete. Server received ${session.receivedChunks.size} of ${session.totalChunks} chunks.`);
         }
 
         const uploadInfo = ongoingUploads.get(uploadId);
         const fileId = uuidv4();
-        const finalPath = path.join(uploadDir, fileId);
 
         try {
-            const stats = fs.statSync(uploadInfo.tempFilePath);
-            if (stats.size === 0) {
+            const tempSize = await storage.tempSize(uploadId);
+            if (tempSize === 0) {
                 log('debug', 'Rejected 0-byte file upload.');
-                fs.rmSync(uploadInfo.tempFilePath, { force: true }); // Clean up the empty temp file
-                ongoingUploads.delete(uploadId);
-                return res.status(400).json({ error: 'Empty files (0 bytes) cannot be uploaded.' });
-            } else if (stats.size !== uploadInfo.totalSize) {
-                log('debug', `Upload size mismatch. Expected: ${uploadInfo.totalSize}, Actual: ${stats.size}`);
-                fs.rmSync(uploadInfo.tempFilePath, { force: true }); // Clean up the invalid temp file
-                ongoingUploads.delete(uploadId);
-                return res.status(400).json({ error: 'Uploaded rejected. File size does not match expected size.' });
+                await storage.removeTemp(uploadId); // Clean up the empty temp file
+                await dropUploadSession(uploadId);
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Empty files (0 bytes) cannot be uploaded.');
+            } else if (tempSize !== uploadInfo.totalSize) {
+                log('debug', `Upload size mismatch. Expected: ${uploadInfo.totalSize}, Actual: ${tempSize}`);
+                await storage.removeTemp(uploadId); // Clean up the invalid temp file
+                await dropUploadSession(uploadId);
+                return sendError(res, 400, ERROR_CODES.INTEGRITY_FAILED, 'Uploaded rejected. File size does not match expected size.');
             }
         } catch (e) {
             log('error', `Could not stat temp file for size check: ${e.message}`);
-            ongoingUploads.delete(uploadId);
-            fs.rmSync(uploadInfo.tempFilePath, { force: true }); // Attempt to clean up
-            return res.status(500).json({ error: 'Server error during file validation.' });
+            await dropUploadSession(uploadId);
+            await storage.removeTemp(uploadId).catch(() => { }); // Attempt to clean up
+            return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Server error during file validation.');
         }
 
-        fs.renameSync(uploadInfo.tempFilePath, finalPath);
-
-        const stats = fs.statSync(finalPath); // Get final size
-        currentDiskUsage += stats.size; // Update global usage
+        let storedSize = 0;
+        try {
+            storedSize = await storage.commit(uploadId, fileId);
+        } catch (e) {
+            log('error', `Could not move upload into storage: ${e.message}`);
+            await dropUploadSession(uploadId);
+            await storage.removeTemp(uploadId).catch(() => { });
+            return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Server error while storing file.');
+        }
+        currentDiskUsage += storedSize; // Update global usage
 
         const expiresAt = uploadInfo.lifetime > 0 ? Date.now() + uploadInfo.lifetime : null;
 
         const fileRecord = {
             name: uploadInfo.filename,
-            path: finalPath,
+            uploadedAt: Date.now(),
             expiresAt: expiresAt,
             isEncrypted: uploadInfo.isEncrypted,
             maxDownloads: uploadInfo.maxDownloads,
+            // Kept per file so stored files stay readable if UPLOAD_CHUNK_SIZE_BYTES changes
+            chunkSize: uploadInfo.chunkSize,
         };
+        if (uploadInfo.e2eeFormatVersion) {
+            fileRecord.e2eeFormatVersion = uploadInfo.e2eeFormatVersion;
+        }
+
+        // Passphrase-protected files carry their wrapped key. Bundle members use the bundle's.
+        if (uploadInfo.keyProtection) {
+            fileRecord.keyProtection = uploadInfo.keyProtection;
+        }
+
+        // Uploads made with an API key count towards that key's storage quota.
+        if (uploadInfo.apiKeyId) {
+            fileRecord.apiKeyId = uploadInfo.apiKeyId;
+            fileRecord.sizeBytes = storedSize;
+        }
+
+        // Standalone files get their own management token.
+        // Bundle members are managed with the bundle's token, issued on complete-bundle.
+        const manageToken = uploadInfo.bundleUploadId ? null : createManageToken();
+        if (manageToken) {
+            fileRecord.manageTokenHash = hashManageToken(fileId, manageToken);
+        }
 
         // Only track download count when there's a limit (not unlimited)
         if (uploadInfo.maxDownloads > 0) {
@@ -893,9 +1691,12 @@ if (enableUpload) {
         if (uploadInfo.bundleUploadId) {
             const bundleSession = ongoingBundles.get(uploadInfo.bundleUploadId);
             if (bundleSession) {
-                // For sealed (encrypted) bundles, files are independent - no bundleId tag.
+                // For sealed (encrypted) bundles, files are independent - no bundleId tag. They are
+                // held back until complete-bundle sets the hash of the bundle's access key.
                 // For unsealed bundles, tag the file so the server can manage lifecycle.
-                if (!bundleSession.sealedManifest) {
+                if (bundleSession.sealedManifest) {
+                    fileRecord.bundleAccessHash = 'pending'; // Matches no key
+                } else {
                     fileRecord.bundleId = 'pending'; // Will be set to actual bundleId on complete-bundle
                 }
 
@@ -904,46 +1705,52 @@ if (enableUpload) {
                     fileId,
                     uploadId,
                     name: uploadInfo.filename,
-                    sizeBytes: stats.size,
+                    sizeBytes: storedSize,
                 });
-                bundleSession.expiresAt = Date.now() + (2 * 60 * 1000); // Reset bundle deadline
+                bundleSession.expiresAt = Date.now() + uploadSessionTimeoutMs; // Reset bundle deadline
             }
         }
 
         await fileDatabase.set(fileId, fileRecord);
+        if (uploadInfo.bundleUploadId) await saveBundleSession(uploadInfo.bundleUploadId);
 
-        ongoingUploads.delete(uploadId); // Remove the reservation
+        await dropUploadSession(uploadId); // Remove the reservation
+        uploadsCompletedMetric.inc();
         log('debug', `[${uploadInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File received.${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`);
-        res.status(200).json({ id: fileId });
+        res.status(200).json({ id: fileId, ...(manageToken ? { manageToken } : {}) });
     });
 
     uploadRouter.post('/complete-bundle', limiter, async (req, res) => {
-        const { bundleUploadId, encryptedManifest } = req.body;
+        const { bundleUploadId, encryptedManifest, accessKey } = req.body;
         if (!bundleUploadId || !ongoingBundles.has(bundleUploadId)) {
-            return res.status(400).json({ error: 'Invalid bundle upload ID.' });
+            return sendError(res, 400, ERROR_CODES.SESSION_EXPIRED, 'Invalid bundle upload ID.');
         }
 
         const bundleSession = ongoingBundles.get(bundleUploadId);
 
         // Verify all files are completed
         if (bundleSession.completedFiles.size !== bundleSession.fileCount) {
-            return res.status(400).json({
-                error: `Bundle incomplete. ${bundleSession.completedFiles.size} of ${bundleSession.fileCount} files completed.`
-            });
+            return sendError(res, 400, ERROR_CODES.UPLOAD_INCOMPLETE, `Bundle incomplete. ${bundleSession.completedFiles.size} of ${bundleSession.fileCount} files completed.`);
         }
 
         // For sealed (encrypted) bundles, the client must provide an encrypted manifest.
         if (bundleSession.sealedManifest) {
             if (typeof encryptedManifest !== 'string' || encryptedManifest.length === 0) {
-                return res.status(400).json({ error: 'Encrypted manifest is required for E2EE bundles.' });
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Encrypted manifest is required for E2EE bundles.');
             }
             // Enforce a reasonable size limit on the manifest blob (1MB)
             if (encryptedManifest.length > 1024 * 1024) {
-                return res.status(413).json({ error: 'Encrypted manifest is too large.' });
+                return sendError(res, 413, ERROR_CODES.INVALID_REQUEST, 'Encrypted manifest is too large.');
+            }
+            // Derived from the bundle key by the client. Older clients don't send one.
+            if (accessKey !== undefined && (typeof accessKey !== 'string' || accessKey.length === 0 || accessKey.length > 256)) {
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Invalid bundle access key.');
             }
         }
 
         const bundleId = uuidv4();
+        const manageToken = createManageToken();
+        const uploadedAt = Date.now();
 
         // Calculate total size for logging only
         let totalSizeBytes = 0;
@@ -957,14 +1764,38 @@ if (enableUpload) {
             // Sealed bundle: store only the encrypted manifest blob.
             // The server cannot read the file list - only the downloader with the key can.
             // Client will derive totalSizeBytes and fileCount from decrypted manifest.
+            const memberIds = bundleSession.completedFileResults.map(r => r.fileId);
             const bundleRecord = {
                 encryptedManifest,
                 isEncrypted: true,
                 sealed: true,
+                uploadedAt,
                 expiresAt,
                 maxDownloads: bundleSession.maxDownloads,
+                manageTokenHash: hashManageToken(bundleId, manageToken),
+                managedMembers: sealMemberIds(bundleId, manageToken, memberIds),
+                ...(accessKey ? {
+                    accessKeyHash: hashManageToken(bundleId, accessKey),
+                    accessMembers: sealMemberIds(bundleId, accessKey, memberIds),
+                } : {}),
+                ...(bundleSession.apiKeyId ? { apiKeyId: bundleSession.apiKeyId } : {}),
+                ...(bundleSession.keyProtection ? { keyProtection: bundleSession.keyProtection } : {}),
             };
 
+            // Member files accept the bundle's token, and are only served with a ticket holding
+            // the bundle's access key. The salted hashes reveal nothing about which files belong together.
+            for (const result of bundleSession.completedFileResults) {
+                const fileRecord = await fileDatabase.get(result.fileId);
+                if (fileRecord) {
+                    const { bundleAccessHash: _pending, ...rest } = fileRecord;
+                    await fileDatabase.set(result.fileId, {
+                        ...rest,
+                        manageTokenHash: hashManageToken(result.fileId, manageToken),
+                        ...(accessKey ? { bundleAccessHash: hashManageToken(result.fileId, accessKey) } : {}),
+                    });
+                }
+            }
+
             // Only track download count when there's a limit (not unlimited)
             if (bundleSession.maxDownloads > 0) {
                 bundleRecord.downloadCount = 0;
@@ -984,15 +1815,19 @@ if (enableUpload) {
                 // Update the file record with the actual bundleId
                 const fileRecord = await fileDatabase.get(result.fileId);
                 if (fileRecord) {
-                    await fileDatabase.set(result.fileId, { ...fileRecord, bundleId });
+                    await fileDatabase.set(result.fileId, { ...fileRecord, bundleId, manageTokenHash: hashManageToken(result.fileId, manageToken) });
                 }
             }
 
             const bundleRecord = {
                 files: bundleFiles,
                 isEncrypted: bundleSession.isEncrypted,
+                uploadedAt,
                 expiresAt,
                 maxDownloads: bundleSession.maxDownloads,
+                manageTokenHash: hashManageToken(bundleId, manageToken),
+                ...(bundleSession.apiKeyId ? { apiKeyId: bundleSession.apiKeyId } : {}),
+                ...(bundleSession.keyProtection ? { keyProtection: bundleSession.keyProtection } : {}),
             };
 
             // Only track download count when there's a limit (not unlimited)
@@ -1003,9 +1838,9 @@ if (enableUpload) {
             await bundleDatabase.set(bundleId, bundleRecord);
         }
 
-        ongoingBundles.delete(bundleUploadId);
+        await dropBundleSession(bundleUploadId);
         log('debug', `Bundle created${bundleSession.sealedManifest ? ' (sealed)' : ''} (${bundleSession.fileCount} files, ${(totalSizeBytes / 1000 / 1000).toFixed(2)} MB total). Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.`);
-        res.status(200).json({ bundleId });
+        res.status(200).json({ bundleId, manageToken });
     });
 
     apiRouter.get('/file/:fileId/meta', downloadAuth, async (req, res) => {
@@ -1013,27 +1848,31 @@ if (enableUpload) {
         const fileInfo = await fileDatabase.get(fileId);
 
         if (!fileInfo) {
-            return res.status(404).json({ error: 'File not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
         }
 
         if (fileInfo.isEncrypted && !uploadEnableE2EE) {
-            return res.status(404).json({ error: 'File not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
         }
 
         let fileSize = 0;
         try {
-            fileSize = fs.statSync(fileInfo.path).size;
+            fileSize = await storage.size(fileId);
         } catch (error) {
-            return res.status(404).json({ error: 'File not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
         }
 
         const payload = {
             sizeBytes: fileSize,
             isEncrypted: fileInfo.isEncrypted
         };
+        // Files stored before chunk sizes were recorded omit it; clients fall back to the server's chunk size
+        if (fileInfo.chunkSize) payload.chunkSize = fileInfo.chunkSize;
 
         if (fileInfo.isEncrypted) {
             payload.encryptedFilename = fileInfo.name;
+            if (fileInfo.e2eeFormatVersion) payload.e2eeFormatVersion = fileInfo.e2eeFormatVersion;
+            if (fileInfo.keyProtection) payload.keyProtection = fileInfo.keyProtection;
         } else {
             payload.filename = fileInfo.name;
         }
@@ -1046,54 +1885,166 @@ if (enableUpload) {
         const fileInfo = await fileDatabase.get(fileId);
 
         if (!fileInfo) {
-            return res.status(404).json({ error: 'File not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
         }
 
         if (fileInfo.isEncrypted && !uploadEnableE2EE) {
-            return res.status(404).json({ error: 'File not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
+        }
+
+        // Files of sealed bundles are only served with a ticket for their bundle
+        let bundleTicket = null;
+        if (fileInfo.bundleAccessHash !== undefined) {
+            bundleTicket = req.query.ticket !== undefined ? bundleTickets.get(String(req.query.ticket)) : null;
+            if (!bundleTicket || !manageTokenMatches(fileId, bundleTicket.accessKey, fileInfo.bundleAccessHash)) {
+                return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'This file can only be downloaded with its bundle.');
+            }
         }
 
         // Capture size before streaming
-        const fileSize = fs.statSync(fileInfo.path).size;
-        res.setHeader('Content-Length', fileSize);
+        let fileSize = 0;
+        try {
+            fileSize = await storage.size(fileId);
+        } catch (error) {
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
+        }
+
+        // Stored files never change, so the ID and size make a strong validator for If-Range.
+        const etag = `"${crypto.createHash('sha256').update(`${fileId}:${fileSize}`).digest('hex').slice(0, 32)}"`;
+        res.setHeader('ETag', etag);
+        res.setHeader('Accept-Ranges', 'bytes');
+
+        const range = resolveByteRange(req.headers.range, req.headers['if-range'], etag, fileSize);
+        if (range === false) {
+            res.setHeader('Content-Range', `bytes */${fileSize}`);
+            return sendError(res, 416, ERROR_CODES.RANGE_NOT_SATISFIABLE, 'Requested range not satisfiable.');
+        }
+
+        // HEAD requests only probe headers (e.g. ETag before resuming) and never count as a download.
+        // Other requests need a ticket reserving the download (see POST /api/file/:fileId/ticket);
+        // requests without one are given a ticket for that request alone. Bundle members are
+        // counted with their bundle instead.
+        const label = fileInfo.isEncrypted ? 'Encrypted' : 'Simple';
+        let ticketId = null;
+        let ticket = null;
+        let singleRequestTicket = false;
+        if (bundleTicket) {
+            if (req.method !== 'HEAD') bundleTickets.start(bundleTicket);
+        } else if (req.method !== 'HEAD' && !fileInfo.bundleId) {
+            // Files of sealed bundles stored before bundle access keys existed have no download
+            // limit of their own, and clients still send their bundle's ticket for them.
+            const olderBundleMember = (fileInfo.maxDownloads ?? 1) === 0 && req.query.ticket !== undefined
+                && bundleTickets.get(String(req.query.ticket)) !== null;
+            if (req.query.ticket !== undefined && !olderBundleMember) {
+                ticketId = String(req.query.ticket);
+                ticket = downloadTickets.get(ticketId, fileId);
+                if (!ticket) {
+                    return sendError(res, 403, ERROR_CODES.INVALID_TICKET, 'Invalid or expired download ticket.');
+                }
+            } else {
+                const reservation = await reserveDownload(fileId);
+                if (reservation.error) {
+                    return sendError(res, reservation.status, reservation.code, reservation.error);
+                }
+                ticketId = reservation.ticket;
+                ticket = downloadTickets.get(ticketId, fileId);
+                singleRequestTicket = true;
+            }
+            downloadTickets.start(ticket);
+        }
+
+        // The download counts once the responses under its ticket have sent every byte of the file
+        // between them, in one response or resumed with Range. Until then a ticket kept by the
+        // client stays valid for resuming. One made for this request cannot be resumed, so it
+        // counts as soon as it delivers anything, and is released if it delivered nothing.
+        const settleTicket = async (bytesSent, start) => {
+            if (bundleTicket) {
+                bundleTickets.finish(bundleTicket, bytesSent);
+                return;
+            }
+            if (!ticket) return;
+            const deliveredBytes = downloadTickets.finish(ticket, bytesSent, start);
+            if (deliveredBytes >= fileSize || (singleRequestTicket && bytesSent > 0)) {
+                // Another request on the same ticket may have counted it already
+                if (downloadTickets.delete(ticketId)) await countDownload(fileId);
+            } else if (singleRequestTicket) {
+                downloadTickets.delete(ticketId);
+                log('debug', `[${label}] No file data sent (not counted as a download).`);
+            } else {
+                log('debug', `[${label}] Partial file data sent (${(bytesSent / 1000 / 1000).toFixed(2)} MB); the ticket can resume.`);
+            }
+        };
+
+        let readStream = null;
+        if (req.method !== 'HEAD') {
+            try {
+                readStream = await storage.createReadStream(fileId, range || undefined);
+            } catch (error) {
+                log('error', `Could not open stored file: ${error.message}`);
+                await settleTicket(0, 0);
+                return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
+            }
+        }
+
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${fileSize}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else {
+            res.setHeader('Content-Length', fileSize);
+        }
 
         if (!fileInfo.isEncrypted) {
             res.setHeader('Content-Disposition', contentDisposition(fileInfo.name));
             res.setHeader('Content-Type', 'application/octet-stream');
         }
 
-        const readStream = fs.createReadStream(fileInfo.path);
-        readStream.pipe(res);
+        if (!readStream) return res.end();
+
+        // Count what the response has taken, not what was read from storage ahead of it
+        let bytesWritten = 0;
+        pipeline(readStream, async function* (source) {
+            for await (const chunk of source) {
+                yield chunk;
+                bytesWritten += chunk.length;
+            }
+        }, res, () => { });
+
+        res.on('close', async () => {
+            bytesServedMetric.inc(bytesWritten);
 
-        readStream.on('close', async () => {
-            // Skip download counting for files that belong to a bundle
-            // (bundle download count is tracked separately via /api/bundle/:bundleId/downloaded)
             if (fileInfo.bundleId) {
-                log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] Bundle file data sent (individual download, no count increment).`);
+                log('debug', `[${label}] Bundle file data sent (individual download, no count increment).`);
                 return;
             }
 
-            // Increment download count
-            const newDownloadCount = (fileInfo.downloadCount || 0) + 1;
-            const maxDl = fileInfo.maxDownloads ?? 1;
+            // What a response sent before being cut off still reached the client
+            await settleTicket(bytesWritten, range ? range.start : 0);
+        });
+    });
 
-            // Check if we should delete the file (maxDownloads reached)
-            if (maxDl > 0 && newDownloadCount >= maxDl) {
-                // Update storage immediately
-                currentDiskUsage = Math.max(0, currentDiskUsage - fileSize);
+    apiRouter.post('/file/:fileId/ticket', downloadAuth, async (req, res) => {
+        const fileId = req.params.fileId;
+        const fileInfo = await fileDatabase.get(fileId);
 
-                fs.rm(fileInfo.path, { force: true }, () => { });
-                await fileDatabase.delete(fileId);
-                log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File data sent and deleted (${newDownloadCount}/${maxDl} downloads).${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`);
-            } else {
-                // Update download count in database
-                await fileDatabase.set(fileId, {
-                    ...fileInfo,
-                    downloadCount: newDownloadCount,
-                });
-                log('debug', `[${fileInfo.isEncrypted ? 'Encrypted' : 'Simple'}] File data sent (${newDownloadCount}/${maxDl === 0 ? 'unlimited' : maxDl} downloads).`);
-            }
-        });
+        if (!fileInfo || (fileInfo.isEncrypted && !uploadEnableE2EE)) {
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
+        }
+
+        if (fileInfo.bundleId) {
+            return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Files in a bundle are counted with their bundle and need no ticket.');
+        }
+
+        if (fileInfo.bundleAccessHash !== undefined) {
+            return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'This file can only be downloaded with its bundle.');
+        }
+
+        const reservation = await reserveDownload(fileId);
+        if (reservation.error) {
+            return sendError(res, reservation.status, reservation.code, reservation.error);
+        }
+
+        res.status(200).json(reservation);
     });
 
     // ===== Bundle API Endpoints =====
@@ -1103,11 +2054,11 @@ if (enableUpload) {
         const bundleInfo = await bundleDatabase.get(bundleId);
 
         if (!bundleInfo) {
-            return res.status(404).json({ error: 'Bundle not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Bundle not found.');
         }
 
         if (bundleInfo.isEncrypted && !uploadEnableE2EE) {
-            return res.status(404).json({ error: 'Bundle not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Bundle not found.');
         }
 
         // Sealed bundles return only the encrypted manifest blob.
@@ -1118,6 +2069,7 @@ if (enableUpload) {
                 isEncrypted: true,
                 sealed: true,
                 encryptedManifest: bundleInfo.encryptedManifest,
+                ...(bundleInfo.keyProtection ? { keyProtection: bundleInfo.keyProtection } : {}),
             });
         }
 
@@ -1139,48 +2091,377 @@ if (enableUpload) {
         res.status(200).json(payload);
     });
 
+    apiRouter.post('/bundle/:bundleId/ticket', downloadAuth, async (req, res) => {
+        const bundleId = req.params.bundleId;
+        const { accessKey } = req.body || {};
+
+        const releaseLock = await acquireDownloadLock();
+        try {
+            const bundleInfo = await bundleDatabase.get(bundleId);
+            if (!bundleInfo || (bundleInfo.isEncrypted && !uploadEnableE2EE)) {
+                return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Bundle not found.');
+            }
+
+            // Sealed bundles only hand out tickets to holders of the bundle key
+            if (bundleInfo.accessKeyHash && !manageTokenMatches(bundleId, accessKey, bundleInfo.accessKeyHash)) {
+                return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'Invalid bundle access key.');
+            }
+
+            const maxDl = bundleInfo.maxDownloads ?? 1;
+            if (maxDl > 0 && (bundleInfo.downloadCount || 0) + bundleTickets.reserved(bundleId) >= maxDl) {
+                return sendError(res, 409, ERROR_CODES.DOWNLOADS_RESERVED, 'All remaining downloads of this bundle are in progress. Try again later.');
+            }
+
+            res.status(200).json(bundleTickets.issue(bundleId, bundleInfo.accessKeyHash ? { accessKey } : {}));
+        } finally {
+            releaseLock();
+        }
+    });
+
     apiRouter.post('/bundle/:bundleId/downloaded', downloadAuth, async (req, res) => {
         const bundleId = req.params.bundleId;
+        const { ticket: ticketId } = req.body || {};
         const bundleInfo = await bundleDatabase.get(bundleId);
 
         if (!bundleInfo) {
-            return res.status(404).json({ error: 'Bundle not found.' });
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Bundle not found.');
         }
 
-        const newDownloadCount = (bundleInfo.downloadCount || 0) + 1;
-        const maxDl = bundleInfo.maxDownloads ?? 1;
-
-        if (maxDl > 0 && newDownloadCount >= maxDl) {
-            if (bundleInfo.sealed) {
-                // Sealed bundle: only delete the manifest record.
-                // Individual files are independent and expire on their own.
-                await bundleDatabase.delete(bundleId);
-                log('debug', `Sealed bundle manifest deleted (${newDownloadCount}/${maxDl} downloads). Member files will expire independently.`);
-            } else {
-                // Unsealed bundle: delete all member files and the bundle record
-                for (const f of bundleInfo.files) {
-                    const fileInfo = await fileDatabase.get(f.fileId);
-                    if (fileInfo) {
-                        try {
-                            const stats = fs.statSync(fileInfo.path);
-                            currentDiskUsage = Math.max(0, currentDiskUsage - stats.size);
-                        } catch (e) { }
-                        fs.rm(fileInfo.path, { force: true }, () => { });
-                        await fileDatabase.delete(f.fileId);
-                    }
-                }
-                await bundleDatabase.delete(bundleId);
-                log('debug', `Bundle downloaded and deleted (${newDownloadCount}/${maxDl} downloads). Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.`);
+        // Downloads made with a ticket consume it. Sealed bundles from current clients only
+        // count downloads made with one, so nobody without the key can use up the bundle.
+        let accessKey;
+        if (ticketId !== undefined) {
+            const ticket = bundleTickets.get(String(ticketId), bundleId);
+            if (!ticket || !bundleTickets.delete(String(ticketId))) {
+                return sendError(res, 403, ERROR_CODES.INVALID_TICKET, 'Invalid or expired download ticket.');
             }
+            accessKey = ticket.accessKey;
+        } else if (bundleInfo.accessKeyHash) {
+            return sendError(res, 403, ERROR_CODES.INVALID_TICKET, 'A download ticket is required for this bundle.');
+        }
+
+        const result = await countBundleDownload(bundleId, accessKey);
+        if (!result) {
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Bundle not found.');
+        }
+
+        res.status(200).json(result);
+    });
+
+    // ===== Owner Management Endpoints =====
+    // Authenticated with the management token returned by /upload/complete or
+    // /upload/complete-bundle, sent in the X-Manage-Token header.
+
+    /**
+     * Load a file or bundle record and verify the caller's management token.
+     * Sends the error response itself and returns null if the request should stop.
+     */
+    const loadManagedRecord = async (req, res, database, id, notFoundError) => {
+        const record = await database.get(id);
+        if (!record || (record.isEncrypted && !uploadEnableE2EE)) {
+            sendError(res, 404, ERROR_CODES.NOT_FOUND, notFoundError);
+            return null;
+        }
+        if (!manageTokenMatches(id, req.headers['x-manage-token'], record.manageTokenHash)) {
+            sendError(res, 403, ERROR_CODES.FORBIDDEN, 'Invalid management token.');
+            return null;
+        }
+        return record;
+    };
+
+    /**
+     * List the IDs of a managed bundle's member files that still exist.
+     * Sealed bundles keep their member list encrypted under the management token.
+     */
+    const findBundleMembers = async (bundleId, bundleRecord, token) => {
+        let memberIds;
+        if (!bundleRecord.sealed) {
+            memberIds = (bundleRecord.files || []).map(f => f.fileId);
         } else {
-            await bundleDatabase.set(bundleId, { ...bundleInfo, downloadCount: newDownloadCount });
-            log('debug', `Bundle downloaded (${newDownloadCount}/${maxDl === 0 ? 'unlimited' : maxDl} downloads).`);
+            memberIds = openMemberIds(bundleId, token, bundleRecord.managedMembers);
+            if (!memberIds) {
+                // Bundles stored before member lists were kept on the record
+                return (await fileDatabase.all())
+                    .filter(record => manageTokenMatches(record.id, token, record.value?.manageTokenHash))
+                    .map(record => record.id);
+            }
+        }
+        const members = [];
+        for (const memberId of memberIds) {
+            if (await fileDatabase.has(memberId)) members.push(memberId);
+        }
+        return members;
+    };
+
+    /**
+     * Validate a management update request against the server (or API key) limits.
+     * lifetimeMs is measured from the original upload time.
+     * @returns {{ changes?: object, error?: string, code?: string }}
+     */
+    const resolveManagedChanges = (body, record, limits) => {
+        const { lifetimeMs, maxDownloads } = body || {};
+        if (lifetimeMs === undefined && maxDownloads === undefined) {
+            return { error: 'Nothing to update. Provide lifetimeMs and/or maxDownloads.', code: ERROR_CODES.INVALID_REQUEST };
+        }
+
+        const changes = {};
+        if (lifetimeMs !== undefined) {
+            if (typeof lifetimeMs !== 'number' || !Number.isInteger(lifetimeMs) || lifetimeMs < 0) {
+                return { error: 'Invalid lifetimeMs. Must be a non-negative integer (milliseconds).', code: ERROR_CODES.INVALID_REQUEST };
+            }
+            const limitError = lifetimeLimitError(lifetimeMs, limits);
+            if (limitError) return { error: limitError, code: ERROR_CODES.LIFETIME_NOT_ALLOWED };
+            const expiresAt = lifetimeMs === 0 ? null : (record.uploadedAt || Date.now()) + lifetimeMs;
+            if (expiresAt !== null && expiresAt <= Date.now()) {
+                return { error: 'That lifetime has already elapsed. Delete the upload instead.', code: ERROR_CODES.INVALID_REQUEST };
+            }
+            changes.expiresAt = expiresAt;
+        }
+        if (maxDownloads !== undefined) {
+            const resolved = resolveMaxDownloads(maxDownloads, limits);
+            if (resolved.error) return resolved;
+            const downloadCount = record.downloadCount || 0;
+            if (resolved.value > 0 && resolved.value <= downloadCount) {
+                return { error: `maxDownloads must be greater than the current download count (${downloadCount}). Delete the upload instead.`, code: ERROR_CODES.INVALID_REQUEST };
+            }
+            changes.maxDownloads = resolved.value;
+        }
+        return { changes };
+    };
+
+    const managedStatus = (record) => ({
+        isEncrypted: record.isEncrypted,
+        uploadedAt: record.uploadedAt ?? null,
+        expiresAt: record.expiresAt ?? null,
+        maxDownloads: record.maxDownloads ?? 1,
+        downloadCount: record.downloadCount || 0,
+    });
+
+    apiRouter.get('/file/:fileId/manage', limiter, async (req, res) => {
+        const fileId = req.params.fileId;
+        const fileInfo = await loadManagedRecord(req, res, fileDatabase, fileId, 'File not found.');
+        if (!fileInfo) return;
+
+        let sizeBytes = 0;
+        try {
+            sizeBytes = await storage.size(fileId);
+        } catch {
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
+        }
+
+        res.status(200).json({ fileId, sizeBytes, ...managedStatus(fileInfo) });
+    });
+
+    apiRouter.patch('/file/:fileId/manage', limiter, async (req, res) => {
+        const fileId = req.params.fileId;
+        const fileInfo = await loadManagedRecord(req, res, fileDatabase, fileId, 'File not found.');
+        if (!fileInfo) return;
+
+        const { changes, error, code } = resolveManagedChanges(req.body, fileInfo, await recordLimits(fileInfo));
+        if (error) return sendError(res, 400, code, error);
+
+        const updated = { ...fileInfo, ...changes };
+        await fileDatabase.set(fileId, updated);
+        log('debug', 'File settings updated by its owner.');
+        res.status(200).json({ fileId, ...managedStatus(updated) });
+    });
+
+    /**
+     * Delete a file and its record ahead of expiry.
+     * The file is also dropped from its unsealed bundle's listing so the bundle stays downloadable.
+     * @param {string} fileId - ID of the file
+     * @param {object} fileInfo - The file's record
+     */
+    const deleteFileRecord = async (fileId, fileInfo) => {
+        await removeStoredFile(fileId);
+        await fileDatabase.delete(fileId);
+
+        if (fileInfo.bundleId) {
+            const bundleInfo = await bundleDatabase.get(fileInfo.bundleId);
+            if (bundleInfo?.files) {
+                await bundleDatabase.set(fileInfo.bundleId, { ...bundleInfo, files: bundleInfo.files.filter(f => f.fileId !== fileId) });
+            }
         }
+    };
 
-        res.status(200).json({ downloadCount: newDownloadCount, maxDownloads: maxDl });
+    apiRouter.delete('/file/:fileId/manage', limiter, async (req, res) => {
+        const fileId = req.params.fileId;
+        const fileInfo = await loadManagedRecord(req, res, fileDatabase, fileId, 'File not found.');
+        if (!fileInfo) return;
+
+        await deleteFileRecord(fileId, fileInfo);
+
+        log('debug', `File deleted by its owner.${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`);
+        res.status(200).json({ success: true });
+    });
+
+    apiRouter.get('/bundle/:bundleId/manage', limiter, async (req, res) => {
+        const bundleId = req.params.bundleId;
+        const bundleInfo = await loadManagedRecord(req, res, bundleDatabase, bundleId, 'Bundle not found.');
+        if (!bundleInfo) return;
+
+        const members = await findBundleMembers(bundleId, bundleInfo, req.headers['x-manage-token']);
+        res.status(200).json({ bundleId, sealed: Boolean(bundleInfo.sealed), fileCount: members.length, ...managedStatus(bundleInfo) });
+    });
+
+    apiRouter.patch('/bundle/:bundleId/manage', limiter, async (req, res) => {
+        const bundleId = req.params.bundleId;
+        const bundleInfo = await loadManagedRecord(req, res, bundleDatabase, bundleId, 'Bundle not found.');
+        if (!bundleInfo) return;
+
+        const { changes, error, code } = resolveManagedChanges(req.body, bundleInfo, await recordLimits(bundleInfo));
+        if (error) return sendError(res, 400, code, error);
+
+        const updated = { ...bundleInfo, ...changes };
+        await bundleDatabase.set(bundleId, updated);
+
+        // Member files expire with the bundle. Download limits apply to the bundle as a whole.
+        if (changes.expiresAt !== undefined) {
+            for (const memberId of await findBundleMembers(bundleId, bundleInfo, req.headers['x-manage-token'])) {
+                const fileInfo = await fileDatabase.get(memberId);
+                if (fileInfo) await fileDatabase.set(memberId, { ...fileInfo, expiresAt: changes.expiresAt });
+            }
+        }
+
+        log('debug', 'Bundle settings updated by its owner.');
+        res.status(200).json({ bundleId, sealed: Boolean(bundleInfo.sealed), ...managedStatus(updated) });
+    });
+
+    apiRouter.delete('/bundle/:bundleId/manage', limiter, async (req, res) => {
+        const bundleId = req.params.bundleId;
+        const bundleInfo = await loadManagedRecord(req, res, bundleDatabase, bundleId, 'Bundle not found.');
+        if (!bundleInfo) return;
+
+        const members = await findBundleMembers(bundleId, bundleInfo, req.headers['x-manage-token']);
+        for (const memberId of members) {
+            await removeStoredFile(memberId);
+            await fileDatabase.delete(memberId);
+        }
+        await bundleDatabase.delete(bundleId);
+
+        log('debug', `Bundle deleted by its owner (${members.length} files).${maxStorageGB !== 0 ? ` Server capacity: ${(currentDiskUsage / 1000 / 1000 / 1000).toFixed(2)} GB / ${maxStorageGB} GB.` : ''}`);
+        res.status(200).json({ success: true });
+    });
+
+    // ===== Admin API: stored uploads =====
+    // Encrypted names are never returned, not even as ciphertext. Sealed bundles
+    // stay opaque: their member files are listed as independent files.
+
+    const adminFileSummary = async (fileId, fileInfo) => ({
+        fileId,
+        name: fileInfo.isEncrypted ? null : fileInfo.name,
+        isEncrypted: Boolean(fileInfo.isEncrypted),
+        sizeBytes: fileInfo.sizeBytes ?? await storage.size(fileId).catch(() => null),
+        uploadedAt: fileInfo.uploadedAt ?? null,
+        expiresAt: fileInfo.expiresAt ?? null,
+        maxDownloads: fileInfo.maxDownloads ?? 1,
+        downloadCount: fileInfo.downloadCount || 0,
+        bundleId: fileInfo.bundleId ?? null,
+        apiKeyId: fileInfo.apiKeyId ?? null,
+    });
+
+    const adminBundleSummary = (bundleId, bundleInfo) => ({
+        bundleId,
+        isEncrypted: Boolean(bundleInfo.isEncrypted),
+        sealed: Boolean(bundleInfo.sealed),
+        fileCount: bundleInfo.sealed ? null : (bundleInfo.files || []).length,
+        totalSizeBytes: bundleInfo.sealed ? null : (bundleInfo.files || []).reduce((sum, f) => sum + (f.sizeBytes || 0), 0),
+        uploadedAt: bundleInfo.uploadedAt ?? null,
+        expiresAt: bundleInfo.expiresAt ?? null,
+        maxDownloads: bundleInfo.maxDownloads ?? 1,
+        downloadCount: bundleInfo.downloadCount || 0,
+        apiKeyId: bundleInfo.apiKeyId ?? null,
+    });
+
+    adminRouter.get('/api/files', adminAuth, async (req, res) => {
+        const files = [];
+        for (const { id, value } of await fileDatabase.all()) {
+            files.push(await adminFileSummary(id, value));
+        }
+        res.status(200).json({ files });
+    });
+
+    adminRouter.delete('/api/files/:fileId', adminAuth, async (req, res) => {
+        const fileId = req.params.fileId;
+        const fileInfo = await fileDatabase.get(fileId);
+        if (!fileInfo) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'File not found.');
+
+        await deleteFileRecord(fileId, fileInfo);
+        log('info', 'File deleted by an admin.');
+        res.status(200).json({ success: true });
+    });
+
+    adminRouter.get('/api/bundles', adminAuth, async (req, res) => {
+        const bundles = (await bundleDatabase.all()).map(({ id, value }) => adminBundleSummary(id, value));
+        res.status(200).json({ bundles });
+    });
+
+    adminRouter.delete('/api/bundles/:bundleId', adminAuth, async (req, res) => {
+        const bundleId = req.params.bundleId;
+        const bundleInfo = await bundleDatabase.get(bundleId);
+        if (!bundleInfo) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Bundle not found.');
+
+        // Sealed bundles don't reveal their members, which then expire on their own.
+        let deletedFiles = 0;
+        for (const f of (bundleInfo.files || [])) {
+            if (await fileDatabase.has(f.fileId)) {
+                await removeStoredFile(f.fileId);
+                await fileDatabase.delete(f.fileId);
+                deletedFiles++;
+            }
+        }
+        await bundleDatabase.delete(bundleId);
+
+        log('info', `Bundle deleted by an admin (${deletedFiles} files).`);
+        res.status(200).json({ success: true, deletedFiles });
+    });
+
+    adminRouter.get('/api/uploads', adminAuth, (req, res) => {
+        const uploads = [...ongoingUploads.values()].map((session) => ({
+            name: session.isEncrypted ? null : session.filename,
+            isEncrypted: Boolean(session.isEncrypted),
+            totalSize: session.totalSize,
+            totalChunks: session.totalChunks,
+            receivedChunks: session.receivedChunks.size,
+            inBundle: Boolean(session.bundleUploadId),
+            expiresAt: session.expiresAt,
+            apiKeyId: session.apiKeyId ?? null,
+        }));
+        res.status(200).json({ uploads, bundleSessions: ongoingBundles.size });
     });
 }
 
+// ===== Admin API: server overview =====
+adminRouter.get('/api/stats', adminAuth, async (req, res) => {
+    let upload = { enabled: false };
+    if (enableUpload) {
+        let reservedBytes = 0;
+        ongoingUploads.forEach(u => reservedBytes += u.reservedBytes || 0);
+        upload = {
+            enabled: true,
+            diskUsageBytes: currentDiskUsage,
+            reservedBytes,
+            maxStorageBytes: MAX_STORAGE_BYTES === Infinity ? null : MAX_STORAGE_BYTES,
+            fileCount: (await fileDatabase.all()).length,
+            bundleCount: (await bundleDatabase.all()).length,
+            ongoingUploads: ongoingUploads.size,
+            ongoingBundles: ongoingBundles.size,
+        };
+    }
+
+    res.status(200).json({
+        version,
+        uptimeSeconds: Math.floor(process.uptime()),
+        upload,
+        p2p: enableP2P ? { enabled: true, connectedPeers: p2pPeerCount } : { enabled: false },
+    });
+});
+
+adminRouter.get('/', limiter, (req, res) => {
+    res.set('X-Robots-Tag', 'noindex');
+    return res.status(200).render('pages/admin', { serverName, enableUpload, enableP2P });
+});
+
 apiRouter.get('/info', limiter, (req, res) => {
     const uploadCapabilities = {
         enabled: enableUpload,
@@ -1188,8 +2469,12 @@ apiRouter.get('/info', limiter, (req, res) => {
         bundleSizeMode: enableUpload ? bundleSizeMode : undefined,
         maxLifetimeHours: enableUpload ? maxFileLifetimeHours : undefined,
         maxFileDownloads: enableUpload ? maxFileDownloads : undefined,
+        authRequired: enableUpload ? uploadRequireAuth : undefined,
         e2ee: enableUpload ? uploadEnableE2EE : undefined,
+        e2eeFormatVersion: enableUpload && uploadEnableE2EE ? E2EE_FORMAT_VERSION : undefined,
         chunkSize: enableUpload ? uploadChunkSizeBytes : undefined,
+        chunkConcurrency: enableUpload ? uploadChunkConcurrency : undefined,
+        downloadTickets: enableUpload ? true : undefined,
     };
 
     const p2pCapabilities = {
@@ -1197,6 +2482,9 @@ apiRouter.get('/info', limiter, (req, res) => {
         peerjsPath: enableP2P ? PEERJS_MOUNT_PATH : undefined,
         iceServers: enableP2P ? p2pIceServers : undefined,
         peerjsDebugLogging: enableP2P ? (process.env.PEERJS_DEBUG === 'true') : undefined,
+        issuedCodes: enableP2P ? p2pIssueCodes : undefined,
+        relay: enableP2P ? p2pRelayEnabled : undefined,
+        relayPath: p2pRelayEnabled ? P2P_RELAY_PATH : undefined,
     };
 
     res.status(200).json({
@@ -1216,13 +2504,11 @@ apiRouter.get('/info', limiter, (req, res) => {
 apiRouter.post('/resolve', limiter, async (req, res) => {
     const raw = String(req.body?.value || '').trim();
     if (!raw) {
-        return res.status(400).json({ valid: false, error: 'Missing sharing code.' });
+        return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Missing sharing code.', { valid: false });
     }
 
     const isUrl = /^https?:\/\//i.test(raw);
     const isUuid = (value) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value);
-    const isP2PCode = (value) => /^[A-Z]{4}-\d{4}$/.test(value);
-    const normalizeP2P = (value) => value.replace(/\s+/g, '').toUpperCase();
 
     if (isUrl) {
         try {
@@ -1234,11 +2520,11 @@ apiRouter.post('/resolve', limiter, async (req, res) => {
 
             const path = decodeURIComponent(url.pathname || '');
             if (path.startsWith('/p2p/')) {
-                const code = normalizeP2P(path.replace('/p2p/', ''));
+                const code = normalizeP2PCode(path.replace('/p2p/', ''));
                 if (!enableP2P) {
                     return res.status(200).json({ valid: false, reason: 'Direct transfer is disabled on this server.' });
                 }
-                if (!isP2PCode(code)) {
+                if (!isP2PCodeLike(code)) {
                     return res.status(200).json({ valid: false, reason: 'Invalid direct transfer code.' });
                 }
                 return res.status(200).json({ valid: true, type: 'p2p', target: `/p2p/${encodeURIComponent(code)}` });
@@ -1285,8 +2571,8 @@ apiRouter.post('/resolve', limiter, async (req, res) => {
         return res.status(200).json({ valid: true, type: 'file', target: `/${compact}` });
     }
 
-    const p2pCode = normalizeP2P(compact);
-    if (isP2PCode(p2pCode)) {
+    const p2pCode = normalizeP2PCode(compact);
+    if (isP2PCodeLike(p2pCode)) {
         if (!enableP2P) {
             return res.status(200).json({ valid: false, reason: 'Direct transfer is disabled on this server.' });
         }
@@ -1296,24 +2582,158 @@ apiRouter.post('/resolve', limiter, async (req, res) => {
     return res.status(200).json({ valid: false, reason: 'Unrecognised sharing code.' });
 });
 
+// Hand out a reserved sharing code. Only peers holding an issued code can register as senders.
+apiRouter.post('/p2p/code', limiter, (req, res) => {
+    if (!p2pCodes) {
+        return sendError(res, 404, ERROR_CODES.NOT_SUPPORTED, 'This server does not issue direct transfer codes.');
+    }
+    return res.status(200).json(p2pCodes.issue());
+});
+
 app.use('/api', apiRouter);
 
 // ===== PeerJS signalling server (PeerServer) =====
 // Mounted at a fixed path: /peerjs
 if (enableP2P) {
+    // The PeerServer's WebSocket server doesn't attach to the HTTP server itself, so that
+    // upgrades can be routed by path between it and the relay (see below)
+    let signallingSockets = null;
     const peerServer = ExpressPeerServer(server, {
         path: '/',
         debug: process.env.PEERJS_DEBUG === 'true',
         proxied: true,
+        createWebSocketServer: (options) => {
+            signallingSockets = new WebSocketServer({ ...options, server: undefined, noServer: true });
+            return signallingSockets;
+        },
+        // Receivers ask the server for an ID; with issued codes, that ID is reserved too
+        ...(p2pCodes && { generateClientId: () => p2pCodes.reserve(uuidv4()) }),
     });
-    app.use(PEERJS_MOUNT_PATH, peerServer);
+    if (p2pCodes) {
+        // Reservations are made over HTTP, so limit the ID endpoint like the rest of the API
+        app.use(PEERJS_MOUNT_PATH, limiter, peerServer);
+    } else {
+        app.use(PEERJS_MOUNT_PATH, peerServer);
+    }
     log('info', `PeerServer mounted at ${PEERJS_MOUNT_PATH}`);
+
+    // Live peer count for the admin dashboard. Peer IDs are not recorded.
+    peerServer.on('connection', () => { p2pPeerCount++; });
+    peerServer.on('disconnect', () => { p2pPeerCount = Math.max(0, p2pPeerCount - 1); });
+
+    if (p2pCodes) {
+        peerServer.on('connection', (client) => p2pCodes.connected(client.getId()));
+        peerServer.on('disconnect', (client) => p2pCodes.disconnected(client.getId()));
+        setInterval(() => p2pCodes.sweep(), 60000);
+    }
+
+    if (p2pRelayEnabled) {
+        // Only the peer registered with the signalling server under a code may listen on it.
+        // It proves this with the token it registered with, which no one else is shown.
+        const signalledPeers = new Map();
+        peerServer.on('connection', (client) => signalledPeers.set(client.getId(), client.getToken()));
+        peerServer.on('disconnect', (client) => signalledPeers.delete(client.getId()));
+        const hashPeerToken = (token) => crypto.createHash('sha256').update(String(token)).digest();
+        const isSignalledPeer = (code, token) => signalledPeers.has(code) && typeof token === 'string' &&
+            crypto.timingSafeEqual(hashPeerToken(token), hashPeerToken(signalledPeers.get(code)));
+
+        p2pRelay = createP2PRelay({
+            maxBytes: p2pRelayMaxMB * 1000 * 1000,
+            bytesPerSecond: p2pRelayBandwidthMB * 1000 * 1000,
+            maxPayload: 8 * 1024 * 1024,
+            canListen: isSignalledPeer,
+            onRelayedBytes: (bytes) => p2pRelayedBytesMetric.inc(bytes),
+        });
+        log('info', `P2P relay mounted at ${P2P_RELAY_PATH}`);
+    }
+
+    const signallingPath = `${PEERJS_MOUNT_PATH}/peerjs`;
+    server.on('upgrade', (req, socket, head) => {
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch {
+            socket.destroy();
+            return;
+        }
+
+        if (url.pathname === signallingPath && signallingSockets) {
+            // With issued codes, turn away unreserved IDs before the upgrade, so the peer
+            // fails to open instead of opening and being dropped
+            if (p2pCodes && !p2pCodes.isAllowed(url.searchParams.get('id') || '')) {
+                log('debug', 'Rejected a signalling connection with an unissued peer ID.');
+                socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+                return;
+            }
+            signallingSockets.handleUpgrade(req, socket, head, (ws) => signallingSockets.emit('connection', ws, req));
+            return;
+        }
+
+        if (p2pRelay && url.pathname === P2P_RELAY_PATH) {
+            p2pRelay.handleUpgrade(req, socket, head, url);
+            return;
+        }
+
+        socket.destroy();
+    });
+}
+
+// Admin dashboard (must be mounted before the /:fileId download route)
+if (enableAdmin) {
+    app.use('/admin', adminRouter);
+}
+
+// ===== Prometheus metrics =====
+if (enableMetrics) {
+    if (enableUpload) {
+        const reservedBytes = () => {
+            let total = 0;
+            ongoingUploads.forEach(u => total += u.reservedBytes || 0);
+            return total;
+        };
+        metrics.gauge('storage_used_bytes', 'Bytes used by stored files.', () => currentDiskUsage);
+        metrics.gauge('storage_reserved_bytes', 'Bytes reserved by uploads in progress.', reservedBytes);
+        metrics.gauge('storage_limit_bytes', 'Storage quota in bytes. Omitted when storage is unlimited.', () => MAX_STORAGE_BYTES);
+        metrics.gauge('ongoing_uploads', 'Upload sessions in progress, including each file of a bundle.', () => ongoingUploads.size);
+        metrics.gauge('ongoing_bundles', 'Bundle upload sessions in progress.', () => ongoingBundles.size);
+    }
+    if (enableP2P) {
+        metrics.gauge('p2p_connected_peers', 'Peers connected to the PeerJS signalling server.', () => p2pPeerCount);
+        if (p2pRelay) {
+            metrics.gauge('p2p_active_relays', 'Direct transfers currently passing through the relay.', () => p2pRelay.activeRelays);
+        }
+    }
+
+    // Same constant-time comparison as adminAuth. Without METRICS_TOKEN the endpoint is
+    // open but rate limited, so restrict it at the reverse proxy instead.
+    const metricsTokenHash = crypto.createHash('sha256').update(metricsToken).digest();
+    const metricsAuth = (req, res, next) => {
+        if (!metricsToken) return limiter(req, res, next);
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (match && crypto.timingSafeEqual(crypto.createHash('sha256').update(match[1]).digest(), metricsTokenHash)) {
+            return next();
+        }
+        return limiter(req, res, () => {
+            log('warn', 'Rejected a metrics request with a missing or invalid token.');
+            res.set('WWW-Authenticate', 'Bearer');
+            res.status(401).send('Invalid metrics token.');
+        });
+    };
+
+    app.get('/metrics', metricsAuth, async (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        res.status(200).send(await metrics.render());
+    });
 }
 
 // P2P receiver page
 app.get('/p2p/:code', limiter, (req, res) => {
     if (!enableP2P) return res.status(404).render('pages/404', { serverName });
-    return res.status(200).render('pages/download-p2p', { code: req.params.code, serverName });
+    const code = normalizeP2PCode(req.params.code);
+    if (!isP2PCodeLike(code)) return res.status(404).render('pages/404', { serverName });
+    if (code !== req.params.code) return res.redirect(301, `/p2p/${encodeURIComponent(code)}`);
+    return res.status(200).render('pages/download-p2p', { code, serverName });
 });
 
 // Web UI landing page
@@ -1378,6 +2798,15 @@ if (enableUpload) {
     });
 }
 
+// API clients get JSON errors with a code, never an HTML page
+app.use(['/api', '/upload', '/admin/api'], (_req, res) => sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Not found.'));
+app.use(['/api', '/upload', '/admin/api'], (err, req, res, _next) => {
+    if (err.type === 'entity.parse.failed') return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Malformed JSON body.');
+    if (err.type === 'entity.too.large') return sendError(res, 413, ERROR_CODES.INVALID_REQUEST, 'Request body is too large.');
+    log('error', `Unhandled error in ${req.method} ${req.path}: ${err.message}`);
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error.');
+});
+
 // 404 fallback
 app.use((_req, res) => res.status(404).render('pages/404', { serverName }));
 
@@ -1390,12 +2819,9 @@ if (enableUpload) {
                 // Skip files that belong to a bundle (they are cleaned up with the bundle)
                 if (record.value.bundleId) continue;
                 log('debug', 'File expired. Deleting...');
-                try {
-                    const stats = fs.statSync(record.value.path);
-                    currentDiskUsage = Math.max(0, currentDiskUsage - stats.size);
-                    fs.rmSync(record.value.path, { force: true });
-                } catch (e) { }
+                await removeStoredFile(record.id);
                 await fileDatabase.delete(record.id);
+                filesExpiredMetric.inc();
             }
         }
 
@@ -1411,69 +2837,72 @@ if (enableUpload) {
                     // Unsealed bundle: delete member files
                     log('debug', `Bundle expired. Deleting ${record.value.files?.length || 0} member files...`);
                     for (const f of (record.value.files || [])) {
-                        const fileInfo = await fileDatabase.get(f.fileId);
-                        if (fileInfo) {
-                            try {
-                                const stats = fs.statSync(fileInfo.path);
-                                currentDiskUsage = Math.max(0, currentDiskUsage - stats.size);
-                                fs.rmSync(fileInfo.path, { force: true });
-                            } catch (e) { }
+                        if (await fileDatabase.has(f.fileId)) {
+                            await removeStoredFile(f.fileId);
                             await fileDatabase.delete(f.fileId);
+                            filesExpiredMetric.inc();
                         }
                     }
                 }
                 await bundleDatabase.delete(record.id);
+                bundlesExpiredMetric.inc();
             }
         }
     };
 
-    const cleanupZombieUploads = () => {
+    const cleanupZombieUploads = async () => {
         const now = Date.now();
         for (const [id, session] of ongoingUploads.entries()) {
             if (now > session.expiresAt) {
                 // Skip uploads whose parent bundle session is still alive —
                 // the bundle zombie cleanup handles them as a group.
                 if (session.bundleUploadId && ongoingBundles.has(session.bundleUploadId)) continue;
+                if (chunksInFlight.has(id)) continue;
 
                 log('debug', 'Cleaning zombie upload.');
-                try {
-                    fs.rmSync(session.tempFilePath, { force: true });
-                } catch (e) { }
-                ongoingUploads.delete(id);
+                zombieCleanupsMetric.inc();
+                await dropUploadSession(id);
+                await storage.removeTemp(id).catch(() => { });
             }
         }
 
         // Clean up zombie bundle sessions
         for (const [id, session] of ongoingBundles.entries()) {
-            if (now > session.expiresAt) {
+            if (now > session.expiresAt && !chunksInFlight.has(id)) {
                 log('debug', 'Cleaning zombie bundle upload.');
                 // Clean up any individual upload sessions that belong to this bundle
+                await dropBundleSession(id);
                 for (const uploadId of session.fileUploadIds) {
-                    const uploadSession = ongoingUploads.get(uploadId);
-                    if (uploadSession) {
-                        try { fs.rmSync(uploadSession.tempFilePath, { force: true }); } catch (e) { }
-                        ongoingUploads.delete(uploadId);
+                    if (ongoingUploads.has(uploadId)) {
+                        zombieCleanupsMetric.inc();
+                        await dropUploadSession(uploadId);
+                        await storage.removeTemp(uploadId).catch(() => { });
                     }
                 }
                 // Clean up any already-completed files from this bundle
                 for (const result of (session.completedFileResults || [])) {
-                    const fileInfo = fileDatabase.get(result.fileId);
-                    if (fileInfo) {
-                        try {
-                            const stats = fs.statSync(fileInfo.path);
-                            currentDiskUsage = Math.max(0, currentDiskUsage - stats.size);
-                            fs.rmSync(fileInfo.path, { force: true });
-                        } catch (e) { }
-                        fileDatabase.delete(result.fileId);
+                    if (await fileDatabase.has(result.fileId)) {
+                        await removeStoredFile(result.fileId);
+                        await fileDatabase.delete(result.fileId);
                     }
                 }
-                ongoingBundles.delete(id);
             }
         }
     };
 
     setInterval(cleanupExpiredFiles, 60000);
 
+    // Settle tickets that stopped being used before delivering their whole file or bundle.
+    // One that delivered any data counts as a download; one that delivered nothing is released.
+    setInterval(async () => {
+        for (const { id, deliveredBytes } of downloadTickets.sweep()) {
+            if (deliveredBytes > 0) await countDownload(id);
+        }
+        for (const { id, deliveredBytes, accessKey } of bundleTickets.sweep()) {
+            if (deliveredBytes > 0) await countBundleDownload(id, accessKey);
+        }
+    }, 60000);
+
     const zombieCleanupIntervalMs = process.env.UPLOAD_ZOMBIE_CLEANUP_INTERVAL_MS ? process.env.UPLOAD_ZOMBIE_CLEANUP_INTERVAL_MS : 300000;
     if (isNaN(zombieCleanupIntervalMs) || zombieCleanupIntervalMs < 0 || !Number.isInteger(Number(zombieCleanupIntervalMs))) {
         log('error', 'Invalid UPLOAD_ZOMBIE_CLEANUP_INTERVAL_MS environment variable. It must be a non-negative integer.');
@@ -1488,17 +2917,29 @@ if (enableUpload) {
     }
 }
 
-server.listen(port, () => {
-    log('info', `Dropgate Server v${version} is running. | SERVER_PORT: ${port}`);
+storageReady.then(() => {
+    server.listen(port, () => {
+        log('info', `Dropgate Server v${version} is running. | SERVER_PORT: ${port}`);
+    });
+}).catch((e) => {
+    log('error', `Storage initialisation failed: ${e.message}`);
+    process.exit(1);
 });
 
-const handleShutdown = () => {
+const handleShutdown = async () => {
     log('info', 'Dropgate Server is shutting down...');
+    if (enableUpload && preserveUploads) {
+        await flushUploadSessionSaves();
+    }
     if (enableUpload && !preserveUploads) {
         log('info', 'Clearing uploads and temp files upon shutdown...');
-        cleanupDir(tmpDir);
-        cleanupDir(uploadDir);
-        log('info', 'Cleanup complete.');
+        try {
+            await storage.clearTemp();
+            await storage.clear();
+            log('info', 'Cleanup complete.');
+        } catch (e) {
+            log('error', `Cleanup failed: ${e.message}`);
+        }
     }
     // Gracefully stop accepting new connections.
     try {
@@ -0,0 +1,20 @@
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+/**
+ * Storage drivers selectable via UPLOAD_STORAGE_DRIVER.
+ *
+ * Every driver exposes the same async interface:
+ * - Staging: createTemp, writeTemp, tempSize, removeTemp, clearTemp
+ * - Stored files: commit, size, createReadStream, remove, clear, usage
+ * - Lifecycle: init
+ *
+ * Stored files are keyed by fileId; temporary files by uploadId.
+ * clearTemp accepts an optional Set of uploadIds to keep (restored upload sessions).
+ */
+const STORAGE_DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage,
+};
+
+module.exports = { STORAGE_DRIVERS };
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create the staging area used for in-progress uploads.
+ * Chunks arrive out of order and are written at fixed offsets, so every driver
+ * assembles files on local disk before committing them to their final location.
+ * @param {string} tmpDir - Directory holding temporary upload files
+ * @returns {object} Staging helpers shared by all storage drivers
+ */
+const createTempStore = (tmpDir) => {
+    const tempPath = (uploadId) => path.join(tmpDir, uploadId);
+
+    return {
+        tempPath,
+
+        async createTemp(uploadId) {
+            await fs.promises.writeFile(tempPath(uploadId), '');
+        },
+
+        async writeTemp(uploadId, offset, buffer) {
+            const handle = await fs.promises.open(tempPath(uploadId), 'r+');
+            try {
+                await handle.write(buffer, 0, buffer.length, offset);
+            } finally {
+                await handle.close();
+            }
+        },
+
+        async tempSize(uploadId) {
+            const stats = await fs.promises.stat(tempPath(uploadId));
+            return stats.size;
+        },
+
+        async removeTemp(uploadId) {
+            await fs.promises.rm(tempPath(uploadId), { force: true });
+        },
+
+        async clearTemp(keep = new Set()) {
+            if (!fs.existsSync(tmpDir)) return;
+            for (const file of fs.readdirSync(tmpDir)) {
+                if (keep.has(file)) continue;
+                fs.rmSync(path.join(tmpDir, file), { recursive: true, force: true });
+            }
+        },
+    };
+};
+
+/**
+ * Local disk storage driver (default).
+ * Completed files are stored as `uploads/<fileId>`.
+ * @param {object} options
+ * @param {string} options.uploadDir - Directory holding completed files
+ * @param {string} options.tmpDir - Directory holding temporary upload files
+ * @returns {object} Storage driver
+ */
+const createLocalStorage = ({ uploadDir, tmpDir }) => {
+    const temp = createTempStore(tmpDir);
+    const filePath = (fileId) => path.join(uploadDir, fileId);
+
+    // Directories inside uploadDir that are not stored files.
+    const reserved = new Set([path.basename(tmpDir), 'db']);
+
+    return {
+        name: 'local',
+        ...temp,
+
+        async init() {
+            fs.mkdirSync(uploadDir, { recursive: true });
+            fs.mkdirSync(tmpDir, { recursive: true });
+        },
+
+        async commit(uploadId, fileId) {
+            await fs.promises.rename(temp.tempPath(uploadId), filePath(fileId));
+            const stats = await fs.promises.stat(filePath(fileId));
+            return stats.size;
+        },
+
+        async size(fileId) {
+            const stats = await fs.promises.stat(filePath(fileId));
+            return stats.size;
+        },
+
+        async createReadStream(fileId, range) {
+            // Open eagerly so a missing file rejects here rather than mid-response.
+            const handle = await fs.promises.open(filePath(fileId), 'r');
+            return handle.createReadStream(range ? { start: range.start, end: range.end } : {});
+        },
+
+        async remove(fileId) {
+            await fs.promises.rm(filePath(fileId), { force: true });
+        },
+
+        async clear() {
+            if (!fs.existsSync(uploadDir)) return;
+            for (const file of fs.readdirSync(uploadDir)) {
+                if (reserved.has(file)) continue;
+                fs.rmSync(path.join(uploadDir, file), { recursive: true, force: true });
+            }
+        },
+
+        async usage() {
+            let size = 0;
+            if (!fs.existsSync(uploadDir)) return size;
+            for (const file of fs.readdirSync(uploadDir)) {
+                if (reserved.has(file)) continue;
+                const stats = fs.statSync(path.join(uploadDir, file));
+                if (stats.isFile()) size += stats.size;
+            }
+            return size;
+        },
+    };
+};
+
+module.exports = { createTempStore, createLocalStorage };
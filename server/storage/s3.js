@@ -0,0 +1,212 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { createTempStore } = require('./local');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// RFC 3986 encoding as required by AWS Signature Version 4.
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const readBody = (res) => new Promise((resolve, reject) => {
+    const parts = [];
+    res.on('data', (chunk) => parts.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(parts).toString('utf8')));
+    res.on('error', reject);
+});
+
+const xmlValues = (xml, tag) => {
+    const values = [];
+    const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    let match;
+    while ((match = re.exec(xml)) !== null) values.push(match[1]);
+    return values;
+};
+
+const decodeXml = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * S3-compatible object storage driver.
+ * Uploads are staged on local disk and streamed to the bucket on completion.
+ * Requests are signed with AWS Signature Version 4, so any S3-compatible
+ * service (AWS S3, MinIO, Cloudflare R2, Backblaze B2, ...) can be used.
+ * @param {object} options
+ * @param {string} options.tmpDir - Directory holding temporary upload files
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Signing region
+ * @param {string} [options.endpoint] - Custom endpoint URL (defaults to AWS)
+ * @param {string} options.accessKeyId - Access key ID
+ * @param {string} options.secretAccessKey - Secret access key
+ * @param {string} options.prefix - Key prefix for stored files. Must be non-empty:
+ *   clear() deletes every object under it, and usage() counts them.
+ * @param {boolean} [options.forcePathStyle] - Use `endpoint/bucket/key` URLs
+ * @returns {object} Storage driver
+ */
+const createS3Storage = ({ tmpDir, bucket, region, endpoint, accessKeyId, secretAccessKey, prefix, forcePathStyle = false }) => {
+    if (typeof prefix !== 'string' || !prefix) {
+        throw new Error('The S3 storage driver requires a non-empty key prefix.');
+    }
+    const temp = createTempStore(tmpDir);
+    const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const transport = baseUrl.protocol === 'http:' ? http : https;
+
+    const objectUrl = (key, query = {}) => {
+        const url = new URL(baseUrl.href);
+        const encodedKey = key ? key.split('/').map(encodeRfc3986).join('/') : '';
+        if (forcePathStyle) {
+            url.pathname = `/${encodeRfc3986(bucket)}/${encodedKey}`;
+        } else {
+            url.hostname = `${bucket}.${url.hostname}`;
+            url.pathname = `/${encodedKey}`;
+        }
+        for (const [k, v] of Object.entries(query)) {
+            if (v !== undefined) url.searchParams.set(k, v);
+        }
+        return url;
+    };
+
+    const sign = (method, url, headers, payloadHash) => {
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+
+        headers['host'] = url.host;
+        headers['x-amz-date'] = amzDate;
+        headers['x-amz-content-sha256'] = payloadHash;
+
+        const signedHeaderNames = Object.keys(headers).map(h => h.toLowerCase()).sort();
+        const canonicalHeaders = signedHeaderNames
+            .map(h => `${h}:${String(headers[h]).trim()}\n`)
+            .join('');
+        const canonicalQuery = [...url.searchParams.entries()]
+            .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([k, v]) => `${k}=${v}`)
+            .join('&');
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            canonicalQuery,
+            canonicalHeaders,
+            signedHeaderNames.join(';'),
+            payloadHash,
+        ].join('\n');
+
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+
+        headers['authorization'] = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`;
+        return headers;
+    };
+
+    /**
+     * Send a signed request and resolve with the raw response.
+     * Non-2xx responses are drained and rejected with an Error carrying `statusCode`.
+     */
+    const request = (method, url, { headers = {}, body = null, payloadHash = EMPTY_PAYLOAD_HASH } = {}) => new Promise((resolve, reject) => {
+        const signed = sign(method, url, { ...headers }, payloadHash);
+        const req = transport.request(url, { method, headers: signed }, (res) => {
+            if (res.statusCode >= 200 && res.statusCode < 300) return resolve(res);
+            readBody(res).then(() => {
+                const err = new Error(`S3 ${method} request failed with status ${res.statusCode}.`);
+                err.statusCode = res.statusCode;
+                reject(err);
+            }, reject);
+        });
+        req.on('error', reject);
+        if (body && typeof body.pipe === 'function') {
+            body.on('error', (err) => req.destroy(err));
+            body.pipe(req);
+        } else {
+            req.end(body || undefined);
+        }
+    });
+
+    const keyFor = (fileId) => `${prefix}${fileId}`;
+
+    const listObjects = async () => {
+        const objects = [];
+        let continuationToken;
+        do {
+            const url = objectUrl('', { 'list-type': '2', prefix, 'continuation-token': continuationToken });
+            const xml = await readBody(await request('GET', url));
+            const contents = xmlValues(xml, 'Contents');
+            for (const entry of contents) {
+                const key = decodeXml(xmlValues(entry, 'Key')[0] || '');
+                const size = Number(xmlValues(entry, 'Size')[0] || 0);
+                if (key) objects.push({ key, size });
+            }
+            const truncated = (xmlValues(xml, 'IsTruncated')[0] || 'false') === 'true';
+            continuationToken = truncated ? decodeXml(xmlValues(xml, 'NextContinuationToken')[0] || '') : undefined;
+        } while (continuationToken);
+        return objects;
+    };
+
+    return {
+        name: 's3',
+        ...temp,
+
+        async init() {
+            fs.mkdirSync(tmpDir, { recursive: true });
+            // Fail fast on bad credentials or a missing bucket.
+            await request('HEAD', objectUrl('')).then((res) => res.resume());
+        },
+
+        async commit(uploadId, fileId) {
+            const tempPath = temp.tempPath(uploadId);
+            const { size } = await fs.promises.stat(tempPath);
+            const res = await request('PUT', objectUrl(keyFor(fileId)), {
+                headers: { 'content-length': size, 'content-type': 'application/octet-stream' },
+                body: fs.createReadStream(tempPath),
+                payloadHash: UNSIGNED_PAYLOAD,
+            });
+            res.resume();
+            await fs.promises.rm(tempPath, { force: true });
+            return size;
+        },
+
+        async size(fileId) {
+            const res = await request('HEAD', objectUrl(keyFor(fileId)));
+            res.resume();
+            return Number(res.headers['content-length'] || 0);
+        },
+
+        async createReadStream(fileId, range) {
+            const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+            return request('GET', objectUrl(keyFor(fileId)), { headers });
+        },
+
+        async remove(fileId) {
+            const res = await request('DELETE', objectUrl(keyFor(fileId)));
+            res.resume();
+        },
+
+        async clear() {
+            for (const { key } of await listObjects()) {
+                const res = await request('DELETE', objectUrl(key));
+                res.resume();
+            }
+        },
+
+        async usage() {
+            const objects = await listObjects();
+            return objects.reduce((sum, o) => sum + o.size, 0);
+        },
+    };
+};
+
+module.exports = { createS3Storage };
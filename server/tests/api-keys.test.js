@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, uploadFile } = require('./helpers/server-process');
+
+let server;
+
+before(async () => {
+    server = await startServer({ UPLOAD_REQUIRE_AUTH: 'true' });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+/**
+ * Create a key with the CLI.
+ * @param {string[]} [options] - Limit flags
+ * @returns {Promise<{ id: string, token: string }>}
+ */
+const createKey = async (options = []) => {
+    const output = (await server.apiKeys('create', 'tests', ...options)).trim().split('\n');
+    return { id: /^Created API key ([a-f0-9]+) /.exec(output[0])[1], token: output[output.length - 1] };
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+/**
+ * Start an upload, returning the refused response.
+ */
+const refusedUpload = async (content, headers) => {
+    const err = await uploadFile(server, content, { headers }).then(
+        () => assert.fail('The upload was accepted'),
+        (e) => e,
+    );
+    assert.ok(err.response, err.message);
+    return { status: err.response.status, ...(await err.response.json()) };
+};
+
+test('uploads need a valid key when the server requires one', async () => {
+    const content = Buffer.from('authenticated upload');
+    const { id, token } = await createKey();
+
+    assert.equal((await refusedUpload(content, {})).status, 401);
+    assert.equal((await refusedUpload(content, { Authorization: 'Basic dXNlcjpwYXNz' })).status, 401);
+    assert.equal((await refusedUpload(content, bearer('dgk_not_a_key'))).status, 401);
+
+    // The right key ID with a different secret
+    const forged = `dgk_${id}_${'0'.repeat(64)}`;
+    assert.equal((await refusedUpload(content, bearer(forged))).status, 401);
+
+    const file = await uploadFile(server, content, { headers: bearer(token) });
+    const download = await server.request('GET', `/api/file/${file.id}`);
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), content);
+});
+
+test('a revoked key can no longer upload', async () => {
+    const content = Buffer.from('before revocation');
+    const { id, token } = await createKey();
+    const file = await uploadFile(server, content, { headers: bearer(token) });
+
+    await server.apiKeys('revoke', id);
+    const refused = await refusedUpload(content, bearer(token));
+    assert.equal(refused.status, 401);
+    assert.equal(refused.error, 'Invalid API key.');
+    assert.doesNotMatch(await server.apiKeys('list'), new RegExp(id));
+
+    // Uploads already made with the key stay available
+    assert.equal((await server.request('GET', `/api/file/${file.id}`)).status, 200);
+});
+
+test('a key cannot store more than its quota', async () => {
+    // 1000 bytes across all of the key's uploads
+    const { token } = await createKey(['--max-storage-gb', '0.000001']);
+    const first = await uploadFile(server, Buffer.alloc(600, 1), { headers: bearer(token) });
+
+    const refused = await refusedUpload(Buffer.alloc(600, 2), bearer(token));
+    assert.equal(refused.status, 507);
+    assert.equal(refused.code, 'QUOTA_EXCEEDED');
+
+    // Another key has a quota of its own
+    const { token: otherToken } = await createKey(['--max-storage-gb', '0.000001']);
+    await uploadFile(server, Buffer.alloc(600, 3), { headers: bearer(otherToken) });
+
+    // Deleting an upload frees its share of the quota
+    const deleted = await server.request('DELETE', `/api/file/${first.id}/manage`, {
+        headers: { 'X-Manage-Token': first.manageToken },
+    });
+    assert.equal(deleted.status, 200);
+    await uploadFile(server, Buffer.alloc(600, 2), { headers: bearer(token) });
+});
+
+test('a key cannot upload files larger than its size limit', async () => {
+    // 1000 bytes per file
+    const { token } = await createKey(['--max-file-size-mb', '0.001']);
+    await uploadFile(server, Buffer.alloc(1000, 1), { headers: bearer(token) });
+
+    const refused = await refusedUpload(Buffer.alloc(1001, 1), bearer(token));
+    assert.equal(refused.status, 413);
+    assert.equal(refused.code, 'FILE_TOO_LARGE');
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, uploadBundle } = require('./helpers/server-process');
+
+let server;
+
+before(async () => {
+    server = await startServer({ UPLOAD_MAX_FILE_DOWNLOADS: '0' });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+const contents = [Buffer.from('first sealed member'), Buffer.from('second sealed member')];
+
+const uploadSealedBundle = async (maxDownloads = 1) => {
+    const accessKey = crypto.randomBytes(32).toString('base64');
+    const bundle = await uploadBundle(server, contents, { isEncrypted: true, maxDownloads, accessKey });
+    return { ...bundle, accessKey };
+};
+
+const requestTicket = async (bundleId, accessKey) => server.request('POST', `/api/bundle/${bundleId}/ticket`, {
+    json: accessKey !== undefined ? { accessKey } : {},
+});
+
+const issueTicket = async (bundleId, accessKey) => {
+    const res = await requestTicket(bundleId, accessKey);
+    assert.equal(res.status, 200);
+    return (await res.json()).ticket;
+};
+
+test('member files are refused without a ticket for their bundle', async () => {
+    const { fileIds } = await uploadSealedBundle();
+    const other = await uploadSealedBundle();
+    const otherTicket = await issueTicket(other.bundleId, other.accessKey);
+
+    for (const query of ['', '?ticket=not-a-ticket', `?ticket=${otherTicket}`]) {
+        for (const method of ['GET', 'HEAD']) {
+            const res = await server.request(method, `/api/file/${fileIds[0]}${query}`);
+            assert.equal(res.status, 403, `${method} ${query || 'without a ticket'}`);
+        }
+    }
+
+    const fileTicket = await server.request('POST', `/api/file/${fileIds[0]}/ticket`);
+    assert.equal(fileTicket.status, 403);
+});
+
+test('bundle tickets are only issued for the access key', async () => {
+    const { bundleId, fileIds, accessKey } = await uploadSealedBundle();
+
+    assert.equal((await requestTicket(bundleId)).status, 403);
+    assert.equal((await requestTicket(bundleId, crypto.randomBytes(32).toString('base64'))).status, 403);
+
+    const ticket = await issueTicket(bundleId, accessKey);
+    for (const [i, fileId] of fileIds.entries()) {
+        const res = await server.request('GET', `/api/file/${fileId}?ticket=${ticket}`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(Buffer.from(await res.arrayBuffer()), contents[i]);
+    }
+});
+
+test('each ticket counts one download of the bundle', async () => {
+    const { bundleId, fileIds, accessKey } = await uploadSealedBundle(2);
+    const downloaded = (json) => server.request('POST', `/api/bundle/${bundleId}/downloaded`, { json });
+
+    const first = await issueTicket(bundleId, accessKey);
+    const counted = await downloaded({ ticket: first });
+    assert.equal(counted.status, 200);
+    assert.deepEqual(await counted.json(), { downloadCount: 1, maxDownloads: 2 });
+
+    assert.equal((await downloaded({ ticket: first })).status, 403);
+    assert.equal((await downloaded({})).status, 403);
+    assert.equal((await server.request('GET', `/api/file/${fileIds[0]}?ticket=${first}`)).status, 403);
+
+    const second = await issueTicket(bundleId, accessKey);
+    assert.deepEqual(await (await downloaded({ ticket: second })).json(), { downloadCount: 2, maxDownloads: 2 });
+
+    // The last download deletes the bundle and, through the ticket's key, its member files
+    assert.equal((await requestTicket(bundleId, accessKey)).status, 404);
+    for (const fileId of fileIds) {
+        assert.equal((await server.request('GET', `/api/file/${fileId}/meta`)).status, 404);
+    }
+});
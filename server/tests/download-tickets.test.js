@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createDownloadTicketStore } = require('../download-tickets');
+const { startServer, uploadFile } = require('./helpers/server-process');
+
+let server;
+
+before(async () => {
+    server = await startServer({ UPLOAD_MAX_FILE_DOWNLOADS: '0' });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+const content = crypto.randomBytes(1000);
+
+const downloadCount = async ({ id, manageToken }) => {
+    const res = await server.request('GET', `/api/file/${id}/manage`, { headers: { 'X-Manage-Token': manageToken } });
+    return res.status === 404 ? null : (await res.json()).downloadCount;
+};
+
+const issueTicket = async (fileId) => {
+    const res = await server.request('POST', `/api/file/${fileId}/ticket`);
+    assert.equal(res.status, 200);
+    return (await res.json()).ticket;
+};
+
+const download = async (fileId, { ticket, range } = {}) => {
+    const res = await server.request('GET', `/api/file/${fileId}${ticket ? `?ticket=${ticket}` : ''}`, {
+        headers: range ? { Range: range } : {},
+    });
+    return { status: res.status, body: Buffer.from(await res.arrayBuffer()) };
+};
+
+// The count is updated once the server sees the response close
+const settled = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+test('a full download counts once', async () => {
+    const file = await uploadFile(server, content, { maxDownloads: 3 });
+    const ticket = await issueTicket(file.id);
+
+    const res = await download(file.id, { ticket });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, content);
+    await settled();
+    assert.equal(await downloadCount(file), 1);
+
+    assert.equal((await download(file.id, { ticket })).status, 403);
+    assert.equal(await downloadCount(file), 1);
+});
+
+test('a download resumed on the same ticket counts once', async () => {
+    const file = await uploadFile(server, content, { maxDownloads: 3 });
+    const ticket = await issueTicket(file.id);
+
+    const first = await download(file.id, { ticket, range: 'bytes=0-599' });
+    assert.equal(first.status, 206);
+    // Sending the same bytes again covers no more of the file
+    assert.equal((await download(file.id, { ticket, range: 'bytes=100-399' })).status, 206);
+    await settled();
+    assert.equal(await downloadCount(file), 0);
+
+    const rest = await download(file.id, { ticket, range: 'bytes=600-' });
+    assert.equal(rest.status, 206);
+    assert.deepEqual(Buffer.concat([first.body, rest.body]), content);
+    await settled();
+    assert.equal(await downloadCount(file), 1);
+    assert.equal((await download(file.id, { ticket, range: 'bytes=0-' })).status, 403);
+});
+
+test('requests without a ticket count even when they stop short of the end', async () => {
+    const file = await uploadFile(server, content, { maxDownloads: 2 });
+
+    const short = await download(file.id, { range: `bytes=0-${content.length - 2}` });
+    assert.equal(short.status, 206);
+    await settled();
+    assert.equal(await downloadCount(file), 1);
+    assert.equal((await download(file.id, { range: 'bytes=0-0' })).status, 206);
+    await settled();
+    assert.equal(await downloadCount(file), null);
+});
+
+test('a response cut off before its end counts without a ticket', async () => {
+    const file = await uploadFile(server, crypto.randomBytes(4 * 1000 * 1000), { maxDownloads: 1 });
+
+    const controller = new AbortController();
+    const res = await server.request('GET', `/api/file/${file.id}`, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    await res.body.getReader().read();
+    controller.abort();
+    await settled();
+    assert.equal(await downloadCount(file), null);
+    assert.equal((await download(file.id)).status, 404);
+});
+
+test('tickets count each byte of the file once', () => {
+    const tickets = createDownloadTicketStore({ ttlMs: 60000 });
+    const { ticket } = tickets.issue('file-1');
+    const entry = tickets.get(ticket, 'file-1');
+    const send = (start, bytes) => {
+        tickets.start(entry);
+        return tickets.finish(entry, bytes, start);
+    };
+
+    assert.equal(send(0, 100), 100);
+    assert.equal(send(50, 100), 150);
+    assert.equal(send(300, 100), 250);
+    assert.equal(send(150, 150), 400);
+    assert.deepEqual(entry.servedRanges, [[0, 400]]);
+    assert.equal(entry.deliveredBytes, 450);
+});
@@ -0,0 +1,189 @@
+const { spawn, execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_DIR = path.join(__dirname, '..', '..');
+
+// Links to the real sources are resolved from the temporary directory, not the repository
+const NODE_ARGS = ['--preserve-symlinks', '--preserve-symlinks-main'];
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Run server.js in a child process.
+ *
+ * The server keeps its files and databases in the `uploads/` directory next to server.js, so
+ * it is started from a temporary directory of links to the server's sources instead. Tests
+ * never touch the uploads or API keys of a local install.
+ * @param {object} [env] - Environment variables on top of the test defaults
+ */
+const startServer = async (env = {}) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dropgate-server-'));
+    for (const entry of fs.readdirSync(SERVER_DIR)) {
+        if (entry === 'uploads' || entry === 'tests') continue;
+        fs.symlinkSync(path.join(SERVER_DIR, entry), path.join(root, entry));
+    }
+
+    const port = await freePort();
+    const child = spawn(process.execPath, [...NODE_ARGS, 'server.js'], {
+        cwd: root,
+        env: {
+            ...process.env,
+            SERVER_PORT: String(port),
+            ENABLE_UPLOAD: 'true',
+            ENABLE_P2P: 'false',
+            RATE_LIMIT_MAX_REQUESTS: '0',
+            LOG_LEVEL: 'error',
+            ...env,
+        },
+        stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    let stderr = '';
+    child.stderr.on('data', (data) => { stderr += data; });
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+
+    const url = `http://127.0.0.1:${port}`;
+    const deadline = Date.now() + 15000;
+    for (;;) {
+        if (child.exitCode !== null) throw new Error(`Server exited during startup:\n${stderr}`);
+        try {
+            if ((await fetch(`${url}/api/info`)).ok) break;
+        } catch {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            child.kill('SIGKILL');
+            throw new Error(`Server did not start:\n${stderr}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    return {
+        url,
+
+        /**
+         * Send a request to the server, encoding `json` as the body.
+         * @returns {Promise<Response>}
+         */
+        request(method, route, { json, headers = {}, ...init } = {}) {
+            return fetch(`${url}${route}`, {
+                method,
+                headers: json !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+                ...(json !== undefined ? { body: JSON.stringify(json) } : {}),
+                ...init,
+            });
+        },
+
+        /**
+         * Run the api-keys CLI against this server's key database.
+         * @returns {Promise<string>} What it printed
+         */
+        apiKeys(...args) {
+            return new Promise((resolve, reject) => {
+                execFile(process.execPath, [...NODE_ARGS, 'api-keys.js', ...args], { cwd: root }, (err, stdout, errOut) => {
+                    if (err) reject(new Error(errOut || err.message));
+                    else resolve(stdout);
+                });
+            });
+        },
+
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill('SIGTERM');
+                const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+                await exited;
+                clearTimeout(timer);
+            }
+            fs.rmSync(root, { recursive: true, force: true });
+        },
+    };
+};
+
+const sha256Hex = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Upload each buffer as one chunk of a file session.
+ * @returns {Promise<object[]>} The /upload/complete response of each file
+ */
+const uploadChunks = async (server, uploadIds, contents, headers) => {
+    const results = [];
+    for (const [i, uploadId] of uploadIds.entries()) {
+        const chunk = await server.request('POST', '/upload/chunk', {
+            headers: {
+                ...headers,
+                'Content-Type': 'application/octet-stream',
+                'X-Upload-ID': uploadId,
+                'X-Chunk-Index': '0',
+                'X-Chunk-Hash': sha256Hex(contents[i]),
+            },
+            body: contents[i],
+        });
+        if (!chunk.ok) throw new Error(`Chunk upload failed: ${await chunk.text()}`);
+        const complete = await server.request('POST', '/upload/complete', { json: { uploadId }, headers });
+        if (!complete.ok) throw new Error(`Upload completion failed: ${await complete.text()}`);
+        results.push(await complete.json());
+    }
+    return results;
+};
+
+/**
+ * Upload a file small enough to fit in one chunk.
+ * @param {object} server - Server from `startServer`
+ * @param {Buffer} content
+ * @param {object} [options] - Fields for /upload/init, and `headers` for every request
+ * @returns {Promise<{ id: string, manageToken: string }>}
+ */
+const uploadFile = async (server, content, { headers = {}, ...fields } = {}) => {
+    const init = await server.request('POST', '/upload/init', {
+        headers,
+        json: { filename: 'file.bin', lifetime: 60000, isEncrypted: false, totalSize: content.length, totalChunks: 1, ...fields },
+    });
+    if (!init.ok) throw Object.assign(new Error(`Upload init failed: ${init.status}`), { response: init });
+    const { uploadId } = await init.json();
+    const [result] = await uploadChunks(server, [uploadId], [content], headers);
+    return result;
+};
+
+/**
+ * Upload a bundle of files small enough to fit in one chunk each. Encrypted bundles are
+ * sealed with `accessKey`; the server never reads their content.
+ * @param {object} server - Server from `startServer`
+ * @param {Buffer[]} contents
+ * @param {object} [options] - Fields for /upload/init-bundle, plus `accessKey`
+ * @returns {Promise<{ bundleId: string, manageToken: string, fileIds: string[] }>}
+ */
+const uploadBundle = async (server, contents, { accessKey, ...fields } = {}) => {
+    const init = await server.request('POST', '/upload/init-bundle', {
+        json: {
+            fileCount: contents.length,
+            files: contents.map((content, i) => ({ filename: `file-${i}.bin`, totalSize: content.length, totalChunks: 1 })),
+            lifetime: 60000,
+            isEncrypted: false,
+            ...fields,
+        },
+    });
+    if (!init.ok) throw new Error(`Bundle init failed: ${await init.text()}`);
+    const { bundleUploadId, fileUploadIds } = await init.json();
+    const files = await uploadChunks(server, fileUploadIds, contents, {});
+
+    const complete = await server.request('POST', '/upload/complete-bundle', {
+        json: {
+            bundleUploadId,
+            ...(fields.isEncrypted ? { encryptedManifest: 'sealed-manifest', accessKey } : {}),
+        },
+    });
+    if (!complete.ok) throw new Error(`Bundle completion failed: ${await complete.text()}`);
+    return { ...(await complete.json()), fileIds: files.map(f => f.id) };
+};
+
+module.exports = { startServer, uploadFile, uploadBundle };
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, uploadFile, uploadBundle } = require('./helpers/server-process');
+
+let server;
+
+before(async () => {
+    server = await startServer({ UPLOAD_MAX_FILE_DOWNLOADS: '0' });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+const manage = (method, route, token, json) => server.request(method, `${route}/manage`, {
+    headers: token !== undefined ? { 'X-Manage-Token': token } : {},
+    json,
+});
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Every management request made without the upload's own token is refused, and leaves
+ * the upload as it was.
+ */
+const assertRefusesOtherTokens = async (route, otherTokens) => {
+    for (const token of [undefined, '', randomToken(), ...otherTokens]) {
+        const label = token === undefined ? 'without a token' : `with token ${JSON.stringify(token)}`;
+        assert.equal((await manage('GET', route, token)).status, 403, `GET ${label}`);
+        assert.equal((await manage('PATCH', route, token, { maxDownloads: 5 })).status, 403, `PATCH ${label}`);
+        assert.equal((await manage('DELETE', route, token)).status, 403, `DELETE ${label}`);
+    }
+};
+
+const assertGoneForToken = async (route, token) => {
+    assert.equal((await manage('GET', route, token)).status, 404);
+    assert.equal((await manage('PATCH', route, token, { maxDownloads: 5 })).status, 404);
+    assert.equal((await manage('DELETE', route, token)).status, 404);
+};
+
+test('a file can only be managed with its own token', async () => {
+    const file = await uploadFile(server, Buffer.from('managed file'), { maxDownloads: 2 });
+    const other = await uploadFile(server, Buffer.from('another file'));
+    const bundle = await uploadBundle(server, [Buffer.from('first member'), Buffer.from('second member')]);
+    const route = `/api/file/${file.id}`;
+
+    // Neither another upload's token nor the token of a bundle works on a file outside it
+    await assertRefusesOtherTokens(route, [other.manageToken, bundle.manageToken]);
+
+    const status = await manage('GET', route, file.manageToken);
+    assert.equal(status.status, 200);
+    const { fileId, sizeBytes, maxDownloads, downloadCount } = await status.json();
+    assert.deepEqual({ fileId, sizeBytes, maxDownloads, downloadCount }, { fileId: file.id, sizeBytes: 12, maxDownloads: 2, downloadCount: 0 });
+
+    const updated = await manage('PATCH', route, file.manageToken, { maxDownloads: 5 });
+    assert.equal(updated.status, 200);
+    assert.equal((await updated.json()).maxDownloads, 5);
+
+    assert.equal((await manage('DELETE', route, file.manageToken)).status, 200);
+    assert.equal((await server.request('GET', route)).status, 404);
+
+    // A token is no use once its upload is gone
+    await assertGoneForToken(route, file.manageToken);
+    assert.equal((await manage('GET', `/api/file/${other.id}`, other.manageToken)).status, 200);
+});
+
+for (const isEncrypted of [false, true]) {
+    test(`a ${isEncrypted ? 'sealed' : 'plain'} bundle can only be managed with its own token`, async () => {
+        const accessKey = crypto.randomBytes(32).toString('base64');
+        const contents = [Buffer.from('first member'), Buffer.from('second member')];
+        const bundle = await uploadBundle(server, contents, { isEncrypted, accessKey });
+        const other = await uploadBundle(server, contents, { isEncrypted, accessKey });
+        const file = await uploadFile(server, Buffer.from('standalone file'));
+        const route = `/api/bundle/${bundle.bundleId}`;
+
+        await assertRefusesOtherTokens(route, [other.manageToken, file.manageToken]);
+
+        const status = await manage('GET', route, bundle.manageToken);
+        assert.equal(status.status, 200);
+        const { bundleId, sealed, fileCount } = await status.json();
+        assert.deepEqual({ bundleId, sealed, fileCount }, { bundleId: bundle.bundleId, sealed: isEncrypted, fileCount: 2 });
+
+        const updated = await manage('PATCH', route, bundle.manageToken, { lifetimeMs: 120000 });
+        assert.equal(updated.status, 200);
+        assert.notEqual((await updated.json()).expiresAt, null);
+
+        // Deleting the bundle removes its members, and nothing of the other bundle
+        assert.equal((await manage('DELETE', route, bundle.manageToken)).status, 200);
+        for (const fileId of bundle.fileIds) {
+            assert.equal((await manage('GET', `/api/file/${fileId}`, bundle.manageToken)).status, 404);
+        }
+        await assertGoneForToken(route, bundle.manageToken);
+
+        const otherStatus = await manage('GET', `/api/bundle/${other.bundleId}`, other.manageToken);
+        assert.equal(otherStatus.status, 200);
+        assert.equal((await otherStatus.json()).fileCount, 2);
+    });
+}
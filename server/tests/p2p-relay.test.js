@@ -0,0 +1,185 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebSocket } = require('ws');
+const { createP2PRelay } = require('../p2p-relay');
+const { startServer } = require('./helpers/server-process');
+
+const servers = [];
+
+/**
+ * Mount a relay on a local HTTP server, the way server.js hands it upgrade requests.
+ */
+const startRelay = async (options = {}) => {
+    const relay = createP2PRelay({
+        maxBytes: 0,
+        bytesPerSecond: 0,
+        maxPayload: 1024 * 1024,
+        canListen: () => true,
+        ...options,
+    });
+    const server = http.createServer();
+    server.on('upgrade', (req, socket, head) => {
+        relay.handleUpgrade(req, socket, head, new URL(req.url, 'http://localhost'));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    const { port } = server.address();
+    return { relay, url: (query) => `ws://127.0.0.1:${port}/p2p-relay?${query}` };
+};
+
+/**
+ * Open a relay socket that queues what it is sent, so tests can await each message in turn.
+ */
+const openSocket = (url) => {
+    const ws = new WebSocket(url);
+    const queued = [];
+    const waiting = [];
+    ws.on('message', (data, isBinary) => {
+        const message = isBinary ? Buffer.from(data) : JSON.parse(data.toString());
+        if (waiting.length > 0) waiting.shift()(message);
+        else queued.push(message);
+    });
+    const closed = new Promise((resolve) => {
+        ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+    });
+    ws.on('error', () => { /* The close event reports it */ });
+
+    return {
+        ws,
+        closed,
+        opened: new Promise((resolve) => ws.once('open', resolve)),
+        next: () => (queued.length > 0
+            ? Promise.resolve(queued.shift())
+            : new Promise((resolve) => waiting.push(resolve))),
+        queued,
+    };
+};
+
+/**
+ * Pair a receiver with a listening sender: the receiver connects to the code, and the
+ * sender accepts the relay ID it is told about.
+ */
+const pair = async (relayServer, listener, code) => {
+    const receiver = openSocket(relayServer.url(`connect=${code}`));
+    const notice = await listener.next();
+    assert.equal(notice.type, 'connection');
+    const accepted = openSocket(relayServer.url(`accept=${notice.id}`));
+    assert.deepEqual(await receiver.next(), { type: 'open' });
+    assert.deepEqual(await accepted.next(), { type: 'open' });
+    return { receiver, accepted };
+};
+
+const listenOn = async (relayServer, code, token = 'sender-token') => {
+    const listener = openSocket(relayServer.url(`listen=${code}&token=${token}`));
+    await listener.opened;
+    return listener;
+};
+
+after(async () => {
+    for (const server of servers) {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    }
+});
+
+test('pipes binary frames between a receiver and the sender that accepts it', async () => {
+    const relayServer = await startRelay();
+    const listener = await listenOn(relayServer, 'ABCD-1234');
+    const { receiver, accepted } = await pair(relayServer, listener, 'ABCD-1234');
+    assert.equal(relayServer.relay.activeRelays, 1);
+
+    receiver.ws.send(Buffer.from('hello sender'));
+    assert.deepEqual(await accepted.next(), Buffer.from('hello sender'));
+    accepted.ws.send(Buffer.from('hello receiver'));
+    assert.deepEqual(await receiver.next(), Buffer.from('hello receiver'));
+
+    // Either end leaving closes the other
+    receiver.ws.close();
+    assert.equal((await accepted.closed).code, 1000);
+    assert.equal(relayServer.relay.activeRelays, 0);
+    listener.ws.close();
+});
+
+test('turns away codes it cannot relay', async () => {
+    const relayServer = await startRelay({ canListen: (code) => code === 'ABCD-1234' });
+
+    const unregistered = openSocket(relayServer.url('listen=WXYZ-9876'));
+    assert.equal((await unregistered.closed).code, 4403);
+
+    const nobodyListening = openSocket(relayServer.url('connect=ABCD-1234'));
+    assert.equal((await nobodyListening.closed).code, 4404);
+
+    const unknownId = openSocket(relayServer.url('accept=not-a-relay-id'));
+    assert.equal((await unknownId.closed).code, 4404);
+
+    const listener = await listenOn(relayServer, 'ABCD-1234');
+    const duplicate = openSocket(relayServer.url('listen=ABCD-1234'));
+    assert.equal((await duplicate.closed).code, 4409);
+    listener.ws.close();
+});
+
+test('only lets the peer registered under a code listen on it', async () => {
+    const relayServer = await startRelay({
+        canListen: (code, token) => code === 'ABCD-1234' && token === 'sender-token',
+    });
+
+    const noToken = openSocket(relayServer.url('listen=ABCD-1234'));
+    assert.equal((await noToken.closed).code, 4403);
+    const stranger = openSocket(relayServer.url('listen=ABCD-1234&token=guessed'));
+    assert.equal((await stranger.closed).code, 4403);
+
+    const listener = await listenOn(relayServer, 'ABCD-1234', 'sender-token');
+    const { receiver } = await pair(relayServer, listener, 'ABCD-1234');
+    receiver.ws.close();
+    listener.ws.close();
+});
+
+test('ties listening to the token a code was registered with for signalling', async () => {
+    const server = await startServer({ ENABLE_P2P: 'true', P2P_RELAY_ENABLED: 'true' });
+    const wsUrl = server.url.replace(/^http/, 'ws');
+    const relayServer = { url: (query) => `${wsUrl}/p2p-relay?${query}` };
+    try {
+        const peer = openSocket(`${wsUrl}/peerjs/peerjs?key=peerjs&id=ABCD-1234&token=sender-token`);
+        assert.equal((await peer.next()).type, 'OPEN');
+
+        // A stranger who knows the code, but not its token, cannot take over its receivers
+        const stranger = openSocket(relayServer.url('listen=ABCD-1234&token=guessed'));
+        assert.equal((await stranger.closed).code, 4403);
+        const noToken = openSocket(relayServer.url('listen=ABCD-1234'));
+        assert.equal((await noToken.closed).code, 4403);
+
+        const listener = await listenOn(relayServer, 'ABCD-1234', 'sender-token');
+        const { receiver, accepted } = await pair(relayServer, listener, 'ABCD-1234');
+        receiver.ws.send(Buffer.from('hello sender'));
+        assert.deepEqual(await accepted.next(), Buffer.from('hello sender'));
+
+        receiver.ws.close();
+        listener.ws.close();
+        peer.ws.close();
+    } finally {
+        await server.stop();
+    }
+});
+
+test('closes the relay with 4413 once a sender passes its byte limit', async () => {
+    const relayServer = await startRelay({ maxBytes: 1000 });
+    const listener = await listenOn(relayServer, 'ABCD-1234');
+    const first = await pair(relayServer, listener, 'ABCD-1234');
+
+    first.receiver.ws.send(Buffer.alloc(600, 1));
+    assert.deepEqual(await first.accepted.next(), Buffer.alloc(600, 1));
+    first.accepted.ws.send(Buffer.alloc(600, 2));
+
+    const [receiverClose, acceptedClose] = await Promise.all([first.receiver.closed, first.accepted.closed]);
+    assert.equal(receiverClose.code, 4413);
+    assert.equal(acceptedClose.code, 4413);
+    // The frame that went over the limit was not forwarded
+    assert.deepEqual(first.receiver.queued, []);
+
+    // The limit belongs to the listening sender, so a new receiver can't reset it
+    const second = await pair(relayServer, listener, 'ABCD-1234');
+    second.receiver.ws.send(Buffer.alloc(1));
+    assert.equal((await second.accepted.closed).code, 4413);
+    listener.ws.close();
+});
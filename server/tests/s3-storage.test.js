@@ -0,0 +1,219 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { createS3Storage } = require('../storage/s3');
+
+const BUCKET = 'dropgate-test';
+const REGION = 'us-east-1';
+const ACCESS_KEY_ID = 'test-access-key';
+const SECRET_ACCESS_KEY = 'test-secret-key';
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Recompute the SigV4 signature of an incoming request and compare it with
+ * the one in its Authorization header.
+ */
+const verifySignature = (req) => {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers['authorization'] || '');
+    if (!match) return false;
+    const [, keyId, dateStamp, region, signedHeaders, signature] = match;
+    if (keyId !== ACCESS_KEY_ID || region !== REGION) return false;
+    if (!signedHeaders.split(';').includes('host')) return false;
+
+    const url = new URL(req.url, 'http://localhost');
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([k, v]) => `${k}=${v}`)
+        .join('&');
+    const canonicalHeaders = signedHeaders.split(';')
+        .map(h => `${h}:${String(req.headers[h]).trim()}\n`)
+        .join('');
+    const canonicalRequest = [
+        req.method,
+        url.pathname,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaders,
+        req.headers['x-amz-content-sha256'],
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, dateStamp), region), 's3'), 'aws4_request');
+    return hmac(signingKey, stringToSign).toString('hex') === signature;
+};
+
+/**
+ * Minimal path-style S3 stand-in: HEAD bucket, PUT/GET(Range)/HEAD/DELETE
+ * object and ListObjectsV2 with a small page size to exercise continuation.
+ */
+const createFakeS3 = () => {
+    const objects = new Map();
+    const requests = [];
+    const PAGE_SIZE = 2;
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, query: url.search });
+        if (!verifySignature(req)) {
+            res.writeHead(403).end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+            return;
+        }
+
+        const [, bucket, ...rest] = url.pathname.split('/');
+        if (bucket !== BUCKET) {
+            res.writeHead(404).end('<Error><Code>NoSuchBucket</Code></Error>');
+            return;
+        }
+        const key = rest.map(decodeURIComponent).join('/');
+
+        if (!key) {
+            if (req.method === 'HEAD') return res.writeHead(200).end();
+            if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const keys = [...objects.keys()].filter(k => k.startsWith(prefix)).sort();
+                const start = Number(url.searchParams.get('continuation-token') || 0);
+                const page = keys.slice(start, start + PAGE_SIZE);
+                const truncated = start + PAGE_SIZE < keys.length;
+                const contents = page
+                    .map(k => `<Contents><Key>${k}</Key><Size>${objects.get(k).length}</Size></Contents>`)
+                    .join('');
+                const next = truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : '';
+                res.writeHead(200, { 'content-type': 'application/xml' });
+                res.end(`<ListBucketResult><IsTruncated>${truncated}</IsTruncated>${contents}${next}</ListBucketResult>`);
+                return;
+            }
+            return res.writeHead(400).end();
+        }
+
+        if (req.method === 'PUT') {
+            const parts = [];
+            req.on('data', (chunk) => parts.push(chunk));
+            req.on('end', () => {
+                objects.set(key, Buffer.concat(parts));
+                res.writeHead(200).end();
+            });
+            return;
+        }
+
+        const body = objects.get(key);
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            return res.writeHead(204).end();
+        }
+        if (!body) return res.writeHead(404).end('<Error><Code>NoSuchKey</Code></Error>');
+        if (req.method === 'HEAD') return res.writeHead(200, { 'content-length': body.length }).end();
+        if (req.method === 'GET') {
+            const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers['range'] || '');
+            if (range) {
+                const start = Number(range[1]);
+                const end = Math.min(Number(range[2]), body.length - 1);
+                res.writeHead(206, { 'content-range': `bytes ${start}-${end}/${body.length}` });
+                return res.end(body.subarray(start, end + 1));
+            }
+            return res.writeHead(200).end(body);
+        }
+        res.writeHead(405).end();
+    });
+
+    return { server, objects, requests };
+};
+
+const readStream = async (stream) => {
+    const parts = [];
+    for await (const chunk of stream) parts.push(chunk);
+    return Buffer.concat(parts);
+};
+
+let fake;
+let tmpDir;
+let endpoint;
+
+before(async () => {
+    fake = createFakeS3();
+    await new Promise((resolve) => fake.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${fake.server.address().port}`;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dropgate-s3-'));
+});
+
+after(async () => {
+    await new Promise((resolve) => fake.server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const createStorage = (overrides = {}) => createS3Storage({
+    tmpDir,
+    bucket: BUCKET,
+    region: REGION,
+    endpoint,
+    accessKeyId: ACCESS_KEY_ID,
+    secretAccessKey: SECRET_ACCESS_KEY,
+    prefix: 'dropgate/',
+    forcePathStyle: true,
+    ...overrides,
+});
+
+const stageFile = async (storage, uploadId, content) => {
+    await storage.createTemp(uploadId);
+    await storage.writeTemp(uploadId, 0, content);
+};
+
+test('refuses to start without a key prefix', () => {
+    assert.throws(() => createStorage({ prefix: '' }), /non-empty key prefix/);
+    assert.throws(() => createStorage({ prefix: undefined }), /non-empty key prefix/);
+});
+
+test('signed requests are rejected with the wrong secret', async () => {
+    const storage = createStorage({ secretAccessKey: 'wrong-secret' });
+    await assert.rejects(storage.init(), (err) => err.statusCode === 403);
+});
+
+test('commits, reads, ranges and removes objects under the prefix', async () => {
+    const storage = createStorage();
+    await storage.init();
+
+    const content = Buffer.from('hello from the fake bucket');
+    await stageFile(storage, 'upload-1', content);
+    assert.equal(await storage.commit('upload-1', 'file-1'), content.length);
+    assert.equal(fs.existsSync(storage.tempPath('upload-1')), false);
+    assert.deepEqual(fake.objects.get('dropgate/file-1'), content);
+
+    assert.equal(await storage.size('file-1'), content.length);
+    assert.deepEqual(await readStream(await storage.createReadStream('file-1')), content);
+    assert.deepEqual(
+        await readStream(await storage.createReadStream('file-1', { start: 6, end: 9 })),
+        content.subarray(6, 10),
+    );
+
+    await storage.remove('file-1');
+    assert.equal(fake.objects.has('dropgate/file-1'), false);
+    await assert.rejects(storage.size('file-1'), (err) => err.statusCode === 404);
+});
+
+test('clear and usage only touch objects under the prefix', async () => {
+    const storage = createStorage();
+    fake.objects.set('unrelated/keep-me', Buffer.alloc(100));
+
+    for (const [i, size] of [10, 20, 30].entries()) {
+        await stageFile(storage, `upload-${i}`, Buffer.alloc(size, i));
+        await storage.commit(`upload-${i}`, `file-${i}`);
+    }
+
+    // Three objects with a page size of two forces a continuation request.
+    assert.equal(await storage.usage(), 60);
+    assert.ok(fake.requests.some(r => r.query.includes('continuation-token=2')));
+
+    await storage.clear();
+    assert.deepEqual([...fake.objects.keys()], ['unrelated/keep-me']);
+    assert.equal(await storage.usage(), 0);
+});